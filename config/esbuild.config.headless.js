@@ -0,0 +1,17 @@
+import esbuild from 'esbuild';
+
+// The headless build runs in Node.js, so it leaves the npm packages for Node to import.
+esbuild
+  .build({
+    bundle: true,
+    sourcemap: false,
+    format: 'esm',
+    platform: 'node',
+    packages: 'external',
+    entryPoints: ['./modules/headless/index.js'],
+    legalComments: 'none',
+    logLevel: 'info',
+    outfile: 'dist/rapid.headless.js',
+    target: 'node20'
+  })
+  .catch(() => process.exit(1));
@@ -106,6 +106,9 @@ export class Context extends EventEmitter {
     // true/false whether we are in the intro walkthrough
     this.inIntro = false;
 
+    // true/false whether we are running without a browser, see `HeadlessContext`
+    this.headless = false;
+
     // License configuration for sandbox support
     this._license = null;
   }
@@ -0,0 +1,100 @@
+import { osmEntity } from '../osm/entity.js';
+
+
+// Replays the contents of an [osmChange](https://wiki.openstreetmap.org/wiki/OsmChange) document.
+//
+// `change` is an Object with `created`, `modified`, `deleted` Arrays of OSM entities,
+// as returned by `OsmService.parseOsmChange()`.
+//
+// Created entities receive fresh ids, so they can't collide with any entities that the
+// user has already created in this session.  References to them are updated to match.
+// References to new entities that the document doesn't create are dropped, and created ways
+// that are left with fewer than 2 nodes are not created at all.
+// Modified and deleted entities are expected to be present in the base graph already.
+//
+export function actionImportOsmChange(change) {
+    var _idMap = {};   // Map(id in document -> new id)
+
+    (change.created || []).forEach(function(entity) {
+        _idMap[entity.id] = osmEntity.id(entity.type);
+    });
+
+    (change.created || []).forEach(function(entity) {
+        if (Array.isArray(entity.nodes) && entity.nodes.filter(exists).length < 2) {
+            delete _idMap[entity.id];
+        }
+    });
+
+    var _created = (change.created || [])
+        .filter(function(entity) { return _idMap[entity.id]; })
+        .map(function(entity) { return prepare(entity, { version: undefined }); });
+    var _modified = (change.modified || []).map(function(entity) {
+        return prepare(entity, {});
+    });
+    var _deletedIDs = (change.deleted || []).map(function(entity) {
+        return remap(entity.id);
+    });
+
+
+    function remap(id) {
+        return _idMap[id] || id;
+    }
+
+
+    function isNew(id) {
+        return +osmEntity.id.toOSM(id) < 0;
+    }
+
+
+    // Whether the entity with the given id will be in the graph,
+    // new entities only exist if the document creates them
+    function exists(id) {
+        return _idMap[id] || !isNew(id);
+    }
+
+
+    function prepare(entity, props) {
+        props.id = remap(entity.id);
+
+        if (Array.isArray(entity.nodes)) {
+            props.nodes = entity.nodes
+                .filter(exists)   // drop nodes that are new entities we aren't creating
+                .map(remap);
+        }
+        if (Array.isArray(entity.members)) {
+            props.members = entity.members
+                .filter(function(member) {   // drop members that reference new entities we aren't creating
+                    return exists(member.id);
+                })
+                .map(function(member) {
+                    return Object.assign({}, member, { id: remap(member.id) });
+                });
+        }
+        return entity.update(props);
+    }
+
+
+    var action = function(graph) {
+        _created.concat(_modified).forEach(function(entity) {
+            graph = graph.replace(entity);
+        });
+
+        _deletedIDs.forEach(function(entityID) {
+            var entity = graph.hasEntity(entityID);
+            if (entity) {
+                graph = graph.remove(entity);
+            }
+        });
+
+        return graph;
+    };
+
+
+    // Returns the mapping of ids in the document to the ids of the created entities
+    action.idMap = function() {
+        return _idMap;
+    };
+
+
+    return action;
+}
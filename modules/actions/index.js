@@ -16,6 +16,7 @@ export { actionDeleteWay } from './delete_way.js';
 export { actionDiscardTags } from './discard_tags.js';
 export { actionDisconnect } from './disconnect.js';
 export { actionExtract } from './extract.js';
+export { actionImportOsmChange } from './import_osm_change.js';
 export { actionJoin } from './join.js';
 export { actionMerge } from './merge.js';
 export { actionMergeNodes } from './merge_nodes.js';
@@ -27,9 +28,11 @@ export { actionMoveNode } from './move_node.js';
 export { actionNoop } from './noop.js';
 export { actionOrthogonalize } from './orthogonalize.js';
 export { actionRapidAcceptFeature } from './rapid_accept_feature.js';
+export { actionRapidConflateFeature } from './rapid_conflate_feature.js';
 export { actionRestrictTurn } from './restrict_turn.js';
 export { actionReverse } from './reverse.js';
 export { actionRevert } from './revert.js';
+export { actionRevertToVersion } from './revert_to_version.js';
 export { actionRotate } from './rotate.js';
 export { actionScale } from './scale.js';
 export { actionSplit } from './split.js';
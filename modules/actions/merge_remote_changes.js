@@ -7,19 +7,55 @@ import { actionDeleteMultiple } from './delete_multiple.js';
 import { osmEntity } from '../osm/entity.js';
 
 
+const EPSILON = 1e-6;
+
+
+/**
+ * actionMergeRemoteChanges
+ * Merges the remote version of an entity into the local version.
+ *
+ * The `strategy` option can be one of:
+ *   'safe'          merge only the changes that don't conflict, otherwise do nothing and report the conflicts
+ *   'force_local'   keep the local version wherever there is a difference
+ *   'force_remote'  keep the remote version wherever there is a difference
+ *   'custom'        three-way merge, where `options.choices` says which version to keep for each conflict:
+ *     {
+ *       location:  'local' or 'remote'                     (node location, or moved child nodes of a way)
+ *       tags:      Object<key, 'local' or 'remote'>
+ *       nodes:     Object<segment index, 'local' or 'remote'>   (conflicting segments of a way's node list)
+ *       members:   Object<segment index, 'local' or 'remote'>   (conflicting segments of a relation's member list)
+ *     }
+ *     Conflicts without a choice keep the local version, except a location that was only changed remotely.
+ *     Changes made on only one side are always merged.
+ *
+ * After the action runs, `action.details()` returns the conflicting parts, with the base, local,
+ * and remote version of each, and `action.conflicts()` returns a description of each conflict.
+ */
 export function actionMergeRemoteChanges(id, options = {}) {
   const localGraph = options.localGraph;
   const remoteGraph = options.remoteGraph;
   const discardTags = options.discardTags ?? {};
   const formatUser = options.formatUser ?? (d => d);
   const localize = options.localize ?? (d => d);
-  const strategy = options.strategy ?? 'safe';   // 'safe', 'force_local', 'force_remote'
+  const strategy = options.strategy ?? 'safe';   // 'safe', 'force_local', 'force_remote', 'custom'
+  const choices = options.choices ?? {};
 
   let _conflicts = [];
+  let _details = emptyDetails();
 
 
-  function mergeLocation(remote, target) {
-    const EPSILON = 1e-6;
+  function emptyDetails() {
+    return {
+      location: null,   // { id, base, local, remote } if the node location conflicts
+      children: [],     // Array of { id, base, local, remote } for child nodes whose location conflicts
+      tags: [],         // Array of { key, base, local, remote } for conflicting tags
+      nodes: [],        // Array of { index, base, local, remote } for conflicting node list segments
+      members: []       // Array of { index, base, local, remote } for conflicting member list segments
+    };
+  }
+
+
+  function mergeLocation(base, remote, target) {
     if (strategy === 'force_local' || vecEqual(target.loc, remote.loc, EPSILON)) {
       return target;
     }
@@ -27,6 +63,19 @@ export function actionMergeRemoteChanges(id, options = {}) {
       return target.update({ loc: remote.loc });
     }
 
+    const detail = { id: target.id, base: base?.loc, local: target.loc, remote: remote.loc };
+    if (target.id === id) {
+      _details.location = detail;
+    } else {
+      _details.children.push(detail);
+    }
+
+    if (strategy === 'custom') {
+      const changedLocally = !base || !vecEqual(base.loc, target.loc, EPSILON);
+      const choice = choices.location ?? (changedLocally ? 'local' : 'remote');
+      return (choice === 'remote') ? target.update({ loc: remote.loc }) : target;
+    }
+
     _conflicts.push(
       localize('merge_remote_changes.conflict.location', { user: formatUser(remote.user) })
     );
@@ -61,10 +110,16 @@ export function actionMergeRemoteChanges(id, options = {}) {
         } else if (deepEqual(c.o, c.b)) {  // only changed locally
           nodes.push.apply(nodes, c.a);
         } else {       // changed both locally and remotely
-          _conflicts.push(
-            localize('merge_remote_changes.conflict.nodelist', { user: formatUser(remote.user) })
-          );
-          break;
+          const index = _details.nodes.length;
+          _details.nodes.push({ index: index, base: c.o, local: c.a, remote: c.b });
+
+          if (strategy === 'custom') {
+            nodes.push.apply(nodes, (choices.nodes?.[index] === 'remote') ? c.b : c.a);
+          } else if (_conflicts.length === origLength) {   // report it once, but keep going to find all the segments
+            _conflicts.push(
+              localize('merge_remote_changes.conflict.nodelist', { user: formatUser(remote.user) })
+            );
+          }
         }
       }
     }
@@ -107,11 +162,11 @@ export function actionMergeRemoteChanges(id, options = {}) {
         }
         updates.replacements.push(target);
 
-      } else if (strategy === 'safe' && local && remote && local.version !== remote.version) {
+      } else if ((strategy === 'safe' || strategy === 'custom') && local && remote && local.version !== remote.version) {
         target = osmEntity(local, { version: remote.version });
         if (remote.visible) {
-          target = mergeLocation(remote, target);
-        } else {
+          target = mergeLocation(graph.base.entities.get(id), remote, target);
+        } else if (strategy === 'safe') {   // 'custom' restores the deleted node, like 'force_local'
           _conflicts.push(
             localize('merge_remote_changes.conflict.deleted', { user: formatUser(remote.user) })
           );
@@ -137,7 +192,7 @@ export function actionMergeRemoteChanges(id, options = {}) {
   }
 
 
-  function mergeMembers(remote, target) {
+  function mergeMembers(base, remote, target) {
     if (strategy === 'force_local' || deepEqual(target.members, remote.members)) {
       return target;
     }
@@ -145,6 +200,42 @@ export function actionMergeRemoteChanges(id, options = {}) {
       return target.update({ members: remote.members });
     }
 
+    // Three-way merge of the member lists, to find the segments that were changed on both sides.
+    const memberKey = m => `${m.type}/${m.id}/${m.role}`;
+    const lookup = new Map();
+    const o = (base.members ?? []).map(memberKey);
+    const a = (target.members ?? []).map(memberKey);
+    const b = (remote.members ?? []).map(memberKey);
+    for (const m of [...(base.members ?? []), ...(target.members ?? []), ...(remote.members ?? [])]) {
+      lookup.set(memberKey(m), m);
+    }
+
+    const hunks = diff3Merge(a, o, b, { excludeFalseConflicts: true });
+    const toMembers = keys => keys.map(k => lookup.get(k));
+    let keys = [];
+
+    for (const hunk of hunks) {
+      if (hunk.ok) {
+        keys.push.apply(keys, hunk.ok);
+      } else {
+        const c = hunk.conflict;
+        if (deepEqual(c.o, c.a)) {  // only changed remotely
+          keys.push.apply(keys, c.b);
+        } else if (deepEqual(c.o, c.b)) {  // only changed locally
+          keys.push.apply(keys, c.a);
+        } else {       // changed both locally and remotely
+          const index = _details.members.length;
+          _details.members.push({ index: index, base: toMembers(c.o), local: toMembers(c.a), remote: toMembers(c.b) });
+          keys.push.apply(keys, (choices.members?.[index] === 'remote') ? c.b : c.a);
+        }
+      }
+    }
+
+    if (strategy === 'custom') {
+      return target.update({ members: toMembers(keys) });
+    }
+
+    // The 'safe' strategy doesn't merge member lists, any change is a conflict.
     _conflicts.push(
       localize('merge_remote_changes.conflict.memberlist', { user: formatUser(remote.user) })
     );
@@ -174,11 +265,24 @@ export function actionMergeRemoteChanges(id, options = {}) {
 
       if (o[k] !== b[k] && a[k] !== b[k]) {    // changed remotely..
         if (o[k] !== a[k]) {      // changed locally..
-          _conflicts.push(
-            localize('merge_remote_changes.conflict.tags', {
-              tag: k, local: a[k], remote: b[k], user: formatUser(remote.user)
-            })
-          );
+          _details.tags.push({ key: k, base: o[k], local: a[k], remote: b[k] });
+
+          if (strategy === 'custom') {
+            if (choices.tags?.[k] === 'remote') {
+              if (b.hasOwnProperty(k)) {
+                tags[k] = b[k];
+              } else {
+                delete tags[k];
+              }
+              changed = true;
+            }
+          } else {
+            _conflicts.push(
+              localize('merge_remote_changes.conflict.tags', {
+                tag: k, local: a[k], remote: b[k], user: formatUser(remote.user)
+              })
+            );
+          }
 
         } else {                  // unchanged locally, accept remote change..
           if (b.hasOwnProperty(k)) {
@@ -206,6 +310,9 @@ export function actionMergeRemoteChanges(id, options = {}) {
   //  `graph.base()` --- ... --- `remoteGraph`
   //
   let action = function(graph) {
+    _conflicts = [];
+    _details = emptyDetails();
+
     const updates = { replacements: [], removeIDs: [] };
     const base = graph.base.entities.get(id);
     const local = localGraph.entity(id);
@@ -217,7 +324,7 @@ export function actionMergeRemoteChanges(id, options = {}) {
       if (strategy === 'force_remote') {
         return actionDeleteMultiple([id])(graph);
 
-      } else if (strategy === 'force_local') {
+      } else if (strategy === 'force_local' || strategy === 'custom') {
         if (target.type === 'way') {
           target = mergeChildren(target, utilArrayUniq(local.nodes), updates, graph);
           graph = updateChildren(updates, graph);
@@ -234,7 +341,7 @@ export function actionMergeRemoteChanges(id, options = {}) {
 
     // merge
     if (target.type === 'node') {
-      target = mergeLocation(remote, target);
+      target = mergeLocation(base, remote, target);
 
     } else if (target.type === 'way') {
       // pull in any child nodes that may not be present locally..
@@ -243,7 +350,7 @@ export function actionMergeRemoteChanges(id, options = {}) {
       target = mergeChildren(target, utilArrayUnion(local.nodes, remote.nodes), updates, graph);
 
     } else if (target.type === 'relation') {
-      target = mergeMembers(remote, target);
+      target = mergeMembers(base, remote, target);
     }
 
     target = mergeTags(base, remote, target);
@@ -261,5 +368,10 @@ export function actionMergeRemoteChanges(id, options = {}) {
   };
 
 
+  action.details = function() {
+    return _details;
+  };
+
+
   return action;
 }
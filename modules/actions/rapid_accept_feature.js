@@ -64,6 +64,7 @@ function removeMetadata(entity) {
     delete entity.__origid__;    // old
     delete entity.__service__;
     delete entity.__datasetid__;
+    delete entity.__origtags__;  // original tags, before any translation rules were applied
     delete entity.tags.conn;
     delete entity.tags.orig_id;
     delete entity.tags.debug_way_id;
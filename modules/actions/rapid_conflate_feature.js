@@ -0,0 +1,136 @@
+import { geoSphericalDistance } from '@rapid-sdk/math';
+
+import { osmNode } from '../osm/index.js';
+
+
+// Existing nodes that are tagged or connected to other features are only reused
+// if the suggested geometry has a vertex within this many meters of them.
+var ANCHOR_DISTANCE = 3;
+
+// These tags are used internally by the Rapid services and should never be merged.
+var METADATA_TAGS = ['conn', 'orig_id', 'debug_way_id', 'import', 'dupe'];
+
+
+function cleanTags(tags) {
+    var result = Object.assign({}, tags);
+    METADATA_TAGS.forEach(function(k) { delete result[k]; });
+    return result;
+}
+
+
+// Merge the tags and/or geometry of the external (Rapid) entity `entityID`
+// into the existing OSM entity `targetID`, instead of adding it as a new feature.
+//
+// `options.tags`      - if true, copy the suggested tags onto the target
+//                       (suggested values replace existing values for the same key)
+// `options.geometry`  - if true, reshape the target to match the suggested geometry
+//
+// When reshaping a way, the target's own nodes are reused (moved) where possible so
+// that their history is kept.  Nodes that are tagged or shared with other features
+// are only reused if they are already close to a suggested vertex, otherwise they
+// are left where they are and just removed from the way.
+export function actionRapidConflateFeature(entityID, extGraph, targetID, options) {
+    options = Object.assign({ tags: true, geometry: true }, options);
+
+    var action = function(graph) {
+        var extEntity = extGraph.entity(entityID);
+        var target = graph.entity(targetID);
+
+        if (options.geometry) {
+            if (target.type === 'node') {
+                graph = graph.replace(target.move(extEntity.loc));
+            } else if (target.type === 'way') {
+                graph = reshapeWay(graph, target, extEntity);
+            }
+            target = graph.entity(targetID);
+        }
+
+        if (options.tags) {
+            var tags = Object.assign({}, target.tags, cleanTags(extEntity.tags));
+            graph = graph.replace(target.update({ tags: tags }));
+        }
+
+        return graph;
+    };
+
+
+    function reshapeWay(graph, way, extWay) {
+        var available = new Map();   // Map<nodeID, {node, anchor}> - nodes that we may reuse
+        way.nodes.forEach(function(nodeID) {
+            if (available.has(nodeID)) return;
+            var node = graph.entity(nodeID);
+            var isAnchor = node.hasInterestingTags() ||
+                graph.parentWays(node).length > 1 ||
+                graph.parentRelations(node).length > 0;
+            available.set(nodeID, { node: node, anchor: isAnchor });
+        });
+
+        var oldNodeIDs = new Set(available.keys());
+        var replacements = new Map();   // Map<extNodeID, nodeID>
+
+        var nodeIDs = extWay.nodes.map(function(extNodeID) {
+            if (replacements.has(extNodeID)) return replacements.get(extNodeID);   // closed ways
+
+            // Prefer a nearby anchor, so that connections to other features are kept,
+            // otherwise take the closest of the untagged, unshared nodes.
+            var loc = extGraph.entity(extNodeID).loc;
+            var best = closest(loc, true, ANCHOR_DISTANCE) || closest(loc, false, Infinity);
+
+            var node;
+            if (best) {
+                available.delete(best.node.id);
+                node = best.node.move(loc);
+            } else {
+                node = osmNode({ loc: loc });
+            }
+
+            graph = graph.replace(node);
+            replacements.set(extNodeID, node.id);
+            return node.id;
+        });
+
+        graph = graph.replace(way.update({ nodes: nodeIDs }));
+
+        // Remove the unused old nodes that are no longer part of anything
+        oldNodeIDs.forEach(function(nodeID) {
+            var node = graph.entity(nodeID);
+            if (nodeIDs.indexOf(nodeID) !== -1) return;
+            if (node.hasInterestingTags() || graph.parentWays(node).length || graph.parentRelations(node).length) return;
+            graph = graph.remove(node);
+        });
+
+        return graph;
+
+
+        function closest(loc, anchor, maxDist) {
+            var result = null;
+            var min = maxDist;
+            available.forEach(function(candidate) {
+                if (candidate.anchor !== anchor) return;
+                var dist = geoSphericalDistance(candidate.node.loc, loc);
+                if (dist <= min) {
+                    result = candidate;
+                    min = dist;
+                }
+            });
+            return result;
+        }
+    }
+
+
+    action.disabled = function(graph) {
+        var extEntity = extGraph.hasEntity(entityID);
+        var target = graph.hasEntity(targetID);
+        if (!extEntity || !target) return 'not_eligible';
+
+        if (options.geometry) {
+            if (extEntity.type !== target.type) return 'not_eligible';
+            if (target.type === 'relation') return 'not_eligible';
+            if (target.type === 'way' && extEntity.isClosed() !== target.isClosed()) return 'not_eligible';
+        }
+        return false;
+    };
+
+
+    return action;
+}
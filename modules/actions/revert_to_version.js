@@ -0,0 +1,93 @@
+import { osmNode } from '../osm/index.js';
+
+
+// Restores the tags and geometry of entity `entityID` to those of an earlier
+// `version` of it, like the ones returned by `OsmService.loadEntityHistory()`.
+//
+// For ways, `options.nodes` (a Map of nodeID -> node) can give the nodes as they were
+// at the time of the earlier version.  Nodes that still exist are moved back to that
+// location, otherwise they keep their current location.  Nodes that no longer exist
+// are recreated as new nodes at that location, otherwise they are skipped.
+// Nodes that the way no longer uses are deleted if they were only part of the way
+// and have no interesting tags.
+//
+// This is a normal edit, so it can be undone like any other.
+export function actionRevertToVersion(entityID, version, options = {}) {
+
+  const action = function(graph) {
+    const entity = graph.entity(entityID);
+    const tags = Object.assign({}, version.tags);
+
+    if (entity.type === 'node') {
+      return graph.replace(entity.update({ loc: version.loc, tags: tags }));
+
+    } else if (entity.type === 'way') {
+      const recreated = new Map();   // Map(old nodeID -> new nodeID)
+      const nodeIDs = [];
+
+      for (const nodeID of version.nodes) {
+        const old = options.nodes?.get(nodeID);
+        const hasLoc = old?.loc && isFinite(old.loc[0]) && isFinite(old.loc[1]);
+
+        const existing = graph.hasEntity(nodeID);
+        if (existing) {
+          if (hasLoc && (existing.loc[0] !== old.loc[0] || existing.loc[1] !== old.loc[1])) {
+            graph = graph.replace(existing.move(old.loc));
+          }
+          nodeIDs.push(nodeID);
+          continue;
+        }
+
+        let newID = recreated.get(nodeID);
+        if (!newID) {
+          if (!hasLoc) continue;
+
+          const node = osmNode({ loc: old.loc, tags: Object.assign({}, old.tags) });
+          graph = graph.replace(node);
+          newID = node.id;
+          recreated.set(nodeID, newID);
+        }
+        nodeIDs.push(newID);
+      }
+
+      graph = graph.replace(entity.update({ nodes: nodeIDs, tags: tags }));
+
+      // Remove any nodes that are now unused
+      const keepIDs = new Set(nodeIDs);
+      for (const nodeID of new Set(entity.nodes)) {
+        if (keepIDs.has(nodeID)) continue;
+        const node = graph.hasEntity(nodeID);
+        if (!node || node.hasInterestingTags()) continue;
+        if (graph.parentWays(node).length || graph.parentRelations(node).length) continue;
+        graph = graph.remove(node);
+      }
+
+      return graph;
+
+    } else if (entity.type === 'relation') {
+      const members = version.members.map(member => Object.assign({}, member));
+      return graph.replace(entity.update({ members: members, tags: tags }));
+    }
+
+    return graph;
+  };
+
+
+  action.disabled = function(graph) {
+    const entity = graph.hasEntity(entityID);
+    if (!entity) {
+      return 'not_downloaded';
+    } else if (version.visible === false) {
+      return 'deleted';
+    } else if (entity.type !== version.type) {
+      return 'not_eligible';
+    } else if (entity.type === 'way') {
+      const available = version.nodes.filter(nodeID => graph.hasEntity(nodeID) || options.nodes?.get(nodeID)?.loc);
+      if (new Set(available).size < 2) return 'incomplete';
+    }
+    return false;
+  };
+
+
+  return action;
+}
@@ -10,6 +10,9 @@ import { AbstractBehavior } from './AbstractBehavior.js';
  *
  * If it's able to do this, it sends the lasso polygon data to the map ui layer
  * and on completeion enters select mode with the OSM features selected.
+ *
+ * If the Alt key is also held down, the lasso is instead used to accept all of
+ * the Rapid features inside it (see `RapidSystem.acceptFeatures`).
  */
 export class LassoBehavior extends AbstractBehavior {
 
@@ -22,6 +25,7 @@ export class LassoBehavior extends AbstractBehavior {
     this.id = 'lasso';
 
     this._lassoing = false;
+    this._rapidLasso = false;
     this._extent = null;
 
     this._coords = [];   // A series of lat/lon coords that we record while lassoing.
@@ -86,6 +90,7 @@ export class LassoBehavior extends AbstractBehavior {
 
     if (drawLasso) {
       this._lassoing = true;
+      this._rapidLasso = modifiers.has('Alt');
       const coord = map.mouseLoc();
       this._extent = new Extent(coord);
       this._coords.push(coord);
@@ -134,6 +139,19 @@ export class LassoBehavior extends AbstractBehavior {
 
     const mapUILayer = gfx.scene.layers.get('map-ui');
 
+    if (this._rapidLasso) {
+      const coords = this._coords;
+      this._coords = [];
+      mapUILayer.lassoData = null;
+      this._extent = null;
+
+      if (coords.length > 2) {
+        context.enter('browse');
+        context.systems.rapid.acceptFeatures(coords);
+      }
+      return;
+    }
+
     const ids = this._lassoed();
     this._coords = [];
     mapUILayer.lassoData = null;
@@ -114,6 +114,7 @@ export class MapInteractionBehavior extends AbstractBehavior {
     if (document.activeElement?.classList?.contains('preset-list-button')) return;
 
     const context = this.context;
+    const keymap = context.systems.keymap;
     const map = context.systems.map;
     const viewport = context.viewport;
     const EASE = 100;  // milliseconds
@@ -127,9 +128,9 @@ export class MapInteractionBehavior extends AbstractBehavior {
       const ROT_AMOUNT = 2.5 * DEG2RAD;   // ± 2.5°
       const t = viewport.transform.props;
       let delta;
-      if (e.key === 'ArrowLeft') {
+      if (keymap.matches('rotate_map_left', e)) {
         delta = -ROT_AMOUNT;
-      } else if (e.key === 'ArrowRight') {
+      } else if (keymap.matches('rotate_map_right', e)) {
         delta = ROT_AMOUNT;
       }
 
@@ -145,13 +146,13 @@ export class MapInteractionBehavior extends AbstractBehavior {
       const panMore = (e.altKey || e.metaKey || e.ctrlKey);  // pan more if modifier down
 
       let delta;
-      if (e.key === 'ArrowLeft') {
+      if (keymap.matches('pan_left', e)) {
         delta = panMore ? [w / 2, 0] : [PAN_AMOUNT, 0];
-      } else if (e.key === 'ArrowRight') {
+      } else if (keymap.matches('pan_right', e)) {
         delta = panMore ? [-w / 2, 0] : [-PAN_AMOUNT, 0];
-      } else if (e.key === 'ArrowUp') {
+      } else if (keymap.matches('pan_up', e)) {
         delta = panMore ? [0, h / 2] : [0, PAN_AMOUNT];
-      } else if (e.key === 'ArrowDown') {
+      } else if (keymap.matches('pan_down', e)) {
         delta = panMore ? [0, -h / 2] : [0, -PAN_AMOUNT];
       }
 
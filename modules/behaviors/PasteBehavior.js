@@ -8,7 +8,7 @@ import { utilDetect } from '../util/detect.js';
 
 
 /**
- * `PasteBehavior` listens for key event '⌘V' when pasting is allowed
+ * `PasteBehavior` listens for the paste key event (default '⌘V') when pasting is allowed
  */
 export class PasteBehavior extends AbstractBehavior {
 
@@ -59,9 +59,10 @@ export class PasteBehavior extends AbstractBehavior {
    * @param  `e`  A DOM KeyboardEvent
    */
   _keydown(e) {
+    const keymap = this.context.systems.keymap;
     const isMacOS = this._isMacOS;
     const modifier = (isMacOS && e.metaKey) || (!isMacOS && e.ctrlKey);
-    if (modifier && e.key === 'v') {
+    if (modifier && keymap.matches('paste', e)) {
       this._doPaste(e);
     }
   }
@@ -41,6 +41,7 @@ export class AssetSystem extends AbstractSystem {
         'locales':                   'data/locales.min.json',
         'phone_formats':             'data/phone_formats.min.json',
         'qa_data':                   'data/qa_data.min.json',
+        'rapid_translations':        'data/rapid_translations.min.json',
         'shortcuts':                 'data/shortcuts.min.json',
         'tagging_preset_overrides':  'data/preset_overrides.min.json',
         'territory_languages':       'data/territory_languages.min.json',
@@ -87,6 +88,7 @@ export class AssetSystem extends AbstractSystem {
         'locales':                   'data/locales.min.json',
         'phone_formats':             'data/phone_formats.min.json',
         'qa_data':                   'data/qa_data.min.json',
+        'rapid_translations':        'data/rapid_translations.min.json',
         'shortcuts':                 'data/shortcuts.min.json',
         'tagging_preset_overrides':  'data/preset_overrides.min.json',
         'territory_languages':       'data/territory_languages.min.json',
@@ -267,8 +269,7 @@ export class AssetSystem extends AbstractSystem {
 
     let loadPromise = this._inflight[url];
     if (!loadPromise) {
-      this._inflight[url] = loadPromise = fetch(url)
-        .then(utilFetchResponse)
+      this._inflight[url] = loadPromise = this._loadURLAsync(url)
         .then(result => {
           delete this._inflight[url];
           if (!result) {
@@ -286,4 +287,15 @@ export class AssetSystem extends AbstractSystem {
     return loadPromise;
   }
 
+
+  /**
+   * _loadURLAsync
+   * Fetches the file at the given URL.
+   * @param   {string}   url - URL of the file
+   * @return  {Promise}  Promise resolved with the data, see `utilFetchResponse`
+   */
+  _loadURLAsync(url) {
+    return fetch(url).then(utilFetchResponse);
+  }
+
 }
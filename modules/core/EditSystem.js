@@ -5,6 +5,7 @@ import debounce from 'lodash-es/debounce.js';
 
 import { AbstractSystem } from './AbstractSystem.js';
 import { Difference, Edit, Graph, Tree } from './lib/index.js';
+import { actionImportOsmChange } from '../actions/import_osm_change.js';
 import { osmEntity } from '../osm/entity.js';
 import { uiLoading } from '../ui/loading.js';
 
@@ -72,6 +73,13 @@ import { uiLoading } from '../ui/loading.js';
  *      Receives `prevIndex` and `currIndex`
  *   'merge'  - Fires when new base entities are merged into the base graph
  *   'backupstatuschange' - Fires when backup status changes, receives `true` if ok, `false` if failed
+ *
+ * Backups:
+ *   The user's edits are backed up to an "edit session" stored in `indexedDB` by the StorageSystem.
+ *   If `indexedDB` is unavailable, the StorageSystem keeps the edit sessions in memory instead.
+ *   Several edit sessions can be stored, each with its own history and base entities.
+ *   At startup the user can choose to resume, rename, or discard any stored session,
+ *   or start a new session and keep the stored ones for later.
  */
 export class EditSystem extends AbstractSystem {
 
@@ -88,6 +96,10 @@ export class EditSystem extends AbstractSystem {
     this._canRestoreBackup = false;
     this._hasWorkInProgress = false;
 
+    this._sessionID = null;     // edit session that backups are written to
+    this._sessionName = '';
+    this._sessionCreated = 0;
+
     this._history = [];     // history of accepted edits (both undo and redo) (was called "stack")
     this._index = 0;        // index of the latest `stable` edit
     this._staging = null;   // work in progress edit, not yet added to the history
@@ -125,13 +137,14 @@ export class EditSystem extends AbstractSystem {
     }
 
     this._reset();
+    this._startSession();
 
     const storage = this.context.systems.storage;
     const prerequisites = storage.initAsync();
 
     return this._initPromise = prerequisites
       .then(() => {
-        if (window.mocha) return;
+        if (window.mocha || this.context.headless) return;
 
         // Setup event handlers..
         window.addEventListener('beforeunload', e => {
@@ -144,8 +157,16 @@ export class EditSystem extends AbstractSystem {
 
         window.addEventListener('unload', () => this._mutex.unlock());
 
-        // changes are restorable if Rapid is not open in another window/tab and a backup exists in localStorage
-        this._canRestoreBackup = this._mutex.lock() && storage.hasItem(this._backupKey());
+        // changes are restorable if Rapid is not open in another window/tab and an edit session exists
+        if (!this._mutex.lock()) return;
+
+        return this._migrateLegacyBackupAsync()
+          .then(() => storage.getSessionsAsync())
+          .then(sessions => this._canRestoreBackup = sessions.length > 0)
+          .catch(e => {
+            console.error('Could not read the stored edit sessions', e);  // eslint-disable-line no-console
+            this._canRestoreBackup = false;
+          });
       });
   }
 
@@ -282,6 +303,15 @@ export class EditSystem extends AbstractSystem {
     return this._hasWorkInProgress;
   }
 
+  /**
+   * sessionID
+   * The edit session that backups are currently written to.
+   * @return {string}  The current edit session id
+   */
+  get sessionID() {
+    return this._sessionID;
+  }
+
 
   /**
    * perform
@@ -1166,7 +1196,7 @@ export class EditSystem extends AbstractSystem {
 
   /**
    * saveBackup
-   * Backup the user's edits to a JSON string in localStorage.
+   * Backup the user's edits to the current edit session in indexedDB.
    * This code runs occasionally as the user edits.
    */
   saveBackup() {
@@ -1181,12 +1211,24 @@ export class EditSystem extends AbstractSystem {
     const storage = context.systems.storage;
     const json = this.toJSON();
     if (json) {
+      const now = Date.now();
+      const session = {
+        id:       this._sessionID,
+        name:     this._sessionName,
+        created:  this._sessionCreated || now,
+        modified: now,
+        edits:    this._index,
+        json:     json
+      };
+
       // status will be `true` if the backup succeeded
-      const status = storage.setItem(this._backupKey(), json);
-      if (status !== this._backupStatus) {
-        this._backupStatus = status;
-        this.emit('backupstatuschange', this._backupStatus);
-      }
+      storage.setSessionAsync(session)
+        .then(status => {
+          if (status !== this._backupStatus) {
+            this._backupStatus = status;
+            this.emit('backupstatuschange', this._backupStatus);
+          }
+        });
     }
   }
 
@@ -1203,32 +1245,228 @@ export class EditSystem extends AbstractSystem {
   }
 
 
+  /**
+   * importOsmChangeAsync
+   * Replay the changes in an osmChange document (like the ones made by the "Download" tool)
+   *  as a single annotated edit.
+   * The base versions of any modified or deleted entities, and the child nodes of any ways,
+   *  are loaded from the OSM API first, so that they appear as modifications and not creations.
+   * Entities that can't be loaded (or that depend on nodes that can't be loaded) are skipped.
+   *
+   * @param  {Document}  xml - XML Document containing an `osmChange` element
+   * @return {Promise}   Promise resolved with an Object containing counts of the
+   *   `created`, `modified`, `deleted`, and `skipped` entities, and the `entityIDs` of the
+   *   created and modified entities
+   */
+  importOsmChangeAsync(xml) {
+    const context = this.context;
+    const l10n = context.systems.l10n;
+    const osm = context.services.osm;
+
+    if (!osm) {
+      return Promise.reject(new Error('No OSM service'));
+    }
+
+    let change;
+    try {
+      change = osm.parseOsmChange(xml);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    let loading;
+    if (!window.mocha) {
+      loading = uiLoading(context).blocking(true);
+      context.container().call(loading);   // block ui
+    }
+
+    // Which base entities do we need to have?
+    const baseGraph = this.base.graph;
+    const createdIDs = new Set(change.created.map(entity => entity.id));
+    const missingIDs = new Set();
+
+    for (const entity of [...change.modified, ...change.deleted]) {
+      if (!baseGraph.hasEntity(entity.id)) {
+        missingIDs.add(entity.id);
+      }
+    }
+    for (const entity of [...change.created, ...change.modified]) {
+      for (const nodeID of entity.nodes ?? []) {
+        if (!createdIDs.has(nodeID) && !baseGraph.hasEntity(nodeID)) {
+          missingIDs.add(nodeID);
+        }
+      }
+    }
+
+    // Load missing entities from the OSM API
+    // watch out: the callback may be called multiple times..
+    // If any request fails, stop waiting and skip whatever hasn't arrived.
+    const _loadMissingEntitiesAsync = () => {
+      return new Promise(resolve => {
+        if (!missingIDs.size) {
+          resolve();
+          return;
+        }
+
+        let done = false;
+        osm.loadMultiple(missingIDs, (err, result) => {
+          if (done) return;
+
+          if (!err) {
+            const visibles = result.data.filter(entity => entity.visible);   // skip deleted entities
+            for (const entity of result.data) {
+              missingIDs.delete(entity.id);
+            }
+            this.merge(visibles);
+          }
+
+          if (err || !missingIDs.size) {   // are we done?
+            done = true;
+            resolve();
+          }
+        });
+      });
+    };
+
+
+    return _loadMissingEntitiesAsync()
+      .then(() => {
+        const graph = this.base.graph;
+        const hasNodes = entity => (entity.nodes ?? []).every(nodeID => createdIDs.has(nodeID) || graph.hasEntity(nodeID));
+        const created = change.created.filter(hasNodes);
+        const modified = change.modified.filter(entity => graph.hasEntity(entity.id) && hasNodes(entity));
+        const deleted = change.deleted.filter(entity => graph.hasEntity(entity.id));
+
+        const result = {
+          created: created.length,
+          modified: modified.length,
+          deleted: deleted.length,
+          skipped: change.created.length + change.modified.length + change.deleted.length
+            - created.length - modified.length - deleted.length,
+          entityIDs: []
+        };
+
+        const total = result.created + result.modified + result.deleted;
+        if (total > 0) {
+          const action = actionImportOsmChange({ created: created, modified: modified, deleted: deleted });
+          this.perform(action);
+          this.commit({
+            annotation: l10n.t('import_osc.annotation', { n: total }),
+            selectedIDs: []
+          });
+
+          const idMap = action.idMap();
+          const createdIDs = created.map(entity => idMap[entity.id]).filter(Boolean);   // some ways may not be created
+          result.entityIDs = [...createdIDs, ...modified.map(entity => entity.id)];
+        }
+
+        return result;
+      })
+      .finally(() => loading?.close());   // unblock ui
+  }
+
+
+  /**
+   * getBackupsAsync
+   * Returns a summary of the stored edit sessions, most recently modified first.
+   * The summaries contain everything except the stored history itself.
+   * @return  {Promise}  Promise resolved with an Array of edit session summaries
+   */
+  getBackupsAsync() {
+    const storage = this.context.systems.storage;
+    return storage.getSessionsAsync()
+      .then(sessions => sessions.map(session => utilObjectOmit(session, ['json'])));
+  }
+
+
   /**
    * restoreBackup
-   * Restore the user's backup from localStorage.
+   * Restore one of the user's edit sessions from indexedDB.
+   * Further backups will be written to the restored session.
    * This happens when:
-   * - The user chooses to "Restore my changes" from the restore screen
+   * - The user chooses to "Resume" an edit session from the restore screen
+   * @param   {string?}  sessionID - The edit session to restore, if not supplied restore the most recent one
+   * @return  {Promise}  Promise resolved when the restore process is complete
    */
-  restoreBackup() {
+  restoreBackup(sessionID) {
     this._canRestoreBackup = false;
 
-    if (!this._mutex.locked()) return;  // another browser tab owns the history
+    if (!this._mutex.locked()) return Promise.resolve();  // another browser tab owns the history
 
     const context = this.context;
     const storage = context.systems.storage;
-    const json = storage.getItem(this._backupKey());
-    if (json) {
-      context.resetAsync()
-        .then(() => this.fromJSONAsync(json));
+
+    return storage.getSessionsAsync()
+      .then(sessions => {
+        const session = sessionID ? sessions.find(s => s.id === sessionID) : sessions[0];
+        if (!session?.json) return;
+
+        this._sessionID = session.id;
+        this._sessionName = session.name ?? '';
+        this._sessionCreated = session.created ?? Date.now();
+
+        return context.resetAsync()
+          .then(() => this.fromJSONAsync(session.json));
+      });
+  }
+
+
+  /**
+   * renameBackupAsync
+   * Give a stored edit session a new name.
+   * @param   {string}   sessionID - The edit session to rename
+   * @param   {string}   name - The new name, may be empty
+   * @return  {Promise}  Promise resolved when the edit session has been renamed
+   */
+  renameBackupAsync(sessionID, name = '') {
+    if (sessionID === this._sessionID) {
+      this._sessionName = name;
     }
+
+    const storage = this.context.systems.storage;
+    return storage.getSessionAsync(sessionID)
+      .then(session => {
+        if (!session) return;
+        session.name = name;
+        return storage.setSessionAsync(session);
+      });
+  }
+
+
+  /**
+   * removeBackupAsync
+   * Discard a stored edit session.
+   * This happens when:
+   * - The user chooses to "Discard" an edit session from the restore screen
+   * @param   {string}   sessionID - The edit session to discard
+   * @return  {Promise}  Promise resolved when the edit session has been removed
+   */
+  removeBackupAsync(sessionID) {
+    if (!this._mutex.locked()) return Promise.resolve();  // another browser tab owns the history
+
+    const storage = this.context.systems.storage;
+    return storage.removeSessionAsync(sessionID);
+  }
+
+
+  /**
+   * startNewSession
+   * Decline to restore any of the stored edit sessions, and keep them for later.
+   * Further backups will be written to a new edit session.
+   * This happens when:
+   * - The user chooses to "Start a new session" from the restore screen
+   */
+  startNewSession() {
+    this._canRestoreBackup = false;
+    this._startSession();
   }
 
 
   /**
    * clearBackup
-   * Remove any backup stored in localStorage.
+   * Remove the current edit session from storage.
+   * Further backups will be written to a new edit session.
    * This happens when:
-   * - The user chooses to "Discard my changes" from the restore screen
    * - The user switches sources with the source switcher
    * - A changeset is inflight, we remove it to prevent the user from restoring duplicate edits
    */
@@ -1239,7 +1477,8 @@ export class EditSystem extends AbstractSystem {
     if (!this._mutex.locked()) return;  // another browser tab owns the history
 
     const storage = this.context.systems.storage;
-    storage.removeItem(this._backupKey());
+    storage.removeSessionAsync(this._sessionID);
+    this._startSession();
 
     // clear the changeset metadata associated with the saved history
     storage.removeItem('comment');
@@ -1248,9 +1487,59 @@ export class EditSystem extends AbstractSystem {
   }
 
 
+  /**
+   * _startSession
+   * Start a new edit session that further backups will be written to.
+   */
+  _startSession() {
+    const now = Date.now();
+    this._sessionID = now.toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+    this._sessionName = '';
+    this._sessionCreated = now;
+  }
+
+
+  /**
+   * _migrateLegacyBackupAsync
+   * Older versions of Rapid kept a single backup in localStorage.
+   * If one exists, move it into an edit session and remove it from localStorage.
+   * @return  {Promise}  Promise resolved when the migration is complete
+   */
+  _migrateLegacyBackupAsync() {
+    const storage = this.context.systems.storage;
+    const key = this._backupKey();
+    const json = storage.getItem(key);
+    if (!json) return Promise.resolve();
+
+    let backup;
+    try {
+      backup = JSON.parse(json);
+    } catch (e) {
+      storage.removeItem(key);   // unreadable, nothing to migrate
+      return Promise.resolve();
+    }
+
+    const timestamp = backup.timestamp ?? Date.now();
+    const session = {
+      id:       'legacy-' + timestamp.toString(36),
+      name:     '',
+      created:  timestamp,
+      modified: timestamp,
+      edits:    backup.index ?? 0,
+      json:     json
+    };
+
+    // Only remove it if it was really saved, a session kept in memory will be lost on reload
+    return storage.setSessionAsync(session)
+      .then(status => {
+        if (status && storage.persistsSessions) storage.removeItem(key);
+      });
+  }
+
+
   /**
    * _backupKey
-   * Generate a key used to store/retrieve backup edits.
+   * Generate the key that older versions of Rapid used to store backup edits in localStorage.
    * It uses `window.location.origin` avoid conflicts with other instances of Rapid.
    * @return {string}  The key used to store/retrieve backup edits in localStorage
    */
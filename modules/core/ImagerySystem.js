@@ -1,4 +1,5 @@
-import { geoMetersToOffset, geoOffsetToMeters } from '@rapid-sdk/math';
+import { geoMetersToOffset, geoOffsetToMeters, numClamp, vecEqual } from '@rapid-sdk/math';
+import { utilArrayIdentical } from '@rapid-sdk/util';
 import whichPolygon from 'which-polygon';
 
 import { AbstractSystem } from './AbstractSystem.js';
@@ -13,11 +14,14 @@ import {
  *
  * Properties available:
  *   `offset`
+ *   `transform`
+ *   `alignmentPoints`
  *   `brightness`
  *   `contrast`
  *   `saturation`
  *   `sharpness`
  *   `numGridSplits`
+ *   `swipePosition`
  *
  * Events available:
  *   `imagerychange`     Fires on any change in imagery or display options
@@ -37,6 +41,8 @@ export class ImagerySystem extends AbstractSystem {
     this._imageryIndex = null;
     this._baseLayer = null;
     this._overlayLayers = new Map();   // Map (sourceID -> source)
+    this._compareLayer = null;         // a second base layer to compare with, shown right of the swipe divider
+    this._swipePosition = 0.5;         // where the swipe divider is, as a fraction of the map width
     this._checkedBlocklists = [];
     this._isValid = true;    // todo, find a new way to check this, no d3 enter/update render anymore
 
@@ -93,6 +99,7 @@ export class ImagerySystem extends AbstractSystem {
         return assets.loadAssetAsync(imageryAsset);
       })
       .then(data => this._initImageryIndex(data))
+      .then(() => this._loadAlignments())
       .then(() => this._initWaybackAsync());
       // .catch(e => {
         // if (e instanceof Error) console.error(e);  // eslint-disable-line no-console
@@ -188,6 +195,58 @@ export class ImagerySystem extends AbstractSystem {
   }
 
 
+  /**
+   * _loadAlignments
+   * Restore the alignments that the user has saved for the imagery sources
+   */
+  _loadAlignments() {
+    const storage = this.context.systems.storage;
+    try {
+      const alignments = JSON.parse(storage.getItem('background-alignments') ?? '{}');
+      for (const [sourceID, d] of Object.entries(alignments)) {
+        const source = this.getSourceByID(sourceID);
+        if (!source) continue;
+        source.offset = d.offset ?? [0, 0];
+        source.transform = d.transform ?? null;
+        source.alignmentPoints = d.points ?? [];
+      }
+    } catch (e) {
+      console.warn(`Could not restore imagery alignments: ${e.message}`);  // eslint-disable-line no-console
+    }
+  }
+
+
+  /**
+   * _saveAlignment
+   * Save the alignment of an imagery source, so it is used again next time.
+   * This includes a plain offset (e.g. from nudging the imagery), so every alignment is remembered per source.
+   * @param  {ImagerySource}  source
+   */
+  _saveAlignment(source) {
+    if (this.context.inIntro) return;
+
+    const storage = this.context.systems.storage;
+    let alignments;
+    try {
+      alignments = JSON.parse(storage.getItem('background-alignments') ?? '{}');
+    } catch (e) {
+      alignments = {};
+    }
+
+    if (source.transform || source.alignmentPoints.length || !vecEqual(source.offset, [0, 0])) {
+      alignments[source.id] = { offset: source.offset, transform: source.transform, points: source.alignmentPoints };
+    } else {
+      delete alignments[source.id];
+    }
+
+    if (Object.keys(alignments).length) {
+      storage.setItem('background-alignments', JSON.stringify(alignments));
+    } else {
+      storage.removeItem('background-alignments');
+    }
+  }
+
+
   /**
    * _initWaybackAsync
    * Fetch all available Wayback imagery sources and load them into the special Wayback source.
@@ -255,17 +314,32 @@ export class ImagerySystem extends AbstractSystem {
       this.enableOverlayLayers(toEnableIDs);
     }
 
+    // compare
+    const newCompare = currParams.get('compare');
+    const oldCompare = prevParams.get('compare');
+    if (newCompare !== oldCompare) {
+      this.setCompareSourceByID(typeof newCompare === 'string' ? newCompare : null);
+    }
+
     // offset
+    // (skip it if the base layer already has this alignment, e.g. restored from storage, to keep its control points)
     const newOffset = currParams.get('offset');
     const oldOffset = prevParams.get('offset');
-    if (newOffset !== oldOffset) {
-      let x, y;
+    if (newOffset !== oldOffset && newOffset !== (this._offsetParam(this._baseLayer) ?? undefined)) {
+      let vals = [];
       if (typeof newOffset === 'string') {
-        [x, y] = newOffset.replace(/;/g, ',').split(',').map(s => s.trim()).map(Number);
+        vals = newOffset.replace(/;/g, ',').split(',').map(s => s.trim()).map(Number);
       }
+      let [x, y] = vals;
       if (isNaN(x) || !isFinite(x)) x = 0;
       if (isNaN(y) || !isFinite(y)) y = 0;
-      this.offset = geoMetersToOffset([x, y]);
+
+      // Imagery aligned with control points may also have a transform, see `_imageryChanged`
+      let transform = null;
+      if (vals.length === 8 && vals.every(isFinite)) {
+        transform = { matrix: vals.slice(2, 6), anchor: vals.slice(6, 8) };
+      }
+      this.setAlignment(geoMetersToOffset([x, y]), transform);
     }
   }
 
@@ -292,16 +366,36 @@ export class ImagerySystem extends AbstractSystem {
       overlayIDs.push(overlay.id);
     }
 
-    // Update hash params: 'background', 'overlays', 'offset'
+    // Update hash params: 'background', 'overlays', 'compare', 'offset'
     const urlhash = this.context.systems.urlhash;
     urlhash.setParam('background', baseLayerID);
     urlhash.setParam('overlays', overlayIDs.length ? overlayIDs.join(',') : null);
+    urlhash.setParam('compare', this._compareLayer?.key ?? null);
+    urlhash.setParam('offset', this._offsetParam(baseLayer));
+  }
+
 
-    const meters = geoOffsetToMeters(baseLayer.offset);
+  /**
+   * _offsetParam
+   * Returns the value of the `offset` url parameter for the alignment of an imagery source
+   * @param   {ImagerySource}  source
+   * @return  {string}  like `east,north` or `east,north,a,b,c,d,lon,lat`, or `null` if it is not offset
+   */
+  _offsetParam(source) {
+    if (!source) return null;
+
+    const meters = geoOffsetToMeters(source.offset);
     const EPSILON = 0.01;
     const x = +meters[0].toFixed(2);
     const y = +meters[1].toFixed(2);
-    urlhash.setParam('offset', (Math.abs(x) > EPSILON || Math.abs(y) > EPSILON) ? `${x},${y}` : null);
+    const transform = source.transform;
+    if (transform) {   // `east,north,a,b,c,d,lon,lat`
+      const matrix = transform.matrix.map(n => +n.toFixed(6));
+      const anchor = transform.anchor.map(n => +n.toFixed(6));
+      return [x, y, ...matrix, ...anchor].join(',');
+    } else {
+      return (Math.abs(x) > EPSILON || Math.abs(y) > EPSILON) ? `${x},${y}` : null;
+    }
   }
 
 
@@ -328,6 +422,12 @@ export class ImagerySystem extends AbstractSystem {
       }
     }
 
+    // Gather info about the imagery being compared with, if any
+    const compareUsed = this._compareLayer?.imageryUsed;
+    if (compareUsed) {
+      result.add(compareUsed);
+    }
+
     return Array.from(result);
   }
 
@@ -479,6 +579,72 @@ export class ImagerySystem extends AbstractSystem {
   }
 
 
+  /**
+   * compareLayerSource
+   * Gets or sets the imagery source to compare the base layer with.
+   * It is shown on the right side of the swipe divider, and the base layer on the left side.
+   * @param   {ImagerySource?}  source - The `ImagerySource` to compare with, or `null` to stop comparing
+   * @return  {ImagerySource?|this}  The current source to compare with when getting, `this` when setting
+   */
+  compareLayerSource(source) {
+    if (!arguments.length) return this._compareLayer;
+
+    if (source?.isBlocked || source?.id === 'none') {
+      source = null;
+    }
+    if (source === this._compareLayer) return this;  // no change
+
+    this._compareLayer = source ?? null;
+    this._imageryChanged();
+    this.emit('imagerychange');
+    return this;
+  }
+
+
+  /**
+   * setCompareSourceByID
+   * Compares the base layer with the source with the given `sourceID`
+   * This function will correctly handle IDs like `EsriWayback_<DATE>`,
+   * so that the base layer can be compared with another date of the Wayback imagery.
+   * @param   {string?}  sourceID -  The sourceID to compare with, or `null` to stop comparing
+   */
+  setCompareSourceByID(sourceID) {
+    if (!this._imageryIndex) return;   // called before init()?
+    if (!sourceID) {
+      this.compareLayerSource(null);
+      return;
+    }
+
+    let date;
+    const match = sourceID.match(/^EsriWayback\_?(.*)$/i);   // get start date, if any
+    if (match) {
+      sourceID = 'EsriWayback';
+      date = match[1];
+    }
+
+    let source = this.getSourceByID(sourceID);
+    if (source && date) {
+      source = source.atDate(date);
+    }
+    this.compareLayerSource(source ?? null);
+  }
+
+
+  /**
+   * swipePosition
+   * set/get where the swipe divider is when comparing imagery, as a fraction of the map width (0 - 1)
+   */
+  get swipePosition() {
+    return this._swipePosition;
+  }
+  set swipePosition(val = 0.5) {
+    val = numClamp(val, 0, 1);
+    if (val === this._swipePosition) return;  // no change
+    this._swipePosition = val;
+    this.emit('imagerychange');
+  }
+
+
   /**
    *
    */
@@ -538,6 +704,7 @@ export class ImagerySystem extends AbstractSystem {
   /**
    * nudge
    * nudge offset, in delta pixels [dx,dy]
+   * The new offset is remembered for the imagery source (see `_saveAlignment`).
    * @param  delta  pixels to nudge, as [dx, dy]
    * @param  zoom   the current zoom
    */
@@ -545,8 +712,7 @@ export class ImagerySystem extends AbstractSystem {
     if (this._baseLayer) {
       const zoom = this.context.viewport.transform.zoom;
       this._baseLayer.nudge(delta, zoom);
-      this._imageryChanged();
-      this.emit('imagerychange');
+      this._alignmentChanged();
     }
   }
 
@@ -554,6 +720,8 @@ export class ImagerySystem extends AbstractSystem {
   /**
    * offset
    * set/get offset, in pixels [x,y]
+   * Setting the offset directly removes the control points, because the imagery isn't aligned with them anymore.
+   * The offset is remembered for the imagery source (see `_saveAlignment`).
    */
   get offset() {
     return this._baseLayer?.offset || [0, 0];
@@ -564,11 +732,121 @@ export class ImagerySystem extends AbstractSystem {
 
     if (this._baseLayer) {
       this._baseLayer.offset = [setX, setY];
-      this._imageryChanged();
-      this.emit('imagerychange');
+      this._baseLayer.alignmentPoints = [];
+      this._alignmentChanged();
     }
   }
 
+
+  /**
+   * transform
+   * get the rotation, scale, and skew of the base layer, like `{ anchor: [lon, lat], matrix: [a, b, c, d] }`
+   * (see `ImagerySource.alignedLoc`), or `null` if it only has an offset
+   * @readonly
+   */
+  get transform() {
+    return this._baseLayer?.transform ?? null;
+  }
+
+
+  /**
+   * setAlignment
+   * Sets both the offset and the transform of the base layer (e.g. from the `offset` url parameter).
+   * This removes the control points, because the imagery isn't aligned with them anymore.
+   * @param  {Array}   offset - offset in pixels [x,y]
+   * @param  {Object}  transform - rotation, scale, and skew, like `{ anchor: [lon, lat], matrix: [a, b, c, d] }`, or `null`
+   */
+  setAlignment(offset = [0, 0], transform = null) {
+    const source = this._baseLayer;
+    if (!source) return;
+
+    const sameTransform = (!transform && !source.transform) || (transform && source.transform &&
+      utilArrayIdentical(transform.anchor, source.transform.anchor) &&
+      utilArrayIdentical(transform.matrix, source.transform.matrix));
+    if (sameTransform && vecEqual(offset, source.offset)) return;  // no change
+
+    source.offset = offset.slice();
+    source.transform = transform && { anchor: transform.anchor.slice(), matrix: transform.matrix.slice() };
+    source.alignmentPoints = [];
+    this._alignmentChanged();
+  }
+
+
+  /**
+   * alignmentPoints
+   * The control points that the base layer is aligned with, like `{ imagery: [lon, lat], reference: [lon, lat] }`.
+   * `imagery` is where the point is in the unaligned imagery and `reference` is where it really is.
+   * @readonly
+   */
+  get alignmentPoints() {
+    return this._baseLayer?.alignmentPoints ?? [];
+  }
+
+
+  /**
+   * alignmentErrors
+   * @return  {Array<number>}  How far, in meters, each control point is drawn from its reference location
+   */
+  alignmentErrors() {
+    return this._baseLayer?.alignmentErrors() ?? [];
+  }
+
+
+  /**
+   * addAlignmentPoint
+   * Adds a control point and aligns the base layer with all of them.
+   * @param  {Array}  imageryLoc - `[lon, lat]` where a feature is drawn in the imagery now
+   * @param  {Array}  referenceLoc - `[lon, lat]` where the feature really is, from a GPS trace or the OSM data
+   */
+  addAlignmentPoint(imageryLoc, referenceLoc) {
+    const source = this._baseLayer;
+    if (!source) return;
+
+    source.alignmentPoints.push({ imagery: source.unalignedLoc(imageryLoc), reference: referenceLoc.slice() });
+    source.fitAlignment();
+    this._alignmentChanged();
+  }
+
+
+  /**
+   * removeAlignmentPoint
+   * Removes a control point and aligns the base layer with the rest of them.
+   * @param  {number}  index - index of the control point in `alignmentPoints`
+   */
+  removeAlignmentPoint(index) {
+    const source = this._baseLayer;
+    if (!source || !source.alignmentPoints[index]) return;
+
+    source.alignmentPoints.splice(index, 1);
+    source.fitAlignment();
+    this._alignmentChanged();
+  }
+
+
+  /**
+   * resetAlignment
+   * Removes the offset, transform, and control points of the base layer
+   */
+  resetAlignment() {
+    const source = this._baseLayer;
+    if (!source) return;
+
+    source.alignmentPoints = [];
+    source.fitAlignment();
+    this._alignmentChanged();
+  }
+
+
+  /**
+   * _alignmentChanged
+   * Called whenever the alignment of the base layer changes, to save it and update the urlhash
+   */
+  _alignmentChanged() {
+    this._saveAlignment(this._baseLayer);
+    this._imageryChanged();
+    this.emit('imagerychange');
+  }
+
   /**
    * brightness
    * set/get brightness
@@ -0,0 +1,344 @@
+import { AbstractSystem } from './AbstractSystem.js';
+import { utilKeybinding } from '../util/keybinding.js';
+
+
+// The commands that the user can assign a different key to.
+// By default, the key for each command comes from the `shortcuts.command.<id>.key` string,
+// so translators can choose keys that work on their keyboard layouts.
+// `modifiers` - modifier keys that the command is always used with, the user can only change the key
+// `scopes`    - where the command can be used, commands in the same scope can't share a key
+//   'global'  - anywhere (this overlaps every other scope)
+//   'select'  - while OSM features are selected
+//   'rapid'   - while a Rapid feature is selected
+// `alternates` - (optional) other key combos that also work, as long as the command has its default key
+const COMMANDS = new Map([
+  ['pan_left',                  { modifiers: '',   scopes: ['global'] }],
+  ['pan_right',                 { modifiers: '',   scopes: ['global'] }],
+  ['pan_up',                    { modifiers: '',   scopes: ['global'] }],
+  ['pan_down',                  { modifiers: '',   scopes: ['global'] }],
+  ['zoom_in',                   { modifiers: '',   scopes: ['global'], alternates: ['ffplus', '=', 'ffequals', '≠', '±'] }],
+  ['zoom_out',                  { modifiers: '',   scopes: ['global'], alternates: ['_', 'ffminus', 'dash', '–', '—'] }],
+  ['rotate_map_left',           { modifiers: '⇧',  scopes: ['global'] }],
+  ['rotate_map_right',          { modifiers: '⇧',  scopes: ['global'] }],
+  ['zoom_to',                   { modifiers: '',   scopes: ['global'] }],
+  ['accept_feature',            { modifiers: '',   scopes: ['rapid'] }],
+  ['ignore_feature',            { modifiers: '',   scopes: ['rapid'] }],
+  ['add_point',                 { modifiers: '',   scopes: ['global'] }],
+  ['add_line',                  { modifiers: '',   scopes: ['global'] }],
+  ['add_area',                  { modifiers: '',   scopes: ['global'] }],
+  ['add_note',                  { modifiers: '',   scopes: ['global'] }],
+  ['copy',                      { modifiers: '⌘',  scopes: ['select'] }],
+  ['paste',                     { modifiers: '⌘',  scopes: ['global'] }],
+  ['undo',                      { modifiers: '⌘',  scopes: ['global'] }],
+  ['redo',                      { modifiers: '⌘⇧', scopes: ['global'] }],
+  ['save',                      { modifiers: '⌘',  scopes: ['global'] }],
+  ['find',                      { modifiers: '⌘',  scopes: ['global'] }],
+  ['move',                      { modifiers: '',   scopes: ['select', 'rapid'] }],
+  ['rotate',                    { modifiers: '',   scopes: ['select', 'rapid'] }],
+  ['orthogonalize',             { modifiers: '',   scopes: ['select'] }],
+  ['straighten',                { modifiers: '',   scopes: ['select'] }],
+  ['circularize',               { modifiers: '',   scopes: ['select'] }],
+  ['continue_line',             { modifiers: '',   scopes: ['select'] }],
+  ['merge',                     { modifiers: '',   scopes: ['select'] }],
+  ['disconnect',                { modifiers: '',   scopes: ['select'] }],
+  ['extract',                   { modifiers: '',   scopes: ['select'] }],
+  ['split',                     { modifiers: '',   scopes: ['select'] }],
+  ['reverse',                   { modifiers: '',   scopes: ['select'] }],
+  ['reflect_long',              { modifiers: '',   scopes: ['select'] }],
+  ['reflect_short',             { modifiers: '',   scopes: ['select'] }],
+  ['delete',                    { modifiers: '⌘',  scopes: ['select'], alternates: ['⌘⌦', '⌦'] }],
+  ['downgrade',                 { modifiers: '',   scopes: ['select'] }],
+  ['cycle_highway_tag',         { modifiers: '⇧',  scopes: ['select'] }],
+  ['toggle_help',               { modifiers: '',   scopes: ['global'] }],
+  ['keyboard_shortcuts',        { modifiers: '',   scopes: ['global'] }],
+  ['command_palette',           { modifiers: '⌘',  scopes: ['global'] }],
+  ['toggle_background',         { modifiers: '',   scopes: ['global'] }],
+  ['background_switch',         { modifiers: '⌘',  scopes: ['global'] }],
+  ['background_previous',       { modifiers: '',   scopes: ['global'] }],
+  ['background_next',           { modifiers: '',   scopes: ['global'] }],
+  ['toggle_map_data',           { modifiers: '',   scopes: ['global'] }],
+  ['toggle_issues',             { modifiers: '',   scopes: ['global'] }],
+  ['toggle_preferences',        { modifiers: '',   scopes: ['global'] }],
+  ['toggle_inspector',          { modifiers: '',   scopes: ['global'] }],
+  ['wireframe',                 { modifiers: '',   scopes: ['global'] }],
+  ['highlight_edits',           { modifiers: '',   scopes: ['global'] }],
+  ['toggle_minimap',            { modifiers: '',   scopes: ['global'] }],
+  ['toggle_3dmap',              { modifiers: '⌘',  scopes: ['global'] }],
+  ['toggle_all_layers',         { modifiers: '⇧',  scopes: ['global'] }],
+  ['toggle_osm_data',           { modifiers: '⇧',  scopes: ['global'] }],
+  ['toggle_osm_notes',          { modifiers: '⇧',  scopes: ['global'] }],
+  ['toggle_rapid_data',         { modifiers: '⇧',  scopes: ['global'] }],
+  ['toggle_mapillary',          { modifiers: '⇧',  scopes: ['global'] }],
+  ['toggle_streetside',         { modifiers: '⇧',  scopes: ['global'] }],
+  ['toggle_kartaview',          { modifiers: '⇧',  scopes: ['global'] }],
+  ['toggle_all_cards',          { modifiers: '⌘',  scopes: ['global'] }],
+  ['toggle_background_card',    { modifiers: '⌘⇧', scopes: ['global'] }],
+  ['toggle_history_card',       { modifiers: '⌘⇧', scopes: ['global'] }],
+  ['toggle_location_card',      { modifiers: '⌘⇧', scopes: ['global'] }],
+  ['toggle_measurement_card',   { modifiers: '⌘⇧', scopes: ['global'] }],
+  ['toggle_rapid_report_card',  { modifiers: '⌘⇧', scopes: ['global'] }],
+  ['toggle_routing_card',       { modifiers: '⌘⇧', scopes: ['global'] }]
+]);
+
+
+/**
+ * `KeymapSystem` maintains the keys used for the keyboard shortcuts.
+ * Users may assign different keys to the commands, for example if the default keys
+ *  are hard to reach on their keyboard layout.  These are saved in the `StorageSystem`.
+ * Components should get their keys with `key()`, and bind them again on `keymapchange`.
+ *
+ * Events available:
+ *   `keymapchange`   Fires whenever the user assigns a different key to a command
+ */
+export class KeymapSystem extends AbstractSystem {
+
+  /**
+   * @constructor
+   * @param  context  Global shared application context
+   */
+  constructor(context) {
+    super(context);
+    this.id = 'keymap';
+    this.dependencies = new Set(['l10n', 'storage']);
+
+    this._keys = new Map();   // Map(commandID -> key) of keys that the user has assigned
+    this._initPromise = null;
+  }
+
+
+  /**
+   * initAsync
+   * Called after all core objects have been constructed.
+   * @return {Promise} Promise resolved when this component has completed initialization
+   */
+  initAsync() {
+    if (this._initPromise) return this._initPromise;
+
+    for (const id of this.dependencies) {
+      if (!this.context.systems[id]) {
+        return Promise.reject(`Cannot init:  ${this.id} requires ${id}`);
+      }
+    }
+
+    const storage = this.context.systems.storage;
+    let stored;
+    try {
+      stored = JSON.parse(storage.getItem('prefs.keybindings')) ?? {};
+    } catch (e) {
+      stored = {};
+    }
+
+    this._keys.clear();
+    for (const [commandID, key] of Object.entries(stored)) {
+      if (COMMANDS.has(commandID) && typeof key === 'string' && key) {
+        this._keys.set(commandID, key);
+      }
+    }
+
+    return this._initPromise = Promise.resolve();
+  }
+
+
+  /**
+   * startAsync
+   * Called after all core objects have been initialized.
+   * @return {Promise} Promise resolved when this component has completed startup
+   */
+  startAsync() {
+    this._started = true;
+    return Promise.resolve();
+  }
+
+
+  /**
+   * resetAsync
+   * Called after completing an edit session to reset any internal state
+   * @return {Promise} Promise resolved when this component has completed resetting
+   */
+  resetAsync() {
+    return Promise.resolve();
+  }
+
+
+  /**
+   * commands
+   * The ids of the commands that can be assigned a different key
+   * @readonly
+   */
+  get commands() {
+    return [...COMMANDS.keys()];
+  }
+
+
+  /**
+   * key
+   * Returns the key currently used for the given command,
+   *  which is the key that the user assigned to it, or else its default key.
+   * @param   {string}  commandID - the command, for example 'split'
+   * @return  {string}  the key, for example 'X'
+   */
+  key(commandID) {
+    return this._keys.get(commandID) ?? this.defaultKey(commandID);
+  }
+
+
+  /**
+   * defaultKey
+   * Returns the default key for the given command, from the `shortcuts.command.<id>.key` string
+   * @param   {string}  commandID - the command, for example 'split'
+   * @return  {string}  the key, for example 'X'
+   */
+  defaultKey(commandID) {
+    const l10n = this.context.systems.l10n;
+    return l10n.t(`shortcuts.command.${commandID}.key`);
+  }
+
+
+  /**
+   * modifiers
+   * Returns the modifier keys that the given command is always used with (in MacOS style)
+   * @param   {string}  commandID - the command, for example 'toggle_history_card'
+   * @return  {string}  the modifiers, for example '⌘⇧', or '' if none
+   */
+  modifiers(commandID) {
+    return COMMANDS.get(commandID)?.modifiers ?? '';
+  }
+
+
+  /**
+   * combo
+   * Returns the full key combo for the given command, including its modifiers (in MacOS style)
+   * @param   {string}  commandID - the command, for example 'toggle_history_card'
+   * @return  {string}  the key combo, for example '⌘⇧H'
+   */
+  combo(commandID) {
+    return this.modifiers(commandID) + this.key(commandID);
+  }
+
+
+  /**
+   * combos
+   * Returns all the key combos that should be bound for the given command:
+   *  its key combo, and any alternate key combos if the command still has its default key.
+   * @param   {string}  commandID - the command, for example 'delete'
+   * @return  {Array}   Array of key combos, for example ['⌘⌫', '⌘⌦', '⌦']
+   */
+  combos(commandID) {
+    const alternates = this.isDefault(commandID) ? (COMMANDS.get(commandID)?.alternates ?? []) : [];
+    return [this.combo(commandID), ...alternates];
+  }
+
+
+  /**
+   * matches
+   * Tests whether a keyboard event is for the given command's key, ignoring any modifiers.
+   * This is for components that handle `keydown` events themselves, rather than with a keybinding.
+   * @param   {string}         commandID - the command, for example 'pan_left'
+   * @param   {KeyboardEvent}  event - the keyboard event
+   * @return  {boolean}  `true` if the event's key is the command's key
+   */
+  matches(commandID, event) {
+    const key = utilKeybinding.keyFromEvent(event);
+    if (!key) return false;
+    return utilKeybinding.normalize(key) === utilKeybinding.normalize(this.key(commandID));
+  }
+
+
+  /**
+   * isDefault
+   * @param   {string}   commandID - the command, for example 'split'
+   * @return  {boolean}  `true` if the command uses its default key
+   */
+  isDefault(commandID) {
+    return !this._keys.has(commandID);
+  }
+
+
+  /**
+   * setKey
+   * Assigns a different key to the given command.
+   * The key is assigned even if another command uses it - see `conflicts()`.
+   * @param  {string}  commandID - the command, for example 'split'
+   * @param  {string}  key - the key to use, without modifiers, for example 'Ö'
+   */
+  setKey(commandID, key) {
+    if (!COMMANDS.has(commandID) || typeof key !== 'string' || !key) return;
+
+    if (utilKeybinding.normalize(key) === utilKeybinding.normalize(this.defaultKey(commandID))) {
+      this._keys.delete(commandID);
+    } else {
+      this._keys.set(commandID, key);
+    }
+    this._save();
+  }
+
+
+  /**
+   * resetKey
+   * Restores the default key for the given command.
+   * @param  {string}  commandID - the command, for example 'split'
+   */
+  resetKey(commandID) {
+    if (!this._keys.has(commandID)) return;
+    this._keys.delete(commandID);
+    this._save();
+  }
+
+
+  /**
+   * resetAll
+   * Restores the default keys for all commands.
+   */
+  resetAll() {
+    if (!this._keys.size) return;
+    this._keys.clear();
+    this._save();
+  }
+
+
+  /**
+   * conflicts
+   * Returns the other commands that use the same key combo as the given command
+   * in a scope where they can both be used, so only one of them would work.
+   * @param   {string}  commandID - the command, for example 'split'
+   * @return  {Array}   Array of the conflicting commandIDs, empty if there are none
+   */
+  conflicts(commandID) {
+    const command = COMMANDS.get(commandID);
+    if (!command) return [];
+
+    const combo = utilKeybinding.normalize(this.combo(commandID));
+    const results = [];
+
+    for (const [otherID, other] of COMMANDS) {
+      if (otherID === commandID) continue;
+      if (!_scopesOverlap(command.scopes, other.scopes)) continue;
+      if (utilKeybinding.normalize(this.combo(otherID)) === combo) {
+        results.push(otherID);
+      }
+    }
+    return results;
+  }
+
+
+  /**
+   * _save
+   * Saves the keys that the user assigned, and lets components know that the keys changed.
+   */
+  _save() {
+    const storage = this.context.systems.storage;
+    if (this._keys.size) {
+      storage.setItem('prefs.keybindings', JSON.stringify(Object.fromEntries(this._keys)));
+    } else {
+      storage.removeItem('prefs.keybindings');
+    }
+    this.emit('keymapchange');
+  }
+
+}
+
+
+function _scopesOverlap(a, b) {
+  if (a.includes('global') || b.includes('global')) return true;
+  return a.some(scope => b.includes(scope));
+}
@@ -449,6 +449,55 @@ export class LocalizationSystem extends AbstractSystem {
   }
 
 
+  /**
+   * isTextForStringID
+   * Returns true if the given text could be the localized text for the given string id.
+   * If there are several strings below the string id (for example variants or plural forms),
+   * the text may match any of them, and `{tokens}` in the strings match any replacement.
+   * This is useful for recognizing text that was localized earlier, like the annotation of an edit.
+   *
+   * @param  {string}   text       localized text, for example 'Squared the corners of 3 features.'
+   * @param  {string}   stringID   string identifier, for example 'operations.orthogonalize.annotation'
+   * @return {boolean}  true if the text matches one of the strings
+   */
+  isTextForStringID(text, stringID) {
+    if (typeof text !== 'string') return false;
+
+    let scope = 'core';
+    if (stringID[0] === '_') {
+      const parts = stringID.split('.');
+      scope = parts[0].slice(1);
+      stringID = parts.slice(1).join('.');
+    }
+    const path = stringID.split('.').map(s => s.replace(/<TX_DOT>/g, '.'));
+
+    const templates = [];
+    const gather = (val) => {
+      if (typeof val === 'string') {
+        templates.push(val);
+      } else if (val && typeof val === 'object') {
+        Object.values(val).forEach(gather);
+      }
+    };
+
+    for (const locale of this._currLocaleCodes) {
+      const tryLocale = (locale.toLowerCase() === 'en-us') ? 'en' : locale;   // `en-US` strings are stored as `en`
+      let result = this._cache[tryLocale] && this._cache[tryLocale][scope];
+      for (const part of path) {
+        result = result?.[part];
+      }
+      gather(result);
+    }
+
+    return templates.some(template => {
+      const escaped = template
+        .split(/\{\w+\}/)
+        .map(s => s.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&'));
+      return new RegExp('^' + escaped.join('.+') + '$').test(text);
+    });
+  }
+
+
   /**
    * t
    * Returns only the localized text, discarding the locale info
@@ -0,0 +1,603 @@
+import deepEqual from 'fast-deep-equal';
+
+import { AbstractSystem } from './AbstractSystem.js';
+import { Difference } from './lib/index.js';
+import { actionChangeTags } from '../actions/change_tags.js';
+import {
+  operationCircularize, operationDelete, operationDisconnect, operationDowngrade, operationExtract,
+  operationMerge, operationOrthogonalize, operationReflectLong, operationReflectShort,
+  operationReverse, operationStraighten
+} from '../operations/index.js';
+
+
+// The operations that can be recorded in a macro and replayed.
+// We recognize them by the annotations of the edits that they make.
+// `operation`   - function that creates the operation for some entityIDs
+// `title`       - string id of the operation's title
+// `annotation`  - string id of the operation's annotations
+const OPERATIONS = new Map([
+  ['circularize',   { operation: operationCircularize,   title: 'operations.circularize.title',    annotation: 'operations.circularize.annotation' }],
+  ['delete',        { operation: operationDelete,        title: 'operations.delete.title',         annotation: 'operations.delete.annotation' }],
+  ['disconnect',    { operation: operationDisconnect,    title: 'operations.disconnect.title',     annotation: 'operations.disconnect.annotation' }],
+  ['downgrade',     { operation: operationDowngrade,     title: 'operations.downgrade.title',      annotation: 'operations.downgrade.annotation' }],
+  ['extract',       { operation: operationExtract,       title: 'operations.extract.title',        annotation: 'operations.extract.annotation' }],
+  ['merge',         { operation: operationMerge,         title: 'operations.merge.title',          annotation: 'operations.merge.annotation' }],
+  ['orthogonalize', { operation: operationOrthogonalize, title: 'operations.orthogonalize.title',  annotation: 'operations.orthogonalize.annotation' }],
+  ['reflect_long',  { operation: operationReflectLong,   title: 'operations.reflect.title.long',   annotation: 'operations.reflect.annotation.long' }],
+  ['reflect_short', { operation: operationReflectShort,  title: 'operations.reflect.title.short',  annotation: 'operations.reflect.annotation.short' }],
+  ['reverse',       { operation: operationReverse,       title: 'operations.reverse.title',        annotation: 'operations.reverse.annotation' }],
+  ['straighten',    { operation: operationStraighten,    title: 'operations.straighten.title',     annotation: 'operations.straighten.annotation' }]
+]);
+
+// Shared macros are JSON Objects like `{ type: 'rapid-macro', version: 1, name, steps }`
+const MACRO_TYPE = 'rapid-macro';
+const MACRO_VERSION = 1;
+
+// How long to wait for a replayed operation to commit its edit, in milliseconds.
+// Some operations commit after a short transition, but some don't commit anything, for example if they change nothing.
+const STEP_TIMEOUT = 1000;
+
+
+/**
+ * `MacroSystem` records sequences of edits as "macros" that can be replayed on other features.
+ *
+ * While recording, each edit that the user commits becomes a step of the macro:
+ *  - Edits made by an operation become `{ type: 'operation', operation: 'orthogonalize' }` steps.
+ *    The operation is recognized from the annotation of the edit (see `OPERATIONS` above).
+ *  - Edits that only change the tags of the selected features become
+ *    `{ type: 'tags', set: { building: 'house' }, remove: ['fixme'] }` steps.
+ *  - Other edits (like drawing or moving things) can't be replayed, so they are skipped.
+ * Undoing an edit while recording also removes its step.
+ *
+ * Macros are saved in the `StorageSystem`, and can be shared as JSON.
+ *
+ * Events available:
+ *   `recordingchange`  Fires when recording starts or stops, or a step is recorded
+ *   `macrochange`      Fires when the saved macros change
+ */
+export class MacroSystem extends AbstractSystem {
+
+  /**
+   * @constructor
+   * @param  context  Global shared application context
+   */
+  constructor(context) {
+    super(context);
+    this.id = 'macros';
+    this.dependencies = new Set(['editor', 'l10n', 'storage']);
+
+    this._macros = [];        // Array of saved macros, like `{ name, steps }`
+    this._recording = null;   // While recording, Object like `{ startIndex, edits: Map(index -> { edit, step }) }`
+    this._initPromise = null;
+
+    // Ensure methods used as callbacks always have `this` bound correctly.
+    this._onStableChange = this._onStableChange.bind(this);
+  }
+
+
+  /**
+   * initAsync
+   * Called after all core objects have been constructed.
+   * @return {Promise} Promise resolved when this component has completed initialization
+   */
+  initAsync() {
+    if (this._initPromise) return this._initPromise;
+
+    for (const id of this.dependencies) {
+      if (!this.context.systems[id]) {
+        return Promise.reject(`Cannot init:  ${this.id} requires ${id}`);
+      }
+    }
+
+    const storage = this.context.systems.storage;
+    return this._initPromise = storage.initAsync()
+      .then(() => {
+        let stored;
+        try {
+          stored = JSON.parse(storage.getItem('prefs.macros')) ?? [];
+        } catch (e) {
+          stored = [];
+        }
+
+        this._macros = (Array.isArray(stored) ? stored : [])
+          .map(validateMacro)
+          .filter(Boolean);
+      });
+  }
+
+
+  /**
+   * startAsync
+   * Called after all core objects have been initialized.
+   * @return {Promise} Promise resolved when this component has completed startup
+   */
+  startAsync() {
+    this._started = true;
+    return Promise.resolve();
+  }
+
+
+  /**
+   * resetAsync
+   * Called after completing an edit session to reset any internal state
+   * @return {Promise} Promise resolved when this component has completed resetting
+   */
+  resetAsync() {
+    this.cancelRecording();
+    return Promise.resolve();
+  }
+
+
+  /**
+   * macros
+   * The saved macros, sorted by name
+   * @readonly
+   */
+  get macros() {
+    return this._macros.slice().sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+
+  /**
+   * getMacro
+   * @param   {string}  name - the name of a saved macro
+   * @return  {Object}  the macro, like `{ name, steps }`, or `undefined` if there is no macro with that name
+   */
+  getMacro(name) {
+    return this._macros.find(macro => macro.name === name);
+  }
+
+
+  /**
+   * saveMacro
+   * Saves a macro, replacing any saved macro with the same name
+   * @param   {string}  name - the name for the macro
+   * @param   {Array}   steps - the steps of the macro
+   * @return  {Object}  the saved macro, or `null` if the name or steps are not valid
+   */
+  saveMacro(name, steps) {
+    const macro = validateMacro({ name: name, steps: steps });
+    if (!macro) return null;
+
+    this._macros = this._macros.filter(other => other.name !== macro.name);
+    this._macros.push(macro);
+    this._save();
+    return macro;
+  }
+
+
+  /**
+   * removeMacro
+   * @param  {string}  name - the name of the macro to remove
+   */
+  removeMacro(name) {
+    const count = this._macros.length;
+    this._macros = this._macros.filter(macro => macro.name !== name);
+    if (this._macros.length !== count) {
+      this._save();
+    }
+  }
+
+
+  /**
+   * exportMacro
+   * @param   {string}  name - the name of a saved macro
+   * @return  {string}  JSON for sharing the macro, or `null` if there is no macro with that name
+   */
+  exportMacro(name) {
+    const macro = this.getMacro(name);
+    if (!macro) return null;
+
+    const data = { type: MACRO_TYPE, version: MACRO_VERSION, name: macro.name, steps: macro.steps };
+    return JSON.stringify(data, null, 2);
+  }
+
+
+  /**
+   * importMacro
+   * Saves a macro that was shared as JSON, replacing any saved macro with the same name
+   * @param   {string}  json - JSON for the macro, as returned by `exportMacro()`
+   * @return  {Object}  the saved macro
+   * @throws  Will throw if the JSON is not a macro that we can replay
+   */
+  importMacro(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (e) {
+      throw new Error(`Macro is not valid JSON: ${e.message}`);
+    }
+
+    if (data?.type !== MACRO_TYPE) {
+      throw new Error(`Expected an Object with type '${MACRO_TYPE}'`);
+    }
+    if (data.version > MACRO_VERSION) {
+      throw new Error(`Macro version ${data.version} is not supported`);
+    }
+
+    const macro = validateMacro(data);
+    if (!macro) {
+      throw new Error('Macro has no name, or steps that can not be replayed');
+    }
+
+    return this.saveMacro(macro.name, macro.steps);
+  }
+
+
+  /**
+   * isRecording
+   * `true` while a macro is being recorded
+   * @readonly
+   */
+  get isRecording() {
+    return !!this._recording;
+  }
+
+
+  /**
+   * recordedSteps
+   * The steps recorded so far
+   * @readonly
+   */
+  get recordedSteps() {
+    return this._recordedEdits().map(d => d.step).filter(Boolean);
+  }
+
+
+  /**
+   * skippedCount
+   * The number of edits recorded so far that can't be replayed
+   * @readonly
+   */
+  get skippedCount() {
+    return this._recordedEdits().filter(d => !d.step).length;
+  }
+
+
+  /**
+   * startRecording
+   * Starts recording the edits that the user makes
+   */
+  startRecording() {
+    if (this._recording) return;
+
+    const editor = this.context.systems.editor;
+    this._recording = { startIndex: editor.index, edits: new Map() };
+    editor.on('stablechange', this._onStableChange);
+    this.emit('recordingchange');
+  }
+
+
+  /**
+   * stopRecording
+   * Stops recording
+   * @return  {Array}  the recorded steps
+   */
+  stopRecording() {
+    if (!this._recording) return [];
+
+    const steps = this.recordedSteps;
+    this.cancelRecording();
+    return steps;
+  }
+
+
+  /**
+   * cancelRecording
+   * Stops recording, discarding the recorded steps
+   */
+  cancelRecording() {
+    if (!this._recording) return;
+
+    const editor = this.context.systems.editor;
+    editor.off('stablechange', this._onStableChange);
+    this._recording = null;
+    this.emit('recordingchange');
+  }
+
+
+  /**
+   * stepLabel
+   * @param   {Object}  step - a step of a macro
+   * @return  {string}  text describing what the step does, like 'Square' or 'Set building=house'
+   */
+  stepLabel(step) {
+    const l10n = this.context.systems.l10n;
+
+    if (step.type === 'operation') {
+      return l10n.t(OPERATIONS.get(step.operation).title);
+    }
+
+    const parts = [];
+    const set = Object.entries(step.set);
+    if (set.length) {
+      parts.push(l10n.t('macros.step.set_tags', { tags: set.map(([k, v]) => `${k}=${v}`).join(', ') }));
+    }
+    if (step.remove.length) {
+      parts.push(l10n.t('macros.step.remove_tags', { keys: step.remove.join(', ') }));
+    }
+    return parts.join('; ');
+  }
+
+
+  /**
+   * replayAsync
+   * Replays the steps of a macro on some features, then selects the features.
+   * Each step is a separate edit, so it can be undone.  Steps that can't be applied are skipped.
+   * @param   {Object}   macro - the macro to replay, like `{ name, steps }`
+   * @param   {Array}    entityIDs - the features to replay the macro on
+   * @param   {boolean}  each - if `true` replay the macro on each feature in turn, otherwise on all of them together
+   * @return  {Promise}  Promise resolved with an Object like `{ applied, failed }`, counting the steps
+   */
+  replayAsync(macro, entityIDs, each = false) {
+    if (this._recording) {
+      return Promise.reject(new Error('Can not replay a macro while recording'));
+    }
+
+    const context = this.context;
+    const result = { applied: 0, failed: 0 };
+    const selectIDs = [];
+    const groups = each ? entityIDs.map(entityID => [entityID]) : [entityIDs];
+
+    // Each step continues with the features from the step before, or the same features if that step failed.
+    const replayGroup = (group) => {
+      return macro.steps.reduce((promise, step) => {
+        return promise.then(currIDs => {
+          return this._replayStepAsync(step, currIDs)
+            .then(nextIDs => {
+              if (nextIDs) {
+                result.applied++;
+                return nextIDs;
+              } else {
+                result.failed++;
+                return currIDs;
+              }
+            });
+        });
+      }, Promise.resolve(group));
+    };
+
+    const promise = groups.reduce((promise, group) => {
+      return promise
+        .then(() => replayGroup(group))
+        .then(ids => selectIDs.push(...ids));
+    }, Promise.resolve());
+
+    return promise.then(() => {
+      const graph = context.systems.editor.staging.graph;
+      const ids = [...new Set(selectIDs)].filter(entityID => graph.hasEntity(entityID));
+      if (ids.length) {
+        context.enter('select-osm', { selection: { osm: ids }} );
+      } else {
+        context.enter('browse');
+      }
+      return result;
+    });
+  }
+
+
+  /**
+   * _replayStepAsync
+   * Replays a single step of a macro
+   * @param   {Object}   step - the step to replay
+   * @param   {Array}    entityIDs - the features to replay the step on
+   * @return  {Promise}  Promise resolved with the entityIDs for the next step, or `null` if the step couldn't be applied
+   *   (this includes operations that didn't commit an edit within `STEP_TIMEOUT`)
+   */
+  _replayStepAsync(step, entityIDs) {
+    const context = this.context;
+    const editor = context.systems.editor;
+    const l10n = context.systems.l10n;
+    const graph = editor.staging.graph;
+    const ids = entityIDs.filter(entityID => graph.hasEntity(entityID));
+    if (!ids.length) return Promise.resolve(null);
+
+    if (step.type === 'tags') {
+      let changed = false;
+      for (const entityID of ids) {
+        const entity = editor.staging.graph.entity(entityID);
+        const tags = Object.assign({}, entity.tags, step.set);
+        for (const key of step.remove) {
+          delete tags[key];
+        }
+        if (!deepEqual(entity.tags, tags)) {
+          editor.perform(actionChangeTags(entityID, tags));
+          changed = true;
+        }
+      }
+      if (changed) {
+        editor.commit({ annotation: l10n.t('operations.change_tags.annotation'), selectedIDs: ids });
+      }
+      return Promise.resolve(ids);
+    }
+
+    const operation = OPERATIONS.get(step.operation).operation(context, ids);
+    if (!operation.available() || operation.disabled()) return Promise.resolve(null);
+
+    const prevIndex = editor.index;
+    const prevSelectedIDs = context.selectedIDs();
+
+    // Some operations commit right away, others commit after a transition, and some don't commit at all
+    return new Promise(resolve => {
+      const done = (didCommit) => {
+        editor.off('stablechange', onStableChange);
+        window.clearTimeout(timeout);
+        resolve(didCommit);
+      };
+      const onStableChange = () => {
+        if (editor.index !== prevIndex) done(true);
+      };
+      const timeout = window.setTimeout(() => done(false), STEP_TIMEOUT);
+      editor.on('stablechange', onStableChange);
+      operation();
+      onStableChange();
+    })
+    .then(didCommit => {
+      if (!didCommit) return null;
+
+      // Operations like merge and extract select the features that they made,
+      // the next steps should continue with those.
+      const graph = editor.staging.graph;
+      const selectedIDs = context.selectedIDs();
+      if (!deepEqual(selectedIDs, prevSelectedIDs)) {
+        return selectedIDs.filter(entityID => graph.hasEntity(entityID));
+      } else {
+        return ids.filter(entityID => graph.hasEntity(entityID));
+      }
+    });
+  }
+
+
+  /**
+   * _recordedEdits
+   * @return  {Array}  the recorded edits, in order, like `{ edit, step }` (step is `null` if it can't be replayed)
+   */
+  _recordedEdits() {
+    if (!this._recording) return [];
+
+    return [...this._recording.edits.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([index, d]) => d);
+  }
+
+
+  /**
+   * _onStableChange
+   * Called when the edit history changes while recording.
+   * Records the new edits, and forgets about the ones that were undone.
+   */
+  _onStableChange() {
+    const recording = this._recording;
+    if (!recording) return;
+
+    const editor = this.context.systems.editor;
+    const history = editor.history;
+    const index = editor.index;
+
+    recording.startIndex = Math.min(recording.startIndex, index);
+    for (const i of recording.edits.keys()) {
+      if (i > index) {
+        recording.edits.delete(i);
+      }
+    }
+
+    let changed = false;
+    for (let i = recording.startIndex + 1; i <= index; i++) {
+      const edit = history[i];
+      if (recording.edits.get(i)?.edit === edit) continue;   // already recorded
+
+      // (When tags are changed several times in a row, the edit may replace the previous one)
+      recording.edits.set(i, { edit: edit, step: this._stepForEdit(history[i - 1], edit) });
+      changed = true;
+    }
+
+    if (changed) {
+      this.emit('recordingchange');
+    }
+  }
+
+
+  /**
+   * _stepForEdit
+   * @param   {Edit}    prevEdit - the edit before this one
+   * @param   {Edit}    edit - the edit to make a step for
+   * @return  {Object}  the step that replays the edit, or `null` if it can't be replayed
+   */
+  _stepForEdit(prevEdit, edit) {
+    const l10n = this.context.systems.l10n;
+
+    for (const [operationID, d] of OPERATIONS) {
+      if (l10n.isTextForStringID(edit.annotation, d.annotation)) {
+        return { type: 'operation', operation: operationID };
+      }
+    }
+
+    return tagStep(prevEdit.graph, edit.graph, edit.selectedIDs ?? []);
+  }
+
+
+  /**
+   * _save
+   * Saves the macros, and lets components know that they changed.
+   */
+  _save() {
+    const storage = this.context.systems.storage;
+    if (this._macros.length) {
+      storage.setItem('prefs.macros', JSON.stringify(this._macros));
+    } else {
+      storage.removeItem('prefs.macros');
+    }
+    this.emit('macrochange');
+  }
+
+}
+
+
+// Returns a step that sets the tags that changed between the graphs,
+// or `null` if the change was not only to the tags of the given entities.
+function tagStep(prevGraph, graph, entityIDs) {
+  const difference = new Difference(prevGraph, graph);
+  if (difference.created().length || difference.deleted().length) return null;
+
+  let set = null;
+  let remove = null;
+
+  for (const entity of difference.modified()) {
+    if (!entityIDs.includes(entity.id)) return null;
+
+    const prev = prevGraph.entity(entity.id);
+    if (!deepEqual(prev.loc, entity.loc) || !deepEqual(prev.nodes, entity.nodes) || !deepEqual(prev.members, entity.members)) {
+      return null;   // the geometry changed too
+    }
+
+    const entitySet = {};
+    for (const [k, v] of Object.entries(entity.tags)) {
+      if (prev.tags[k] !== v) entitySet[k] = v;
+    }
+    const entityRemove = Object.keys(prev.tags).filter(k => !(k in entity.tags));
+
+    // With several features, keep only the changes that were the same for all of them
+    if (!set) {
+      set = entitySet;
+      remove = entityRemove;
+    } else {
+      for (const [k, v] of Object.entries(set)) {
+        if (entitySet[k] !== v) delete set[k];
+      }
+      remove = remove.filter(k => entityRemove.includes(k));
+    }
+  }
+
+  if (!set || (!Object.keys(set).length && !remove.length)) return null;
+  return { type: 'tags', set: set, remove: remove };
+}
+
+
+// Returns a copy of the macro with only the properties we know about,
+// or `null` if it doesn't have a name or has steps that we can't replay.
+function validateMacro(data) {
+  if (!data || typeof data !== 'object') return null;
+
+  const name = (typeof data.name === 'string') ? data.name.trim() : '';
+  if (!name || !Array.isArray(data.steps) || !data.steps.length) return null;
+
+  const steps = [];
+  for (const step of data.steps) {
+    if (step?.type === 'operation' && OPERATIONS.has(step.operation)) {
+      steps.push({ type: 'operation', operation: step.operation });
+
+    } else if (step?.type === 'tags') {
+      const set = step.set ?? {};
+      const remove = step.remove ?? [];
+      if (typeof set !== 'object' || Array.isArray(set)) return null;
+      if (!Object.values(set).every(v => typeof v === 'string')) return null;
+      if (!Array.isArray(remove) || !remove.every(k => typeof k === 'string')) return null;
+      steps.push({ type: 'tags', set: Object.assign({}, set), remove: remove.slice() });
+
+    } else {
+      return null;
+    }
+  }
+
+  return { name: name, steps: steps };
+}
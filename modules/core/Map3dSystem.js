@@ -23,7 +23,7 @@ export class Map3dSystem extends AbstractSystem {
     super(context);
     this.id = 'map3d';
     this.autoStart = false;
-    this.dependencies = new Set(['editor', 'gfx', 'l10n', 'map', 'styles', 'ui', 'urlhash']);
+    this.dependencies = new Set(['editor', 'gfx', 'keymap', 'l10n', 'map', 'styles', 'ui', 'urlhash']);
     this.maplibre = null;
     this.containerID = 'map3d_container';
 
@@ -66,6 +66,7 @@ export class Map3dSystem extends AbstractSystem {
     }
 
     const context = this.context;
+    const keymap = context.systems.keymap;
     const l10n = context.systems.l10n;
     const urlhash = context.systems.urlhash;
 
@@ -79,6 +80,7 @@ export class Map3dSystem extends AbstractSystem {
         // Setup event handlers..
         urlhash.on('hashchange', this._hashchange);
         l10n.on('localechange', this._setupKeybinding);
+        keymap.on('keymapchange', this._setupKeybinding);
         this._setupKeybinding();
       });
   }
@@ -239,13 +241,13 @@ export class Map3dSystem extends AbstractSystem {
   _setupKeybinding() {
     const context = this.context;
     const keybinding = context.keybinding();
-    const l10n = context.systems.l10n;
+    const keymap = context.systems.keymap;
 
     if (Array.isArray(this._keys)) {
       keybinding.off(this._keys);
     }
 
-    this._keys = [utilCmd('⌘' + l10n.t('shortcuts.command.toggle_3dmap.key'))];
+    this._keys = [utilCmd('⌘' + keymap.key('toggle_3dmap'))];
     context.keybinding().on(this._keys, this.toggle);
   }
 
@@ -506,7 +508,7 @@ export class Map3dSystem extends AbstractSystem {
       let gj = entity.asGeoJSON(graph);
       if (gj.type !== 'Polygon' && gj.type !== 'MultiPolygon') continue;
 
-      const style = styles.styleMatch(entity.tags);
+      const style = styles.styleMatch(entity.tags, 'area');
       const fillColor = new Color(style.fill.color).toHex();
       const strokeColor = new Color(style.stroke.color).toHex();
 
@@ -548,7 +550,7 @@ export class Map3dSystem extends AbstractSystem {
       const gj = entity.asGeoJSON(graph);
       if (gj.type !== 'LineString') continue;
 
-      const style = styles.styleMatch(entity.tags);
+      const style = styles.styleMatch(entity.tags, 'line');
       const casingColor = new Color(style.casing.color).toHex();
       const strokeColor = new Color(style.stroke.color).toHex();
 
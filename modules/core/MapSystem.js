@@ -36,7 +36,7 @@ export class MapSystem extends AbstractSystem {
   constructor(context) {
     super(context);
     this.id = 'map';
-    this.dependencies = new Set(['editor', 'filters', 'gfx', 'imagery', 'l10n', 'photos', 'rapid', 'storage', 'styles', 'urlhash']);
+    this.dependencies = new Set(['editor', 'filters', 'gfx', 'imagery', 'keymap', 'l10n', 'photos', 'rapid', 'storage', 'styles', 'urlhash']);
 
     // display options
     this.areaFillOptions = ['wireframe', 'partial', 'full'];
@@ -81,6 +81,7 @@ export class MapSystem extends AbstractSystem {
     const filters = context.systems.filters;
     const gfx = context.systems.gfx;
     const imagery = context.systems.imagery;
+    const keymap = context.systems.keymap;
     const l10n = context.systems.l10n;
     const photos = context.systems.photos;
     const rapid = context.systems.rapid;
@@ -181,6 +182,12 @@ export class MapSystem extends AbstractSystem {
             gfx.immediateRedraw();
           });
 
+        styles
+          .on('stylechange', () => {
+            scene.dirtyLayers('osm');
+            gfx.immediateRedraw();
+          });
+
         l10n
           .on('localechange', () => {
             this._setupKeybinding();
@@ -188,11 +195,12 @@ export class MapSystem extends AbstractSystem {
             gfx.immediateRedraw();
           });
 
+        keymap.on('keymapchange', this._setupKeybinding);
+
         context.on('modechange', gfx.immediateRedraw);
         imagery.on('imagerychange', gfx.immediateRedraw);
         photos.on('photochange', gfx.immediateRedraw);
         scene.on('layerchange', gfx.immediateRedraw);
-        styles.on('stylechange', gfx.immediateRedraw);
 
         const osm = context.services.osm;
         if (osm) {
@@ -289,14 +297,14 @@ export class MapSystem extends AbstractSystem {
   _setupKeybinding() {
     const context = this.context;
     const keybinding = context.keybinding();
-    const l10n = context.systems.l10n;
+    const keymap = context.systems.keymap;
 
     if (Array.isArray(this._keys)) {
       keybinding.off(this._keys);
     }
 
-    const wireframeKey = l10n.t('shortcuts.command.wireframe.key');
-    const highlightEditsKey = l10n.t('shortcuts.command.highlight_edits.key');
+    const wireframeKey = keymap.key('wireframe');
+    const highlightEditsKey = keymap.key('highlight_edits');
     this._keys = [wireframeKey, highlightEditsKey];
 
     context.keybinding()
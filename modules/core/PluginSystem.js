@@ -0,0 +1,673 @@
+import { AbstractSystem } from './AbstractSystem.js';
+import { ValidationFix, ValidationIssue } from './lib/index.js';
+import { AbstractLayer } from '../pixi/AbstractLayer.js';
+import { PixiFeatureLine } from '../pixi/PixiFeatureLine.js';
+import { PixiFeaturePoint } from '../pixi/PixiFeaturePoint.js';
+import { PixiFeaturePolygon } from '../pixi/PixiFeaturePolygon.js';
+import { uiPane } from '../ui/pane.js';
+import { uiSection } from '../ui/section.js';
+
+// The version of the plugin API. Plugins say which version they were written for in their manifest.
+// This changes only when we change the API in a way that would break plugins.
+const PLUGIN_API_VERSION = 1;
+
+// The things a plugin can ask permission to do, see `PluginAPI` below
+const PERMISSIONS = ['operations', 'validations', 'panels', 'layers', 'datasets'];
+
+
+/**
+ * `PluginSystem` loads plugins, and gives them a stable API for extending Rapid.
+ *
+ * A plugin is described by a manifest, a JSON file like:
+ *   {
+ *     "id": "my-plugin",               // unique, letters, numbers, '-' and '_' only
+ *     "name": "My Plugin",
+ *     "version": "1.0.0",              // optional
+ *     "description": "Does things",    // optional
+ *     "apiVersion": 1,                 // the version of the plugin API it was written for
+ *     "module": "my-plugin.js",        // optional, the plugin code, relative to the manifest
+ *     "permissions": ["operations", "layers"],
+ *     "datasets": [                    // optional, needs the "datasets" permission
+ *       { "label": "Trees", "url": "trees.geojson", "tagmap": { "species": "species" } }
+ *     ]
+ *   }
+ *
+ * The plugin code is an ES module.  Its default export is called with a `PluginAPI` when the plugin
+ * is loaded, and may return an Object with lifecycle hooks, each optional and returning a Promise:
+ *   `initAsync()`   - called after the plugin is loaded
+ *   `startAsync()`  - called after `initAsync()`
+ *   `resetAsync()`  - called when Rapid resets, e.g. after the user saves their edits
+ *   `destroy()`     - called before the plugin is removed
+ *
+ * Before a plugin loads the first time, the user is asked to allow it, seeing what it will be permitted to do.
+ * (This is why plugins are loaded from their manifest - the plugin code doesn't run until it is allowed)
+ * Allowed plugins are remembered in the `StorageSystem` and loaded again when Rapid starts.
+ *
+ * Events available:
+ *   `pluginchange`   Fires when a plugin is loaded or removed
+ */
+export class PluginSystem extends AbstractSystem {
+
+  /**
+   * @constructor
+   * @param  context  Global shared application context
+   */
+  constructor(context) {
+    super(context);
+    this.id = 'plugins';
+    this.dependencies = new Set(['l10n', 'storage']);
+
+    this._plugins = new Map();      // Map(pluginID -> plugin Object, see `_loadAsync`)
+    this._loading = new Set();      // Set(pluginIDs) - plugins waiting for the user to allow them, or loading
+    this._allowed = new Map();      // Map(pluginID -> { id, url, permissions }) - plugins the user allowed
+    this._operations = new Set();   // Set(operation functions) - registered by plugins
+    this._initPromise = null;
+    this._startPromise = null;
+  }
+
+
+  /**
+   * initAsync
+   * Called after all core objects have been constructed.
+   * @return {Promise} Promise resolved when this component has completed initialization
+   */
+  initAsync() {
+    if (this._initPromise) return this._initPromise;
+
+    for (const id of this.dependencies) {
+      if (!this.context.systems[id]) {
+        return Promise.reject(`Cannot init:  ${this.id} requires ${id}`);
+      }
+    }
+
+    const storage = this.context.systems.storage;
+    return this._initPromise = storage.initAsync()
+      .then(() => {
+        let stored;
+        try {
+          stored = JSON.parse(storage.getItem('prefs.plugins')) ?? [];
+        } catch (e) {
+          stored = [];
+        }
+
+        this._allowed.clear();
+        for (const d of (Array.isArray(stored) ? stored : [])) {
+          if (typeof d?.id === 'string' && typeof d.url === 'string' && Array.isArray(d.permissions)) {
+            this._allowed.set(d.id, { id: d.id, url: d.url, permissions: d.permissions });
+          }
+        }
+      });
+  }
+
+
+  /**
+   * startAsync
+   * Called after all core objects have been initialized.
+   * Loads the plugins that the user allowed before.  (We don't wait for them, a slow plugin shouldn't delay startup)
+   * @return {Promise} Promise resolved when this component has completed startup
+   */
+  startAsync() {
+    if (this._startPromise) return this._startPromise;
+
+    const context = this.context;
+    const prerequisites = Promise.all(
+      ['gfx', 'rapid', 'ui', 'validator']
+        .map(id => context.systems[id]?.startAsync() ?? Promise.resolve())
+    );
+
+    return this._startPromise = prerequisites
+      .then(() => {
+        for (const allowed of this._allowed.values()) {
+          this.loadPluginAsync(allowed.url)
+            .catch(e => console.error(`Could not load plugin '${allowed.id}':`, e));  // eslint-disable-line no-console
+        }
+      });
+  }
+
+
+  /**
+   * resetAsync
+   * Called after completing an edit session to reset any internal state
+   * @return {Promise} Promise resolved when this component has completed resetting
+   */
+  resetAsync() {
+    const promises = [...this._plugins.values()]
+      .map(plugin => callHookAsync(plugin, 'resetAsync'));
+    return Promise.all(promises);
+  }
+
+
+  /**
+   * plugins
+   * The manifests of the loaded plugins
+   * @readonly
+   */
+  get plugins() {
+    return [...this._plugins.values()].map(plugin => plugin.manifest);
+  }
+
+
+  /**
+   * operations
+   * The operations that plugins have registered, see `PluginAPI.registerOperation`
+   * @readonly
+   */
+  get operations() {
+    return [...this._operations];
+  }
+
+
+  /**
+   * loadPluginAsync
+   * Loads a plugin, asking the user to allow it first if they haven't already.
+   * @param   {string|Object}  source - URL of a manifest, or a manifest Object.
+   *                                    A manifest Object may have an `activate` function instead of a `module`,
+   *                                    for plugins that are bundled with the page that embeds Rapid.
+   * @return  {Promise}  Promise resolved with the manifest of the loaded plugin,
+   *                     or rejected if it could not be loaded or the user didn't allow it
+   */
+  loadPluginAsync(source) {
+    let url = null;
+    let manifestPromise;
+
+    if (typeof source === 'string') {
+      url = new URL(source, globalThis.location?.href).href;
+      manifestPromise = fetch(url)
+        .then(response => {
+          if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+          return response.json();
+        });
+    } else {
+      manifestPromise = Promise.resolve(source);
+    }
+
+    return manifestPromise
+      .then(data => {
+        const manifest = validateManifest(data, url);
+        if (this._plugins.has(manifest.id)) {
+          throw new Error(`Plugin '${manifest.id}' is already loaded`);
+        }
+        if (this._loading.has(manifest.id)) {
+          throw new Error(`Plugin '${manifest.id}' is already loading`);
+        }
+
+        // Remember that it's loading before asking the user, so it can't be loaded twice at the same time
+        this._loading.add(manifest.id);
+
+        return this._confirmAsync(manifest, url)
+          .then(allowed => {
+            if (!allowed) throw new Error(`Plugin '${manifest.id}' was not allowed`);
+            return this._loadAsync(manifest, data.activate ?? null);
+          })
+          .finally(() => this._loading.delete(manifest.id));
+      });
+  }
+
+
+  /**
+   * removePlugin
+   * Removes a plugin, and everything that it registered.
+   * @param  {string}   pluginID - The id of the plugin
+   * @param  {boolean}  forget - If `true` also forget that the user allowed it, so it isn't loaded again at startup
+   */
+  removePlugin(pluginID, forget = true) {
+    const plugin = this._plugins.get(pluginID);
+    if (plugin) {
+      try {
+        plugin.hooks.destroy?.();
+      } catch (e) {
+        console.error(e);  // eslint-disable-line no-console
+      }
+      plugin.api._unregisterAll();
+      this._plugins.delete(pluginID);
+    }
+
+    if (forget && this._allowed.has(pluginID)) {
+      this._allowed.delete(pluginID);
+      this._saveAllowed();
+    }
+
+    if (plugin) {
+      this.emit('pluginchange');
+    }
+  }
+
+
+  /**
+   * _confirmAsync
+   * Asks the user to allow the plugin, unless they already allowed this plugin with these permissions.
+   * Plugins that aren't loaded from a URL are part of the page that embeds Rapid, so they don't need to ask.
+   * @param   {Object}   manifest - The plugin manifest
+   * @param   {string}   url - The URL the plugin was loaded from, or `null`
+   * @return  {Promise}  Promise resolved with `true` if the plugin is allowed
+   */
+  _confirmAsync(manifest, url) {
+    if (!url) return Promise.resolve(true);
+
+    const allowed = this._allowed.get(manifest.id);
+    if (allowed?.url === url && manifest.permissions.every(p => allowed.permissions.includes(p))) {
+      return Promise.resolve(true);
+    }
+
+    const prompt = this.context.systems.ui?.PluginPrompt;
+    if (!prompt) return Promise.resolve(false);   // no way to ask
+
+    return prompt.showAsync(manifest, url)
+      .then(result => {
+        if (result) {
+          this._allowed.set(manifest.id, { id: manifest.id, url: url, permissions: manifest.permissions });
+          this._saveAllowed();
+        }
+        return result;
+      });
+  }
+
+
+  /**
+   * _loadAsync
+   * Loads the plugin code, its datasets, and runs its lifecycle hooks.
+   * If anything fails, everything the plugin registered is removed again.
+   * @param   {Object}    manifest - The plugin manifest
+   * @param   {Function}  activate - The plugin code, or `null` to import it from `manifest.module`
+   * @return  {Promise}   Promise resolved with the manifest when the plugin is loaded
+   */
+  _loadAsync(manifest, activate) {
+    const plugin = {
+      manifest: manifest,
+      api: new PluginAPI(this, manifest),
+      hooks: {}
+    };
+
+    let codePromise;
+    if (typeof activate === 'function') {
+      codePromise = Promise.resolve(activate);
+    } else if (manifest.module) {
+      codePromise = import(manifest.module).then(module => module.default);
+    } else {
+      codePromise = Promise.resolve(null);   // a plugin might only provide datasets
+    }
+
+    this._plugins.set(manifest.id, plugin);
+
+    return codePromise
+      .then(activate => (typeof activate === 'function') ? activate(plugin.api) : null)
+      .then(hooks => {
+        plugin.hooks = hooks ?? {};
+        return Promise.all(manifest.datasets.map(d => plugin.api.addDatasetAsync(d)));
+      })
+      .then(() => callHookAsync(plugin, 'initAsync'))
+      .then(() => callHookAsync(plugin, 'startAsync'))
+      .then(() => {
+        this.emit('pluginchange');
+        return manifest;
+      })
+      .catch(e => {
+        plugin.api._unregisterAll();
+        this._plugins.delete(manifest.id);
+        throw e;
+      });
+  }
+
+
+  /**
+   * _saveAllowed
+   * Remembers which plugins the user allowed.
+   */
+  _saveAllowed() {
+    const storage = this.context.systems.storage;
+    if (this._allowed.size) {
+      storage.setItem('prefs.plugins', JSON.stringify([...this._allowed.values()]));
+    } else {
+      storage.removeItem('prefs.plugins');
+    }
+  }
+
+}
+
+
+/**
+ * `PluginAPI` is what a plugin gets to extend Rapid with.
+ * Each plugin gets its own, so that everything it registered can be removed along with the plugin.
+ * The `register*` methods return a function that unregisters the thing again.
+ *
+ * Plugins don't get the application context, only what their permissions allow them to do.
+ *
+ * Properties you can access:
+ *   `apiVersion`  The version of the plugin API, see `PLUGIN_API_VERSION`
+ *   `manifest`    The plugin's manifest
+ *   `graph`       The current graph (read-only, graphs can't be changed)
+ *   `lib`         Classes that plugins may need, like `AbstractLayer` and `ValidationIssue`
+ */
+class PluginAPI {
+
+  /**
+   * @constructor
+   * @param  {PluginSystem}  plugins - The PluginSystem that owns this API
+   * @param  {Object}        manifest - The plugin's manifest
+   */
+  constructor(plugins, manifest) {
+    this.apiVersion = PLUGIN_API_VERSION;
+    this.manifest = manifest;
+    this.lib = {
+      AbstractLayer: AbstractLayer,
+      PixiFeatureLine: PixiFeatureLine,
+      PixiFeaturePoint: PixiFeaturePoint,
+      PixiFeaturePolygon: PixiFeaturePolygon,
+      ValidationFix: ValidationFix,
+      ValidationIssue: ValidationIssue
+    };
+
+    this._plugins = plugins;
+    this._unregisters = [];
+  }
+
+
+  /**
+   * graph
+   * The current graph, including any edits in progress
+   * @readonly
+   */
+  get graph() {
+    return this._system('editor').staging.graph;
+  }
+
+
+  /**
+   * selectedIDs
+   * @return  {Array}  The ids of the selected features
+   */
+  selectedIDs() {
+    return this._plugins.context.selectedIDs?.() ?? [];
+  }
+
+
+  /**
+   * t
+   * Returns a localized string, see `LocalizationSystem.t`
+   * @param   {string}  stringID - The id of the string
+   * @param   {Object}  replacements - Values to replace in the string (optional)
+   * @return  {string}  The localized string
+   */
+  t(stringID, replacements) {
+    return this._system('l10n').t(stringID, replacements);
+  }
+
+
+  /**
+   * edit
+   * Changes the map data, for the operations of the plugin to call when they are chosen.
+   * @param  {Function}  action - An action like `(graph) => graph`, see `modules/actions`
+   * @param  {string}    annotation - Describes the edit in the edit history
+   */
+  edit(action, annotation) {
+    this._checkPermission('operations');
+    if (typeof action !== 'function') {
+      throw new Error('Action must be a function like `(graph) => graph`');
+    }
+
+    const editor = this._system('editor');
+    editor.perform(action);
+    editor.commit({ annotation: annotation, selectedIDs: this.selectedIDs() });
+  }
+
+
+  /**
+   * registerOperation
+   * Adds an operation to the edit menu, like the built-in ones in `modules/operations`.
+   * @param   {Function}  operation - Function like `(api, selectedIDs) => operation`, the operation needs
+   *                                  `id`, `title`, `keys`, `available()`, `disabled()`, `tooltip()`, `annotation()`,
+   *                                  and may have an `icon` (e.g. '#fas-star').  It can make its edit with `api.edit()`.
+   * @return  {Function}  Function to unregister the operation
+   */
+  registerOperation(operation) {
+    this._checkPermission('operations');
+    if (typeof operation !== 'function') {
+      throw new Error('Operation must be a function like `(api, selectedIDs) => operation`');
+    }
+
+    // The edit menu creates operations with the context, but the plugin gets its API instead
+    const operations = this._plugins._operations;
+    const createOperation = (context, selectedIDs) => operation(this, selectedIDs);
+    operations.add(createOperation);
+    return this._addUnregister(() => operations.delete(createOperation));
+  }
+
+
+  /**
+   * registerValidation
+   * Adds a validation rule, like the built-in ones in `modules/validations`.
+   * @param   {Function}  validation - Function like `(api) => validator`, see `ValidationSystem.addRule`
+   * @return  {Function}  Function to unregister the validation rule
+   */
+  registerValidation(validation) {
+    this._checkPermission('validations');
+
+    const validator = this._system('validator');
+    const rule = validation(this);
+    validator.addRule(rule);
+    return this._addUnregister(() => validator.removeRule(rule.type));
+  }
+
+
+  /**
+   * registerPanel
+   * Adds a panel, which the user can open with a button next to the map like the Map Data panel.
+   * @param   {Object}  options - Object containing:
+   *                    `id`           Unique id for the panel
+   *                    `label`        The panel heading
+   *                    `description`  Tooltip for the button (optional)
+   *                    `iconName`     Icon for the button (e.g. 'fas-star')
+   *                    `key`          Key to toggle the panel (optional)
+   *                    `render`       Function like `(d3-selection) => void` to render the panel content,
+   *                                   called each time the panel is opened
+   * @return  {Function}  Function to unregister the panel
+   */
+  registerPanel(options) {
+    this._checkPermission('panels');
+    if (!options?.id || typeof options.render !== 'function') {
+      throw new Error('Panel needs an `id` and a `render` function');
+    }
+
+    const ui = this._system('ui');
+    const paneID = `plugin-${this.manifest.id}-${options.id}`;
+    const context = this._plugins.context;
+    const section = uiSection(context, paneID)
+      .content(options.render);
+
+    const pane = uiPane(context, paneID)
+      .key(options.key ?? null)
+      .label(options.label ?? this.manifest.name)
+      .description(options.description ?? options.label ?? this.manifest.name)
+      .iconName(options.iconName ?? 'rapid-icon-data')
+      .sections([section]);
+
+    ui.Overmap.MapPanes.addPane(pane);
+    return this._addUnregister(() => ui.Overmap.MapPanes.removePane(paneID));
+  }
+
+
+  /**
+   * registerLayer
+   * Adds a map layer, see `PixiScene.addLayer`.  The layer is enabled right away.
+   * @param   {Class}   Layer - A subclass of `AbstractLayer`
+   * @param   {string}  layerID - Unique id for the layer
+   * @return  {Function}  Function to unregister the layer
+   */
+  registerLayer(Layer, layerID) {
+    this._checkPermission('layers');
+    if (!(Layer?.prototype instanceof AbstractLayer)) {
+      throw new Error('Layer must be a subclass of AbstractLayer');
+    }
+
+    const gfx = this._system('gfx');
+    const scene = gfx.scene;
+    scene.addLayer(new Layer(scene, layerID));
+    scene.enableLayers(layerID);
+    gfx.immediateRedraw();
+
+    return this._addUnregister(() => {
+      scene.removeLayer(layerID);
+      gfx.immediateRedraw();
+    });
+  }
+
+
+  /**
+   * addDatasetAsync
+   * Adds a Rapid dataset from a GeoJSON or FlatGeobuf file, see `LocalFileService`.
+   * The dataset is added to the Rapid datasets menu and enabled.
+   * @param   {Object}  options - Object containing:
+   *                    `url`          URL of the file
+   *                    `label`        The name to show for the dataset
+   *                    `tagmap`       Object<property, OSM key> (optional)
+   *                    `translation`  Translation rules for the tags (optional, see `utilTranslateTags`)
+   * @return  {Promise}  Promise resolved with the `RapidDataset`
+   */
+  addDatasetAsync(options) {
+    try {
+      this._checkPermission('datasets');
+    } catch (e) {
+      return Promise.reject(e);
+    }
+
+    const context = this._plugins.context;
+    const rapid = context.systems.rapid;
+    const localfile = context.services.localfile;
+    if (!rapid || !localfile) {
+      return Promise.reject(new Error('Rapid datasets are not available'));
+    }
+
+    const url = options.url;
+    const isFGB = /\.fgb$/i.test(url);
+    return fetch(url)
+      .then(response => {
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        return isFGB ? response.arrayBuffer() : response.text();
+      })
+      .then(data => localfile.parseAsync(data, options.label ?? url))
+      .then(parsed => {
+        const dataset = localfile.createDataset(parsed, options);
+        rapid.addToCatalog(dataset);
+        rapid.enableDatasets(dataset.id);
+
+        this._addUnregister(() => {
+          rapid.removeFromCatalog(dataset.id);
+          localfile.removeDataset(dataset.id);
+        });
+        return dataset;
+      });
+  }
+
+
+  /**
+   * _checkPermission
+   * @param   {string}  permission - The permission the plugin needs
+   * @throws  Will throw if the plugin didn't ask for the permission in its manifest
+   */
+  _checkPermission(permission) {
+    if (!this.manifest.permissions.includes(permission)) {
+      throw new Error(`Plugin '${this.manifest.id}' needs the '${permission}' permission`);
+    }
+  }
+
+
+  /**
+   * _system
+   * @param   {string}  id - The id of a system
+   * @return  {AbstractSystem}  The system
+   * @throws  Will throw if there is no such system (e.g. no user interface when running headless)
+   */
+  _system(id) {
+    const system = this._plugins.context.systems[id];
+    if (!system) throw new Error(`'${id}' is not available`);
+    return system;
+  }
+
+
+  /**
+   * _addUnregister
+   * @param   {Function}  fn - Function that unregisters something
+   * @return  {Function}  Function that calls `fn` one time
+   */
+  _addUnregister(fn) {
+    let done = false;
+    const unregister = () => {
+      if (done) return;
+      done = true;
+      this._unregisters = this._unregisters.filter(other => other !== unregister);
+      fn();
+    };
+    this._unregisters.push(unregister);
+    return unregister;
+  }
+
+
+  /**
+   * _unregisterAll
+   * Removes everything the plugin registered.
+   */
+  _unregisterAll() {
+    for (const unregister of this._unregisters.slice().reverse()) {
+      try {
+        unregister();
+      } catch (e) {
+        console.error(e);  // eslint-disable-line no-console
+      }
+    }
+  }
+}
+
+
+// Calls one of a plugin's lifecycle hooks, if it has it.
+function callHookAsync(plugin, hook) {
+  const fn = plugin.hooks[hook];
+  if (typeof fn !== 'function') return Promise.resolve();
+  return Promise.resolve().then(() => fn.call(plugin.hooks));
+}
+
+
+// Returns a copy of the manifest with URLs resolved against the manifest's URL,
+// or throws if it is not a manifest that we can load.
+function validateManifest(data, baseURL) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Plugin manifest must be an Object');
+  }
+  if (typeof data.id !== 'string' || !/^[\w-]+$/.test(data.id)) {
+    throw new Error('Plugin manifest needs an `id` of letters, numbers, `-` and `_`');
+  }
+  if (typeof data.name !== 'string' || !data.name.trim()) {
+    throw new Error('Plugin manifest needs a `name`');
+  }
+  if (!Number.isInteger(data.apiVersion)) {
+    throw new Error('Plugin manifest needs an `apiVersion`');
+  }
+  if (data.apiVersion > PLUGIN_API_VERSION) {
+    throw new Error(`Plugin API version ${data.apiVersion} is not supported, this is version ${PLUGIN_API_VERSION}`);
+  }
+
+  const permissions = data.permissions ?? [];
+  if (!Array.isArray(permissions) || !permissions.every(p => PERMISSIONS.includes(p))) {
+    throw new Error(`Plugin permissions must be some of: ${PERMISSIONS.join(', ')}`);
+  }
+
+  const datasets = data.datasets ?? [];
+  if (!Array.isArray(datasets) || !datasets.every(d => typeof d?.url === 'string')) {
+    throw new Error('Plugin datasets must each have a `url`');
+  }
+  if (datasets.length && !permissions.includes('datasets')) {
+    throw new Error(`Plugin needs the 'datasets' permission`);
+  }
+
+  const resolve = (url) => new URL(url, baseURL ?? globalThis.location?.href).href;
+
+  return {
+    id: data.id,
+    name: data.name.trim(),
+    version: (typeof data.version === 'string') ? data.version : '',
+    description: (typeof data.description === 'string') ? data.description : '',
+    apiVersion: data.apiVersion,
+    module: (typeof data.module === 'string') ? resolve(data.module) : null,
+    permissions: [...new Set(permissions)],
+    datasets: datasets.map(d => Object.assign({}, d, { url: resolve(d.url) }))
+  };
+}
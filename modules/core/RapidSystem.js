@@ -1,7 +1,10 @@
 import { gpx } from '@tmcw/togeojson';
-import { Extent } from '@rapid-sdk/math';
+import { Extent, geomPointInPolygon } from '@rapid-sdk/math';
+import { utilStringQs } from '@rapid-sdk/util';
 
 import { AbstractSystem } from './AbstractSystem.js';
+import { actionRapidAcceptFeature } from '../actions/rapid_accept_feature.js';
+import { geoPathDistance, geoPathSimilarity } from '../geo/index.js';
 
 const RAPID_MAGENTA = '#da26d3';
 const OVERTURE_CYAN = '#00ffff';
@@ -18,6 +21,15 @@ const RAPID_COLORS = [
   '#faf0e6'   // linen
 ];
 
+// To help improve OSM data quality, users can only accept this many features in a session
+// (unless they are working on a task, or in poweruser mode)
+const ACCEPT_FEATURES_LIMIT = 50;
+
+// Conflation - how we decide that a Rapid feature is likely the same thing as an existing OSM feature
+const CONFLATE_TOLERANCE = 10;   // meters - geometry similarity score falls to 0 at this distance
+const CONFLATE_THRESHOLD = 0.5;  // minimum similarity score to be considered a match
+const CONFLATE_MAX_MATCHES = 5;
+
 
 // Convert a single value, an Array of values, or a Set of values.
 function asSet(vals) {
@@ -32,6 +44,7 @@ function asSet(vals) {
  * Events available:
  *  `datasetchange`   Fires when datasets are added/removed from the list
  *  `taskchanged`
+ *  `featuresaccepted`  Fires after `acceptFeatures()`, receives the result
  */
 export class RapidSystem extends AbstractSystem {
 
@@ -111,9 +124,11 @@ export class RapidSystem extends AbstractSystem {
 
     // We wait until startAsync to create the dataset catalog because the services need to be initialized.
     const context = this.context;
+    const assets = context.systems.assets;
     const urlhash = context.systems.urlhash;
 
     const esri = context.services.esri;
+    const localfile = context.services.localfile;
     const mapwithai = context.services.mapwithai;
     const overture = context.services.overture;
 
@@ -121,21 +136,36 @@ export class RapidSystem extends AbstractSystem {
     // data-providing services are installed.
     const services = [];
     if (esri)      services.push(esri);
+    if (localfile) services.push(localfile);
     if (mapwithai) services.push(mapwithai);
     if (overture)  services.push(overture);
 
-    const prerequisites = Promise.all(services.map(service => service.startAsync()));
+    // Tag translation rules for some datasets, see `utilTranslateTags`.
+    // These are nice to have, so continue without them if they can't be loaded.
+    const translations = assets.loadAssetAsync('rapid_translations')
+      .then(data => data.rapidTranslations)
+      .catch(e => {
+        if (e instanceof Error) console.error(e);  // eslint-disable-line no-console
+        return {};
+      });
+
+    const prerequisites = Promise.all([
+      translations,
+      ...services.map(service => service.startAsync())
+    ]);
 
     return this._startPromise = prerequisites
-      .then(() => {
+      .then(results => {
+        const translations = results[0] ?? {};
+
         // Gather all available datasets and categories into the dataset catalog..
         for (const service of services) {
           const datasets = service.getAvailableDatasets();
           for (const dataset of datasets) {
-            this.catalog.set(dataset.id, dataset);
-            for (const category of dataset.categories) {
-              this.categories.add(category);
+            if (!dataset.translation && translations[dataset.id]) {
+              dataset.translation = translations[dataset.id];
             }
+            this.addToCatalog(dataset);
           }
         }
 
@@ -163,6 +193,33 @@ export class RapidSystem extends AbstractSystem {
   }
 
 
+  /**
+   * addToCatalog
+   * Add a dataset to the catalog, for datasets that become available after startup,
+   * e.g. when the user loads a local file.  (Does not add it to the menu).
+   * @param  {RapidDataset}  dataset - the dataset to add
+   */
+  addToCatalog(dataset) {
+    this.catalog.set(dataset.id, dataset);
+    for (const category of dataset.categories) {
+      this.categories.add(category);
+    }
+  }
+
+
+  /**
+   * removeFromCatalog
+   * Remove a dataset from the catalog, for datasets that are no longer available,
+   * e.g. when a plugin that provided them is removed.  (Also removes it from the menu).
+   * @param  {string}  datasetID - the datasetID to remove
+   */
+  removeFromCatalog(datasetID) {
+    if (!this.catalog.has(datasetID)) return;
+    this.catalog.delete(datasetID);
+    this.removeDatasets(datasetID);
+  }
+
+
   /**
    * addDatasets
    * Add datasets to the menu.  (Does not set their checked 'enabled' state.)
@@ -253,11 +310,31 @@ export class RapidSystem extends AbstractSystem {
     return this._taskExtent;
   }
 
+  get acceptLimit() {
+    return ACCEPT_FEATURES_LIMIT;
+  }
+
   isTaskRectangular() {
     return (!!this._taskExtent && this._isTaskBoundsRect);
   }
 
 
+  /**
+   * remainingAccepts
+   * Returns how many more features the user may accept in this session.
+   * Accepting is unlimited if Rapid is working on a task, or in poweruser mode.
+   * @return {number}  Number of features remaining, or `Infinity` if unlimited
+   */
+  remainingAccepts() {
+    if (this._taskExtent) return Infinity;
+
+    const urlhash = this.context.systems.urlhash;
+    if (urlhash.getParam('poweruser') === 'true') return Infinity;
+
+    return Math.max(0, ACCEPT_FEATURES_LIMIT - this.acceptIDs.size);
+  }
+
+
   /**
    * hadPoweruser
    * true if the user had poweruser mode at any point in their editing
@@ -326,6 +403,440 @@ export class RapidSystem extends AbstractSystem {
   }
 
 
+  /**
+   * acceptFeatures
+   * Accepts all of the visible features from the enabled datasets within the given area, as a single edit.
+   * A feature is skipped, rather than accepted, if:
+   *  - `unsupported` - it comes from a dataset that can't be edited (e.g. Overture)
+   *  - `blocked`     - it is in a location where editing is blocked
+   *  - `conflation`  - it looks like it matches an existing OSM feature (see `getConflationMatches`)
+   *  - `limit`       - the user has accepted as many features as they are allowed to
+   *  - `validation`  - accepting it would cause any validation errors or warnings
+   * @param  {Extent|Array}  area - an Extent, or an Array of [lon,lat] coordinates forming a polygon (e.g. a lasso)
+   * @return {Object}  Result like:
+   *   {
+   *     accepted:  Array of accepted entityIDs
+   *     skipped:   Map<reason, count> of features skipped for each reason
+   *     issues:    Map<issueType, count> of validation issues that caused features to be skipped
+   *   }
+   */
+  acceptFeatures(area) {
+    const context = this.context;
+    const editor = context.systems.editor;
+    const l10n = context.systems.l10n;
+    const locations = context.systems.locations;
+    const validator = context.systems.validator;
+
+    const result = { accepted: [], skipped: new Map(), issues: new Map() };
+    const skip = (reason, map = result.skipped) => map.set(reason, (map.get(reason) ?? 0) + 1);
+
+    const isRapidEnabled = context.systems.gfx.scene.layers.get('rapid')?.enabled;
+    if (!context.editable() || !isRapidEnabled) return result;
+
+    const polygon = (area instanceof Extent) ? area.polygon() : area;
+    const extent = (area instanceof Extent) ? area : area.reduce((acc, loc) => acc.extend(new Extent(loc)), new Extent());
+    const remaining = this.remainingAccepts();
+
+    // Gather the candidates, and the actions to accept them
+    const candidates = [];   // Array of { entity, dataset, graph, action }
+    for (const dataset of this.datasets.values()) {
+      if (!dataset.added || !dataset.enabled) continue;
+
+      const service = context.services[dataset.service];
+      if (!service?.started) continue;
+
+      for (const [entity, dsGraph] of this._gatherFeatures(dataset, service)) {
+        const locs = this._conflationCoords(entity, dsGraph);
+        if (!entity.extent(dsGraph).intersects(extent)) continue;
+        if (!locs.length || !locs.every(loc => geomPointInPolygon(loc, polygon))) continue;
+
+        if (!dsGraph) {
+          skip('unsupported');
+        } else if (locs.some(loc => locations.blocksAt(loc).length)) {
+          skip('blocked');
+        } else if (this.getConflationMatches(entity).length) {
+          skip('conflation');
+        } else {
+          candidates.push({ entity: entity, dataset: dataset, action: actionRapidAcceptFeature(entity.id, dsGraph) });
+        }
+      }
+    }
+
+    // Try accepting the candidates together, then validate each of them.
+    // (Validating them together means we will also notice candidates that conflict with each other.)
+    const validate = (batch) => {
+      let graph = editor.staging.graph;
+      for (const candidate of batch) {
+        graph = candidate.action(graph);
+      }
+
+      return batch.filter(candidate => {
+        const entity = graph.entity(candidate.entity.id);
+        const issues = validator ? validator.validateEntity(entity, graph) : [];
+        const problems = issues.filter(issue => issue.severity === 'error' || issue.severity === 'warning');
+        if (!problems.length) return true;
+
+        skip('validation');
+        for (const type of new Set(problems.map(issue => issue.type))) {
+          skip(type, result.issues);
+        }
+        return false;
+      });
+    };
+
+    // Only the valid candidates count against the limit.
+    // If the limit leaves some of them out, validate the rest again without them,
+    // because the candidates may depend on each other (e.g. connected roads).
+    let accepted = validate(candidates);
+    if (accepted.length > remaining) {
+      for (let i = remaining; i < accepted.length; i++) {
+        skip('limit');
+      }
+      accepted = validate(accepted.slice(0, remaining));
+    }
+
+    if (accepted.length) {
+      const dataUsed = new Set();
+      for (const candidate of accepted) {
+        const datasetUsed = candidate.dataset.dataUsed ?? [candidate.dataset.id];
+        for (const d of datasetUsed) {
+          dataUsed.add(d);
+        }
+      }
+
+      result.accepted = accepted.map(candidate => candidate.entity.id);
+
+      const datasetIDs = {};   // Object<entityID, datasetID>
+      for (const candidate of accepted) {
+        datasetIDs[candidate.entity.id] = candidate.dataset.id;
+      }
+
+      const annotation = {
+        type: 'rapid_accept_features',
+        description: l10n.t('rapid_batch_accept.annotation', { n: accepted.length }),
+        entityIDs: result.accepted,
+        datasetIDs: datasetIDs,
+        dataUsed: [...dataUsed]
+      };
+
+      editor.perform(...accepted.map(candidate => candidate.action));
+      editor.commit({ annotation: annotation });
+    }
+
+    this.emit('featuresaccepted', result);
+    return result;
+  }
+
+
+  /**
+   * getSessionReport
+   * Summarizes what the user has done with the Rapid features in this edit session,
+   * for giving the dataset providers feedback on the quality of their suggestions.
+   * This walks through the edit history (up to the current edit, not including any redo edits)
+   * to find the features that were accepted, merged into existing features, or ignored.
+   * For the accepted and merged features, it then compares the feature as it was right after
+   * accepting it to how it is now, to find what the user changed afterwards.
+   *
+   * @return {Object}  Report like:
+   *   {
+   *     datasets:  Map<datasetID, Object> of counts for each dataset, like:
+   *       {
+   *         id:          datasetID (or 'unknown' if it can't be determined)
+   *         label:       dataset label
+   *         accepted:    number of features accepted as new features
+   *         conflated:   number of features merged into existing features
+   *         ignored:     number of features ignored
+   *         modified:    number of accepted or merged features changed after accepting
+   *         deleted:     number of accepted or merged features deleted after accepting
+   *         tagEdits:    Map<key, { added, changed, removed }> counts of tag edits after accepting
+   *       }
+   *     features:  Array of Objects, one for each feature, like:
+   *       {
+   *         entityID:         the Rapid feature ID
+   *         osmID:            the OSM entity ID it became (or was merged into), `null` if ignored
+   *         datasetID:        datasetID (or 'unknown')
+   *         action:           'accepted', 'conflated', or 'ignored'
+   *         modified:         `true` if changed after accepting
+   *         deleted:          `true` if deleted after accepting
+   *         geometryChanged:  `true` if the geometry was changed after accepting
+   *         tagChanges:       Array of `{ key, before, after }` for the tags changed after accepting
+   *       }
+   *   }
+   */
+  getSessionReport() {
+    const editor = this.context.systems.editor;
+    const history = editor.history;
+    const index = editor.index;
+    const currGraph = history[index].graph;
+
+    const records = new Map();   // Map<entityID, Object>
+    const addRecord = (annotation, action, entityID, osmID, datasetID, i) => {
+      if (!entityID) return;
+      records.delete(entityID);   // in case we saw it before, the most recent action wins
+      records.set(entityID, {
+        entityID: entityID,
+        osmID: osmID,
+        datasetID: datasetID ?? this._datasetIDForAnnotation(annotation),
+        action: action,
+        editIndex: i
+      });
+    };
+
+    // Start at `1` - there won't be sources on the `base` edit..
+    // End at `index` - don't continue into the redo part of the history..
+    for (let i = 1; i <= index; i++) {
+      const annotation = history[i].annotation;
+      const type = annotation?.type;
+
+      if (type === 'rapid_accept_feature') {
+        addRecord(annotation, 'accepted', annotation.entityID, annotation.entityID, annotation.datasetID, i);
+      } else if (type === 'rapid_accept_features') {
+        for (const entityID of annotation.entityIDs ?? []) {
+          addRecord(annotation, 'accepted', entityID, entityID, annotation.datasetIDs?.[entityID], i);
+        }
+      } else if (type === 'rapid_conflate_feature') {
+        addRecord(annotation, 'conflated', annotation.entityID, annotation.targetID, annotation.datasetID, i);
+      } else if (type === 'rapid_ignore_feature') {
+        addRecord(annotation, 'ignored', annotation.entityID, null, annotation.datasetID, i);
+      }
+    }
+
+    const datasets = new Map();
+    const features = [];
+
+    for (const record of records.values()) {
+      const datasetID = record.datasetID;
+      let stats = datasets.get(datasetID);
+      if (!stats) {
+        const dataset = this.catalog.get(datasetID);
+        stats = {
+          id: datasetID,
+          label: dataset ? dataset.getLabel() : datasetID,
+          accepted: 0,
+          conflated: 0,
+          ignored: 0,
+          modified: 0,
+          deleted: 0,
+          tagEdits: new Map()
+        };
+        datasets.set(datasetID, stats);
+      }
+
+      stats[record.action]++;
+
+      const feature = {
+        entityID: record.entityID,
+        osmID: record.osmID,
+        datasetID: datasetID,
+        action: record.action,
+        modified: false,
+        deleted: false,
+        geometryChanged: false,
+        tagChanges: []
+      };
+      features.push(feature);
+
+      if (record.action === 'ignored') continue;
+
+      // Compare the feature right after accepting it to the feature now
+      const acceptGraph = history[record.editIndex].graph;
+      const before = acceptGraph.hasEntity(record.osmID);
+      const after = currGraph.hasEntity(record.osmID);
+      if (!before) continue;   // shouldn't happen
+
+      if (!after) {
+        feature.deleted = true;
+      } else {
+        feature.geometryChanged = this._geometryChanged(before, acceptGraph, after, currGraph);
+
+        const keys = new Set([...Object.keys(before.tags), ...Object.keys(after.tags)]);
+        for (const k of [...keys].sort()) {
+          const v1 = before.tags[k];
+          const v2 = after.tags[k];
+          if (v1 === v2) continue;
+
+          feature.tagChanges.push({ key: k, before: v1 ?? null, after: v2 ?? null });
+
+          const edits = stats.tagEdits.get(k) ?? { added: 0, changed: 0, removed: 0 };
+          if (v1 === undefined) {
+            edits.added++;
+          } else if (v2 === undefined) {
+            edits.removed++;
+          } else {
+            edits.changed++;
+          }
+          stats.tagEdits.set(k, edits);
+        }
+      }
+
+      feature.modified = feature.deleted || feature.geometryChanged || feature.tagChanges.length > 0;
+      if (feature.modified) stats.modified++;
+      if (feature.deleted)  stats.deleted++;
+    }
+
+    return { datasets: datasets, features: features };
+  }
+
+
+  /**
+   * _datasetIDForAnnotation
+   * Older annotations didn't record the datasetID, so try to find it from the `dataUsed` property.
+   * @param  {Object}  annotation
+   * @return {string}  datasetID, or 'unknown' if it can't be determined
+   */
+  _datasetIDForAnnotation(annotation) {
+    const dataUsed = (annotation?.dataUsed ?? []).join(';');
+    if (dataUsed) {
+      for (const [datasetID, dataset] of this.catalog) {
+        if ((dataset.dataUsed ?? []).join(';') === dataUsed) return datasetID;
+        if (dataUsed === datasetID) return datasetID;
+      }
+    }
+    return 'unknown';
+  }
+
+
+  /**
+   * _geometryChanged
+   * Returns `true` if the geometry of the entity is different between the two graphs
+   * @param  {osmEntity}  before
+   * @param  {Graph}      beforeGraph
+   * @param  {osmEntity}  after
+   * @param  {Graph}      afterGraph
+   * @return {boolean}
+   */
+  _geometryChanged(before, beforeGraph, after, afterGraph) {
+    const sameLoc = (a, b) => a && b && a[0] === b[0] && a[1] === b[1];
+
+    if (before.type === 'node') {
+      return !sameLoc(before.loc, after.loc);
+
+    } else if (before.type === 'way') {
+      if (before.nodes.length !== after.nodes.length) return true;
+      return before.nodes.some((nodeID, i) => {
+        if (nodeID !== after.nodes[i]) return true;
+        return !sameLoc(beforeGraph.hasEntity(nodeID)?.loc, afterGraph.hasEntity(nodeID)?.loc);
+      });
+
+    } else if (before.type === 'relation') {
+      return JSON.stringify(before.members) !== JSON.stringify(after.members);
+    }
+
+    return false;
+  }
+
+
+  /**
+   * _gatherFeatures
+   * Returns the visible features for a dataset that haven't been accepted or ignored yet.
+   * This matches what PixiLayerRapid draws for the dataset.
+   * @param  {RapidDataset}  dataset
+   * @param  {Object}        service - the service providing data for the dataset
+   * @return {Array}  Array of [entity, graph] pairs (graph is `null` for data that can't be edited)
+   */
+  _gatherFeatures(dataset, service) {
+    const useConflationStr = utilStringQs(window.location.hash).conflation;
+    let useConflation = dataset.conflated;
+    if (useConflationStr === 'false' || useConflationStr === 'no') {
+      useConflation = false;
+    }
+
+    const datasetID = dataset.id + (useConflation ? '-conflated' : '');
+    const dsGraph = (dataset.service === 'overture') ? null : service.graph(datasetID);
+    const isRoads = ['fbRoads', 'omdFootways', 'metaSyntheticFootways', 'rapid_intro_graph'].includes(dataset.id);
+
+    return service.getData(datasetID)
+      .filter(entity => {
+        if (this.acceptIDs.has(entity.id) || this.ignoreIDs.has(entity.id)) return false;
+        if (!dsGraph) return entity.type === 'node';   // Overture points
+
+        const geom = entity.geometry(dsGraph);
+        if (dataset.service === 'mapwithai') {
+          if (entity.type !== 'way') return false;
+          return isRoads ? (geom === 'line' && !!entity.tags.highway) : (geom === 'area');
+        } else {
+          return (geom === 'point' && !!entity.__fbid__) || geom === 'line' || geom === 'area';
+        }
+      })
+      .map(entity => [entity, dsGraph]);
+  }
+
+
+  /**
+   * getConflationMatches
+   * Find existing OSM features that are likely the same thing as the given Rapid feature.
+   * Candidates are gathered from the spatial index around the feature, then scored by how
+   * closely their geometry matches (see `geoPathSimilarity`).  To be considered a match,
+   * the candidate must have the same kind of geometry (point, line, or area) and, if the
+   * Rapid feature has tags, share at least one tag key with it.
+   * @param  {Object}  datum - the Rapid feature (an osmEntity with `__service__` and `__datasetid__` properties)
+   * @return {Array}   Array of matches sorted by best score first, each like:
+   *   {
+   *     entity:       the matching OSM entity
+   *     score:        geometry similarity score from 0 to 1
+   *     distance:     mean distance between the geometries, in meters
+   *     osmCoords:    coordinates of the OSM entity
+   *     rapidCoords:  coordinates of the Rapid feature
+   *   }
+   */
+  getConflationMatches(datum) {
+    const context = this.context;
+    const editor = context.systems.editor;
+    const service = context.services[datum?.__service__];
+    if (!service || datum.type === 'relation') return [];
+
+    const extGraph = service.graph(datum.__datasetid__);
+    const graph = editor.staging.graph;
+    const coords = this._conflationCoords(datum, extGraph);
+    const geometry = datum.geometry(extGraph);
+    const keys = Object.keys(datum.tags);
+    if (!coords.length) return [];
+
+    const extent = datum.extent(extGraph).padByMeters(CONFLATE_TOLERANCE);
+    const matches = [];
+
+    for (const entity of editor.intersects(extent)) {
+      if (entity.id === datum.id || entity.type !== datum.type) continue;
+      if (entity.geometry(graph) !== geometry) continue;
+      if (keys.length && !keys.some(k => entity.tags[k] !== undefined)) continue;
+
+      const other = this._conflationCoords(entity, graph);
+      const score = geoPathSimilarity(coords, other, CONFLATE_TOLERANCE);
+      if (score < CONFLATE_THRESHOLD) continue;
+
+      matches.push({
+        entity: entity,
+        score: score,
+        distance: geoPathDistance(coords, other),
+        osmCoords: other,
+        rapidCoords: coords
+      });
+    }
+
+    return matches
+      .sort((a, b) => b.score - a.score)
+      .slice(0, CONFLATE_MAX_MATCHES);
+  }
+
+
+  /**
+   * _conflationCoords
+   * Returns the coordinates to compare for a node or way
+   * @param  {osmEntity}  entity
+   * @param  {Graph}      graph
+   * @return {Array}      Array of [lon,lat] coordinates
+   */
+  _conflationCoords(entity, graph) {
+    if (entity.type === 'node') {
+      return [entity.loc];
+    } else if (entity.type === 'way') {
+      return graph.childNodes(entity).map(node => node.loc);
+    } else {
+      return [];
+    }
+  }
+
+
   /**
    * _stablechange
    * This is called anytime the history changes, we recompute the accepted/ignored sets.
@@ -347,8 +858,12 @@ export class RapidSystem extends AbstractSystem {
       const edit = history[i];
       const annotation = edit.annotation;
 
-      if (annotation?.type === 'rapid_accept_feature') {
+      if (annotation?.type === 'rapid_accept_feature' || annotation?.type === 'rapid_conflate_feature') {
         if (annotation.entityID)  this.acceptIDs.add(annotation.entityID);
+      } else if (annotation?.type === 'rapid_accept_features') {
+        for (const entityID of annotation.entityIDs ?? []) {
+          this.acceptIDs.add(entityID);
+        }
       } else if (annotation?.type === 'rapid_ignore_feature') {
         if (annotation.entityID)  this.ignoreIDs.add(annotation.entityID);
       }
@@ -416,7 +931,8 @@ export class RapidSystem extends AbstractSystem {
       dataset.added = nowAdded;
       dataset.enabled = this._enabledDatasetIDs.has(datasetID);
 
-      if (dataset.added && dataset.enabled) {
+      // Local files only live in memory, so they can't be restored from the urlhash
+      if (dataset.added && dataset.enabled && dataset.service !== 'localfile') {
         enabledIDs.push(datasetID);
       }
     }
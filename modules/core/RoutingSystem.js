@@ -0,0 +1,261 @@
+import { Extent, geoSphericalDistance } from '@rapid-sdk/math';
+import debounce from 'lodash-es/debounce.js';
+
+import { AbstractSystem } from './AbstractSystem.js';
+import { osmRoutingGraph, osmRoutingInstructions, osmRoutingProfiles } from '../osm/routing.js';
+
+// How far from a road (in meters) the start and end points can be placed
+const SNAP_DISTANCE = 50;
+
+
+/**
+ * `RoutingSystem` previews how a router would use the loaded OSM data.
+ * The user places a start and an end point, and we find the quickest route between them
+ * for a routing profile ('car', 'bike', or 'foot'), along with turn-by-turn instructions.
+ *
+ * The route is found in the current graph, so it includes the unsaved edits, and it is
+ * found again shortly after the edits stop changing.  Each point snaps to the nearest node of a road
+ * that the profile can use.
+ *
+ * Events available:
+ *   `routechange`   Fires when the points, profile, or route change
+ */
+export class RoutingSystem extends AbstractSystem {
+
+  /**
+   * @constructor
+   * @param  context  Global shared application context
+   */
+  constructor(context) {
+    super(context);
+    this.id = 'routing';
+    this.dependencies = new Set(['editor', 'storage']);
+
+    this._profileID = 'car';
+    this._start = null;          // Object like `{ loc, nodeID }` (`nodeID` is null if there is no road nearby)
+    this._end = null;
+    this._route = null;          // Object like `{ steps, distance, duration }`
+    this._instructions = [];
+    this._initPromise = null;
+
+    // Ensure methods used as callbacks always have `this` bound correctly.
+    this._onStableChange = this._onStableChange.bind(this);
+
+    // Searching the graph is expensive, so wait for the user to stop editing before finding the route again
+    this.deferredUpdate = debounce(this._onStableChange, 500, { leading: false, trailing: true });
+  }
+
+
+  /**
+   * initAsync
+   * Called after all core objects have been constructed.
+   * @return {Promise} Promise resolved when this component has completed initialization
+   */
+  initAsync() {
+    if (this._initPromise) return this._initPromise;
+
+    for (const id of this.dependencies) {
+      if (!this.context.systems[id]) {
+        return Promise.reject(`Cannot init:  ${this.id} requires ${id}`);
+      }
+    }
+
+    const editor = this.context.systems.editor;
+    const storage = this.context.systems.storage;
+    return this._initPromise = Promise.all([editor.initAsync(), storage.initAsync()])
+      .then(() => {
+        const profileID = storage.getItem('routing-profile');
+        if (osmRoutingProfiles[profileID]) {
+          this._profileID = profileID;
+        }
+        editor.on('stablechange', this.deferredUpdate);
+      });
+  }
+
+
+  /**
+   * startAsync
+   * Called after all core objects have been initialized.
+   * @return {Promise} Promise resolved when this component has completed startup
+   */
+  startAsync() {
+    this._started = true;
+    return Promise.resolve();
+  }
+
+
+  /**
+   * resetAsync
+   * Called after completing an edit session to reset any internal state
+   * @return {Promise} Promise resolved when this component has completed resetting
+   */
+  resetAsync() {
+    this.clear();
+    return Promise.resolve();
+  }
+
+
+  /**
+   * profileID
+   * The routing profile in use, one of the `osmRoutingProfiles`
+   * @readonly
+   */
+  get profileID() {
+    return this._profileID;
+  }
+
+  /**
+   * start
+   * The start point, like `{ loc, nodeID }`, or `null` if it isn't placed
+   * @readonly
+   */
+  get start() {
+    return this._start;
+  }
+
+  /**
+   * end
+   * The end point, like `{ loc, nodeID }`, or `null` if it isn't placed
+   * @readonly
+   */
+  get end() {
+    return this._end;
+  }
+
+  /**
+   * route
+   * The route between the start and end points, like `{ steps, distance, duration }`,
+   * or `null` if there is no route (see `osmRoutingGraph.route`)
+   * @readonly
+   */
+  get route() {
+    return this._route;
+  }
+
+  /**
+   * instructions
+   * The turn-by-turn instructions for the route (see `osmRoutingInstructions`)
+   * @readonly
+   */
+  get instructions() {
+    return this._instructions;
+  }
+
+
+  /**
+   * setProfile
+   * @param  {string}  profileID - one of the `osmRoutingProfiles`, e.g. 'bike'
+   */
+  setProfile(profileID) {
+    if (!osmRoutingProfiles[profileID] || profileID === this._profileID) return;
+
+    this._profileID = profileID;
+    this.context.systems.storage.setItem('routing-profile', profileID);
+
+    // Points snap to different roads for different profiles
+    if (this._start) this._start = this._snap(this._start.loc);
+    if (this._end) this._end = this._snap(this._end.loc);
+    this._update();
+  }
+
+
+  /**
+   * setStart
+   * @param  {Array}  loc - `[lon, lat]` to start the route at, or `null` to remove the start point
+   */
+  setStart(loc) {
+    this._start = loc ? this._snap(loc) : null;
+    this._update();
+  }
+
+
+  /**
+   * setEnd
+   * @param  {Array}  loc - `[lon, lat]` to end the route at, or `null` to remove the end point
+   */
+  setEnd(loc) {
+    this._end = loc ? this._snap(loc) : null;
+    this._update();
+  }
+
+
+  /**
+   * clear
+   * Removes both points and the route
+   */
+  clear() {
+    if (!this._start && !this._end) return;
+    this._start = null;
+    this._end = null;
+    this._update();
+  }
+
+
+  /**
+   * _snap
+   * Finds the nearest node on a road that the profile can use
+   * @param   {Array}   loc - `[lon, lat]`
+   * @return  {Object}  Object like `{ loc, nodeID }`
+   */
+  _snap(loc) {
+    const editor = this.context.systems.editor;
+    const graph = editor.staging.graph;
+    const routing = osmRoutingGraph(graph, this._profileID);
+    const extent = new Extent(loc).padByMeters(SNAP_DISTANCE);
+
+    let nodeID = null;
+    let best = SNAP_DISTANCE;
+
+    for (const entity of editor.tree.intersects(extent, graph)) {
+      if (entity.type !== 'way' || !routing.canUse(entity)) continue;
+
+      for (const node of graph.childNodes(entity)) {
+        const dist = geoSphericalDistance(loc, node.loc);
+        if (dist <= best) {
+          best = dist;
+          nodeID = node.id;
+        }
+      }
+    }
+
+    return { loc: loc, nodeID: nodeID };
+  }
+
+
+  /**
+   * _update
+   * Finds the route again, and emits a `routechange` event
+   */
+  _update() {
+    this.deferredUpdate.cancel();   // the route is up to date now
+
+    const graph = this.context.systems.editor.staging.graph;
+    const fromNodeID = this._start?.nodeID;
+    const toNodeID = this._end?.nodeID;
+
+    if (fromNodeID && toNodeID) {
+      const routing = osmRoutingGraph(graph, this._profileID);
+      this._route = routing.route(fromNodeID, toNodeID);
+      this._instructions = osmRoutingInstructions(graph, this._route);
+    } else {
+      this._route = null;
+      this._instructions = [];
+    }
+
+    this.emit('routechange');
+  }
+
+
+  /**
+   * _onStableChange
+   * Respond to edits, which might change the route
+   */
+  _onStableChange() {
+    if (!this._start && !this._end) return;
+
+    // The snapped nodes might have been deleted, or roads added nearer the points
+    if (this._start) this._start = this._snap(this._start.loc);
+    if (this._end) this._end = this._snap(this._end.loc);
+    this._update();
+  }
+}
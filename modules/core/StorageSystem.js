@@ -1,15 +1,29 @@
 import { AbstractSystem } from './AbstractSystem.js';
 
+const DB_NAME = 'Rapid';
+const DB_VERSION = 1;
+const SESSION_STORE = 'sessions';
+
+
 /**
- * `StorageSystem` is a wrapper around `window.localStorage`
- * It is used to store user preferences (good)
- * and the user's edit history (not good)
+ * `StorageSystem` is a wrapper around `window.localStorage` and `window.indexedDB`
+ * `localStorage` is used to store user preferences.
+ * `indexedDB` is used to store the user's edit sessions.
  *
- * n.b.:  `localStorage` is a _synchronous_ API.
- * We should add another system for wrapping `indexedDB`,
- * which is an _asynchronous_ API, but would allow us to store
- * a whole lot more data, and share it with worker processes.
- * (The user's edit history should go there instead.)
+ * n.b.:  `localStorage` is a _synchronous_ API, and it has a small quota.
+ * `indexedDB` is an _asynchronous_ API, but allows us to store a whole lot more data.
+ * If `indexedDB` is unavailable (e.g. private browsing in some browsers),
+ *  the edit sessions are kept in memory and will not survive a page reload.
+ *
+ * Edit sessions are Objects that look like:
+ * {
+ *   id:        'string',   // unique identifier for the session
+ *   name:      'string',   // user-supplied name, may be empty
+ *   created:   number,     // creation time, in epoch milliseconds
+ *   modified:  number,     // time of the last backup, in epoch milliseconds
+ *   edits:     number,     // count of edits in the history, for display
+ *   json:      'string'    // the edit history, as returned by `EditSystem.toJSON()`
+ * }
  */
 export class StorageSystem extends AbstractSystem {
 
@@ -28,16 +42,12 @@ export class StorageSystem extends AbstractSystem {
     try {
       this._storage = window.localStorage;
     } catch (e) {
-      this._mock = new Map();
-      this._storage = {
-        isMocked: true,
-        hasItem: (k) => this._mock.has(k),
-        getItem: (k) => this._mock.get(k),
-        setItem: (k, v) => this._mock.set(k, v),
-        removeItem: (k) => this._mock.delete(k),
-        clear: () => this._mock.clear()
-      };
+      this._useMemoryStorage();
     }
+
+    this._db = null;
+    this._sessions = new Map();   // Map(sessionID -> session), used only if `indexedDB` is unavailable
+    this._initPromise = null;
   }
 
 
@@ -47,12 +57,20 @@ export class StorageSystem extends AbstractSystem {
    * @return {Promise} Promise resolved when this component has completed initialization
    */
   initAsync() {
+    if (this._initPromise) return this._initPromise;
+
     for (const id of this.dependencies) {
       if (!this.context.systems[id]) {
         return Promise.reject(`Cannot init:  ${this.id} requires ${id}`);
       }
     }
-    return Promise.resolve();
+
+    return this._initPromise = this._openDatabaseAsync()
+      .then(db => this._db = db)
+      .catch(e => {
+        console.warn('indexedDB unavailable, edit sessions will not be saved');  // eslint-disable-line no-console
+        this._db = null;
+      });
   }
 
 
@@ -130,4 +148,156 @@ export class StorageSystem extends AbstractSystem {
   clear() {
     this._storage.clear();
   }
+
+
+  /**
+   * _useMemoryStorage
+   * Keeps the preferences in memory instead of `localStorage`, so they will not survive a page reload.
+   */
+  _useMemoryStorage() {
+    this._mock = new Map();
+    this._storage = {
+      isMocked: true,
+      hasItem: (k) => this._mock.has(k),
+      getItem: (k) => this._mock.get(k),
+      setItem: (k, v) => this._mock.set(k, v),
+      removeItem: (k) => this._mock.delete(k),
+      clear: () => this._mock.clear()
+    };
+  }
+
+
+  /**
+   * persistsSessions
+   * `true` if the edit sessions are stored in `indexedDB`,
+   * `false` if they are only kept in memory and will not survive a page reload.
+   * @return  {boolean}
+   * @readonly
+   */
+  get persistsSessions() {
+    return !!this._db;
+  }
+
+
+  /**
+   * getSessionsAsync
+   * Returns all of the stored edit sessions, most recently modified first.
+   * @return  {Promise}  Promise resolved with an Array of edit sessions
+   */
+  getSessionsAsync() {
+    if (!this._db) {
+      return Promise.resolve([...this._sessions.values()].sort(_byModified));
+    }
+
+    return this._requestAsync('readonly', store => store.getAll())
+      .then(results => (results ?? []).sort(_byModified));
+
+    function _byModified(a, b) {
+      return (b.modified ?? 0) - (a.modified ?? 0);
+    }
+  }
+
+
+  /**
+   * getSessionAsync
+   * @param   {string}   sessionID - The edit session to get
+   * @return  {Promise}  Promise resolved with the edit session, or `undefined` if not found
+   */
+  getSessionAsync(sessionID) {
+    if (!this._db) {
+      return Promise.resolve(this._sessions.get(sessionID));
+    }
+    return this._requestAsync('readonly', store => store.get(sessionID));
+  }
+
+
+  /**
+   * setSessionAsync
+   * Stores the given edit session, replacing any existing session with the same id.
+   * If `indexedDB` is unavailable, the session is kept in memory (see `persistsSessions`).
+   * @param   {Object}   session - The edit session to store
+   * @return  {Promise}  Promise resolved with `true` if the write succeeded, `false` if it failed
+   */
+  setSessionAsync(session) {
+    if (!this._db) {
+      this._sessions.set(session.id, session);
+      return Promise.resolve(true);
+    }
+
+    return this._requestAsync('readwrite', store => store.put(session))
+      .then(() => true)
+      .catch(e => {
+        console.error('indexedDB write failed', e);  // eslint-disable-line no-console
+        return false;
+      });
+  }
+
+
+  /**
+   * removeSessionAsync
+   * @param   {string}   sessionID - The edit session to remove
+   * @return  {Promise}  Promise resolved with `true` if the delete succeeded, `false` if it failed
+   */
+  removeSessionAsync(sessionID) {
+    if (!this._db) {
+      this._sessions.delete(sessionID);
+      return Promise.resolve(true);
+    }
+
+    return this._requestAsync('readwrite', store => store.delete(sessionID))
+      .then(() => true)
+      .catch(e => {
+        console.error('indexedDB delete failed', e);  // eslint-disable-line no-console
+        return false;
+      });
+  }
+
+
+  /**
+   * _openDatabaseAsync
+   * Opens the `indexedDB` database, creating or upgrading the object stores if needed.
+   * @return  {Promise}  Promise resolved with the `IDBDatabase`, or rejected if it could not be opened
+   */
+  _openDatabaseAsync() {
+    return new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('indexedDB not supported'));
+        return;
+      }
+
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SESSION_STORE)) {
+          db.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('indexedDB blocked'));
+    });
+  }
+
+
+  /**
+   * _requestAsync
+   * Wraps a single request against the sessions object store in a Promise.
+   * @param   {string}    mode - Transaction mode, either 'readonly' or 'readwrite'
+   * @param   {Function}  fn - Function that receives the `IDBObjectStore` and returns an `IDBRequest`
+   * @return  {Promise}   Promise resolved with the request result when the transaction completes
+   */
+  _requestAsync(mode, fn) {
+    return new Promise((resolve, reject) => {
+      let request;
+      try {
+        const tx = this._db.transaction(SESSION_STORE, mode);
+        request = fn(tx.objectStore(SESSION_STORE));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      } catch (e) {
+        reject(e);
+      }
+    });
+  }
 }
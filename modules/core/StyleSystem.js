@@ -1,5 +1,7 @@
 import { AbstractSystem } from './AbstractSystem.js';
+import { StyleSheet } from './lib/StyleSheet.js';
 import { osmPavedTags } from '../osm/tags.js';
+import { utilFetchResponse } from '../util/fetch_response.js';
 
 
 const roadVals = new Set([
@@ -17,6 +19,17 @@ const lifecycleVals = new Set([
 const lifecycleRegex = new RegExp('^(' + Array.from(lifecycleVals).join('|') + '):');
 
 
+// A simple string hash (FNV-1a), used for picking stable colors
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+
 /**
  * `StyleSystem` maintains the the rules about how map data should look.
  *
@@ -33,7 +46,15 @@ export class StyleSystem extends AbstractSystem {
     super(context);
     this.id = 'styles';
     this.context = context;
-    this.dependencies = new Set(['assets']);
+    this.dependencies = new Set(['assets', 'storage']);
+
+    // User-defined stylesheets, applied on top of the built-in style, see `StyleSheet.js`
+    this._stylesheets = new Map();   // Map(stylesheetID -> StyleSheet)
+    this._stylesheetID = null;       // the stylesheet in use, or `null` for the built-in style
+
+    // Thematic mode, see `applyThematic`
+    this._thematicKey = null;          // the tag key to color the map data by, or `null` if not in thematic mode
+    this._thematicColors = new Map();  // Map(tag value -> color), see `thematicColor`
 
     // Experiment, see Rapid#1230
     // matrix values from https://github.com/maputnik/editor
@@ -551,6 +572,20 @@ export class StyleSystem extends AbstractSystem {
     };
 
 
+    //
+    // "Thematic Colors" are used to color lines and areas by the value of a tag, see `applyThematic`.
+    // Values get the palette colors in the order they are seen, and the `other` color after that.
+    //
+    this.THEMATIC_COLORS = {
+      palette: [
+        0x1f77b4, 0xff7f0e, 0x2ca02c, 0xd62728, 0x9467bd, 0x8c564b,
+        0x17becf, 0xbcbd22, 0x7fc97f, 0xfdc086, 0x386cb0, 0xf0027f
+      ],
+      other: 0x999999,
+      missing: 0xff33ff
+    };
+
+
     // Ensure methods used as callbacks always have `this` bound correctly.
     this.styleMatch = this.styleMatch.bind(this);
   }
@@ -577,6 +612,29 @@ export class StyleSystem extends AbstractSystem {
    */
   startAsync() {
     this._started = true;
+
+    // Restore the stylesheets from last time
+    const storage = this.context.systems.storage;
+    try {
+      const stylesheets = JSON.parse(storage.getItem('map-stylesheets') ?? '[]');
+      for (const d of stylesheets) {
+        this._stylesheets.set(d.id, new StyleSheet(d.id, d.text));
+      }
+    } catch (e) {
+      console.warn(`Could not restore stylesheets: ${e.message}`);  // eslint-disable-line no-console
+    }
+
+    const stylesheetID = storage.getItem('map-stylesheet');
+    if (this._stylesheets.has(stylesheetID)) {
+      this._stylesheetID = stylesheetID;
+      this.emit('stylechange');
+    }
+
+    const thematicKey = storage.getItem('map-thematic-key');
+    if (thematicKey) {
+      this.thematicKey = thematicKey;
+    }
+
     return Promise.resolve();
   }
 
@@ -591,12 +649,213 @@ export class StyleSystem extends AbstractSystem {
   }
 
 
+  /**
+   * stylesheets
+   * @return  {Array}  Array of the user-defined stylesheets
+   */
+  get stylesheets() {
+    return [...this._stylesheets.values()];
+  }
+
+
+  /**
+   * stylesheetID
+   * The stylesheet used to style the map data, or `null` for the built-in style
+   */
+  get stylesheetID() {
+    return this._stylesheetID;
+  }
+  set stylesheetID(val) {
+    if (val !== null && !this._stylesheets.has(val)) return;   // no such stylesheet
+    if (val === this._stylesheetID) return;   // no change
+
+    this._stylesheetID = val;
+    const storage = this.context.systems.storage;
+    if (val === null) {
+      storage.removeItem('map-stylesheet');
+    } else {
+      storage.setItem('map-stylesheet', val);
+    }
+    this.emit('stylechange');
+  }
+
+
+  /**
+   * addStylesheet
+   * Adds a user-defined stylesheet (replacing any with the same id), and starts using it.
+   * The stylesheet is remembered, so it will be there next time too.
+   * @param   {string}  stylesheetID - unique ID for the stylesheet (e.g. the filename or URL it came from)
+   * @param   {string}  text - the stylesheet, see `StyleSheet.js` for the format
+   * @return  {StyleSheet}  the new stylesheet
+   * @throws  Will throw if the stylesheet can't be parsed, or uses an unknown fill pattern
+   */
+  addStylesheet(stylesheetID, text) {
+    const stylesheet = new StyleSheet(stylesheetID, text);
+    for (const patternID of stylesheet.patterns()) {
+      if (!this.PATTERN_DECLARATIONS.includes(patternID)) {
+        throw new Error(`Unknown fill pattern '${patternID}'`);
+      }
+    }
+
+    this._stylesheets.set(stylesheetID, stylesheet);
+    this._saveStylesheets();
+
+    if (this._stylesheetID === stylesheetID) {
+      this.emit('stylechange');   // same id, but the rules have changed
+    } else {
+      this.stylesheetID = stylesheetID;
+    }
+    return stylesheet;
+  }
+
+
+  /**
+   * loadStylesheetAsync
+   * Fetches a stylesheet from a URL, see `addStylesheet`.
+   * @param   {string}   url - URL of the stylesheet
+   * @return  {Promise}  Promise resolved with the new stylesheet
+   */
+  loadStylesheetAsync(url) {
+    return fetch(url)
+      .then(utilFetchResponse)
+      .then(text => this.addStylesheet(url, text));
+  }
+
+
+  /**
+   * removeStylesheet
+   * Removes a user-defined stylesheet, and forgets it.
+   * If the stylesheet was in use, the built-in style is used instead.
+   * @param   {string}  stylesheetID - the stylesheet to remove
+   */
+  removeStylesheet(stylesheetID) {
+    if (!this._stylesheets.has(stylesheetID)) return;
+
+    this._stylesheets.delete(stylesheetID);
+    this._saveStylesheets();
+
+    if (this._stylesheetID === stylesheetID) {
+      this.stylesheetID = null;
+    }
+  }
+
+
+  /**
+   * _saveStylesheets
+   * Remembers the user-defined stylesheets in storage
+   */
+  _saveStylesheets() {
+    const storage = this.context.systems.storage;
+    const stylesheets = this.stylesheets.map(stylesheet => ({ id: stylesheet.id, text: stylesheet.text }));
+    if (stylesheets.length) {
+      storage.setItem('map-stylesheets', JSON.stringify(stylesheets));
+    } else {
+      storage.removeItem('map-stylesheets');
+    }
+  }
+
+
+  /**
+   * thematicKey
+   * The tag key to color the lines and areas by, or `null` to draw them normally
+   */
+  get thematicKey() {
+    return this._thematicKey;
+  }
+  set thematicKey(val) {
+    val = (typeof val === 'string' && val.trim()) || null;
+    if (val === this._thematicKey) return;   // no change
+
+    this._thematicKey = val;
+    this._thematicColors.clear();
+
+    const storage = this.context.systems.storage;
+    if (val === null) {
+      storage.removeItem('map-thematic-key');
+    } else {
+      storage.setItem('map-thematic-key', val);
+    }
+    this.emit('stylechange');
+  }
+
+
+  /**
+   * thematicColor
+   * Returns the color for a value of the thematic key.
+   * The palette color is picked from a hash of the value, so a value gets the same color no matter
+   * which features are drawn first, after panning the map, and in later sessions.
+   * If that color is taken by another value already, the next free palette color is used,
+   * and once all palette colors are taken, new values get the `other` color.
+   * @param   {string}  value? - the tag value, or `undefined` if the tag is missing
+   * @return  {number}  the color
+   */
+  thematicColor(value) {
+    if (value === undefined || value === '') return this.THEMATIC_COLORS.missing;
+
+    let color = this._thematicColors.get(value);
+    if (color === undefined) {
+      const palette = this.THEMATIC_COLORS.palette;
+      const taken = new Set(this._thematicColors.values());
+      const start = hashString(value) % palette.length;
+
+      color = this.THEMATIC_COLORS.other;
+      for (let i = 0; i < palette.length; i++) {
+        const candidate = palette[(start + i) % palette.length];
+        if (!taken.has(candidate)) {
+          color = candidate;
+          break;
+        }
+      }
+      this._thematicColors.set(value, color);
+    }
+    return color;
+  }
+
+
+  /**
+   * applyThematic
+   * In thematic mode, colors the stroke and fill of a style by the value of the thematic key.
+   * Features without the tag get the `missing` color.
+   * @param   {Object}  style - style to change (as returned by `styleMatch`)
+   * @param   {Object}  tags - OSM tags of the feature
+   * @return  {Object}  the style
+   */
+  applyThematic(style, tags) {
+    if (!this._thematicKey) return style;
+
+    const color = this.thematicColor(tags[this._thematicKey]);
+    style.stroke.color = color;
+    style.stroke.alpha = 1;
+    style.fill.color = color;
+    delete style.fill.pattern;   // patterns would make the colors harder to tell apart
+    return style;
+  }
+
+
   /**
    * styleMatch
+   * Returns the built-in style for the given tags, with the rules of the current stylesheet (if any) applied.
    * @param  {Object}  tags - OSM tags to match to a display style
+   * @param  {string}  geometry? - geometry of the feature ('point', 'vertex', 'line', 'area', 'relation'),
+   *                               used to match stylesheet rules for a specific geometry
    * @return {Object}  Styling info for the given tags
    */
-  styleMatch(tags) {
+  styleMatch(tags, geometry) {
+    const style = this._builtinStyleMatch(tags);
+    const stylesheet = this._stylesheets.get(this._stylesheetID);
+    if (stylesheet) {
+      stylesheet.apply(style, tags, geometry);
+    }
+    return style;
+  }
+
+
+  /**
+   * _builtinStyleMatch
+   * @param  {Object}  tags - OSM tags to match to a display style
+   * @return {Object}  Styling info for the given tags, using the built-in rules
+   */
+  _builtinStyleMatch(tags) {
     const defaults = this.STYLE_DECLARATIONS.DEFAULTS;
 
     let matched = defaults;
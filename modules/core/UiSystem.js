@@ -5,9 +5,9 @@ import { AbstractSystem } from './AbstractSystem.js';
 import { utilDetect } from '../util/detect.js';
 
 import {
-  UiApiStatus, UiDefs, uiEditMenu, uiFlash, UiFullscreen, uiIntro,
-  uiLoading, UiMapFooter, UiMapToolbar, uiMapRouletteMenu, UiOvermap,
-  uiSplash, uiRestore, UiShortcuts, UiSidebar, uiWhatsNew
+  UiApiStatus, UiCommandPalette, UiDefs, uiEditMenu, uiFlash, UiFullscreen,
+  uiIntro, uiLoading, UiMapFooter, UiMapToolbar, uiMapRouletteMenu, UiOvermap,
+  UiPluginPrompt, UiRapidAcceptReport, uiSplash, uiRestore, UiShortcuts, UiSidebar, uiWhatsNew
 } from '../ui/index.js';
 
 
@@ -37,6 +37,7 @@ export class UiSystem extends AbstractSystem {
     // Child components, we will defer creating these until after some other things have initted.
     this.ApiStatus = null;
     this.AuthModal = null;
+    this.CommandPalette = null;
     this.Defs = null;
     this.EditMenu = null;
     this.MapRouletteMenu = null;
@@ -45,6 +46,8 @@ export class UiSystem extends AbstractSystem {
     this.MapFooter = null;
     this.MapToolbar = null;
     this.Overmap = null;
+    this.PluginPrompt = null;
+    this.RapidAcceptReport = null;
     this.Shortcuts = null;
     this.Sidebar = null;
 
@@ -99,6 +102,7 @@ export class UiSystem extends AbstractSystem {
         // Create UI components
         this.ApiStatus = new UiApiStatus(context);
         this.AuthModal = uiLoading(context).blocking(true).message(l10n.t('loading_auth'));
+        this.CommandPalette = new UiCommandPalette(context);
         this.Defs = new UiDefs(context);
         this.EditMenu = uiEditMenu(context);
         this.MapRouletteMenu = uiMapRouletteMenu(context);
@@ -107,6 +111,8 @@ export class UiSystem extends AbstractSystem {
         this.MapFooter = new UiMapFooter(context);
         this.MapToolbar = new UiMapToolbar(context);
         this.Overmap = new UiOvermap(context);
+        this.PluginPrompt = new UiPluginPrompt(context);
+        this.RapidAcceptReport = new UiRapidAcceptReport(context);
         this.Shortcuts = new UiShortcuts(context);
         this.Sidebar = new UiSidebar(context);
 
@@ -5,6 +5,7 @@ import { actionDiscardTags } from '../actions/discard_tags.js';
 import { actionMergeRemoteChanges } from '../actions/merge_remote_changes.js';
 import { actionRevert } from '../actions/revert.js';
 import { Graph } from './lib/index.js';
+import { osmChangeset, osmRemapChanges, osmSplitChanges } from '../osm/index.js';
 
 
 
@@ -18,6 +19,7 @@ import { Graph } from './lib/index.js';
  *   'saveEnded'          // dispatched after the result event has been dispatched
  *   'willAttemptUpload'  // dispatched before the actual upload call occurs, if it will
  *   'progressChanged'
+ *   'uploadProgress'     // dispatched when each part of the upload starts or ends
  *
  *   // Each save results in one of these outcomes:
  *   'resultNoChanges'   // upload wasn't attempted since there were no edits
@@ -38,6 +40,10 @@ export class UploaderSystem extends AbstractSystem {
 
     this.changeset = null;    // uiCommit will create it
 
+    // Large uploads are split into several changesets, by size or by area.
+    // `maxSize` is the maximum number of entities in each changeset (`null` = the OSM API maximum)
+    this.splitOptions = { mode: 'size', maxSize: null };
+
     this._origChanges = null;
     this._discardTags = {};
     this._isSaving = false;
@@ -52,6 +58,12 @@ export class UploaderSystem extends AbstractSystem {
     this._errors = [];
     this._initPromise = null;
 
+    // variables for uploading in parts
+    this._parts = [];            // Array of Objects like `{ changes, size, status, changesetID }`
+    this._partIndex = 0;
+    this._uploaded = new Map();  // Map(entityID -> { entity, id, version, deleted }) of what has been uploaded
+    this._changesets = [];       // Array of changesets that have been uploaded
+
     // Ensure methods used as callbacks always have `this` bound correctly.
     this._loadedSome = this._loadedSome.bind(this);
     this._uploadCallback = this._uploadCallback.bind(this);
@@ -99,10 +111,42 @@ export class UploaderSystem extends AbstractSystem {
    */
   resetAsync() {
     this.changeset = null;
+    this._resetParts();
     return Promise.resolve();
   }
 
 
+  /**
+   * parts
+   * The parts of the current (or last) upload, for showing progress.
+   * @return  {Array}  Array of Objects like `{ size, status, changesetID }`,
+   *                    where status is one of 'pending', 'uploading', 'done', or 'failed'
+   */
+  get parts() {
+    return this._parts.map(part => ({ size: part.size, status: part.status, changesetID: part.changesetID }));
+  }
+
+
+  /**
+   * isPartiallyUploaded
+   * Returns `true` if some parts of the upload were uploaded but others failed.
+   * Saving again will continue with the remaining changes.
+   */
+  get isPartiallyUploaded() {
+    return this._uploaded.size > 0;
+  }
+
+
+  /**
+   * previewParts
+   * Splits the current changes the way they would be uploaded, without uploading anything.
+   * @return  {Array}  Array of changes Objects, one for each changeset
+   */
+  previewParts() {
+    return this._splitChanges();
+  }
+
+
   /**
    * isSaving
    */
@@ -316,7 +360,7 @@ export class UploaderSystem extends AbstractSystem {
       const keepMine = l10n.t('save.conflict.' + (remote.visible ? 'keep_local' : 'restore'));
       const keepTheirs = l10n.t('save.conflict.' + (remote.visible ? 'keep_remote' : 'delete'));
 
-      this._conflicts.push({
+      const conflict = {
         id: entityID,
         name: entityName(local),
         details: mergeConflicts,
@@ -325,7 +369,38 @@ export class UploaderSystem extends AbstractSystem {
           { id: entityID, text: keepMine, action: () => editor.perform(actionForceLocal) },
           { id: entityID, text: keepTheirs, action: () => editor.perform(actionForceRemote) }
         ]
-      });
+      };
+
+      // If the entity still exists remotely, also offer a three-way merge, where the user
+      // chooses which version to keep for each conflicting tag, node list segment, or member.
+      // The conflicts UI fills in `merge.choices` and then performs the 'custom' merge.
+      if (remote.visible) {
+        const merge = {
+          entityID: entityID,
+          details: actionSafe.details(),
+          choices: { tags: {}, nodes: {}, members: {} },
+          baseGraph: editor.base.graph,
+          localGraph: localGraph,
+          remoteGraph: remoteGraph
+        };
+
+        const actionCustom = actionMergeRemoteChanges(entityID, {
+          localGraph: localGraph,
+          remoteGraph: remoteGraph,
+          discardTags: this._discardTags,
+          formatUser: formatUser,
+          localize: l10n.t,
+          strategy: 'custom',
+          choices: merge.choices
+        });
+
+        conflict.merge = merge;
+        conflict.choices.push(
+          { id: entityID, text: l10n.t('save.conflict.merge'), merge: true, action: () => editor.perform(actionCustom) }
+        );
+      }
+
+      this._conflicts.push(conflict);
     }
 
 
@@ -371,11 +446,18 @@ export class UploaderSystem extends AbstractSystem {
       this._didResultInErrors();
 
     } else {
-      const editor = context.systems.editor;
-      const changes = editor.changes(actionDiscardTags(editor.difference(), this._discardTags));
-      if (changes.modified.length || changes.created.length || changes.deleted.length) {
+      const parts = this._splitChanges();
+      if (parts.length) {
+        // If we are continuing a partial upload, keep the parts that were already uploaded
+        const done = this._uploaded.size ? this._parts.filter(part => part.status === 'done') : [];
+        this._parts = done.concat(parts.map(changes => ({
+          changes: changes,
+          size: changes.created.length + changes.modified.length + changes.deleted.length,
+          status: 'pending',
+          changesetID: null
+        })));
         this.emit('willAttemptUpload');
-        osm.sendChangeset(this.changeset, changes, this._uploadCallback);
+        this._uploadPart(done.length);
       } else {
         // changes were insignificant or reverted by user
         this._didResultInNoChanges();
@@ -384,29 +466,150 @@ export class UploaderSystem extends AbstractSystem {
   }
 
 
-  _uploadCallback(err, updatedChangeset) {
-    if (updatedChangeset) {
+  // Split the changes to upload into parts, according to the `splitOptions`.
+  // If some parts were already uploaded, this includes only what remains to be uploaded.
+  _splitChanges() {
+    const context = this.context;
+    const editor = context.systems.editor;
+    const osm = context.services.osm;
+    const graph = editor.stable.graph;
+    const baseGraph = editor.base.graph;
+
+    const changes = editor.changes(actionDiscardTags(editor.difference(), this._discardTags));
+
+    // Include anything that was uploaded, but has since been reverted or removed by the user.
+    const changedIDs = new Set([...changes.created, ...changes.modified, ...changes.deleted].map(entity => entity.id));
+    for (const [entityID, done] of this._uploaded) {
+      if (done.deleted || changedIDs.has(entityID)) continue;
+      const entity = graph.hasEntity(entityID);
+      if (entity) {
+        changes.modified.push(entity);
+      } else {
+        changes.deleted.push(done.entity);
+      }
+    }
+
+    // Split the changes, then remove the parts that are already uploaded
+    const parts = osmSplitChanges(changes, {
+      maxSize: this.splitOptions.maxSize || osm?.maxChangesetElements,
+      cluster: (this.splitOptions.mode === 'area'),
+      graph: graph,
+      baseGraph: baseGraph
+    });
+
+    return parts.filter(part => {
+      const remaining = osmRemapChanges(part, this._uploaded);
+      return remaining.created.length || remaining.modified.length || remaining.deleted.length;
+    });
+  }
+
+
+  // Upload the part at the given index, in a changeset of its own
+  _uploadPart(index) {
+    const osm = this.context.services.osm;
+    const part = this._parts[index];
+
+    this._partIndex = index;
+    part.status = 'uploading';
+    this.emit('uploadProgress', index + 1, this._parts.length);
+
+    // References to entities that were uploaded in earlier parts need their new ids
+    const changes = osmRemapChanges(part.changes, this._uploaded);
+    const changeset = (this._parts.length > 1) ? new osmChangeset({ tags: this.changeset.tags }) : this.changeset;
+    osm.sendChangeset(changeset, changes, this._uploadCallback);
+  }
+
+
+  // Remember the ids and versions of the entities in the given part, from the diffResult
+  _recordUploaded(part, diffResult) {
+    const osm = this.context.services.osm;
+
+    // The diffResult refers to entities by the ids they were uploaded with
+    const localIDs = new Map();
+    for (const [entityID, done] of this._uploaded) {
+      localIDs.set(done.id, entityID);
+    }
+
+    const sent = new Map();
+    for (const changeType of ['created', 'modified', 'deleted']) {
+      for (const entity of part.changes[changeType]) {
+        sent.set(entity.id, { entity: entity, deleted: (changeType === 'deleted') });
+      }
+    }
+
+    let results = [];
+    try {
+      results = osm.parseDiffResult(diffResult);
+    } catch (e) {
+      console.error(e);  // eslint-disable-line no-console
+    }
+
+    for (const result of results) {
+      const entityID = localIDs.get(result.oldID) ?? result.oldID;
+      const item = sent.get(entityID);
+      if (!item) continue;
+
+      this._uploaded.set(entityID, {
+        entity: item.entity,
+        id: result.newID ?? result.oldID,
+        version: result.newVersion,
+        deleted: item.deleted
+      });
+    }
+  }
+
+
+  _uploadCallback(err, updatedChangeset, diffResult) {
+    const part = this._parts[this._partIndex];
+    const isSplit = (this._parts.length > 1);
+
+    if (updatedChangeset && !isSplit) {
       this.changeset = updatedChangeset;  // it may have a changeset id now
     }
 
     if (err) {
-      if (err.status === 409) {  // 409 Conflict
+      part.status = 'failed';
+      this.emit('uploadProgress', this._partIndex + 1, this._parts.length);
+
+      // Only check for conflicts if nothing has been uploaded yet.
+      // After that, the remote versions of what we uploaded no longer match our local versions.
+      if (err.status === 409 && !this._uploaded.size) {  // 409 Conflict
         this.save(true, true);   // tryAgain = true, checkConflicts = true
       } else {
         const l10n = this.context.systems.l10n;
-        this._errors.push({
-          msg: err.message || err.responseText,
-          details: [ l10n.t('save.status_code', { code: err.status }) ]
-        });
+        const details = [ l10n.t('save.status_code', { code: err.status }) ];
+        if (this._uploaded.size) {
+          const done = this._parts.filter(part => part.status === 'done').length;
+          details.push(l10n.t('save.split.partial', { num: done, total: this._parts.length }));
+        }
+        this._errors.push({ msg: err.message || err.responseText, details: details });
         this._didResultInErrors();
       }
+      return;
+    }
+
+    part.status = 'done';
+    part.changesetID = updatedChangeset.id;
+    this._changesets.push(updatedChangeset);
+    this._recordUploaded(part, diffResult);
+    this.emit('uploadProgress', this._partIndex + 1, this._parts.length);
 
+    if (this._partIndex + 1 < this._parts.length) {
+      this._uploadPart(this._partIndex + 1);
     } else {
       this._didResultInSuccess();
     }
   }
 
 
+  _resetParts() {
+    this._parts = [];
+    this._partIndex = 0;
+    this._uploaded = new Map();
+    this._changesets = [];
+  }
+
+
   _didResultInNoChanges() {
     this.emit('resultNoChanges');
     this._endSave();
@@ -430,7 +633,10 @@ export class UploaderSystem extends AbstractSystem {
 
 
   _didResultInSuccess() {
-    this.emit('resultSuccess', this.changeset);
+    const changesets = this._changesets;
+    const changeset = changesets.at(-1) ?? this.changeset;
+    this._resetParts();
+    this.emit('resultSuccess', changeset, changesets);
     this._endSave();
   }
 
@@ -1,9 +1,12 @@
 import { Extent } from '@rapid-sdk/math';
 import { utilArrayChunk, utilArrayGroupBy } from '@rapid-sdk/util';
+import { load as yamlLoad } from 'js-yaml';
 import RBush from 'rbush';
 
 import { AbstractSystem } from './AbstractSystem.js';
 import { Difference } from './lib/Difference.js';
+import { utilFetchResponse } from '../util/index.js';
+import { validationCustomRule } from '../validations/custom_rule.js';
 import * as Validations from '../validations/index.js';
 
 const RETRY = 5000;    // wait 5 sec before revalidating provisional entities
@@ -26,6 +29,7 @@ const RETRY = 5000;    // wait 5 sec before revalidating provisional entities
  * Events available:
  *   `validated`       Fires after some validation has occurred
  *   `focusedIssue`    Fires after an issue has received focus, receives the issue
+ *   `auditprogress`   Fires as an area audit makes progress, receives the audit status, see `auditAsync`
  */
 export class ValidationSystem extends AbstractSystem {
 
@@ -42,10 +46,12 @@ export class ValidationSystem extends AbstractSystem {
     this._base = new ValidationCache('base');   // issues before any user edits
     this._head = new ValidationCache('head');   // issues after all user edits
 
+    this._customRuleIDs = new Set();
     this._disabledRuleIDs = new Set();
     this._ignoredIssueIDs = new Set();
     this._resolvedIssueIDs = new Set();
     this._completeDiff = new Map();    // complete diff base -> head of what the user changed
+    this._audit = null;                // status of the current or last area audit
     this._deferredRIC = new Map();   // Deferred `requestIdleCallback` - Map(handle -> Promise.reject)
     this._deferredST = new Set();    // Deferred `setTimeout` - Set(handles)
     this._errorOverrides = [];
@@ -130,6 +136,18 @@ export class ValidationSystem extends AbstractSystem {
    */
   startAsync() {
     this._started = true;
+
+    // Restore the custom rules from last time (they need the other systems, so we do this on start)
+    const storage = this.context.systems.storage;
+    const customRules = storage.getItem('validate-customRules');
+    if (customRules) {
+      try {
+        this.setCustomRules(JSON.parse(customRules));
+      } catch (e) {
+        console.warn(`Could not restore custom validation rules: ${e.message}`);  // eslint-disable-line no-console
+      }
+    }
+
     return Promise.resolve();
   }
 
@@ -162,6 +180,7 @@ export class ValidationSystem extends AbstractSystem {
     this._base = new ValidationCache('base');
     this._head = new ValidationCache('head');
     this._completeDiff = new Map();
+    this._audit = null;
     return Promise.resolve();
   }
 
@@ -447,6 +466,22 @@ export class ValidationSystem extends AbstractSystem {
   }
 
 
+  /**
+   * validateEntity
+   * Immediately validates a single entity in the given graph, without caching the results.
+   * This is useful for checking an edit before it is made (e.g. before accepting Rapid features).
+   * Issues from disabled rules are not included.
+   *
+   * @param   {Entity}  entity - The entity to validate
+   * @param   {Graph}   graph  - The Graph containing the Entity
+   * @return  {Array}   An Array containing the issues
+   */
+  validateEntity(entity, graph) {
+    return this._validateEntity(entity, graph).issues
+      .filter(issue => !this._disabledRuleIDs.has(issue.type));
+  }
+
+
   /**
    * getRuleKeys
    * @return  {Array}  An Array containing the rule keys
@@ -456,6 +491,165 @@ export class ValidationSystem extends AbstractSystem {
   }
 
 
+  /**
+   * getRule
+   * @param   {string}    ruleID - The ruleID (e.g. 'crossing_ways')
+   * @return  {Function}  The validator function for the rule, or `undefined` if there is no such rule
+   */
+  getRule(ruleID) {
+    return this._rules.get(ruleID);
+  }
+
+
+  /**
+   * getRuleTitle
+   * Rules added with `addRule` may have their own `title`, the built-in rules use the strings in `issues.*`
+   * @param   {string}  ruleID - The ruleID (e.g. 'crossing_ways')
+   * @return  {string}  The title to show for the rule
+   */
+  getRuleTitle(ruleID) {
+    const rule = this._rules.get(ruleID);
+    return rule?.title ?? this.context.systems.l10n.t(`issues.${ruleID}.title`);
+  }
+
+
+  /**
+   * addRule
+   * Adds a validation rule that is not one of the built-in rules (e.g. from a plugin),
+   * then runs it on everything that has been validated already.
+   * @param  {Function}  rule - A validator function like `(entity, graph) => Array<ValidationIssue>`,
+   *                            with a unique `type` property and optionally `title` and `tip` properties.
+   * @throws Will throw if the rule has no `type`, there is already a rule with that `type`, or the rule throws
+   */
+  addRule(rule) {
+    const ruleID = rule?.type;
+    if (typeof rule !== 'function' || !ruleID) {
+      throw new Error('Validation rule must be a function with a `type`');
+    }
+    if (this._rules.has(ruleID)) {
+      throw new Error(`Validation rule '${ruleID}' already exists`);
+    }
+
+    this._rules.set(ruleID, rule);
+
+    const revalidate = (cache) => {
+      if (!cache.graph || !this.isRuleEnabled(ruleID)) return;
+
+      const tree = this.context.systems.editor.tree;
+      const entities = tree.intersects(new Extent([-180,-90],[180, 90]), cache.graph);  // everywhere
+      for (const entity of entities) {
+        const detected = rule(entity, cache.graph);
+        if (!detected.length) continue;
+        cache.cacheIssues(detected);
+      }
+    };
+
+    // If the rule throws, remove it again along with anything it found
+    try {
+      revalidate(this._head);
+      revalidate(this._base);
+    } catch (e) {
+      this.removeRule(ruleID);
+      throw e;
+    }
+    this.emit('validated');
+  }
+
+
+  /**
+   * removeRule
+   * Removes a validation rule that was added with `addRule`, and any issues that it found.
+   * @param  {string}  ruleID - The rule to remove
+   */
+  removeRule(ruleID) {
+    if (!this._rules.has(ruleID)) return;
+
+    this._rules.delete(ruleID);
+    this._head.uncacheIssuesOfType(ruleID);
+    this._base.uncacheIssuesOfType(ruleID);
+    this.emit('validated');
+  }
+
+
+  /**
+   * getCustomRuleKeys
+   * @return  {Array}  An Array containing the keys of the rules added with `setCustomRules`
+   */
+  getCustomRuleKeys() {
+    return [...this._customRuleIDs];
+  }
+
+
+  /**
+   * setCustomRules
+   * Replaces the custom rules with the given rule definitions, see `validationCustomRule` for the format.
+   * The definitions are remembered, so the rules will be there next time too.
+   * @param   {string|Array|Object}  data - A JSON or YAML string, or already parsed data,
+   *                                        containing an Array of rules, or an Object with a `rules` Array
+   * @return  {Array}   The rule keys of the custom rules
+   * @throws  Will throw if the data can't be parsed or any rule definition is not valid
+   */
+  setCustomRules(data) {
+    if (typeof data === 'string') {
+      data = yamlLoad(data);   // JSON is YAML too
+    }
+    const definitions = Array.isArray(data) ? data : data?.rules;
+    if (!Array.isArray(definitions)) {
+      throw new Error('Custom rules must be an Array, or an Object with a `rules` Array');
+    }
+
+    // Create all the rules first, so that nothing changes if one of them is not valid
+    const rules = definitions.map(definition => validationCustomRule(this.context, definition));
+    for (const rule of rules) {
+      if (this._rules.has(rule.type) && !this._customRuleIDs.has(rule.type)) {
+        throw new Error(`Validation rule '${rule.type}' already exists`);
+      }
+    }
+    const ruleIDs = new Set(rules.map(rule => rule.type));
+    if (ruleIDs.size !== rules.length) {
+      throw new Error('Custom rules must have unique ids');
+    }
+
+    this.clearCustomRules();
+    for (const rule of rules) {
+      this.addRule(rule);
+    }
+    this._customRuleIDs = ruleIDs;
+
+    const storage = this.context.systems.storage;
+    storage.setItem('validate-customRules', JSON.stringify(definitions));
+    return [...ruleIDs];
+  }
+
+
+  /**
+   * loadCustomRulesAsync
+   * Fetches custom rule definitions from a URL, see `setCustomRules`.
+   * @param   {string}   url - URL of a JSON or YAML file
+   * @return  {Promise}  Promise resolved with the rule keys of the custom rules
+   */
+  loadCustomRulesAsync(url) {
+    return fetch(url)
+      .then(utilFetchResponse)
+      .then(data => this.setCustomRules(data));
+  }
+
+
+  /**
+   * clearCustomRules
+   * Removes all the custom rules, and forgets them.
+   */
+  clearCustomRules() {
+    for (const ruleID of this._customRuleIDs) {
+      this.removeRule(ruleID);
+    }
+    this._customRuleIDs.clear();
+
+    const storage = this.context.systems.storage;
+    storage.removeItem('validate-customRules');
+  }
+
+
   /**
    * isRuleEnabled
    * @param   {string}   ruleID  - The ruleID (e.g. 'crossing_ways')
@@ -576,6 +770,174 @@ export class ValidationSystem extends AbstractSystem {
   }
 
 
+  /**
+   * whenIdleAsync
+   * Returns a Promise fulfilled when there is no validation work queued or in progress,
+   * for code that needs all of the issues, like batch jobs that run without a user interface.
+   * (Entities with provisional results are revalidated later, this doesn't wait for them)
+   * @return  {Promise}  Promise fulfilled when validation is idle
+   */
+  whenIdleAsync() {
+    const pending = [this._validationPromise, this._head.queuePromise, this._base.queuePromise].filter(Boolean);
+    if (!pending.length) return Promise.resolve();
+
+    // More work may have been queued while we were waiting, so check again.
+    return Promise.all(pending).then(() => this.whenIdleAsync());
+  }
+
+
+  /**
+   * auditAsync
+   * Validates all of the loaded entities within the given extent, not just the ones the user edited.
+   * This lets a mapper check the whole area that they are working in, for example a task boundary.
+   * The entities are revalidated in chunks during browser idle time, and a `validated` event
+   * is emitted after each chunk so that the issues appear in the issues pane as they are found.
+   * Only one audit runs at a time, starting a new audit cancels the current one.
+   * @param   {Extent}   extent - The area to audit
+   * @return  {Promise}  Promise fulfilled with the audit status when the audit is done or cancelled
+   */
+  auditAsync(extent) {
+    this.cancelAudit();
+
+    const editor = this.context.systems.editor;
+    const cache = this._base;
+    if (!cache.graph) {
+      cache.graph = editor.base.graph;
+    }
+
+    // The base graph contains everything that was downloaded, the user's edits are validated already.
+    const entityIDs = editor.tree.intersects(extent, cache.graph).map(entity => entity.id);
+    const chunks = utilArrayChunk(entityIDs, 50);
+
+    const audit = {
+      extent: extent,
+      entityIDs: new Set(entityIDs),
+      total: entityIDs.length,
+      done: 0,
+      running: true,
+      cancelled: false
+    };
+    this._audit = audit;
+    this.emit('auditprogress', audit);
+
+    const processChunk = () => {
+      if (audit.cancelled || !chunks.length) return Promise.resolve();
+      const chunk = chunks.shift();
+
+      return new Promise((resolve, reject) => {
+          const handle = window.requestIdleCallback(() => {
+            this._deferredRIC.delete(handle);
+            if (!audit.cancelled) {
+              chunk.forEach(entityID => {
+                cache.uncacheEntityID(entityID);
+                this._validateCachedEntity(cache, entityID);
+              });
+              audit.done += chunk.length;
+            }
+            resolve();
+          });
+          this._deferredRIC.set(handle, reject);
+        })
+        .then(() => {
+          if (audit.cancelled) return;
+          this.emit('validated');
+          this.emit('auditprogress', audit);
+        })
+        .then(processChunk);
+    };
+
+    return processChunk()
+      .then(() => {
+        this._updateResolvedIssues(audit.entityIDs);
+        this._revalidateProvisionalEntities(cache);
+      })
+      .catch(() => audit.cancelled = true)   // the validator was reset
+      .then(() => {
+        audit.running = false;
+        if (this._audit === audit) {   // (a newer audit may have replaced this one)
+          this.emit('validated');
+          this.emit('auditprogress', audit);
+        }
+        return audit;
+      });
+  }
+
+
+  /**
+   * cancelAudit
+   * Stops the current area audit, if there is one.
+   * The issues found so far are kept.
+   */
+  cancelAudit() {
+    if (this._audit?.running) {
+      this._audit.cancelled = true;
+    }
+  }
+
+
+  /**
+   * getAuditStatus
+   * Returns the status of the current or last area audit, or `null` if there hasn't been one.
+   * @return  {Object}  Status like:
+   *   {
+   *     extent:     Extent that was audited
+   *     entityIDs:  Set of the entityIDs in the audit
+   *     total:      number of entities to validate
+   *     done:       number of entities validated so far
+   *     running:    `true` if the audit is still running
+   *     cancelled:  `true` if the audit was cancelled before it finished
+   *   }
+   */
+  getAuditStatus() {
+    return this._audit;
+  }
+
+
+  /**
+   * getAuditIssues
+   * Returns the issues with the entities in the current or last area audit.
+   * These include issues with rules that are enabled, and which haven't been ignored or fixed.
+   * @return  {Array}  An Array containing the issues
+   */
+  getAuditIssues() {
+    const audit = this._audit;
+    if (!audit) return [];
+
+    return this.getIssues({ what: 'all', where: 'all' })
+      .filter(issue => (issue.entityIds || []).some(entityID => audit.entityIDs.has(entityID)));
+  }
+
+
+  /**
+   * getAuditGeoJSON
+   * Returns the issues found by the area audit as GeoJSON, so they can be shared or loaded into other tools.
+   * Each issue is a Point feature at the issue's location.
+   * @return  {Object}  GeoJSON FeatureCollection
+   */
+  getAuditGeoJSON() {
+    const graph = this.context.systems.editor.staging.graph;
+
+    const features = this.getAuditIssues().map(issue => {
+      const extent = issue.extent(graph);
+      return {
+        type: 'Feature',
+        id: issue.id,
+        geometry: extent ? { type: 'Point', coordinates: extent.center() } : null,
+        properties: {
+          type: issue.type,
+          subtype: issue.subtype ?? null,
+          severity: issue.severity,
+          rule: this.getRuleTitle(issue.type),
+          message: issue.message(this.context),
+          entityIds: (issue.entityIds || []).slice()
+        }
+      };
+    });
+
+    return { type: 'FeatureCollection', features: features };
+  }
+
+
   /**
    * _validateBaseEntitiesAsync
    * Validates new entities being merged into the base graph.
@@ -720,20 +1082,7 @@ export class ValidationSystem extends AbstractSystem {
 
       return () => {
         cache.queuedEntityIDs.delete(entityID);
-
-        const graph = cache.graph;
-        if (!graph) return;  // was reset?
-
-        const entity = graph.hasEntity(entityID);   // Sanity check: don't validate deleted entities
-        if (!entity) return;
-
-        // detect new issues and update caches
-        const result = this._validateEntity(entity, graph);
-        if (result.provisional) {                       // provisional result
-          cache.provisionalEntityIDs.add(entityID);     // we'll need to revalidate this entity again later
-        }
-
-        cache.cacheIssues(result.issues);   // update cache
+        this._validateCachedEntity(cache, entityID);
       };
 
     }).filter(Boolean);
@@ -755,6 +1104,29 @@ export class ValidationSystem extends AbstractSystem {
   }
 
 
+  /**
+   * _validateCachedEntity
+   * Validates a single entity in the cache's graph and stores the issues found in the cache.
+   * @param  {ValidationCache}  cache    - The cache to store results in (`_head` or `_base`)
+   * @param  {string}           entityID - The entityID to validate
+   */
+  _validateCachedEntity(cache, entityID) {
+    const graph = cache.graph;
+    if (!graph) return;  // was reset?
+
+    const entity = graph.hasEntity(entityID);   // Sanity check: don't validate deleted entities
+    if (!entity) return;
+
+    // detect new issues and update caches
+    const result = this._validateEntity(entity, graph);
+    if (result.provisional) {                       // provisional result
+      cache.provisionalEntityIDs.add(entityID);     // we'll need to revalidate this entity again later
+    }
+
+    cache.cacheIssues(result.issues);   // update cache
+  }
+
+
   /**
    * _revalidateProvisionalEntities
    * Sometimes a validator will return a "provisional" result.
@@ -6,13 +6,17 @@ import { EditSystem } from './EditSystem.js';
 import { FilterSystem } from './FilterSystem.js';
 import { GraphicsSystem } from './GraphicsSystem.js';
 import { ImagerySystem } from './ImagerySystem.js';
+import { KeymapSystem } from './KeymapSystem.js';
 import { LocalizationSystem } from './LocalizationSystem.js';
 import { LocationSystem } from './LocationSystem.js';
+import { MacroSystem } from './MacroSystem.js';
 import { Map3dSystem } from './Map3dSystem.js';
 import { MapSystem } from './MapSystem.js';
 import { PhotoSystem } from './PhotoSystem.js';
+import { PluginSystem } from './PluginSystem.js';
 import { PresetSystem } from './PresetSystem.js';
 import { RapidSystem } from './RapidSystem.js';
+import { RoutingSystem } from './RoutingSystem.js';
 import { StorageSystem } from './StorageSystem.js';
 import { StyleSystem } from './StyleSystem.js';
 import { UiSystem } from './UiSystem.js';
@@ -27,13 +31,17 @@ export {
   FilterSystem,
   GraphicsSystem,
   ImagerySystem,
+  KeymapSystem,
   LocalizationSystem,
   LocationSystem,
+  MacroSystem,
   Map3dSystem,
   MapSystem,
   PhotoSystem,
+  PluginSystem,
   PresetSystem,
   RapidSystem,
+  RoutingSystem,
   StorageSystem,
   StyleSystem,
   UiSystem,
@@ -52,13 +60,17 @@ systems.available.set('editor', EditSystem);
 systems.available.set('filters', FilterSystem);
 systems.available.set('gfx', GraphicsSystem);
 systems.available.set('imagery', ImagerySystem);
+systems.available.set('keymap', KeymapSystem);
 systems.available.set('l10n', LocalizationSystem);
 systems.available.set('locations', LocationSystem);
+systems.available.set('macros', MacroSystem);
 systems.available.set('map', MapSystem);
 systems.available.set('map3d', Map3dSystem);
 systems.available.set('photos', PhotoSystem);
+systems.available.set('plugins', PluginSystem);
 systems.available.set('presets', PresetSystem);
 systems.available.set('rapid', RapidSystem);
+systems.available.set('routing', RoutingSystem);
 systems.available.set('storage', StorageSystem);
 systems.available.set('styles', StyleSystem);
 systems.available.set('ui', UiSystem);
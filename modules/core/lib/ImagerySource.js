@@ -1,11 +1,27 @@
 import { geoArea as d3_geoArea, geoMercatorRaw as d3_geoMercatorRaw } from 'd3-geo';
 import { utilAesDecrypt, utilQsString, utilStringQs } from '@rapid-sdk/util';
-import { geoSphericalDistance, geoZoomToScale, Tiler, Viewport } from '@rapid-sdk/math';
+import {
+  geoLatToMeters, geoLonToMeters, geoMetersToLat, geoMetersToLon, geoMetersToOffset,
+  geoSphericalDistance, geoZoomToScale, Tiler, Viewport
+} from '@rapid-sdk/math';
 import * as Wayback from '@rapideditor/wayback-core';
 import RBush from 'rbush';
 
+import { geoAffineApply, geoAffineFit, geoAffineInvert } from '../../geo/index.js';
 import { utilFetchResponse } from '../../util/index.js';
 
+// Projects to "pixels" at zoom 0, the units of the imagery offset
+const zoom0 = new Viewport({ k: geoZoomToScale(0) });
+
+// Converts between `[lon, lat]` and `[east, north]` meters from the anchor
+function toMeters(loc, anchor) {
+  return [geoLonToMeters(loc[0] - anchor[0], anchor[1]), geoLatToMeters(loc[1] - anchor[1])];
+}
+
+function fromMeters(meters, anchor) {
+  return [anchor[0] + geoMetersToLon(meters[0], anchor[1]), anchor[1] + geoMetersToLat(meters[1])];
+}
+
 
 /**
  * `ImagerySource` maintains the state of a single tiled imagery source.
@@ -43,7 +59,9 @@ export class ImagerySource {
     this.zoomRange = src.zoomRange || 5;
 
     this.isBlocked = false;
-    this.offset = [0, 0];
+    this.offset = [0, 0];        // in pixels at zoom 0
+    this.transform = null;       // rotation, scale, and skew, like `{ anchor: [lon, lat], matrix: [a, b, c, d] }`
+    this.alignmentPoints = [];   // control points that the alignment was fit to, like `{ imagery: [lon, lat], reference: [lon, lat] }`
   }
 
 
@@ -114,6 +132,78 @@ export class ImagerySource {
   }
 
 
+  /**
+   * alignedLoc
+   * The imagery is drawn with its transform (around the anchor, measured in meters east and north) and then its offset.
+   * @param   {Array}  loc - `[lon, lat]` location in the imagery
+   * @return  {Array}  `[lon, lat]` location where it is drawn on the map
+   */
+  alignedLoc(loc) {
+    if (this.transform) {
+      const { anchor, matrix } = this.transform;
+      loc = fromMeters(geoAffineApply([...matrix, 0, 0], toMeters(loc, anchor)), anchor);
+    }
+    const [x, y] = zoom0.project(loc);
+    return zoom0.unproject([x + this.offset[0], y + this.offset[1]]);
+  }
+
+
+  /**
+   * unalignedLoc
+   * The inverse of `alignedLoc`
+   * @param   {Array}  loc - `[lon, lat]` location on the map
+   * @return  {Array}  `[lon, lat]` location in the imagery that is drawn there
+   */
+  unalignedLoc(loc) {
+    const [x, y] = zoom0.project(loc);
+    loc = zoom0.unproject([x - this.offset[0], y - this.offset[1]]);
+
+    const inverse = this.transform && geoAffineInvert([...this.transform.matrix, 0, 0]);
+    if (inverse) {
+      const anchor = this.transform.anchor;
+      loc = fromMeters(geoAffineApply(inverse, toMeters(loc, anchor)), anchor);
+    }
+    return loc;
+  }
+
+
+  /**
+   * fitAlignment
+   * Sets the offset and transform that best align the imagery with the reference data at the `alignmentPoints`.
+   * 1 point only sets the offset, 2 points also rotate and scale the imagery, and 3 or more also stretch and skew it.
+   * @return  {ImagerySource}  this
+   */
+  fitAlignment() {
+    const points = this.alignmentPoints;
+    if (!points.length) {
+      this.offset = [0, 0];
+      this.transform = null;
+      return this;
+    }
+
+    // Fit around the middle of the reference points
+    const anchor = [0, 1].map(i => points.reduce((sum, d) => sum + d.reference[i], 0) / points.length);
+    const pairs = points.map(d => [toMeters(d.imagery, anchor), toMeters(d.reference, anchor)]);
+    const [a, b, c, d, e, f] = geoAffineFit(pairs);
+
+    this.transform = (points.length > 1) ? { anchor: anchor, matrix: [a, b, c, d] } : null;
+
+    // The offset is in Web Mercator, where distances are stretched by 1 / cos(latitude)
+    const stretch = 1 / Math.cos(anchor[1] * Math.PI / 180);
+    this.offset = geoMetersToOffset([e * stretch, f * stretch]);
+    return this;
+  }
+
+
+  /**
+   * alignmentErrors
+   * @return  {Array<number>}  How far, in meters, each of the `alignmentPoints` is drawn from its reference location
+   */
+  alignmentErrors() {
+    return this.alignmentPoints.map(d => geoSphericalDistance(this.alignedLoc(d.imagery), d.reference));
+  }
+
+
   url(coord) {
     const urlTemplate = this.template;
     let result = urlTemplate;
@@ -631,6 +721,27 @@ export class ImagerySourceEsriWayback extends ImagerySourceEsri {
   }
 
 
+  /**
+   * atDate
+   * Returns a copy of this source that shows the imagery from another date,
+   * so that 2 dates from the Wayback Archive can be on the map at once (e.g. to compare them).
+   * The copy shares the Wayback data with this source, but has its own date and alignment
+   * (starting with the alignment of this source), so aligning one of them doesn't move the other.
+   * @param   {string}  date - ISO date string like `2024-01-01`
+   * @return  {ImagerySourceEsriWayback}  The copy
+   */
+  atDate(date) {
+    const copy = Object.create(this);
+    copy.startDate = this.startDate;
+    copy.endDate = this.endDate;
+    copy.offset = this.offset.slice();
+    copy.transform = this.transform && { anchor: this.transform.anchor.slice(), matrix: this.transform.matrix.slice() };
+    copy.alignmentPoints = this.alignmentPoints.map(d => ({ imagery: d.imagery.slice(), reference: d.reference.slice() }));
+    copy.date = date;
+    return copy;
+  }
+
+
   /**
    * initWaybackAsync
    * Fetch all available Wayback imagery sources.
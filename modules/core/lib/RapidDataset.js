@@ -12,13 +12,14 @@ export class RapidDataset {
     this.context = context;
 
     this.id = props.id;
-    this.service = props.service;                      // 'esri', 'mapwithai', 'overture'
+    this.service = props.service;                      // 'esri', 'localfile', 'mapwithai', 'overture'
     this.categories = props.categories ?? new Set();   // e.g. 'buildings' 'addresses'
     this.tags = props.tags ?? new Set();               // e.g. 'opendata' - (flags like categories but not visible)
     this.color = props.color ?? RAPID_MAGENTA;
     this.dataUsed = props.dataUsed ?? [];
     this.extent = props.extent;
     this.overlay = props.overlay;
+    this.translation = props.translation ?? null;     // rules to translate the source tags to OSM tags, see `utilTranslateTags`
 
     this.itemUrl = props.itemUrl ?? '';
     this.licenseUrl = props.licenseUrl ?? '';
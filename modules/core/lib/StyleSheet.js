@@ -0,0 +1,371 @@
+// Which geometries each selector type applies to
+const SELECTOR_TYPES = {
+  '*':        null,   // any geometry
+  'node':     new Set(['point', 'vertex']),
+  'way':      new Set(['line', 'area']),
+  'line':     new Set(['line']),
+  'area':     new Set(['area']),
+  'relation': new Set(['relation', 'route'])
+};
+
+// Which style property each stylesheet property sets, as [group, property, value type]
+const PROPERTIES = {
+  'color':           ['stroke', 'color', 'color'],
+  'width':           ['stroke', 'width', 'number'],
+  'opacity':         ['stroke', 'alpha', 'opacity'],
+  'dashes':          ['stroke', 'dash',  'dashes'],
+  'linecap':         ['stroke', 'cap',   'cap'],
+  'linejoin':        ['stroke', 'join',  'join'],
+  'casing-color':    ['casing', 'color', 'color'],
+  'casing-width':    ['casing', 'width', 'number'],
+  'casing-opacity':  ['casing', 'alpha', 'opacity'],
+  'casing-dashes':   ['casing', 'dash',  'dashes'],
+  'casing-linecap':  ['casing', 'cap',   'cap'],
+  'casing-linejoin': ['casing', 'join',  'join'],
+  'fill-color':      ['fill',   'color', 'color'],
+  'fill-width':      ['fill',   'width', 'number'],
+  'fill-opacity':    ['fill',   'alpha', 'opacity'],
+  'fill-pattern':    ['fill',   'pattern', 'pattern']
+};
+
+const CAPS = new Set(['butt', 'round', 'square']);
+const JOINS = new Set(['bevel', 'miter', 'round']);
+
+
+/**
+ * StyleSheet
+ * A user-defined set of rules about how map data should look, written in a MapCSS-like format.
+ * The rules are applied in order on top of the built-in style (see `StyleSystem.styleMatch`),
+ * so later rules override earlier ones.
+ *
+ *   meta { title: "Surface survey"; }
+ *
+ *   way[highway][!surface], area[landuse=~/^(farmland|meadow)$/] {
+ *     color: #ff3300;
+ *     width: 6;
+ *     casing-dashes: 4,4;
+ *     fill-pattern: none;
+ *   }
+ *
+ * Selectors are a type (`*`, `node`, `way`, `line`, `area`, `relation`) followed by any number of
+ * tag conditions: `[key]`, `[!key]`, `[key=value]`, `[key!=value]`, `[key=~/regex/]`, `[key!~/regex/]`.
+ * Properties are `color`, `width`, `opacity`, `dashes`, `linecap`, `linejoin` for the stroke, the same
+ * with a `casing-` prefix for the casing, and `fill-color`, `fill-width`, `fill-opacity`, `fill-pattern`.
+ * `dashes` and `fill-pattern` can be `none`, to remove the dashes or pattern of the built-in style.
+ * Comments can be written like in CSS.
+ */
+export class StyleSheet {
+
+  /**
+   * @constructor
+   * @param   {string}  id - unique ID for this stylesheet (e.g. the filename or URL it came from)
+   * @param   {string}  text - the stylesheet
+   * @throws  Will throw if the stylesheet can't be parsed
+   */
+  constructor(id, text) {
+    this.id = id;
+    this.text = text;
+    this.meta = {};
+    this.rules = [];   // Array of { selectors: [{ geometries, conditions }], declarations: [[group, prop, value]] }
+
+    this._parse(text);
+    this.title = this.meta.title || id;
+  }
+
+
+  /**
+   * apply
+   * Applies the matching rules to a style
+   * @param   {Object}  style - style to change, like `{ fill: {…}, casing: {…}, stroke: {…} }`
+   * @param   {Object}  tags - OSM tags of the feature
+   * @param   {string}  geometry - geometry of the feature ('point', 'vertex', 'line', 'area', 'relation')
+   * @return  {Object}  the style
+   */
+  apply(style, tags, geometry) {
+    for (const rule of this.rules) {
+      if (!rule.selectors.some(selector => this._matchSelector(selector, tags, geometry))) continue;
+
+      for (const [group, prop, value] of rule.declarations) {
+        style[group] ??= {};
+        if (value === null) {
+          delete style[group][prop];
+        } else {
+          style[group][prop] = Array.isArray(value) ? value.slice() : value;
+        }
+      }
+    }
+    return style;
+  }
+
+
+  /**
+   * patterns
+   * @return  {Array}  the fill patterns that this stylesheet uses
+   */
+  patterns() {
+    const patterns = new Set();
+    for (const rule of this.rules) {
+      for (const [, prop, value] of rule.declarations) {
+        if (prop === 'pattern' && value) patterns.add(value);
+      }
+    }
+    return [...patterns];
+  }
+
+
+  /**
+   * _matchSelector
+   * @param   {Object}  selector
+   * @param   {Object}  tags
+   * @param   {string}  geometry
+   * @return  {boolean} `true` if the selector matches the tags and geometry
+   */
+  _matchSelector(selector, tags, geometry) {
+    if (selector.geometries && !selector.geometries.has(geometry)) return false;
+
+    return selector.conditions.every(condition => {
+      const value = tags[condition.key];
+      let result;
+      if (condition.op === 'exists') {
+        result = value !== undefined && value !== 'no';
+      } else if (condition.op === 'regex') {
+        result = value !== undefined && condition.regex.test(value);
+      } else {
+        result = value === condition.value;
+      }
+      return condition.negate ? !result : result;
+    });
+  }
+
+
+  /**
+   * _parse
+   * Parses the stylesheet text into rules
+   * @param   {string}  text
+   * @throws  Will throw if the stylesheet can't be parsed
+   */
+  _parse(text) {
+    if (typeof text !== 'string') {
+      throw new Error('Stylesheet must be text');
+    }
+
+    // Remove comments, but keep the line breaks so that errors can mention the line
+    const source = text.replace(/\/\*[\s\S]*?\*\//g, match => match.replace(/[^\n]/g, ' '));
+
+    let line = 1;
+    let start = 0;
+    let selectorText = null;
+    let quote = null;
+    let depth = 0;   // inside [ ]
+
+    for (let i = 0; i < source.length; i++) {
+      const c = source[i];
+      if (c === '\n') line++;
+
+      if (quote) {
+        if (c === quote && source[i - 1] !== '\\') quote = null;
+      } else if (c === '"' || c === '\'') {
+        quote = c;
+      } else if (c === '[') {
+        depth++;
+      } else if (c === ']') {
+        depth--;
+      } else if (c === '{' && !depth) {
+        if (selectorText !== null) {
+          throw new Error(`Line ${line}: unexpected '{'`);
+        }
+        selectorText = source.slice(start, i);
+        start = i + 1;
+      } else if (c === '}' && !depth) {
+        if (selectorText === null) {
+          throw new Error(`Line ${line}: unexpected '}'`);
+        }
+        this._parseRule(selectorText, source.slice(start, i), line);
+        selectorText = null;
+        start = i + 1;
+      }
+    }
+
+    if (selectorText !== null) {
+      throw new Error(`Line ${line}: missing '}'`);
+    } else if (source.slice(start).trim()) {
+      throw new Error(`Line ${line}: missing '{'`);
+    }
+  }
+
+
+  /**
+   * _parseRule
+   * @param   {string}  selectorText - the selectors, separated by commas
+   * @param   {string}  body - the declarations, separated by semicolons
+   * @param   {number}  line - line number, for errors
+   */
+  _parseRule(selectorText, body, line) {
+    const declarations = splitOutside(body, ';')
+      .map(s => s.trim())
+      .filter(Boolean)
+      .map(s => {
+        const i = s.indexOf(':');
+        if (i === -1) {
+          throw new Error(`Line ${line}: expected 'property: value' but found '${s}'`);
+        }
+        return [s.slice(0, i).trim().toLowerCase(), unquote(s.slice(i + 1).trim())];
+      });
+
+    if (selectorText.trim() === 'meta') {
+      for (const [k, v] of declarations) {
+        this.meta[k] = v;
+      }
+      return;
+    }
+
+    this.rules.push({
+      selectors: splitOutside(selectorText, ',').map(s => parseSelector(s, line)),
+      declarations: declarations.map(([k, v]) => parseDeclaration(k, v, line))
+    });
+  }
+}
+
+
+// Splits the text at the separator, except inside quotes, brackets, or regular expressions
+function splitOutside(text, separator) {
+  const results = [];
+  let quote = null;
+  let depth = 0;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === quote && text[i - 1] !== '\\') quote = null;
+    } else if (c === '"' || c === '\'' || (c === '/' && text[i - 1] === '~')) {
+      quote = c;
+    } else if (c === separator && !depth) {
+      results.push(text.slice(start, i));
+      start = i + 1;
+    } else if (c === '[') {
+      depth++;
+    } else if (c === ']') {
+      depth--;
+    }
+  }
+  results.push(text.slice(start));
+  return results;
+}
+
+
+function unquote(s) {
+  const match = s.match(/^(["'])(.*)\1$/);
+  return match ? match[2].replace(/\\(.)/g, '$1') : s;
+}
+
+
+// Parses a selector like `way[highway=primary][!surface]`
+function parseSelector(text, line) {
+  const s = text.trim();
+  const match = s.match(/^(\*|[a-z]+)?\s*(\[.*\])?$/);
+  const type = match?.[1] ?? '*';
+  if (!match || !(type in SELECTOR_TYPES)) {
+    throw new Error(`Line ${line}: invalid selector '${s}'`);
+  }
+
+  const conditions = [];
+  const rest = match[2] ?? '';
+  let i = 0;
+  while (i < rest.length) {
+    if (rest[i] !== '[') {
+      throw new Error(`Line ${line}: invalid selector '${s}'`);
+    }
+    const end = splitOutside(rest.slice(i + 1), ']')[0].length + i + 1;
+    if (end >= rest.length) {
+      throw new Error(`Line ${line}: missing ']' in selector '${s}'`);
+    }
+    conditions.push(parseCondition(rest.slice(i + 1, end), line));
+    i = end + 1;
+  }
+
+  return { geometries: SELECTOR_TYPES[type], conditions: conditions };
+}
+
+
+// Parses a condition like `highway=primary`, `!surface`, or `name=~/^Main/i`
+function parseCondition(text, line) {
+  const match = text.match(/^\s*(!?)\s*("[^"]*"|'[^']*'|[^!=~\s]+)\s*(?:(=~|!~|!=|=)\s*(.*?))?\s*$/);
+  if (!match) {
+    throw new Error(`Line ${line}: invalid condition '[${text}]'`);
+  }
+
+  const key = unquote(match[2]);
+  const op = match[3];
+  const value = op && unquote(match[4]);
+
+  if (!op) {
+    return { key: key, op: 'exists', negate: !!match[1] };
+  } else if (match[1]) {
+    throw new Error(`Line ${line}: invalid condition '[${text}]'`);
+  } else if (op === '=~' || op === '!~') {
+    const re = value.match(/^\/(.*)\/([a-z]*)$/);
+    if (!re) {
+      throw new Error(`Line ${line}: invalid regular expression in '[${text}]'`);
+    }
+    try {
+      return { key: key, op: 'regex', regex: new RegExp(re[1], re[2]), negate: op === '!~' };
+    } catch (e) {
+      throw new Error(`Line ${line}: invalid regular expression in '[${text}]'`);
+    }
+  } else if (value === '*') {
+    return { key: key, op: 'exists', negate: op === '!=' };
+  } else {
+    return { key: key, op: 'equals', value: value, negate: op === '!=' };
+  }
+}
+
+
+// Parses a declaration like `color: #ff0000` into [group, prop, value]
+function parseDeclaration(property, value, line) {
+  const def = PROPERTIES[property];
+  if (!def) {
+    throw new Error(`Line ${line}: unknown property '${property}'`);
+  }
+
+  const [group, prop, type] = def;
+  const invalid = () => new Error(`Line ${line}: invalid value '${value}' for '${property}'`);
+  let result;
+
+  switch (type) {
+    case 'color': {
+      let hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i)?.[1];
+      if (!hex) throw invalid();
+      if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+      result = parseInt(hex, 16);
+      break;
+    }
+    case 'number':
+    case 'opacity':
+      result = Number(value);
+      if (!value || !isFinite(result) || result < 0 || (type === 'opacity' && result > 1)) throw invalid();
+      break;
+    case 'dashes':
+      if (value === 'none') {
+        result = null;
+      } else {
+        result = value.split(',').map(Number);
+        if (result.some(n => !isFinite(n) || n < 0) || value.trim() === '') throw invalid();
+      }
+      break;
+    case 'cap':
+      if (!CAPS.has(value)) throw invalid();
+      result = value;
+      break;
+    case 'join':
+      if (!JOINS.has(value)) throw invalid();
+      result = value;
+      break;
+    case 'pattern':
+      if (!/^[a-z_]+$/.test(value)) throw invalid();
+      result = (value === 'none') ? null : value;
+      break;
+  }
+
+  return [group, prop, result];
+}
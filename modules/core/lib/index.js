@@ -8,6 +8,7 @@ export {
   ImagerySourceBing,
   ImagerySourceCustom,
   ImagerySourceEsri,
+  ImagerySourceEsriWayback,
   ImagerySourceNone
 } from './ImagerySource.js';
 
@@ -16,5 +17,6 @@ export { Graph } from './Graph.js';
 export { Preset } from './Preset.js';
 export { Tree } from './Tree.js';
 export { RapidDataset } from './RapidDataset.js';
+export { StyleSheet } from './StyleSheet.js';
 export { ValidationFix } from './ValidationFix.js';
 export { ValidationIssue } from './ValidationIssue.js';
@@ -0,0 +1,101 @@
+// An affine transform is an Array `[a, b, c, d, e, f]`, like a CSS or SVG `matrix()`,
+// which maps the point `[x, y]` to `[a * x + c * y + e, b * x + d * y + f]`.
+
+// Returns the point `p` transformed by the affine transform `m`.
+export function geoAffineApply(m, p) {
+    return [
+        m[0] * p[0] + m[2] * p[1] + m[4],
+        m[1] * p[0] + m[3] * p[1] + m[5]
+    ];
+}
+
+
+// Returns the inverse of the affine transform `m`, or `null` if it can't be inverted.
+export function geoAffineInvert(m) {
+    var det = m[0] * m[3] - m[1] * m[2];
+    if (!det || !isFinite(det)) return null;
+
+    return [
+        m[3] / det,
+        -m[1] / det,
+        -m[2] / det,
+        m[0] / det,
+        (m[2] * m[5] - m[3] * m[4]) / det,
+        (m[1] * m[4] - m[0] * m[5]) / det
+    ];
+}
+
+
+// Returns the affine transform that best maps the `from` points onto the `to` points
+// of the `pairs` (an Array of `[from, to]` points), in the least squares sense.
+// The more pairs there are, the more the transform can do:
+//  - 1 pair moves the points,
+//  - 2 pairs also rotate and scale them,
+//  - 3 or more pairs also stretch and skew them.
+// If the points are all in a line, they can't tell how to stretch, so they only rotate and scale.
+// Returns `null` if there are no pairs.
+export function geoAffineFit(pairs) {
+    var n = pairs.length;
+    if (!n) return null;
+
+    // Work relative to the centroids, so that only the linear part is left to fit
+    var from = [0, 0];
+    var to = [0, 0];
+    var i;
+    for (i = 0; i < n; i++) {
+        from[0] += pairs[i][0][0] / n;
+        from[1] += pairs[i][0][1] / n;
+        to[0] += pairs[i][1][0] / n;
+        to[1] += pairs[i][1][1] / n;
+    }
+
+    var sxx = 0, sxy = 0, syy = 0;   // sums of the products of the `from` coordinates
+    var sxu = 0, syu = 0, sxv = 0, syv = 0;   // sums of the products of the `from` and `to` coordinates
+    for (i = 0; i < n; i++) {
+        var x = pairs[i][0][0] - from[0];
+        var y = pairs[i][0][1] - from[1];
+        var u = pairs[i][1][0] - to[0];
+        var v = pairs[i][1][1] - to[1];
+        sxx += x * x;
+        sxy += x * y;
+        syy += y * y;
+        sxu += x * u;
+        syu += y * u;
+        sxv += x * v;
+        syv += y * v;
+    }
+
+    var a, b, c, d;
+    var det = sxx * syy - sxy * sxy;
+    var spread = sxx + syy;
+
+    if (n >= 3 && det > 1e-9 * spread * spread) {
+        // Full affine, solving the normal equations for each of the output coordinates
+        a = (sxu * syy - syu * sxy) / det;
+        c = (syu * sxx - sxu * sxy) / det;
+        b = (sxv * syy - syv * sxy) / det;
+        d = (syv * sxx - sxv * sxy) / det;
+
+    } else if (n >= 2 && spread > 0) {
+        // Similarity (rotation and uniform scale)
+        var cos = (sxu + syv) / spread;
+        var sin = (sxv - syu) / spread;
+        a = cos;
+        b = sin;
+        c = -sin;
+        d = cos;
+
+    } else {
+        // Translation only
+        a = 1;
+        b = 0;
+        c = 0;
+        d = 1;
+    }
+
+    return [
+        a, b, c, d,
+        to[0] - (a * from[0] + c * from[1]),
+        to[1] - (b * from[0] + d * from[1])
+    ];
+}
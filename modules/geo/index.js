@@ -1,3 +1,7 @@
+export { geoAffineApply } from './affine.js';
+export { geoAffineFit } from './affine.js';
+export { geoAffineInvert } from './affine.js';
+
 export { geoChooseEdge } from './geom.js';
 export { geoHasLineIntersections } from './geom.js';
 export { geoHasSelfIntersections } from './geom.js';
@@ -6,3 +10,6 @@ export { geoOrthoNormalizedDotProduct } from './ortho.js';
 export { geoOrthoCalcScore } from './ortho.js';
 export { geoOrthoMaxOffsetAngle } from './ortho.js';
 export { geoOrthoCanOrthogonalize } from './ortho.js';
+
+export { geoPathDistance } from './similarity.js';
+export { geoPathSimilarity } from './similarity.js';
@@ -0,0 +1,90 @@
+import { geoLatToMeters, geoLonToMeters, vecLength } from '@rapid-sdk/math';
+
+
+// Project [lon,lat] coordinates into a local planar system measured in meters,
+// centered on `origin`.  This is accurate enough for comparing nearby shapes.
+function toMeters(coords, origin) {
+    return coords.map(function(c) {
+        return [
+            geoLonToMeters(c[0] - origin[0], origin[1]),
+            geoLatToMeters(c[1] - origin[1])
+        ];
+    });
+}
+
+
+// Distance from point `p` to the segment `a`-`b` (all in planar meters).
+function distanceToSegment(p, a, b) {
+    var dx = b[0] - a[0];
+    var dy = b[1] - a[1];
+    var len2 = dx * dx + dy * dy;
+    var t = len2 ? ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / len2 : 0;
+    t = Math.max(0, Math.min(1, t));
+    return vecLength(p, [a[0] + t * dx, a[1] + t * dy]);
+}
+
+
+// Distance from point `p` to the path `points` (all in planar meters).
+function distanceToPath(p, points) {
+    if (points.length === 1) return vecLength(p, points[0]);
+
+    var min = Infinity;
+    for (var i = 0; i < points.length - 1; i++) {
+        min = Math.min(min, distanceToSegment(p, points[i], points[i + 1]));
+    }
+    return min;
+}
+
+
+// Returns sample points along the path, no farther than `step` meters apart.
+// (Comparing only the vertices would miss differences along long straight segments.)
+function samplePath(points, step) {
+    var samples = [points[0]];
+    for (var i = 0; i < points.length - 1; i++) {
+        var a = points[i];
+        var b = points[i + 1];
+        var n = Math.min(50, Math.ceil(vecLength(a, b) / step));
+        for (var j = 1; j <= n; j++) {
+            samples.push([a[0] + (b[0] - a[0]) * j / n, a[1] + (b[1] - a[1]) * j / n]);
+        }
+    }
+    return samples;
+}
+
+
+// Mean distance from the samples along `source` to the path `target`.
+function meanDistance(source, target, step) {
+    var samples = samplePath(source, step);
+    var total = 0;
+    for (var i = 0; i < samples.length; i++) {
+        total += distanceToPath(samples[i], target);
+    }
+    return total / samples.length;
+}
+
+
+// Compares two paths of [lon,lat] coordinates (a single coordinate for a point)
+// and returns the symmetric mean distance between them in meters - the larger of
+// the mean distance from A to B and the mean distance from B to A.
+// Using both directions means that a path which only covers part of the other
+// path is not considered a close match.
+// Returns `Infinity` if either path is empty.
+export function geoPathDistance(coordsA, coordsB, step) {
+    if (!coordsA.length || !coordsB.length) return Infinity;
+
+    step = step || 2;
+    var origin = coordsA[0];
+    var a = toMeters(coordsA, origin);
+    var b = toMeters(coordsB, origin);
+    return Math.max(meanDistance(a, b, step), meanDistance(b, a, step));
+}
+
+
+// Returns a geometry similarity score between 0 (unrelated) and 1 (identical)
+// for two paths of [lon,lat] coordinates.  The score falls off linearly with
+// the distance between the paths, reaching 0 at `tolerance` meters (default 10).
+export function geoPathSimilarity(coordsA, coordsB, tolerance) {
+    tolerance = tolerance || 10;
+    var dist = geoPathDistance(coordsA, coordsB, tolerance / 5);
+    return Math.max(0, 1 - dist / tolerance);
+}
@@ -1,5 +1,6 @@
 // Just a few core components that we could use to
 // support a headless (no browser) Rapid for testing
+// (For a whole `Context` that runs in Node.js, see `headless/index.js`)
 
 export * from './actions/index.js';
 export * from './core/lib/index.js';
@@ -0,0 +1,39 @@
+import { readFile } from 'node:fs/promises';
+
+import { AssetSystem } from '../core/AssetSystem.js';
+
+
+/**
+ * `FileAssetSystem` is an `AssetSystem` that reads its files from the local filesystem,
+ *  for running Rapid in Node.js where there is no web server to fetch them from.
+ *
+ * The `filePath` should point to the folder containing Rapid's `data/` folder, for example 'dist/'.
+ * Assets that are URLs (like the tagging schema when `origin` is 'latest') are still fetched.
+ */
+export class FileAssetSystem extends AssetSystem {
+
+  /**
+   * @constructor
+   * @param  `context`   Global shared application context
+   */
+  constructor(context) {
+    super(context);
+  }
+
+
+  /**
+   * _loadURLAsync
+   * Reads the file at the given path, or fetches it if it is a URL.
+   * @param   {string}   url - path or URL of the file
+   * @return  {Promise}  Promise resolved with the data, parsed if it is a `.json` file
+   */
+  _loadURLAsync(url) {
+    if (/^http(s)?:\/\//i.test(url)) {
+      return super._loadURLAsync(url);
+    }
+
+    return readFile(url, 'utf8')
+      .then(text => /\.json$/i.test(url) ? JSON.parse(text) : text);
+  }
+
+}
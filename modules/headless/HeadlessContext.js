@@ -0,0 +1,287 @@
+import { readFile, writeFile } from 'node:fs/promises';
+import { versions } from 'node:process';
+import { DOMImplementation, DOMParser, XMLSerializer } from '@xmldom/xmldom';
+import { Extent } from '@rapid-sdk/math';
+
+import { Context } from '../Context.js';
+import { actionDiscardTags } from '../actions/discard_tags.js';
+import { AbstractSystem } from '../core/AbstractSystem.js';
+import { EditSystem } from '../core/EditSystem.js';
+import { LocalizationSystem } from '../core/LocalizationSystem.js';
+import { LocationSystem } from '../core/LocationSystem.js';
+import { PresetSystem } from '../core/PresetSystem.js';
+import { ValidationSystem } from '../core/ValidationSystem.js';
+import { osmChangeset, osmEntity, osmNode, osmRelation, osmWay } from '../osm/index.js';
+import { JXON } from '../util/jxon.js';
+import { FileAssetSystem } from './FileAssetSystem.js';
+import { MemoryStorageSystem } from './MemoryStorageSystem.js';
+
+
+/**
+ * `HeadlessContext` is a `Context` that runs in Node.js, without a browser.
+ * It contains only the systems needed to load OSM data, edit it, and validate it,
+ *  so that Rapid's actions and validations can be used in batch jobs.
+ *
+ * Before calling `initAsync`, set `assetPath` to the folder containing Rapid's `data/` folder
+ *  (for example 'node_modules/@rapideditor/rapid/dist/'), see `FileAssetSystem`.
+ *
+ * @example
+ * const context = new HeadlessContext();
+ * context.assetPath = 'dist/';
+ * await context.initAsync();
+ * await context.loadOsmFileAsync('area.osm');
+ * const issues = await context.validateAsync();
+ * context.systems.editor.perform(actionChangeTags(entityID, tags));
+ * await context.writeOsmChangeFileAsync('area.osc');
+ */
+export class HeadlessContext extends Context {
+
+  /**
+   * @constructor
+   */
+  constructor() {
+    installGlobals();
+    super();
+    this.headless = true;
+  }
+
+
+  /**
+   * initAsync
+   * Call one time to start up Rapid
+   * @return {Promise} Promise resolved when Rapid is ready
+   */
+  initAsync() {
+    if (this._initPromise) return this._initPromise;
+
+    // -------------------------------
+    // Construct the core classes
+    // -------------------------------
+    this.systems = {
+      assets:      new FileAssetSystem(this),
+      editor:      new EditSystem(this),
+      l10n:        new LocalizationSystem(this),
+      locations:   new LocationSystem(this),
+      presets:     new PresetSystem(this),
+      storage:     new MemoryStorageSystem(this),
+      validator:   new ValidationSystem(this)
+    };
+
+    // Systems that are needed by the others, but have nothing to do without a browser
+    for (const id of ['gfx', 'imagery', 'map', 'photos', 'urlhash']) {
+      this.systems[id] = new NoopSystem(this, id);
+    }
+
+    // AssetSystem
+    const assets = this.systems.assets;
+    if (this.assetOrigin)  assets.origin = this.assetOrigin;
+    if (this.assetPath)    assets.filePath = this.assetPath;
+    if (this.assetMap)     assets.fileReplacements = this.assetMap;
+
+    // LocalizationSystem
+    const l10n = this.systems.l10n;
+    if (this._prelocale) {   // set preferred locale codes, if we have them
+      l10n.preferredLocaleCodes = this._prelocale;
+    }
+
+    // There is no map to draw or filter, and everything is editable
+    const gfx = this.systems.gfx;
+    this.deferredRedraw = gfx.deferredRedraw;
+    this.immediateRedraw = gfx.immediateRedraw;
+    this.scene = () => gfx.scene;
+    this.hasHiddenConnections = () => false;
+    this.editable = () => true;
+
+
+    // ---------------------------------
+    // Initialize the core classes
+    // ---------------------------------
+    const allSystems = Object.values(this.systems);
+
+    return this._initPromise = Promise.resolve()
+      .then(() => Promise.all( allSystems.map(s => s.initAsync()) ))
+      .then(() => Promise.all( allSystems.map(s => s.autoStart ? s.startAsync() : Promise.resolve()) ));
+  }
+
+
+  /**
+   * loadOsm
+   * Parses an OSM XML document and merges its entities into the base graph.
+   * Validation of the new entities starts right away, see `validateAsync`.
+   * @param   {string|Document}  xml - OSM XML, as a string or parsed Document
+   * @return  {Array<osmEntity>} The entities that were loaded
+   * @throws  Will throw if the document does not contain an `osm` element
+   */
+  loadOsm(xml) {
+    if (typeof xml === 'string') {
+      xml = new DOMParser().parseFromString(xml, 'text/xml');
+    }
+
+    const root = xml?.getElementsByTagName('osm')[0];
+    if (!root) {
+      throw new Error('No osm element');
+    }
+
+    const parsers = { node: parseNode, way: parseWay, relation: parseRelation };
+    const entities = [];
+    for (const child of Array.from(root.childNodes)) {
+      const parser = parsers[child.nodeName];
+      if (!parser) continue;
+
+      const entity = parser(child, osmEntity.id.fromOSM(child.nodeName, child.getAttribute('id')));
+      if (entity.visible) {
+        entities.push(entity);
+      }
+    }
+
+    this.systems.editor.merge(entities);
+    return entities;
+  }
+
+
+  /**
+   * loadOsmFileAsync
+   * Reads an `.osm` file and merges its entities into the base graph, see `loadOsm`.
+   * @param   {string}   path - path to the file
+   * @return  {Promise}  Promise resolved with the entities that were loaded
+   */
+  loadOsmFileAsync(path) {
+    return readFile(path, 'utf8')
+      .then(text => this.loadOsm(text));
+  }
+
+
+  /**
+   * validateAsync
+   * Validates the edits and the loaded entities, and waits for validation to finish.
+   * @return  {Promise}  Promise resolved with an Array of all the `ValidationIssue`s
+   */
+  validateAsync() {
+    const validator = this.systems.validator;
+    return validator.validateAsync()
+      .then(() => validator.whenIdleAsync())
+      .then(() => validator.getIssues({ what: 'all', where: 'all' }));
+  }
+
+
+  /**
+   * osmChange
+   * Returns the edits as an osmChange document, like the one made by the "Download" tool.
+   * @return  {string}  The osmChange XML
+   */
+  osmChange() {
+    const editor = this.systems.editor;
+    const changes = editor.changes(actionDiscardTags(editor.difference()));
+    const changeset = new osmChangeset();
+    delete changeset.id;  // Export without changeset_id
+
+    const doc = new DOMImplementation().createDocument(null, null, null);
+    return new XMLSerializer().serializeToString(JXON.unbuild(changeset.osmChangeJXON(changes), doc));
+  }
+
+
+  /**
+   * writeOsmChangeFileAsync
+   * Writes the edits to an osmChange (`.osc`) file, see `osmChange`.
+   * @param   {string}   path - path to the file
+   * @return  {Promise}  Promise resolved when the file has been written
+   */
+  writeOsmChangeFileAsync(path) {
+    return writeFile(path, this.osmChange(), 'utf8');
+  }
+
+}
+
+
+/**
+ * `NoopSystem` stands in for the systems that draw the map or read the url,
+ *  so that the systems which depend on them can run without a browser.
+ */
+class NoopSystem extends AbstractSystem {
+  constructor(context, id) {
+    super(context);
+    this.id = id;
+
+    this.deferredRedraw = () => {};
+    this.immediateRedraw = () => {};
+    this.scene = { layers: new Map() };
+    this.initialHashParams = new Map();
+  }
+
+  imageryUsed()       { return []; }
+  photosUsed()        { return []; }
+  getParam()          { return undefined; }
+  setParam()          { }
+  trimmedExtent()     { return new Extent([-180, -90], [180, 90]); }
+  centerZoomEase()    { }
+  fitEntitiesEase()   { }
+}
+
+
+/**
+ * installGlobals
+ * Adds the few browser globals that Rapid's systems reach for, if they are missing.
+ * `window` is the global object, like it is in a browser, and there is no `document`.
+ */
+function installGlobals() {
+  globalThis.window ??= globalThis;
+  if (!('document' in globalThis)) {
+    globalThis.document = null;    // d3 skips selections of `null`
+  }
+
+  window.location ??= { origin: 'null', pathname: '/', hash: '', href: '' };
+  window.top ??= window;
+  window.requestIdleCallback ??= (callback) => setTimeout(callback, 1);
+  window.cancelIdleCallback ??= (handle) => clearTimeout(handle);
+
+  globalThis.navigator ??= {};
+  navigator.userAgent ??= `Node.js/${versions.node}`;
+  navigator.appName ??= 'Node.js';
+  navigator.appVersion ??= versions.node;
+  navigator.languages ??= [Intl.DateTimeFormat().resolvedOptions().locale];
+}
+
+
+function getTags(xml) {
+  const tags = {};
+  for (const elem of Array.from(xml.getElementsByTagName('tag'))) {
+    const k = (elem.getAttribute('k') ?? '').trim();
+    const v = (elem.getAttribute('v') ?? '').trim();
+    if (k) {
+      tags[k] = v;
+    }
+  }
+  return tags;
+}
+
+function getMeta(xml, id) {
+  const attr = (k) => xml.getAttribute(k) || undefined;
+  return {
+    id: id,
+    visible: attr('visible') !== 'false',
+    version: attr('version'),
+    changeset: attr('changeset'),
+    timestamp: attr('timestamp'),
+    user: attr('user'),
+    uid: attr('uid'),
+    tags: getTags(xml)
+  };
+}
+
+function parseNode(xml, id) {
+  const loc = [parseFloat(xml.getAttribute('lon')), parseFloat(xml.getAttribute('lat'))];
+  return new osmNode(Object.assign(getMeta(xml, id), { loc: loc }));
+}
+
+function parseWay(xml, id) {
+  const nodes = Array.from(xml.getElementsByTagName('nd')).map(elem => 'n' + elem.getAttribute('ref'));
+  return new osmWay(Object.assign(getMeta(xml, id), { nodes: nodes }));
+}
+
+function parseRelation(xml, id) {
+  const members = Array.from(xml.getElementsByTagName('member')).map(elem => {
+    const type = elem.getAttribute('type');
+    return { id: type[0] + elem.getAttribute('ref'), type: type, role: elem.getAttribute('role') ?? '' };
+  });
+  return new osmRelation(Object.assign(getMeta(xml, id), { members: members }));
+}
@@ -0,0 +1,38 @@
+import { StorageSystem } from '../core/StorageSystem.js';
+
+
+/**
+ * `MemoryStorageSystem` is a `StorageSystem` that keeps everything in memory,
+ *  for running Rapid in Node.js where there is no `localStorage` or `indexedDB`.
+ * Nothing stored here will outlive the process.
+ */
+export class MemoryStorageSystem extends StorageSystem {
+
+  /**
+   * @constructor
+   * @param  context  Global shared application context
+   */
+  constructor(context) {
+    super(context);
+    this._useMemoryStorage();
+  }
+
+
+  /**
+   * initAsync
+   * Called after all core objects have been constructed.
+   * @return {Promise} Promise resolved when this component has completed initialization
+   */
+  initAsync() {
+    if (this._initPromise) return this._initPromise;
+
+    for (const id of this.dependencies) {
+      if (!this.context.systems[id]) {
+        return Promise.reject(`Cannot init:  ${this.id} requires ${id}`);
+      }
+    }
+
+    return this._initPromise = Promise.resolve();   // edit sessions are kept in `this._sessions`
+  }
+
+}
@@ -0,0 +1,8 @@
+// Everything in `headless.js`, plus a `Context` that can run
+// Rapid's editing and validation in Node.js, see `HeadlessContext`
+
+export * from '../headless.js';
+
+export { FileAssetSystem } from './FileAssetSystem.js';
+export { HeadlessContext } from './HeadlessContext.js';
+export { MemoryStorageSystem } from './MemoryStorageSystem.js';
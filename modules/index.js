@@ -17,5 +17,6 @@ export * from './ui/tools/index.js';
 export * from './ui/index.js';
 export * from './util/index.js';
 export * from './validations/index.js';
+export { validationCustomRule } from './validations/custom_rule.js';   // not a built-in rule, see `ValidationSystem.setCustomRules`
 
 export { Context } from './Context.js';
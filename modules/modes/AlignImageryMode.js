@@ -0,0 +1,181 @@
+import { AbstractMode } from './AbstractMode.js';
+
+const DEBUG = false;
+const SNAP_DISTANCE = 12;   // pixels
+
+
+/**
+ * `AlignImageryMode`
+ * In this mode, we are waiting for the user to place control points to align the background imagery.
+ * Each control point takes 2 clicks: first where a feature is in the imagery, then where it really is.
+ * The second click snaps to the nodes of the OSM data and the points of custom data (e.g. GPS traces).
+ */
+export class AlignImageryMode extends AbstractMode {
+
+  /**
+   * @constructor
+   * @param  `context`  Global shared application context
+   */
+  constructor(context) {
+    super(context);
+    this.id = 'align-imagery';
+
+    this.imageryLoc = null;   // where the first click of the current control point was
+
+    // Make sure the event handlers have `this` bound correctly
+    this._click = this._click.bind(this);
+    this._cancel = this._cancel.bind(this);
+    this._finish = this._finish.bind(this);
+  }
+
+
+  /**
+   * enter
+   * Enters the mode.
+   */
+  enter() {
+    if (DEBUG) {
+      console.log('AlignImageryMode: entering');  // eslint-disable-line no-console
+    }
+
+    this._active = true;
+    this.imageryLoc = null;
+
+    const context = this.context;
+    context.systems.gfx.events.setCursor('crosshair');
+    context.enableBehaviors(['hover', 'draw', 'mapInteraction']);
+
+    context.behaviors.draw
+      .on('click', this._click)
+      .on('cancel', this._cancel)
+      .on('finish', this._finish);
+
+    context.systems.gfx.immediateRedraw();
+    return true;
+  }
+
+
+  /**
+   * exit
+   */
+  exit() {
+    if (!this._active) return;
+    this._active = false;
+    this.imageryLoc = null;
+
+    if (DEBUG) {
+      console.log('AlignImageryMode: exiting');  // eslint-disable-line no-console
+    }
+
+    const context = this.context;
+    context.systems.gfx.events.setCursor('grab');
+
+    context.behaviors.draw
+      .off('click', this._click)
+      .off('cancel', this._cancel)
+      .off('finish', this._finish);
+
+    context.systems.gfx.immediateRedraw();
+  }
+
+
+  /**
+   * _click
+   * The first click places the imagery side of a control point, the second click the reference side.
+   */
+  _click(eventData) {
+    const context = this.context;
+    const imagery = context.systems.imagery;
+    const viewport = context.viewport;
+
+    if (!this.imageryLoc) {
+      this.imageryLoc = viewport.unproject(eventData.coord.map);
+      context.systems.gfx.immediateRedraw();
+    } else {
+      const imageryLoc = this.imageryLoc;
+      this.imageryLoc = null;
+      imagery.addAlignmentPoint(imageryLoc, this._referenceLoc(eventData));
+    }
+  }
+
+
+  /**
+   * _referenceLoc
+   * Returns the location of the reference side of a control point,
+   * snapped to the closest node or point of what was clicked on, if it is close enough.
+   */
+  _referenceLoc(eventData) {
+    const context = this.context;
+    const graph = context.systems.editor.staging.graph;
+    const viewport = context.viewport;
+    const point = eventData.coord.map;
+    const target = eventData.target;
+    const data = target?.data;
+
+    const entity = (target?.layerID === 'osm') && data?.id && graph.hasEntity(data.id);
+
+    let locs = [];
+    if (entity?.type === 'node') {
+      locs = [entity.loc];
+    } else if (entity?.type === 'way') {
+      locs = graph.childNodes(entity).map(node => node.loc);
+    } else if (target?.layerID === 'custom-data' && data?.geometry) {
+      locs = flattenCoordinates(data.geometry);
+    }
+
+    let closest = null;
+    let closestDistance = SNAP_DISTANCE;
+    for (const loc of locs) {
+      const [x, y] = viewport.project(loc);
+      const distance = Math.hypot(x - point[0], y - point[1]);
+      if (distance < closestDistance) {
+        closest = loc;
+        closestDistance = distance;
+      }
+    }
+
+    return closest ?? viewport.unproject(point);
+  }
+
+
+  /**
+   * _cancel
+   * Forget the first click of the current control point, or return to browse mode if there isn't one
+   */
+  _cancel() {
+    if (this.imageryLoc) {
+      this.imageryLoc = null;
+      this.context.systems.gfx.immediateRedraw();
+    } else {
+      this._finish();
+    }
+  }
+
+
+  /**
+   * _finish
+   * Return to browse mode, keeping the alignment
+   */
+  _finish() {
+    this.context.enter('browse');
+  }
+}
+
+
+// Returns all of the positions in a GeoJSON geometry
+function flattenCoordinates(geometry) {
+  if (geometry.type === 'GeometryCollection') {
+    return geometry.geometries.flatMap(flattenCoordinates);
+  }
+
+  const results = [];
+  const collect = (coords) => {
+    if (typeof coords[0] === 'number') {
+      results.push(coords);
+    } else {
+      coords.forEach(collect);
+    }
+  };
+  collect(geometry.coordinates ?? []);
+  return results;
+}
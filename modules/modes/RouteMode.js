@@ -0,0 +1,97 @@
+import { AbstractMode } from './AbstractMode.js';
+
+const DEBUG = false;
+
+
+/**
+ * `RouteMode`
+ * In this mode, we are waiting for the user to place the start and end points of a route preview.
+ * Clicks place the start point, then the end point, then start over with a new start point.
+ */
+export class RouteMode extends AbstractMode {
+
+  /**
+   * @constructor
+   * @param  `context`  Global shared application context
+   */
+  constructor(context) {
+    super(context);
+    this.id = 'route';
+
+    // Make sure the event handlers have `this` bound correctly
+    this._click = this._click.bind(this);
+    this._cancel = this._cancel.bind(this);
+  }
+
+
+  /**
+   * enter
+   * Enters the mode.
+   */
+  enter() {
+    if (DEBUG) {
+      console.log('RouteMode: entering');  // eslint-disable-line no-console
+    }
+
+    this._active = true;
+    const context = this.context;
+    context.enableBehaviors(['hover', 'draw', 'mapInteraction']);
+
+    context.behaviors.draw
+      .on('click', this._click)
+      .on('cancel', this._cancel)
+      .on('finish', this._cancel);
+
+    return true;
+  }
+
+
+  /**
+   * exit
+   */
+  exit() {
+    if (!this._active) return;
+    this._active = false;
+
+    if (DEBUG) {
+      console.log('RouteMode: exiting');  // eslint-disable-line no-console
+    }
+
+    const context = this.context;
+    context.behaviors.draw
+      .off('click', this._click)
+      .off('cancel', this._cancel)
+      .off('finish', this._cancel);
+  }
+
+
+  /**
+   * _click
+   * Place the next route point at the mouse click coords
+   */
+  _click(eventData) {
+    const context = this.context;
+    const routing = context.systems.routing;
+    const viewport = context.viewport;
+    const point = eventData.coord.map;
+    const loc = viewport.unproject(point);
+
+    if (!routing) return;
+
+    if (!routing.start || routing.end) {
+      routing.setEnd(null);
+      routing.setStart(loc);
+    } else {
+      routing.setEnd(loc);
+    }
+  }
+
+
+  /**
+   * _cancel
+   * Return to browse mode, keeping the route
+   */
+  _cancel() {
+    this.context.enter('browse');
+  }
+}
@@ -41,6 +41,7 @@ export class SaveMode extends AbstractMode {
     this._saveEnded = this._saveEnded.bind(this);
     this._saveStarted = this._saveStarted.bind(this);
     this._showLoading = this._showLoading.bind(this);
+    this._uploadProgress = this._uploadProgress.bind(this);
 
     this._location = null;
     this._uiConflicts = null;
@@ -102,6 +103,7 @@ export class SaveMode extends AbstractMode {
       .on('resultSuccess', this._resultSuccess)
       .on('saveEnded', this._saveEnded)
       .on('saveStarted', this._saveStarted)
+      .on('uploadProgress', this._uploadProgress)
       .on('willAttemptUpload', this._prepareForSuccess);
 
     return true;
@@ -134,6 +136,7 @@ export class SaveMode extends AbstractMode {
       .off('resultSuccess', this._resultSuccess)
       .off('saveEnded', this._saveEnded)
       .off('saveStarted', this._saveStarted)
+      .off('uploadProgress', this._uploadProgress)
       .off('willAttemptUpload', this._prepareForSuccess);
 
     this._keybindingOff();
@@ -178,6 +181,29 @@ export class SaveMode extends AbstractMode {
   }
 
 
+  /**
+   * _uploadProgress handler
+   * Shows which changeset is uploading, if the upload is split into several changesets
+   */
+  _uploadProgress(num, total) {
+    if (total < 2) return;
+
+    const context = this.context;
+    const l10n = context.systems.l10n;
+
+    const modal = context.container().select('.loading-modal .modal-section');
+    const progress = modal.selectAll('.progress')
+      .data([0]);
+
+    // enter/update
+    progress.enter()
+      .append('div')
+      .attr('class', 'progress')
+      .merge(progress)
+      .text(l10n.t('save.split.progress', { num: num, total: total }));
+  }
+
+
   /**
    * resultConflicts handler
    */
@@ -306,12 +332,13 @@ export class SaveMode extends AbstractMode {
   /**
    * _resultSuccess handler
    */
-  _resultSuccess(changeset) {
+  _resultSuccess(changeset, changesets) {
     const context = this.context;
     const Sidebar = context.systems.ui.Sidebar;
 
     const successContent = this._uiSuccess
       .changeset(changeset)
+      .changesets(changesets)
       .location(this._location)
       .on('cancel', () => Sidebar.hide());
 
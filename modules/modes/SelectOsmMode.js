@@ -397,7 +397,11 @@ export class SelectOsmMode extends AbstractMode {
         delete: 3
       };
 
-      this.operations = Object.values(Operations)
+      // Operations added by plugins are offered after the built-in ones
+      const plugins = context.systems.plugins;
+      const allOperations = Object.values(Operations).concat(plugins?.operations ?? []);
+
+      this.operations = allOperations
         .map(op => op(context, entityIDs))
         .filter(op => op.available())
         .sort((a, b) => {
@@ -1,6 +1,7 @@
 import { AbstractMode } from './AbstractMode.js';
 import { AddNoteMode } from './AddNoteMode.js';
 import { AddPointMode } from './AddPointMode.js';
+import { AlignImageryMode } from './AlignImageryMode.js';
 import { BrowseMode } from './BrowseMode.js';
 import { DragNodeMode } from './DragNodeMode.js';
 import { DragNoteMode } from './DragNoteMode.js';
@@ -8,6 +9,7 @@ import { DrawAreaMode } from './DrawAreaMode.js';
 import { DrawLineMode } from './DrawLineMode.js';
 import { MoveMode } from './MoveMode.js';
 import { RotateMode } from './RotateMode.js';
+import { RouteMode } from './RouteMode.js';
 import { SaveMode } from './SaveMode.js';
 import { SelectMode } from './SelectMode.js';
 import { SelectOsmMode } from './SelectOsmMode.js';
@@ -16,6 +18,7 @@ export {
   AbstractMode,
   AddNoteMode,
   AddPointMode,
+  AlignImageryMode,
   BrowseMode,
   DragNodeMode,
   DragNoteMode,
@@ -23,6 +26,7 @@ export {
   DrawLineMode,
   MoveMode,
   RotateMode,
+  RouteMode,
   SaveMode,
   SelectMode,
   SelectOsmMode   // someday, single select mode?
@@ -36,6 +40,7 @@ export const modes = {
 
 modes.available.set('add-note', AddNoteMode);
 modes.available.set('add-point', AddPointMode);
+modes.available.set('align-imagery', AlignImageryMode);
 modes.available.set('browse', BrowseMode);
 modes.available.set('drag-node', DragNodeMode);
 modes.available.set('drag-note', DragNoteMode);
@@ -43,6 +48,7 @@ modes.available.set('draw-area', DrawAreaMode);
 modes.available.set('draw-line', DrawLineMode);
 modes.available.set('move', MoveMode);
 modes.available.set('rotate', RotateMode);
+modes.available.set('route', RouteMode);
 modes.available.set('save', SaveMode);
 modes.available.set('select', SelectMode);
 modes.available.set('select-osm', SelectOsmMode);
@@ -8,6 +8,7 @@ import { utilTotalExtent } from '../util/index.js';
 export function operationCircularize(context, selectedIDs) {
   const editor = context.systems.editor;
   const graph = editor.staging.graph;
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
   const storage = context.systems.storage;
   const viewport = context.viewport;
@@ -107,7 +108,7 @@ export function operationCircularize(context, selectedIDs) {
 
 
   operation.id = 'circularize';
-  operation.keys = [ l10n.t('shortcuts.command.circularize.key') ];
+  operation.keys = [ keymap.key('circularize') ];
   operation.title = l10n.t('operations.circularize.title');
   operation.behavior = new KeyOperationBehavior(context, operation);
 
@@ -6,6 +6,7 @@ import { KeyOperationBehavior } from '../behaviors/KeyOperationBehavior.js';
 export function operationContinue(context, selectedIDs) {
   const graph = context.systems.editor.staging.graph;
   const filters = context.systems.filters;
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
 
   const entities = selectedIDs.map(entityID => graph.hasEntity(entityID)).filter(Boolean);
@@ -73,7 +74,7 @@ export function operationContinue(context, selectedIDs) {
 
 
   operation.id = 'continue';
-  operation.keys = [ l10n.t('shortcuts.command.continue_line.key') ];
+  operation.keys = [ keymap.key('continue_line') ];
   operation.title = l10n.t('operations.continue.title');
   operation.behavior = new KeyOperationBehavior(context, operation);
 
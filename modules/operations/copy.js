@@ -7,6 +7,7 @@ import { utilCmd, utilTotalExtent } from '../util/index.js';
 export function operationCopy(context, selectedIDs) {
   const editor = context.systems.editor;
   const graph = editor.staging.graph;
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
   const storage = context.systems.storage;
   const viewport = context.viewport;
@@ -135,7 +136,7 @@ export function operationCopy(context, selectedIDs) {
 
 
   operation.id = 'copy';
-  operation.keys = [ utilCmd('⌘C') ];
+  operation.keys = [ utilCmd(keymap.combo('copy')) ];
   operation.title = l10n.t('operations.copy.title');
   operation.behavior = new KeyOperationBehavior(context, operation);
 
@@ -60,6 +60,7 @@ const crossingVertexPresetIDs = [
 export function operationCycleHighwayTag(context, selectedIDs) {
   const editor = context.systems.editor;
   const graph = editor.staging.graph;
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
   const presets = context.systems.presets;
 
@@ -169,7 +170,7 @@ export function operationCycleHighwayTag(context, selectedIDs) {
 
 
   operation.id = 'cycle_highway_tag';
-  operation.keys = ['⇧' + l10n.t('shortcuts.command.cycle_highway_tag.key')];
+  operation.keys = ['⇧' + keymap.key('cycle_highway_tag')];
   operation.title = l10n.t('operations.cycle_highway_tag.title');
   operation.behavior = new KeyOperationBehavior(context, operation);
 
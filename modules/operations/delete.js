@@ -9,6 +9,7 @@ import { utilCmd, utilTotalExtent } from '../util/index.js';
 export function operationDelete(context, selectedIDs) {
   const editor = context.systems.editor;
   const graph = editor.staging.graph;
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
   const map = context.systems.map;
   const storage = context.systems.storage;
@@ -157,7 +158,7 @@ export function operationDelete(context, selectedIDs) {
 
 
   operation.id = 'delete';
-  operation.keys = [ utilCmd('⌘⌫'), utilCmd('⌘⌦'), utilCmd('⌦') ];
+  operation.keys = keymap.combos('delete').map(combo => utilCmd(combo));
   operation.title = l10n.t('operations.delete.title');
   operation.behavior = new KeyOperationBehavior(context, operation);
 
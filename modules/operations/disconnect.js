@@ -8,6 +8,7 @@ import { utilTotalExtent } from '../util/index.js';
 export function operationDisconnect(context, selectedIDs) {
   const editor = context.systems.editor;
   const graph = editor.staging.graph;
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
   const storage = context.systems.storage;
   const viewport = context.viewport;
@@ -223,7 +224,7 @@ export function operationDisconnect(context, selectedIDs) {
 
 
   operation.id = 'disconnect';
-  operation.keys = [ l10n.t('shortcuts.command.disconnect.key') ];
+  operation.keys = [ keymap.key('disconnect') ];
   operation.title = l10n.t('operations.disconnect.title');
   operation.behavior = new KeyOperationBehavior(context, operation);
 
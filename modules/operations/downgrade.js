@@ -5,6 +5,7 @@ import { utilCmd } from '../util/cmd.js';
 
 export function operationDowngrade(context, selectedIDs) {
   const editor = context.systems.editor;
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
   const presets = context.systems.presets;
 
@@ -133,7 +134,7 @@ export function operationDowngrade(context, selectedIDs) {
 
 
   operation.id = 'downgrade';
-  operation.keys = [ utilCmd('⌫') ];
+  operation.keys = [ utilCmd(keymap.combo('downgrade')) ];
   operation.title = l10n.t('operations.downgrade.title');
   operation.behavior = new KeyOperationBehavior(context, operation);
 
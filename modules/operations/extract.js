@@ -8,6 +8,7 @@ import { utilTotalExtent } from '../util/index.js';
 export function operationExtract(context, selectedIDs) {
   const editor = context.systems.editor;
   const graph = editor.staging.graph;
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
   const presets = context.systems.presets;
   const storage = context.systems.storage;
@@ -110,7 +111,7 @@ export function operationExtract(context, selectedIDs) {
 
 
   operation.id = 'extract';
-  operation.keys = [ l10n.t('shortcuts.command.extract.key') ];
+  operation.keys = [ keymap.key('extract') ];
   operation.title = l10n.t('operations.extract.title');
   operation.behavior = new KeyOperationBehavior(context, operation);
 
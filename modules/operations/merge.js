@@ -8,6 +8,7 @@ import { KeyOperationBehavior } from '../behaviors/KeyOperationBehavior.js';
 
 export function operationMerge(context, selectedIDs) {
   const editor = context.systems.editor;
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
   const presets = context.systems.presets;
   const storage = context.systems.storage;
@@ -103,7 +104,7 @@ export function operationMerge(context, selectedIDs) {
 
 
   operation.id = 'merge';
-  operation.keys = [ l10n.t('shortcuts.command.merge.key') ];
+  operation.keys = [ keymap.key('merge') ];
   operation.title = l10n.t('operations.merge.title');
   operation.behavior = new KeyOperationBehavior(context, operation);
 
@@ -7,6 +7,7 @@ import { utilTotalExtent } from '../util/util.js';
 export function operationMove(context, selectedIDs) {
   const editor = context.systems.editor;
   const graph = editor.staging.graph;
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
   const storage = context.systems.storage;
   const viewport = context.viewport;
@@ -85,7 +86,7 @@ export function operationMove(context, selectedIDs) {
 
 
   operation.id = 'move';
-  operation.keys = [ l10n.t('shortcuts.command.move.key') ];
+  operation.keys = [ keymap.key('move') ];
   operation.title = l10n.t('operations.move.title');
   operation.behavior = new KeyOperationBehavior(context, operation);
 
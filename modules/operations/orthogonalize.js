@@ -8,6 +8,7 @@ import { utilTotalExtent } from '../util/index.js';
 export function operationOrthogonalize(context, selectedIDs) {
   const editor = context.systems.editor;
   const graph = editor.staging.graph;
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
   const storage = context.systems.storage;
   const viewport = context.viewport;
@@ -129,7 +130,7 @@ export function operationOrthogonalize(context, selectedIDs) {
 
 
   operation.id = 'orthogonalize';
-  operation.keys = [ l10n.t('shortcuts.command.orthogonalize.key') ];
+  operation.keys = [ keymap.key('orthogonalize') ];
   operation.title = l10n.t('operations.orthogonalize.title');
   operation.behavior = new KeyOperationBehavior(context, operation);
 
@@ -8,6 +8,7 @@ import { utilCmd } from '../util/cmd.js';
 // see also `PasteBehavior`
 export function operationPaste(context) {
   const editor = context.systems.editor;
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
   const map = context.systems.map;
 
@@ -96,7 +97,7 @@ export function operationPaste(context) {
 
 
   operation.id = 'paste';
-  operation.keys = [ utilCmd('⌘V') ];
+  operation.keys = [ utilCmd(keymap.combo('paste')) ];
   operation.title = l10n.t('operations.paste.title');
 
   return operation;
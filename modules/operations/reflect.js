@@ -18,6 +18,7 @@ export function operationReflectLong(context, selectedIDs) {
 export function operationReflect(context, selectedIDs, axis = 'long') {
   const editor = context.systems.editor;
   const graph = editor.staging.graph;
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
   const storage = context.systems.storage;
   const viewport = context.viewport;
@@ -99,7 +100,7 @@ export function operationReflect(context, selectedIDs, axis = 'long') {
   };
 
   operation.id = `reflect-${axis}`;
-  operation.keys = [ l10n.t(`shortcuts.command.reflect_${axis}.key`) ];
+  operation.keys = [ keymap.key(`reflect_${axis}`) ];
   operation.title = l10n.t(`operations.reflect.title.${axis}`);
   operation.behavior = new KeyOperationBehavior(context, operation);
 
@@ -4,6 +4,7 @@ import { KeyOperationBehavior } from '../behaviors/KeyOperationBehavior.js';
 
 export function operationReverse(context, selectedIDs) {
   const editor = context.systems.editor;
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
 
   const actions = selectedIDs.map(getAction).filter(Boolean);
@@ -76,7 +77,7 @@ export function operationReverse(context, selectedIDs) {
 
 
   operation.id = 'reverse';
-  operation.keys = [ l10n.t('shortcuts.command.reverse.key') ];
+  operation.keys = [ keymap.key('reverse') ];
   operation.title = l10n.t('operations.reverse.title');
   operation.behavior = new KeyOperationBehavior(context, operation);
 
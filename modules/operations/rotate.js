@@ -7,6 +7,7 @@ import { utilTotalExtent } from '../util/util.js';
 export function operationRotate(context, selectedIDs) {
   const editor = context.systems.editor;
   const graph = editor.staging.graph;
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
   const storage = context.systems.storage;
   const viewport = context.viewport;
@@ -87,7 +88,7 @@ export function operationRotate(context, selectedIDs) {
 
 
   operation.id = 'rotate';
-  operation.keys = [ l10n.t('shortcuts.command.rotate.key') ];
+  operation.keys = [ keymap.key('rotate') ];
   operation.title = l10n.t('operations.rotate.title');
   operation.behavior = new KeyOperationBehavior(context, operation);
 
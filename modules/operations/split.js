@@ -5,6 +5,7 @@ import { KeyOperationBehavior } from '../behaviors/KeyOperationBehavior.js';
 export function operationSplit(context, selectedIDs) {
   const editor = context.systems.editor;
   const graph = editor.staging.graph;
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
 
   const entities = selectedIDs.map(entityID => graph.hasEntity(entityID)).filter(Boolean);
@@ -97,7 +98,7 @@ export function operationSplit(context, selectedIDs) {
 
 
   operation.id = 'split';
-  operation.keys = [ l10n.t('shortcuts.command.split.key') ];
+  operation.keys = [ keymap.key('split') ];
   operation.title = l10n.t('operations.split.title');
   operation.behavior = new KeyOperationBehavior(context, operation);
 
@@ -9,6 +9,7 @@ import { utilTotalExtent } from '../util/index.js';
 export function operationStraighten(context, selectedIDs) {
   const editor = context.systems.editor;
   const graph = editor.staging.graph;
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
   const storage = context.systems.storage;
   const viewport = context.viewport;
@@ -147,7 +148,7 @@ export function operationStraighten(context, selectedIDs) {
 
 
   operation.id = 'straighten';
-  operation.keys = [ l10n.t('shortcuts.command.straighten.key') ];
+  operation.keys = [ keymap.key('straighten') ];
   operation.title = l10n.t('operations.straighten.title');
   operation.behavior = new KeyOperationBehavior(context, operation);
 
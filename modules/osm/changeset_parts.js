@@ -0,0 +1,271 @@
+import deepEqual from 'fast-deep-equal';
+
+// The order that changes can be uploaded in, so that every entity is uploaded after the
+// entities that it depends on:  nodes before the ways that use them, ways before the
+// relations that use them, and deletions in the opposite order.
+const PHASES = [
+  ['created', 'node'], ['created', 'way'], ['created', 'relation'],
+  ['deleted', 'relation'], ['deleted', 'way'], ['deleted', 'node']
+];
+
+const DEFAULT_MAXSIZE = 10000;    // the OSM API `maximum_elements` per changeset
+const DEFAULT_CLUSTERSIZE = 0.5;  // degrees
+
+
+/**
+ * osmSplitChanges
+ * Splits a set of changes (like the ones returned by `EditSystem.changes()`) into parts,
+ * so that they can be uploaded as several changesets.  Each part is a changes Object with
+ * `created`, `modified`, and `deleted` Arrays, and the parts are returned in the order that
+ * they must be uploaded, so that no part references an entity that a later part creates,
+ * or deletes an entity that a later part stops using.
+ *
+ * Options may contain:
+ *   `maxSize`      - the maximum number of entities in each part (default 10000)
+ *   `cluster`      - if `true`, changes are also split into geographic clusters
+ *   `clusterSize`  - the size of a cluster, in degrees (default 0.5)
+ *   `graph`        - the current graph, required for clustering
+ *   `baseGraph`    - the base graph, required for clustering
+ *
+ * When clustering, entities that depend on each other (e.g. a new way and its new nodes)
+ * always stay in the same cluster.
+ *
+ * @param   {Object}  changes  - Object with `created`, `modified`, `deleted` Arrays of entities
+ * @param   {Object}  options? - the options (see above)
+ * @return  {Array}   Array of changes Objects, empty if there are no changes
+ */
+export function osmSplitChanges(changes, options = {}) {
+  const maxSize = Math.max(1, options.maxSize || DEFAULT_MAXSIZE);
+  const items = sortItems(gatherItems(changes));
+
+  const groups = options.cluster ? clusterItems(items, options) : [items];
+  const results = [];
+
+  for (const group of groups) {
+    for (let i = 0; i < group.length; i += maxSize) {
+      const part = { created: [], modified: [], deleted: [] };
+      for (const item of group.slice(i, i + maxSize)) {
+        part[item.changeType].push(item.entity);
+      }
+      results.push(part);
+    }
+  }
+
+  return results;
+}
+
+
+/**
+ * osmRemapChanges
+ * Updates a set of changes for the entities that have already been uploaded in an earlier
+ * changeset, using the ids and versions that the OSM API returned for them in its diffResult.
+ *  - Entities that have already been uploaded, and haven't changed since, are skipped.
+ *  - Entities that have been uploaded, but were removed since, become deletions.
+ *  - Entities that have changed since they were uploaded become modifications (or deletions)
+ *    of the uploaded entity, with its new id and version.
+ *  - Way nodes and relation members that reference uploaded entities use their new ids.
+ *
+ * @param   {Object}  changes  - Object with `created`, `modified`, `deleted` Arrays of entities
+ * @param   {Map}     uploaded - Map(entityID -> { entity, id, version, deleted }) of what has been uploaded,
+ *                                where `entity` is the local entity that was uploaded, and `id`, `version`
+ *                                are the new id and version from the diffResult
+ * @return  {Object}  the remapped changes Object (the original changes are not modified)
+ */
+export function osmRemapChanges(changes, uploaded) {
+  const results = { created: [], modified: [], deleted: [] };
+  if (!uploaded?.size) {
+    return Object.assign(results, changes);
+  }
+
+  for (const changeType of ['created', 'modified', 'deleted']) {
+    for (const entity of changes[changeType] ?? []) {
+      const done = uploaded.get(entity.id);
+      if (!done) {
+        results[changeType].push(remapReferences(entity, uploaded));
+        continue;
+      }
+
+      const isDeleted = (changeType === 'deleted');
+      if (done.deleted === isDeleted && isSameEntity(done.entity, entity)) continue;   // already uploaded
+
+      const remapped = remapReferences(entity, uploaded).update({ id: done.id, version: done.version });
+      results[isDeleted ? 'deleted' : 'modified'].push(remapped);
+    }
+  }
+
+  return results;
+}
+
+
+// Whether two versions of an entity have the same content
+function isSameEntity(a, b) {
+  if (a === b) return true;
+  return deepEqual(a.tags, b.tags) && deepEqual(a.loc, b.loc) &&
+    deepEqual(a.nodes, b.nodes) && deepEqual(a.members, b.members);
+}
+
+
+// Replace way nodes and relation members that reference uploaded entities
+function remapReferences(entity, uploaded) {
+  if (entity.type === 'way') {
+    if (!entity.nodes.some(nodeID => uploaded.has(nodeID))) return entity;
+    return entity.update({ nodes: entity.nodes.map(nodeID => uploaded.get(nodeID)?.id ?? nodeID) });
+
+  } else if (entity.type === 'relation') {
+    if (!entity.members.some(member => uploaded.has(member.id))) return entity;
+    return entity.update({
+      members: entity.members.map(member => {
+        const done = uploaded.get(member.id);
+        return done ? Object.assign({}, member, { id: done.id }) : member;
+      })
+    });
+  }
+
+  return entity;
+}
+
+
+// Returns the ids of the entities that this entity references
+function childIDs(entity) {
+  if (entity?.type === 'way') {
+    return entity.nodes;
+  } else if (entity?.type === 'relation') {
+    return entity.members.map(member => member.id);
+  } else {
+    return [];
+  }
+}
+
+
+// Gather the changes into an Array of items like `{ entity, changeType, phase }`
+function gatherItems(changes) {
+  const items = [];
+  for (const changeType of ['created', 'modified', 'deleted']) {
+    const which = (changeType === 'deleted') ? 'deleted' : 'created';
+    for (const entity of changes[changeType] ?? []) {
+      const phase = PHASES.findIndex(([c, t]) => c === which && t === entity.type);
+      items.push({ entity: entity, changeType: changeType, phase: phase });
+    }
+  }
+  return items;
+}
+
+
+// Sort the items by phase (stable), with relations that are members of
+// other relations created before them, and deleted after them.
+function sortItems(items) {
+  const sorted = items.slice().sort((a, b) => a.phase - b.phase);
+
+  for (const which of ['created', 'deleted']) {
+    const phase = PHASES.findIndex(([c, t]) => c === which && t === 'relation');
+    const start = sorted.findIndex(item => item.phase === phase);
+    if (start === -1) continue;
+
+    const relations = sorted.filter(item => item.phase === phase);
+    const byID = new Map(relations.map(item => [item.entity.id, item]));
+    const visited = new Set();
+    const result = [];
+
+    const visit = (item) => {
+      if (visited.has(item.entity.id)) return;
+      visited.add(item.entity.id);
+      for (const childID of childIDs(item.entity)) {
+        const child = byID.get(childID);
+        if (child) visit(child);
+      }
+      result.push(item);   // members first
+    };
+
+    relations.forEach(visit);
+    if (which === 'deleted') result.reverse();   // parents first
+    sorted.splice(start, result.length, ...result);
+  }
+
+  return sorted;
+}
+
+
+// Group the items into geographic clusters, keeping entities that depend on each other together.
+// Returns an Array of item Arrays, each sorted in upload order.
+function clusterItems(items, options) {
+  const graph = options.graph;
+  const baseGraph = options.baseGraph;
+  const clusterSize = options.clusterSize || DEFAULT_CLUSTERSIZE;
+
+  // Union-find of the items that must be uploaded together
+  const byID = new Map(items.map(item => [item.entity.id, item]));
+  const parents = new Map();
+  const find = (id) => {
+    let root = id;
+    while (parents.has(root)) root = parents.get(root);
+    if (root !== id) parents.set(id, root);
+    return root;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parents.set(rootB, rootA);
+  };
+
+  // An entity depends on any created or deleted entities that it references now, or referenced before
+  for (const item of items) {
+    const entityID = item.entity.id;
+    const refs = new Set([...childIDs(item.entity), ...childIDs(baseGraph?.hasEntity(entityID))]);
+    for (const childID of refs) {
+      const child = byID.get(childID);
+      if (child && child.changeType !== 'modified') {
+        union(entityID, childID);
+      }
+    }
+  }
+
+  // Place each group of dependent items in the cluster where its first locatable entity is
+  const cellOf = new Map();   // Map(root -> cell key)
+  const clusters = new Map();  // Map(cell key -> Array of items)
+
+  for (const item of items) {
+    const root = find(item.entity.id);
+    let cell = cellOf.get(root);
+    if (cell === undefined) {
+      const loc = locate(item, graph, baseGraph);
+      if (!loc) continue;   // try the next entity in this group
+      cell = [Math.floor(loc[0] / clusterSize), Math.floor(loc[1] / clusterSize)].join(',');
+      cellOf.set(root, cell);
+    }
+  }
+
+  for (const item of items) {
+    const cell = cellOf.get(find(item.entity.id)) ?? '';
+    let cluster = clusters.get(cell);
+    if (!cluster) {
+      cluster = [];
+      clusters.set(cell, cluster);
+    }
+    cluster.push(item);   // items were sorted, so each cluster is also sorted
+  }
+
+  // Order the clusters west to east, then south to north, so the parts are predictable
+  const cellSort = (a, b) => {
+    if (a === '') return 1;
+    if (b === '') return -1;
+    const [ax, ay] = a.split(',').map(Number);
+    const [bx, by] = b.split(',').map(Number);
+    return (ax - bx) || (ay - by);
+  };
+
+  return [...clusters.keys()].sort(cellSort).map(cell => clusters.get(cell));
+}
+
+
+// Returns the center [lon, lat] of the item, or `null` if it can't be located
+function locate(item, graph, baseGraph) {
+  const resolver = (item.changeType === 'deleted') ? baseGraph : graph;
+  if (!resolver) return null;
+
+  try {
+    const center = item.entity.extent(resolver).center();
+    return (isFinite(center[0]) && isFinite(center[1])) ? center : null;
+  } catch (e) {   // missing child entities
+    return null;
+  }
+}
@@ -1,4 +1,5 @@
 export { osmChangeset } from './changeset.js';
+export { osmSplitChanges, osmRemapChanges } from './changeset_parts.js';
 export { osmEntity } from './entity.js';
 export { osmNode } from './node.js';
 export { osmRelation } from './relation.js';
@@ -12,9 +13,19 @@ export {
 } from './intersection.js';
 
 export {
-  osmLanes
+  osmLaneKeys,
+  osmLanes,
+  osmLanesModel,
+  osmLanesModelTags
 } from './lanes.js';
 
+export {
+  osmRoutingAccess,
+  osmRoutingGraph,
+  osmRoutingInstructions,
+  osmRoutingProfiles
+} from './routing.js';
+
 export {
   osmOldMultipolygonOuterMemberOfRelation,
   osmIsOldMultipolygonOuterMember,
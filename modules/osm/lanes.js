@@ -1,3 +1,12 @@
+// Tags that have a value for each lane, like `turn:lanes=left|through`
+// (The lane editor keeps these in step with the lanes as they are added, removed, and reordered,
+// along with any other `*:lanes` tags that the way has, like `bicycle:lanes`)
+export var osmLaneKeys = [
+    'turn', 'maxspeed', 'minspeed', 'access', 'psv', 'bus', 'taxi', 'hov', 'hgv',
+    'bicycleway', 'width', 'change', 'destination', 'destination:ref'
+];
+
+
 
 export function osmLanes(entity) {
     if (entity.type !== 'way') return null;
@@ -244,3 +253,253 @@ function mapToLanesObj(lanesObj, data, key) {
         });
     }
 }
+
+
+
+/**
+ * osmLanesModel
+ * Returns the lanes of a way in a form that is easy to edit:
+ *   `oneway`    1 or -1 for oneways, 0 for roads that can be travelled both ways
+ *   `forward`   Array of the lanes in the forward direction, from left to right as seen travelling forward
+ *   `backward`  Array of the lanes in the backward direction, from left to right as seen travelling backward
+ *   `bothways`  Array of the center lanes that can be used in either direction (0 or 1 of them)
+ * Each lane is an Object of its values for the `osmLaneKeys`, like `{ turn: 'left;through' }`.
+ *
+ * On roads that can be travelled both ways, tags without a direction (e.g. `turn:lanes`) list all
+ * the lanes from left to right as seen travelling forward, so they are split up between the directions.
+ * Where traffic drives on the right, the backward lanes come first, and where it drives on the left,
+ * the forward lanes come first.
+ *
+ * @param   {osmWay}   entity    - the way
+ * @param   {boolean}  driveLeft - `true` if traffic drives on the left where the way is (see `driveSide` in country-coder)
+ * @return  {Object}   the lanes, or `null` if the way isn't a highway
+ */
+export function osmLanesModel(entity, driveLeft) {
+    var info = osmLanes(entity);
+    if (!info) return null;
+
+    var tags = entity.tags;
+    var meta = info.metadata;
+    var oneway = !meta.oneway ? 0 : (parseInt(tags.oneway, 10) === -1 ? -1 : 1);
+
+    var model = {
+        oneway: oneway,
+        forward: makeLanes(meta.forward),
+        backward: makeLanes(meta.backward),
+        bothways: makeLanes(meta.bothways)
+    };
+
+    laneKeys(tags).forEach(function(key) {
+        var all = splitValues(tags[key + ':lanes']);
+
+        if (oneway) {
+            var lanes = (oneway === 1) ? model.forward : model.backward;
+            var suffix = (oneway === 1) ? ':forward' : ':backward';
+            setValues(lanes, key, splitValues(tags[key + ':lanes' + suffix]) || all);
+            return;
+        }
+
+        if (all && all.length === meta.backward + meta.bothways + meta.forward) {
+            if (driveLeft) {
+                setValues(model.forward, key, all.slice(0, meta.forward));
+                setValues(model.bothways, key, all.slice(meta.forward, meta.forward + meta.bothways));
+                setValues(model.backward, key, all.slice(meta.forward + meta.bothways).reverse());
+            } else {
+                setValues(model.backward, key, all.slice(0, meta.backward).reverse());
+                setValues(model.bothways, key, all.slice(meta.backward, meta.backward + meta.bothways));
+                setValues(model.forward, key, all.slice(meta.backward + meta.bothways));
+            }
+        }
+        setValues(model.forward, key, splitValues(tags[key + ':lanes:forward']));
+        setValues(model.backward, key, splitValues(tags[key + ':lanes:backward']));
+        setValues(model.bothways, key, splitValues(tags[key + ':lanes:both_ways']));
+    });
+
+    return model;
+
+
+    function makeLanes(count) {
+        var lanes = [];
+        for (var i = 0; i < (count || 0); i++) {
+            lanes.push({});
+        }
+        return lanes;
+    }
+
+    function splitValues(val) {
+        return (typeof val === 'string') ? val.split('|') : null;
+    }
+
+    function setValues(lanes, key, values) {
+        if (!values) return;
+        lanes.forEach(function(lane, i) {
+            if (values[i]) {
+                lane[key] = values[i];
+            } else {
+                delete lane[key];
+            }
+        });
+    }
+}
+
+
+// The keys of the tags that have a value for each lane: the `osmLaneKeys`, and any others the way has
+function laneKeys(tags) {
+    var keys = new Set(osmLaneKeys);
+    Object.keys(tags).forEach(function(k) {
+        var match = k.match(/^(.+):lanes(:forward|:backward|:both_ways)?$/);
+        if (match) {
+            keys.add(match[1]);
+        }
+    });
+    return Array.from(keys);
+}
+
+
+/**
+ * osmLanesModelTags
+ * Returns the tag changes that make the way's tags match the given lanes (see `osmLanesModel`).
+ * The lane counts (`lanes`, `lanes:forward`, `lanes:backward`, `lanes:both_ways`), the counts of lanes
+ * for a mode of transport (`lanes:bus`, etc), and the tags for each lane (`turn:lanes`, etc) are all
+ * written to match the lanes.
+ * Tags keep their form where they can: when no lanes were added or removed, tags without a direction
+ * (e.g. `turn:lanes`) stay that way on roads that can be travelled both ways.  Otherwise those roads
+ * get tags for each direction, like `turn:lanes:forward`.
+ *
+ * @param   {osmWay}   entity    - the way
+ * @param   {Object}   model     - the lanes
+ * @param   {boolean}  driveLeft - `true` if traffic drives on the left where the way is (see `osmLanesModel`)
+ * @return  {Object}   tag changes, where tags to remove have an `undefined` value
+ */
+export function osmLanesModelTags(entity, model, driveLeft) {
+    var tags = entity.tags;
+    var result = {};
+    var count = model.forward.length + model.backward.length + model.bothways.length;
+    var keys = laneKeys(tags);
+    var laneKeySuffixes = ['', ':forward', ':backward', ':both_ways'];
+
+    model.forward.concat(model.backward, model.bothways).forEach(function(lane) {
+        Object.keys(lane).forEach(function(key) {
+            if (!keys.includes(key)) {
+                keys.push(key);
+            }
+        });
+    });
+
+    // Are the lanes in each direction the same as before?
+    var before = osmLanesModel(entity, driveLeft);
+    var isSameLanes = before && before.oneway === model.oneway &&
+        ['forward', 'backward', 'bothways'].every(function(dir) { return before[dir].length === model[dir].length; });
+
+    // Start by removing all the lane tags..
+    if (!isSameLanes) {
+        ['lanes', 'lanes:forward', 'lanes:backward', 'lanes:both_ways'].forEach(removeTag);
+    }
+    keys.forEach(function(key) {
+        laneKeySuffixes.forEach(function(suffix) {
+            removeTag(key + ':lanes' + suffix);
+        });
+    });
+
+    // ..then write the ones that describe the lanes
+    if (!isSameLanes && count) {
+        result.lanes = String(count);
+    }
+
+    if (model.oneway) {
+        var onewaySuffix = (model.oneway === 1) ? ':forward' : ':backward';
+        var onewayLanes = (model.oneway === 1) ? model.forward : model.backward;
+        keys.forEach(function(key) {
+            // keep a direction on the tag, if it only had the tag with the direction
+            var suffix = (tags[key + ':lanes'] === undefined && tags[key + ':lanes' + onewaySuffix] !== undefined) ? onewaySuffix : '';
+            writeValues(key, onewayLanes, suffix);
+        });
+
+    } else if (count) {
+        if (!isSameLanes) {
+            result['lanes:forward'] = String(model.forward.length);
+            result['lanes:backward'] = String(model.backward.length);
+            if (model.bothways.length) {
+                result['lanes:both_ways'] = String(model.bothways.length);
+            }
+        }
+
+        // Tags without a direction list all the lanes from left to right as seen travelling forward
+        // (the backward lanes are on the left where traffic drives on the right, and on the right where it drives on the left)
+        var allLanes;
+        if (driveLeft) {
+            allLanes = model.forward.concat(model.bothways, model.backward.slice().reverse());
+        } else {
+            allLanes = model.backward.slice().reverse().concat(model.bothways, model.forward);
+        }
+
+        keys.forEach(function(key) {
+            var hasDirections = ['forward', 'backward', 'both_ways'].some(function(dir) {
+                return tags[key + ':lanes:' + dir] !== undefined;
+            });
+
+            if (isSameLanes && !hasDirections && tags[key + ':lanes'] !== undefined) {
+                writeValues(key, allLanes, '');
+            } else {
+                writeValues(key, model.forward, ':forward');
+                writeValues(key, model.backward, ':backward');
+                writeValues(key, model.bothways, ':both_ways');
+            }
+        });
+    }
+
+    // Counts of the lanes for a mode of transport, like `lanes:bus=1` or `lanes:psv:forward=1`
+    Object.keys(tags).forEach(function(k) {
+        var match = k.match(/^lanes:(.+?)(:forward|:backward)?$/);
+        if (!match || ['forward', 'backward', 'both_ways'].includes(match[1])) return;
+
+        var mode = match[1];
+        var lanes;
+        if (match[2] === ':forward') {
+            lanes = model.forward;
+        } else if (match[2] === ':backward') {
+            lanes = model.backward;
+        } else if (model.oneway) {
+            lanes = (model.oneway === 1) ? model.forward : model.backward;
+        } else {
+            lanes = model.backward.concat(model.bothways, model.forward);
+        }
+
+        // Do the lanes say which of them are for the mode?  (or did they, before the lanes were edited)
+        var hasLaneValues = lanes.some(function(lane) { return lane[mode]; }) ||
+            (match[2] ? ['', match[2]] : laneKeySuffixes).some(function(suffix) { return tags[mode + ':lanes' + suffix] !== undefined; });
+
+        var modeCount;
+        if (hasLaneValues) {
+            modeCount = lanes.filter(function(lane) { return lane[mode] === 'designated'; }).length;
+        } else {   // there can't be more than there are lanes
+            modeCount = Math.min(parseInt(tags[k], 10), lanes.length);
+        }
+
+        if (isNaN(modeCount)) return;   // not a number we understand, leave it alone
+        result[k] = modeCount ? String(modeCount) : undefined;
+    });
+
+    // Leave out the tags that are not changing
+    Object.keys(result).forEach(function(k) {
+        if (result[k] === tags[k]) {
+            delete result[k];
+        }
+    });
+
+    return result;
+
+
+    function removeTag(k) {
+        if (tags[k] !== undefined) {
+            result[k] = undefined;
+        }
+    }
+
+    function writeValues(key, lanes, suffix) {
+        var values = lanes.map(function(lane) { return lane[key] || ''; });
+        if (values.some(Boolean)) {
+            result[key + ':lanes' + suffix] = values.join('|');
+        }
+    }
+}
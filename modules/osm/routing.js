@@ -0,0 +1,652 @@
+import { geoSphericalDistance } from '@rapid-sdk/math';
+
+
+// Access tag values that mean "you can't go here"
+const NO_ACCESS = new Set(['no', 'private', 'agricultural', 'forestry', 'use_sidepath']);
+
+// Access tag values that open a highway that a profile can't normally use, like `bicycle=yes` on a footway
+const YES_ACCESS = new Set(['yes', 'designated', 'permissive', 'destination', 'customers']);
+
+// Turns sharper than these angles (in degrees) get the instruction modifier
+const TURN_ANGLES = [
+  [20, 'straight'],
+  [45, 'slight'],
+  [135, ''],
+  [170, 'sharp']
+];
+
+
+// Returns the speed limit in km/h, or `null` if the `maxspeed` value isn't a number (e.g. `none`, `signals`)
+function parseMaxspeed(val) {
+  const match = /^\s*([0-9.]+)\s*(mph|knots)?\s*$/.exec(val ?? '');
+  if (!match) return null;
+
+  const speed = parseFloat(match[1]);
+  if (!isFinite(speed) || speed <= 0) return null;
+
+  if (match[2] === 'mph') return speed * 1.609344;
+  if (match[2] === 'knots') return speed * 1.852;
+  return speed;
+}
+
+
+// Returns the compass bearing in degrees from one location to another
+function bearing(a, b) {
+  const dx = (b[0] - a[0]) * Math.cos(a[1] * Math.PI / 180);
+  const dy = b[1] - a[1];
+  return Math.atan2(dx, dy) * 180 / Math.PI;
+}
+
+
+// A binary min-heap of `[cost, item]` pairs, for the shortest path search
+class MinHeap {
+  constructor() {
+    this._items = [];
+  }
+
+  get size() {
+    return this._items.length;
+  }
+
+  push(cost, item) {
+    const items = this._items;
+    items.push([cost, item]);
+
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent][0] <= items[i][0]) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this._items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length) {
+      items[0] = last;
+      let i = 0;
+      while (true) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+        if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+
+/**
+ * osmRoutingProfiles
+ * How each kind of traveller can use the highway network:
+ *   `speeds`             the `highway` values that can be used, with typical speeds in km/h
+ *   `defaultSpeed`       speed on other highways, when the access tags say they can be used
+ *   `accessKeys`         access tags that apply, from the most general to the most specific
+ *   `onewayKeys`         oneway tags that apply, from the most specific to the most general
+ *   `impliedOneway`      `true` if implied oneways apply (e.g. `junction=roundabout`)
+ *   `restrictionModes`   modes for `restriction:<mode>` tags that apply
+ *   `generalRestrictions`  `true` if turn restrictions without a mode apply
+ */
+export const osmRoutingProfiles = {
+  car: {
+    speeds: {
+      motorway: 100, motorway_link: 60, trunk: 80, trunk_link: 50, primary: 60, primary_link: 40,
+      secondary: 50, secondary_link: 40, tertiary: 40, tertiary_link: 30, unclassified: 30,
+      residential: 30, living_street: 10, service: 15, road: 30, track: 15
+    },
+    defaultSpeed: 10,
+    accessKeys: ['access', 'vehicle', 'motor_vehicle', 'motorcar'],
+    onewayKeys: ['oneway'],
+    impliedOneway: true,
+    restrictionModes: ['motorcar', 'motor_vehicle', 'vehicle'],
+    generalRestrictions: true
+  },
+  bike: {
+    speeds: {
+      primary: 18, primary_link: 18, secondary: 18, secondary_link: 18, tertiary: 18, tertiary_link: 18,
+      unclassified: 18, residential: 18, living_street: 12, service: 15, road: 15, track: 12,
+      cycleway: 20, path: 12, bridleway: 8, busway: 18
+    },
+    defaultSpeed: 6,
+    accessKeys: ['access', 'vehicle', 'bicycle'],
+    onewayKeys: ['oneway:bicycle', 'oneway'],
+    impliedOneway: true,
+    restrictionModes: ['bicycle', 'vehicle'],
+    generalRestrictions: true
+  },
+  foot: {
+    speeds: {
+      primary: 5, primary_link: 5, secondary: 5, secondary_link: 5, tertiary: 5, tertiary_link: 5,
+      unclassified: 5, residential: 5, living_street: 5, service: 5, road: 5, track: 5,
+      footway: 5, path: 5, pedestrian: 5, steps: 3, corridor: 5, cycleway: 5, bridleway: 5
+    },
+    defaultSpeed: 5,
+    accessKeys: ['access', 'foot'],
+    onewayKeys: ['oneway:foot'],
+    impliedOneway: false,
+    restrictionModes: ['foot'],
+    generalRestrictions: false
+  }
+};
+
+
+/**
+ * osmRoutingAccess
+ * Returns which ways along the given way a traveller with the given profile can go.
+ * @param   {osmWay}  way       - the way to check
+ * @param   {string}  profileID - one of the `osmRoutingProfiles`, e.g. 'car'
+ * @return  {Object}  Object like `{ forward: boolean, backward: boolean, speed: number }`,
+ *                    where `speed` is in km/h and takes the `maxspeed` tag into account,
+ *                    or `null` if the way can't be used at all
+ */
+export function osmRoutingAccess(way, profileID) {
+  const profile = osmRoutingProfiles[profileID];
+  const tags = way?.tags;
+  if (!profile || !tags?.highway) return null;
+
+  // Later keys are more specific, and override the earlier ones
+  let access;
+  for (const key of profile.accessKeys) {
+    if (tags[key] !== undefined) {
+      access = tags[key];
+    }
+  }
+  if (NO_ACCESS.has(access)) return null;
+
+  let speed = profile.speeds[tags.highway];
+  if (speed === undefined) {
+    if (!YES_ACCESS.has(access)) return null;
+    speed = profile.defaultSpeed;
+  }
+
+  // Cars drive at the speed limit, everyone else is only ever slowed down by it
+  const maxspeed = parseMaxspeed(tags.maxspeed);
+  if (maxspeed) {
+    speed = (profileID === 'car') ? maxspeed : Math.min(speed, maxspeed);
+  }
+
+  let oneway = null;
+  for (const key of profile.onewayKeys) {
+    const val = tags[key];
+    if (val === undefined) continue;
+
+    if (val === 'yes' || val === '1' || val === 'true') {
+      oneway = 1;
+    } else if (val === '-1' || val === 'reverse') {
+      oneway = -1;
+    } else {    // 'no', or 'reversible'/'alternating' which can be travelled both ways, some of the time
+      oneway = 0;
+    }
+    break;
+  }
+  if (oneway === null) {
+    oneway = (profile.impliedOneway && way.isOneWay()) ? 1 : 0;
+  }
+
+  return { forward: oneway !== -1, backward: oneway !== 1, speed: speed };
+}
+
+
+/**
+ * osmRoutingGraph
+ * Creates a directed routing graph over the highways in an OSM Graph, for one profile.
+ * Nothing is built up front - the graph answers questions about where a traveller can go next,
+ * so it can be used for searches of any size, and always reflects the Graph it was created with.
+ *
+ * A traveller's "state" is the node they have just arrived at, the way they arrived on,
+ * and the direction they travelled along that way:
+ *   `{ nodeID: string, wayID: string?, index: number, dir: 1|-1, pending: Array? }`
+ * where `index` is the position of the node in the way.  (A state with no `wayID` is a starting point)
+ * `pending` is only there while the traveller is following the `via` ways of turn restrictions,
+ * like `[relationID, count]` for each restriction, where `count` is how many of its `via` ways they are on or past.
+ *
+ * Turn restrictions with `via` nodes and with `via` ways are honored.  U-turns are only allowed at dead ends.
+ * (Searching backwards with `previous` doesn't know which ways were travelled before, so it only honors `via` nodes)
+ *
+ * @param   {Graph}   graph     - the Graph containing the highways
+ * @param   {string}  profileID - one of the `osmRoutingProfiles`, e.g. 'car'
+ * @return  {Object}  The routing graph
+ * @throws  Will throw if the profile is unknown
+ */
+export function osmRoutingGraph(graph, profileID) {
+  const profile = osmRoutingProfiles[profileID];
+  if (!profile) {
+    throw new Error(`Unknown routing profile '${profileID}'`);
+  }
+
+  const _access = new Map();        // Map(wayID -> access)
+  const _viaWays = new Map();       // Map(relationID -> via-way restriction, or `null`)
+  const _viaWaysFrom = new Map();   // Map(wayID -> Array of via-way restrictions starting from it)
+
+
+  function access(way) {
+    let result = _access.get(way.id);
+    if (result === undefined) {
+      result = osmRoutingAccess(way, profileID);
+      _access.set(way.id, result);
+    }
+    return result;
+  }
+
+
+  // Returns the value of a restriction relation (e.g. `no_left_turn`) if it applies to this profile
+  function restrictionValue(relation) {
+    if (!relation.isRestriction()) return null;
+
+    const tags = relation.tags;
+    const typeMode = tags.type.split(':')[1];   // old style `type=restriction:hgv`
+    if (typeMode && !profile.restrictionModes.includes(typeMode)) return null;
+
+    const except = (tags.except ?? '').split(';').map(s => s.trim());
+    if (profile.restrictionModes.some(mode => except.includes(mode))) return null;
+
+    for (const mode of profile.restrictionModes) {
+      const val = tags[`restriction:${mode}`];
+      if (val) return val;
+    }
+    return (typeMode || profile.generalRestrictions) ? (tags.restriction ?? null) : null;
+  }
+
+
+  // Gathers the turns that restrictions with a `via` node forbid for a traveller on `fromWay` at `nodeID`.
+  // A `no_u_turn` back onto the same way is kept apart, because it shouldn't stop the traveller going straight on.
+  function restrictionsAt(fromWay, nodeID) {
+    let only = null;
+    const no = new Set();
+    const noUturn = new Set();
+
+    for (const relation of graph.parentRelations(fromWay)) {
+      const val = restrictionValue(relation);
+      if (!val) continue;
+
+      const from = relation.memberByRole('from');
+      const to = relation.memberByRole('to');
+      const via = relation.membersByRole('via');
+      if (from?.id !== fromWay.id || !to) continue;
+      if (via.length !== 1 || via[0].type !== 'node' || via[0].id !== nodeID) continue;
+
+      if (/^only_/.test(val)) {
+        only = only ?? new Set();
+        only.add(to.id);
+      } else if (val === 'no_u_turn' && to.id === fromWay.id) {
+        noUturn.add(to.id);
+      } else if (/^no_/.test(val)) {
+        no.add(to.id);
+      }
+    }
+
+    return { only: only, no: no, noUturn: noUturn };
+  }
+
+
+  // Returns a restriction with `via` ways like `{ id, fromID, viaIDs, toID, isOnly }`,
+  // or `null` if the relation isn't one that applies to this profile
+  function viaWayRestriction(relation) {
+    let result = _viaWays.get(relation.id);
+    if (result !== undefined) return result;
+
+    result = null;
+    const val = restrictionValue(relation);
+    const from = relation.memberByRole('from');
+    const to = relation.memberByRole('to');
+    const via = relation.membersByRole('via');
+    if (val && /^(only|no)_/.test(val) && from?.type === 'way' && to?.type === 'way' &&
+      via.length && via.every(member => member.type === 'way')
+    ) {
+      result = {
+        id: relation.id,
+        fromID: from.id,
+        viaIDs: via.map(member => member.id),   // in the order they are travelled
+        toID: to.id,
+        isOnly: /^only_/.test(val)
+      };
+    }
+
+    _viaWays.set(relation.id, result);
+    return result;
+  }
+
+
+  // Returns the restrictions with `via` ways that start from the given way
+  function viaWayRestrictionsFrom(way) {
+    let result = _viaWaysFrom.get(way.id);
+    if (result === undefined) {
+      result = graph.parentRelations(way)
+        .map(viaWayRestriction)
+        .filter(restriction => restriction?.fromID === way.id);
+      _viaWaysFrom.set(way.id, result);
+    }
+    return result;
+  }
+
+
+  // Follows the restrictions with `via` ways as the traveller goes from `fromWay` onto `toWay` at `nodeID`
+  // (`toWay` is the same as `fromWay` if they stay on it).
+  // Returns the restrictions that are still pending afterwards, or `null` if going that way is forbidden.
+  function followViaWays(pending, fromWay, toWay, nodeID) {
+    const results = [];
+
+    for (const [relationID, count] of pending) {
+      const relation = graph.hasEntity(relationID);
+      const restriction = relation && viaWayRestriction(relation);
+      if (!restriction) continue;
+
+      const viaIDs = restriction.viaIDs;
+      const onViaID = viaIDs[count - 1];   // the via way that the traveller is on
+
+      if (count < viaIDs.length && viaIDs[count] === toWay.id) {   // onto the next via way
+        results.push([relationID, count + 1]);
+        continue;
+      }
+
+      // After the last via way, the restriction applies where it meets the `to` way
+      const to = graph.hasEntity(restriction.toID);
+      if (count === viaIDs.length && to?.nodes.includes(nodeID)) {
+        if (restriction.isOnly ? (toWay.id !== to.id) : (toWay.id === to.id)) {
+          return null;
+        }
+      } else if (toWay.id === onViaID) {   // staying on the via way
+        results.push([relationID, count]);
+      }
+    }
+
+    if (fromWay && fromWay.id !== toWay.id) {
+      for (const restriction of viaWayRestrictionsFrom(fromWay)) {
+        if (restriction.viaIDs[0] === toWay.id) {
+          results.push([restriction.id, 1]);
+        }
+      }
+    }
+
+    return results;
+  }
+
+
+  const routing = {
+    profileID: profileID,
+    graph: graph,
+
+    /**
+     * canUse
+     * @param   {osmWay}   way
+     * @return  {boolean}  `true` if the way can be used with this profile
+     */
+    canUse: function(way) {
+      return !!access(way);
+    },
+
+    /**
+     * startStates
+     * Returns the states for setting off from a node, in every direction possible
+     * @param   {string}  nodeID
+     * @return  {Array}   Array of states
+     */
+    startStates: function(nodeID) {
+      return routing.next({ nodeID: nodeID, wayID: null, index: -1, dir: 0 });
+    },
+
+    /**
+     * next
+     * Returns where a traveller can go next from the given state.
+     * Each result is a state with some extra properties:
+     *   `fromNodeID`  the node they came from
+     *   `distance`    length of the step in meters
+     *   `duration`    time of the step in seconds
+     * @param   {Object}  state
+     * @return  {Array}   Array of states
+     */
+    next: function(state) {
+      const node = graph.hasEntity(state.nodeID);
+      if (!node) return [];
+
+      const fromWay = state.wayID && graph.hasEntity(state.wayID);
+      const restrict = fromWay ? restrictionsAt(fromWay, node.id) : null;
+      const isRestricted = (wayID, isUturn) => restrict && (
+        restrict.no.has(wayID) || (isUturn && restrict.noUturn.has(wayID)) || (restrict.only && !restrict.only.has(wayID))
+      );
+      const pending = state.pending ?? [];
+
+      const results = [];
+      const uturns = [];
+
+      for (const way of graph.parentWays(node)) {
+        const a = access(way);
+        if (!a) continue;
+
+        const isSameWay = (fromWay && way.id === fromWay.id);
+        const nextPending = followViaWays(pending, fromWay, way, node.id);
+        if (!nextPending) continue;
+
+        way.nodes.forEach((nodeID, i) => {
+          if (nodeID !== node.id) return;
+
+          for (const dir of [1, -1]) {
+            if ((dir === 1 && !a.forward) || (dir === -1 && !a.backward)) continue;
+
+            const j = i + dir;
+            const nextNode = graph.hasEntity(way.nodes[j]);
+            if (!nextNode) continue;
+
+            const distance = geoSphericalDistance(node.loc, nextNode.loc);
+            const step = {
+              nodeID: nextNode.id,
+              wayID: way.id,
+              index: j,
+              dir: dir,
+              fromNodeID: node.id,
+              distance: distance,
+              duration: distance / (a.speed / 3.6)
+            };
+            if (nextPending.length) {
+              step.pending = nextPending;
+            }
+
+            if (isSameWay && dir !== state.dir) {   // turning back the way we came
+              if (!isRestricted(way.id, true)) {
+                uturns.push(step);
+              }
+            } else if (!isRestricted(way.id, false)) {
+              results.push(step);
+            }
+          }
+        });
+      }
+
+      return results.length ? results : uturns;
+    },
+
+    /**
+     * previous
+     * Returns the states that a traveller could have been in just before the given state.
+     * (This is the reverse of `next`, for searching backwards)
+     * @param   {Object}  state
+     * @return  {Array}   Array of states
+     */
+    previous: function(state) {
+      const way = state.wayID && graph.hasEntity(state.wayID);
+      if (!way) return [];
+
+      const prevNode = graph.hasEntity(way.nodes[state.index - state.dir]);
+      if (!prevNode) return [];
+
+      const results = [];
+      const isState = (s) => (s.wayID === state.wayID && s.index === state.index && s.dir === state.dir);
+
+      for (const other of graph.parentWays(prevNode)) {
+        const a = access(other);
+        if (!a) continue;
+
+        other.nodes.forEach((nodeID, i) => {
+          if (nodeID !== prevNode.id) return;
+
+          for (const dir of [1, -1]) {
+            if ((dir === 1 && !a.forward) || (dir === -1 && !a.backward)) continue;
+            if (!other.nodes[i - dir]) continue;
+
+            const candidate = { nodeID: prevNode.id, wayID: other.id, index: i, dir: dir };
+            if (routing.next(candidate).some(isState)) {
+              results.push(candidate);
+            }
+          }
+        });
+      }
+
+      return results;
+    },
+
+    /**
+     * stateKey
+     * @param   {Object}  state
+     * @return  {string}  A key that identifies the state, for remembering where a search has been
+     */
+    stateKey: function(state) {
+      const key = `${state.wayID}/${state.index}/${state.dir}`;
+      return state.pending ? `${key}/${state.pending.join(';')}` : key;
+    },
+
+    /**
+     * route
+     * Finds the quickest route between two nodes (Dijkstra's algorithm, by duration).
+     * @param   {string}  fromNodeID - node to start at
+     * @param   {string}  toNodeID   - node to arrive at
+     * @return  {Object}  Object like `{ steps: Array, distance: number, duration: number }`,
+     *                    where `steps` are the states along the route (see `next`),
+     *                    or `null` if there is no route
+     */
+    route: function(fromNodeID, toNodeID) {
+      if (!graph.hasEntity(fromNodeID) || !graph.hasEntity(toNodeID)) return null;
+      if (fromNodeID === toNodeID) {
+        return { steps: [], distance: 0, duration: 0 };
+      }
+
+      const done = new Set();
+      const best = new Map();     // Map(stateKey -> { cost, state, prevKey })
+      const heap = new MinHeap();
+
+      for (const state of routing.startStates(fromNodeID)) {
+        const key = routing.stateKey(state);
+        const prev = best.get(key);
+        if (prev && prev.cost <= state.duration) continue;
+        best.set(key, { cost: state.duration, state: state, prevKey: null });
+        heap.push(state.duration, key);
+      }
+
+      while (heap.size) {
+        const [cost, key] = heap.pop();
+        if (done.has(key)) continue;
+        done.add(key);
+
+        const current = best.get(key);
+        if (current.state.nodeID === toNodeID) {
+          const steps = [];
+          for (let k = key; k !== null; k = best.get(k).prevKey) {
+            steps.push(best.get(k).state);
+          }
+          steps.reverse();
+          const distance = steps.reduce((sum, step) => sum + step.distance, 0);
+          return { steps: steps, distance: distance, duration: cost };
+        }
+
+        for (const state of routing.next(current.state)) {
+          const nextKey = routing.stateKey(state);
+          if (done.has(nextKey)) continue;
+
+          const nextCost = cost + state.duration;
+          const prev = best.get(nextKey);
+          if (prev && prev.cost <= nextCost) continue;
+
+          best.set(nextKey, { cost: nextCost, state: state, prevKey: key });
+          heap.push(nextCost, nextKey);
+        }
+      }
+
+      return null;
+    }
+  };
+
+  return routing;
+}
+
+
+/**
+ * osmRoutingInstructions
+ * Turns the steps of a route (see `osmRoutingGraph.route`) into turn-by-turn instructions.
+ * A new instruction starts wherever the route turns onto another road.  Going straight on
+ * onto a way with the same name or ref (e.g. where a road has been split) continues the instruction.
+ *
+ * Each instruction is an Object like:
+ *   `type`      'depart', 'turn', or 'arrive'
+ *   `modifier`  for turns: 'straight', 'slight_left', 'left', 'sharp_left', 'uturn', and so on for right
+ *   `nodeID`    the node where the instruction happens
+ *   `wayID`     the way to follow after the instruction (not for 'arrive')
+ *   `distance`  meters to travel until the next instruction
+ *   `duration`  seconds to travel until the next instruction
+ *
+ * @param   {Graph}   graph - the Graph that the route was found in
+ * @param   {Object}  route - the route
+ * @return  {Array}   Array of instructions
+ */
+export function osmRoutingInstructions(graph, route) {
+  const steps = route?.steps ?? [];
+  if (!steps.length) return [];
+
+  const locOf = (nodeID) => graph.entity(nodeID).loc;
+  const nameOf = (wayID) => {
+    const tags = graph.entity(wayID).tags;
+    return tags.name || tags.ref || null;
+  };
+
+  const instructions = [];
+  let current = { type: 'depart', nodeID: steps[0].fromNodeID, wayID: steps[0].wayID, distance: 0, duration: 0 };
+  instructions.push(current);
+
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    const prev = steps[i - 1];
+
+    if (prev && (step.wayID !== prev.wayID || step.dir !== prev.dir)) {
+      const turnAngle = bearing(locOf(step.fromNodeID), locOf(step.nodeID)) -
+        bearing(locOf(prev.fromNodeID), locOf(prev.nodeID));
+      const angle = ((turnAngle + 540) % 360) - 180;    // -180..180, positive turns right
+      const modifier = turnModifier(angle);
+
+      const name = nameOf(step.wayID);
+      const isSameRoad = (modifier === 'straight' && name && name === nameOf(prev.wayID));
+
+      if (!isSameRoad) {
+        current = { type: 'turn', modifier: modifier, nodeID: step.fromNodeID, wayID: step.wayID, distance: 0, duration: 0 };
+        instructions.push(current);
+      }
+    }
+
+    current.distance += step.distance;
+    current.duration += step.duration;
+  }
+
+  instructions.push({ type: 'arrive', nodeID: steps[steps.length - 1].nodeID, distance: 0, duration: 0 });
+  return instructions;
+}
+
+
+// Returns the instruction modifier for a turn by the given angle (positive angles turn right)
+function turnModifier(angle) {
+  const side = (angle < 0) ? 'left' : 'right';
+  const abs = Math.abs(angle);
+
+  for (const [limit, modifier] of TURN_ANGLES) {
+    if (abs < limit) {
+      if (modifier === 'straight') return modifier;
+      return modifier ? `${modifier}_${side}` : side;
+    }
+  }
+  return 'uturn';
+}
@@ -1,9 +1,10 @@
 import * as PIXI from 'pixi.js';
 import { interpolateNumber } from 'd3-interpolate';
 import { AdjustmentFilter, ConvolutionFilter } from 'pixi-filters';
-import { Tiler, geoScaleToZoom, vecScale } from '@rapid-sdk/math';
+import { Tiler, geoMetersToLat, geoMetersToLon, geoScaleToZoom, vecScale } from '@rapid-sdk/math';
 
 import { AbstractLayer } from './AbstractLayer.js';
+import { geoAffineFit } from '../geo/index.js';
 
 const DEBUGCOLOR = 0xffff00;
 
@@ -40,6 +41,7 @@ export class PixiLayerBackgroundTiles extends AbstractLayer {
     };
 
     this._tileMaps = new Map();    // Map (sourceID -> Map(tileID -> tile))
+    this._compareMask = null;      // PIXI.Graphics that shows the compared imagery only right of the swipe divider
     this._failed = new Set();      // Set of failed tileURLs
     this._tiler = new Tiler();
   }
@@ -71,7 +73,7 @@ export class PixiLayerBackgroundTiles extends AbstractLayer {
     const imagery = this.context.systems.imagery;
     const groupContainer = this.scene.groups.get('background');
 
-    // Collect tile sources - baselayer and overlays
+    // Collect tile sources - baselayer, the imagery to compare it with, and overlays
     const showSources = new Map();   // Map (sourceID -> source)
 
     const base = imagery.baseLayerSource();
@@ -80,6 +82,13 @@ export class PixiLayerBackgroundTiles extends AbstractLayer {
       showSources.set(baseID, base);
     }
 
+    // The compared imagery may also be an overlay, so give it a sourceID of its own.
+    const compare = this.isMinimap ? null : imagery.compareLayerSource();
+    const compareID = compare && `compare-${compare.key}`;
+    if (compare && compare.key !== baseID) {
+      showSources.set(compareID, compare);
+    }
+
     for (const overlay of imagery.overlayLayerSources()) {
       showSources.set(overlay.id, overlay);
     }
@@ -91,10 +100,15 @@ export class PixiLayerBackgroundTiles extends AbstractLayer {
       sourceContainer.zIndex = (source.isLocatorOverlay() ? 999 : index++);
 
       // If this is the base tile layer (and not minimap) apply the filters to it.
-      if (!this.isMinimap && source === base) {
+      // The compared imagery gets them too, so that both sides of the swipe divider look the same.
+      if (!this.isMinimap && (source === base || sourceID === compareID)) {
         this.applyFilters(sourceContainer);
       }
 
+      if (sourceID === compareID) {
+        sourceContainer.mask = this.getCompareMask(viewport);
+      }
+
       let tileMap = this._tileMaps.get(sourceID);
       if (!tileMap) {
         tileMap = new Map();   // Map (tileID -> Tile)
@@ -109,6 +123,7 @@ export class PixiLayerBackgroundTiles extends AbstractLayer {
     // Doing this in 2 passes to avoid affecting `.children` while iterating over it.
     const toDestroy = new Set();
     for (const sourceContainer of groupContainer.children) {
+      if (sourceContainer === this._compareMask) continue;
       const sourceID = sourceContainer.label;
       if (!showSources.has(sourceID)) {
         toDestroy.add(sourceID);
@@ -118,6 +133,10 @@ export class PixiLayerBackgroundTiles extends AbstractLayer {
     for (const sourceID of toDestroy) {
       this.destroySource(sourceID);
     }
+
+    if (!showSources.has(compareID)) {
+      this.destroyCompareMask();
+    }
   }
 
 
@@ -134,7 +153,7 @@ export class PixiLayerBackgroundTiles extends AbstractLayer {
     const textureManager = this.gfx.textures;
     const osm = context.services.osm;
     const t = viewport.transform.props;
-    const sourceID = source.key;   // note: use `key` here, for Wayback it will include the date
+    const sourceID = sourceContainer.label;   // note: unique for each source shown, for Wayback it will include the date
 
     // Defensive coding in case nominatim/other reasons cause us to get an invalid view transform.
     if (isNaN(t.x) || isNaN(t.y)) {
@@ -153,9 +172,13 @@ export class PixiLayerBackgroundTiles extends AbstractLayer {
     const tileSize = source.tileSize || 256;
     const z = geoScaleToZoom(t.k, tileSize);  // Use actual zoom for this, not effective zoom
 
-    // Apply imagery offset (in pixels) to the source container
-    const offset = vecScale(source.offset, Math.pow(2, z));
-    sourceContainer.position.set(offset[0], offset[1]);
+    // Apply imagery alignment to the source container
+    if (source.transform) {
+      sourceContainer.setFromMatrix(this.getAlignmentMatrix(source, viewport));
+    } else {   // just an offset (in pixels)
+      const offset = vecScale(source.offset, Math.pow(2, z));
+      sourceContainer.setFromMatrix(new PIXI.Matrix(1, 0, 0, 1, offset[0], offset[1]));
+    }
 
     // Determine tiles needed to cover the view at the zoom we want,
     // including any zoomed out tiles if this field contains any holes
@@ -174,6 +197,7 @@ export class PixiLayerBackgroundTiles extends AbstractLayer {
 
       const result = this._tiler
         .tileSize(tileSize)
+        .margin(source.transform ? 1 : 0)    // rotated imagery may need to fill in the corners
         .skipNullIsland(!!source.overlay)
         .zoomRange(tryZoom)
         .getTiles(this.isMinimap ? viewport : context.viewport);  // minimap passes in its own viewport
@@ -303,6 +327,75 @@ export class PixiLayerBackgroundTiles extends AbstractLayer {
   }
 
 
+  /**
+   * getAlignmentMatrix
+   * The transform of an imagery source is an affine transform on the map (near its anchor),
+   * so we can find the matrix to draw it with from where 3 points of the imagery end up.
+   * @param   source     Imagery tile source Object
+   * @param   viewport   Pixi viewport to use for rendering
+   * @return  a PIXI.Matrix
+   */
+  getAlignmentMatrix(source, viewport) {
+    const [lon, lat] = source.transform.anchor;
+    const locs = [
+      [lon, lat],
+      [lon + geoMetersToLon(100, lat), lat],
+      [lon, lat + geoMetersToLat(100)]
+    ];
+    const pairs = locs.map(loc => [viewport.project(loc), viewport.project(source.alignedLoc(loc))]);
+    const [a, b, c, d, e, f] = geoAffineFit(pairs);
+    return new PIXI.Matrix(a, b, c, d, e, f);
+  }
+
+
+  /**
+   * getCompareMask
+   * The compared imagery is only shown right of the swipe divider, so it gets masked by a shape covering
+   * that part of the screen. The map may be rotated, so the shape is found from where its corners are on the map.
+   * @param   viewport   Pixi viewport to use for rendering
+   * @return  a PIXI.Graphics
+   */
+  getCompareMask(viewport) {
+    const context = this.context;
+    const imagery = context.systems.imagery;
+    const [w, h] = context.viewport.dimensions;
+
+    if (!this._compareMask) {
+      const mask = new PIXI.Graphics();
+      mask.label = `${this.layerID}-compare-mask`;
+      mask.eventMode = 'none';
+      this.scene.groups.get('background').addChild(mask);
+      this._compareMask = mask;
+    }
+
+    // Add 50px overscan experiment, see UISystem.js
+    // Maybe find a nicer way to include overscan and view padding into places like this.
+    const overscan = 50;
+    const x = overscan + imagery.swipePosition * (w - overscan * 2);
+
+    // Screen corners -> map locations -> pixi coordinates
+    const corners = [[x, 0], [w, 0], [w, h], [x, h]]
+      .map(point => viewport.project(context.viewport.unproject(point, true)));
+
+    return this._compareMask
+      .clear()
+      .poly(corners.flat())
+      .fill({ color: 0xffffff });
+  }
+
+
+  /**
+   * destroyCompareMask
+   * Frees the mask used by the compared imagery, if there is one
+   */
+  destroyCompareMask() {
+    if (this._compareMask) {
+      this._compareMask.destroy();
+      this._compareMask = null;
+    }
+  }
+
+
   /**
    * destroyAll
    * Frees all the resources used by all sources
@@ -313,6 +406,7 @@ export class PixiLayerBackgroundTiles extends AbstractLayer {
     // Doing this in 2 passes to avoid affecting `.children` while iterating over it.
     const toDestroy = new Set();
     for (const sourceContainer of groupContainer.children) {
+      if (sourceContainer === this._compareMask) continue;
       const sourceID = sourceContainer.label;
       toDestroy.add(sourceID);
     }
@@ -320,6 +414,8 @@ export class PixiLayerBackgroundTiles extends AbstractLayer {
     for (const sourceID of toDestroy) {
       this.destroySource(sourceID);
     }
+
+    this.destroyCompareMask();
   }
 
 
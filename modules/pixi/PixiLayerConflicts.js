@@ -0,0 +1,252 @@
+import * as PIXI from 'pixi.js';
+
+import { AbstractLayer } from './AbstractLayer.js';
+import { PixiFeatureLine } from './PixiFeatureLine.js';
+import { PixiFeaturePoint } from './PixiFeaturePoint.js';
+
+// Colors for the versions of the entity in conflict (keep in sync with `.conflict-merge` css)
+const VERSION_COLORS = {
+  base:   0xaaaaaa,
+  local:  0x44aaff,
+  remote: 0xff9933
+};
+
+
+/**
+ * PixiLayerConflicts
+ * This class draws the base, local, and remote versions of an entity that has an upload conflict,
+ * so the user can compare them while choosing what to keep in the three-way merge.
+ * The conflict to show is set by the conflicts UI with `setConflict()`.
+ * @class
+ */
+export class PixiLayerConflicts extends AbstractLayer {
+
+  /**
+   * @constructor
+   * @param  scene    The Scene that owns this Layer
+   * @param  layerID  Unique string to use for the name of this Layer
+   */
+  constructor(scene, layerID) {
+    super(scene, layerID);
+    this.enabled = true;   // this layer should always be enabled
+
+    this.conflictsContainer = null;
+    this._merge = null;
+    this._highlight = null;
+    this._dataVersion = 0;
+  }
+
+
+  /**
+   * enabled
+   * This layer should always be enabled - it only draws something while a conflict is shown
+   */
+  get enabled() {
+    return true;
+  }
+  set enabled(val) {
+    this._enabled = true;
+  }
+
+
+  /**
+   * reset
+   * Every Layer should have a reset function to replace any Pixi objects and internal state.
+   */
+  reset() {
+    super.reset();
+
+    const groupContainer = this.scene.groups.get('basemap');
+
+    // Remove any existing containers
+    for (const child of groupContainer.children) {
+      if (child.label === this.layerID) {   // 'conflicts'
+        groupContainer.removeChild(child);
+        child.destroy({ children: true });  // recursive
+      }
+    }
+
+    // Add containers
+    const conflicts = new PIXI.Container();
+    conflicts.label = `${this.layerID}`;  // 'conflicts'
+    conflicts.sortableChildren = false;
+    conflicts.interactiveChildren = false;
+    conflicts.eventMode = 'none';
+    conflicts.zIndex = 100;   // above the OSM and Rapid data
+    this.conflictsContainer = conflicts;
+
+    groupContainer.addChild(conflicts);
+  }
+
+
+  /**
+   * setConflict
+   * Sets the conflict to draw
+   * @param  {Object}  merge - The `merge` property of a conflict from the `UploaderSystem`, or `null` to draw nothing
+   */
+  setConflict(merge) {
+    this._merge = merge ?? null;
+    this._highlight = null;
+    this._dataVersion++;
+    this.context.systems.gfx.immediateRedraw();
+  }
+
+
+  /**
+   * setHighlight
+   * Emphasizes part of the conflict, e.g. a node list segment that the user is hovering over
+   * @param  {Object}  part - Object like `{ type: 'nodes'|'members', index: number }`, or `null` for none
+   */
+  setHighlight(part) {
+    this._highlight = part ?? null;
+    this._dataVersion++;
+    this.context.systems.gfx.immediateRedraw();
+  }
+
+
+  /**
+   * render
+   * Render the versions of the conflicting entity
+   * @param  frame      Integer frame being rendered
+   * @param  viewport   Pixi viewport to use for rendering
+   * @param  zoom       Effective zoom to use for rendering
+   */
+  render(frame, viewport, zoom) {
+    const merge = this._merge;
+    if (!merge) return;
+
+    const lines = [];
+    const points = [];
+    const graphs = { base: merge.baseGraph, local: merge.localGraph, remote: merge.remoteGraph };
+
+    for (const [version, graph] of Object.entries(graphs)) {
+      const entity = graph.hasEntity(merge.entityID);
+      if (!entity) continue;
+
+      if (entity.type === 'node') {
+        points.push({ id: version, version: version, loc: entity.loc });
+      } else if (entity.type === 'way') {
+        lines.push({ id: version, version: version, coords: this._coords(graph, entity.nodes) });
+      } else if (entity.type === 'relation') {
+        for (const member of entity.members) {
+          const way = (member.type === 'way') && graph.hasEntity(member.id);
+          if (!way) continue;
+          lines.push({ id: `${version}-${member.id}`, version: version, coords: this._coords(graph, way.nodes) });
+        }
+      }
+
+      // The highlighted segment, drawn thicker above the rest
+      const highlight = this._highlight;
+      const segment = highlight && merge.details[highlight.type]?.[highlight.index];
+      if (segment) {
+        if (highlight.type === 'nodes') {
+          lines.push({ id: `${version}-highlight`, version: version, coords: this._coords(graph, segment[version]), highlight: true });
+        } else if (highlight.type === 'members') {
+          for (const member of segment[version]) {
+            const way = (member.type === 'way') && graph.hasEntity(member.id);
+            if (!way) continue;
+            lines.push({ id: `${version}-highlight-${member.id}`, version: version, coords: this._coords(graph, way.nodes), highlight: true });
+          }
+        }
+      }
+    }
+
+    this.renderLines(frame, viewport, zoom, lines);
+    this.renderPoints(frame, viewport, zoom, points);
+  }
+
+
+  /**
+   * renderLines
+   * @param  frame      Integer frame being rendered
+   * @param  viewport   Pixi viewport to use for rendering
+   * @param  zoom       Effective zoom to use for rendering
+   * @param  lines      Array of line data
+   */
+  renderLines(frame, viewport, zoom, lines) {
+    const parentContainer = this.conflictsContainer;
+
+    for (const d of lines) {
+      if (d.coords.length < 2) continue;
+
+      const featureID = `${this.layerID}-${d.id}`;
+      let feature = this.features.get(featureID);
+
+      if (!feature) {
+        feature = new PixiFeatureLine(this, featureID);
+        feature.parentContainer = parentContainer;
+      }
+
+      if (feature.v !== this._dataVersion) {
+        feature.v = this._dataVersion;
+        feature.style = {
+          casing: { alpha: 0 },
+          stroke: {
+            width: d.highlight ? 10 : 4,
+            color: VERSION_COLORS[d.version],
+            alpha: d.highlight ? 0.6 : 0.9,
+            cap: 'round',
+            join: 'round',
+            dash: (d.version === 'base') ? [8, 8] : null
+          }
+        };
+        feature.geometry.setCoords(d.coords);
+        feature.setData(d.id, d);
+      }
+
+      feature.update(viewport, zoom);
+      this.retainFeature(feature, frame);
+    }
+  }
+
+
+  /**
+   * renderPoints
+   * @param  frame      Integer frame being rendered
+   * @param  viewport   Pixi viewport to use for rendering
+   * @param  zoom       Effective zoom to use for rendering
+   * @param  points     Array of point data
+   */
+  renderPoints(frame, viewport, zoom, points) {
+    const parentContainer = this.conflictsContainer;
+
+    for (const d of points) {
+      const featureID = `${this.layerID}-${d.id}`;
+      let feature = this.features.get(featureID);
+
+      if (!feature) {
+        feature = new PixiFeaturePoint(this, featureID);
+        feature.parentContainer = parentContainer;
+      }
+
+      if (feature.v !== this._dataVersion) {
+        feature.v = this._dataVersion;
+        feature.style = {
+          markerName: 'largeCircle',
+          markerTint: VERSION_COLORS[d.version],
+          iconName: ''
+        };
+        feature.geometry.setCoords(d.loc);
+        feature.setData(d.id, d);
+      }
+
+      feature.update(viewport, zoom);
+      this.retainFeature(feature, frame);
+    }
+  }
+
+
+  /**
+   * _coords
+   * Returns the coordinates of the given nodes, skipping any that aren't in the graph
+   * @param   {Graph}          graph   - the graph containing the nodes
+   * @param   {Array<string>}  nodeIDs - the nodeIDs
+   * @return  {Array}  Array of [lon, lat] coordinates
+   */
+  _coords(graph, nodeIDs) {
+    return nodeIDs
+      .map(nodeID => graph.hasEntity(nodeID)?.loc)
+      .filter(Boolean);
+  }
+
+}
@@ -0,0 +1,395 @@
+import * as PIXI from 'pixi.js';
+import { Extent } from '@rapid-sdk/math';
+
+import { AbstractLayer } from './AbstractLayer.js';
+import { PixiFeaturePolygon } from './PixiFeaturePolygon.js';
+
+const MINZOOM = 14;
+const HEX_RADIUS = 24;    // pixels
+const HEX_ALPHA = 0.45;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Classes of the legend for each metric, from the first class whose `max` the bin value doesn't exceed.
+// For `age`, the bin value is the age in days of the most recently edited entity in the bin.
+// For `version`, the bin value is the average version of the entities in the bin.
+const METRICS = {
+  age: [
+    { id: 'month',      max: 31,        color: 0xd7191c },
+    { id: 'half_year',  max: 183,       color: 0xfdae61 },
+    { id: 'year',       max: 366,       color: 0xffffbf },
+    { id: 'two_years',  max: 731,       color: 0xabd9e9 },
+    { id: 'five_years', max: 1827,      color: 0x2c7bb6 },
+    { id: 'older',      max: Infinity,  color: 0x5e3c99 }
+  ],
+  version: [
+    { id: 'one',        max: 1.5,       color: 0x2c7bb6 },
+    { id: 'two',        max: 2.5,       color: 0xabd9e9 },
+    { id: 'few',        max: 4.5,       color: 0xffffbf },
+    { id: 'several',    max: 9.5,       color: 0xfdae61 },
+    { id: 'many',       max: 19.5,      color: 0xf46d43 },
+    { id: 'most',       max: Infinity,  color: 0xd7191c }
+  ]
+};
+
+
+// Web Mercator "world" pixel coordinates at a zoom, so the hexagons have the same size on screen
+function project(loc, worldSize) {
+  const lat = Math.max(-85.0511, Math.min(85.0511, loc[1])) * Math.PI / 180;
+  const x = (loc[0] + 180) / 360 * worldSize;
+  const y = (1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2 * worldSize;
+  return [x, y];
+}
+
+function invert(point, worldSize) {
+  const lon = point[0] / worldSize * 360 - 180;
+  const lat = Math.atan(Math.sinh(Math.PI * (1 - 2 * point[1] / worldSize))) * 180 / Math.PI;
+  return [lon, lat];
+}
+
+
+// Returns the axial coordinates [q, r] of the (pointy top) hexagon containing the point
+function hexAt(point, radius) {
+  const q = (Math.sqrt(3) / 3 * point[0] - point[1] / 3) / radius;
+  const r = (2 / 3 * point[1]) / radius;
+
+  // round the cube coordinates, fixing the one that was rounded the most
+  const s = -q - r;
+  let [rq, rr, rs] = [Math.round(q), Math.round(r), Math.round(s)];
+  const [dq, dr, ds] = [Math.abs(rq - q), Math.abs(rr - r), Math.abs(rs - s)];
+  if (dq > dr && dq > ds) {
+    rq = -rr - rs;
+  } else if (dr > ds) {
+    rr = -rq - rs;
+  }
+  return [rq, rr];
+}
+
+// Returns the corners of the hexagon, as a closed ring
+function hexCorners(q, r, radius) {
+  const cx = radius * Math.sqrt(3) * (q + r / 2);
+  const cy = radius * 3 / 2 * r;
+  const corners = [];
+  for (let i = 0; i <= 6; i++) {
+    const angle = Math.PI / 180 * (60 * (i % 6) - 30);
+    corners.push([cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)]);
+  }
+  return corners;
+}
+
+
+/**
+ * PixiLayerDataAge
+ * This class draws a hex-bin heatmap of the loaded OSM data in view, to help spot stale or rarely touched areas.
+ * It uses the metadata that `OsmService` parses onto the entities:
+ *  - `age` colors each hexagon by the date of its most recently edited entity (`timestamp`)
+ *  - `version` colors each hexagon by the average version of its entities (how often they have been edited)
+ * Entities can be filtered to those last edited within a date range, like the photo date filter.
+ * Entities without metadata (e.g. new ones) are not counted.
+ * @class
+ */
+export class PixiLayerDataAge extends AbstractLayer {
+
+  /**
+   * @constructor
+   * @param  scene    The Scene that owns this Layer
+   * @param  layerID  Unique string to use for the name of this Layer
+   */
+  constructor(scene, layerID) {
+    super(scene, layerID);
+
+    this._metric = 'age';
+    this._filterFromDate = null;
+    this._filterToDate = null;
+    this._dateExtent = null;     // [min, max] dates of the entities in view, as ISO strings
+
+    this._bins = [];             // Array of { id, coords, value }
+    this._lastKey = null;        // what the bins were computed for
+    this._settingsv = 0;         // bumped when the settings change
+    this._datav = 0;             // bumped when more data is loaded, or the data is edited
+
+    this.ageContainer = null;
+
+    const editor = this.context.systems.editor;
+    editor?.on('merge', () => this._datav++);
+    editor?.on('stablechange', () => this._datav++);
+  }
+
+
+  /**
+   * reset
+   * Every Layer should have a reset function to replace any Pixi objects and internal state.
+   */
+  reset() {
+    super.reset();
+    this._bins = [];
+    this._lastKey = null;
+
+    const groupContainer = this.scene.groups.get('basemap');
+
+    // Remove any existing containers
+    for (const child of groupContainer.children) {
+      if (child.label === this.layerID) {   // 'data-age'
+        groupContainer.removeChild(child);
+        child.destroy({ children: true });  // recursive
+      }
+    }
+
+    // Add containers
+    const age = new PIXI.Container();
+    age.label = `${this.layerID}`;   // 'data-age'
+    age.sortableChildren = false;
+    age.interactiveChildren = false;
+    age.eventMode = 'none';
+    age.zIndex = -1;   // beneath the OSM data
+    this.ageContainer = age;
+
+    groupContainer.addChild(age);
+  }
+
+
+  /**
+   * metrics
+   * @return  {Array}  All available metrics
+   * @readonly
+   */
+  get metrics() {
+    return Object.keys(METRICS);
+  }
+
+
+  /**
+   * metric
+   * The metric to color the hexagons by, 'age' or 'version'
+   */
+  get metric() {
+    return this._metric;
+  }
+  set metric(val) {
+    if (!METRICS[val] || val === this._metric) return;
+    this._metric = val;
+    this._settingsChanged();
+  }
+
+
+  /**
+   * legend
+   * @return  {Array}  The classes of the current metric, like `{ id, color }`
+   */
+  legend() {
+    return METRICS[this._metric].map(d => ({ id: d.id, color: d.color }));
+  }
+
+
+  /**
+   * dateFilters
+   * @return  {Array<string>}  All available date filters
+   * @readonly
+   */
+  get dateFilters() {
+    return ['fromDate', 'toDate'];
+  }
+
+
+  /**
+   * dateExtent
+   * @return  {Array}  The `[min, max]` dates that the entities in view were last edited, or `null` if none
+   * @readonly
+   */
+  get dateExtent() {
+    return this._dateExtent;
+  }
+
+
+  /**
+   * dateFilterValue
+   * Gets a date filter value
+   * @param   val  'fromDate' or 'toDate'
+   * @return  The from date or to date value, or `null` if unset
+   */
+  dateFilterValue(val) {
+    if (val === 'fromDate') return this._filterFromDate;
+    if (val === 'toDate') return this._filterToDate;
+    return null;
+  }
+
+
+  /**
+   * setDateFilter
+   * Sets a date filter value, only entities last edited in the date range are counted
+   * @param   type   'fromDate' or 'toDate'
+   * @param   val    the value to set it to
+   */
+  setDateFilter(type, val) {
+    // validate the date
+    let date = val && new Date(val);
+    if (date && !isNaN(date)) {
+      val = date.toISOString().slice(0, 10);
+    } else {
+      val = null;
+    }
+
+    if (type === 'fromDate') {
+      this._filterFromDate = val;
+      if (this._filterFromDate && this._filterToDate && this._filterToDate < this._filterFromDate) {
+        this._filterToDate = this._filterFromDate;
+      }
+    } else if (type === 'toDate') {
+      this._filterToDate = val;
+      if (this._filterFromDate && this._filterToDate && this._filterToDate < this._filterFromDate) {
+        this._filterFromDate = this._filterToDate;
+      }
+    } else {
+      return;
+    }
+
+    this._settingsChanged();
+  }
+
+
+  /**
+   * _settingsChanged
+   * Recompute the bins and redraw
+   */
+  _settingsChanged() {
+    this._settingsv++;
+    this.dirtyLayer();
+    this.gfx.immediateRedraw();
+  }
+
+
+  /**
+   * render
+   * Render the hexagons of the heatmap
+   * @param  frame      Integer frame being rendered
+   * @param  viewport   Pixi viewport to use for rendering
+   * @param  zoom       Effective zoom to use for rendering
+   */
+  render(frame, viewport, zoom) {
+    if (!this.enabled || zoom < MINZOOM) return;
+
+    const context = this.context;
+    const graph = context.systems.editor.staging.graph;
+    const mapViewport = context.viewport;   // context viewport !== pixi viewport (they are offset)
+
+    // Only recompute the bins if the data or the settings have changed, or the view has moved
+    // outside of the area they were computed for (which is larger than the view, for smoother panning)
+    const z = Math.floor(mapViewport.transform.zoom);
+    const visible = mapViewport.visibleExtent();
+    const last = this._lastKey;
+    if (!last || last.z !== z || last.graph !== graph || last.datav !== this._datav ||
+      last.settingsv !== this._settingsv || !last.extent.contains(visible)
+    ) {
+      const [w, h] = [visible.max[0] - visible.min[0], visible.max[1] - visible.min[1]];
+      const extent = new Extent(
+        [visible.min[0] - w / 2, visible.min[1] - h / 2],
+        [visible.max[0] + w / 2, visible.max[1] + h / 2]
+      );
+      this._lastKey = { z: z, graph: graph, datav: this._datav, settingsv: this._settingsv, extent: extent };
+      this._bins = this.computeBins(z, extent);
+    }
+
+    this.renderBins(frame, viewport, zoom);
+  }
+
+
+  /**
+   * computeBins
+   * Aggregates the loaded entities in an area into hexagons
+   * @param   z        Integer zoom to size the hexagons for
+   * @param   extent   Extent of the area
+   * @return  Array of bins, like `{ id, coords, value }`
+   */
+  computeBins(z, extent) {
+    const context = this.context;
+    const editor = context.systems.editor;
+    const graph = editor.staging.graph;
+    const worldSize = 256 * Math.pow(2, z);
+    const now = Date.now();
+    const from = this._filterFromDate;
+    const to = this._filterToDate;
+
+    const bins = new Map();   // Map(hexID -> { q, r, newest, versions, count })
+    let minDate = null;
+    let maxDate = null;
+
+    for (const entity of editor.intersects(extent)) {
+      if (!entity.timestamp || !entity.version) continue;   // no metadata, e.g. new entities
+
+      let loc;
+      if (entity.type === 'node') {
+        loc = entity.loc;
+      } else if (entity.type === 'way') {
+        loc = entity.extent(graph).center();
+      } else {
+        continue;
+      }
+
+      const date = entity.timestamp.slice(0, 10);
+      if (!minDate || date < minDate) minDate = date;
+      if (!maxDate || date > maxDate) maxDate = date;
+      if ((from && date < from) || (to && date > to)) continue;
+
+      const [q, r] = hexAt(project(loc, worldSize), HEX_RADIUS);
+      const hexID = `${z}-${q},${r}`;
+      let bin = bins.get(hexID);
+      if (!bin) {
+        bin = { q: q, r: r, newest: 0, versions: 0, count: 0 };
+        bins.set(hexID, bin);
+      }
+
+      const time = new Date(entity.timestamp).getTime();
+      if (time > bin.newest) bin.newest = time;
+      bin.versions += Number(entity.version);
+      bin.count++;
+    }
+
+    this._dateExtent = minDate ? [minDate, maxDate] : null;
+
+    const results = [];
+    for (const [hexID, bin] of bins) {
+      const value = (this._metric === 'age') ? (now - bin.newest) / DAY : bin.versions / bin.count;
+      const coords = hexCorners(bin.q, bin.r, HEX_RADIUS).map(point => invert(point, worldSize));
+      results.push({ id: hexID, coords: [coords], value: value });
+    }
+    return results;
+  }
+
+
+  /**
+   * renderBins
+   * @param  frame      Integer frame being rendered
+   * @param  viewport   Pixi viewport to use for rendering
+   * @param  zoom       Effective zoom to use for rendering
+   */
+  renderBins(frame, viewport, zoom) {
+    const parentContainer = this.ageContainer;
+    const classes = METRICS[this._metric];
+
+    for (const d of this._bins) {
+      const featureID = `${this.layerID}-${d.id}`;
+      const color = classes.find(c => d.value <= c.max).color;
+      let feature = this.features.get(featureID);
+
+      if (!feature) {
+        feature = new PixiFeaturePolygon(this, featureID);
+        feature.geometry.setCoords(d.coords);
+        feature.parentContainer = parentContainer;
+        feature.setData(d.id, d);
+      }
+
+      if (feature.v !== color) {
+        feature.v = color;
+        feature.style = {
+          requireFill: true,    // no partial fill option - must fill fully
+          fill:   { color: color, alpha: HEX_ALPHA },
+          casing: { alpha: 0 },
+          stroke: { width: 1, color: color, alpha: HEX_ALPHA }
+        };
+      }
+
+      feature.update(viewport, zoom);
+      this.retainFeature(feature, frame);
+    }
+  }
+
+}
@@ -0,0 +1,195 @@
+import * as PIXI from 'pixi.js';
+
+import { AbstractLayer } from './AbstractLayer.js';
+import { PixiFeatureLine } from './PixiFeatureLine.js';
+import { PixiFeaturePoint } from './PixiFeaturePoint.js';
+
+// Colors for the versions being compared (keep in sync with `.history-diff` css)
+const GHOST_COLORS = {
+  other: 0x999999,
+  from:  0xff9933,
+  to:    0x44aaff
+};
+
+
+/**
+ * PixiLayerHistory
+ * This class draws "ghosts" of the past geometries of an entity, so the user can see how
+ * it has changed over time.  The versions being compared are drawn more prominently.
+ * The ghosts to draw are set by the history card with `setGhosts()`.
+ * @class
+ */
+export class PixiLayerHistory extends AbstractLayer {
+
+  /**
+   * @constructor
+   * @param  scene    The Scene that owns this Layer
+   * @param  layerID  Unique string to use for the name of this Layer
+   */
+  constructor(scene, layerID) {
+    super(scene, layerID);
+    this.enabled = true;   // this layer should always be enabled
+
+    this.historyContainer = null;
+    this._ghosts = [];
+    this._dataVersion = 0;
+  }
+
+
+  /**
+   * enabled
+   * This layer should always be enabled - it only draws something while there are ghosts to show
+   */
+  get enabled() {
+    return true;
+  }
+  set enabled(val) {
+    this._enabled = true;
+  }
+
+
+  /**
+   * reset
+   * Every Layer should have a reset function to replace any Pixi objects and internal state.
+   */
+  reset() {
+    super.reset();
+
+    const groupContainer = this.scene.groups.get('basemap');
+
+    // Remove any existing containers
+    for (const child of groupContainer.children) {
+      if (child.label === this.layerID) {   // 'history'
+        groupContainer.removeChild(child);
+        child.destroy({ children: true });  // recursive
+      }
+    }
+
+    // Add containers
+    const history = new PIXI.Container();
+    history.label = `${this.layerID}`;  // 'history'
+    history.sortableChildren = true;
+    history.interactiveChildren = false;
+    history.eventMode = 'none';
+    history.zIndex = 90;   // above the OSM and Rapid data, below conflicts
+    this.historyContainer = history;
+
+    groupContainer.addChild(history);
+  }
+
+
+  /**
+   * setGhosts
+   * Sets the past geometries to draw
+   * @param  {Array}  ghosts - Array of Objects like `{ id, kind, loc }` for points or `{ id, kind, coords }` for lines,
+   *                            where `kind` is 'from' or 'to' for the versions being compared, or 'other'
+   */
+  setGhosts(ghosts) {
+    this._ghosts = ghosts ?? [];
+    this._dataVersion++;
+    this.context.systems.gfx.immediateRedraw();
+  }
+
+
+  /**
+   * render
+   * Render the ghosts
+   * @param  frame      Integer frame being rendered
+   * @param  viewport   Pixi viewport to use for rendering
+   * @param  zoom       Effective zoom to use for rendering
+   */
+  render(frame, viewport, zoom) {
+    if (!this._ghosts.length) return;
+
+    const lines = this._ghosts.filter(d => d.coords);
+    const points = this._ghosts.filter(d => d.loc);
+
+    this.renderLines(frame, viewport, zoom, lines);
+    this.renderPoints(frame, viewport, zoom, points);
+  }
+
+
+  /**
+   * renderLines
+   * @param  frame      Integer frame being rendered
+   * @param  viewport   Pixi viewport to use for rendering
+   * @param  zoom       Effective zoom to use for rendering
+   * @param  lines      Array of line data
+   */
+  renderLines(frame, viewport, zoom, lines) {
+    const parentContainer = this.historyContainer;
+
+    for (const d of lines) {
+      if (d.coords.length < 2) continue;
+
+      const featureID = `${this.layerID}-${d.id}`;
+      let feature = this.features.get(featureID);
+
+      if (!feature) {
+        feature = new PixiFeatureLine(this, featureID);
+        feature.parentContainer = parentContainer;
+      }
+
+      if (feature.v !== this._dataVersion) {
+        const isCompared = (d.kind !== 'other');
+        feature.v = this._dataVersion;
+        feature.style = {
+          casing: { alpha: 0 },
+          stroke: {
+            width: isCompared ? 4 : 2,
+            color: GHOST_COLORS[d.kind],
+            alpha: isCompared ? 0.9 : 0.4,
+            cap: 'round',
+            join: 'round',
+            dash: (d.kind === 'from') ? [8, 8] : null
+          }
+        };
+        feature.geometry.setCoords(d.coords);
+        feature.setData(d.id, d);
+        feature.container.zIndex = isCompared ? 1 : 0;
+      }
+
+      feature.update(viewport, zoom);
+      this.retainFeature(feature, frame);
+    }
+  }
+
+
+  /**
+   * renderPoints
+   * @param  frame      Integer frame being rendered
+   * @param  viewport   Pixi viewport to use for rendering
+   * @param  zoom       Effective zoom to use for rendering
+   * @param  points     Array of point data
+   */
+  renderPoints(frame, viewport, zoom, points) {
+    const parentContainer = this.historyContainer;
+
+    for (const d of points) {
+      const featureID = `${this.layerID}-${d.id}`;
+      let feature = this.features.get(featureID);
+
+      if (!feature) {
+        feature = new PixiFeaturePoint(this, featureID);
+        feature.parentContainer = parentContainer;
+      }
+
+      if (feature.v !== this._dataVersion) {
+        const isCompared = (d.kind !== 'other');
+        feature.v = this._dataVersion;
+        feature.style = {
+          markerName: isCompared ? 'largeCircle' : 'smallCircle',
+          markerTint: GHOST_COLORS[d.kind],
+          iconName: ''
+        };
+        feature.geometry.setCoords(d.loc);
+        feature.setData(d.id, d);
+        feature.container.zIndex = isCompared ? 1 : 0;
+      }
+
+      feature.update(viewport, zoom);
+      this.retainFeature(feature, frame);
+    }
+  }
+
+}
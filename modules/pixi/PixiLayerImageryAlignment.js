@@ -0,0 +1,179 @@
+import * as PIXI from 'pixi.js';
+
+import { AbstractLayer } from './AbstractLayer.js';
+import { PixiFeatureLine } from './PixiFeatureLine.js';
+import { PixiFeaturePoint } from './PixiFeaturePoint.js';
+
+const IMAGERY_COLOR = 0xff9933;
+const REFERENCE_COLOR = 0x33bbff;
+
+
+/**
+ * PixiLayerImageryAlignment
+ * This class draws the control points that the background imagery is aligned with, while placing them.
+ * Each control point has a pin where it is in the imagery and a pin where it really is (the reference),
+ * joined by a line - once the imagery is aligned, the line shows how far off that control point still is.
+ * @class
+ */
+export class PixiLayerImageryAlignment extends AbstractLayer {
+
+  /**
+   * @constructor
+   * @param  scene    The Scene that owns this Layer
+   * @param  layerID  Unique string to use for the name of this Layer
+   */
+  constructor(scene, layerID) {
+    super(scene, layerID);
+    this.enabled = true;   // this layer should always be enabled
+
+    this.alignmentContainer = null;
+  }
+
+
+  /**
+   * enabled
+   * This layer should always be enabled - it only draws something while placing control points
+   */
+  get enabled() {
+    return true;
+  }
+  set enabled(val) {
+    this._enabled = true;
+  }
+
+
+  /**
+   * reset
+   * Every Layer should have a reset function to replace any Pixi objects and internal state.
+   */
+  reset() {
+    super.reset();
+
+    const groupContainer = this.scene.groups.get('qa');
+
+    // Remove any existing containers
+    for (const child of groupContainer.children) {
+      if (child.label === this.layerID) {   // 'imagery-alignment'
+        groupContainer.removeChild(child);
+        child.destroy({ children: true });  // recursive
+      }
+    }
+
+    // Add containers
+    const alignment = new PIXI.Container();
+    alignment.label = `${this.layerID}`;  // 'imagery-alignment'
+    alignment.sortableChildren = false;
+    alignment.interactiveChildren = false;
+    alignment.eventMode = 'none';
+    this.alignmentContainer = alignment;
+
+    groupContainer.addChild(alignment);
+  }
+
+
+  /**
+   * render
+   * Render the control points, while in the mode that places them
+   * @param  frame      Integer frame being rendered
+   * @param  viewport   Pixi viewport to use for rendering
+   * @param  zoom       Effective zoom to use for rendering
+   */
+  render(frame, viewport, zoom) {
+    const context = this.context;
+    const mode = context.mode;
+    const source = context.systems.imagery?.baseLayerSource();
+    if (mode?.id !== 'align-imagery' || !source) return;
+
+    const lines = [];
+    const points = [];
+
+    source.alignmentPoints.forEach((d, i) => {
+      const imageryLoc = source.alignedLoc(d.imagery);
+      lines.push({ id: `line-${i}`, coords: [imageryLoc, d.reference] });
+      points.push({ id: `imagery-${i}`, loc: imageryLoc, tint: IMAGERY_COLOR });
+      points.push({ id: `reference-${i}`, loc: d.reference, tint: REFERENCE_COLOR });
+    });
+
+    // The first click of the control point being placed
+    if (mode.imageryLoc) {
+      points.push({ id: 'imagery-new', loc: mode.imageryLoc, tint: IMAGERY_COLOR });
+    }
+
+    this.renderLines(frame, viewport, zoom, lines);
+    this.renderPoints(frame, viewport, zoom, points);
+  }
+
+
+  /**
+   * renderLines
+   * @param  frame      Integer frame being rendered
+   * @param  viewport   Pixi viewport to use for rendering
+   * @param  zoom       Effective zoom to use for rendering
+   * @param  lines      Array of line data
+   */
+  renderLines(frame, viewport, zoom, lines) {
+    const parentContainer = this.alignmentContainer;
+
+    for (const d of lines) {
+      const featureID = `${this.layerID}-${d.id}`;
+      const v = d.coords.join();
+      let feature = this.features.get(featureID);
+
+      if (!feature) {
+        feature = new PixiFeatureLine(this, featureID);
+        feature.parentContainer = parentContainer;
+        feature.style = {
+          casing: { alpha: 0 },
+          stroke: { width: 2, color: 0xffffff, alpha: 0.9, dash: [6, 4] }
+        };
+      }
+
+      if (feature.v !== v) {
+        feature.v = v;
+        feature.geometry.setCoords(d.coords);
+        feature.setData(d.id, d);
+      }
+
+      feature.update(viewport, zoom);
+      this.retainFeature(feature, frame);
+    }
+  }
+
+
+  /**
+   * renderPoints
+   * @param  frame      Integer frame being rendered
+   * @param  viewport   Pixi viewport to use for rendering
+   * @param  zoom       Effective zoom to use for rendering
+   * @param  points     Array of point data
+   */
+  renderPoints(frame, viewport, zoom, points) {
+    const parentContainer = this.alignmentContainer;
+
+    for (const d of points) {
+      const featureID = `${this.layerID}-${d.id}`;
+      const v = d.loc.join();
+      let feature = this.features.get(featureID);
+
+      if (!feature) {
+        feature = new PixiFeaturePoint(this, featureID);
+        feature.parentContainer = parentContainer;
+        feature.style = {
+          markerName: 'pin',
+          markerTint: d.tint,
+          iconName: ''
+        };
+      }
+
+      if (feature.v !== v) {
+        feature.v = v;
+        feature.geometry.setCoords(d.loc);
+        feature.setData(d.id, d);
+      }
+
+      feature.update(viewport, zoom);
+      this.retainFeature(feature, frame);
+    }
+  }
+
+}
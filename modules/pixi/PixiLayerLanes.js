@@ -0,0 +1,322 @@
+import * as PIXI from 'pixi.js';
+import { geoLatToMeters, geoLonToMeters, geoMetersToLat, geoMetersToLon } from '@rapid-sdk/math';
+import { driveSide } from '@rapideditor/country-coder';
+
+import { AbstractLayer } from './AbstractLayer.js';
+import { PixiFeatureLine } from './PixiFeatureLine.js';
+import { osmLanesModel } from '../osm/lanes.js';
+
+const MINZOOM = 18;
+const LANE_WIDTH = 3.5;          // meters
+const ARROW_DISTANCE = 12;       // meters from the end of the way, where the turn arrows are drawn
+
+const EDGE_STYLE = { width: 2, color: 0xffffff, alpha: 0.9 };
+const DIVIDER_STYLE = { width: 2, color: 0xffffff, alpha: 0.9, dash: [8, 8] };
+const CENTER_STYLE = { width: 2, color: 0xffcc33, alpha: 1 };
+const ARROW_STYLE = { width: 3, color: 0xffffff, alpha: 1 };
+
+// Direction of each turn marking, in degrees clockwise from straight ahead
+const TURN_ANGLES = {
+  through: 0,
+  slight_right: 45, right: 90, sharp_right: 135,
+  slight_left: -45, left: -90, sharp_left: -135,
+  merge_to_right: 25, merge_to_left: -25,
+  reverse: 180
+};
+
+
+// Converts locations to meters east and north of an origin, and back.
+// Over the length of a way, this is accurate enough for drawing lanes.
+function makeProjection(origin) {
+  return {
+    project: (loc) => [geoLonToMeters(loc[0] - origin[0], origin[1]), geoLatToMeters(loc[1] - origin[1])],
+    invert: (p) => [origin[0] + geoMetersToLon(p[0], origin[1]), origin[1] + geoMetersToLat(p[1])]
+  };
+}
+
+
+// Returns the points offset to the right of the line (or to the left, for negative offsets)
+function offsetLine(points, offset) {
+  const normals = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const [dx, dy] = [points[i + 1][0] - points[i][0], points[i + 1][1] - points[i][1]];
+    const len = Math.hypot(dx, dy) || 1;
+    normals.push([dy / len, -dx / len]);    // to the right
+  }
+
+  return points.map((p, i) => {
+    const a = normals[i - 1] ?? normals[i];
+    const b = normals[i] ?? normals[i - 1];
+    let n = [a[0] + b[0], a[1] + b[1]];
+    const len = Math.hypot(n[0], n[1]) || 1;
+    n = [n[0] / len, n[1] / len];
+
+    // lengthen the offset at corners, so the lanes keep their width
+    const scale = Math.min(2, 1 / Math.max(0.5, n[0] * a[0] + n[1] * a[1]));
+    return [p[0] + n[0] * offset * scale, p[1] + n[1] * offset * scale];
+  });
+}
+
+
+// Returns the point at the given distance along the line, and the direction of the line there
+function pointAlong(points, distance) {
+  let remaining = distance;
+  for (let i = 0; i < points.length - 1; i++) {
+    const [dx, dy] = [points[i + 1][0] - points[i][0], points[i + 1][1] - points[i][1]];
+    const len = Math.hypot(dx, dy);
+    if (!len) continue;
+    if (remaining <= len || i === points.length - 2) {
+      const t = Math.min(1, remaining / len);
+      return { point: [points[i][0] + dx * t, points[i][1] + dy * t], dir: [dx / len, dy / len] };
+    }
+    remaining -= len;
+  }
+  return null;
+}
+
+
+function lineLength(points) {
+  let length = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    length += Math.hypot(points[i + 1][0] - points[i][0], points[i + 1][1] - points[i][1]);
+  }
+  return length;
+}
+
+
+/**
+ * PixiLayerLanes
+ * This class draws the lanes of the selected highways at high zoom, from their lane tags
+ * (see `osmLanesModel`): the lane dividers, and the turn arrows of each lane near the end of the way.
+ * Lanes are placed on the side of the road that traffic drives on in that country.
+ * @class
+ */
+export class PixiLayerLanes extends AbstractLayer {
+
+  /**
+   * @constructor
+   * @param  scene    The Scene that owns this Layer
+   * @param  layerID  Unique string to use for the name of this Layer
+   */
+  constructor(scene, layerID) {
+    super(scene, layerID);
+    this.enabled = true;   // this layer should always be enabled
+
+    this.lanesContainer = null;
+    this._cache = new Map();   // Map(wayID -> { key, lines })
+  }
+
+
+  /**
+   * enabled
+   * This layer should always be enabled - it only draws something when highways are selected
+   */
+  get enabled() {
+    return true;
+  }
+  set enabled(val) {
+    this._enabled = true;
+  }
+
+
+  /**
+   * reset
+   * Every Layer should have a reset function to replace any Pixi objects and internal state.
+   */
+  reset() {
+    super.reset();
+    this._cache.clear();
+
+    const groupContainer = this.scene.groups.get('basemap');
+
+    // Remove any existing containers
+    for (const child of groupContainer.children) {
+      if (child.label === this.layerID) {   // 'lanes'
+        groupContainer.removeChild(child);
+        child.destroy({ children: true });  // recursive
+      }
+    }
+
+    // Add containers
+    const lanes = new PIXI.Container();
+    lanes.label = `${this.layerID}`;  // 'lanes'
+    lanes.sortableChildren = false;
+    lanes.interactiveChildren = false;
+    lanes.eventMode = 'none';
+    lanes.zIndex = 95;   // above the OSM and Rapid data, below conflicts
+    this.lanesContainer = lanes;
+
+    groupContainer.addChild(lanes);
+  }
+
+
+  /**
+   * render
+   * Render the lanes of the selected highways
+   * @param  frame      Integer frame being rendered
+   * @param  viewport   Pixi viewport to use for rendering
+   * @param  zoom       Effective zoom to use for rendering
+   */
+  render(frame, viewport, zoom) {
+    if (zoom < MINZOOM) return;
+
+    const context = this.context;
+    const graph = context.systems.editor.staging.graph;
+
+    for (const entityID of context.selectedIDs()) {
+      const way = graph.hasEntity(entityID);
+      if (way?.type !== 'way' || !way.tags.highway) continue;
+
+      const nodes = graph.childNodes(way);
+      const key = [way.v, ...nodes.map(node => node.v)].join(',');
+
+      let cached = this._cache.get(way.id);
+      if (cached?.key !== key) {
+        cached = { key: key, lines: this.getLines(way, nodes) };
+        this._cache.set(way.id, cached);
+      }
+
+      this.renderLines(frame, viewport, zoom, cached.lines, key);
+    }
+  }
+
+
+  /**
+   * getLines
+   * Works out the lane dividers and turn arrows to draw for a way
+   * @param   way     The OSM way
+   * @param   nodes   The nodes of the way
+   * @return  Array of line data, like `{ id, coords, style }`
+   */
+  getLines(way, nodes) {
+    if (nodes.length < 2) return [];
+    const driveLeft = driveSide(nodes[0].loc) === 'left';
+    const model = osmLanesModel(way, driveLeft);
+    if (!model) return [];
+
+    const proj = makeProjection(nodes[0].loc);
+    const points = nodes.map(node => proj.project(node.loc));
+    const length = lineLength(points);
+    if (!length) return [];
+
+    // The lanes from left to right, as seen travelling forward along the way.
+    // In countries that drive on the left, the forward lanes are on the left side of the road.
+    const backward = model.backward.map(lane => ({ dir: 'backward', lane: lane })).reverse();
+    const bothways = model.bothways.map(lane => ({ dir: 'bothways', lane: lane }));
+    const forward = model.forward.map(lane => ({ dir: 'forward', lane: lane }));
+    const lanes = driveLeft ? [...forward, ...bothways, ...backward] : [...backward, ...bothways, ...forward];
+    if (!lanes.length) return [];
+
+    const lines = [];
+    const leftEdge = -lanes.length * LANE_WIDTH / 2;
+
+    // Dividers between the lanes, and the edges of the road
+    for (let i = 0; i <= lanes.length; i++) {
+      let style;
+      if (i === 0 || i === lanes.length) {
+        style = EDGE_STYLE;
+      } else if (lanes[i - 1].dir !== lanes[i].dir) {
+        style = CENTER_STYLE;
+      } else {
+        style = DIVIDER_STYLE;
+      }
+
+      const coords = offsetLine(points, leftEdge + i * LANE_WIDTH).map(proj.invert);
+      lines.push({ id: `${way.id}-divider-${i}`, coords: coords, style: style });
+    }
+
+    // Turn arrows, near the end of the way that the lane is travelling to
+    const distance = Math.min(ARROW_DISTANCE, length * 0.3);
+    lanes.forEach((d, i) => {
+      if (d.dir === 'bothways' || !d.lane.turn) return;
+
+      const center = offsetLine(points, leftEdge + (i + 0.5) * LANE_WIDTH);
+      const along = (d.dir === 'forward') ? pointAlong(center, length - distance) : pointAlong(center, distance);
+      if (!along) return;
+
+      const dir = (d.dir === 'forward') ? along.dir : [-along.dir[0], -along.dir[1]];
+      const turns = d.lane.turn.split(';').filter(turn => TURN_ANGLES[turn] !== undefined);
+
+      turns.forEach((turn, j) => {
+        for (const [k, arrow] of this.getArrow(along.point, dir, TURN_ANGLES[turn]).entries()) {
+          lines.push({ id: `${way.id}-arrow-${i}-${j}-${k}`, coords: arrow.map(proj.invert), style: ARROW_STYLE });
+        }
+      });
+    });
+
+    return lines;
+  }
+
+
+  /**
+   * getArrow
+   * Returns the lines of a turn arrow, in meters
+   * @param   point   The bend of the arrow, where the turn happens
+   * @param   dir     Unit vector of the direction of travel
+   * @param   angle   Direction of the turn, in degrees clockwise from straight ahead
+   * @return  Array of lines (the shaft and the head)
+   */
+  getArrow(point, dir, angle) {
+    const right = [dir[1], -dir[0]];
+    const toMeters = ([u, v]) => [point[0] + dir[0] * u + right[0] * v, point[1] + dir[1] * u + right[1] * v];
+    const polar = (a, len) => [Math.cos(a * Math.PI / 180) * len, Math.sin(a * Math.PI / 180) * len];
+
+    let shaft, tip, headAngle;
+    if (angle === 180) {    // U-turn is a hook
+      tip = [-2, -1.5];
+      shaft = [[-5, 0], [0, 0], [0, -1.5], tip];
+      headAngle = 180;
+    } else {
+      tip = polar(angle, 2.5);
+      shaft = [[-5, 0], [0, 0], tip];
+      headAngle = angle;
+    }
+
+    const headLeft = polar(headAngle + 150, 1.2);
+    const headRight = polar(headAngle - 150, 1.2);
+    const head = [
+      [tip[0] + headLeft[0], tip[1] + headLeft[1]],
+      tip,
+      [tip[0] + headRight[0], tip[1] + headRight[1]]
+    ];
+
+    return [shaft.map(toMeters), head.map(toMeters)];
+  }
+
+
+  /**
+   * renderLines
+   * @param  frame      Integer frame being rendered
+   * @param  viewport   Pixi viewport to use for rendering
+   * @param  zoom       Effective zoom to use for rendering
+   * @param  lines      Array of line data
+   * @param  version    Version of the line data (changes when the way changes)
+   */
+  renderLines(frame, viewport, zoom, lines, version) {
+    const parentContainer = this.lanesContainer;
+
+    for (const d of lines) {
+      const featureID = `${this.layerID}-${d.id}`;
+      let feature = this.features.get(featureID);
+
+      if (!feature) {
+        feature = new PixiFeatureLine(this, featureID);
+        feature.parentContainer = parentContainer;
+      }
+
+      if (feature.v !== version) {
+        feature.v = version;
+        feature.style = {
+          casing: { alpha: 0 },
+          stroke: Object.assign({ cap: 'round', join: 'round' }, d.style)
+        };
+        feature.geometry.setCoords(d.coords);
+        feature.setData(d.id, d);
+      }
+
+      feature.update(viewport, zoom);
+      this.retainFeature(feature, frame);
+    }
+  }
+
+}
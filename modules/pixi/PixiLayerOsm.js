@@ -351,7 +351,7 @@ export class PixiLayerOsm extends AbstractLayer {
         if (feature.dirty) {
           const preset = presets.match(entity, graph);
 
-          const style = styles.styleMatch(entity.tags);
+          const style = styles.applyThematic(styles.styleMatch(entity.tags, 'area'), entity.tags);
           style.labelTint = style.fill.color ?? style.stroke.color ?? 0xeeeeee;
           feature.style = style;
 
@@ -507,7 +507,7 @@ export class PixiLayerOsm extends AbstractLayer {
               }
             }
 
-            const style = styles.styleMatch(tags);
+            const style = styles.applyThematic(styles.styleMatch(tags, geom), tags);
             // Todo: handle alternating/two-way case too
             if (geom === 'line') {
               style.lineMarkerName = entity.isOneWay() ? 'oneway' : '';
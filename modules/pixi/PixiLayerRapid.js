@@ -112,7 +112,7 @@ export class PixiLayerRapid extends AbstractLayer {
   get supported() {
     // return true if any of these are installed
     const services = this.context.services;
-    return !!(services.mapwithai || services.esri || services.overture);
+    return !!(services.mapwithai || services.esri || services.localfile || services.overture);
   }
 
 
@@ -135,6 +135,7 @@ export class PixiLayerRapid extends AbstractLayer {
     const context = this.context;
     const gfx = context.systems.gfx;
     const esri = context.services.esri;
+    const localfile = context.services.localfile;
     const mapwithai = context.services.mapwithai;
     const overture = context.services.overture;
 
@@ -142,6 +143,7 @@ export class PixiLayerRapid extends AbstractLayer {
     // data-providing services are installed.
     const services = [];
     if (esri)      services.push(esri);
+    if (localfile) services.push(localfile);
     if (mapwithai) services.push(mapwithai);
     if (overture)  services.push(overture);
 
@@ -213,7 +215,7 @@ export class PixiLayerRapid extends AbstractLayer {
     const dsEnabled = (dataset.added && dataset.enabled);
     if (!dsEnabled) return;
 
-    const service = context.services[dataset.service];  // 'mapwithai' or 'esri'
+    const service = context.services[dataset.service];  // 'mapwithai', 'esri', 'localfile', or 'overture'
     if (!service?.started) return;
 
     const useConflationStr = utilStringQs(window.location.hash).conflation;
@@ -271,9 +273,9 @@ export class PixiLayerRapid extends AbstractLayer {
         data.polygons = entities.filter(d => d.geometry(dsGraph) === 'area');
       }
 
-    /* ESRI ArcGIS */
-    } else if (dataset.service === 'esri') {
-      if (zoom >= 14) {  // avoid firing off too many API requests
+    /* ESRI ArcGIS, or a local file (already loaded, nothing to fetch) */
+    } else if (dataset.service === 'esri' || dataset.service === 'localfile') {
+      if (dataset.service === 'esri' && zoom >= 14) {  // avoid firing off too many API requests
         service.loadTiles(datasetID);  // fetch more
       }
 
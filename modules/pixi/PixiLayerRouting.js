@@ -0,0 +1,258 @@
+import * as PIXI from 'pixi.js';
+
+import { AbstractLayer } from './AbstractLayer.js';
+import { PixiFeatureLine } from './PixiFeatureLine.js';
+import { PixiFeaturePoint } from './PixiFeaturePoint.js';
+
+const MINZOOM = 14;
+const ISSUE_COLOR = 0xff9933;
+const ROUTE_COLOR = 0x3366ff;
+const START_COLOR = 0x33cc33;
+const END_COLOR = 0xee3333;
+
+
+/**
+ * PixiLayerRouting
+ * This class draws the routing connectivity issues found by the validator,
+ * so the roads that vehicles can't get onto or off of stand out on the map.
+ * It shows the same issues as the issues pane (edited or everything), in the current view.
+ * It also draws the route preview from the `RoutingSystem`, with its start, end, and turn points.
+ * @class
+ */
+export class PixiLayerRouting extends AbstractLayer {
+
+  /**
+   * @constructor
+   * @param  scene    The Scene that owns this Layer
+   * @param  layerID  Unique string to use for the name of this Layer
+   */
+  constructor(scene, layerID) {
+    super(scene, layerID);
+    this.enabled = true;   // this layer should always be enabled
+
+    this.routingContainer = null;
+    this._dataVersion = 0;
+
+    const redraw = () => {
+      this._dataVersion++;
+      this.context.systems.gfx.deferredRedraw();
+    };
+
+    this.context.systems.validator?.on('validated', redraw);
+    this.context.systems.routing?.on('routechange', redraw);
+  }
+
+
+  /**
+   * enabled
+   * This layer should always be enabled - it only draws something while there are issues to show
+   */
+  get enabled() {
+    return true;
+  }
+  set enabled(val) {
+    this._enabled = true;
+  }
+
+
+  /**
+   * reset
+   * Every Layer should have a reset function to replace any Pixi objects and internal state.
+   */
+  reset() {
+    super.reset();
+
+    const groupContainer = this.scene.groups.get('qa');
+
+    // Remove any existing containers
+    for (const child of groupContainer.children) {
+      if (child.label === this.layerID) {   // 'routing'
+        groupContainer.removeChild(child);
+        child.destroy({ children: true });  // recursive
+      }
+    }
+
+    // Add containers
+    const routing = new PIXI.Container();
+    routing.label = `${this.layerID}`;  // 'routing'
+    routing.sortableChildren = false;
+    routing.interactiveChildren = false;
+    routing.eventMode = 'none';
+    this.routingContainer = routing;
+
+    groupContainer.addChild(routing);
+  }
+
+
+  /**
+   * render
+   * Render the route preview, and the routing connectivity issues in view
+   * @param  frame      Integer frame being rendered
+   * @param  viewport   Pixi viewport to use for rendering
+   * @param  zoom       Effective zoom to use for rendering
+   */
+  render(frame, viewport, zoom) {
+    this.renderRoute(frame, viewport, zoom);
+    this.renderIssues(frame, viewport, zoom);
+  }
+
+
+  /**
+   * renderRoute
+   * Render the route preview
+   * @param  frame      Integer frame being rendered
+   * @param  viewport   Pixi viewport to use for rendering
+   * @param  zoom       Effective zoom to use for rendering
+   */
+  renderRoute(frame, viewport, zoom) {
+    const context = this.context;
+    const routing = context.systems.routing;
+    if (!routing) return;
+
+    const graph = context.systems.editor.staging.graph;
+    const locOf = (nodeID) => graph.hasEntity(nodeID)?.loc;
+    const lines = [];
+    const points = [];
+
+    const route = routing.route;
+    if (route?.steps.length) {
+      const nodeIDs = [route.steps[0].fromNodeID, ...route.steps.map(step => step.nodeID)];
+      const line = { id: 'route', coords: nodeIDs.map(locOf).filter(Boolean), stroke: ROUTE_COLOR };
+      lines.push(line);
+
+      for (const instruction of routing.instructions) {
+        if (instruction.type !== 'turn') continue;
+        const loc = locOf(instruction.nodeID);
+        if (loc) {
+          points.push({ id: `turn-${instruction.nodeID}`, loc: loc, markerName: 'smallCircle', tint: ROUTE_COLOR });
+        }
+      }
+    }
+
+    // Show where the points snapped to, or where they were placed if there is no road nearby
+    if (routing.start) {
+      const loc = locOf(routing.start.nodeID) ?? routing.start.loc;
+      points.push({ id: 'start', loc: loc, markerName: 'pin', tint: START_COLOR });
+    }
+    if (routing.end) {
+      const loc = locOf(routing.end.nodeID) ?? routing.end.loc;
+      points.push({ id: 'end', loc: loc, markerName: 'pin', tint: END_COLOR });
+    }
+
+    this.renderLines(frame, viewport, zoom, lines);
+    this.renderPoints(frame, viewport, zoom, points);
+  }
+
+
+  /**
+   * renderIssues
+   * Render the routing connectivity issues in view
+   * @param  frame      Integer frame being rendered
+   * @param  viewport   Pixi viewport to use for rendering
+   * @param  zoom       Effective zoom to use for rendering
+   */
+  renderIssues(frame, viewport, zoom) {
+    const context = this.context;
+    const validator = context.systems.validator;
+    if (!validator || zoom < MINZOOM) return;
+
+    const storage = context.systems.storage;
+    const graph = context.systems.editor.staging.graph;
+    const what = storage.getItem('validate-what') || 'edited';
+    const issues = validator.getIssues({ what: what, where: 'visible' })
+      .filter(issue => issue.type === 'routing_connectivity');
+
+    const lines = [];
+    const points = [];
+
+    for (const issue of issues) {
+      for (const entityID of issue.entityIds) {
+        const way = graph.hasEntity(entityID);
+        if (way?.type !== 'way') continue;
+
+        const coords = way.nodes.map(nodeID => graph.hasEntity(nodeID)?.loc).filter(Boolean);
+        lines.push({ id: `${issue.id}-${way.id}`, coords: coords, stroke: ISSUE_COLOR, dash: [12, 8] });
+      }
+      if (issue.loc) {
+        points.push({ id: issue.id, loc: issue.loc, markerName: 'largeCircle', tint: ISSUE_COLOR });
+      }
+    }
+
+    this.renderLines(frame, viewport, zoom, lines);
+    this.renderPoints(frame, viewport, zoom, points);
+  }
+
+
+  /**
+   * renderLines
+   * @param  frame      Integer frame being rendered
+   * @param  viewport   Pixi viewport to use for rendering
+   * @param  zoom       Effective zoom to use for rendering
+   * @param  lines      Array of line data
+   */
+  renderLines(frame, viewport, zoom, lines) {
+    const parentContainer = this.routingContainer;
+
+    for (const d of lines) {
+      if (d.coords.length < 2) continue;
+
+      const featureID = `${this.layerID}-${d.id}`;
+      let feature = this.features.get(featureID);
+
+      if (!feature) {
+        feature = new PixiFeatureLine(this, featureID);
+        feature.parentContainer = parentContainer;
+      }
+
+      if (feature.v !== this._dataVersion) {
+        feature.v = this._dataVersion;
+        feature.style = {
+          casing: { alpha: 0 },
+          stroke: { width: 8, color: d.stroke, alpha: d.dash ? 0.5 : 0.8, cap: 'round', join: 'round', dash: d.dash }
+        };
+        feature.geometry.setCoords(d.coords);
+        feature.setData(d.id, d);
+      }
+
+      feature.update(viewport, zoom);
+      this.retainFeature(feature, frame);
+    }
+  }
+
+
+  /**
+   * renderPoints
+   * @param  frame      Integer frame being rendered
+   * @param  viewport   Pixi viewport to use for rendering
+   * @param  zoom       Effective zoom to use for rendering
+   * @param  points     Array of point data
+   */
+  renderPoints(frame, viewport, zoom, points) {
+    const parentContainer = this.routingContainer;
+
+    for (const d of points) {
+      const featureID = `${this.layerID}-${d.id}`;
+      let feature = this.features.get(featureID);
+
+      if (!feature) {
+        feature = new PixiFeaturePoint(this, featureID);
+        feature.parentContainer = parentContainer;
+      }
+
+      if (feature.v !== this._dataVersion) {
+        feature.v = this._dataVersion;
+        feature.style = {
+          markerName: d.markerName,
+          markerTint: d.tint,
+          iconName: ''
+        };
+        feature.geometry.setCoords(d.loc);
+        feature.setData(d.id, d);
+      }
+
+      feature.update(viewport, zoom);
+      this.retainFeature(feature, frame);
+    }
+  }
+
+}
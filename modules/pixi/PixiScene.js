@@ -2,10 +2,15 @@ import * as PIXI from 'pixi.js';
 import { EventEmitter } from 'pixi.js';
 
 import { PixiLayerBackgroundTiles } from './PixiLayerBackgroundTiles.js';
+import { PixiLayerConflicts } from './PixiLayerConflicts.js';
 import { PixiLayerCustomData } from './PixiLayerCustomData.js';
+import { PixiLayerDataAge } from './PixiLayerDataAge.js';
 import { PixiLayerEditBlocks } from './PixiLayerEditBlocks.js';
+import { PixiLayerHistory } from './PixiLayerHistory.js';
+import { PixiLayerImageryAlignment } from './PixiLayerImageryAlignment.js';
 import { PixiLayerKartaPhotos } from './PixiLayerKartaPhotos.js';
 import { PixiLayerKeepRight } from './PixiLayerKeepRight.js';
+import { PixiLayerLanes } from './PixiLayerLanes.js';
 import { PixiLayerLabels } from './PixiLayerLabels.js';
 import { PixiLayerMapillaryDetections } from './PixiLayerMapillaryDetections.js';
 import { PixiLayerMapillaryPhotos } from './PixiLayerMapillaryPhotos.js';
@@ -17,6 +22,7 @@ import { PixiLayerOsmNotes } from './PixiLayerOsmNotes.js';
 import { PixiLayerOsmose } from './PixiLayerOsmose.js';
 import { PixiLayerRapid } from './PixiLayerRapid.js';
 import { PixiLayerRapidOverlay } from './PixiLayerRapidOverlay.js';
+import { PixiLayerRouting } from './PixiLayerRouting.js';
 import { PixiLayerStreetsidePhotos } from './PixiLayerStreetsidePhotos.js';
 import { PixiLayerGeoScribble } from './PixiLayerGeoScribble.js';
 
@@ -70,9 +76,13 @@ export class PixiScene extends EventEmitter {
     [
       new PixiLayerBackgroundTiles(this, 'background'),
       new PixiLayerGeoScribble(this, 'geoScribble'),
+      new PixiLayerDataAge(this, 'data-age'),
       new PixiLayerOsm(this, 'osm'),
       new PixiLayerRapid(this, 'rapid'),
       new PixiLayerRapidOverlay(this, 'rapidoverlay'),
+      new PixiLayerHistory(this, 'history'),
+      new PixiLayerConflicts(this, 'conflicts'),
+      new PixiLayerLanes(this, 'lanes'),
 
       new PixiLayerMapillaryDetections(this, 'mapillary-detections'),
       new PixiLayerMapillarySigns(this, 'mapillary-signs'),
@@ -82,6 +92,8 @@ export class PixiScene extends EventEmitter {
       new PixiLayerOsmNotes(this, 'notes'),
       new PixiLayerKeepRight(this, 'keepRight'),
       new PixiLayerOsmose(this, 'osmose'),
+      new PixiLayerRouting(this, 'routing'),
+      new PixiLayerImageryAlignment(this, 'imagery-alignment'),
 
       new PixiLayerMapillaryPhotos(this, 'mapillary'),
       new PixiLayerKartaPhotos(this, 'kartaview'),
@@ -167,6 +179,43 @@ export class PixiScene extends EventEmitter {
   }
 
 
+  /**
+   * addLayer
+   * Adds a Layer that is not one of the built-in layers (e.g. from a plugin).
+   * It is rendered after the built-in layers, but its features should be added to one of
+   *  the `groups` (e.g. 'qa'), which decides what they are drawn above or below.
+   * @param  {AbstractLayer}  layer - The Layer to add
+   * @throws Will throw if there is already a layer with the same layerID
+   */
+  addLayer(layer) {
+    if (this.layers.has(layer.id)) {
+      throw new Error(`Layer '${layer.id}' already exists`);
+    }
+
+    this.layers.set(layer.id, layer);
+    if (this.gfx.origin) {
+      layer.reset();
+    }
+    this.emit('layerchange');
+  }
+
+
+  /**
+   * removeLayer
+   * Removes a Layer that was added with `addLayer`, and any features it has drawn.
+   * @param  {string}  layerID - The layerID of the Layer to remove
+   */
+  removeLayer(layerID) {
+    const layer = this.layers.get(layerID);
+    if (!layer) return;
+
+    layer.enabled = false;
+    layer.reset();
+    this.layers.delete(layerID);
+    this.emit('layerchange');
+  }
+
+
   /**
    * enableLayers
    * Enables the layers with the given layerIDs, other layers will not be affected
@@ -5,7 +5,7 @@ import { utilQsString } from '@rapid-sdk/util';
 import { AbstractSystem } from '../core/AbstractSystem.js';
 import { Graph, Tree, RapidDataset } from '../core/lib/index.js';
 import { osmNode, osmRelation, osmWay } from '../osm/index.js';
-import { utilFetchResponse } from '../util/index.js';
+import { utilFetchResponse, utilTranslateTags } from '../util/index.js';
 
 
 const GROUPID = 'bdf6c800b3ae453b9db239e03d7c1727';
@@ -456,19 +456,29 @@ export class EsriService extends AbstractSystem {
 
     const id = `${dataset.id}-${featureID}`;
     const metadata = { __fbid__: id, __service__: 'esri', __datasetid__: dataset.id };
+
+    // Apply the translation rules for this dataset, if it has any.
+    // Keep the original tags around so the Rapid inspector can show what changed.
+    const translation = this.context.systems.rapid?.catalog.get(dataset.id)?.translation;
+    let tags = parseTags(props);
+    if (translation) {
+      metadata.__origtags__ = tags;
+      tags = utilTranslateTags(tags, translation, props);
+    }
+
     let entities = [];
     let nodemap = new Map();
 
     // Point:  make a single node
     if (geom.type === 'Point') {
-      return [ new osmNode({ loc: geom.coordinates, tags: parseTags(props) }, metadata) ];
+      return [ new osmNode({ loc: geom.coordinates, tags: tags }, metadata) ];
 
     // LineString:  make nodes, single way
     } else if (geom.type === 'LineString') {
       const nodelist = parseCoordinates(geom.coordinates);
       if (nodelist.length < 2) return null;
 
-      const w = new osmWay({ nodes: nodelist, tags: parseTags(props) }, metadata);
+      const w = new osmWay({ nodes: nodelist, tags: tags }, metadata);
       entities.push(w);
       return entities;
 
@@ -489,15 +499,14 @@ export class EsriService extends AbstractSystem {
 
       if (ways.length === 1) {  // single ring, assign tags and return
         entities.push(
-          ways[0].update( Object.assign({ tags: parseTags(props) }, metadata) )
+          ways[0].update( Object.assign({ tags: tags }, metadata) )
         );
       } else {  // multiple rings, make a multipolygon relation with inner/outer members
         const members = ways.map((w, i) => {
           entities.push(w);
           return { id: w.id, role: (i === 0 ? 'outer' : 'inner'), type: 'way' };
         });
-        const tags = Object.assign(parseTags(props), { type: 'multipolygon' });
-        const r = new osmRelation({ members: members, tags: tags }, metadata);
+        const r = new osmRelation({ members: members, tags: Object.assign({}, tags, { type: 'multipolygon' }) }, metadata);
         entities.push(r);
       }
 
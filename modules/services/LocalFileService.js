@@ -0,0 +1,402 @@
+import { deserialize as fgbDeserialize } from 'flatgeobuf/lib/mjs/geojson.js';
+
+import { AbstractSystem } from '../core/AbstractSystem.js';
+import { Graph, Tree, RapidDataset } from '../core/lib/index.js';
+import { osmNode, osmRelation, osmWay } from '../osm/index.js';
+import { geojsonExtent, geojsonFeatures } from '../util/util.js';
+import { utilTranslateTags } from '../util/translate_tags.js';
+
+const MAXSAMPLES = 3;   // how many example values to keep for each property
+
+
+/**
+ * `LocalFileService`
+ * This service lets the user load a GeoJSON or FlatGeobuf file from their computer
+ * and use it as a Rapid dataset.  Unlike the custom data layer, which is display-only,
+ * the features in these datasets can be accepted into OSM like any other Rapid suggestion.
+ *
+ * Loading a file happens in two steps:
+ *  1. `readFileAsync()` parses the file and gathers the properties found on its features.
+ *  2. `createDataset()` converts the features to OSM entities, using a "tagmap" that the
+ *     user chose to say which property becomes which OSM tag, and returns a `RapidDataset`.
+ *     The user can also load translation rules for the dataset (see `utilTranslateTags`),
+ *     which are applied to the tags after the tagmap.
+ *
+ * The datasets only live in memory, they are not saved anywhere.
+ *
+ * @see https://geojson.org/
+ * @see https://flatgeobuf.org/
+ */
+export class LocalFileService extends AbstractSystem {
+
+  /**
+   * @constructor
+   * @param  `context`  Global shared application context
+   */
+  constructor(context) {
+    super(context);
+    this.id = 'localfile';
+    this.context = context;
+
+    this._datasets = new Map();   // Map<datasetID, Object>
+    this._nextID = 1;
+  }
+
+
+  /**
+   * initAsync
+   * Called after all core objects have been constructed.
+   * @return {Promise} Promise resolved when this component has completed initialization
+   */
+  initAsync() {
+    return this.resetAsync();
+  }
+
+
+  /**
+   * startAsync
+   * Called after all core objects have been initialized.
+   * @return {Promise} Promise resolved when this component has completed startup
+   */
+  startAsync() {
+    this._started = true;
+    return Promise.resolve();
+  }
+
+
+  /**
+   * resetAsync
+   * Called after completing an edit session to reset any internal state
+   * @return {Promise} Promise resolved when this component has completed resetting
+   */
+  resetAsync() {
+    // We can't fetch the data again like the other services do, so rebuild it from the file.
+    for (const ds of this._datasets.values()) {
+      this._buildGraph(ds);
+    }
+    return Promise.resolve();
+  }
+
+
+  /**
+   * getAvailableDatasets
+   * Called by `RapidSystem` to get the datasets that this service provides.
+   * @return {Array<RapidDataset>}  The datasets this service provides
+   */
+  getAvailableDatasets() {
+    return [...this._datasets.values()].map(ds => ds.dataset);
+  }
+
+
+  /**
+   * getData
+   * Get already loaded data that appears in the current map view
+   * @param   {string}  datasetID - datasetID to get data for
+   * @return  {Array}   Array of data (OSM Entities)
+   */
+  getData(datasetID) {
+    const ds = this._datasets.get(datasetID);
+    if (!ds || !ds.tree || !ds.graph) return [];
+
+    const extent = this.context.viewport.visibleExtent();
+    return ds.tree.intersects(extent, ds.graph);
+  }
+
+
+  /**
+   * graph
+   * Returns the graph for the given datasetID
+   * @param   {string}  datasetID - datasetID to get data for
+   * @return  {Graph?}  The graph holding the data, or `undefined` if not found
+   */
+  graph(datasetID)  {
+    const ds = this._datasets.get(datasetID);
+    return ds?.graph;
+  }
+
+
+  /**
+   * readFileAsync
+   * Reads a GeoJSON or FlatGeobuf file and gathers what is needed for the tag mapping step.
+   * @param   {File}     file - A File, from either a drag-and-drop operation or a `<input 'type'='file'>` field
+   * @return  {Promise}  Promise resolved with the parsed file, see `parseAsync()`
+   */
+  readFileAsync(file) {
+    if (!file) return Promise.reject(new Error('No file'));
+
+    const isFGB = /\.fgb$/i.test(file.name);
+    const data = isFGB ? file.arrayBuffer() : file.text();
+    return data.then(data => this.parseAsync(data, file.name));
+  }
+
+
+  /**
+   * parseAsync
+   * Parses GeoJSON or FlatGeobuf data and gathers the properties found on its features.
+   * @param   {string|Object|ArrayBuffer|Uint8Array}  data - GeoJSON text or Object, or FlatGeobuf bytes
+   * @param   {string}   name - The filename
+   * @return  {Promise}  Promise resolved with an Object like:
+   *   {
+   *     name:        the filename
+   *     features:    Array of GeoJSON Features
+   *     properties:  Map<property, Array> of the properties found, with some example values
+   *   }
+   */
+  parseAsync(data, name) {
+    let features;
+
+    if (data instanceof ArrayBuffer || data instanceof Uint8Array) {
+      const bytes = (data instanceof ArrayBuffer) ? new Uint8Array(data) : data;
+      features = (async () => {
+        const results = [];
+        for await (const feature of fgbDeserialize(bytes)) {
+          results.push(feature);
+        }
+        return results;
+      })();
+    } else {
+      try {
+        const geojson = (typeof data === 'string') ? JSON.parse(data) : data;
+        features = Promise.resolve(geojsonFeatures(geojson));
+      } catch (e) {
+        return Promise.reject(e);
+      }
+    }
+
+    return features.then(features => {
+      features = features.filter(f => f?.type === 'Feature' && f.geometry);
+      if (!features.length) {
+        throw new Error(`No features found in ${name}`);
+      }
+
+      const properties = new Map();
+      for (const feature of features) {
+        for (const [k, v] of Object.entries(feature.properties ?? {})) {
+          let samples = properties.get(k);
+          if (!samples) {
+            samples = [];
+            properties.set(k, samples);
+          }
+          const val = clean(v);
+          if (val && samples.length < MAXSAMPLES && !samples.includes(val)) {
+            samples.push(val);
+          }
+        }
+      }
+
+      return { name: name, features: features, properties: properties };
+    });
+  }
+
+
+  /**
+   * defaultTagmap
+   * Suggests a tagmap for the parsed file.  Properties that already look like
+   * OSM keys (e.g. `building`, `addr:street`) are kept, all others are dropped.
+   * @param   {Object}  parsed - The parsed file, see `parseAsync()`
+   * @return  {Object}  Object<property, OSM key>
+   */
+  defaultTagmap(parsed) {
+    const tagmap = {};
+    for (const k of parsed.properties.keys()) {
+      tagmap[k] = /^[a-z][a-z0-9_]*(:[a-z0-9_]+)*$/.test(k) ? k : '';
+    }
+    return tagmap;
+  }
+
+
+  /**
+   * createDataset
+   * Creates a new Rapid dataset from the parsed file.
+   * @param   {Object}  parsed  - The parsed file, see `parseAsync()`
+   * @param   {Object}  options - Object containing:
+   *                              `label`   the name to show for the dataset (defaults to the filename)
+   *                              `tagmap`  Object<property, OSM key> - properties without a key are dropped
+   *                              `translation`  Object - translation rules to apply after the tagmap (optional)
+   * @return  {RapidDataset}  The new dataset
+   */
+  createDataset(parsed, options = {}) {
+    const datasetID = `localfile-${this._nextID++}`;
+    const label = options.label || parsed.name;
+
+    const dataset = new RapidDataset(this.context, {
+      id: datasetID,
+      conflated: false,
+      service: 'localfile',
+      categories: new Set(['localfile']),
+      dataUsed: [label],
+      label: label,
+      description: parsed.name,
+      extent: geojsonExtent({ type: 'FeatureCollection', features: parsed.features }),
+      translation: options.translation
+    });
+
+    const ds = {
+      id: datasetID,
+      dataset: dataset,
+      features: parsed.features,
+      tagmap: Object.assign({}, options.tagmap ?? this.defaultTagmap(parsed)),
+      graph: null,
+      tree: null
+    };
+
+    this._buildGraph(ds);
+    this._datasets.set(datasetID, ds);
+    return dataset;
+  }
+
+
+  /**
+   * removeDataset
+   * Forgets about a dataset created with `createDataset()`.
+   * @param  {string}  datasetID - The datasetID to remove
+   */
+  removeDataset(datasetID) {
+    this._datasets.delete(datasetID);
+  }
+
+
+  /**
+   * _buildGraph
+   * Converts all the features in the dataset to OSM entities.
+   * @param  {Object}  ds - the internal dataset
+   */
+  _buildGraph(ds) {
+    const results = [];
+    for (const [i, feature] of ds.features.entries()) {
+      const entities = this._parseFeature(feature, i, ds);
+      if (entities) results.push.apply(results, entities);
+    }
+
+    ds.graph = new Graph();
+    ds.tree = new Tree(ds.graph);
+    ds.graph.rebase(results, [ds.graph], true);
+    ds.tree.rebase(results, true);
+  }
+
+
+  /**
+   * _parseFeature
+   * Converts a GeoJSON Feature to OSM entities.
+   * Multi geometries of points and lines become several features, each with their own `__fbid__`.
+   * @param   {Object}  feature - the GeoJSON Feature
+   * @param   {number}  index   - the index of the feature in the file (used if the feature has no id)
+   * @param   {Object}  ds      - the internal dataset
+   * @return  {Array}   Array of OSM entities, or `null` if the feature couldn't be converted
+   */
+  _parseFeature(feature, index, ds) {
+    const geom = feature.geometry;
+    if (!geom) return null;
+
+    const featureID = feature.id ?? index;
+    const props = feature.properties ?? {};
+    const translation = ds.dataset.translation;
+    const origTags = parseTags(props);
+    const tags = translation ? utilTranslateTags(origTags, translation, props) : origTags;
+    const entities = [];
+    const nodemap = new Map();
+
+    const metadata = (suffix) => {
+      const id = `${ds.id}-${featureID}` + (suffix !== undefined ? `-${suffix}` : '');
+      const result = { __fbid__: id, __service__: 'localfile', __datasetid__: ds.id };
+      if (translation) {
+        result.__origtags__ = origTags;   // so the Rapid inspector can show what changed
+      }
+      return result;
+    };
+
+    if (geom.type === 'Point') {
+      entities.push(new osmNode({ loc: geom.coordinates, tags: tags }, metadata()));
+
+    } else if (geom.type === 'MultiPoint') {
+      for (const [i, coord] of geom.coordinates.entries()) {
+        entities.push(new osmNode({ loc: coord, tags: tags }, metadata(i)));
+      }
+
+    } else if (geom.type === 'LineString') {
+      addLine(geom.coordinates, metadata());
+
+    } else if (geom.type === 'MultiLineString') {
+      for (const [i, coords] of geom.coordinates.entries()) {
+        addLine(coords, metadata(i));
+      }
+
+    } else if (geom.type === 'Polygon' || geom.type === 'MultiPolygon') {
+      const polygons = (geom.type === 'Polygon') ? [geom.coordinates] : geom.coordinates;
+      let ways = [];
+      let roles = [];
+      for (const polygon of polygons) {
+        for (const [i, ring] of polygon.entries()) {
+          const nodelist = parseCoordinates(ring);
+          if (nodelist.length < 3) continue;
+
+          const first = nodelist[0];
+          const last = nodelist[nodelist.length - 1];
+          if (first !== last) nodelist.push(first);   // sanity check, ensure rings are closed
+
+          ways.push(new osmWay({ nodes: nodelist }));
+          roles.push(i === 0 ? 'outer' : 'inner');
+        }
+      }
+
+      if (ways.length === 1) {  // single ring, assign tags and metadata to the way
+        entities.push(
+          ways[0].update( Object.assign({ tags: tags }, metadata()) )
+        );
+      } else if (ways.length > 1) {  // multiple rings, make a multipolygon relation with inner/outer members
+        const members = ways.map((w, i) => {
+          entities.push(w);
+          return { id: w.id, role: roles[i], type: 'way' };
+        });
+        const r = new osmRelation({ members: members, tags: Object.assign({}, tags, { type: 'multipolygon' }) }, metadata());
+        entities.push(r);
+      }
+    }
+
+    // Only the nodes were added - nothing usable was found
+    if (!entities.some(entity => entity.__fbid__)) return null;
+
+    return entities;
+
+
+    function addLine(coords, metadata) {
+      const nodelist = parseCoordinates(coords);
+      if (nodelist.length < 2) return;
+      entities.push(new osmWay({ nodes: nodelist, tags: tags }, metadata));
+    }
+
+    function parseCoordinates(coords) {
+      let nodelist = [];
+      for (const coord of coords) {
+        const key = coord.toString();
+        let n = nodemap.get(key);
+        if (!n) {
+          n = new osmNode({ loc: [coord[0], coord[1]] });
+          entities.push(n);
+          nodemap.set(key, n);
+        }
+        nodelist.push(n.id);
+      }
+      return nodelist;
+    }
+
+    function parseTags(props) {
+      let tags = {};
+      for (const prop of Object.keys(props)) {
+        const k = clean(ds.tagmap[prop]);
+        const v = clean(props[prop]);
+        if (k && v) {
+          tags[k] = v;
+        }
+      }
+      return tags;
+    }
+  }
+
+}
+
+
+function clean(val) {
+  if (val === null || val === undefined || typeof val === 'object') return null;
+  return val.toString().trim() || null;
+}
@@ -1,9 +1,9 @@
 import { Tiler, vecSubtract } from '@rapid-sdk/math';
 import RBush from 'rbush';
 
-import { AbstractSystem } from '../core/AbstractSystem';
+import { AbstractSystem } from '../core/AbstractSystem.js';
 import { QAItem } from '../osm/qa_item.js';
-import { utilFetchResponse } from '../util';
+import { utilFetchResponse } from '../util/index.js';
 
 const TILEZOOM = 14;
 const MAPROULETTE_API = 'https://maproulette.org/api/v2';
@@ -37,6 +37,7 @@ export class OsmService extends AbstractSystem {
 
     // Some defaults that we will replace with whatever we fetch from the OSM API capabilities result.
     this._maxWayNodes = 2000;
+    this._maxChangesetElements = 10000;
     this._imageryBlocklists = [/.*\.google(apis)?\..*\/(vt|kh)[\?\/].*([xyz]=.*){3}.*/];
     this._wwwroot = 'https://www.openstreetmap.org';
     this._apiroot = 'https://api.openstreetmap.org';
@@ -249,6 +250,11 @@ export class OsmService extends AbstractSystem {
     return this._maxWayNodes;
   }
 
+  // Returns the maximum number of elements a single changeset can have
+  get maxChangesetElements() {
+    return this._maxChangesetElements;
+  }
+
 
   changesetURL(changesetID) {
     return `${this._wwwroot}/changeset/${changesetID}`;
@@ -414,6 +420,30 @@ export class OsmService extends AbstractSystem {
   }
 
 
+  // Load all versions of a single entity, including deleted versions
+  // (Deleted versions have `visible: false`, and no tags or geometry)
+  // GET /api/0.6/[node|way|relation]/#id/history
+  loadEntityHistory(id, callback) {
+    const type = osmEntity.id.type(id);    // 'node', 'way', 'relation'
+    const osmID = osmEntity.id.toOSM(id);
+    const options = { skipSeen: false };
+
+    const gotHistory = (err, result) => {
+      if (err) return callback(err);
+      const versions = result.data
+        .filter(entity => entity.id === id)
+        .sort((a, b) => (+a.version) - (+b.version));
+      callback(null, Object.assign({}, result, { data: versions }));
+    };
+
+    this.loadFromAPI(
+      `/api/0.6/${type}/${osmID}/history.json`,
+      gotHistory,
+      options
+    );
+  }
+
+
   // Load the relations of a single entity with the given.
   // GET /api/0.6/[node|way|relation]/#id/relations
   loadEntityRelations(id, callback) {
@@ -452,6 +482,74 @@ export class OsmService extends AbstractSystem {
   }
 
 
+  /**
+   * parseOsmChange
+   * Parses an [osmChange](https://wiki.openstreetmap.org/wiki/OsmChange) document,
+   *  like the ones created by `osmChangeset.osmChangeJXON()`.
+   * @param   {Document}  xml - an XML Document containing an `osmChange` root element
+   * @return  {Object}    Object with `created`, `modified`, `deleted` Arrays of OSM entities
+   * @throws  Will throw if the document is not an osmChange document
+   */
+  parseOsmChange(xml) {
+    const root = xml?.documentElement;
+    if (root?.nodeName !== 'osmChange') {
+      throw new Error('Not an osmChange document');
+    }
+
+    const results = { created: [], modified: [], deleted: [] };
+    const actions = { create: 'created', modify: 'modified', delete: 'deleted' };
+    const parsers = { node: this._parseNodeXML, way: this._parseWayXML, relation: this._parseRelationXML };
+
+    for (const block of Array.from(root.children)) {
+      const result = results[actions[block.nodeName]];
+      if (!result) continue;
+
+      for (const child of Array.from(block.children)) {
+        const parser = parsers[child.nodeName];
+        if (!parser) continue;
+
+        const uid = osmEntity.id.fromOSM(child.nodeName, child.attributes.id.value);
+        result.push(parser(child, uid));
+      }
+    }
+
+    return results;
+  }
+
+
+  /**
+   * parseDiffResult
+   * Parses the [diffResult](https://wiki.openstreetmap.org/wiki/API_v0.6#Response_10)
+   *  that the OSM API returns after uploading changes to a changeset.
+   * @param   {Document}  xml - an XML Document containing a `diffResult` root element
+   * @return  {Array}     Array of Objects like `{ oldID, newID, newVersion }`, where `newID` and
+   *                       `newVersion` are `null` for deleted entities
+   * @throws  Will throw if the document is not a diffResult document
+   */
+  parseDiffResult(xml) {
+    const root = xml?.documentElement;
+    if (root?.nodeName !== 'diffResult') {
+      throw new Error('Not a diffResult document');
+    }
+
+    const results = [];
+    for (const child of Array.from(root.children)) {
+      const type = child.nodeName;
+      if (!['node', 'way', 'relation'].includes(type)) continue;
+
+      const oldID = child.getAttribute('old_id');
+      const newID = child.getAttribute('new_id');
+      results.push({
+        oldID: osmEntity.id.fromOSM(type, oldID),
+        newID: newID ? osmEntity.id.fromOSM(type, newID) : null,
+        newVersion: child.getAttribute('new_version') || null
+      });
+    }
+
+    return results;
+  }
+
+
   // Create a changeset
   // PUT /api/0.6/changeset/create
   createChangeset(changeset, callback) {
@@ -513,10 +611,10 @@ export class OsmService extends AbstractSystem {
       return callback({ message: 'Changeset ID mismatch', status: -4 });
     }
 
-    const uploadedChangeset = (err, /*result*/) => {
+    const uploadedChangeset = (err, result) => {
       this._changeset.inflight = null;
-      // we do get a changeset diff result, but we don't currently use it for anything
-      callback(err, changeset);
+      // The diffResult contains the new ids and versions of the uploaded entities
+      callback(err, changeset, result);
     };
 
     const errback = this._wrapcb(uploadedChangeset);
@@ -606,7 +704,7 @@ export class OsmService extends AbstractSystem {
       changeset = updated;
       if (err) { return callback(err, changeset); }
 
-      this.uploadChangeset(changeset, changes, (err, updated) => {
+      this.uploadChangeset(changeset, changes, (err, updated, diffResult) => {
         changeset = updated;
         if (err) { return callback(err, changeset); }
 
@@ -614,7 +712,7 @@ export class OsmService extends AbstractSystem {
         // Add delay to allow for postgres replication iD#1646 iD#2678
         window.setTimeout(() => {
           this._changeset.openChangesetID = null;
-          callback(null, changeset);
+          callback(null, changeset, diffResult);
         }, 2500);
 
         // Closing the changeset is optional, and we won't get a result.
@@ -1705,7 +1803,7 @@ export class OsmService extends AbstractSystem {
     return new osmNode({
       id: uid,
       visible: (!attrs.visible || attrs.visible.value !== 'false'),
-      version: attrs.version.value,
+      version: attrs.version?.value,
       changeset: attrs.changeset?.value,
       timestamp: attrs.timestamp?.value,
       user: attrs.user?.value,
@@ -1720,7 +1818,7 @@ export class OsmService extends AbstractSystem {
     return new osmWay({
       id: uid,
       visible: (!attrs.visible || attrs.visible.value !== 'false'),
-      version: attrs.version.value,
+      version: attrs.version?.value,
       changeset: attrs.changeset?.value,
       timestamp: attrs.timestamp?.value,
       user: attrs.user?.value,
@@ -1735,7 +1833,7 @@ export class OsmService extends AbstractSystem {
     return new osmRelation({
       id: uid,
       visible: (!attrs.visible || attrs.visible.value !== 'false'),
-      version: attrs.version.value,
+      version: attrs.version?.value,
       changeset: attrs.changeset?.value,
       timestamp: attrs.timestamp?.value,
       user: attrs.user?.value,
@@ -1842,6 +1940,12 @@ export class OsmService extends AbstractSystem {
       this._maxWayNodes = maxWayNodes;
     }
 
+    // Update max elements per changeset
+    const maxChangesetElements = json.api.changesets?.maximum_elements;
+    if (maxChangesetElements && isFinite(maxChangesetElements)) {
+      this._maxChangesetElements = maxChangesetElements;
+    }
+
     // Return status
     const apiStatus = json.api.status.api;  // 'online', 'readonly', or 'offline'
     return apiStatus;
@@ -1872,6 +1976,13 @@ export class OsmService extends AbstractSystem {
       this._maxWayNodes = maxWayNodes;
     }
 
+    // Update max elements per changeset
+    const changesets = xml.getElementsByTagName('changesets');
+    const maxChangesetElements = changesets.length && parseInt(changesets[0].getAttribute('maximum_elements'), 10);
+    if (maxChangesetElements && isFinite(maxChangesetElements)) {
+      this._maxChangesetElements = maxChangesetElements;
+    }
+
     // Return status
     const apiStatus = xml.getElementsByTagName('status');
     return apiStatus[0].getAttribute('api');   // 'online', 'readonly', or 'offline'
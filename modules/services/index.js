@@ -1,6 +1,7 @@
 import { EsriService } from './EsriService.js';
 import { KartaviewService } from './KartaviewService.js';
 import { KeepRightService } from './KeepRightService.js';
+import { LocalFileService } from './LocalFileService.js';
 import { MapillaryService } from './MapillaryService.js';
 import { MapRouletteService } from './MapRouletteService.js';
 import { MapWithAIService } from './MapWithAIService.js';
@@ -21,6 +22,7 @@ export {
   EsriService,
   KartaviewService,
   KeepRightService,
+  LocalFileService,
   MapillaryService,
   MapRouletteService,
   MapWithAIService,
@@ -46,6 +48,7 @@ services.available.set('esri', EsriService);
 services.available.set('geoScribble', GeoScribbleService);
 services.available.set('kartaview', KartaviewService);
 services.available.set('keepRight', KeepRightService);
+services.available.set('localfile', LocalFileService);
 services.available.set('mapillary', MapillaryService);
 services.available.set('maproulette', MapRouletteService);
 services.available.set('mapwithai', MapWithAIService);
@@ -20,6 +20,7 @@ export class UiApiStatus {
     this._apiStatus = null;
     this._backupStatus = null;
     this._gfxStatus = null;
+    this._memoryOnlyDismissed = false;
 
     // D3 selections
     this.$parent = null;
@@ -75,6 +76,7 @@ export class UiApiStatus {
 
     const context = this.context;
     const l10n = context.systems.l10n;
+    const storage = context.systems.storage;
     const osm = context.services.osm;
 
     // When the rate limit has expired, this will return `null`
@@ -148,6 +150,19 @@ export class UiApiStatus {
 
     } else if (this._backupStatus === 'error') {  // API is fine, but backups are not..
       $apiStatus.text(l10n.t('status.message.local_storage_full'));
+
+    } else if (storage && !storage.persistsSessions && !this._memoryOnlyDismissed) {  // Backups work, but only in memory..
+      $apiStatus.text(l10n.t('status.message.backup_memory_only') + ' ');
+
+      $apiStatus
+        .append('a')
+        .attr('href', '#')
+        .text(l10n.t('status.dismiss'))
+        .on('click.dismiss', e => {
+          e.preventDefault();
+          this._memoryOnlyDismissed = true;
+          this.render();
+        });
     }
   }
 
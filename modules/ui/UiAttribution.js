@@ -72,6 +72,11 @@ export class UiAttribution {
       data[0].sources.push(baselayer);
     }
 
+    const compare = imagery.compareLayerSource();
+    if (compare && compare.id !== baselayer?.id) {
+      data[0].sources.push(compare);
+    }
+
     const overlays = imagery.overlayLayerSources() || [];
     for (const overlay of overlays) {
       data[1].sources.push(overlay);
@@ -0,0 +1,614 @@
+import { uiIcon } from './icon.js';
+import { uiModal } from './modal.js';
+import { utilCmd, utilFuzzyMatch, utilNoAuto } from '../util/index.js';
+
+// The layers that can be shown or hidden from the palette, with the keymap commands that toggle them
+const LAYERS = [
+  ['osm',          'toggle_osm_data'],
+  ['notes',        'toggle_osm_notes'],
+  ['rapid',        'toggle_rapid_data'],
+  ['maproulette',  null],
+  ['keepRight',    null],
+  ['osmose',       null],
+  ['geoScribble',  null],
+  ['custom-data',  null],
+  ['streetside',   'toggle_streetside'],
+  ['mapillary',    'toggle_mapillary'],
+  ['mapillary-detections', null],
+  ['mapillary-signs',      null],
+  ['kartaview',    'toggle_kartaview']
+];
+
+// The other parts of the user interface that can be toggled, with the keymap commands that toggle them
+const TOGGLES = [
+  ['toggle_inspector',          ui => ui.Sidebar.toggle()],
+  ['toggle_minimap',            ui => ui.Minimap.toggle()],
+  ['toggle_3dmap',              (ui, context) => context.systems.map3d.toggle()],
+  ['toggle_all_cards',          ui => ui.InfoCards.toggle()],
+  ['toggle_background_card',    ui => ui.InfoCards.BackgroundCard.toggle()],
+  ['toggle_history_card',       ui => ui.InfoCards.HistoryCard.toggle()],
+  ['toggle_location_card',      ui => ui.InfoCards.LocationCard.toggle()],
+  ['toggle_measurement_card',   ui => ui.InfoCards.MeasurementCard.toggle()],
+  ['toggle_rapid_report_card',  ui => ui.InfoCards.RapidReportCard.toggle()],
+  ['toggle_routing_card',       ui => ui.InfoCards.RoutingCard.toggle()],
+  ['keyboard_shortcuts',        ui => ui.Shortcuts.show()]
+];
+
+const MODIFIERS = '⇧⌃⌥⌘';
+const MOUSE_WHEEL_OPTIONS = ['auto', 'zoom', 'pan'];
+
+
+/**
+ * UiCommandPalette
+ * This is a UI component for finding and running commands by typing part of their name (when the user presses ⌘K).
+ * It lists the operations available for the current selection, the modes, panes, layers, and preferences.
+ * Commands that can't be used right now are still listed, with the reason why they are disabled.
+ * It is a modified `uiModal` component.
+ *
+ * +------------------------------+
+ * | Search commands…           X |   `.command-palette-search`
+ * +------------------------------+
+ * | Split              Edit   X  |  \
+ * | Show Mapillary     Layer  ⇧M |  |-- `.command-palette-list`
+ * | Rotate             Edit   R  |  |    contains multiple `.command-palette-item`
+ * |   Not enough of it is visible|  /    (the active one is run when the user presses Enter)
+ * +------------------------------+
+ */
+export class UiCommandPalette {
+
+  /**
+   * @constructor
+   * @param  `context`  Global shared application context
+   */
+  constructor(context) {
+    this.context = context;
+
+    this._keys = null;
+    this._query = '';
+    this._commands = [];     // all the commands, gathered when the palette is shown
+    this._results = [];      // the commands that match the query, best match first
+    this._activeIndex = 0;   // index in `_results` of the command to run when the user presses Enter
+
+    // D3 selections
+    this.$modal = null;
+
+    // Ensure methods used as callbacks always have `this` bound correctly.
+    // (This is also necessary when using `d3-selection.call`)
+    this.show = this.show.bind(this);
+    this.hide = this.hide.bind(this);
+    this.toggle = this.toggle.bind(this);
+    this.render = this.render.bind(this);
+    this._input = this._input.bind(this);
+    this._keydown = this._keydown.bind(this);
+    this._setupKeybinding = this._setupKeybinding.bind(this);
+
+    // Setup event handlers..
+    const keymap = context.systems.keymap;
+    const l10n = context.systems.l10n;
+    l10n.on('localechange', this._setupKeybinding);
+    keymap.on('keymapchange', this._setupKeybinding);
+
+    this._setupKeybinding();
+  }
+
+
+  /**
+   * render
+   * Renders the content inside the modal.
+   * Note that most `render` functions accept a parent selection,
+   *  this one doesn't need it - `$modal` is always the parent.
+   */
+  render() {
+    // Modals are created at the time when `show()` is first called
+    if (!this.$modal) return;
+
+    const context = this.context;
+    const l10n = context.systems.l10n;
+    const $content = this.$modal.select('.content');
+
+    // enter
+    const $$search = $content
+      .selectAll('.command-palette-search')
+      .data([0])
+      .enter()
+      .append('div')
+      .attr('class', 'command-palette-search modal-section');
+
+    $$search
+      .call(uiIcon('#rapid-icon-search'));
+
+    $$search
+      .append('input')
+      .attr('type', 'search')
+      .attr('class', 'command-palette-input')
+      .attr('placeholder', l10n.t('command_palette.placeholder'))
+      .call(utilNoAuto)
+      .on('input', this._input)
+      .on('keydown', this._keydown);
+
+    $content
+      .selectAll('.command-palette-list')
+      .data([0])
+      .enter()
+      .append('ul')
+      .attr('class', 'command-palette-list modal-section');
+
+    $content
+      .selectAll('.command-palette-empty')
+      .data([0])
+      .enter()
+      .append('div')
+      .attr('class', 'command-palette-empty modal-section')
+      .text(l10n.t('command_palette.no_results'));
+
+
+    // update
+    $content.selectAll('.command-palette-empty')
+      .style('display', this._results.length ? 'none' : null);
+
+    let $items = $content.selectAll('.command-palette-list')
+      .selectAll('.command-palette-item')
+      .data(this._results, d => d.id);
+
+    $items.exit()
+      .remove();
+
+    const $$items = $items.enter()
+      .append('li')
+      .attr('class', 'command-palette-item')
+      .on('mousemove', (e, d) => {
+        const index = this._results.indexOf(d);
+        if (index === this._activeIndex) return;
+        this._activeIndex = index;
+        this._updateActive();
+      })
+      .on('click', (e, d) => {
+        e.preventDefault();
+        this._run(d);
+      });
+
+    const $$row = $$items
+      .append('div')
+      .attr('class', 'command-palette-row');
+
+    $$row
+      .append('span')
+      .attr('class', 'command-palette-label');
+
+    $$row
+      .append('span')
+      .attr('class', 'command-palette-group')
+      .text(d => l10n.t(`command_palette.group.${d.group}`));
+
+    $$row
+      .append('span')
+      .attr('class', 'command-palette-shortcut')
+      .selectAll('kbd')
+      .data(d => this._displayKeys(d.shortcut))
+      .enter()
+      .append('kbd')
+      .attr('class', 'shortcut')
+      .text(d => d);
+
+    $$items
+      .filter(d => d.disabled)
+      .append('div')
+      .attr('class', 'command-palette-reason')
+      .text(d => d.disabled);
+
+    $items = $items.merge($$items)
+      .order()
+      .classed('disabled', d => !!d.disabled);
+
+    // Emphasize the characters that matched the query
+    const $parts = $items.select('.command-palette-label')
+      .selectAll('span')
+      .data(d => this._labelParts(d.label, d.match.indices));
+
+    $parts.exit()
+      .remove();
+
+    $parts.enter()
+      .append('span')
+      .merge($parts)
+      .classed('matched', d => d.matched)
+      .text(d => d.text);
+
+    this._updateActive();
+  }
+
+
+  /**
+   * show
+   * Shows the command palette.
+   * This gathers the commands that can be run right now, then creates the modal, then render()
+   */
+  show() {
+    const context = this.context;
+    const $container = context.container();   // $container is always the parent for a modal
+
+    const isShowing = $container.selectAll('.shaded').size();
+    if (isShowing) return;  // a modal is already showing
+
+    this._commands = this._gatherCommands();
+    this._query = '';
+    this._filter();
+
+    this.$modal = uiModal($container);
+
+    this.$modal.select('.modal')
+      .classed('modal-command-palette', true);
+
+    this.render();
+
+    this.$modal.select('.command-palette-input')
+      .node()
+      .focus();
+  }
+
+
+  /**
+   * hide
+   * Hides the command palette.
+   */
+  hide() {
+    if (!this.$modal) return;
+    this.$modal.close();
+    this.$modal = null;
+  }
+
+
+  /**
+   * toggle
+   * Toggle the command palette
+   * @param  {Event} e? - triggering event (if any)
+   */
+  toggle(e) {
+    if (e) e.preventDefault();
+
+    const $container = this.context.container();
+
+    const otherShowing = $container.selectAll('.shaded > div:not(.modal-command-palette)').size();
+    if (otherShowing) return;  // some other modal is already showing
+
+    const isShowing = $container.selectAll('.shaded > div.modal-command-palette').size();
+    if (isShowing) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+
+  /**
+   * _gatherCommands
+   * Collects the commands that the palette can run.  Each command is an Object like:
+   *  `{ id, group, label, shortcut, disabled, run }`
+   * where `shortcut` is the key combo (if any), and `disabled` is the reason why
+   * the command can't be used right now, or `null` if it can be used.
+   * @return {Array}  Array of commands, in the order to list them when there is no query
+   */
+  _gatherCommands() {
+    const context = this.context;
+    const keymap = context.systems.keymap;
+    const l10n = context.systems.l10n;
+    const map = context.systems.map;
+    const storage = context.systems.storage;
+    const ui = context.systems.ui;
+    const scene = context.scene();
+    const modeID = context.mode?.id;
+    const isDrawing = /^draw/.test(modeID);
+    const commands = [];
+
+    // Operations available for the current selection (the same ones as the edit menu)
+    for (const operation of context.mode?.operations ?? []) {
+      if (!operation.available()) continue;
+      commands.push({
+        id: `operation-${operation.id}`,
+        group: 'operation',
+        label: operation.title,
+        shortcut: operation.keys?.[0],
+        disabled: operation.disabled() ? operation.tooltip() : null,
+        run: () => operation()
+      });
+    }
+
+    // Modes
+    const drawModes = ui.MapToolbar.DrawModes;
+    for (const d of drawModes.commands) {
+      let disabled = null;
+      if (!drawModes.buttonEnabled(d)) {
+        if (modeID === 'save') {
+          disabled = l10n.t('command_palette.disabled.saving');
+        } else if (d.id === 'add-note') {
+          disabled = l10n.t('command_palette.disabled.notes_hidden');
+        } else {
+          disabled = l10n.t('command_palette.disabled.osm_hidden');
+        }
+      }
+      commands.push({
+        id: `mode-${d.id}`,
+        group: 'mode',
+        label: l10n.t(`shortcuts.command.${d.id.replace('-', '_')}.label`),
+        shortcut: d.getKey(),
+        disabled: disabled,
+        run: () => drawModes.choose(null, d)
+      });
+    }
+
+    // Panes
+    for (const pane of ui.Overmap.MapPanes.panes) {
+      const key = pane.key();
+      commands.push({
+        id: `pane-${pane.id}`,
+        group: 'pane',
+        label: l10n.t('command_palette.toggle', { name: pane.label() }),
+        shortcut: (typeof key === 'function') ? key() : key,
+        disabled: null,
+        run: () => pane.togglePane()
+      });
+    }
+
+    for (const [commandID, toggle] of TOGGLES) {
+      commands.push({
+        id: `pane-${commandID}`,
+        group: 'pane',
+        label: l10n.t(`shortcuts.command.${commandID}.label`),
+        shortcut: utilCmd(keymap.combo(commandID)),
+        disabled: null,
+        run: () => toggle(ui, context)
+      });
+    }
+
+    // Layers
+    for (const [layerID, commandID] of LAYERS) {
+      const layer = scene.layers.get(layerID);
+      if (!layer || !layer.supported) continue;
+
+      let disabled = null;
+      if (isDrawing) {   // Don't allow layer changes while drawing - iD#6584
+        disabled = l10n.t('command_palette.disabled.drawing');
+      } else if (layerID === 'custom-data' && !layer.hasData) {
+        disabled = l10n.t('command_palette.disabled.no_custom_data');
+      }
+
+      const layerName = this._layerName(layerID);
+      commands.push({
+        id: `layer-${layerID}`,
+        group: 'layer',
+        label: l10n.t(layer.enabled ? 'command_palette.hide_layer' : 'command_palette.show_layer', { layer: layerName }),
+        shortcut: commandID ? utilCmd(keymap.combo(commandID)) : null,
+        disabled: disabled,
+        run: () => {
+          if (layer.enabled) {
+            scene.disableLayers(layerID);
+            if (layerID === 'osm' || layerID === 'notes') {
+              context.enter('browse');
+            }
+          } else {
+            scene.enableLayers(layerID);
+          }
+        }
+      });
+    }
+
+    // Preferences
+    for (const option of map.areaFillOptions) {
+      commands.push({
+        id: `preference-area_fill-${option}`,
+        group: 'preference',
+        label: l10n.t(`area_fill.${option}.description`),
+        shortcut: (option === 'wireframe') ? keymap.key('wireframe') : null,
+        disabled: null,
+        run: () => map.areaFillMode = option
+      });
+    }
+
+    commands.push({
+      id: 'preference-highlight_edits',
+      group: 'preference',
+      label: l10n.t('visual_diff.highlight_edits.description'),
+      shortcut: keymap.key('highlight_edits'),
+      disabled: null,
+      run: () => map.highlightEdits = !map.highlightEdits
+    });
+
+    for (const option of MOUSE_WHEEL_OPTIONS) {
+      commands.push({
+        id: `preference-mouse_wheel-${option}`,
+        group: 'preference',
+        label: l10n.t('command_palette.preference', {
+          preference: l10n.t('preferences.map_interaction.mouse_wheel.title'),
+          value: l10n.t(`preferences.map_interaction.mouse_wheel.${option}.title`)
+        }),
+        shortcut: null,
+        disabled: null,
+        run: () => storage.setItem('prefs.mouse_wheel.interaction', option)
+      });
+    }
+
+    commands.push({
+      id: 'preference-third_party_icons',
+      group: 'preference',
+      label: l10n.t('command_palette.toggle', { name: l10n.t('preferences.privacy.third_party_icons.description') }),
+      shortcut: null,
+      disabled: null,
+      run: () => {
+        const show = (storage.getItem('preferences.privacy.thirdpartyicons') ?? 'true') === 'true';
+        storage.setItem('preferences.privacy.thirdpartyicons', show ? 'false' : 'true');
+      }
+    });
+
+    return commands;
+  }
+
+
+  /**
+   * _layerName
+   * @param   {string}  layerID - the layer, for example 'mapillary-signs'
+   * @return  {string}  the name that the layer lists show for the layer
+   */
+  _layerName(layerID) {
+    const l10n = this.context.systems.l10n;
+    const photos = this.context.systems.photos;
+
+    if (layerID === 'custom-data') {
+      return l10n.t('map_data.layers.custom.title');
+    } else if (photos.layerIDs.includes(layerID)) {
+      return l10n.t(layerID.replace(/-/g, '_') + '.title');
+    } else {
+      return l10n.t(`map_data.layers.${layerID}.title`, { n: 999 });
+    }
+  }
+
+
+  /**
+   * _labelParts
+   * Splits a label into the parts that matched the query and the parts that didn't
+   * @param   {string}  label - the label of a command
+   * @param   {Array}   indices - the positions in the label of the characters that matched
+   * @return  {Array}   Array of Objects like `{ text, matched }`
+   */
+  _labelParts(label, indices) {
+    const matched = new Set(indices);
+    const parts = [];
+    for (let i = 0; i < label.length; i++) {
+      const isMatched = matched.has(i);
+      const last = parts.at(-1);
+      if (last && last.matched === isMatched) {
+        last.text += label[i];
+      } else {
+        parts.push({ text: label[i], matched: isMatched });
+      }
+    }
+    return parts;
+  }
+
+
+  /**
+   * _displayKeys
+   * Splits a key combo into the keys to show, for example '⌘⇧H' -> ['⌘ Cmd', '⇧ Shift', 'H']
+   * @param   {string}  combo - the key combo, may be empty
+   * @return  {Array}   Array of strings to display for each key
+   */
+  _displayKeys(combo) {
+    if (!combo) return [];
+
+    const keys = [];
+    let rest = combo;
+    while (rest.length > 1 && MODIFIERS.includes(rest[0])) {
+      keys.push(rest[0]);
+      rest = rest.slice(1);
+    }
+    keys.push(rest);
+
+    return keys.map(key => utilCmd.display(this.context, key));
+  }
+
+
+  /**
+   * _filter
+   * Updates the results to the commands that match the query, best match first.
+   * Without a query, all the commands are listed in their usual order.
+   */
+  _filter() {
+    const results = [];
+    for (const [i, command] of this._commands.entries()) {
+      const match = utilFuzzyMatch(this._query, command.label);
+      if (match) {
+        results.push({ command: command, match: match, index: i });
+      }
+    }
+
+    results.sort((a, b) => (b.match.score - a.match.score) || (a.index - b.index));
+    this._results = results.map(d => Object.assign({}, d.command, { match: d.match }));
+    this._activeIndex = 0;
+  }
+
+
+  /**
+   * _run
+   * Closes the palette, then runs the given command, unless it's disabled.
+   * @param  {Object}  command - the command to run
+   */
+  _run(command) {
+    if (!command || command.disabled) return;
+    this.hide();
+    command.run();
+  }
+
+
+  /**
+   * _updateActive
+   * Marks the command that will run when the user presses Enter, and makes sure it is visible.
+   */
+  _updateActive() {
+    if (!this.$modal) return;
+
+    const $items = this.$modal.selectAll('.command-palette-item')
+      .classed('active', (d, i) => i === this._activeIndex);
+
+    const node = $items.filter('.active').node();
+    if (node?.scrollIntoView) {
+      node.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+
+  /**
+   * _input
+   * Handler for typing in the search field
+   * @param  {Event}  e - the input event
+   */
+  _input(e) {
+    this._query = e.currentTarget.value;
+    this._filter();
+    this.render();
+  }
+
+
+  /**
+   * _keydown
+   * Handler for keys pressed in the search field, to choose a command and run it.
+   * (The modal's own keybinding doesn't handle keys pressed in input fields)
+   * @param  {Event}  e - the keydown event
+   */
+  _keydown(e) {
+    const count = this._results.length;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!count) return;
+      const step = (e.key === 'ArrowDown') ? 1 : -1;
+      this._activeIndex = (this._activeIndex + step + count) % count;
+      this._updateActive();
+
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      this._run(this._results[this._activeIndex]);
+
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      this.hide();
+    }
+  }
+
+
+  /**
+   * _setupKeybinding
+   * This sets up the keybinding, replacing existing if needed
+   */
+  _setupKeybinding() {
+    const context = this.context;
+    const keybinding = context.keybinding();
+    const keymap = context.systems.keymap;
+
+    if (Array.isArray(this._keys)) {
+      keybinding.off(this._keys);
+    }
+
+    this._keys = [utilCmd(keymap.combo('command_palette'))];
+    context.keybinding().on(this._keys, this.toggle);
+  }
+
+}
@@ -49,14 +49,17 @@ export class UiFeatureList {
     this._mouseout = this._mouseout.bind(this);
     this._mouseover = this._mouseover.bind(this);
     this._nominatimSearch = this._nominatimSearch.bind(this);
+    this._setupKeybinding = this._setupKeybinding.bind(this);
 
     // Setup event listeners
     context.on('modechange', this._clearSearch);
 //    context.systems.map
 //     .on('drawn.feature-list', mapDrawn);
 
-    const key = utilCmd('⌘F');
-    context.keybinding().on(key, this._focusSearch);
+    context.systems.l10n.on('localechange', this._setupKeybinding);
+    context.systems.keymap.on('keymapchange', this._setupKeybinding);
+
+    this._setupKeybinding();
   }
 
 
@@ -242,7 +245,7 @@ export class UiFeatureList {
 
   /*
    * _focusSearch
-   * Handler for the ⌘F shortcut to focus the search input
+   * Handler for the find shortcut (default ⌘F) to focus the search input
    * @param {KeyboardEvent}  e? - the keypress event (if any)
    */
   _focusSearch(e) {
@@ -549,4 +552,22 @@ export class UiFeatureList {
     return results;
   }
 
+
+  /**
+   * _setupKeybinding
+   * This sets up the keybinding, replacing existing if needed
+   */
+  _setupKeybinding() {
+    const context = this.context;
+    const keybinding = context.keybinding();
+    const keymap = context.systems.keymap;
+
+    if (Array.isArray(this._keys)) {
+      keybinding.off(this._keys);
+    }
+
+    this._keys = [utilCmd(keymap.combo('find'))];
+    keybinding.on(this._keys, this._focusSearch);
+  }
+
 }
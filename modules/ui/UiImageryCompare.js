@@ -0,0 +1,183 @@
+import { selection, select } from 'd3-selection';
+
+import { uiIcon } from './icon.js';
+
+
+/**
+ * UiImageryCompare
+ * This component shows the swipe divider while comparing 2 imagery sources.
+ * The base imagery is shown left of the divider and the compared imagery right of it,
+ * and users can drag the divider to see more of either side.
+ * Only the divider itself catches pointer events, so the map underneath stays editable.
+ *
+ * @example
+ * <div class='imagery-compare'>
+ *   <div class='imagery-compare-divider'>
+ *     <div class='imagery-compare-handle'/>
+ *     <div class='imagery-compare-label left'/>
+ *     <div class='imagery-compare-label right'/>
+ *   </div>
+ * </div>
+ */
+export class UiImageryCompare {
+
+  /**
+   * @constructor
+   * @param  `context`  Global shared application context
+   */
+  constructor(context) {
+    this.context = context;
+
+    // D3 selections
+    this.$parent = null;
+
+    // Ensure methods used as callbacks always have `this` bound correctly.
+    // (This is also necessary when using `d3-selection.call`)
+    this.render = this.render.bind(this);
+    this.rerender = (() => this.render());  // call render without argument
+    this._pointerdown = this._pointerdown.bind(this);
+
+    context.systems.imagery.on('imagerychange', this.rerender);
+  }
+
+
+  /**
+   * render
+   * Accepts a parent selection, and renders the content under it.
+   * (The parent selection is required the first time, but can be inferred on subsequent renders)
+   * @param {d3-selection} $parent - A d3-selection to a HTMLElement that this component should render itself into
+   */
+  render($parent = this.$parent) {
+    if ($parent instanceof selection) {
+      this.$parent = $parent;
+    } else {
+      return;   // no parent - called too early?
+    }
+
+    const context = this.context;
+    const imagery = context.systems.imagery;
+    const l10n = context.systems.l10n;
+
+    const base = imagery.baseLayerSource();
+    const compare = imagery.compareLayerSource();
+    const isComparing = !!(base && compare && base.key !== compare.key);
+
+    let $compare = $parent.selectAll('.imagery-compare')
+      .data([0]);
+
+    // enter
+    const $$compare = $compare.enter()
+      .append('div')
+      .attr('class', 'imagery-compare');
+
+    const $$divider = $$compare
+      .append('div')
+      .attr('class', 'imagery-compare-divider')
+      .on('pointerdown', this._pointerdown);
+
+    $$divider
+      .append('div')
+      .attr('class', 'imagery-compare-handle')
+      .call(uiIcon('#rapid-icon-backward'))
+      .call(uiIcon('#rapid-icon-forward'));
+
+    $$divider
+      .append('div')
+      .attr('class', 'imagery-compare-label left');
+
+    const $$right = $$divider
+      .append('div')
+      .attr('class', 'imagery-compare-label right');
+
+    $$right
+      .append('span')
+      .attr('class', 'imagery-compare-name');
+
+    $$right
+      .append('button')
+      .attr('class', 'imagery-compare-close')
+      .on('pointerdown', d3_event => d3_event.stopPropagation())   // don't start dragging
+      .on('click', d3_event => {
+        d3_event.preventDefault();
+        imagery.compareLayerSource(null);
+      })
+      .call(uiIcon('#rapid-icon-close'));
+
+    // update
+    $compare = $compare.merge($$compare)
+      .classed('hide', !isComparing);
+
+    if (!isComparing) return;
+
+    const $divider = $compare.selectAll('.imagery-compare-divider')
+      .attr('title', l10n.t('background.compare.drag'))
+      .style('left', `${imagery.swipePosition * 100}%`);
+
+    $divider.selectAll('.imagery-compare-label.left')
+      .text(this._sourceName(base));
+
+    $divider.selectAll('.imagery-compare-name')
+      .text(this._sourceName(compare));
+
+    $divider.selectAll('.imagery-compare-close')
+      .attr('title', l10n.t('background.compare.stop'));
+  }
+
+
+  /**
+   * _sourceName
+   * Wayback imagery can be compared with another date of itself, so include the date in its name.
+   * @param   {ImagerySource}  source
+   * @return  {string}  The name to show for the source
+   */
+  _sourceName(source) {
+    const date = source.date;
+    if (date) {
+      return this.context.systems.l10n.t('background.compare.dated', { name: source.name, date: date });
+    } else {
+      return source.name;
+    }
+  }
+
+
+  /**
+   * _pointerdown
+   * Start dragging the divider.
+   * While dragging, the divider follows the pointer, as a fraction of the width of the parent.
+   * @param  d3_event - pointerdown event
+   */
+  _pointerdown(d3_event) {
+    if (d3_event.button !== 0) return;
+    d3_event.preventDefault();
+
+    const imagery = this.context.systems.imagery;
+    const parentNode = this.$parent.node();
+    const pointerId = d3_event.pointerId || 'mouse';
+
+    this.$parent.selectAll('.imagery-compare')
+      .classed('dragging', true);
+
+    const pointermove = (d3_event) => {
+      if (pointerId !== (d3_event.pointerId || 'mouse')) return;
+      const rect = parentNode.getBoundingClientRect();
+      if (!rect.width) return;
+      imagery.swipePosition = (d3_event.clientX - rect.left) / rect.width;
+    };
+
+    const pointerup = (d3_event) => {
+      if (pointerId !== (d3_event.pointerId || 'mouse')) return;
+
+      this.$parent.selectAll('.imagery-compare')
+        .classed('dragging', false);
+
+      select(window)
+        .on('.imagery-compare', null);
+    };
+
+    select(window)
+      .on('pointermove.imagery-compare', pointermove)
+      .on('pointerup.imagery-compare', pointerup)
+      .on('pointercancel.imagery-compare', pointerup);
+  }
+
+}
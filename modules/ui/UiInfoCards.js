@@ -4,6 +4,8 @@ import { UiBackgroundCard } from './cards/UiBackgroundCard.js';
 import { UiHistoryCard } from './cards/UiHistoryCard.js';
 import { UiLocationCard } from './cards/UiLocationCard.js';
 import { UiMeasurementCard } from './cards/UiMeasurementCard.js';
+import { UiRapidReportCard } from './cards/UiRapidReportCard.js';
+import { UiRoutingCard } from './cards/UiRoutingCard.js';
 import { utilCmd } from '../util/cmd.js';
 
 
@@ -30,13 +32,17 @@ export class UiInfoCards {
     this.HistoryCard = new UiHistoryCard(context);
     this.LocationCard = new UiLocationCard(context);
     this.MeasurementCard = new UiMeasurementCard(context);
+    this.RapidReportCard = new UiRapidReportCard(context);
+    this.RoutingCard = new UiRoutingCard(context);
 
     // Info Cards
     this.cards = [
       this.BackgroundCard,
       this.HistoryCard,
       this.LocationCard,
-      this.MeasurementCard
+      this.MeasurementCard,
+      this.RapidReportCard,
+      this.RoutingCard
     ];
 
     // D3 selections
@@ -49,8 +55,10 @@ export class UiInfoCards {
     this._setupKeybinding = this._setupKeybinding.bind(this);
 
     // Setup event handlers..
+    const keymap = context.systems.keymap;
     const l10n = context.systems.l10n;
     l10n.on('localechange', this._setupKeybinding);
+    keymap.on('keymapchange', this._setupKeybinding);
     this._setupKeybinding();
   }
 
@@ -128,14 +136,14 @@ export class UiInfoCards {
   _setupKeybinding() {
     const context = this.context;
     const keybinding = context.keybinding();
-    const l10n = context.systems.l10n;
+    const keymap = context.systems.keymap;
 
     if (Array.isArray(this._keys)) {
       keybinding.off(this._keys);
     }
 
     // Bind ⌘I to show/hide all cards
-    this._keys = [utilCmd('⌘' + l10n.t('shortcuts.command.toggle_all_cards.key'))];
+    this._keys = [utilCmd('⌘' + keymap.key('toggle_all_cards'))];
     context.keybinding().on(this._keys, this.toggle);
   }
 
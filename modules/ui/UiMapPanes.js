@@ -83,4 +83,44 @@ export class UiMapPanes {
       });
   }
 
+
+  /**
+   * addPane
+   * Adds a pane that is not one of the built-in panes (e.g. from a plugin).
+   * @param  {Object}  pane - A pane created with `uiPane`
+   * @throws Will throw if there is already a pane with the same id
+   */
+  addPane(pane) {
+    if (this.panes.some(other => other.id === pane.id)) {
+      throw new Error(`Pane '${pane.id}' already exists`);
+    }
+    this.panes.push(pane);
+    this.render();
+  }
+
+
+  /**
+   * removePane
+   * Removes a pane that was added with `addPane`, and its toggle button.
+   * @param  {string}  paneID - The id of the pane to remove
+   */
+  removePane(paneID) {
+    const pane = this.panes.find(pane => pane.id === paneID);
+    if (!pane) return;
+
+    const context = this.context;
+    const ui = context.systems.ui;
+    const $parent = this.$parent;
+
+    if ($parent) {
+      const $pane = $parent.selectAll(`.map-pane.${paneID}-pane`);
+      if ($pane.classed('shown')) {
+        ui.togglePanes();   // hide it first
+      }
+      $pane.remove();
+      $parent.selectAll(`.map-pane-control.${paneID}-control`).remove();
+    }
+    this.panes = this.panes.filter(d => d !== pane);
+  }
+
 }
@@ -1,7 +1,7 @@
 import { selection, select } from 'd3-selection';
 
 import {
-  UiDownloadTool, UiDrawModesTool, UiRapidTool, UiSaveTool, UiUndoRedoTool
+  UiDownloadTool, UiDrawModesTool, UiImportTool, UiRapidTool, UiSaveTool, UiUndoRedoTool
 } from './tools/index.js';
 
 
@@ -34,6 +34,7 @@ export class UiMapToolbar {
     this.UndoRedo = new UiUndoRedoTool(context);
     this.Save = new UiSaveTool(context);
     this.Download = new UiDownloadTool(context);
+    this.Import = new UiImportTool(context);
 
     // D3 selections
     this.$parent = null;
@@ -73,7 +74,8 @@ export class UiMapToolbar {
       'spacer',
       this.UndoRedo,
       this.Save,
-      this.Download
+      this.Download,
+      this.Import
     ];
 
     // Create wrapper div if necessary
@@ -114,9 +116,9 @@ export class UiMapToolbar {
     $items = $items.merge($$items);
 
     // hidden/undocumented feature:
-    // only show the "Download" button if urlhash ccontains `&download_osc=true`
+    // only show the "Download" and "Import" buttons if urlhash ccontains `&download_osc=true`
     const showDownload = urlhash.getParam('download_osc') === 'true';
-    $items.filter(d => d.id === 'download_osc')
+    $items.filter(d => d.id === 'download_osc' || d.id === 'import_osc')
       .classed('hide', !showDownload);
 
     $items
@@ -61,8 +61,10 @@ export class UiMinimap {
       .on('end', this._zoomEnded);
 
     // Setup event handlers..
+    const keymap = context.systems.keymap;
     const l10n = context.systems.l10n;
     l10n.on('localechange', this._setupKeybinding);
+    keymap.on('keymapchange', this._setupKeybinding);
     this._setupKeybinding();
   }
 
@@ -544,13 +546,13 @@ renderer.view.canvas = mainCanvas;  // restore main canvas
   _setupKeybinding() {
     const context = this.context;
     const keybinding = context.keybinding();
-    const l10n = context.systems.l10n;
+    const keymap = context.systems.keymap;
 
     if (Array.isArray(this._keys)) {
       keybinding.off(this._keys);
     }
 
-    this._keys = [l10n.t('shortcuts.command.toggle_minimap.key')];
+    this._keys = [keymap.key('toggle_minimap')];
     context.keybinding().on(this._keys, this.toggle);
   }
 }
@@ -1,6 +1,7 @@
 import { selection } from 'd3-selection';
 
 import { UiAttribution } from './UiAttribution.js';
+import { UiImageryCompare } from './UiImageryCompare.js';
 import { UiInfoCards } from './UiInfoCards.js';
 import { UiMap3dViewer } from './UiMap3dViewer.js';
 import { UiMapControls } from './UiMapControls.js';
@@ -17,7 +18,7 @@ import { UiSpector } from './UiSpector.js';
  * @example
  * <div class='over-map'>
  *   // Lots of things live in here..
- *   // Minimap, map controls, map panes, info cards, photo viewer
+ *   // Imagery compare divider, minimap, map controls, map panes, info cards, photo viewer
  *   …
  * </div>
  */
@@ -32,6 +33,7 @@ export class UiOvermap {
 
     // Create child components
     this.Attribution = new UiAttribution(context);
+    this.ImageryCompare = new UiImageryCompare(context);
     this.InfoCards = new UiInfoCards(context);
     this.Map3dViewer = new UiMap3dViewer(context);
     this.MapControls = new UiMapControls(context);
@@ -83,6 +85,7 @@ export class UiOvermap {
     $overmap = $overmap.merge($$overmap);
 
     $overmap
+      .call(this.ImageryCompare.render)
       .call(this.Minimap.render)
       .call(this.Map3dViewer.render)
       .call(this.Spector.render)
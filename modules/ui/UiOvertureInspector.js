@@ -3,6 +3,7 @@ import { marked } from 'marked';
 
 import { uiIcon } from './icon.js';
 import { uiTooltip } from './tooltip.js';
+import { utilTranslateTags } from '../util/index.js';
 
 
 
@@ -17,6 +18,7 @@ import { uiTooltip } from './tooltip.js';
  *    <div class='header'>…</div>
  *    <div class='body'>
  *      <div class='theme-info'/>              // Theme name, e.g. "Places" or "Addresses"
+ *      <div class='translation-info'/>        // Translated tags, if the dataset has translation rules
  *      <div class='property-info'/>           // List of properties on this feature
  *    </div>
  *  </div>
@@ -44,6 +46,7 @@ export class UiOvertureInspector {
     // (This is also necessary when using `d3-selection.call`)
     this.render = this.render.bind(this);
     this.renderFeatureInfo = this.renderFeatureInfo.bind(this);
+    this.renderTranslationInfo = this.renderTranslationInfo.bind(this);
     this.renderPropertyInfo = this.renderPropertyInfo.bind(this);
     this.renderNotice = this.renderNotice.bind(this);
   }
@@ -106,6 +109,7 @@ export class UiOvertureInspector {
 
     $inspector.selectAll('.body')
       .call(this.renderFeatureInfo)
+      .call(this.renderTranslationInfo)
       .call(this.renderPropertyInfo)
       .call(this.renderNotice);
   }
@@ -169,6 +173,53 @@ export class UiOvertureInspector {
   }
 
 
+  /**
+   * renderTranslationInfo
+   * Renders the 'translation-info' section
+   * If the dataset has translation rules, this previews the OSM tags that the properties translate to.
+   * @param {d3-selection} $selection - A d3-selection to a HTMLElement that this content should render itself into
+   */
+  renderTranslationInfo($selection) {
+    const context = this.context;
+    const l10n = context.systems.l10n;
+    const rapid = context.systems.rapid;
+    const datum = this.datum;
+
+    const datasetID = datum?.__datasetid__.replace('-conflated', '');
+    const translation = datasetID && rapid.catalog.get(datasetID)?.translation;
+    const properties = datum?.geojson.properties;
+    const tags = (translation && properties) ? utilTranslateTags(properties, translation) : {};
+
+    let $translationInfo = $selection.selectAll('.translation-info')
+      .data(Object.keys(tags).length ? [0] : []);
+
+    $translationInfo.exit()
+      .remove();
+
+    // enter
+    const $$translationInfo = $translationInfo.enter()
+      .append('div')
+      .attr('class', 'translation-info');
+
+    const $$propBag = $$translationInfo
+      .append('div')
+      .attr('class', 'property-bag');
+
+    $$propBag
+      .append('div')
+      .attr('class', 'property-heading')
+      .text(l10n.t('rapid_inspector.translated_tags'));
+
+    for (const [k, v] of Object.entries(tags)) {
+      const $$tagEntry = $$propBag.append('div').attr('class', 'property-entry');
+      $$tagEntry.append('div').attr('class', 'property-value').text(`${k}=${v}`);
+    }
+
+    // update
+    $translationInfo = $translationInfo.merge($$translationInfo);
+  }
+
+
   /**
    * renderPropertyInfo
    * Renders the 'property-info' section
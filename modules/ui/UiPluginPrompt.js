@@ -0,0 +1,125 @@
+import { uiModal } from './modal.js';
+
+
+/**
+ * UiPluginPrompt
+ * This is the modal that asks the user to allow a plugin before it loads,
+ * showing where it comes from and what it will be permitted to do.
+ * It is shown by the `PluginSystem`.  The modal is blocking, so the user must choose.
+ *
+ * @example
+ * <div class='modal modal-alert plugin-prompt'>
+ *   <div class='content'>
+ *     <div class='modal-section header'/>          // "Allow plugin "My Plugin"?"
+ *     <div class='modal-section message-text'>
+ *       <p class='plugin-prompt-source'/>         // version and URL
+ *       <p class='plugin-prompt-description'/>
+ *       <ul class='plugin-prompt-permissions'/>   // …list of permissions…
+ *       <p class='plugin-prompt-warning'/>        // "Only allow plugins you trust…"
+ *     </div>
+ *     <div class='modal-section buttons'/>         // "Cancel" / "Allow" buttons
+ *   </div>
+ * </div>
+ */
+export class UiPluginPrompt {
+
+  /**
+   * @constructor
+   * @param  `context`  Global shared application context
+   */
+  constructor(context) {
+    this.context = context;
+  }
+
+
+  /**
+   * showAsync
+   * Shows the prompt
+   * @param   {Object}   manifest - the plugin manifest
+   * @param   {string}   url - the URL the manifest was loaded from
+   * @return  {Promise}  Promise resolved with `true` if the user allowed the plugin, `false` otherwise
+   */
+  showAsync(manifest, url) {
+    const context = this.context;
+    const l10n = context.systems.l10n;
+    const $container = context.container();
+    if (!$container?.size()) return Promise.resolve(false);
+
+    return new Promise(resolve => {
+      const $modal = uiModal($container, true);   // blocking
+
+      $modal.select('.modal')
+        .classed('modal-alert', true)
+        .classed('plugin-prompt', true);
+
+      const $content = $modal.select('.content');
+
+      $content
+        .append('div')
+        .attr('class', 'modal-section header')
+        .append('h3')
+        .text(l10n.t('plugins.prompt.title', { name: manifest.name }));
+
+      const $message = $content
+        .append('div')
+        .attr('class', 'modal-section message-text');
+
+      $message
+        .append('p')
+        .attr('class', 'plugin-prompt-source')
+        .text(l10n.t('plugins.prompt.source', { version: manifest.version || '?', url: url }));
+
+      if (manifest.description) {
+        $message
+          .append('p')
+          .attr('class', 'plugin-prompt-description')
+          .text(manifest.description);
+      }
+
+      const permissions = manifest.permissions.length ? manifest.permissions : ['none'];
+      $message
+        .append('p')
+        .text(l10n.t('plugins.prompt.permissions'));
+
+      $message
+        .append('ul')
+        .attr('class', 'plugin-prompt-permissions')
+        .selectAll('li')
+        .data(permissions)
+        .enter()
+        .append('li')
+        .text(d => l10n.t(`plugins.permission.${d}`));
+
+      $message
+        .append('p')
+        .attr('class', 'plugin-prompt-warning')
+        .text(l10n.t('plugins.prompt.warning'));
+
+      // Setup Cancel/Allow buttons
+      const $buttons = $content
+        .append('div')
+        .attr('class', 'modal-section buttons cf');
+
+      $buttons
+        .append('button')
+        .attr('class', 'button cancel-button secondary-action')
+        .text(l10n.t('confirm.cancel'))
+        .on('click', () => {
+          $modal.remove();
+          resolve(false);
+        });
+
+      $buttons
+        .append('button')
+        .attr('class', 'button ok-button action')
+        .text(l10n.t('plugins.prompt.allow'))
+        .on('click', () => {
+          $modal.remove();
+          resolve(true);
+        });
+
+      $buttons.select('.cancel-button').node().focus();
+    });
+  }
+
+}
@@ -0,0 +1,109 @@
+import { uiConfirm } from './confirm.js';
+
+
+/**
+ * UiRapidAcceptReport
+ * This is the modal that reports the results of accepting many Rapid features at once,
+ * including how many features were skipped and why.
+ * It is shown automatically whenever the RapidSystem emits `featuresaccepted`.
+ *
+ * @example
+ * <div class='modal modal-alert rapid-accept-report'>
+ *   <div class='content'>
+ *     <div class='modal-section header'/>          // "Added Rapid Features"
+ *     <div class='modal-section message-text'>
+ *       <p class='rapid-accept-summary'/>         // "Added 12 features."
+ *       <ul class='rapid-accept-skipped'/>        // …list of reasons features were skipped…
+ *     </div>
+ *     <div class='modal-section buttons'/>         // "OK" button
+ *   </div>
+ * </div>
+ */
+export class UiRapidAcceptReport {
+
+  /**
+   * @constructor
+   * @param  `context`  Global shared application context
+   */
+  constructor(context) {
+    this.context = context;
+
+    // Ensure methods used as callbacks always have `this` bound correctly.
+    this.show = this.show.bind(this);
+
+    // Setup event handlers
+    const rapid = context.systems.rapid;
+    if (rapid) {
+      rapid.on('featuresaccepted', this.show);
+    }
+  }
+
+
+  /**
+   * show
+   * Shows the report modal
+   * @param  {Object}  result - the result returned from `RapidSystem.acceptFeatures()`
+   */
+  show(result) {
+    const context = this.context;
+    const l10n = context.systems.l10n;
+    const validator = context.systems.validator;
+    const $container = context.container();
+    if (!$container || context.inIntro) return;
+
+    const skippedCount = [...result.skipped.values()].reduce((acc, n) => acc + n, 0);
+    const acceptedCount = result.accepted.length;
+
+    const $modal = uiConfirm(context, $container);
+
+    $modal.select('.modal')
+      .classed('rapid-accept-report', true);
+
+    $modal.select('.modal-section.header')
+      .append('h3')
+      .text(l10n.t('rapid_batch_accept.title'));
+
+    const $message = $modal.select('.modal-section.message-text');
+
+    let summary;
+    if (!acceptedCount && !skippedCount) {
+      summary = l10n.t('rapid_batch_accept.none');
+    } else {
+      summary = l10n.t('rapid_batch_accept.accepted', { n: acceptedCount });
+      if (skippedCount) {
+        summary += ' ' + l10n.t('rapid_batch_accept.skipped', { n: skippedCount });
+      }
+    }
+
+    $message
+      .append('p')
+      .attr('class', 'rapid-accept-summary')
+      .text(summary);
+
+    const reasons = [...result.skipped.entries()].sort((a, b) => b[1] - a[1]);
+
+    const $reasons = $message
+      .append('ul')
+      .attr('class', 'rapid-accept-skipped')
+      .selectAll('li')
+      .data(reasons)
+      .enter()
+      .append('li')
+      .text(([reason, n]) => l10n.t(`rapid_batch_accept.reason.${reason}`, { n: n }));
+
+    // For validation, also list the issues that were found
+    const issues = [...result.issues.entries()].sort((a, b) => b[1] - a[1]);
+
+    $reasons
+      .filter(([reason]) => reason === 'validation')
+      .append('ul')
+      .selectAll('li')
+      .data(issues)
+      .enter()
+      .append('li')
+      .text(([type, n]) => l10n.t('rapid_batch_accept.issue', { n: n, issue: validator.getRuleTitle(type) }));
+
+    $modal.okButton();
+  }
+
+}
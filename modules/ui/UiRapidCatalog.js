@@ -28,6 +28,12 @@ export class UiRapidCatalog extends EventEmitter {
 
     this._filterText = null;
     this._filterCategory = null;
+    this._localFile = null;      // a parsed local file, waiting for the user to map its properties to tags
+    this._localTagmap = null;
+    this._localLabel = null;
+    this._localTranslation = null;   // optional translation rules for the local file, see `utilTranslateTags`
+    this._localTranslationName = null;
+    this._localError = null;
     this._myClose = () => true;   // custom close handler
 
     // Child components
@@ -44,6 +50,11 @@ export class UiRapidCatalog extends EventEmitter {
     this.render = this.render.bind(this);
     this.rerender = (() => this.render());  // call render without argument
     this.renderDatasets = this.renderDatasets.bind(this);
+    this.renderLocalFile = this.renderLocalFile.bind(this);
+    this.chooseLocalFile = this.chooseLocalFile.bind(this);
+    this.addLocalFile = this.addLocalFile.bind(this);
+    this.chooseTranslation = this.chooseTranslation.bind(this);
+    this.cancelLocalFile = this.cancelLocalFile.bind(this);
     this.sortCategories = this.sortCategories.bind(this);
     this.sortDatasets = this.sortDatasets.bind(this);
     this.toggleDataset = this.toggleDataset.bind(this);
@@ -77,6 +88,7 @@ export class UiRapidCatalog extends EventEmitter {
     this._myClose = () => {
       this._filterText = null;
       this._filterCategory = null;
+      this._resetLocalFile();
       this.$modal
         .transition()
         .duration(200)
@@ -270,6 +282,22 @@ export class UiRapidCatalog extends EventEmitter {
       .text(l10n.t('rapid_menu.clear_filters'));
 
 
+    /* Local file section */
+    let $localfile = $content.selectAll('.rapid-catalog-localfile')
+      .data(context.services.localfile ? [0] : []);
+
+    // enter
+    const $$localfile = $localfile.enter()
+      .append('div')
+      .attr('class', 'modal-section rapid-catalog-localfile');
+
+    // update
+    $localfile = $localfile.merge($$localfile);
+
+    $localfile
+      .call(this.renderLocalFile);
+
+
     /* Dataset section */
     let $datasets = $content.selectAll('.rapid-catalog-datasets-section')
       .data([0]);
@@ -506,6 +534,265 @@ export class UiRapidCatalog extends EventEmitter {
   }
 
 
+  /**
+   * renderLocalFile
+   * Renders the controls for loading a local file into the `.rapid-catalog-localfile` div.
+   * After the user chooses a file, this shows the tag mapping step, where the user can
+   * choose which OSM tag each of the file's properties should become.
+   * @param {d3-selection} $selection - A d3-selection to a HTMLElement that this component should render itself into
+   */
+  renderLocalFile($selection) {
+    if (!this.$modal) return;  // need to call `show()` first to create the modal.
+
+    const context = this.context;
+    const l10n = context.systems.l10n;
+
+    // Empty out the DOM content and rebuild from scratch..
+    $selection.html('');
+
+    const $title = $selection
+      .append('div')
+      .attr('class', 'rapid-catalog-localfile-title');
+
+    $title
+      .append('span')
+      .text(l10n.t('rapid_menu.localfile.title'));
+
+    if (!this._localFile) {   // choose a file
+      $title
+        .append('input')
+        .attr('class', 'rapid-catalog-localfile-input')
+        .attr('type', 'file')
+        .attr('accept', '.geojson,.json,.fgb')
+        .on('change', this.chooseLocalFile);
+
+      $selection
+        .append('div')
+        .attr('class', 'rapid-catalog-localfile-about')
+        .text(l10n.t('rapid_menu.localfile.about'));
+
+      if (this._localError) {
+        $selection
+          .append('div')
+          .attr('class', 'rapid-catalog-localfile-error')
+          .text(l10n.t('rapid_menu.localfile.error', { error: this._localError }));
+      }
+      return;
+    }
+
+    // Tag mapping step
+    const $name = $selection
+      .append('label')
+      .attr('class', 'rapid-catalog-localfile-name');
+
+    $name
+      .append('span')
+      .text(l10n.t('rapid_menu.localfile.name'));
+
+    $name
+      .append('input')
+      .attr('type', 'text')
+      .call(utilNoAuto)
+      .property('value', this._localLabel)
+      .on('input', e => this._localLabel = e.currentTarget.value);
+
+    $selection
+      .append('div')
+      .attr('class', 'rapid-catalog-localfile-about')
+      .text(l10n.t('rapid_menu.localfile.tagmap', { n: this._localFile.features.length }));
+
+    const $table = $selection
+      .append('table')
+      .attr('class', 'rapid-catalog-localfile-tagmap');
+
+    const $header = $table
+      .append('thead')
+      .append('tr');
+
+    $header.selectAll('th')
+      .data(['property', 'example', 'tag'])
+      .enter()
+      .append('th')
+      .text(d => l10n.t(`rapid_menu.localfile.${d}`));
+
+    const $rows = $table
+      .append('tbody')
+      .selectAll('tr')
+      .data([...this._localFile.properties.entries()], d => d[0])
+      .enter()
+      .append('tr');
+
+    $rows
+      .append('td')
+      .attr('class', 'localfile-property')
+      .text(([k]) => k);
+
+    $rows
+      .append('td')
+      .attr('class', 'localfile-example')
+      .text(([, samples]) => samples.join(', '));
+
+    $rows
+      .append('td')
+      .attr('class', 'localfile-tag')
+      .append('input')
+      .attr('type', 'text')
+      .attr('placeholder', l10n.t('rapid_menu.localfile.drop'))
+      .call(utilNoAuto)
+      .property('value', ([k]) => this._localTagmap[k])
+      .on('input', (e, [k]) => this._localTagmap[k] = e.currentTarget.value.trim());
+
+    // Optional translation rules, applied after the tag mapping
+    const $translation = $selection
+      .append('label')
+      .attr('class', 'rapid-catalog-localfile-translation');
+
+    $translation
+      .append('span')
+      .text(l10n.t('rapid_menu.localfile.translation'));
+
+    $translation
+      .append('input')
+      .attr('type', 'file')
+      .attr('accept', '.json')
+      .on('change', this.chooseTranslation);
+
+    $selection
+      .append('div')
+      .attr('class', 'rapid-catalog-localfile-about')
+      .text(this._localTranslationName ?
+        l10n.t('rapid_menu.localfile.translation_loaded', { name: this._localTranslationName }) :
+        l10n.t('rapid_menu.localfile.translation_about')
+      );
+
+    if (this._localError) {
+      $selection
+        .append('div')
+        .attr('class', 'rapid-catalog-localfile-error')
+        .text(l10n.t('rapid_menu.localfile.error', { error: this._localError }));
+    }
+
+    const $buttons = $selection
+      .append('div')
+      .attr('class', 'rapid-catalog-localfile-buttons');
+
+    $buttons
+      .append('button')
+      .attr('class', 'rapid-catalog-dataset-action secondary')
+      .text(l10n.t('confirm.cancel'))
+      .on('click', this.cancelLocalFile);
+
+    $buttons
+      .append('button')
+      .attr('class', 'rapid-catalog-dataset-action')
+      .text(l10n.t('rapid_menu.add_dataset'))
+      .on('click', this.addLocalFile);
+  }
+
+
+  /**
+   * chooseLocalFile
+   * Called when the user chooses a local file, reads the file and shows the tag mapping step.
+   * @param  {Event}  e - triggering event (change event from the file input)
+   */
+  chooseLocalFile(e) {
+    const localfile = this.context.services.localfile;
+    const file = e.currentTarget.files?.[0];
+    if (!localfile || !file) return;
+
+    this._localError = null;
+    localfile.readFileAsync(file)
+      .then(parsed => {
+        this._localFile = parsed;
+        this._localTagmap = localfile.defaultTagmap(parsed);
+        this._localLabel = parsed.name.replace(/\.(geojson|json|fgb)$/i, '');
+      })
+      .catch(err => {
+        this._localError = err.message ?? err;
+      })
+      .finally(() => this.render());
+  }
+
+
+  /**
+   * chooseTranslation
+   * Called when the user chooses a file of translation rules to apply to the local file.
+   * @param  {Event}  e - triggering event (change event from the file input)
+   */
+  chooseTranslation(e) {
+    const file = e.currentTarget.files?.[0];
+    if (!file) return;
+
+    this._localError = null;
+    file.text()
+      .then(text => {
+        const rules = JSON.parse(text);
+        if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+          throw new Error(`No translation rules found in ${file.name}`);
+        }
+        this._localTranslation = rules;
+        this._localTranslationName = file.name;
+      })
+      .catch(err => {
+        this._localTranslation = null;
+        this._localTranslationName = null;
+        this._localError = err.message ?? err;
+      })
+      .finally(() => this.render());
+  }
+
+
+  /**
+   * addLocalFile
+   * Creates a dataset from the local file, using the tag mapping the user chose,
+   * and adds it to the menu.
+   */
+  addLocalFile() {
+    const context = this.context;
+    const localfile = context.services.localfile;
+    const rapid = context.systems.rapid;
+    if (!localfile || !this._localFile) return;
+
+    const dataset = localfile.createDataset(this._localFile, {
+      label: this._localLabel.trim(),
+      tagmap: this._localTagmap,
+      translation: this._localTranslation
+    });
+
+    this._resetLocalFile();
+    rapid.addToCatalog(dataset);
+    rapid.enableDatasets(dataset.id);   // add to menu and enable/check
+
+    context.systems.map.trimmedExtent(dataset.extent);
+    context.enter('browse');   // return to browse mode (in case something was selected)
+    this.render();
+  }
+
+
+  /**
+   * cancelLocalFile
+   * Called when the user cancels the tag mapping step.
+   */
+  cancelLocalFile() {
+    this._resetLocalFile();
+    this.render();
+  }
+
+
+  /**
+   * _resetLocalFile
+   * Forget about the local file that the user chose.
+   */
+  _resetLocalFile() {
+    this._localFile = null;
+    this._localTagmap = null;
+    this._localLabel = null;
+    this._localTranslation = null;
+    this._localTranslationName = null;
+    this._localError = null;
+  }
+
+
   /**
    * sortDatasets
    * Added datasets to the beginning
@@ -21,6 +21,7 @@ import { utilCmd } from '../util/cmd.js';
  *       <div class='modal-section rapid-toggle-all'/>       // "Toggle All Rapid Features"
  *       <div class='rapid-datasets-container'> … </div>     //   …list of datasets…
  *       <div class='modal-section rapid-manage-datasets'/>  // "Add/Manage Datasets"
+ *       <div class='modal-section rapid-accept-task'/>      // "Add all visible features in the task area" (if there is a task)
  *       <div class='modal-section buttons'/>                // "OK" button
  *     </div>
  *   </div>
@@ -53,6 +54,7 @@ export class UiRapidDatasetToggle {
     this.changeColor = this.changeColor.bind(this);
     this.toggleDataset = this.toggleDataset.bind(this);
     this.toggleRapid = this.toggleRapid.bind(this);
+    this.acceptTask = this.acceptTask.bind(this);
 
     // Setup event handlers
     scene.on('layerchange', this.rerender);
@@ -98,7 +100,9 @@ export class UiRapidDatasetToggle {
     if (!this.$modal) return;
 
     const context = this.context;
+    const keymap = context.systems.keymap;
     const l10n = context.systems.l10n;
+    const rapid = context.systems.rapid;
     const scene = context.systems.gfx.scene;
     const rtl = l10n.isRTL() ? '-rtl' : '';
     const isRapidEnabled = scene.layers.get('rapid')?.enabled;
@@ -150,7 +154,7 @@ export class UiRapidDatasetToggle {
         rapidicon: icon(`#rapid-logo-rapid-wordmark${rtl}`, 'logo-rapid')
       }));
 
-    const toggleKey = utilCmd('⇧' + l10n.t('shortcuts.command.toggle_rapid_data.key'));
+    const toggleKey = utilCmd('⇧' + keymap.key('toggle_rapid_data'));
     $toggleAll.selectAll('.rapid-feature-hotkey')
       .text('(' + toggleKey + ')');
 
@@ -210,6 +214,51 @@ export class UiRapidDatasetToggle {
       .attr('xlink:href', l10n.isRTL() ? '#rapid-icon-backward' : '#rapid-icon-forward');
 
 
+    /* Accept Task */
+    let $acceptTask = $content.selectAll('.rapid-accept-task')
+      .data(rapid.taskExtent ? [0] : []);
+
+    $acceptTask.exit()
+      .remove();
+
+    // enter
+    const $$acceptTask = $acceptTask.enter()
+      .insert('div', '.modal-section.buttons')
+      .attr('class', 'modal-section rapid-checkbox rapid-accept-task')
+      .on('click', this.acceptTask);
+
+    const $$acceptTaskText = $$acceptTask
+      .append('div')
+      .attr('class', 'rapid-feature-label-container');
+
+    $$acceptTaskText
+      .append('div')
+      .attr('class', 'rapid-feature-label');
+
+    $$acceptTaskText
+      .append('div')
+      .attr('class', 'rapid-feature-description');
+
+    $$acceptTask
+      .append('div')
+      .attr('class', 'rapid-checkbox-inputs')
+      .append('div')
+      .attr('class', 'rapid-checkbox-label')
+      .call(uiIcon('#rapid-icon-rapid-plus-circle', 'icon-30'));
+
+    // update
+    $acceptTask = $acceptTask.merge($$acceptTask);
+
+    $acceptTask
+      .classed('disabled', !isRapidEnabled);
+
+    $acceptTask.selectAll('.rapid-feature-label')
+      .text(l10n.t('rapid_batch_accept.task.label'));
+
+    $acceptTask.selectAll('.rapid-feature-description')
+      .text(l10n.t('rapid_batch_accept.task.description'));
+
+
     /* OK Button */
     let $buttons = $content.selectAll('.modal-section.buttons')
       .data([0]);
@@ -405,6 +454,24 @@ export class UiRapidDatasetToggle {
   }
 
 
+  /**
+   * acceptTask
+   * Called when a user has clicked to accept all visible features in the task area.
+   * @param  {Event}  e? - triggering event (if any)
+   */
+  acceptTask() {
+    const context = this.context;
+    const rapid = context.systems.rapid;
+    const scene = context.systems.gfx.scene;
+
+    if (!rapid.taskExtent || !scene.layers.get('rapid')?.enabled) return;
+
+    this.$modal.close();
+    context.enter('browse');
+    rapid.acceptFeatures(rapid.taskExtent);
+  }
+
+
   /**
    * toggleDataset
    * Called when a user has clicked the checkbox to toggle a dataset on/off.
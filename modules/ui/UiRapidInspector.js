@@ -1,14 +1,17 @@
 import { select, selection } from 'd3-selection';
+import deepEqual from 'fast-deep-equal';
 import { marked } from 'marked';
 
-import { actionNoop, actionRapidAcceptFeature } from '../actions/index.js';
+import { actionNoop, actionRapidAcceptFeature, actionRapidConflateFeature } from '../actions/index.js';
 import { uiIcon } from './icon.js';
 import { uiFlash } from './flash.js';
 //import { uiRapidFirstEditDialog } from './rapid_first_edit_dialog.js';
 import { uiTooltip } from './tooltip.js';
+import { utilHighlightEntities } from '../util/index.js';
 import { utilKeybinding } from '../util/keybinding.js';
 
-const ACCEPT_FEATURES_LIMIT = 50;
+const PREVIEW_WIDTH = 120;
+const PREVIEW_HEIGHT = 90;
 
 
 /**
@@ -21,6 +24,7 @@ const ACCEPT_FEATURES_LIMIT = 50;
  *    <div class='body'>
  *      <div class='feature-info'/>              // Dataset name, e.g. "Microsoft Buildings"
  *      <div class='tag-info'/>                  // List of tags on this feature
+ *      <div class='rapid-conflation'/>          // Diff and merge with a matching OSM feature (if any)
  *      <div class='rapid-inspector-choices'/>   // Accept/Ignore buttons
  *    </div>
  *  </div>
@@ -35,6 +39,8 @@ export class UiRapidInspector {
 
     this.datum = null;
     this._keys = null;
+    this._matchDatumID = null;   // the datum that `_matchIndex` refers to
+    this._matchIndex = 0;        // which of the conflation matches is being reviewed
     // Need a "private" keybinding for this component because these keys conflict with
     // the main keys used by the operations when editing OSM. ('A','D','M','R')
     this._keybinding = utilKeybinding('UiRapidInspector');
@@ -53,11 +59,13 @@ export class UiRapidInspector {
     this.render = this.render.bind(this);
     this.renderFeatureInfo = this.renderFeatureInfo.bind(this);
     this.renderTagInfo = this.renderTagInfo.bind(this);
+    this.renderConflation = this.renderConflation.bind(this);
     this.renderChoices = this.renderChoices.bind(this);
     this.renderChoice = this.renderChoice.bind(this);
     this.renderNotice = this.renderNotice.bind(this);
     this.acceptFeature = this.acceptFeature.bind(this);
     this.ignoreFeature = this.ignoreFeature.bind(this);
+    this.conflateFeature = this.conflateFeature.bind(this);
     this._setupKeybinding = this._setupKeybinding.bind(this);
 
     // accept and enter one of these modes:
@@ -65,8 +73,10 @@ export class UiRapidInspector {
     this.rotateFeature = (e, d) => this.acceptFeature(e, d, 'rotate');
 
     // Setup event handlers
+    const keymap = context.systems.keymap;
     const l10n = context.systems.l10n;
     l10n.on('localechange', this._setupKeybinding);
+    keymap.on('keymapchange', this._setupKeybinding);
     this._setupKeybinding();
   }
 
@@ -128,6 +138,7 @@ export class UiRapidInspector {
     $inspector.selectAll('.body')
       .call(this.renderFeatureInfo)
       .call(this.renderTagInfo)
+      .call(this.renderConflation)
       .call(this.renderChoices)
       .call(this.renderNotice);
   }
@@ -136,22 +147,12 @@ export class UiRapidInspector {
   /**
    * isAcceptFeatureDisabled
    * The "Add Feature" button is disabled if the user has already added more than the
-   *  ACCEPT_FEATURES_LIMIT - unless they are working on a task, or in poweruser mode.
+   *  accept limit - unless they are working on a task, or in poweruser mode.
    * @return {boolean}  `true` if Add Feature is disabled, `false` if enabled.
    */
   isAcceptFeatureDisabled() {
-    const context = this.context;
-    const rapid = context.systems.rapid;
-    const urlhash = context.systems.urlhash;
-
-    // If Rapid is working with on a task, "add roads" is always enabled
-    if (rapid.taskExtent) return false;
-
-    // Power users aren't limited by the max features limit
-    const isPowerUser = urlhash.getParam('poweruser') === 'true';
-    if (isPowerUser) return false;
-
-    return rapid.acceptIDs.size >= ACCEPT_FEATURES_LIMIT;
+    const rapid = this.context.systems.rapid;
+    return rapid.remainingAccepts() <= 0;
   }
 
 
@@ -173,13 +174,7 @@ export class UiRapidInspector {
     const scene = context.systems.gfx.scene;
 
     if (this.isAcceptFeatureDisabled()) {
-      const flash = uiFlash(context)
-        .duration(5000)
-        .label(l10n.t(
-          'rapid_inspector.option_accept.disabled_flash',
-          { n: ACCEPT_FEATURES_LIMIT }
-        ));
-      flash();
+      this._flashAcceptDisabled();
       return;
     }
 
@@ -196,6 +191,7 @@ export class UiRapidInspector {
       type: 'rapid_accept_feature',
       description: l10n.t('rapid_inspector.option_accept.annotation'),
       entityID: datum.id,
+      datasetID: datasetID,
       dataUsed: dataset?.dataUsed || [datasetID]
     };
 
@@ -250,6 +246,58 @@ export class UiRapidInspector {
   }
 
 
+  /**
+   * conflateFeature
+   * Called when the user chooses to merge the Rapid feature into a matching OSM feature.
+   * @param  {Event}   e?       - triggering event (if any)
+   * @param  {Object}  options  - `{ tags: boolean, geometry: boolean }` what to merge
+   */
+  conflateFeature(e, options) {
+    const datum = this.datum;
+    const match = this._currentMatch();
+    if (!datum || !match) return;
+
+    const context = this.context;
+    const editor = context.systems.editor;
+    const l10n = context.systems.l10n;
+    const rapid = context.systems.rapid;
+
+    if (this.isAcceptFeatureDisabled()) {
+      this._flashAcceptDisabled();
+      return;
+    }
+
+    const service = context.services[datum.__service__];
+    const graph = service.graph(datum.__datasetid__);
+    const datasetID = datum.__datasetid__.replace('-conflated', '');
+    const dataset = rapid.datasets.get(datasetID);
+    const targetID = match.entity.id;
+
+    const action = actionRapidConflateFeature(datum.id, graph, targetID, options);
+    if (action.disabled(editor.staging.graph)) return;
+
+    let which = 'both';
+    if (!options.geometry) which = 'tags';
+    if (!options.tags) which = 'geometry';
+
+    const annotation = {
+      type: 'rapid_conflate_feature',
+      description: l10n.t(`rapid_inspector.conflation.merge_${which}.annotation`),
+      entityID: datum.id,
+      targetID: targetID,
+      datasetID: datasetID,
+      dataUsed: dataset?.dataUsed || [datasetID]
+    };
+
+    utilHighlightEntities([targetID], false, context);
+    editor.perform(action);
+    editor.commit({ annotation: annotation, selectedIDs: [targetID] });
+    context.enter('select-osm', { selection: { osm: [targetID] }} );
+
+    this.datum = null;
+  }
+
+
   /**
    * ignoreFeature
    * Called when the user presses "Ignore Feature".
@@ -267,7 +315,8 @@ export class UiRapidInspector {
     const annotation = {
       type: 'rapid_ignore_feature',
       description: l10n.t('rapid_inspector.option_ignore.annotation'),
-      entityID: datum.id
+      entityID: datum.id,
+      datasetID: datum.__datasetid__.replace('-conflated', '')
     };
     editor.perform(actionNoop());
     editor.commit({ annotation: annotation });
@@ -356,6 +405,10 @@ export class UiRapidInspector {
     const context = this.context;
     const l10n = context.systems.l10n;
 
+    // If the dataset has translation rules, preview the original tags next to the translated tags
+    const origTags = this.datum.__origtags__;
+    const isTranslated = origTags && !deepEqual(origTags, tags);
+
     let $tagInfo = $selection.selectAll('.tag-info')
       .data([0]);
 
@@ -378,11 +431,271 @@ export class UiRapidInspector {
       $$tagEntry.append('div').attr('class', 'tag-value').text(v);
     }
 
+    if (isTranslated) {
+      const $$origBag = $$tagInfo
+        .append('div')
+        .attr('class', 'tag-bag tag-bag-original');
+
+      $$origBag
+        .append('div')
+        .attr('class', 'tag-heading-original');
+
+      for (const [k, v] of Object.entries(origTags)) {
+        const $$tagEntry = $$origBag.append('div').attr('class', 'tag-entry');
+        $$tagEntry.append('div').attr('class', 'tag-key').text(k);
+        $$tagEntry.append('div').attr('class', 'tag-value').text(v);
+      }
+    }
+
     // update
     $tagInfo = $tagInfo.merge($$tagInfo);
 
     $tagInfo.selectAll('.tag-heading')
-      .text(l10n.t('rapid_inspector.tags'));
+      .text(l10n.t(isTranslated ? 'rapid_inspector.translated_tags' : 'rapid_inspector.tags'));
+
+    $tagInfo.selectAll('.tag-heading-original')
+      .text(l10n.t('rapid_inspector.original_tags'));
+  }
+
+
+  /**
+   * renderConflation
+   * Renders the 'rapid-conflation' section, if the feature looks like it matches something already in OSM.
+   * This shows the geometry and tags of the OSM feature and the Rapid feature side by side,
+   * and lets the user merge the tags, geometry, or both into the OSM feature.
+   * @param {d3-selection} $selection - A d3-selection to a HTMLElement that this content should render itself into
+   */
+  renderConflation($selection) {
+    const datum = this.datum;
+    const context = this.context;
+    const editor = context.systems.editor;
+    const l10n = context.systems.l10n;
+    const rapid = context.systems.rapid;
+
+    if (datum?.id !== this._matchDatumID) {   // reviewing a different feature
+      this._matchDatumID = datum?.id;
+      this._matchIndex = 0;
+    }
+
+    const matches = datum ? rapid.getConflationMatches(datum) : [];
+    const match = this._currentMatch(matches);
+
+    let $conflation = $selection.selectAll('.rapid-conflation')
+      .data(match ? [0] : []);
+
+    $conflation.exit()
+      .remove();
+
+    if (!match) return;
+
+    // enter
+    const $$conflation = $conflation.enter()
+      .append('div')
+      .attr('class', 'rapid-conflation');
+
+    $$conflation
+      .append('div')
+      .attr('class', 'conflation-heading');
+
+    $$conflation
+      .append('div')
+      .attr('class', 'conflation-matches');
+
+    const $$previews = $$conflation
+      .append('div')
+      .attr('class', 'conflation-previews');
+
+    for (const which of ['osm', 'rapid']) {
+      const $$preview = $$previews
+        .append('div')
+        .attr('class', `conflation-preview conflation-preview-${which}`);
+
+      $$preview
+        .append('svg')
+        .attr('width', PREVIEW_WIDTH)
+        .attr('height', PREVIEW_HEIGHT)
+        .attr('viewBox', `0 0 ${PREVIEW_WIDTH} ${PREVIEW_HEIGHT}`);
+
+      $$preview
+        .append('div')
+        .attr('class', 'conflation-preview-label');
+    }
+
+    $$conflation
+      .append('div')
+      .attr('class', 'conflation-stats');
+
+    const $$table = $$conflation
+      .append('table')
+      .attr('class', 'conflation-tags');
+
+    $$table
+      .append('thead')
+      .append('tr');
+
+    $$table
+      .append('tbody');
+
+    $$conflation
+      .append('div')
+      .attr('class', 'conflation-actions');
+
+    // update
+    $conflation = $conflation.merge($$conflation);
+
+    const graph = editor.staging.graph;
+    const service = context.services[datum.__service__];
+    const extGraph = service.graph(datum.__datasetid__);
+    const datasetID = datum.__datasetid__.replace('-conflated', '');
+    const color = rapid.datasets.get(datasetID)?.color;
+    const target = match.entity;
+
+    $conflation.selectAll('.conflation-heading')
+      .text(l10n.t('rapid_inspector.conflation.heading', { n: matches.length }));
+
+
+    // If there are several possible matches, let the user choose which one to review
+    const $matches = $conflation.selectAll('.conflation-matches')
+      .selectAll('.conflation-match')
+      .data(matches.length > 1 ? matches : [], d => d.entity.id);
+
+    $matches.exit()
+      .remove();
+
+    $matches.enter()
+      .append('button')
+      .attr('class', 'conflation-match')
+      .on('click', (e, d) => {
+        this._matchIndex = matches.indexOf(d);
+        this.render();
+      })
+      .on('mouseenter', (e, d) => utilHighlightEntities([d.entity.id], true, context))
+      .on('mouseleave', (e, d) => utilHighlightEntities([d.entity.id], false, context))
+      .merge($matches)
+      .classed('active', d => d === match)
+      .text(d => l10n.t('rapid_inspector.conflation.match', {
+        name: l10n.displayLabel(d.entity, graph),
+        score: Math.round(d.score * 100)
+      }));
+
+
+    // Geometry, side by side
+    const osmCoords = match.osmCoords;
+    const rapidCoords = match.rapidCoords;
+    const isArea = target.type === 'way' && target.isClosed();
+    const project = this._previewProjection(osmCoords.concat(rapidCoords));
+
+    $conflation.selectAll('.conflation-preview')
+      .on('mouseenter', () => utilHighlightEntities([target.id], true, context))
+      .on('mouseleave', () => utilHighlightEntities([target.id], false, context))
+      .each((d, i, nodes) => {
+        const which = (i === 0 ? 'osm' : 'rapid');
+        const shapes = [
+          { key: 'other', coords: which === 'osm' ? rapidCoords : osmCoords },
+          { key: 'this', coords: which === 'osm' ? osmCoords : rapidCoords }
+        ];
+
+        const $shapes = select(nodes[i]).select('svg')
+          .selectAll('.conflation-shape')
+          .data(shapes, d => d.key);
+
+        $shapes.enter()
+          .append('path')
+          .attr('class', d => `conflation-shape ${d.key}`)
+          .merge($shapes)
+          .attr('d', d => this._previewPath(d.coords, project, isArea))
+          .style('stroke', d => (which === 'rapid' && d.key === 'this') ? color : null);
+
+        select(nodes[i]).select('.conflation-preview-label')
+          .text(l10n.t(`rapid_inspector.conflation.${which}`));
+      });
+
+    const stats = [
+      l10n.t('rapid_inspector.conflation.similarity', { score: Math.round(match.score * 100) }),
+      l10n.t('rapid_inspector.conflation.offset', { distance: l10n.displayLength(match.distance, !l10n.isMetric()) })
+    ];
+    if (target.type === 'way') {
+      stats.push(l10n.t('rapid_inspector.conflation.vertices', { osm: osmCoords.length, rapid: rapidCoords.length }));
+    }
+
+    $conflation.selectAll('.conflation-stats')
+      .text(stats.join(' · '));
+
+
+    // Tags, side by side
+    // Preview the result of merging the tags, so we show exactly what would change.
+    const merged = actionRapidConflateFeature(datum.id, extGraph, target.id, { tags: true, geometry: false })(graph)
+      .entity(target.id).tags;
+
+    const keys = [...new Set([...Object.keys(target.tags), ...Object.keys(merged)])].sort();
+    const rows = keys.map(k => {
+      let status = 'same';
+      if (target.tags[k] === undefined) {
+        status = 'added';
+      } else if (target.tags[k] !== merged[k]) {
+        status = 'changed';
+      } else if (datum.tags[k] === undefined) {
+        status = 'kept';
+      }
+      return { key: k, osm: target.tags[k] ?? '', rapid: status === 'kept' ? '' : merged[k], status: status };
+    });
+
+    const $header = $conflation.selectAll('.conflation-tags thead tr')
+      .selectAll('th')
+      .data(['tag', 'osm', 'rapid']);
+
+    $header.enter()
+      .append('th')
+      .merge($header)
+      .text(d => l10n.t(`rapid_inspector.conflation.${d}`));
+
+    let $rows = $conflation.selectAll('.conflation-tags tbody')
+      .selectAll('tr')
+      .data(rows, d => d.key);
+
+    $rows.exit()
+      .remove();
+
+    $rows = $rows.enter()
+      .append('tr')
+      .merge($rows)
+      .attr('class', d => `conflation-tag ${d.status}`)
+      .attr('title', d => l10n.t(`rapid_inspector.conflation.status.${d.status}`));
+
+    const $cells = $rows.selectAll('td')
+      .data(d => [d.key, d.osm, d.rapid]);
+
+    $cells.enter()
+      .append('td')
+      .merge($cells)
+      .text(d => d);
+
+
+    // Merge choices
+    const choices = [
+      { key: 'tags', options: { tags: true, geometry: false } },
+      { key: 'geometry', options: { tags: false, geometry: true } },
+      { key: 'both', options: { tags: true, geometry: true } }
+    ];
+
+    let $buttons = $conflation.selectAll('.conflation-actions')
+      .selectAll('button')
+      .data(choices, d => d.key);
+
+    $buttons = $buttons.enter()
+      .append('button')
+      .attr('class', d => `button conflation-merge-${d.key}`)
+      .on('click', (e, d) => this.conflateFeature(e, d.options))
+      .merge($buttons);
+
+    $buttons
+      .each((d, i, nodes) => {
+        const disabled = actionRapidConflateFeature(datum.id, extGraph, target.id, d.options).disabled(graph);
+        select(nodes[i])
+          .classed('disabled', !!disabled)
+          .attr('title', disabled ? l10n.t('rapid_inspector.conflation.not_eligible') : l10n.t(`rapid_inspector.conflation.merge_${d.key}.tooltip`))
+          .text(l10n.t(`rapid_inspector.conflation.merge_${d.key}.label`));
+      });
   }
 
 
@@ -494,6 +807,7 @@ export class UiRapidInspector {
     let $choice = select(nodes[i]);
 
     const context = this.context;
+    const keymap = context.systems.keymap;
     const l10n = context.systems.l10n;
 
     const isDisabled = (d.key === 'accept' && this.isAcceptFeatureDisabled());
@@ -554,15 +868,15 @@ export class UiRapidInspector {
     let title, shortcut;
     if (d.key === 'accept') {
       if (isDisabled) {
-        title = l10n.t('rapid_inspector.option_accept.disabled', { n: ACCEPT_FEATURES_LIMIT } );
+        title = l10n.t('rapid_inspector.option_accept.disabled', { n: context.systems.rapid.acceptLimit } );
         shortcut = '';
       } else {
         title = l10n.t('rapid_inspector.option_accept.tooltip');
-        shortcut = l10n.t('shortcuts.command.accept_feature.key');
+        shortcut = keymap.key('accept_feature');
       }
     } else if (d.key === 'ignore') {
       title = l10n.t('rapid_inspector.option_ignore.tooltip');
-      shortcut = l10n.t('shortcuts.command.ignore_feature.key');
+      shortcut = keymap.key('ignore_feature');
     }
 
     d.tooltip.title(title).shortcut(shortcut);
@@ -585,6 +899,90 @@ export class UiRapidInspector {
   }
 
 
+  /**
+   * _currentMatch
+   * Returns the conflation match currently being reviewed
+   * @param  {Array}  matches? - matches for the current datum, if already known
+   * @return {Object} match (see `RapidSystem.getConflationMatches`), or `undefined` if none
+   */
+  _currentMatch(matches) {
+    const rapid = this.context.systems.rapid;
+    if (!this.datum) return;
+
+    matches = matches || rapid.getConflationMatches(this.datum);
+    return matches[this._matchIndex] ?? matches[0];
+  }
+
+
+  /**
+   * _previewProjection
+   * Returns a function to project [lon,lat] coordinates into the conflation preview svgs.
+   * Both previews share the same projection, so that the shapes can be compared.
+   * @param  {Array}     coords - all the coordinates that need to fit in the preview
+   * @return {Function}  projection function
+   */
+  _previewProjection(coords) {
+    const PADDING = 10;
+    const k = Math.cos((coords[0]?.[1] ?? 0) * Math.PI / 180);   // shrink longitude away from equator
+
+    let [minX, minY, maxX, maxY] = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const [lon, lat] of coords) {
+      minX = Math.min(minX, lon * k);
+      maxX = Math.max(maxX, lon * k);
+      minY = Math.min(minY, lat);
+      maxY = Math.max(maxY, lat);
+    }
+
+    const w = (maxX - minX) || 1e-9;
+    const h = (maxY - minY) || 1e-9;
+    const scale = Math.min((PREVIEW_WIDTH - 2 * PADDING) / w, (PREVIEW_HEIGHT - 2 * PADDING) / h);
+    const offsetX = (PREVIEW_WIDTH - w * scale) / 2;
+    const offsetY = (PREVIEW_HEIGHT - h * scale) / 2;
+
+    return ([lon, lat]) => [
+      offsetX + (lon * k - minX) * scale,
+      offsetY + (maxY - lat) * scale
+    ];
+  }
+
+
+  /**
+   * _previewPath
+   * Returns svg path data for the given coordinates (a small circle for a single point).
+   * @param  {Array}     coords  - [lon,lat] coordinates
+   * @param  {Function}  project - projection function
+   * @param  {boolean}   isArea  - `true` to close the path
+   * @return {string}    svg path data
+   */
+  _previewPath(coords, project, isArea) {
+    const points = coords.map(project);
+    if (points.length === 1) {
+      const [x, y] = points[0];
+      return `M${x - 4},${y} a4,4 0 1,0 8,0 a4,4 0 1,0 -8,0`;
+    }
+    return 'M' + points.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join('L') + (isArea ? 'Z' : '');
+  }
+
+
+  /**
+   * _flashAcceptDisabled
+   * Shows a flash message explaining that no more Rapid features can be added in this session.
+   */
+  _flashAcceptDisabled() {
+    const context = this.context;
+    const l10n = context.systems.l10n;
+    const rapid = context.systems.rapid;
+
+    const flash = uiFlash(context)
+      .duration(5000)
+      .label(l10n.t(
+        'rapid_inspector.option_accept.disabled_flash',
+        { n: rapid.acceptLimit }
+      ));
+    flash();
+  }
+
+
   /**
    * _setupKeybinding
    * This sets up the keybinding, replacing existing if needed
@@ -592,16 +990,16 @@ export class UiRapidInspector {
   _setupKeybinding() {
     const context = this.context;
     const keybinding = this._keybinding;
-    const l10n = context.systems.l10n;
+    const keymap = context.systems.keymap;
 
     if (Array.isArray(this._keys)) {
       keybinding.off(this._keys);
     }
 
-    const acceptKey = l10n.t('shortcuts.command.accept_feature.key');
-    const ignoreKey = l10n.t('shortcuts.command.ignore_feature.key');
-    const moveKey = l10n.t('shortcuts.command.move.key');
-    const rotateKey = l10n.t('shortcuts.command.rotate.key');
+    const acceptKey = keymap.key('accept_feature');
+    const ignoreKey = keymap.key('ignore_feature');
+    const moveKey = keymap.key('move');
+    const rotateKey = keymap.key('rotate');
     this._keys = [acceptKey, ignoreKey, moveKey, rotateKey];
 
     keybinding.on(acceptKey, this.acceptFeature);
@@ -52,11 +52,13 @@ export class UiShortcuts {
     this._setupKeybinding = this._setupKeybinding.bind(this);
 
     // Setup event handlers..
+    const keymap = context.systems.keymap;
     const l10n = context.systems.l10n;
     l10n.on('localechange', () => {
       this._setupKeybinding();
       this.render();
     });
+    keymap.on('keymapchange', this._setupKeybinding);
 
     this._setupKeybinding();
   }
@@ -73,6 +75,7 @@ export class UiShortcuts {
     if (!this.$modal || !this._dataShortcuts) return;
 
     const context = this.context;
+    const keymap = context.systems.keymap;
     const l10n = context.systems.l10n;
     const $content = this.$modal.select('.content');
 
@@ -207,11 +210,14 @@ export class UiShortcuts {
         // For example,  `['A', ['B', 'C'], 'D']`
         //  will display a shortcut like "A -or- B,C -or- D"
         // Preprocess this data to convert all the strings to display values and remove duplicates.
+        // Keys like 'shortcuts.command.split.key' are the keys for the commands, which the user may have changed.
         const s = new Set();
         for (const item of shortcuts) {
           let group = Array.isArray(item) ? item : [item];  // treat all items as arrays
           group = group.map(s => {
             if (s.includes('{')) return s;
+            const command = s.match(/^shortcuts\.command\.(\w+)\.key$/);
+            if (command) return utilCmd.display(context, keymap.key(command[1]));
             else return utilCmd.display(context, s.includes('.') ? l10n.t(s) : s);
           });
           group = utilArrayUniq(group);
@@ -362,13 +368,13 @@ export class UiShortcuts {
   _setupKeybinding() {
     const context = this.context;
     const keybinding = context.keybinding();
-    const l10n = context.systems.l10n;
+    const keymap = context.systems.keymap;
 
     if (Array.isArray(this._keys)) {
       keybinding.off(this._keys);
     }
 
-    this._keys = [l10n.t('shortcuts.command.keyboard_shortcuts.key'), '?'];
+    this._keys = [keymap.key('keyboard_shortcuts'), '?'];
     context.keybinding().on(this._keys, this.toggle);
   }
 
@@ -101,8 +101,10 @@ export class UiSidebar {
     // Setup event handlers
     context.behaviors.hover.on('hoverchange', this._hoverchange);
 
+    const keymap = context.systems.keymap;
     const l10n = context.systems.l10n;
     l10n.on('localechange', this._setupKeybinding);
+    keymap.on('keymapchange', this._setupKeybinding);
     this._setupKeybinding();
   }
 
@@ -121,6 +123,7 @@ export class UiSidebar {
     }
 
     const context = this.context;
+    const keymap = context.systems.keymap;
     const l10n = context.systems.l10n;
     const storage = context.systems.storage;
 
@@ -164,7 +167,7 @@ export class UiSidebar {
       .call(this.Tooltip
         .placement(dir === 'rtl' ? 'right' : 'left')  // place on the sidebar side (i.e. don't cover the map)
         .title(l10n.t('inspector.tooltip'))
-        .shortcut(l10n.t('shortcuts.command.toggle_inspector.key'))
+        .shortcut(keymap.key('toggle_inspector'))
       );
 
     $sidebar
@@ -719,14 +722,14 @@ export class UiSidebar {
   _setupKeybinding() {
     const context = this.context;
     const keybinding = context.keybinding();
-    const l10n = context.systems.l10n;
+    const keymap = context.systems.keymap;
 
     if (Array.isArray(this._keys)) {
       keybinding.off(this._keys);
     }
 
     // see iD#5663, iD#6864 - common QWERTY, AZERTY
-    this._keys = [l10n.t('shortcuts.command.toggle_inspector.key'), '`', '²', '@'];
+    this._keys = [keymap.key('toggle_inspector'), '`', '²', '@'];
     context.keybinding().on(this._keys, this.toggle);
   }
 }
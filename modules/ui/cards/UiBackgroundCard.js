@@ -22,6 +22,7 @@ export class UiBackgroundCard extends AbstractUiCard {
     super(context);
     this.id = 'background';
 
+    const keymap = context.systems.keymap;
     const l10n = context.systems.l10n;
     const map = context.systems.map;
 
@@ -46,6 +47,9 @@ export class UiBackgroundCard extends AbstractUiCard {
     l10n
       .on('localechange', this._setupKeybinding);
 
+    keymap
+      .on('keymapchange', this._setupKeybinding);
+
     this._setupKeybinding();
   }
 
@@ -253,13 +257,13 @@ export class UiBackgroundCard extends AbstractUiCard {
   _setupKeybinding() {
     const context = this.context;
     const keybinding = context.keybinding();
-    const l10n = context.systems.l10n;
+    const keymap = context.systems.keymap;
 
     if (Array.isArray(this._keys)) {
       keybinding.off(this._keys);
     }
 
-    this._keys = [utilCmd('⌘⇧' + l10n.t('shortcuts.command.toggle_background_card.key'))];
+    this._keys = [utilCmd('⌘⇧' + keymap.key('toggle_background_card'))];
     context.keybinding().on(this._keys, this.toggle);
   }
 
@@ -2,13 +2,21 @@ import { selection } from 'd3-selection';
 import debounce from 'lodash-es/debounce.js';
 
 import { AbstractUiCard } from './AbstractUiCard.js';
+import { actionRevertToVersion } from '../../actions/revert_to_version.js';
 import { QAItem } from '../../osm/index.js';
 import { uiIcon } from '../icon.js';
 import { utilCmd } from '../../util/cmd.js';
 
+// Limit how many nodes we will load the history of, to draw the past geometry of a way
+// (nodes that no longer exist are loaded first, other nodes fall back to their current location)
+const MAX_NODE_HISTORY = 100;
+
 
 /**
  * UiHistoryCard
+ * Shows details about the last edit of the selected entity or note.
+ * For entities, it can also load every version of the entity, draw their geometries
+ * as "ghosts" on the map, compare the tags of any two versions, and revert to a version.
  */
 export class UiHistoryCard extends AbstractUiCard {
 
@@ -20,11 +28,16 @@ export class UiHistoryCard extends AbstractUiCard {
     super(context);
     this.id = 'history';
 
+    const keymap = context.systems.keymap;
     const l10n = context.systems.l10n;
     const map = context.systems.map;
 
     this._keys = null;
 
+    // State of the versions loaded for the selected entity, see `loadVersions()`
+    this._history = null;
+    this._ghostsKey = null;
+
     // Ensure methods used as callbacks always have `this` bound correctly.
     // (This is also necessary when using `d3-selection.call`)
     this.render = this.render.bind(this);
@@ -34,6 +47,7 @@ export class UiHistoryCard extends AbstractUiCard {
     this.renderNote = this.renderNote.bind(this);
     this.renderUser = this.renderUser.bind(this);
     this.renderChangeset = this.renderChangeset.bind(this);
+    this.renderVersions = this.renderVersions.bind(this);
     this.displayTimestamp = this.displayTimestamp.bind(this);
     this._setupKeybinding = this._setupKeybinding.bind(this);
 
@@ -42,6 +56,7 @@ export class UiHistoryCard extends AbstractUiCard {
     context.on('modechange', this.rerender);
 //    context.behaviors.hover.on('hoverchange', this.rerender);   //Rapid#1575
     l10n.on('localechange', this._setupKeybinding);
+    keymap.on('keymapchange', this._setupKeybinding);
 
     this._setupKeybinding();
   }
@@ -121,6 +136,12 @@ export class UiHistoryCard extends AbstractUiCard {
       selected.delete(datumID);  // something else, discard
     }
 
+    // Forget the versions if a different entity is selected
+    if (this._history && !(selected.size === 1 && selected.has(this._history.entityID))) {
+      this._history = null;
+    }
+    this._updateGhosts();
+
     if (selected.size !== 1) {   // 0 items or multiple items
       $content
         .append('h4')
@@ -268,6 +289,474 @@ export class UiHistoryCard extends AbstractUiCard {
       .append('li')
       .text(l10n.t('info_panels.history.changeset') + ':')
       .call(this.renderChangeset, entity.changeset);
+
+    $selection
+      .call(this.renderVersions, entity);
+  }
+
+
+  /**
+   * hide
+   * Hides the component, and removes any ghosts from the map
+   * @param  {Event} e? - triggering event (if any)
+   */
+  hide(e) {
+    super.hide(e);
+    this._history = null;
+    this._updateGhosts();
+  }
+
+
+  /**
+   * renderVersions
+   * Renders the list of all versions of the entity, if they have been loaded,
+   * and a comparison of the tags of two versions.
+   * @param  {d3-selection} $selection - A d3-selection to a HTMLElement that this function should render itself into
+   * @param  {Entity}       entity     - The OSM entity (node, way, relation) to display versions for
+   */
+  renderVersions($selection, entity) {
+    const context = this.context;
+    const l10n = context.systems.l10n;
+    const osm = context.services.osm;
+    if (!osm) return;
+
+    const history = (this._history?.entityID === entity.id) ? this._history : null;
+
+    if (!history) {
+      $selection
+        .append('a')
+        .attr('href', '#')
+        .attr('class', 'button history-load-versions')
+        .text(l10n.t('info_panels.history.all_versions'))
+        .on('click', e => {
+          e.preventDefault();
+          this.loadVersions(entity.id);
+        });
+      return;
+
+    } else if (history.status !== 'loaded') {
+      $selection
+        .append('div')
+        .attr('class', 'history-versions-status')
+        .text(l10n.t(`info_panels.history.versions_${history.status}`));   // 'loading' or 'error'
+      return;
+    }
+
+    const choices = this._versionChoices();
+
+    // Timeline of all versions
+    $selection
+      .append('h4')
+      .attr('class', 'history-heading')
+      .text(l10n.t('info_panels.history.versions'));
+
+    const $versions = $selection
+      .append('ul')
+      .attr('class', 'history-versions');
+
+    const $items = $versions.selectAll('li')
+      .data(choices, d => d.key)
+      .enter()
+      .append('li')
+      .attr('class', d => `history-version ${d.entity.visible === false ? 'deleted' : ''}`)
+      .classed('from', d => d.key === history.from)
+      .classed('to', d => d.key === history.to)
+      .attr('title', l10n.t('info_panels.history.compare_tooltip'))
+      .on('click', (e, d) => {
+        history.from = d.key;   // compare the clicked version with the "to" version
+        this.render();
+      });
+
+    $items
+      .append('span')
+      .attr('class', 'history-version-label')
+      .text(d => d.label);
+
+    $items
+      .append('span')
+      .attr('class', 'history-version-date')
+      .text(d => (d.key === 'current') ? '' : this.displayTimestamp(d.entity.timestamp));
+
+    $items
+      .append('span')
+      .attr('class', 'history-version-user')
+      .text(d => (d.key === 'current') ? '' : (d.entity.user ?? ''));
+
+    if (history.nodesSkipped) {
+      $selection
+        .append('div')
+        .attr('class', 'history-versions-status')
+        .text(l10n.t('info_panels.history.nodes_skipped', { n: history.nodesSkipped }));
+    }
+
+    // Choose the versions to compare
+    const $compare = $selection
+      .append('div')
+      .attr('class', 'history-compare');
+
+    for (const which of ['from', 'to']) {
+      $compare
+        .append('label')
+        .text(l10n.t(`info_panels.history.compare_${which}`));
+
+      const $select = $compare
+        .append('select')
+        .attr('class', `history-compare-${which}`)
+        .on('change', e => {
+          history[which] = e.target.value;
+          this.render();
+        });
+
+      $select.selectAll('option')
+        .data(choices, d => d.key)
+        .enter()
+        .append('option')
+        .attr('value', d => d.key)
+        .property('selected', d => d.key === history[which])
+        .text(d => d.label);
+    }
+
+    // Differences between the two versions
+    const from = choices.find(d => d.key === history.from)?.entity;
+    const to = choices.find(d => d.key === history.to)?.entity;
+    if (!from || !to) return;
+
+    const diffs = this._tagDiff(from, to);
+    const geometryChanged = this._geometryChanged(from, to);
+
+    if (!diffs.length && !geometryChanged) {
+      $selection
+        .append('div')
+        .attr('class', 'history-diff-none')
+        .text(l10n.t('info_panels.history.no_differences'));
+
+    } else {
+      const $table = $selection
+        .append('table')
+        .attr('class', 'history-diff');
+
+      const $rows = $table.selectAll('tr')
+        .data(diffs)
+        .enter()
+        .append('tr')
+        .attr('class', d => `history-diff-row ${d.type}`);
+
+      $rows
+        .append('td')
+        .attr('class', 'history-diff-key')
+        .text(d => d.key);
+
+      $rows
+        .append('td')
+        .attr('class', 'history-diff-from')
+        .text(d => d.from ?? '');
+
+      $rows
+        .append('td')
+        .attr('class', 'history-diff-to')
+        .text(d => d.to ?? '');
+
+      if (geometryChanged) {
+        $table
+          .append('tr')
+          .attr('class', 'history-diff-row geometry')
+          .append('td')
+          .attr('colspan', 3)
+          .text(l10n.t('info_panels.history.geometry_changed'));
+      }
+    }
+
+    // Revert to the "from" version, unless it's the current version
+    if (history.from === 'current') return;
+
+    const action = this._revertAction(entity.id, from);
+    const disabled = action.disabled(context.systems.editor.staging.graph);
+
+    $selection
+      .append('a')
+      .attr('href', '#')
+      .attr('class', 'button history-revert')
+      .classed('disabled', !!disabled)
+      .attr('title', disabled ? l10n.t(`info_panels.history.revert_disabled.${disabled}`) : null)
+      .text(l10n.t('info_panels.history.revert', { version: from.version }))
+      .on('click', e => {
+        e.preventDefault();
+        if (disabled) return;
+        this.revertToVersion(entity.id, from);
+      });
+  }
+
+
+  /**
+   * loadVersions
+   * Loads all versions of the given entity from the OSM API.
+   * For ways, also loads the history of their nodes, so that we can draw and revert
+   * to the past geometries of the way, using the nodes as they were at each version.
+   * @param  {string}  entityID - the entity to load the versions of
+   */
+  loadVersions(entityID) {
+    const context = this.context;
+    const osm = context.services.osm;
+    if (!osm) return;
+
+    const history = {
+      entityID: entityID,
+      status: 'loading',
+      versions: [],
+      nodes: new Map(),    // Map(nodeID -> Array of node versions)
+      nodesSkipped: 0,     // count of nodes that we didn't load the history of
+      from: null,
+      to: null
+    };
+    this._history = history;
+    this.render();
+
+    osm.loadEntityHistory(entityID, (err, result) => {
+      if (this._history !== history) return;   // something else was selected
+
+      if (err || !result.data.length) {
+        history.status = 'error';
+        this.render();
+        return;
+      }
+
+      history.versions = result.data;
+      history.status = 'loaded';
+
+      // By default, compare the latest version with the previous one (or the edited version, if edited)
+      const choices = this._versionChoices();
+      const last = choices.at(-1);
+      const previous = choices.at(-2) ?? last;
+      history.from = previous.key;
+      history.to = last.key;
+      this.render();
+
+      // For ways, load the history of the nodes, starting with the ones that no longer exist
+      const graph = context.systems.editor.staging.graph;
+      const missingIDs = new Set();
+      const existingIDs = new Set();
+      for (const version of history.versions) {
+        for (const nodeID of version.nodes ?? []) {
+          if (graph.hasEntity(nodeID)) {
+            existingIDs.add(nodeID);
+          } else {
+            missingIDs.add(nodeID);
+          }
+        }
+      }
+
+      const nodeIDs = [...missingIDs, ...existingIDs];
+      history.nodesSkipped = Math.max(0, nodeIDs.length - MAX_NODE_HISTORY);
+      if (history.nodesSkipped) this.render();
+
+      for (const nodeID of nodeIDs.slice(0, MAX_NODE_HISTORY)) {
+        osm.loadEntityHistory(nodeID, (err, result) => {
+          if (this._history !== history || err) return;
+          history.nodes.set(nodeID, result.data);
+          this.deferredRender();
+        });
+      }
+    });
+  }
+
+
+  /**
+   * revertToVersion
+   * Reverts the entity to the given version, as a normal undoable edit
+   * @param  {string}  entityID - the entity to revert
+   * @param  {Entity}  version  - the version to revert to
+   */
+  revertToVersion(entityID, version) {
+    const context = this.context;
+    const editor = context.systems.editor;
+    const l10n = context.systems.l10n;
+
+    editor.perform(this._revertAction(entityID, version));
+    editor.commit({
+      annotation: l10n.t('info_panels.history.revert_annotation', { version: version.version }),
+      selectedIDs: [entityID]
+    });
+
+    if (this._history?.entityID === entityID) {
+      this._history.to = 'current';
+    }
+    this.render();
+  }
+
+
+  /**
+   * _revertAction
+   * Returns an action to revert the entity to the given version, putting the
+   * way nodes back at their location as of that version (if their history is loaded).
+   */
+  _revertAction(entityID, version) {
+    const nodes = new Map();
+    if (version.type === 'way') {
+      for (const nodeID of version.nodes) {
+        const node = this._nodeAtVersion(nodeID, version);
+        if (node) nodes.set(nodeID, node);
+      }
+    }
+    return actionRevertToVersion(entityID, version, { nodes: nodes });
+  }
+
+
+  /**
+   * _versionChoices
+   * Returns the versions that can be compared, oldest first, including the edited
+   * version if the user has changed the entity.
+   * @return {Array}  Array of Objects like `{ key, label, entity }`
+   */
+  _versionChoices() {
+    const context = this.context;
+    const l10n = context.systems.l10n;
+    const history = this._history;
+    if (!history) return [];
+
+    const choices = history.versions.map(entity => ({
+      key: entity.version,
+      label: l10n.t('info_panels.history.version_label', { version: entity.version }) +
+        (entity.visible === false ? ` (${l10n.t('info_panels.history.deleted')})` : ''),
+      entity: entity
+    }));
+
+    const editor = context.systems.editor;
+    const current = editor.staging.graph.hasEntity(history.entityID);
+    const base = editor.base.graph.hasEntity(history.entityID);
+    if (current && current !== base) {
+      choices.push({ key: 'current', label: l10n.t('info_panels.history.current_version'), entity: current });
+    }
+
+    return choices;
+  }
+
+
+  /**
+   * _tagDiff
+   * @param  {Entity}  from - the older version
+   * @param  {Entity}  to   - the newer version
+   * @return {Array}   Array of Objects like `{ key, from, to, type }` for each tag that differs,
+   *                    where type is one of 'added', 'removed', or 'changed'
+   */
+  _tagDiff(from, to) {
+    const fromTags = from.tags ?? {};
+    const toTags = to.tags ?? {};
+    const keys = [...new Set([...Object.keys(fromTags), ...Object.keys(toTags)])].sort();
+    const results = [];
+
+    for (const key of keys) {
+      const a = fromTags[key];
+      const b = toTags[key];
+      if (a === b) continue;
+      const type = (a === undefined) ? 'added' : (b === undefined) ? 'removed' : 'changed';
+      results.push({ key: key, from: a, to: b, type: type });
+    }
+    return results;
+  }
+
+
+  /**
+   * _geometryChanged
+   * @param  {Entity}  from - the older version
+   * @param  {Entity}  to   - the newer version
+   * @return {boolean} `true` if the location, nodes, or members differ
+   */
+  _geometryChanged(from, to) {
+    if (from.visible === false || to.visible === false) return from.visible !== to.visible;
+
+    if (from.type === 'node') {
+      return from.loc[0] !== to.loc[0] || from.loc[1] !== to.loc[1];
+    } else if (from.type === 'way') {
+      return from.nodes.join() !== to.nodes.join();
+    } else if (from.type === 'relation') {
+      const memberKey = m => `${m.type}/${m.id}/${m.role}`;
+      return from.members.map(memberKey).join() !== to.members.map(memberKey).join();
+    }
+    return false;
+  }
+
+
+  /**
+   * _nodeAtVersion
+   * Returns the node as of the time of the given version of its parent way,
+   * using its loaded history.
+   * @param  {string}  nodeID  - the node
+   * @param  {Entity}  version - the version of the parent way
+   * @return {Node}    the node, or `undefined` if unknown
+   */
+  _nodeAtVersion(nodeID, version) {
+    const nodeVersions = this._history?.nodes.get(nodeID)?.filter(node => node.visible !== false);
+    if (!nodeVersions?.length) return undefined;
+
+    const time = new Date(version.timestamp).getTime();
+    const before = nodeVersions.filter(node => new Date(node.timestamp).getTime() <= time);
+    return before.at(-1) ?? nodeVersions[0];
+  }
+
+
+  /**
+   * _updateGhosts
+   * Draws the past geometries of the loaded versions on the map.
+   * The versions being compared are drawn more prominently.
+   * Way nodes are drawn as they were at each version, if their history is loaded,
+   * otherwise at their current location.
+   */
+  _updateGhosts() {
+    const context = this.context;
+    const layer = context.systems.gfx?.scene?.layers.get('history');
+    if (!layer) return;
+
+    const history = this._history;
+    const graph = context.systems.editor.staging.graph;
+    let key = null;
+    if (history?.status === 'loaded') {
+      const current = graph.hasEntity(history.entityID);
+      key = [history.entityID, history.from, history.to, history.nodes.size, current?.v].join();
+    }
+    if (key === this._ghostsKey) return;   // no change
+    this._ghostsKey = key;
+
+    if (!key) {
+      layer.setGhosts([]);
+      return;
+    }
+
+    const ghosts = [];
+
+    for (const { key, entity } of this._versionChoices()) {
+      if (entity.visible === false) continue;
+      const kind = (key === history.to) ? 'to' : (key === history.from) ? 'from' : 'other';
+      const id = `v${key}`;
+
+      if (entity.type === 'node') {
+        ghosts.push({ id: id, kind: kind, loc: entity.loc });
+
+      } else if (entity.type === 'way') {
+        const coords = entity.nodes
+          .map(nodeID => {
+            const past = (key === 'current') ? undefined : this._nodeAtVersion(nodeID, entity);
+            return past?.loc ?? graph.hasEntity(nodeID)?.loc;
+          })
+          .filter(Boolean);
+        ghosts.push({ id: id, kind: kind, coords: coords });
+
+      } else if (entity.type === 'relation') {   // draw the members that are loaded
+        for (const member of entity.members) {
+          const child = graph.hasEntity(member.id);
+          if (child?.type === 'way') {
+            const coords = child.nodes.map(nodeID => graph.hasEntity(nodeID)?.loc).filter(Boolean);
+            ghosts.push({ id: `${id}-${member.id}`, kind: kind, coords: coords });
+          } else if (child?.type === 'node') {
+            ghosts.push({ id: `${id}-${member.id}`, kind: kind, loc: child.loc });
+          }
+        }
+      }
+    }
+
+    // Draw the compared versions last, so they are on top
+    const order = { other: 0, from: 1, to: 2 };
+    ghosts.sort((a, b) => order[a.kind] - order[b.kind]);
+    layer.setGhosts(ghosts);
   }
 
 
@@ -398,13 +887,13 @@ export class UiHistoryCard extends AbstractUiCard {
   _setupKeybinding() {
     const context = this.context;
     const keybinding = context.keybinding();
-    const l10n = context.systems.l10n;
+    const keymap = context.systems.keymap;
 
     if (Array.isArray(this._keys)) {
       keybinding.off(this._keys);
     }
 
-    this._keys = [utilCmd('⌘⇧' + l10n.t('shortcuts.command.toggle_history_card.key'))];
+    this._keys = [utilCmd('⌘⇧' + keymap.key('toggle_history_card'))];
     context.keybinding().on(this._keys, this.toggle);
   }
 
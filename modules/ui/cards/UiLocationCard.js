@@ -20,6 +20,7 @@ export class UiLocationCard extends AbstractUiCard {
     this.id = 'location';
 
     const eventManager = context.systems.gfx.events;
+    const keymap = context.systems.keymap;
     const l10n = context.systems.l10n;
 
     this._currLocation = null;
@@ -36,6 +37,7 @@ export class UiLocationCard extends AbstractUiCard {
     // Event listeners
     eventManager.on('pointermove', this.rerender);
     l10n.on('localechange', this._setupKeybinding);
+    keymap.on('keymapchange', this._setupKeybinding);
 
     this._setupKeybinding();
   }
@@ -161,13 +163,13 @@ export class UiLocationCard extends AbstractUiCard {
   _setupKeybinding() {
     const context = this.context;
     const keybinding = context.keybinding();
-    const l10n = context.systems.l10n;
+    const keymap = context.systems.keymap;
 
     if (Array.isArray(this._keys)) {
       keybinding.off(this._keys);
     }
 
-    this._keys = [utilCmd('⌘⇧' + l10n.t('shortcuts.command.toggle_location_card.key'))];
+    this._keys = [utilCmd('⌘⇧' + keymap.key('toggle_location_card'))];
     context.keybinding().on(this._keys, this.toggle);
   }
 
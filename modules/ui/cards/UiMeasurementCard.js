@@ -48,6 +48,7 @@ export class UiMeasurementCard extends AbstractUiCard {
     super(context);
     this.id = 'measurement';
 
+    const keymap = context.systems.keymap;
     const l10n = context.systems.l10n;
     const map = context.systems.map;
 
@@ -64,6 +65,7 @@ export class UiMeasurementCard extends AbstractUiCard {
     map.on('draw', this.rerender);
     context.on('modechange', this.rerender);
     l10n.on('localechange', this._setupKeybinding);
+    keymap.on('keymapchange', this._setupKeybinding);
 
     this._setupKeybinding();
   }
@@ -309,13 +311,13 @@ export class UiMeasurementCard extends AbstractUiCard {
   _setupKeybinding() {
     const context = this.context;
     const keybinding = context.keybinding();
-    const l10n = context.systems.l10n;
+    const keymap = context.systems.keymap;
 
     if (Array.isArray(this._keys)) {
       keybinding.off(this._keys);
     }
 
-    this._keys = [utilCmd('⌘⇧' + l10n.t('shortcuts.command.toggle_measurement_card.key'))];
+    this._keys = [utilCmd('⌘⇧' + keymap.key('toggle_measurement_card'))];
     context.keybinding().on(this._keys, this.toggle);
   }
 
@@ -0,0 +1,318 @@
+import { selection } from 'd3-selection';
+import debounce from 'lodash-es/debounce.js';
+
+import { AbstractUiCard } from './AbstractUiCard.js';
+import { uiIcon } from '../icon.js';
+import { utilCmd } from '../../util/cmd.js';
+
+
+const CSV_COLUMNS = [
+  'dataset_id', 'dataset_label', 'entity_id', 'osm_id', 'action',
+  'modified', 'deleted', 'geometry_changed', 'tag_changes'
+];
+
+// Quote a value for CSV, if it needs it
+function csvValue(val) {
+  const str = (val === null || val === undefined) ? '' : String(val);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+
+/**
+ * UiRapidReportCard
+ * Shows how the Rapid features have been handled in this edit session, for each dataset:
+ * how many were accepted, merged, or ignored, how many were modified after accepting,
+ * and which tags the user edited after accepting.
+ * The report can be exported as JSON or CSV to share with the dataset providers.
+ */
+export class UiRapidReportCard extends AbstractUiCard {
+
+  /**
+   * @constructor
+   * @param  `context`  Global shared application context
+   */
+  constructor(context) {
+    super(context);
+    this.id = 'rapid_report';
+
+    const editor = context.systems.editor;
+    const keymap = context.systems.keymap;
+    const l10n = context.systems.l10n;
+
+    this._keys = null;
+
+    // Ensure methods used as callbacks always have `this` bound correctly.
+    // (This is also necessary when using `d3-selection.call`)
+    this.render = this.render.bind(this);
+    this.rerender = (() => this.render());  // call render without argument
+    this.deferredRender = debounce(this.rerender, 250);
+    this.exportJSON = this.exportJSON.bind(this);
+    this.exportCSV = this.exportCSV.bind(this);
+    this._setupKeybinding = this._setupKeybinding.bind(this);
+
+    // Event listeners
+    editor.on('stablechange', this.deferredRender);
+    l10n.on('localechange', this._setupKeybinding);
+    keymap.on('keymapchange', this._setupKeybinding);
+
+    this._setupKeybinding();
+  }
+
+
+  /**
+   * render
+   * Accepts a parent selection, and renders the content under it.
+   * (The parent selection is required the first time, but can be inferred on subsequent renders)
+   * @param {d3-selection} $parent - A d3-selection to a HTMLElement that this component should render itself into
+   */
+  render($parent = this.$parent) {
+    if ($parent instanceof selection) {
+      this.$parent = $parent;
+    } else {
+      return;   // no parent - called too early?
+    }
+
+    if (!this.visible) return;
+
+    const context = this.context;
+    const l10n = context.systems.l10n;
+    const rapid = context.systems.rapid;
+
+    // .card-container
+    let $wrap = $parent.selectAll('.card-container')
+      .data([this.id], d => d);
+
+    // enter
+    const $$wrap = $wrap.enter()
+      .append('div')
+      .attr('class', d => `fillD2 card-container card-container-${d}`);
+
+    const $$title = $$wrap
+      .append('div')
+      .attr('class', 'fillD2 card-title');
+
+    $$title
+      .append('h3');
+
+    $$title
+      .append('button')
+      .attr('class', 'close')
+      .on('click', this.toggle)
+      .call(uiIcon('#rapid-icon-close'));
+
+    $$wrap
+      .append('div')
+      .attr('class', d => `card-content card-content-${d}`);
+
+
+    // update
+    this.$wrap = $wrap = $wrap.merge($$wrap);
+
+    $wrap.selectAll('h3')
+      .text(l10n.t('info_panels.rapid_report.title'));
+
+    // .card-content
+    const $content = $wrap.selectAll('.card-content');
+
+    // Empty out the DOM content and rebuild from scratch..
+    $content.html('');
+
+    const report = rapid.getSessionReport();
+    const datasets = [...report.datasets.values()];
+
+    if (!datasets.length) {
+      $content
+        .append('div')
+        .attr('class', 'rapid-report-empty')
+        .text(l10n.t('info_panels.rapid_report.empty'));
+      return;
+    }
+
+    // Table of counts for each dataset
+    const columns = ['accepted', 'conflated', 'ignored', 'modified', 'deleted'];
+
+    const $table = $content
+      .append('table')
+      .attr('class', 'rapid-report-table');
+
+    const $header = $table
+      .append('thead')
+      .append('tr');
+
+    $header
+      .append('th')
+      .text(l10n.t('info_panels.rapid_report.dataset'));
+
+    $header.selectAll('th.count')
+      .data(columns)
+      .enter()
+      .append('th')
+      .attr('class', 'count')
+      .text(d => l10n.t(`info_panels.rapid_report.${d}`));
+
+    const $rows = $table
+      .append('tbody')
+      .selectAll('tr')
+      .data(datasets)
+      .enter()
+      .append('tr');
+
+    $rows
+      .append('td')
+      .attr('class', 'dataset-label')
+      .text(d => d.label);
+
+    $rows.selectAll('td.count')
+      .data(d => columns.map(col => d[col]))
+      .enter()
+      .append('td')
+      .attr('class', 'count')
+      .text(d => d.toLocaleString(l10n.localeCode()));
+
+
+    // Tags edited after accepting, for each dataset
+    const edited = datasets.filter(d => d.tagEdits.size > 0);
+    if (edited.length) {
+      $content
+        .append('h4')
+        .text(l10n.t('info_panels.rapid_report.tag_edits'));
+
+      const $datasets = $content
+        .append('ul')
+        .attr('class', 'rapid-report-tag-edits')
+        .selectAll('li')
+        .data(edited)
+        .enter()
+        .append('li');
+
+      $datasets
+        .append('strong')
+        .text(d => d.label);
+
+      $datasets
+        .append('ul')
+        .selectAll('li')
+        .data(d => [...d.tagEdits.entries()].sort((a, b) => a[0].localeCompare(b[0])))
+        .enter()
+        .append('li')
+        .text(([key, edits]) => {
+          const counts = ['added', 'changed', 'removed']
+            .filter(k => edits[k] > 0)
+            .map(k => l10n.t(`info_panels.rapid_report.tag_${k}`, { n: edits[k] }));
+          return `${key}: ${counts.join(', ')}`;
+        });
+    }
+
+
+    // Export buttons
+    const $buttons = $content
+      .append('div')
+      .attr('class', 'rapid-report-export');
+
+    $buttons
+      .append('a')
+      .attr('class', 'button')
+      .attr('href', '#')
+      .text(l10n.t('info_panels.rapid_report.export_json'))
+      .on('click', this.exportJSON);
+
+    $buttons
+      .append('a')
+      .attr('class', 'button')
+      .attr('href', '#')
+      .text(l10n.t('info_panels.rapid_report.export_csv'))
+      .on('click', this.exportCSV);
+  }
+
+
+  /**
+   * exportJSON
+   * Downloads the session report as a JSON file
+   * @param  {Event}  e? - triggering event (if any)
+   */
+  exportJSON(e) {
+    if (e)  e.preventDefault();
+
+    const report = this.context.systems.rapid.getSessionReport();
+    const datasets = [...report.datasets.values()].map(d => {
+      return Object.assign({}, d, { tagEdits: Object.fromEntries(d.tagEdits) });
+    });
+
+    const data = {
+      generated: new Date().toISOString(),
+      datasets: datasets,
+      features: report.features
+    };
+
+    this._download(JSON.stringify(data, null, 2), 'application/json', 'json');
+  }
+
+
+  /**
+   * exportCSV
+   * Downloads the session report as a CSV file, with one row for each feature
+   * @param  {Event}  e? - triggering event (if any)
+   */
+  exportCSV(e) {
+    if (e)  e.preventDefault();
+
+    const report = this.context.systems.rapid.getSessionReport();
+    const rows = [CSV_COLUMNS.join(',')];
+
+    for (const feature of report.features) {
+      const label = report.datasets.get(feature.datasetID)?.label;
+      const tagChanges = feature.tagChanges
+        .map(change => `${change.key}=${change.before ?? ''}->${change.after ?? ''}`)
+        .join(';');
+
+      rows.push([
+        feature.datasetID, label, feature.entityID, feature.osmID, feature.action,
+        feature.modified, feature.deleted, feature.geometryChanged, tagChanges
+      ].map(csvValue).join(','));
+    }
+
+    this._download(rows.join('\r\n') + '\r\n', 'text/csv', 'csv');
+  }
+
+
+  /**
+   * _download
+   * Prompts the user to save the given data as a file
+   * @param  {string}  data      - the file contents
+   * @param  {string}  mimeType  - the MIME type of the file
+   * @param  {string}  extension - the file extension
+   */
+  _download(data, mimeType, extension) {
+    const blob = new Blob([data], { type: mimeType });
+    const date = new Date().toISOString().slice(0, 10);
+
+    const link = document.createElement('a');
+    link.style.display = 'none';
+    link.href = URL.createObjectURL(blob);
+    link.setAttribute('download', `rapid-report-${date}.${extension}`);
+    document.body.appendChild(link);
+    link.click();
+
+    URL.revokeObjectURL(link.href);
+    link.remove();
+  }
+
+
+  /**
+   * _setupKeybinding
+   * This sets up the keybinding, replacing existing if needed
+   */
+  _setupKeybinding() {
+    const context = this.context;
+    const keybinding = context.keybinding();
+    const keymap = context.systems.keymap;
+
+    if (Array.isArray(this._keys)) {
+      keybinding.off(this._keys);
+    }
+
+    this._keys = [utilCmd('⌘⇧' + keymap.key('toggle_rapid_report_card'))];
+    context.keybinding().on(this._keys, this.toggle);
+  }
+
+}
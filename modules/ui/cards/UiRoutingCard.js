@@ -0,0 +1,308 @@
+import { selection } from 'd3-selection';
+
+import { AbstractUiCard } from './AbstractUiCard.js';
+import { osmRoutingProfiles } from '../../osm/routing.js';
+import { uiIcon } from '../icon.js';
+import { utilCmd } from '../../util/cmd.js';
+
+
+/**
+ * UiRoutingCard
+ * Previews how a router would use the loaded data (including unsaved edits).
+ * The user picks a routing profile, places a start and an end point on the map,
+ * and sees the quickest route between them, with turn-by-turn instructions.
+ * The route itself is drawn on the map by `PixiLayerRouting`.
+ */
+export class UiRoutingCard extends AbstractUiCard {
+
+  /**
+   * @constructor
+   * @param  `context`  Global shared application context
+   */
+  constructor(context) {
+    super(context);
+    this.id = 'routing';
+
+    const keymap = context.systems.keymap;
+    const l10n = context.systems.l10n;
+    const routing = context.systems.routing;
+
+    this._isImperial = !l10n.isMetric();
+    this._keys = null;
+
+    // Ensure methods used as callbacks always have `this` bound correctly.
+    // (This is also necessary when using `d3-selection.call`)
+    this.render = this.render.bind(this);
+    this.rerender = (() => this.render());  // call render without argument
+    this._setupKeybinding = this._setupKeybinding.bind(this);
+
+    // Event listeners
+    routing.on('routechange', this.rerender);
+    context.on('modechange', this.rerender);
+    l10n.on('localechange', this._setupKeybinding);
+    keymap.on('keymapchange', this._setupKeybinding);
+
+    this._setupKeybinding();
+  }
+
+
+  /**
+   * hide
+   * Leave the mode for placing route points when the card is closed
+   * @param  {Event}  e? - triggering event (if any)
+   */
+  hide(e) {
+    if (this.context.mode?.id === 'route') {
+      this.context.enter('browse');
+    }
+    super.hide(e);
+  }
+
+
+  /**
+   * render
+   * Accepts a parent selection, and renders the content under it.
+   * (The parent selection is required the first time, but can be inferred on subsequent renders)
+   * @param {d3-selection} $parent - A d3-selection to a HTMLElement that this component should render itself into
+   */
+  render($parent = this.$parent) {
+    if ($parent instanceof selection) {
+      this.$parent = $parent;
+    } else {
+      return;   // no parent - called too early?
+    }
+
+    if (!this.visible) return;
+
+    const context = this.context;
+    const l10n = context.systems.l10n;
+    const map = context.systems.map;
+    const routing = context.systems.routing;
+    const graph = context.systems.editor.staging.graph;
+    const isPlacing = (context.mode?.id === 'route');
+
+    // .card-container
+    let $wrap = $parent.selectAll('.card-container')
+      .data([this.id], d => d);
+
+    // enter
+    const $$wrap = $wrap.enter()
+      .append('div')
+      .attr('class', d => `fillD2 card-container card-container-${d}`);
+
+    const $$title = $$wrap
+      .append('div')
+      .attr('class', 'fillD2 card-title');
+
+    $$title
+      .append('h3');
+
+    $$title
+      .append('button')
+      .attr('class', 'close')
+      .on('click', this.toggle)
+      .call(uiIcon('#rapid-icon-close'));
+
+    $$wrap
+      .append('div')
+      .attr('class', d => `card-content card-content-${d}`);
+
+
+    // update
+    this.$wrap = $wrap = $wrap.merge($$wrap);
+
+    $wrap.selectAll('h3')
+      .text(l10n.t('info_panels.routing.title'));
+
+
+    // .card-content
+    const $content = $wrap.selectAll('.card-content');
+
+    // Empty out the DOM content and rebuild from scratch..
+    $content.html('');
+
+    // Profile choices
+    const $profiles = $content
+      .append('div')
+      .attr('class', 'routing-profiles')
+      .selectAll('label')
+      .data(Object.keys(osmRoutingProfiles))
+      .enter()
+      .append('label');
+
+    $profiles
+      .append('input')
+      .attr('type', 'radio')
+      .attr('name', 'routing-profile')
+      .property('checked', d => d === routing.profileID)
+      .on('change', (d3_event, d) => routing.setProfile(d));
+
+    $profiles
+      .append('span')
+      .text(d => l10n.t(`info_panels.routing.profile.${d}`));
+
+
+    // Start and end points
+    const $points = $content
+      .append('ul')
+      .attr('class', 'routing-points');
+
+    for (const which of ['start', 'end']) {
+      const point = routing[which];
+      let text;
+      if (!point) {
+        text = l10n.t('info_panels.routing.not_placed');
+      } else if (!point.nodeID) {
+        text = l10n.t('info_panels.routing.no_road');
+      } else {
+        text = l10n.decimalCoordinatePair(point.loc);
+      }
+
+      $points
+        .append('li')
+        .attr('class', `routing-point-${which}`)
+        .text(l10n.t(`info_panels.routing.${which}`) + ':')
+        .append('span')
+        .text(text);
+    }
+
+    if (isPlacing) {
+      const which = (!routing.start || routing.end) ? 'start' : 'end';
+      $content
+        .append('div')
+        .attr('class', 'routing-help')
+        .text(l10n.t(`info_panels.routing.place_${which}`));
+    }
+
+
+    // Summary and turn-by-turn instructions
+    const route = routing.route;
+    if (route) {
+      $content
+        .append('div')
+        .attr('class', 'routing-summary')
+        .text(l10n.t('info_panels.routing.summary', {
+          distance: l10n.displayLength(route.distance, this._isImperial),
+          duration: this._displayDuration(route.duration)
+        }));
+
+      $content
+        .append('ol')
+        .attr('class', 'routing-instructions')
+        .selectAll('li')
+        .data(routing.instructions)
+        .enter()
+        .append('li')
+        .attr('class', d => `routing-instruction routing-instruction-${d.type}`)
+        .on('click', (d3_event, d) => {
+          const node = graph.hasEntity(d.nodeID);
+          if (node) map.centerEase(node.loc);
+        })
+        .text(d => this._displayInstruction(d, graph));
+
+    } else if (routing.start?.nodeID && routing.end?.nodeID) {
+      $content
+        .append('div')
+        .attr('class', 'routing-summary')
+        .text(l10n.t('info_panels.routing.no_route'));
+    }
+
+
+    // Buttons
+    const $buttons = $content
+      .append('div')
+      .attr('class', 'routing-buttons');
+
+    $buttons
+      .append('a')
+      .attr('class', 'button')
+      .attr('href', '#')
+      .text(l10n.t(isPlacing ? 'info_panels.routing.done' : 'info_panels.routing.place'))
+      .on('click', e => {
+        e.preventDefault();
+        context.enter(isPlacing ? 'browse' : 'route');
+      });
+
+    if (routing.start || routing.end) {
+      $buttons
+        .append('a')
+        .attr('class', 'button')
+        .attr('href', '#')
+        .text(l10n.t('info_panels.routing.clear'))
+        .on('click', e => {
+          e.preventDefault();
+          routing.clear();
+        });
+    }
+
+    if (route) {
+      const toggle = this._isImperial ? 'imperial' : 'metric';
+      $buttons
+        .append('a')
+        .attr('class', 'button')
+        .attr('href', '#')
+        .text(l10n.t(`info_panels.measurement.${toggle}`))
+        .on('click', e => {
+          e.preventDefault();
+          this._isImperial = !this._isImperial;
+          this.render();
+        });
+    }
+  }
+
+
+  /**
+   * _displayInstruction
+   * @param   {Object}  instruction - an instruction (see `osmRoutingInstructions`)
+   * @param   {Graph}   graph - the Graph containing the route
+   * @return  {string}  text of the instruction, like "Turn left onto Main Street (200 m)"
+   */
+  _displayInstruction(instruction, graph) {
+    const l10n = this.context.systems.l10n;
+
+    if (instruction.type === 'arrive') {
+      return l10n.t('info_panels.routing.instruction.arrive');
+    }
+
+    const way = graph.hasEntity(instruction.wayID);
+    const name = way ? l10n.displayLabel(way, graph) : instruction.wayID;
+    const key = (instruction.type === 'depart') ? 'depart' : instruction.modifier;
+    const text = l10n.t(`info_panels.routing.instruction.${key}`, { name: name });
+    return `${text} (${l10n.displayLength(instruction.distance, this._isImperial)})`;
+  }
+
+
+  /**
+   * _displayDuration
+   * @param   {number}  seconds
+   * @return  {string}  the duration in hours and minutes, like "1 h 5 min"
+   */
+  _displayDuration(seconds) {
+    const l10n = this.context.systems.l10n;
+    const minutes = Math.max(1, Math.round(seconds / 60));
+    if (minutes < 60) {
+      return l10n.t('info_panels.routing.minutes', { n: minutes });
+    } else {
+      return l10n.t('info_panels.routing.hours', { h: Math.floor(minutes / 60), m: minutes % 60 });
+    }
+  }
+
+
+  /**
+   * _setupKeybinding
+   * This sets up the keybinding, replacing existing if needed
+   */
+  _setupKeybinding() {
+    const context = this.context;
+    const keybinding = context.keybinding();
+    const keymap = context.systems.keymap;
+
+    if (Array.isArray(this._keys)) {
+      keybinding.off(this._keys);
+    }
+
+    this._keys = [utilCmd('⌘⇧' + keymap.key('toggle_routing_card'))];
+    context.keybinding().on(this._keys, this.toggle);
+  }
+
+}
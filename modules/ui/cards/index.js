@@ -3,3 +3,5 @@ export * from './UiBackgroundCard.js';
 export * from './UiHistoryCard.js';
 export * from './UiLocationCard.js';
 export * from './UiMeasurementCard.js';
+export * from './UiRapidReportCard.js';
+export * from './UiRoutingCard.js';
@@ -8,6 +8,7 @@ import { uiIcon } from './icon.js';
 import { uiTooltip } from './tooltip.js';
 import { uiChangesetEditor } from './changeset_editor.js';
 import { uiSectionChanges } from './sections/changes.js';
+import { uiCommitSplit } from './commit_split.js';
 import { uiCommitWarnings } from './commit_warnings.js';
 import { uiSectionRawTagEditor } from './sections/raw_tag_editor.js';
 import { utilDetect, utilRebind } from '../util/index.js';
@@ -51,6 +52,7 @@ export function uiCommit(context) {
     .readOnlyTags(readOnlyTags);
   const commitChanges = uiSectionChanges(context);
   const commitWarnings = uiCommitWarnings(context);
+  const commitSplit = uiCommitSplit(context);
 
 
   function commit(selection) {
@@ -375,6 +377,10 @@ export function uiCommit(context) {
     body.call(commitWarnings);
 
 
+    // Splitting into several changesets
+    body.call(commitSplit);
+
+
     // Upload Explanation
     let saveSection = body.selectAll('.save-section')
       .data([0]);
@@ -0,0 +1,171 @@
+import { utilUniqueString } from '@rapid-sdk/util';
+
+
+/**
+ * uiCommitSplit
+ * Shows how the upload will be split into several changesets, and lets the user
+ * choose whether to split by size or by area.  While uploading (or after a part
+ * of the upload failed), shows the status of each changeset.
+ */
+export function uiCommitSplit(context) {
+  const l10n = context.systems.l10n;
+  const osm = context.services.osm;
+  const storage = context.systems.storage;
+  const uploader = context.systems.uploader;
+
+  let _selection = null;
+
+  // Restore the user's choices
+  const storedMode = storage.getItem('commit-split-mode');
+  const storedSize = parseInt(storage.getItem('commit-split-size'), 10);
+  uploader.splitOptions = {
+    mode: (storedMode === 'area') ? 'area' : 'size',
+    maxSize: (storedSize > 0) ? storedSize : null
+  };
+
+  uploader.on('uploadProgress', () => {
+    if (_selection?.node()?.isConnected) {
+      _selection.call(commitSplit);
+    }
+  });
+
+
+  function commitSplit(selection) {
+    _selection = selection;
+
+    const parts = uploader.parts;
+    const isUploading = parts.some(part => part.status === 'uploading');
+    const count = isUploading ? parts.length : uploader.previewParts().length;
+    const showParts = uploader.isPartiallyUploaded || (isUploading && parts.length > 1);
+
+    let section = selection.selectAll('.commit-split-section')
+      .data([0]);
+
+    // enter
+    const sectionEnter = section.enter()
+      .append('div')
+      .attr('class', 'modal-section commit-split-section fillL2');
+
+    sectionEnter
+      .append('h3')
+      .text(l10n.t('commit.split.title'));
+
+    const optionsEnter = sectionEnter
+      .append('div')
+      .attr('class', 'commit-split-options');
+
+    const modesEnter = optionsEnter.selectAll('.commit-split-mode')
+      .data(['size', 'area'])
+      .enter()
+      .append('label')
+      .attr('class', 'commit-split-mode');
+
+    const radioName = utilUniqueString('commit-split-mode');
+    modesEnter
+      .append('input')
+      .attr('type', 'radio')
+      .attr('name', radioName)
+      .attr('value', d => d)
+      .on('change', (d3_event, d) => {
+        uploader.splitOptions = Object.assign({}, uploader.splitOptions, { mode: d });
+        storage.setItem('commit-split-mode', d);
+        selection.call(commitSplit);
+      });
+
+    modesEnter
+      .append('span')
+      .text(d => l10n.t(`commit.split.mode_${d}`));
+
+    const sizeDomId = utilUniqueString('commit-split-size');
+    const sizeEnter = optionsEnter
+      .append('div')
+      .attr('class', 'commit-split-size');
+
+    sizeEnter
+      .append('label')
+      .attr('for', sizeDomId)
+      .text(l10n.t('commit.split.max_size'));
+
+    sizeEnter
+      .append('input')
+      .attr('type', 'number')
+      .attr('id', sizeDomId)
+      .attr('min', 1)
+      .on('change', function() {
+        const val = parseInt(this.value, 10);
+        const maxSize = (val > 0 && val < osm.maxChangesetElements) ? val : null;
+        uploader.splitOptions = Object.assign({}, uploader.splitOptions, { maxSize: maxSize });
+        if (maxSize) {
+          storage.setItem('commit-split-size', maxSize);
+        } else {
+          storage.removeItem('commit-split-size');
+        }
+        selection.call(commitSplit);
+      });
+
+    sectionEnter
+      .append('p')
+      .attr('class', 'commit-split-count');
+
+    sectionEnter
+      .append('ul')
+      .attr('class', 'changeset-list commit-split-parts');
+
+    // update
+    section = section
+      .merge(sectionEnter);
+
+    section.selectAll('.commit-split-mode input')
+      .property('checked', d => d === uploader.splitOptions.mode)
+      .property('disabled', isUploading);
+
+    section.selectAll('.commit-split-size input')
+      .attr('max', osm.maxChangesetElements)
+      .attr('placeholder', osm.maxChangesetElements)
+      .property('value', uploader.splitOptions.maxSize ?? '')
+      .property('disabled', isUploading);
+
+    section.selectAll('.commit-split-count')
+      .text(() => {
+        if (uploader.isPartiallyUploaded && !isUploading) {
+          return l10n.t('commit.split.resume');
+        } else {
+          return l10n.t('commit.split.count', { n: count });
+        }
+      });
+
+    // The status of each changeset
+    let items = section.selectAll('.commit-split-parts')
+      .style('display', showParts ? null : 'none')
+      .selectAll('li')
+      .data(showParts ? parts : []);
+
+    items.exit()
+      .remove();
+
+    const itemsEnter = items.enter()
+      .append('li')
+      .attr('class', 'commit-split-part');
+
+    itemsEnter
+      .append('span')
+      .attr('class', 'commit-split-part-label');
+
+    itemsEnter
+      .append('span')
+      .attr('class', 'commit-split-part-status');
+
+    items = items
+      .merge(itemsEnter)
+      .attr('class', d => `commit-split-part ${d.status}`);
+
+    items.select('.commit-split-part-label')
+      .text((d, i) => l10n.t('commit.split.part', { num: i + 1, n: d.size }));
+
+    items.select('.commit-split-part-status')
+      .text(d => l10n.t(`commit.split.status.${d.status}`) + (d.changesetID ? ` #${d.changesetID}` : ''));
+  }
+
+
+  return commitSplit;
+}
@@ -12,6 +12,7 @@ export function uiConflicts(context) {
   const editor = context.systems.editor;
   const l10n = context.systems.l10n;
   const map = context.systems.map;
+  const conflictsLayer = context.systems.gfx.scene.layers.get('conflicts');
 
   const dispatch = d3_dispatch('cancel', 'save');
   const keybinding = utilKeybinding('conflicts');
@@ -32,11 +33,13 @@ export function uiConflicts(context) {
 
   function tryAgain() {
     keybindingOff();
+    conflictsLayer?.setConflict(null);
     dispatch.call('save');
   }
 
   function cancel() {
     keybindingOff();
+    conflictsLayer?.setConflict(null);
     dispatch.call('cancel');
   }
 
@@ -129,6 +132,7 @@ export function uiConflicts(context) {
   function showConflict(selection, index) {
     index = numWrap(index, 0, _conflictList.length);
     _shownConflictIndex = index;
+    conflictsLayer?.setConflict(_conflictList[index].merge);
 
     const parent = d3_select(selection.node().parentNode);
 
@@ -190,6 +194,12 @@ export function uiConflicts(context) {
       .attr('class', 'conflict-choices')
       .call(addChoices);
 
+    details
+      .filter(d => d.merge)
+      .append('div')
+      .attr('class', 'conflict-merge')
+      .call(addMerge);
+
     details
       .append('div')
       .attr('class', 'conflict-nav-buttons joined cf')
@@ -259,6 +269,166 @@ export function uiConflicts(context) {
   }
 
 
+  // Three-way merge - choose between the local and remote version of each conflicting part.
+  // The base, local, and remote versions are also drawn on the map by the 'conflicts' layer.
+  function addMerge(selection) {
+    const conflict = selection.datum();
+    const merge = conflict.merge;
+    const details = merge.details;
+    const none = l10n.t('save.conflict.merge_none');
+    let rows = [];
+
+    if (details.location) {
+      const loc = details.location;
+      const changedLocally = !loc.base || loc.base[0] !== loc.local[0] || loc.base[1] !== loc.local[1];
+      rows.push({
+        type: 'location',
+        label: l10n.t('save.conflict.merge_location'),
+        base: loc.base ? l10n.decimalCoordinatePair(loc.base) : none,
+        local: l10n.decimalCoordinatePair(loc.local),
+        remote: l10n.decimalCoordinatePair(loc.remote),
+        defaultChoice: changedLocally ? 'local' : 'remote'
+      });
+    } else if (details.children.length) {
+      const n = details.children.length;
+      rows.push({
+        type: 'location',
+        label: l10n.t('save.conflict.merge_moved_nodes', { n: n }),
+        base: '',
+        local: l10n.t('save.conflict.merge_node_count', { n: n }),
+        remote: l10n.t('save.conflict.merge_node_count', { n: n })
+      });
+    }
+
+    for (const d of details.tags) {
+      rows.push({ type: 'tags', key: d.key, label: d.key, base: d.base ?? none, local: d.local ?? none, remote: d.remote ?? none });
+    }
+
+    for (const d of details.nodes) {
+      rows.push({
+        type: 'nodes',
+        key: d.index,
+        label: l10n.t('save.conflict.merge_segment', { num: d.index + 1 }),
+        base: l10n.t('save.conflict.merge_node_count', { n: d.base.length }),
+        local: l10n.t('save.conflict.merge_node_count', { n: d.local.length }),
+        remote: l10n.t('save.conflict.merge_node_count', { n: d.remote.length })
+      });
+    }
+
+    for (const d of details.members) {
+      rows.push({
+        type: 'members',
+        key: d.index,
+        label: l10n.t('save.conflict.merge_members', { num: d.index + 1 }),
+        base: d.base.map(memberName).join(', ') || none,
+        local: d.local.map(memberName).join(', ') || none,
+        remote: d.remote.map(memberName).join(', ') || none
+      });
+    }
+
+    selection
+      .append('div')
+      .attr('class', 'conflict-merge-help')
+      .text(l10n.t('save.conflict.merge_help'));
+
+    if (!rows.length) {
+      selection
+        .append('div')
+        .attr('class', 'conflict-merge-help')
+        .text(l10n.t('save.conflict.merge_automatic'));
+      return;
+    }
+
+    const table = selection
+      .append('table')
+      .attr('class', 'conflict-merge-table');
+
+    table
+      .append('thead')
+      .append('tr')
+      .selectAll('th')
+      .data(['part', 'base', 'local', 'remote'])
+      .enter()
+      .append('th')
+      .attr('class', d => `conflict-merge-${d}`)
+      .text(d => l10n.t(`save.conflict.merge_${d}`));
+
+    const tr = table
+      .append('tbody')
+      .selectAll('tr')
+      .data(rows)
+      .enter()
+      .append('tr')
+      .attr('class', d => `conflict-merge-row conflict-merge-row-${d.type}`)
+      .on('mouseenter', (d3_event, d) => {
+        if (d.type === 'nodes' || d.type === 'members') {
+          conflictsLayer?.setHighlight({ type: d.type, index: d.key });
+        }
+      })
+      .on('mouseleave', () => conflictsLayer?.setHighlight(null));
+
+    tr
+      .append('td')
+      .attr('class', 'conflict-merge-part')
+      .text(d => d.label);
+
+    tr
+      .append('td')
+      .attr('class', 'conflict-merge-base')
+      .text(d => d.base);
+
+    for (const which of ['local', 'remote']) {
+      const label = tr
+        .append('td')
+        .attr('class', `conflict-merge-${which}`)
+        .append('label');
+
+      label
+        .append('input')
+        .attr('type', 'radio')
+        .attr('name', d => `conflict-merge-${conflict.id}-${d.type}-${d.key ?? ''}`)
+        .property('checked', d => getMergeChoice(merge, d) === which)
+        .on('change', (d3_event, d) => {
+          setMergeChoice(merge, d, which);
+          const ul = selection.node().parentNode.querySelector('.conflict-choices ul');
+          const choice = conflict.choices.find(c => c.merge);
+          if (ul && choice) {
+            conflict.chosen = choice.id;   // anything but "use theirs"
+            choose(d3_event, ul, choice);
+          }
+        });
+
+      label
+        .append('span')
+        .text(d => d[which]);
+    }
+
+
+    function memberName(member) {
+      const name = `${l10n.displayType(member.id)} ${member.id}`;
+      return member.role ? `${name} (${member.role})` : name;
+    }
+  }
+
+
+  function getMergeChoice(merge, row) {
+    if (row.type === 'location') {
+      return merge.choices.location ?? row.defaultChoice;
+    } else {
+      return merge.choices[row.type][row.key] ?? 'local';
+    }
+  }
+
+
+  function setMergeChoice(merge, row, which) {
+    if (row.type === 'location') {
+      merge.choices.location = which;
+    } else {
+      merge.choices[row.type][row.key] = which;
+    }
+  }
+
+
   function choose(d3_event, ul, datum) {
     if (d3_event) d3_event.preventDefault();
 
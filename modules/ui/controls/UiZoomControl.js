@@ -2,7 +2,7 @@ import { select, selection } from 'd3-selection';
 
 import { uiIcon } from '../icon.js';
 import { uiTooltip } from '../tooltip.js';
-import { utilCmd, utilKeybinding } from '../../util/index.js';
+import { utilCmd } from '../../util/index.js';
 
 
 /**
@@ -17,6 +17,7 @@ export class UiZoomControl {
   constructor(context) {
     this.context = context;
 
+    const keymap = context.systems.keymap;
     const l10n = context.systems.l10n;
     const map = context.systems.map;
 
@@ -34,11 +35,12 @@ export class UiZoomControl {
     this.zoomOut = this.zoomOut.bind(this);
     this.zoomInFurther = this.zoomInFurther.bind(this);
     this.zoomOutFurther = this.zoomOutFurther.bind(this);
+    this._setupKeybinding = this._setupKeybinding.bind(this);
 
     this.zooms = [{
       id: 'zoom-in',
       icon: 'rapid-icon-plus',
-      key: '+',
+      getKey: () => keymap.key('zoom_in'),
       action: this.zoomIn,
       isDisabled: () => !map.canZoomIn(),
       getTitle: () => l10n.t('zoom.in'),
@@ -46,7 +48,7 @@ export class UiZoomControl {
     }, {
       id: 'zoom-out',
       icon: 'rapid-icon-minus',
-      key: '-',
+      getKey: () => keymap.key('zoom_out'),
       action: this.zoomOut,
       isDisabled: () => !map.canZoomOut(),
       getTitle: () => l10n.t('zoom.out'),
@@ -54,17 +56,11 @@ export class UiZoomControl {
     }];
 
     // Event listeners
-    utilKeybinding.plusKeys.forEach(key => {
-      context.keybinding().on(key, this.zoomIn);
-      context.keybinding().on(utilCmd('⌥' + key), this.zoomInFurther);
-    });
-
-    utilKeybinding.minusKeys.forEach(key => {
-      context.keybinding().on(key, this.zoomOut);
-      context.keybinding().on(utilCmd('⌥' + key), this.zoomOutFurther);
-    });
-
+    l10n.on('localechange', this._setupKeybinding);
+    keymap.on('keymapchange', this._setupKeybinding);
     map.on('draw', this.rerender);
+
+    this._setupKeybinding();
   }
 
 
@@ -112,7 +108,7 @@ export class UiZoomControl {
     this.Tooltip
       .placement(l10n.isRTL() ? 'right' : 'left')
       .title(d => d.isDisabled() ? d.getDisabledTitle() : d.getTitle())
-      .shortcut(d => d.key);
+      .shortcut(d => d.getKey());
 
     $buttons
       .each((d, i, nodes) => {
@@ -163,4 +159,32 @@ export class UiZoomControl {
     const map = this.context.systems.map;
     map.zoomOutFurther();
   }
+
+  /**
+   * _setupKeybinding
+   * This sets up the keybindings, replacing existing if needed.
+   * Holding ⌥ with the zoom keys zooms further.
+   */
+  _setupKeybinding() {
+    const context = this.context;
+    const keybinding = context.keybinding();
+    const keymap = context.systems.keymap;
+
+    if (Array.isArray(this._keys)) {
+      keybinding.off(this._keys);
+    }
+
+    this._keys = [];
+    for (const key of keymap.combos('zoom_in')) {
+      this._keys.push(key, utilCmd('⌥' + key));
+      keybinding.on(key, this.zoomIn);
+      keybinding.on(utilCmd('⌥' + key), this.zoomInFurther);
+    }
+    for (const key of keymap.combos('zoom_out')) {
+      this._keys.push(key, utilCmd('⌥' + key));
+      keybinding.on(key, this.zoomOut);
+      keybinding.on(utilCmd('⌥' + key), this.zoomOutFurther);
+    }
+  }
+
 }
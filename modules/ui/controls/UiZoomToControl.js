@@ -16,6 +16,7 @@ export class UiZoomToControl {
   constructor(context) {
     this.context = context;
 
+    const keymap = context.systems.keymap;
     const l10n = context.systems.l10n;
 
     this._prevTransform = null;   // After a zoom in, the previous transform to zoom back out
@@ -38,6 +39,7 @@ export class UiZoomToControl {
     // Event listeners
     context.on('modechange', this.modechange);
     l10n.on('localechange', this._setupKeybinding);
+    keymap.on('keymapchange', this._setupKeybinding);
 
     this._setupKeybinding();
   }
@@ -57,6 +59,7 @@ export class UiZoomToControl {
     }
 
     const context = this.context;
+    const keymap = context.systems.keymap;
     const l10n = context.systems.l10n;
 
     let $button = $parent.selectAll('button')
@@ -80,7 +83,7 @@ export class UiZoomToControl {
     this.Tooltip
       .placement(l10n.isRTL() ? 'right' : 'left')
       .title(() => this.isDisabled() ? l10n.t('inspector.zoom_to.no_selection') : l10n.t('inspector.zoom_to.title'))
-      .shortcut(l10n.t('shortcuts.command.zoom_to.key'));
+      .shortcut(keymap.key('zoom_to'));
   }
 
 
@@ -147,13 +150,13 @@ export class UiZoomToControl {
   _setupKeybinding() {
     const context = this.context;
     const keybinding = context.keybinding();
-    const l10n = context.systems.l10n;
+    const keymap = context.systems.keymap;
 
     if (Array.isArray(this._keys)) {
       keybinding.off(this._keys);
     }
 
-    this._keys = [l10n.t('shortcuts.command.zoom_to.key')];
+    this._keys = [keymap.key('zoom_to')];
     context.keybinding().on(this._keys, this.zoomTo);
   }
 
@@ -139,7 +139,7 @@ export function uiEditMenu(context) {
         .classed('disabled', d => d.disabled());
 
       button.selectAll('.icon-wrap use')
-        .attr('href', `#rapid-operation-${d.id}`);
+        .attr('href', d.icon ?? `#rapid-operation-${d.id}`);
 
       button.selectAll('.label')
         .text(d => d.title);
@@ -177,7 +177,7 @@ export function uiEditMenu(context) {
           // there are no tooltips for touch interactions so flash feedback instead
           ui.Flash
             .duration(4000)
-            .iconName(`#rapid-operation-${operation.id}`)
+            .iconName(operation.icon ?? `#rapid-operation-${operation.id}`)
             .iconClass('operation disabled')
             .label(operation.tooltip)();
         }
@@ -185,7 +185,7 @@ export function uiEditMenu(context) {
         if (_lastPointerUpType === 'touch' || _lastPointerUpType === 'pen') {
           ui.Flash
             .duration(2000)
-            .iconName(`#rapid-operation-${operation.id}`)
+            .iconName(operation.icon ?? `#rapid-operation-${operation.id}`)
             .iconClass('operation')
             .label(operation.annotation() || operation.title)();
         }
@@ -8,6 +8,7 @@ import { utilRebind } from '../util/index.js';
 
 import { uiSectionEntityIssues } from './sections/entity_issues.js';
 import { uiSectionFeatureType } from './sections/feature_type.js';
+import { uiSectionMacros } from './sections/macros.js';
 import { uiSectionPresetFields } from './sections/preset_fields.js';
 import { uiSectionRawMemberEditor } from './sections/raw_member_editor.js';
 import { uiSectionRawMembershipEditor } from './sections/raw_membership_editor.js';
@@ -36,7 +37,8 @@ export function uiEntityEditor(context) {
     uiSectionPresetFields(context).on('change', _changeTags).on('revert', _revertTags),
     uiSectionRawTagEditor(context, 'raw-tag-editor').on('change', _changeRawTags),
     uiSectionRawMemberEditor(context),
-    uiSectionRawMembershipEditor(context)
+    uiSectionRawMembershipEditor(context),
+    uiSectionMacros(context)
   ];
 
   let _selection = null;
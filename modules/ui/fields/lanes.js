@@ -1,132 +1,291 @@
 import { dispatch as d3_dispatch } from 'd3-dispatch';
+import { driveSide } from '@rapideditor/country-coder';
 
+import { osmLanesModel, osmLanesModelTags } from '../../osm/lanes.js';
+import { uiIcon } from '../icon.js';
 import { utilRebind } from '../../util/rebind.js';
-import { utilGetDimensions } from '../../util/dimensions.js';
 
 
+// Choices for the turn markings of a lane
+var TURN_VALUES = [
+    '', 'left', 'slight_left', 'sharp_left', 'through', 'right', 'slight_right', 'sharp_right',
+    'reverse', 'merge_to_left', 'merge_to_right', 'left;through', 'through;right', 'left;right', 'left;through;right'
+];
+
+var ARROWS = { forward: '▲', backward: '▼', bothways: '▲▼' };
+
+
+/**
+ * uiFieldLanes
+ * A lane editor for highways.  It shows the lanes from left to right (as seen travelling
+ * along the way, on the side of the road that traffic drives on where the way is),
+ * with their direction and turn markings, and lets the user add, remove,
+ * and reorder lanes, and choose the turn markings of each lane.
+ * The lane counts and all the tags with a value for each lane (`turn:lanes`, `bus:lanes`, etc)
+ * are kept consistent with the lanes (see `osmLanesModelTags`).
+ */
 export function uiFieldLanes(context, uifield) {
+    var l10n = context.systems.l10n;
     var dispatch = d3_dispatch('change');
-    var LANE_WIDTH = 40;
-    var LANE_HEIGHT = 200;
     var _entityIDs = [];
+    var _wrap;
+
 
     function lanes(selection) {
-        const graph = context.systems.editor.staging.graph;
-        const lanesData = graph.entity(_entityIDs[0]).lanes();
+        _wrap = selection.selectAll('.form-field-input-wrap')
+            .data([0]);
 
-        if (!context.container().select('.inspector-wrap.inspector-hidden').empty() || !selection.node().parentNode) {
-            selection.call(lanes.off);
-            return;
-        }
+        var enter = _wrap.enter()
+            .append('div')
+            .attr('class', 'form-field-input-wrap form-field-input-' + uifield.type);
 
-        var wrap = selection.selectAll('.form-field-input-wrap')
-            .data([0]);
+        enter
+            .append('div')
+            .attr('class', 'lanes-road');
 
-        wrap = wrap.enter()
+        enter
             .append('div')
-            .attr('class', 'form-field-input-wrap form-field-input-' + uifield.type)
-            .merge(wrap);
+            .attr('class', 'lanes-add');
 
-        var surface =  wrap.selectAll('.surface')
-            .data([0]);
+        _wrap = _wrap.merge(enter);
 
-        var d = utilGetDimensions(wrap);
-        var freeSpace = d[0] - lanesData.lanes.length * LANE_WIDTH * 1.5 + LANE_WIDTH * 0.5;
+        render();
+    }
 
-        surface = surface.enter()
-            .append('svg')
-            .attr('width', d[0])
-            .attr('height', 300)
-            .attr('class', 'surface')
-            .merge(surface);
 
+    function getEntity() {
+        var graph = context.systems.editor.staging.graph;
+        return _entityIDs.length ? graph.hasEntity(_entityIDs[0]) : null;
+    }
 
-        var lanesSelection = surface.selectAll('.lanes')
-            .data([0]);
 
-        lanesSelection = lanesSelection.enter()
-            .append('g')
-            .attr('class', 'lanes')
-            .merge(lanesSelection);
+    // Does traffic drive on the left where the way is?
+    function isDriveLeft(entity) {
+        var graph = context.systems.editor.staging.graph;
+        var node = graph.hasEntity(entity.nodes[0]);
+        return !!node && driveSide(node.loc) === 'left';
+    }
 
-        lanesSelection
-            .attr('transform', function () {
-                return 'translate(' + (freeSpace / 2) + ', 0)';
-            });
+
+    // The lanes from left to right as seen travelling forward along the way:
+    // the backward lanes (in reverse), then the center lane, then the forward lanes,
+    // or the other way around where traffic drives on the left
+    function displayLanes(model, driveLeft) {
+        var backward = [];
+        for (var i = model.backward.length - 1; i >= 0; i--) {
+            backward.push({ dir: 'backward', index: i, lane: model.backward[i] });
+        }
+        var bothways = model.bothways.map(function(lane, i) {
+            return { dir: 'bothways', index: i, lane: lane };
+        });
+        var forward = model.forward.map(function(lane, i) {
+            return { dir: 'forward', index: i, lane: lane };
+        });
+        return driveLeft ? forward.concat(bothways, backward) : backward.concat(bothways, forward);
+    }
+
+
+    function turnLabel(value) {
+        if (!value) return l10n.t('lanes.turn.none');
+        return value.split(';')
+            .map(function(v) { return l10n.t('lanes.turn.' + v, { default: v }); })
+            .join(' + ');
+    }
 
 
-        var lane = lanesSelection.selectAll('.lane')
-           .data(lanesData.lanes);
+    function render() {
+        if (!_wrap) return;
+
+        var entity = getEntity();
+        var driveLeft = entity && isDriveLeft(entity);
+        var model = entity && osmLanesModel(entity, driveLeft);
+        if (!model) return;
+
+        var items = displayLanes(model, driveLeft);
+
+        var lane = _wrap.select('.lanes-road')
+            .selectAll('.lane')
+            .data(items);
 
         lane.exit()
             .remove();
 
         var enter = lane.enter()
-            .append('g')
+            .append('div')
             .attr('class', 'lane');
 
         enter
-            .append('g')
-            .append('rect')
-            .attr('y', 50)
-            .attr('width', LANE_WIDTH)
-            .attr('height', LANE_HEIGHT);
+            .append('div')
+            .attr('class', 'lane-direction');
 
         enter
-            .append('g')
-            .attr('class', 'forward')
-            .append('text')
-            .attr('y', 40)
-            .attr('x', 14)
-            .text('▲');
+            .append('select')
+            .attr('class', 'lane-turn')
+            .on('change', function(d3_event, d) {
+                setTurn(d, this.value);
+            });
 
-        enter
-            .append('g')
-            .attr('class', 'bothways')
-            .append('text')
-            .attr('y', 40)
-            .attr('x', 14)
-            .text('▲▼');
+        var buttons = enter
+            .append('div')
+            .attr('class', 'lane-buttons');
 
-        enter
-            .append('g')
-            .attr('class', 'backward')
-            .append('text')
-            .attr('y', 40)
-            .attr('x', 14)
-            .text('▼');
+        buttons
+            .append('button')
+            .attr('class', 'lane-move-left')
+            .on('click', function(d3_event, d) { moveLane(d, -1); })
+            .call(uiIcon('#rapid-icon-backward'));
+
+        buttons
+            .append('button')
+            .attr('class', 'lane-remove')
+            .on('click', function(d3_event, d) { removeLane(d); })
+            .call(uiIcon('#rapid-operation-delete'));
 
+        buttons
+            .append('button')
+            .attr('class', 'lane-move-right')
+            .on('click', function(d3_event, d) { moveLane(d, 1); })
+            .call(uiIcon('#rapid-icon-forward'));
 
-        lane = lane
-            .merge(enter);
+        lane = lane.merge(enter);
 
         lane
-            .attr('transform', function(d) {
-                return 'translate(' + (LANE_WIDTH * d.index * 1.5) + ', 0)';
-            });
+            .attr('class', function(d) { return 'lane lane-' + d.dir; });
 
-        lane.select('.forward')
-            .style('visibility', function(d) {
-                return d.direction === 'forward' ? 'visible' : 'hidden';
-            });
+        lane.select('.lane-direction')
+            .attr('title', function(d) { return l10n.t('lanes.' + d.dir); })
+            .text(function(d) { return ARROWS[d.dir]; });
 
-        lane.select('.bothways')
-            .style('visibility', function(d) {
-                return d.direction === 'bothways' ? 'visible' : 'hidden';
+        // Select the buttons again, so that they get the new data of their lane
+        lane.select('.lane-move-left')
+            .attr('title', l10n.t('lanes.move_left'))
+            .property('disabled', function(d, i) { return !canSwap(items, i, i - 1); });
+
+        lane.select('.lane-remove')
+            .attr('title', l10n.t('lanes.remove'));
+
+        lane.select('.lane-move-right')
+            .attr('title', l10n.t('lanes.move_right'))
+            .property('disabled', function(d, i) { return !canSwap(items, i, i + 1); });
+
+        var options = lane.select('.lane-turn')
+            .selectAll('option')
+            .data(function(d) {
+                var value = d.lane.turn || '';
+                return TURN_VALUES.includes(value) ? TURN_VALUES : TURN_VALUES.concat(value);
             });
 
-        lane.select('.backward')
-            .style('visibility', function(d) {
-                return d.direction === 'backward' ? 'visible' : 'hidden';
+        options.exit()
+            .remove();
+
+        options.enter()
+            .append('option')
+            .merge(options)
+            .attr('value', function(d) { return d; })
+            .text(turnLabel);
+
+        lane.select('.lane-turn')
+            .property('value', function(d) { return d.lane.turn || ''; });
+
+
+        // Buttons to add lanes
+        var adds = model.oneway ? [model.oneway === 1 ? 'forward' : 'backward'] : ['backward', 'forward'];
+        if (!model.oneway && !model.bothways.length) {
+            adds.push('bothways');
+        }
+
+        var add = _wrap.select('.lanes-add')
+            .selectAll('button')
+            .data(adds, function(d) { return d; });
+
+        add.exit()
+            .remove();
+
+        add.enter()
+            .append('button')
+            .attr('class', function(d) { return 'lanes-add-' + d; })
+            .on('click', function(d3_event, d) { addLane(d); })
+            .call(uiIcon('#rapid-icon-plus', 'inline'))
+            .append('span')
+            .text(function(d) {
+                return model.oneway ? l10n.t('lanes.add') : l10n.t('lanes.add_' + d);
             });
     }
 
 
+    // Lanes can only be swapped with another lane in the same direction
+    function canSwap(items, i, j) {
+        return !!items[j] && items[j].dir === items[i].dir && items[i].dir !== 'bothways';
+    }
+
+
+    function change(fn) {
+        var entity = getEntity();
+        var driveLeft = entity && isDriveLeft(entity);
+        var model = entity && osmLanesModel(entity, driveLeft);
+        if (!model) return;
+
+        fn(model, driveLeft);
+        dispatch.call('change', this, osmLanesModelTags(entity, model, driveLeft));
+    }
+
+
+    function setTurn(d, value) {
+        change(function(model) {
+            var lane = model[d.dir][d.index];
+            if (value) {
+                lane.turn = value;
+            } else {
+                delete lane.turn;
+            }
+        });
+    }
+
+
+    // New lanes are added next to the center of the road, where turn lanes usually are
+    // (on the left of the lanes in that direction, or on the right where traffic drives on the left)
+    function addLane(dir) {
+        change(function(model, driveLeft) {
+            if (driveLeft) {
+                model[dir].push({});
+            } else {
+                model[dir].unshift({});
+            }
+        });
+    }
+
+
+    function removeLane(d) {
+        change(function(model) {
+            model[d.dir].splice(d.index, 1);
+        });
+    }
+
+
+    // `delta` is -1 to move the lane to the left, or +1 to move it to the right, as shown
+    function moveLane(d, delta) {
+        if (d.dir === 'bothways') return;
+        var step = (d.dir === 'backward') ? -delta : delta;   // backward lanes are shown in reverse
+
+        change(function(model) {
+            var lanes = model[d.dir];
+            var j = d.index + step;
+            if (j < 0 || j >= lanes.length) return;
+            var tmp = lanes[d.index];
+            lanes[d.index] = lanes[j];
+            lanes[j] = tmp;
+        });
+    }
+
+
     lanes.entityIDs = function(val) {
         _entityIDs = val;
     };
 
-    lanes.tags = function() {};
+    lanes.tags = function() {
+        render();
+    };
+
     lanes.focus = function() {};
     lanes.off = function() {};
 
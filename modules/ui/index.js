@@ -3,6 +3,7 @@ export { UiApiStatus } from './UiApiStatus.js';
 export { UiAttribution } from './UiAttribution.js';
 export { uiChangesetEditor } from './changeset_editor.js';
 export { uiCombobox } from './combobox.js';
+export { UiCommandPalette } from './UiCommandPalette.js';
 export { uiCommit } from './commit.js';
 export { uiCommitWarnings } from './commit_warnings.js';
 export { uiConfirm } from './confirm.js';
@@ -26,6 +27,7 @@ export { uiFormFields } from './form_fields.js';
 export { UiFullscreen } from './UiFullscreen.js';
 export { uiIcon } from './icon.js';
 export { uiIntro } from './intro/intro.js';
+export { UiImageryCompare } from './UiImageryCompare.js';
 export { UiInfoCards } from './UiInfoCards.js';
 export { UiInspector } from './UiInspector.js';
 export { uiKeepRightDetails } from './keepRight_details.js';
@@ -53,10 +55,12 @@ export { uiOsmoseHeader } from './osmose_header.js';
 export { UiOvermap } from './UiOvermap.js';
 export { uiPane } from './pane.js';
 export { UiPhotoViewer } from './UiPhotoViewer.js';
+export { UiPluginPrompt } from './UiPluginPrompt.js';
 export { uiPopover } from './popover.js';
 export { uiPresetIcon } from './preset_icon.js';
 export { uiPresetList } from './preset_list.js';
 export { UiProjectLinks } from './UiProjectLinks.js';
+export { UiRapidAcceptReport } from './UiRapidAcceptReport.js';
 export { UiRapidCatalog } from './UiRapidCatalog.js';
 export { uiRapidColorpicker } from './rapid_colorpicker.js';
 export { UiRapidDatasetToggle } from './UiRapidDatasetToggle.js';
@@ -31,6 +31,7 @@ export function eventCancel(d3_event) {
 // with custom `replacements`
 let helpStringReplacements;
 export function helpHtml(context, stringID, replacements) {
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
   const isRTL = l10n.isRTL();
 
@@ -97,13 +98,13 @@ export function helpHtml(context, stringID, replacements) {
       return: utilCmd.display(context, '↵'),
       esc: utilCmd.display(context, '⎋'),
       space: l10n.t('shortcuts.key.space'),
-      add_point_key: l10n.t('shortcuts.command.add_point.key'),
-      add_line_key: l10n.t('shortcuts.command.add_line.key'),
-      add_area_key: l10n.t('shortcuts.command.add_area.key'),
-      add_note_key: l10n.t('shortcuts.command.add_note.key'),
-      help_key: l10n.t('shortcuts.command.toggle_help.key'),
-      shortcuts_key: l10n.t('shortcuts.command.keyboard_shortcuts.key'),
-      toggle_notes_key: l10n.t('shortcuts.command.toggle_osm_notes.key'),
+      add_point_key: keymap.key('add_point'),
+      add_line_key: keymap.key('add_line'),
+      add_area_key: keymap.key('add_area'),
+      add_note_key: keymap.key('add_note'),
+      help_key: keymap.key('toggle_help'),
+      shortcuts_key: keymap.key('keyboard_shortcuts'),
+      toggle_notes_key: keymap.key('toggle_osm_notes'),
 
       // reference localized UI labels directly so that they'll always match
       save: l10n.t('save.title'),
@@ -5,11 +5,13 @@ import { uiTooltip } from './tooltip.js';
 
 
 export function uiPane(context, id) {
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
   const ui = context.systems.ui;
   const validator = context.systems.validator;
 
-  let _key;
+  let _key;        // the key to toggle this pane, or a function that returns it
+  let _boundKey;   // the key currently bound
   let _label = '';
   let _description = '';
   let _iconName = '';
@@ -129,11 +131,31 @@ export function uiPane(context, id) {
       .attr('class', 'pane-content')
       .call(pane.renderContent);
 
-    if (_key) {
-      context.keybinding().off(_key);
-      context.keybinding().on(_key, pane.togglePane);
-    }
+    _setupKeybinding();
+    l10n.off('localechange', _setupKeybinding);
+    l10n.on('localechange', _setupKeybinding);
+    keymap.off('keymapchange', _setupKeybinding);
+    keymap.on('keymapchange', _setupKeybinding);
   };
 
+
+  /**
+   * _setupKeybinding
+   * This sets up the keybinding, replacing existing if needed
+   */
+  function _setupKeybinding() {
+    const keybinding = context.keybinding();
+    const key = (typeof _key === 'function') ? _key() : _key;
+
+    if (_boundKey) {
+      keybinding.off(_boundKey);
+    }
+    if (key) {
+      keybinding.off(key);
+      keybinding.on(key, pane.togglePane);
+    }
+    _boundKey = key;
+  }
+
   return pane;
 }
@@ -1,4 +1,5 @@
 import { uiPane } from '../pane.js';
+import { uiSectionBackgroundCompare } from '../sections/background_compare.js';
 import { uiSectionBackgroundDisplayOptions } from '../sections/background_display_options.js';
 import { uiSectionBackgroundList } from '../sections/background_list.js';
 import { uiSectionBackgroundOffset } from '../sections/background_offset.js';
@@ -8,15 +9,17 @@ import { uiSectionOverlayList } from '../sections/overlay_list.js';
 
 
 export function uiPaneBackground(context) {
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
 
   return uiPane(context, 'background')
-    .key(l10n.t('shortcuts.command.toggle_background.key'))
+    .key(() => keymap.key('toggle_background'))
     .label(l10n.t('background.title'))
     .description(l10n.t('background.description'))
     .iconName('rapid-icon-layers')
     .sections([
       uiSectionBackgroundList(context),
+      uiSectionBackgroundCompare(context),
       // uiSectionReactContainer(context),
       uiSectionOverlayList(context),
       uiSectionGridDisplayOptions(context),
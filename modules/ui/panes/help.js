@@ -9,6 +9,7 @@ import { helpHtml } from '../intro/helper.js';
 
 
 export function uiPaneHelp(context) {
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
   const ui = context.systems.ui;
 
@@ -287,7 +288,7 @@ export function uiPaneHelp(context) {
 
 
   const helpPane = uiPane(context, 'help')
-    .key(l10n.t('shortcuts.command.toggle_help.key'))
+    .key(() => keymap.key('toggle_help'))
     .label(l10n.t('help.title'))
     .description(l10n.t('help.title'))
     .iconName('rapid-icon-help');
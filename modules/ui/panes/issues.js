@@ -1,5 +1,6 @@
 import { uiPane } from '../pane.js';
 
+import { uiSectionValidationAudit } from '../sections/validation_audit.js';
 import { uiSectionValidationIssues } from '../sections/validation_issues.js';
 import { uiSectionValidationOptions } from '../sections/validation_options.js';
 import { uiSectionValidationRules } from '../sections/validation_rules.js';
@@ -7,10 +8,11 @@ import { uiSectionValidationStatus } from '../sections/validation_status.js';
 
 
 export function uiPaneIssues(context) {
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
 
   return uiPane(context, 'issues')
-    .key(l10n.t('shortcuts.command.toggle_issues.key'))
+    .key(() => keymap.key('toggle_issues'))
     .label(l10n.t('issues.title'))
     .description(l10n.t('issues.title'))
     .iconName('rapid-icon-alert')
@@ -20,6 +22,7 @@ export function uiPaneIssues(context) {
       uiSectionValidationIssues(context, 'error'),
       uiSectionValidationIssues(context, 'warning'),
       uiSectionValidationIssues(context, 'suggestion'),
+      uiSectionValidationAudit(context),
       uiSectionValidationRules(context)
     ]);
 }
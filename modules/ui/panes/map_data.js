@@ -7,10 +7,11 @@ import { uiSectionPhotoOverlays } from '../sections/photo_overlays.js';
 
 
 export function uiPaneMapData(context) {
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
 
   return uiPane(context, 'map-data')
-    .key(l10n.t('shortcuts.command.toggle_map_data.key'))
+    .key(() => keymap.key('toggle_map_data'))
     .label(l10n.t('map_data.title'))
     .description(l10n.t('map_data.description'))
     .iconName('rapid-icon-data')
@@ -1,21 +1,26 @@
 import { uiPane } from '../pane.js';
+import { uiSectionPlugins } from '../sections/plugins.js';
 import { uiSectionPrivacy } from '../sections/privacy.js';
+import { uiSectionKeyboardShortcuts } from '../sections/keyboard_shortcuts.js';
 //import { uiSectionColorSelection } from '../sections/color_selection.js';
 //import { uiSectionColorblindModeOptions } from '../sections/colorblind_mode_options.js';
 import { uiSectionMapInteractionOptions } from '../sections/map_interaction_options.js';
 
 
 export function uiPanePreferences(context) {
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
 
   return uiPane(context, 'preferences')
-    .key(l10n.t('shortcuts.command.toggle_preferences.key'))
+    .key(() => keymap.key('toggle_preferences'))
     .label(l10n.t('preferences.title'))
     .description(l10n.t('preferences.description'))
     .iconName('fas-user-cog')
     .sections([
       uiSectionPrivacy(context),
       uiSectionMapInteractionOptions(context),
+      uiSectionKeyboardShortcuts(context),
+      uiSectionPlugins(context),
 //      uiSectionColorSelection(context),
 //      uiSectionColorblindModeOptions(context)
     ]);
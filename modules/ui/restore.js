@@ -1,4 +1,5 @@
 import { uiModal } from './modal.js';
+import { utilNoAuto } from '../util/index.js';
 
 
 export function uiRestore(context) {
@@ -11,7 +12,7 @@ export function uiRestore(context) {
     let modalSelection = uiModal(selection, true);
 
     modalSelection.select('.modal')
-      .attr('class', 'modal fillL');
+      .attr('class', 'modal fillL modal-restore');
 
     let introModal = modalSelection.select('.content');
 
@@ -27,6 +28,10 @@ export function uiRestore(context) {
       .append('p')
       .text(l10n.t('restore.description'));
 
+    let sessionSection = introModal
+      .append('div')
+      .attr('class', 'modal-section restore-sessions');
+
     let buttonWrap = introModal
       .append('div')
       .attr('class', 'modal-actions');
@@ -35,7 +40,7 @@ export function uiRestore(context) {
       .append('button')
       .attr('class', 'restore')
       .on('click', () => {
-        editor.restoreBackup();
+        editor.restoreBackup();   // most recent session
         modalSelection.remove();
       });
 
@@ -53,7 +58,7 @@ export function uiRestore(context) {
       .append('button')
       .attr('class', 'reset')
       .on('click', () => {
-        editor.clearBackup();
+        editor.startNewSession();
         modalSelection.remove();
       });
 
@@ -65,8 +70,131 @@ export function uiRestore(context) {
 
     reset
       .append('div')
-      .text(l10n.t('restore.reset'));
+      .text(l10n.t('restore.new_session'));
 
     restore.node().focus();
+
+    renderSessions();
+
+
+    function renderSessions() {
+      editor.getBackupsAsync()
+        .then(sessions => {
+          // User discarded everything, nothing left to restore
+          if (!sessions.length) {
+            editor.startNewSession();
+            modalSelection.remove();
+            return;
+          }
+
+          let items = sessionSection.selectAll('.restore-session')
+            .data(sessions, d => d.id);
+
+          items.exit()
+            .remove();
+
+          let enter = items.enter()
+            .append('div')
+            .attr('class', 'restore-session');
+
+          let info = enter
+            .append('div')
+            .attr('class', 'restore-session-info');
+
+          info
+            .append('div')
+            .attr('class', 'restore-session-name');
+
+          info
+            .append('div')
+            .attr('class', 'restore-session-details');
+
+          let actions = enter
+            .append('div')
+            .attr('class', 'restore-session-actions');
+
+          actions
+            .append('button')
+            .attr('class', 'button restore-session-resume')
+            .text(l10n.t('restore.session.resume'))
+            .on('click', (d3_event, d) => {
+              editor.restoreBackup(d.id);
+              modalSelection.remove();
+            });
+
+          actions
+            .append('button')
+            .attr('class', 'button secondary-action restore-session-rename')
+            .text(l10n.t('restore.session.rename'))
+            .on('click', (d3_event, d) => {
+              let row = sessionSection.selectAll('.restore-session')
+                .filter(s => s.id === d.id);
+              editName(row, row.datum());
+            });
+
+          actions
+            .append('button')
+            .attr('class', 'button secondary-action restore-session-discard')
+            .text(l10n.t('restore.session.discard'))
+            .on('click', (d3_event, d) => {
+              editor.removeBackupAsync(d.id)
+                .then(renderSessions);
+            });
+
+          // update
+          items = items.merge(enter)
+            .order();
+
+          items.select('.restore-session-name')
+            .text(d => d.name || l10n.t('restore.session.untitled', { date: displayDate(d.created) }));
+
+          items.select('.restore-session-details')
+            .text(d => l10n.t('restore.session.details', { n: d.edits ?? 0, date: displayDate(d.modified) }));
+        });
+    }
+
+
+    // Replace the session name with a text input for renaming
+    function editName(row, d) {
+      let name = row.select('.restore-session-name');
+      name.text('');
+
+      let input = name
+        .append('input')
+        .attr('type', 'text')
+        .attr('class', 'restore-session-name-input')
+        .attr('placeholder', l10n.t('restore.session.untitled', { date: displayDate(d.created) }))
+        .call(utilNoAuto)
+        .property('value', d.name ?? '')
+        .on('blur', commitName)
+        .on('keydown', d3_event => {
+          if (d3_event.key === 'Enter') {
+            d3_event.preventDefault();
+            input.node().blur();
+          }
+        });
+
+      input.node().focus();
+      input.node().select();
+
+      function commitName() {
+        const val = context.cleanTagValue(input.property('value'));
+        input.on('blur', null);
+        editor.renameBackupAsync(d.id, val)
+          .then(renderSessions);
+      }
+    }
+
+
+    function displayDate(timestamp) {
+      const d = new Date(timestamp);
+      if (!timestamp || isNaN(d.getTime())) return l10n.t('inspector.unknown');
+
+      const options = {
+        day: 'numeric', month: 'short', year: 'numeric',
+        hour: 'numeric', minute: 'numeric'
+      };
+      return d.toLocaleString(l10n.localeCode(), options);
+    }
   };
 }
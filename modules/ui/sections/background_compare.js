@@ -0,0 +1,180 @@
+import debounce from 'lodash-es/debounce.js';
+
+import { uiIcon } from '../icon.js';
+import { uiSection } from '../section.js';
+
+
+/** uiSectionBackgroundCompare
+ *  This collapsable section lets users compare the background imagery with another imagery source.
+ *  The other imagery is shown right of a divider that can be dragged across the map.
+ *  For Wayback imagery, there is also a dropdown for picking the date to compare with.
+ *  It lives in the Background Settings pane.
+ *
+ *  ⋁ Compare Imagery
+ *    [ Esri Wayback       ▾ ] [ 2024-01-01 ▾ ]
+ *    [ Swap Sides ]
+ */
+export function uiSectionBackgroundCompare(context) {
+  const imagery = context.systems.imagery;
+  const l10n = context.systems.l10n;
+  const map = context.systems.map;
+
+  const section = uiSection(context, 'background-compare')
+    .label(l10n.t('background.compare.title'))
+    .disclosureContent(render);
+
+
+  // Imagery that can be compared with - any base imagery that shows something
+  function isComparable(d) {
+    return !d.overlay && d.id !== 'none' && (d.id !== 'custom' || d.template);
+  }
+
+
+  /* render
+   * Render the compare options
+   */
+  function render(selection) {
+    const base = imagery.baseLayerSource();
+    const compare = imagery.compareLayerSource();
+    const sources = imagery.visibleSources()
+      .filter(d => isComparable(d) && (d !== base || d.id === 'EsriWayback'));   // Wayback can compare dates
+
+    let container = selection.selectAll('.compare-container')
+      .data([0]);
+
+    const containerEnter = container.enter()
+      .append('div')
+      .attr('class', 'compare-container');
+
+    containerEnter
+      .append('div')
+      .attr('class', 'compare-instructions');
+
+    const controlsEnter = containerEnter
+      .append('div')
+      .attr('class', 'compare-controls');
+
+    controlsEnter
+      .append('select')
+      .attr('class', 'compare-source')
+      .on('change', chooseSource);
+
+    controlsEnter
+      .append('select')
+      .attr('class', 'compare-date')
+      .on('change', chooseDate);
+
+    containerEnter
+      .append('button')
+      .attr('class', 'action compare-swap')
+      .on('click', swapSides)
+      .call(uiIcon('#rapid-icon-' + (l10n.isRTL() ? 'backward' : 'forward'), 'inline'))
+      .append('span');
+
+    // update
+    container = container.merge(containerEnter);
+
+    container.selectAll('.compare-instructions')
+      .text(l10n.t('background.compare.instructions'));
+
+    // Dropdown of imagery to compare with, starting with an option to not compare
+    const sourceOptions = container.selectAll('.compare-source')
+      .selectAll('option')
+      .data([null, ...sources], d => d?.id ?? '');
+
+    sourceOptions.exit()
+      .remove();
+
+    sourceOptions.enter()
+      .append('option')
+      .attr('value', d => d?.id ?? '')
+      .merge(sourceOptions)
+      .text(d => d?.name ?? l10n.t('background.compare.none'))
+      .property('selected', d => (d?.id ?? '') === (compare?.id ?? ''))
+      .order();
+
+    // Dropdown of Wayback release dates, if comparing with Wayback imagery
+    const isWayback = compare?.id === 'EsriWayback';
+    const dateOptions = container.selectAll('.compare-date')
+      .classed('hide', !isWayback)
+      .selectAll('option')
+      .data(isWayback ? compare.localReleaseDates : [], d => d);
+
+    dateOptions.exit()
+      .remove();
+
+    dateOptions.enter()
+      .append('option')
+      .attr('value', d => d)
+      .text(d => d)
+      .merge(dateOptions)
+      .property('selected', d => d === compare.date)
+      .order();
+
+    container.selectAll('.compare-swap')
+      .classed('hide', !compare || compare.key === base?.key)
+      .selectAll('span')
+      .text(l10n.t('background.compare.swap'));
+  }
+
+
+  /*
+   * chooseSource
+   * @param  d3_event - change event, if called from a change handler
+   */
+  function chooseSource(d3_event) {
+    let sourceID = d3_event.target.value;
+
+    // Wayback imagery is probably compared with another date of itself, so start with the newest other date
+    if (sourceID === 'EsriWayback') {
+      const base = imagery.baseLayerSource();
+      const wayback = imagery.getSourceByID('EsriWayback');
+      const dates = wayback.localReleaseDates;
+      const date = dates.find(date => base !== wayback || date !== wayback.date) ?? dates[0];
+      if (date) {
+        sourceID += '_' + date;
+      }
+    }
+
+    imagery.setCompareSourceByID(sourceID || null);
+  }
+
+
+  /*
+   * chooseDate
+   * @param  d3_event - change event, if called from a change handler
+   */
+  function chooseDate(d3_event) {
+    const selectedDate = d3_event.target.value;
+    if (selectedDate) {
+      imagery.setCompareSourceByID('EsriWayback_' + selectedDate);
+    }
+  }
+
+
+  /*
+   * swapSides
+   * Show the compared imagery as the background imagery, and the other way around
+   * @param  d3_event - click event, if called from a click handler
+   */
+  function swapSides(d3_event) {
+    d3_event.preventDefault();
+
+    const base = imagery.baseLayerSource();
+    const compare = imagery.compareLayerSource();
+    if (!base || !compare) return;
+
+    const baseID = base.key;       // note: use `key` here - for Wayback it will include the date
+    const compareID = compare.key;
+    imagery.setSourceByID(compareID);
+    imagery.setCompareSourceByID(baseID);
+  }
+
+
+  // Event listeners
+  const deferredRender = debounce(() => section.reRender(), 1000, { leading: true, trailing: true });
+  imagery.on('imagerychange', () => section.reRender());
+  map.on('draw', deferredRender);
+
+  return section;
+}
@@ -31,6 +31,7 @@ import { utilCmd } from '../../util/cmd.js';
  */
 export function uiSectionBackgroundList(context) {
   const imagery = context.systems.imagery;
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
   const map = context.systems.map;
   const storage = context.systems.storage;
@@ -100,7 +101,7 @@ export function uiSectionBackgroundList(context) {
       .append('label')
       .call(uiTooltip(context)
         .title(l10n.t('background.minimap.tooltip'))
-        .shortcut(l10n.t('shortcuts.command.toggle_minimap.key'))
+        .shortcut(keymap.key('toggle_minimap'))
         .placement('top')
       );
 
@@ -123,7 +124,7 @@ export function uiSectionBackgroundList(context) {
       .append('label')
       .call(uiTooltip(context)
         .title(l10n.t('background.3dmap.tooltip'))
-        .shortcut(utilCmd('⌘' + l10n.t('shortcuts.command.toggle_3dmap.key')))
+        .shortcut(utilCmd('⌘' + keymap.key('toggle_3dmap')))
         .placement('top')
       );
 
@@ -148,7 +149,7 @@ export function uiSectionBackgroundList(context) {
       .append('label')
       .call(uiTooltip(context)
         .title(l10n.t('background.panel.tooltip'))
-        .shortcut(utilCmd('⌘⇧' + l10n.t('shortcuts.command.toggle_background_card.key')))
+        .shortcut(utilCmd('⌘⇧' + keymap.key('toggle_background_card')))
         .placement('top')
       );
 
@@ -167,7 +168,7 @@ export function uiSectionBackgroundList(context) {
       .append('label')
       .call(uiTooltip(context)
         .title(l10n.t('background.location_panel.tooltip'))
-        .shortcut(utilCmd('⌘⇧' + l10n.t('shortcuts.command.toggle_location_card.key')))
+        .shortcut(utilCmd('⌘⇧' + keymap.key('toggle_location_card')))
         .placement('top')
       );
 
@@ -235,7 +236,7 @@ export function uiSectionBackgroundList(context) {
       };
       if (d.id === previousBackgroundID()) {
         titleHtml += '<br/><br/>' + l10n.t('background.switch');
-        tooltip.shortcut(utilCmd('⌘' + l10n.t('shortcuts.command.background_switch.key')));
+        tooltip.shortcut(utilCmd('⌘' + keymap.key('background_switch')));
       }
 
       if (titleHtml) {
@@ -570,15 +571,14 @@ export function uiSectionBackgroundList(context) {
    */
   function _setupKeybinding() {
     const keybinding = context.keybinding();
-    const l10n = context.systems.l10n;
 
     if (Array.isArray(_keys)) {
       keybinding.off(_keys);
     }
 
-    const swapBackgroundKey = utilCmd('⌘' + l10n.t('shortcuts.command.background_switch.key'));
-    const nextBackgroundKey = l10n.t('shortcuts.command.background_next.key');
-    const prevBackgroundKey = l10n.t('shortcuts.command.background_previous.key');
+    const swapBackgroundKey = utilCmd('⌘' + keymap.key('background_switch'));
+    const nextBackgroundKey = keymap.key('background_next');
+    const prevBackgroundKey = keymap.key('background_previous');
 
     _keys = [swapBackgroundKey, nextBackgroundKey, prevBackgroundKey];
 
@@ -594,6 +594,7 @@ export function uiSectionBackgroundList(context) {
   imagery.on('imagerychange', renderIfVisible);
   map.on('draw', deferredOnMapDraw);
   l10n.on('localechange', _setupKeybinding);
+  keymap.on('keymapchange', _setupKeybinding);
 
   _setupKeybinding();
 
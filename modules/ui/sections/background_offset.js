@@ -31,17 +31,98 @@ export function uiSectionBackgroundOffset(context) {
       .classed('error', false)
       .property('value', `${x},${y}`);
 
+    const isAligned = (x !== 0 || y !== 0) || imagery.transform || imagery.alignmentPoints.length;
     context.container().selectAll('.nudge-reset')
-      .classed('disabled', (x === 0 && y === 0));
+      .classed('disabled', !isAligned);
+
+    context.container().selectAll('.alignment-container')
+      .call(renderAlignment);
   }
 
 
   function resetOffset() {
-    imagery.offset = [0, 0];
+    imagery.resetAlignment();
     updateValue();
   }
 
 
+  function toggleAlignMode(d3_event) {
+    d3_event.preventDefault();
+    if (context.mode?.id === 'align-imagery') {
+      context.enter('browse');
+    } else {
+      context.enter('align-imagery');
+    }
+  }
+
+
+  // The control points that the imagery is aligned with, and how far off each of them still is
+  function renderAlignment(selection) {
+    const isPlacing = context.mode?.id === 'align-imagery';
+    const errors = imagery.alignmentErrors();
+    const isImperial = !l10n.isMetric();
+    const localeCode = l10n.localeCode();
+
+    let items = selection.selectAll('.alignment-point-list')
+      .selectAll('li')
+      .data(imagery.alignmentPoints);
+
+    items.exit()
+      .remove();
+
+    let itemsEnter = items.enter()
+      .append('li');
+
+    itemsEnter
+      .append('span')
+      .attr('class', 'alignment-point-name');
+
+    itemsEnter
+      .append('span')
+      .attr('class', 'alignment-point-error');
+
+    itemsEnter
+      .append('button')
+      .attr('class', 'alignment-point-remove')
+      .attr('title', l10n.t('background.alignment.remove'))
+      .call(uiIcon('#rapid-operation-delete'))
+      .on('click', (d3_event, d) => {
+        d3_event.preventDefault();
+        imagery.removeAlignmentPoint(imagery.alignmentPoints.indexOf(d));
+      });
+
+    items = items
+      .merge(itemsEnter);
+
+    items.select('.alignment-point-name')
+      .text((d, i) => l10n.t('background.alignment.point', { n: (i + 1).toLocaleString(localeCode) }));
+
+    items.select('.alignment-point-error')
+      .text((d, i) => l10n.displayLength(errors[i], isImperial));
+
+    // Describe the rotation and scale of the imagery
+    let summary = '';
+    const transform = imagery.transform;
+    if (transform) {
+      const [a, b, c, d] = transform.matrix;
+      const rotation = Math.atan2(b, a) * 180 / Math.PI;
+      const scale = Math.sqrt(Math.abs(a * d - b * c)) * 100;
+      summary = l10n.t('background.alignment.summary', {
+        rotation: rotation.toLocaleString(localeCode, { maximumFractionDigits: 2 }),
+        scale: scale.toLocaleString(localeCode, { maximumFractionDigits: 2 })
+      });
+    }
+
+    selection.selectAll('.alignment-summary')
+      .classed('hide', !summary)
+      .text(summary);
+
+    selection.selectAll('.alignment-place')
+      .classed('active', isPlacing)
+      .text(l10n.t(isPlacing ? 'background.alignment.done' : 'background.alignment.place'));
+  }
+
+
   function nudge(d) {
     imagery.nudge(d);
     updateValue();
@@ -161,10 +242,35 @@ export function uiSectionBackgroundOffset(context) {
       })
       .call(uiIcon('#rapid-icon-' + (l10n.isRTL() ? 'redo' : 'undo')));
 
+    let alignmentEnter = selection.selectAll('.alignment-container')
+      .data([0])
+      .enter()
+      .append('div')
+      .attr('class', 'alignment-container');
+
+    alignmentEnter
+      .append('div')
+      .attr('class', 'alignment-instructions')
+      .text(l10n.t('background.alignment.instructions'));
+
+    alignmentEnter
+      .append('ul')
+      .attr('class', 'layer-list alignment-point-list');
+
+    alignmentEnter
+      .append('div')
+      .attr('class', 'alignment-summary');
+
+    alignmentEnter
+      .append('button')
+      .attr('class', 'action alignment-place')
+      .on('click', toggleAlignMode);
+
     updateValue();
   }
 
   imagery.on('imagerychange', updateValue);
+  context.on('modechange', updateValue);
 
   return section;
 }
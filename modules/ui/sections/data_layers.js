@@ -1,4 +1,5 @@
 import { select as d3_select } from 'd3-selection';
+import debounce from 'lodash-es/debounce.js';
 
 import { uiTooltip } from '../tooltip.js';
 import { uiIcon } from '../icon.js';
@@ -6,6 +7,8 @@ import { uiSection } from '../section.js';
 import { uiSettingsCustomData } from '../settings/custom_data.js';
 import { utilCmd } from '../../util/cmd.js';
 
+const DAY = 24 * 60 * 60 * 1000;
+
 
 /** uiSectionDataLayers
  *  This collapsable section displays various checkboxes for toggleable data layers.
@@ -23,11 +26,15 @@ import { utilCmd } from '../../util/cmd.js';
  *
  *    ◻ Custom Map Data      …
  *
+ *    ◻ Data Age Heatmap
+ *
  *    ◻ Show History Panel
  *    ◻ Show Measurement Panel
  */
 export function uiSectionDataLayers(context) {
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
+  const map = context.systems.map;
   const scene = context.systems.gfx.scene;
   const ui = context.systems.ui;
 
@@ -51,7 +58,7 @@ export function uiSectionDataLayers(context) {
 
     const allLayerIDs = [
       'osm', 'notes', 'rapid', 'maproulette', 'keepRight', 'osmose', 'geoScribble',
-      'custom-data', 'mapillary', 'streetside', 'kartaview'
+      'custom-data', 'data-age', 'mapillary', 'streetside', 'kartaview'
     ];
 
     const anyLayerEnabled = allLayerIDs.some(layerID => showsLayer(layerID));
@@ -106,6 +113,7 @@ export function uiSectionDataLayers(context) {
       .call(drawBaseItems)
       .call(drawQAItems)
       .call(drawCustomDataItems)
+      .call(drawDataAgeItems)
       .call(drawPanelItems);
   }
 
@@ -160,9 +168,9 @@ export function uiSectionDataLayers(context) {
 
   function drawBaseItems(selection) {
     const items = [
-      { id: 'osm',   layer: scene.layers.get('osm'),   key: 'shortcuts.command.toggle_osm_data.key' },
-      { id: 'notes', layer: scene.layers.get('notes'), key: 'shortcuts.command.toggle_osm_notes.key' },
-      { id: 'rapid', layer: scene.layers.get('rapid'), key: 'shortcuts.command.toggle_rapid_data.key' }
+      { id: 'osm',   layer: scene.layers.get('osm'),   key: 'toggle_osm_data' },
+      { id: 'notes', layer: scene.layers.get('notes'), key: 'toggle_osm_notes' },
+      { id: 'rapid', layer: scene.layers.get('rapid'), key: 'toggle_rapid_data' }
     ];
 
     let ul = selection
@@ -190,7 +198,7 @@ export function uiSectionDataLayers(context) {
         d3_select(nodes[i])
           .call(uiTooltip(context)
             .title(l10n.t(`map_data.layers.${d.id}.tooltip`))
-            .shortcut(utilCmd('⇧' + l10n.t(d.key)))
+            .shortcut(utilCmd('⇧' + keymap.key(d.key)))
             .placement('bottom')
           );
       });
@@ -357,6 +365,210 @@ export function uiSectionDataLayers(context) {
   }
 
 
+  function drawDataAgeItems(selection) {
+    const layer = scene.layers.get('data-age');
+    const localeCode = l10n.localeCode();
+
+    let ul = selection
+      .selectAll('.layer-list-data-age')
+      .data(layer ? [layer] : []);
+
+    // Exit
+    ul.exit()
+      .remove();
+
+    // Enter
+    let ulEnter = ul.enter()
+      .append('ul')
+      .attr('class', 'layer-list layer-list-data-age');
+
+    let labelEnter = ulEnter
+      .append('li')
+      .attr('class', 'list-item-data-age')
+      .append('label')
+      .call(uiTooltip(context)
+        .title(l10n.t('map_data.layers.data-age.tooltip'))
+        .placement('top')
+      );
+
+    labelEnter
+      .append('input')
+      .attr('type', 'checkbox')
+      .on('change', () => toggleLayer('data-age'));
+
+    labelEnter
+      .append('span')
+      .text(l10n.t('map_data.layers.data-age.title'));
+
+    let optionsEnter = ulEnter
+      .append('li')
+      .attr('class', 'data-age-options');
+
+    optionsEnter
+      .append('div')
+      .attr('class', 'data-age-metrics');
+
+    optionsEnter
+      .append('div')
+      .attr('class', 'data-age-dates');
+
+    optionsEnter
+      .append('ul')
+      .attr('class', 'data-age-legend');
+
+    // Update
+    ul = ul
+      .merge(ulEnter);
+
+    ul.selectAll('.list-item-data-age')
+      .classed('active', d => d.enabled)
+      .selectAll('input')
+      .property('checked', d => d.enabled);
+
+    const options = ul.selectAll('.data-age-options')
+      .classed('hide', d => !d.enabled);
+
+    if (!layer.enabled) return;
+
+    options.selectAll('.data-age-metrics')
+      .call(drawDataAgeMetrics, layer);
+
+    options.selectAll('.data-age-dates')
+      .call(drawDataAgeDates, layer, localeCode);
+
+    options.selectAll('.data-age-legend')
+      .call(drawDataAgeLegend, layer);
+  }
+
+
+  function drawDataAgeMetrics(selection, layer) {
+    let items = selection.selectAll('label')
+      .data(layer.metrics);
+
+    let enter = items.enter()
+      .append('label');
+
+    enter
+      .append('input')
+      .attr('type', 'radio')
+      .attr('name', 'data-age-metric')
+      .on('change', (e, d) => {
+        layer.metric = d;
+        renderIfVisible();
+      });
+
+    enter
+      .append('span')
+      .text(d => l10n.t(`map_data.data_age.metric.${d}`));
+
+    items
+      .merge(enter)
+      .classed('active', d => d === layer.metric)
+      .select('input')
+      .property('checked', d => d === layer.metric);
+  }
+
+
+  // The date range is a pair of sliders, counting days from the oldest edit in view
+  function drawDataAgeDates(selection, layer, localeCode) {
+    const extent = layer.dateExtent;
+    const min = extent ? new Date(extent[0]).getTime() : 0;
+    const days = extent ? Math.round((new Date(extent[1]).getTime() - min) / DAY) : 0;
+
+    const toDay = (date) => Math.round((new Date(date).getTime() - min) / DAY);
+    const toDate = (day) => new Date(min + day * DAY).toISOString().slice(0, 10);
+    const dayOf = (d) => {
+      const value = layer.dateFilterValue(d);
+      if (value) return Math.max(0, Math.min(days, toDay(value)));
+      return (d === 'fromDate') ? 0 : days;
+    };
+    const dateText = (day) => {
+      if (!extent) return '';
+      return new Date(toDate(day)).toLocaleDateString(localeCode, { timeZone: 'UTC' });
+    };
+
+    let items = selection.selectAll('label')
+      .data(layer.dateFilters);
+
+    let enter = items.enter()
+      .append('label')
+      .each((d, i, nodes) => {
+        d3_select(nodes[i])
+          .call(uiTooltip(context)
+            .title(l10n.t(`map_data.data_age.date_filter.${d}.tooltip`))
+            .placement('top')
+          );
+      });
+
+    enter
+      .append('span')
+      .attr('class', 'data-age-date-title')
+      .text(d => l10n.t(`map_data.data_age.date_filter.${d}.title`));
+
+    enter
+      .append('input')
+      .attr('type', 'range')
+      .attr('min', 0)
+      .on('input', function() {
+        d3_select(this.parentNode).select('.data-age-date-value')
+          .text(dateText(+this.value));
+      })
+      .on('change', function(d3_event, d) {
+        const day = +this.value;
+        const isExtreme = (d === 'fromDate') ? day <= 0 : day >= days;
+        layer.setDateFilter(d, isExtreme ? null : toDate(day));
+        renderIfVisible();
+      });
+
+    enter
+      .append('span')
+      .attr('class', 'data-age-date-value');
+
+    items = items
+      .merge(enter);
+
+    items.select('input')
+      .attr('max', days)
+      .property('disabled', !extent)
+      .property('value', d => dayOf(d));
+
+    items.select('.data-age-date-value')
+      .text(d => dateText(dayOf(d)));
+  }
+
+
+  function drawDataAgeLegend(selection, layer) {
+    const metric = layer.metric;
+
+    let items = selection.selectAll('li')
+      .data(layer.legend(), d => `${metric}-${d.id}`);
+
+    items.exit()
+      .remove();
+
+    let enter = items.enter()
+      .append('li');
+
+    enter
+      .append('span')
+      .attr('class', 'data-age-swatch');
+
+    enter
+      .append('span')
+      .attr('class', 'data-age-value');
+
+    items = items
+      .merge(enter)
+      .order();
+
+    items.select('.data-age-swatch')
+      .style('background-color', d => '#' + d.color.toString(16).padStart(6, '0'));
+
+    items.select('.data-age-value')
+      .text(d => l10n.t(`map_data.data_age.legend.${metric}.${d.id}`));
+  }
+
+
   function editCustom() {
     context.container()
       .call(settingsCustomData);
@@ -388,6 +600,8 @@ export function uiSectionDataLayers(context) {
   function drawPanelItems(selection) {
     const HistoryCard = ui.InfoCards.HistoryCard;
     const MeasurementCard = ui.InfoCards.MeasurementCard;
+    const RapidReportCard = ui.InfoCards.RapidReportCard;
+    const RoutingCard = ui.InfoCards.RoutingCard;
 
     let panelsListEnter = selection.selectAll('.md-extras-list')
       .data([0])
@@ -401,7 +615,7 @@ export function uiSectionDataLayers(context) {
       .append('label')
       .call(uiTooltip(context)
         .title(l10n.t('map_data.history_panel.tooltip'))
-        .shortcut(utilCmd('⌘⇧' + l10n.t('shortcuts.command.toggle_history_card.key')))
+        .shortcut(utilCmd('⌘⇧' + keymap.key('toggle_history_card')))
         .placement('top')
       );
 
@@ -420,7 +634,7 @@ export function uiSectionDataLayers(context) {
       .append('label')
       .call(uiTooltip(context)
         .title(l10n.t('map_data.measurement_panel.tooltip'))
-        .shortcut(utilCmd('⌘⇧' + l10n.t('shortcuts.command.toggle_measurement_card.key')))
+        .shortcut(utilCmd('⌘⇧' + keymap.key('toggle_measurement_card')))
         .placement('top')
       );
 
@@ -433,6 +647,44 @@ export function uiSectionDataLayers(context) {
       .append('span')
       .text(l10n.t('map_data.measurement_panel.title'));
 
+    let rapidReportPanelLabelEnter = panelsListEnter
+      .append('li')
+      .attr('class', 'rapid-report-panel-toggle-item')
+      .append('label')
+      .call(uiTooltip(context)
+        .title(l10n.t('map_data.rapid_report_panel.tooltip'))
+        .shortcut(utilCmd('⌘⇧' + keymap.key('toggle_rapid_report_card')))
+        .placement('top')
+      );
+
+    rapidReportPanelLabelEnter
+      .append('input')
+      .attr('type', 'checkbox')
+      .on('change', RapidReportCard.toggle);
+
+    rapidReportPanelLabelEnter
+      .append('span')
+      .text(l10n.t('map_data.rapid_report_panel.title'));
+
+    let routingPanelLabelEnter = panelsListEnter
+      .append('li')
+      .attr('class', 'routing-panel-toggle-item')
+      .append('label')
+      .call(uiTooltip(context)
+        .title(l10n.t('map_data.routing_panel.tooltip'))
+        .shortcut(utilCmd('⌘⇧' + keymap.key('toggle_routing_card')))
+        .placement('top')
+      );
+
+    routingPanelLabelEnter
+      .append('input')
+      .attr('type', 'checkbox')
+      .on('change', RoutingCard.toggle);
+
+    routingPanelLabelEnter
+      .append('span')
+      .text(l10n.t('map_data.routing_panel.title'));
+
 
     // update
     selection.selectAll('.history-panel-toggle-item')
@@ -444,6 +696,16 @@ export function uiSectionDataLayers(context) {
       .classed('active', MeasurementCard.visible)
       .selectAll('input')
       .property('checked', MeasurementCard.visible);
+
+    selection.selectAll('.rapid-report-panel-toggle-item')
+      .classed('active', RapidReportCard.visible)
+      .selectAll('input')
+      .property('checked', RapidReportCard.visible);
+
+    selection.selectAll('.routing-panel-toggle-item')
+      .classed('active', RoutingCard.visible)
+      .selectAll('input')
+      .property('checked', RoutingCard.visible);
   }
 
 
@@ -453,20 +715,19 @@ export function uiSectionDataLayers(context) {
    */
   function _setupKeybinding() {
     const keybinding = context.keybinding();
-    const l10n = context.systems.l10n;
 
     if (Array.isArray(_keys)) {
       keybinding.off(_keys);
     }
 
     // setup key shortcuts
-    const toggleAllKey = utilCmd('⇧' + l10n.t('shortcuts.command.toggle_all_layers.key'));
-    const toggleOsmKey = utilCmd('⇧' + l10n.t('shortcuts.command.toggle_osm_data.key'));
-    const toggleNotesKey = utilCmd('⇧' + l10n.t('shortcuts.command.toggle_osm_notes.key'));
-    const toggleRapidKey = utilCmd('⇧' + l10n.t('shortcuts.command.toggle_rapid_data.key'));
-    const toggleMapillaryKey = utilCmd('⇧' + l10n.t('shortcuts.command.toggle_mapillary.key'));
-    const toggleStreetsideKey = utilCmd('⇧' + l10n.t('shortcuts.command.toggle_streetside.key'));
-    const toggleKartaviewKey = utilCmd('⇧' + l10n.t('shortcuts.command.toggle_kartaview.key'));
+    const toggleAllKey = utilCmd('⇧' + keymap.key('toggle_all_layers'));
+    const toggleOsmKey = utilCmd('⇧' + keymap.key('toggle_osm_data'));
+    const toggleNotesKey = utilCmd('⇧' + keymap.key('toggle_osm_notes'));
+    const toggleRapidKey = utilCmd('⇧' + keymap.key('toggle_rapid_data'));
+    const toggleMapillaryKey = utilCmd('⇧' + keymap.key('toggle_mapillary'));
+    const toggleStreetsideKey = utilCmd('⇧' + keymap.key('toggle_streetside'));
+    const toggleKartaviewKey = utilCmd('⇧' + keymap.key('toggle_kartaview'));
 
     _keys = [
       toggleAllKey, toggleOsmKey, toggleNotesKey, toggleRapidKey,
@@ -489,6 +750,15 @@ export function uiSectionDataLayers(context) {
   scene.on('layerchange', renderIfVisible);
   l10n.off('localechange', _setupKeybinding);
   l10n.on('localechange', _setupKeybinding);
+  keymap.off('keymapchange', _setupKeybinding);
+  keymap.on('keymapchange', _setupKeybinding);
+
+  // The data age date range and legend depend on the data in view
+  const deferredOnMapDraw = debounce(() => {
+    if (showsLayer('data-age')) renderIfVisible();
+  }, 1000, { leading: true, trailing: true });
+
+  map.on('draw', deferredOnMapDraw);
 
   _setupKeybinding();
 
@@ -1,3 +1,4 @@
+export { uiSectionBackgroundCompare } from './background_compare.js';
 export { uiSectionBackgroundDisplayOptions } from './background_display_options.js';
 export { uiSectionBackgroundList } from './background_list.js';
 export { uiSectionBackgroundOffset } from './background_offset.js';
@@ -7,17 +8,21 @@ export { uiSectionColorblindModeOptions } from './colorblind_mode_options.js';
 export { uiSectionDataLayers } from './data_layers.js';
 export { uiSectionEntityIssues } from './entity_issues.js';
 export { uiSectionFeatureType } from './feature_type.js';
+export { uiSectionKeyboardShortcuts } from './keyboard_shortcuts.js';
+export { uiSectionMacros } from './macros.js';
 export { uiSectionMapFeatures } from './map_features.js';
 export { uiSectionMapInteractionOptions } from './map_interaction_options.js';
 export { uiSectionMapStyleOptions } from './map_style_options.js';
 export { uiSectionOverlayList } from './overlay_list.js';
 export { uiSectionPhotoOverlays } from './photo_overlays.js';
 export { uiSectionPresetFields } from './preset_fields.js';
+export { uiSectionPlugins } from './plugins.js';
 export { uiSectionPrivacy } from './privacy.js';
 export { uiSectionRawMemberEditor } from './raw_member_editor.js';
 export { uiSectionRawMembershipEditor } from './raw_membership_editor.js';
 export { uiSectionRawTagEditor } from './raw_tag_editor.js';
 export { uiSectionSelectionList } from './selection_list.js';
+export { uiSectionValidationAudit } from './validation_audit.js';
 export { uiSectionValidationIssues } from './validation_issues.js';
 export { uiSectionValidationOptions } from './validation_options.js';
 export { uiSectionValidationRules } from './validation_rules.js';
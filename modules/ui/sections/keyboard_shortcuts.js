@@ -0,0 +1,177 @@
+import { uiIcon } from '../icon.js';
+import { uiSection } from '../section.js';
+import { utilCmd, utilKeybinding } from '../../util/index.js';
+
+
+/**
+ * uiSectionKeyboardShortcuts
+ * Lets the user assign different keys to the keyboard shortcuts,
+ * and warns about shortcuts that use the same keys.
+ */
+export function uiSectionKeyboardShortcuts(context) {
+  const keymap = context.systems.keymap;
+  const l10n = context.systems.l10n;
+
+  const section = uiSection(context, 'keyboard_shortcuts')
+    .label(l10n.t('preferences.keyboard_shortcuts.title'))
+    .disclosureContent(renderDisclosureContent);
+
+  let _editingID = null;   // the command waiting for the user to press a key
+
+
+  function renderDisclosureContent(selection) {
+    let container = selection.selectAll('.keyboard-shortcuts-container')
+      .data([0]);
+
+    // Enter
+    const enter = container.enter()
+      .append('div')
+      .attr('class', 'keyboard-shortcuts-container');
+
+    enter
+      .append('div')
+      .attr('class', 'keyboard-shortcuts-instructions')
+      .text(l10n.t('preferences.keyboard_shortcuts.instructions'));
+
+    enter
+      .append('ul')
+      .attr('class', 'layer-list keyboard-shortcuts-list');
+
+    enter
+      .append('div')
+      .attr('class', 'keyboard-shortcuts-links section-footer')
+      .append('a')
+      .attr('class', 'keyboard-shortcuts-reset-all')
+      .attr('href', '#')
+      .text(l10n.t('preferences.keyboard_shortcuts.reset_all'))
+      .on('click', d3_event => {
+        d3_event.preventDefault();
+        keymap.resetAll();
+      });
+
+    // Update
+    container = container
+      .merge(enter);
+
+    container.selectAll('.keyboard-shortcuts-list')
+      .call(drawListItems);
+
+    container.selectAll('.keyboard-shortcuts-reset-all')
+      .classed('disabled', keymap.commands.every(commandID => keymap.isDefault(commandID)));
+  }
+
+
+  function drawListItems(selection) {
+    let items = selection.selectAll('li')
+      .data(keymap.commands, d => d);
+
+    // Exit
+    items.exit()
+      .remove();
+
+    // Enter
+    const enter = items.enter()
+      .append('li')
+      .attr('class', 'keyboard-shortcut-item');
+
+    const row = enter
+      .append('div')
+      .attr('class', 'keyboard-shortcut-row');
+
+    row
+      .append('span')
+      .attr('class', 'keyboard-shortcut-label')
+      .text(d => l10n.t(`shortcuts.command.${d}.label`));
+
+    row
+      .append('span')
+      .attr('class', 'keyboard-shortcut-modifiers');
+
+    row
+      .append('input')
+      .attr('type', 'text')
+      .attr('class', 'keyboard-shortcut-key')
+      .attr('readonly', true)
+      .on('focus', (d3_event, d) => {
+        _editingID = d;
+        updateItems(selection);
+      })
+      .on('blur', () => {
+        _editingID = null;
+        updateItems(selection);
+      })
+      .on('keydown', keydown);
+
+    row
+      .append('button')
+      .attr('class', 'keyboard-shortcut-reset')
+      .attr('title', l10n.t('preferences.keyboard_shortcuts.reset'))
+      .on('click', (d3_event, d) => {
+        d3_event.preventDefault();
+        keymap.resetKey(d);
+      })
+      .call(uiIcon('#rapid-icon-' + (l10n.isRTL() ? 'redo' : 'undo')));
+
+    enter
+      .append('div')
+      .attr('class', 'keyboard-shortcut-conflict');
+
+    updateItems(selection);
+  }
+
+
+  function updateItems(selection) {
+    const items = selection.selectAll('li');
+
+    items
+      .classed('editing', d => d === _editingID)
+      .classed('conflict', d => keymap.conflicts(d).length > 0);
+
+    items.select('.keyboard-shortcut-modifiers')
+      .text(d => {
+        const modifiers = [...utilCmd(keymap.modifiers(d))];
+        return modifiers.map(char => utilCmd.display(context, char) + ' + ').join('');
+      });
+
+    items.select('.keyboard-shortcut-key')
+      .attr('placeholder', d => d === _editingID ? l10n.t('preferences.keyboard_shortcuts.press_key') : null)
+      .property('value', d => d === _editingID ? '' : utilCmd.display(context, keymap.key(d)));
+
+    items.select('.keyboard-shortcut-reset')
+      .classed('disabled', d => keymap.isDefault(d));
+
+    items.select('.keyboard-shortcut-conflict')
+      .text(d => {
+        const conflicts = keymap.conflicts(d);
+        if (!conflicts.length) return '';
+        const labels = conflicts.map(commandID => l10n.t(`shortcuts.command.${commandID}.label`));
+        return l10n.t('preferences.keyboard_shortcuts.conflict', { commands: labels.join(', ') });
+      });
+  }
+
+
+  // Assign the pressed key to the command being edited.
+  // Modifiers are ignored, each command has its own.  Escape cancels.
+  function keydown(d3_event, d) {
+    if (d3_event.key === 'Tab') return;   // let the user move between fields
+
+    d3_event.preventDefault();
+    d3_event.stopPropagation();
+
+    if (d3_event.key === 'Escape') {
+      this.blur();
+      return;
+    }
+
+    const key = utilKeybinding.keyFromEvent(d3_event);
+    if (!key) return;   // wait for a key that isn't a modifier
+
+    this.blur();
+    keymap.setKey(d, key);
+  }
+
+
+  keymap.on('keymapchange', () => section.reRender());
+
+  return section;
+}
@@ -0,0 +1,385 @@
+import { uiIcon } from '../icon.js';
+import { uiSection } from '../section.js';
+
+
+/**
+ * uiSectionMacros
+ * Section in the entity editor for recording macros, and replaying them on the selected features.
+ */
+export function uiSectionMacros(context) {
+  const l10n = context.systems.l10n;
+  const macros = context.systems.macros;
+  const ui = context.systems.ui;
+
+  let _entityIDs = [];
+  let _pendingSteps = null;     // steps of a macro that was recorded but not saved yet
+  let _showImport = false;
+  let _importError = null;
+  let _isReplaying = false;
+
+
+  const section = uiSection(context, 'macros')
+    .label(() => l10n.t('macros.title'))
+    .disclosureContent(renderDisclosureContent);
+
+
+  function renderDisclosureContent(selection) {
+    selection
+      .call(renderRecorder)
+      .call(renderList)
+      .call(renderImport);
+  }
+
+
+  /*
+   * Renders the controls for recording a macro.
+   */
+  function renderRecorder(selection) {
+    let recorder = selection.selectAll('.macro-recorder')
+      .data([0]);
+
+    const recorderEnter = recorder.enter()
+      .append('div')
+      .attr('class', 'macro-recorder');
+
+    recorderEnter
+      .append('div')
+      .attr('class', 'macro-status');
+
+    const controlsEnter = recorderEnter
+      .append('div')
+      .attr('class', 'macro-controls');
+
+    controlsEnter
+      .append('button')
+      .attr('class', 'macro-record')
+      .on('click', () => {
+        _pendingSteps = null;
+        macros.startRecording();
+      });
+
+    controlsEnter
+      .append('button')
+      .attr('class', 'macro-stop')
+      .on('click', () => {
+        _pendingSteps = macros.stopRecording();
+        section.reRender();
+      });
+
+    controlsEnter
+      .append('button')
+      .attr('class', 'macro-cancel')
+      .on('click', () => macros.cancelRecording());
+
+    const saveEnter = recorderEnter
+      .append('div')
+      .attr('class', 'macro-save');
+
+    saveEnter
+      .append('input')
+      .attr('type', 'text')
+      .attr('class', 'macro-name')
+      .on('keydown', (d3_event) => {
+        if (d3_event.key === 'Enter') saveMacro();
+      });
+
+    saveEnter
+      .append('button')
+      .attr('class', 'macro-save-button')
+      .on('click', saveMacro);
+
+    saveEnter
+      .append('button')
+      .attr('class', 'macro-discard')
+      .on('click', () => {
+        _pendingSteps = null;
+        section.reRender();
+      });
+
+    recorderEnter
+      .append('ol')
+      .attr('class', 'macro-steps');
+
+
+    // Update
+    recorder = recorder.merge(recorderEnter);
+
+    const isRecording = macros.isRecording;
+    const steps = isRecording ? macros.recordedSteps : (_pendingSteps ?? []);
+    const isPending = !isRecording && _pendingSteps !== null;
+
+    let status = '';
+    if (isRecording) {
+      status = l10n.t('macros.recording', { n: steps.length });
+      const skipped = macros.skippedCount;
+      if (skipped) {
+        status += ' ' + l10n.t('macros.skipped', { n: skipped });
+      }
+    } else if (isPending && !steps.length) {
+      status = l10n.t('macros.no_steps');
+    }
+
+    recorder.select('.macro-status')
+      .classed('hide', !status)
+      .classed('recording', isRecording)
+      .text(status);
+
+    recorder.select('.macro-record')
+      .classed('hide', isRecording || isPending)
+      .text(l10n.t('macros.record'));
+
+    recorder.select('.macro-stop')
+      .classed('hide', !isRecording)
+      .text(l10n.t('macros.stop'));
+
+    recorder.select('.macro-cancel')
+      .classed('hide', !isRecording)
+      .text(l10n.t('macros.cancel'));
+
+    recorder.select('.macro-save')
+      .classed('hide', !isPending);
+
+    recorder.select('.macro-name')
+      .attr('placeholder', l10n.t('macros.name_placeholder'));
+
+    recorder.select('.macro-save-button')
+      .attr('disabled', steps.length ? null : true)
+      .text(l10n.t('macros.save'));
+
+    recorder.select('.macro-discard')
+      .text(l10n.t('macros.discard'));
+
+    let items = recorder.select('.macro-steps')
+      .selectAll('li')
+      .data(steps);
+
+    items.exit()
+      .remove();
+
+    items.enter()
+      .append('li')
+      .merge(items)
+      .text(d => macros.stepLabel(d));
+  }
+
+
+  /*
+   * Renders the list of saved macros.
+   */
+  function renderList(selection) {
+    const canReplay = !macros.isRecording && !_isReplaying && _entityIDs.length > 0;
+
+    let list = selection.selectAll('.macro-list')
+      .data([0]);
+
+    list = list.enter()
+      .append('ul')
+      .attr('class', 'macro-list')
+      .merge(list);
+
+    let items = list.selectAll('.macro-item')
+      .data(macros.macros, d => d.name);
+
+    items.exit()
+      .remove();
+
+    const itemsEnter = items.enter()
+      .append('li')
+      .attr('class', 'macro-item');
+
+    itemsEnter
+      .append('span')
+      .attr('class', 'macro-item-name');
+
+    itemsEnter
+      .append('button')
+      .attr('class', 'macro-play')
+      .on('click', (d3_event, d) => replayMacro(d, false));
+
+    itemsEnter
+      .append('button')
+      .attr('class', 'macro-play-each')
+      .on('click', (d3_event, d) => replayMacro(d, true));
+
+    itemsEnter
+      .append('button')
+      .attr('class', 'macro-export')
+      .on('click', (d3_event, d) => exportMacro(d));
+
+    itemsEnter
+      .append('button')
+      .attr('class', 'macro-remove')
+      .call(uiIcon('#rapid-operation-delete'))
+      .on('click', (d3_event, d) => macros.removeMacro(d.name));
+
+
+    // Update
+    items = items.merge(itemsEnter);
+
+    items.select('.macro-item-name')
+      .text(d => d.name)
+      .attr('title', d => d.steps.map(step => macros.stepLabel(step)).join('\n'));
+
+    items.select('.macro-play')
+      .attr('disabled', canReplay ? null : true)
+      .text(l10n.t('macros.play'));
+
+    items.select('.macro-play-each')
+      .classed('hide', _entityIDs.length < 2)
+      .attr('disabled', canReplay ? null : true)
+      .text(l10n.t('macros.play_each'));
+
+    items.select('.macro-export')
+      .text(l10n.t('macros.export'));
+
+    items.select('.macro-remove')
+      .attr('title', l10n.t('macros.remove'));
+  }
+
+
+  /*
+   * Renders the form for importing a macro that someone shared.
+   */
+  function renderImport(selection) {
+    let container = selection.selectAll('.macro-import')
+      .data([0]);
+
+    const containerEnter = container.enter()
+      .append('div')
+      .attr('class', 'macro-import');
+
+    containerEnter
+      .append('a')
+      .attr('class', 'macro-import-toggle')
+      .attr('href', '#')
+      .call(uiIcon('#rapid-icon-load', 'inline'))
+      .on('click', (d3_event) => {
+        d3_event.preventDefault();
+        _showImport = !_showImport;
+        _importError = null;
+        section.reRender();
+      })
+      .append('span');
+
+    const formEnter = containerEnter
+      .append('div')
+      .attr('class', 'macro-import-form');
+
+    formEnter
+      .append('textarea')
+      .attr('class', 'macro-import-json');
+
+    formEnter
+      .append('div')
+      .attr('class', 'macro-import-error');
+
+    formEnter
+      .append('button')
+      .attr('class', 'macro-import-button')
+      .on('click', importMacro);
+
+
+    // Update
+    container = container.merge(containerEnter);
+
+    container.select('.macro-import-toggle span')
+      .text(l10n.t('macros.import'));
+
+    container.select('.macro-import-form')
+      .classed('hide', !_showImport);
+
+    container.select('.macro-import-json')
+      .attr('placeholder', l10n.t('macros.import_placeholder'));
+
+    container.select('.macro-import-error')
+      .classed('hide', !_importError)
+      .text(_importError ?? '');
+
+    container.select('.macro-import-button')
+      .text(l10n.t('macros.import'));
+  }
+
+
+  function saveMacro() {
+    const input = section.selection().select('.macro-name');
+    const name = input.property('value').trim();
+    if (!name || !_pendingSteps?.length) {
+      input.node().focus();
+      return;
+    }
+
+    macros.saveMacro(name, _pendingSteps);
+    _pendingSteps = null;
+    input.property('value', '');
+    section.reRender();
+  }
+
+
+  function replayMacro(macro, each) {
+    _isReplaying = true;
+    section.reRender();
+
+    macros.replayAsync(macro, _entityIDs, each)
+      .then(result => {
+        if (result.failed) {
+          ui.Flash
+            .duration(4000)
+            .iconName('#rapid-icon-alert')
+            .iconClass('operation disabled')
+            .label(l10n.t('macros.replay_failed', { n: result.failed }))();
+        }
+      })
+      .catch(e => console.error(e))  // eslint-disable-line no-console
+      .finally(() => {
+        _isReplaying = false;
+        section.reRender();
+      });
+  }
+
+
+  function exportMacro(macro) {
+    const json = macros.exportMacro(macro.name);
+    navigator.clipboard.writeText(json)
+      .then(() => {
+        ui.Flash
+          .duration(2000)
+          .iconName('#rapid-icon-apply')
+          .iconClass('operation')
+          .label(l10n.t('macros.copied', { name: macro.name }))();
+      })
+      .catch(e => console.error(e));  // eslint-disable-line no-console
+  }
+
+
+  function importMacro() {
+    const textarea = section.selection().select('.macro-import-json');
+    try {
+      macros.importMacro(textarea.property('value'));
+      textarea.property('value', '');
+      _showImport = false;
+      _importError = null;
+    } catch (e) {
+      _importError = l10n.t('macros.import_error', { error: e.message });
+    }
+    section.reRender();
+  }
+
+
+  const _onChange = () => section.reRender();
+
+  // Add or replace event handlers
+  macros.off('recordingchange', _onChange);
+  macros.off('macrochange', _onChange);
+  macros.on('recordingchange', _onChange);
+  macros.on('macrochange', _onChange);
+
+
+  section.entityIDs = function(val) {
+    if (val === undefined) return _entityIDs;
+    _entityIDs = val ?? [];
+    return section;
+  };
+
+
+  return section;
+}
@@ -1,15 +1,40 @@
+import debounce from 'lodash-es/debounce.js';
+
+import { uiCombobox } from '../combobox.js';
 import { uiTooltip } from '../tooltip.js';
 import { uiSection } from '../section.js';
+import { uiSettingsCustomStylesheet } from '../settings/custom_stylesheet.js';
+import { utilNoAuto } from '../../util/index.js';
+
+// Suggested keys for the thematic mode
+const THEMATIC_KEYS = [
+  'surface', 'smoothness', 'tracktype', 'lit', 'maxspeed', 'lanes', 'width', 'oneway',
+  'sidewalk', 'cycleway', 'access', 'name', 'ref', 'building', 'landuse', 'source'
+];
+
+const MAX_LEGEND = 12;   // show at most this many values in the legend
 
 
 export function uiSectionMapStyleOptions(context) {
+  const keymap = context.systems.keymap;
   const l10n = context.systems.l10n;
+  const editor = context.systems.editor;
   const map = context.systems.map;
+  const styles = context.systems.styles;
 
   const section = uiSection(context, 'fill-area')
     .label(l10n.t('map_data.style_options'))
     .disclosureContent(renderDisclosureContent);
 
+  const settingsCustomStylesheet = uiSettingsCustomStylesheet(context)
+    .on('change', customStylesheetChanged);
+
+  const thematicCombo = uiCombobox(context, 'thematic-key')
+    .data(THEMATIC_KEYS.map(k => ({ value: k, title: k })));
+
+  let _loadError = null;
+  let _thematicKey = styles.thematicKey ?? THEMATIC_KEYS[0];   // the key to use when thematic mode is turned on
+
 
   function renderDisclosureContent(selection) {
     let container = selection.selectAll('.layer-fill-list')
@@ -29,6 +54,201 @@ export function uiSectionMapStyleOptions(context) {
       .attr('class', 'layer-list layer-visual-diff-list')
       .merge(container2)
       .call(drawListItems, ['highlight_edits'], 'checkbox', 'visual_diff', setHighlighted, isHighlightChecked);
+
+    let container3 = selection.selectAll('.stylesheet-container')
+      .data([0]);
+
+    let container3Enter = container3.enter()
+      .append('div')
+      .attr('class', 'stylesheet-container');
+
+    container3Enter
+      .append('ul')
+      .attr('class', 'layer-list layer-stylesheet-list');
+
+    let links = container3Enter
+      .append('div')
+      .attr('class', 'stylesheet-links section-footer');
+
+    links
+      .append('a')
+      .attr('class', 'stylesheet-link stylesheet-remove')
+      .attr('href', '#')
+      .text(l10n.t('map_data.stylesheets.remove'))
+      .on('click', d3_event => {
+        d3_event.preventDefault();
+        _loadError = null;
+        styles.removeStylesheet(styles.stylesheetID);
+      });
+
+    links
+      .append('a')
+      .attr('class', 'stylesheet-link stylesheet-load')
+      .attr('href', '#')
+      .text(l10n.t('map_data.stylesheets.load'))
+      .on('click', d3_event => {
+        d3_event.preventDefault();
+        context.container().call(settingsCustomStylesheet);
+      });
+
+    container3Enter
+      .append('div')
+      .attr('class', 'stylesheet-error');
+
+    container3 = container3
+      .merge(container3Enter);
+
+    container3.selectAll('.layer-stylesheet-list')
+      .call(drawStylesheetItems);
+
+    container3.selectAll('.stylesheet-remove')
+      .classed('hide', styles.stylesheetID === null);
+
+    container3.selectAll('.stylesheet-error')
+      .classed('hide', !_loadError)
+      .text(_loadError ?? '');
+
+    let container4 = selection.selectAll('.thematic-container')
+      .data([0]);
+
+    let container4Enter = container4.enter()
+      .append('div')
+      .attr('class', 'thematic-container');
+
+    container4Enter
+      .append('ul')
+      .attr('class', 'layer-list layer-thematic-list');
+
+    container4Enter
+      .append('div')
+      .attr('class', 'thematic-key')
+      .append('input')
+      .attr('type', 'text')
+      .attr('placeholder', l10n.t('thematic.key_placeholder'))
+      .call(utilNoAuto)
+      .call(thematicCombo)
+      .on('blur change', d3_event => {
+        const val = d3_event.currentTarget.value.trim();
+        if (!val) return;
+        _thematicKey = val;
+        if (styles.thematicKey) {
+          styles.thematicKey = val;
+        }
+      });
+
+    container4Enter
+      .append('ul')
+      .attr('class', 'thematic-legend');
+
+    container4 = container4
+      .merge(container4Enter);
+
+    container4.selectAll('.layer-thematic-list')
+      .call(drawListItems, ['highlight_by_tag'], 'checkbox', 'thematic', setThematic, isThematicChecked);
+
+    container4.selectAll('.thematic-key input')
+      .property('value', styles.thematicKey ?? _thematicKey);
+
+    container4.selectAll('.thematic-legend')
+      .classed('hide', !styles.thematicKey)
+      .call(drawThematicLegend);
+  }
+
+
+  // Counts the values of the thematic key on the lines and areas in view
+  function gatherThematicValues() {
+    const key = styles.thematicKey;
+    const graph = editor.staging.graph;
+    const counts = new Map();
+    let missing = 0;
+
+    for (const entity of editor.intersects(context.viewport.visibleExtent())) {
+      const geom = entity.geometry(graph);
+      if (geom !== 'line' && geom !== 'area') continue;
+      if (entity.type === 'way' && !entity.hasInterestingTags()) continue;  // e.g. multipolygon members
+
+      const value = entity.tags[key];
+      if (value === undefined || value === '') {
+        missing++;
+      } else {
+        counts.set(value, (counts.get(value) ?? 0) + 1);
+      }
+    }
+
+    const values = [...counts.entries()]
+      .map(([value, count]) => ({ value: value, count: count }))
+      .sort((a, b) => (b.count - a.count) || a.value.localeCompare(b.value));
+
+    return { values: values, missing: missing };
+  }
+
+
+  // The legend lists the most common values in view, with their colors and counts
+  function drawThematicLegend(selection) {
+    let data = [];
+    if (styles.thematicKey) {
+      const localeCode = l10n.localeCode();
+      const { values, missing } = gatherThematicValues();
+      const shown = values.slice(0, MAX_LEGEND);
+
+      data = shown.map(d => ({
+        id: `value-${d.value}`,
+        color: styles.thematicColor(d.value),
+        text: d.value,
+        count: d.count.toLocaleString(localeCode)
+      }));
+
+      if (values.length > shown.length) {
+        data.push({
+          id: 'more',
+          color: styles.THEMATIC_COLORS.other,
+          text: l10n.t('thematic.more', { n: values.length - shown.length }),
+          count: ''
+        });
+      }
+
+      data.push({
+        id: 'missing',
+        color: styles.THEMATIC_COLORS.missing,
+        text: l10n.t('thematic.missing'),
+        count: missing.toLocaleString(localeCode)
+      });
+    }
+
+    let items = selection.selectAll('li')
+      .data(data, d => d.id);
+
+    items.exit()
+      .remove();
+
+    let enter = items.enter()
+      .append('li');
+
+    enter
+      .append('span')
+      .attr('class', 'thematic-swatch');
+
+    enter
+      .append('span')
+      .attr('class', 'thematic-value');
+
+    enter
+      .append('span')
+      .attr('class', 'thematic-count');
+
+    items = items
+      .merge(enter)
+      .order();
+
+    items.select('.thematic-swatch')
+      .style('background-color', d => '#' + d.color.toString(16).padStart(6, '0'));
+
+    items.select('.thematic-value')
+      .classed('thematic-missing', d => d.id === 'missing')
+      .text(d => d.text);
+
+    items.select('.thematic-count')
+      .text(d => d.count);
   }
 
 
@@ -46,8 +266,8 @@ export function uiSectionMapStyleOptions(context) {
       .call(uiTooltip(context)
         .title(d => l10n.t(`${name}.${d}.tooltip`))
         .shortcut(d => {
-          if (d === 'wireframe') return l10n.t('shortcuts.command.wireframe.key');
-          if (d === 'highlight_edits') return l10n.t('shortcuts.command.highlight_edits.key');
+          if (d === 'wireframe') return keymap.key('wireframe');
+          if (d === 'highlight_edits') return keymap.key('highlight_edits');
           return null;
         })
         .placement('top')
@@ -78,6 +298,81 @@ export function uiSectionMapStyleOptions(context) {
   }
 
 
+  // The built-in style (`null`), then the user-defined stylesheets
+  function drawStylesheetItems(selection) {
+    const data = [null, ...styles.stylesheets.map(stylesheet => stylesheet.id)];
+
+    let items = selection.selectAll('li')
+      .data(data, d => d ?? '');
+
+    // Exit
+    items.exit()
+      .remove();
+
+    // Enter
+    let enter = items.enter()
+      .append('li')
+      .call(uiTooltip(context)
+        .title(d => d === null ? l10n.t('map_data.stylesheets.default.tooltip') : d)
+        .placement('top')
+      );
+
+    let label = enter
+      .append('label');
+
+    label
+      .append('input')
+      .attr('type', 'radio')
+      .attr('name', 'stylesheet')
+      .on('change', (d3_event, d) => styles.stylesheetID = d);
+
+    label
+      .append('span');
+
+    // Update
+    items = items
+      .merge(enter);
+
+    items.select('span')
+      .text(d => {
+        const stylesheet = styles.stylesheets.find(stylesheet => stylesheet.id === d);
+        return stylesheet?.title ?? l10n.t('map_data.stylesheets.default.description');
+      });
+
+    items
+      .classed('active', d => d === styles.stylesheetID)
+      .selectAll('input')
+      .property('checked', d => d === styles.stylesheetID);
+  }
+
+
+  function customStylesheetChanged(d) {
+    let promise;
+    if (d.url) {
+      promise = styles.loadStylesheetAsync(d.url);
+    } else {
+      const file = d.fileList[0];
+      promise = file.text()
+        .then(text => styles.addStylesheet(file.name, text));
+    }
+
+    promise
+      .then(() => _loadError = null)
+      .catch(e => _loadError = l10n.t('map_data.stylesheets.load_error', { error: e?.message ?? e }))
+      .finally(() => section.reRender());
+  }
+
+
+  function isThematicChecked() {
+    return styles.thematicKey !== null;
+  }
+
+  function setThematic(d3_event) {
+    const input = d3_event.currentTarget;
+    styles.thematicKey = input.checked ? _thematicKey : null;
+  }
+
+
   function isActiveFill(d) {
     return map.areaFillMode === d;
   }
@@ -98,6 +393,15 @@ export function uiSectionMapStyleOptions(context) {
 
   map.off('mapchange', section.reRender);
   map.on('mapchange', section.reRender);
+  styles.off('stylechange', section.reRender);
+  styles.on('stylechange', section.reRender);
+
+  // The legend counts the values in view
+  const deferredOnMapDraw = debounce(() => {
+    if (styles.thematicKey) section.reRender();
+  }, 1000, { leading: true, trailing: true });
+
+  map.on('draw', deferredOnMapDraw);
 
   return section;
 }
@@ -0,0 +1,164 @@
+import { uiIcon } from '../icon.js';
+import { uiSection } from '../section.js';
+import { utilNoAuto } from '../../util/index.js';
+
+
+/**
+ * uiSectionPlugins
+ * Section in the preferences pane for loading plugins from a URL, and removing them.
+ */
+export function uiSectionPlugins(context) {
+  const l10n = context.systems.l10n;
+  const plugins = context.systems.plugins;
+
+  let _loadError = null;
+  let _isLoading = false;
+
+  const section = uiSection(context, 'plugins')
+    .label(() => l10n.t('plugins.title'))
+    .shouldDisplay(() => !!plugins)
+    .disclosureContent(renderDisclosureContent);
+
+
+  function renderDisclosureContent(selection) {
+    let container = selection.selectAll('.plugins-container')
+      .data([0]);
+
+    // Enter
+    const enter = container.enter()
+      .append('div')
+      .attr('class', 'plugins-container');
+
+    enter
+      .append('div')
+      .attr('class', 'plugins-instructions');
+
+    enter
+      .append('ul')
+      .attr('class', 'layer-list plugin-list');
+
+    const formEnter = enter
+      .append('div')
+      .attr('class', 'plugin-load');
+
+    formEnter
+      .append('input')
+      .attr('type', 'url')
+      .attr('class', 'plugin-url')
+      .call(utilNoAuto)
+      .on('keydown', d3_event => {
+        if (d3_event.key === 'Enter') {
+          d3_event.preventDefault();
+          loadPlugin();
+        }
+      });
+
+    formEnter
+      .append('button')
+      .attr('class', 'plugin-load-button')
+      .on('click', loadPlugin);
+
+    enter
+      .append('div')
+      .attr('class', 'plugin-load-error');
+
+    // Update
+    container = container
+      .merge(enter);
+
+    container.select('.plugins-instructions')
+      .text(l10n.t('plugins.instructions'));
+
+    container.select('.plugin-list')
+      .call(drawListItems);
+
+    container.select('.plugin-url')
+      .attr('placeholder', l10n.t('plugins.url_placeholder'))
+      .property('disabled', _isLoading);
+
+    container.select('.plugin-load-button')
+      .property('disabled', _isLoading)
+      .text(l10n.t('plugins.load'));
+
+    container.select('.plugin-load-error')
+      .classed('hide', !_loadError)
+      .text(_loadError ?? '');
+  }
+
+
+  function drawListItems(selection) {
+    const manifests = plugins.plugins;
+    const data = manifests.length ? manifests : [{ id: '', name: l10n.t('plugins.none') }];
+
+    let items = selection.selectAll('li')
+      .data(data, d => d.id);
+
+    // Exit
+    items.exit()
+      .remove();
+
+    // Enter
+    const enter = items.enter()
+      .append('li')
+      .attr('class', 'plugin-item')
+      .classed('plugin-none', d => !d.id);
+
+    const label = enter
+      .append('div')
+      .attr('class', 'plugin-label');
+
+    label
+      .append('span')
+      .attr('class', 'plugin-name')
+      .text(d => d.version ? `${d.name} ${d.version}` : d.name);
+
+    label
+      .append('span')
+      .attr('class', 'plugin-description')
+      .text(d => d.description ?? '');
+
+    enter.filter(d => d.id)
+      .append('button')
+      .attr('class', 'plugin-remove')
+      .attr('title', l10n.t('plugins.remove'))
+      .on('click', (d3_event, d) => {
+        d3_event.preventDefault();
+        plugins.removePlugin(d.id);
+      })
+      .call(uiIcon('#rapid-operation-delete'));
+
+    // Update
+    items.merge(enter)
+      .order();
+  }
+
+
+  function loadPlugin() {
+    const input = section.selection().select('.plugin-url');
+    const url = input.property('value').trim();
+    if (!url || _isLoading) return;
+
+    _isLoading = true;
+    _loadError = null;
+    section.reRender();
+
+    plugins.loadPluginAsync(url)
+      .then(() => {
+        input.property('value', '');
+      })
+      .catch(e => {
+        _loadError = l10n.t('plugins.load_error', { error: e?.message ?? e });
+      })
+      .finally(() => {
+        _isLoading = false;
+        section.reRender();
+      });
+  }
+
+
+  if (plugins) {
+    plugins.on('pluginchange', () => section.reRender());
+  }
+
+  return section;
+}
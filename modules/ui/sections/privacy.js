@@ -11,7 +11,10 @@ export function uiSectionPrivacy(context) {
     .label(l10n.t('preferences.privacy.title'))
     .disclosureContent(renderDisclosureContent);
 
-  let _showThirdPartyIcons = storage.getItem('preferences.privacy.thirdpartyicons') || 'true';
+  // The preference may also be changed from the command palette, so always read it from storage
+  function showThirdPartyIcons() {
+    return (storage.getItem('preferences.privacy.thirdpartyicons') || 'true') === 'true';
+  }
 
   function renderDisclosureContent(selection) {
     // enter
@@ -35,8 +38,7 @@ export function uiSectionPrivacy(context) {
       .attr('type', 'checkbox')
       .on('change', d3_event => {
         d3_event.preventDefault();
-        _showThirdPartyIcons = (_showThirdPartyIcons === 'true') ? 'false' : 'true';
-        storage.setItem('preferences.privacy.thirdpartyicons', _showThirdPartyIcons);
+        storage.setItem('preferences.privacy.thirdpartyicons', showThirdPartyIcons() ? 'false' : 'true');
         update();
       });
 
@@ -63,9 +65,9 @@ export function uiSectionPrivacy(context) {
 
     function update() {
       selection.selectAll('.privacy-third-party-icons-item')
-        .classed('active', (_showThirdPartyIcons === 'true'))
+        .classed('active', showThirdPartyIcons())
         .select('input')
-        .property('checked', (_showThirdPartyIcons === 'true'));
+        .property('checked', showThirdPartyIcons());
     }
   }
 
@@ -0,0 +1,199 @@
+import { uiSection } from '../section.js';
+
+
+export function uiSectionValidationAudit(context) {
+  const l10n = context.systems.l10n;
+  const storage = context.systems.storage;
+  const validator = context.systems.validator;
+
+  const section = uiSection(context, 'issues-audit')
+    .disclosureContent(renderDisclosureContent)
+    .label(l10n.t('issues.audit.title'));
+
+  let _where = 'visible';   // 'visible' or 'task'
+
+
+  function renderDisclosureContent(selection) {
+    const taskExtent = context.systems.rapid?.taskExtent;
+    if (!taskExtent && _where === 'task') {
+      _where = 'visible';
+    }
+
+    const audit = validator.getAuditStatus();
+    const running = !!audit?.running;
+
+    let container = selection.selectAll('.issues-audit-container')
+      .data([0]);
+
+    let containerEnter = container.enter()
+      .append('div')
+      .attr('class', 'issues-audit-container');
+
+    containerEnter
+      .append('div')
+      .attr('class', 'issues-audit-instructions')
+      .text(l10n.t('issues.audit.instructions'));
+
+    let optionEnter = containerEnter
+      .append('div')
+      .attr('class', 'issues-options-container')
+      .append('div')
+      .attr('class', 'issues-option issues-option-audit-where');
+
+    optionEnter
+      .append('div')
+      .attr('class', 'issues-option-title')
+      .text(l10n.t('issues.audit.where.title'));
+
+    let labelsEnter = optionEnter.selectAll('label')
+      .data(['visible', 'task'])
+      .enter()
+      .append('label');
+
+    labelsEnter
+      .append('input')
+      .attr('type', 'radio')
+      .attr('name', 'issues-audit-where')
+      .attr('value', d => d)
+      .on('change', (d3_event, d) => {
+        _where = d;
+      });
+
+    labelsEnter
+      .append('span')
+      .text(d => l10n.t(`issues.audit.where.${d}`));
+
+    containerEnter
+      .append('progress')
+      .attr('class', 'issues-audit-progress');
+
+    containerEnter
+      .append('div')
+      .attr('class', 'issues-audit-status');
+
+    let linksEnter = containerEnter
+      .append('div')
+      .attr('class', 'issues-audit-links section-footer');
+
+    linksEnter
+      .append('a')
+      .attr('class', 'issues-audit-link issues-audit-export')
+      .attr('href', '#')
+      .text(l10n.t('issues.audit.export'))
+      .on('click', exportGeoJSON);
+
+    linksEnter
+      .append('a')
+      .attr('class', 'issues-audit-link issues-audit-cancel')
+      .attr('href', '#')
+      .text(l10n.t('issues.audit.cancel'))
+      .on('click', d3_event => {
+        d3_event.preventDefault();
+        validator.cancelAudit();
+      });
+
+    linksEnter
+      .append('a')
+      .attr('class', 'issues-audit-link issues-audit-start')
+      .attr('href', '#')
+      .text(l10n.t('issues.audit.start'))
+      .on('click', startAudit);
+
+
+    // update
+    container = container
+      .merge(containerEnter);
+
+    container.selectAll('.issues-option-audit-where input')
+      .property('checked', d => d === _where)
+      .property('disabled', d => running || (d === 'task' && !taskExtent));
+
+    container.selectAll('.issues-option-audit-where label')
+      .classed('disabled', d => d === 'task' && !taskExtent);
+
+    container.selectAll('.issues-audit-progress')
+      .classed('hide', !running)
+      .attr('max', audit?.total || 1)
+      .property('value', audit?.done ?? 0);
+
+    container.selectAll('.issues-audit-status')
+      .classed('hide', !audit)
+      .text(statusText(audit));
+
+    container.selectAll('.issues-audit-start')
+      .classed('hide', running);
+
+    container.selectAll('.issues-audit-cancel')
+      .classed('hide', !running);
+
+    container.selectAll('.issues-audit-export')
+      .classed('hide', !audit || running);
+  }
+
+
+  function statusText(audit) {
+    if (!audit) return '';
+
+    const counts = { done: audit.done, total: audit.total };
+    if (audit.running) {
+      return l10n.t('issues.audit.status.running', counts);
+    } else if (audit.cancelled) {
+      return l10n.t('issues.audit.status.cancelled', counts);
+    } else {
+      const count = validator.getAuditIssues().length;
+      return l10n.t('issues.audit.status.done', { count: count, total: audit.total });
+    }
+  }
+
+
+  function startAudit(d3_event) {
+    d3_event.preventDefault();
+
+    const extent = (_where === 'task') ? context.systems.rapid?.taskExtent : context.viewport.visibleExtent();
+    if (!extent) return;
+
+    // The audit finds issues with features that the user hasn't edited,
+    // so make sure that the issues lists will show them.
+    if (storage.getItem('validate-what') !== 'all') {
+      storage.setItem('validate-what', 'all');
+    }
+
+    validator.auditAsync(extent);
+  }
+
+
+  function exportGeoJSON(d3_event) {
+    d3_event.preventDefault();
+
+    const data = JSON.stringify(validator.getAuditGeoJSON());
+    const fileName = 'issues.geojson';
+
+    const a = document.createElement('a');   // Create an invisible link
+    a.style.display = 'none';
+    document.body.appendChild(a);
+
+    // Set the HREF to a Blob representation of the data to be downloaded
+    a.href = window.URL.createObjectURL(new Blob([data], { type: 'application/geo+json' }));
+
+    // Use download attribute to set set desired file name
+    a.setAttribute('download', fileName);
+
+    // Trigger the download by simulating click
+    a.click();
+
+    // Cleanup
+    window.URL.revokeObjectURL(a.href);
+    document.body.removeChild(a);
+  }
+
+
+  validator.on('auditprogress', () => {
+    window.requestIdleCallback(section.reRender);
+  });
+
+  context.systems.rapid?.on('taskchanged', () => {
+    window.requestIdleCallback(section.reRender);
+  });
+
+  return section;
+}
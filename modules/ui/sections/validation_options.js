@@ -63,12 +63,17 @@ export function uiSectionValidationOptions(context) {
       .attr('type', 'radio')
       .attr('name', d => `issues-option-${d.key}`)
       .attr('value', d => d.value)
-      .property('checked', d => getOptions()[d.key] === d.value)
       .on('change', (d3_event, d) => updateOptionValue(d3_event, d.key, d.value));
 
     $$labels
       .append('span')
       .text(d => l10n.t(`issues.options.${d.key}.${d.value}`));
+
+    // update
+    // (the options may be changed elsewhere, for example the area audit shows all issues)
+    const options = getOptions();
+    $wrap.selectAll('.issues-option input')
+      .property('checked', d => options[d.key] === d.value);
   }
 
 
@@ -91,5 +96,9 @@ export function uiSectionValidationOptions(context) {
     validator.validateAsync();
   }
 
+  validator.on('validated', () => {
+    window.requestIdleCallback(() => render());
+  });
+
   return section;
 }
@@ -2,6 +2,7 @@ import { select as d3_select } from 'd3-selection';
 
 import { uiTooltip } from '../tooltip.js';
 import { uiSection } from '../section.js';
+import { uiSettingsCustomRules } from '../settings/custom_rules.js';
 import { utilGetSetValue, utilNoAuto } from '../../util/index.js';
 
 
@@ -18,15 +19,21 @@ export function uiSectionValidationRules(context) {
     .disclosureContent(renderDisclosureContent)
     .label(l10n.t('issues.rules'));
 
+  const settingsCustomRules = uiSettingsCustomRules(context)
+    .on('change', customRulesChanged);
 
-  let _ruleKeys = validator.getRuleKeys()
-    .sort((key1, key2) => {
-      // alphabetize by localized title
-      return l10n.t(`issues.${key1}.title`) < l10n.t(`issues.${key2}.title`) ? -1 : 1;
-    });
+  let _ruleKeys = [];
+  let _loadError = null;
 
 
   function renderDisclosureContent(selection) {
+    // Rules can be added or removed (e.g. by plugins), so gather them each time
+    _ruleKeys = validator.getRuleKeys()
+      .sort((key1, key2) => {
+        // alphabetize by localized title
+        return validator.getRuleTitle(key1) < validator.getRuleTitle(key2) ? -1 : 1;
+      });
+
     let container = selection.selectAll('.issues-rulelist-container')
       .data([0]);
 
@@ -62,18 +69,54 @@ export function uiSectionValidationRules(context) {
         validator.disableRules([]);
       });
 
+    let customLinks = containerEnter
+      .append('div')
+      .attr('class', 'issue-rules-links custom-rules-links section-footer');
+
+    customLinks
+      .append('a')
+      .attr('class', 'issue-rules-link custom-rules-remove')
+      .attr('href', '#')
+      .text(l10n.t('issues.custom_rules.remove'))
+      .on('click', d3_event => {
+        d3_event.preventDefault();
+        _loadError = null;
+        validator.clearCustomRules();
+      });
+
+    customLinks
+      .append('a')
+      .attr('class', 'issue-rules-link custom-rules-edit')
+      .attr('href', '#')
+      .text(l10n.t('issues.custom_rules.load'))
+      .on('click', d3_event => {
+        d3_event.preventDefault();
+        context.container().call(settingsCustomRules);
+      });
+
+    containerEnter
+      .append('div')
+      .attr('class', 'custom-rules-error');
+
     // Update
     container = container
       .merge(containerEnter);
 
     container.selectAll('.issue-rules-list')
       .call(drawListItems);
+
+    container.selectAll('.custom-rules-remove')
+      .classed('hide', !validator.getCustomRuleKeys().length);
+
+    container.selectAll('.custom-rules-error')
+      .classed('hide', !_loadError)
+      .text(_loadError ?? '');
   }
 
 
   function drawListItems(selection) {
     let items = selection.selectAll('li')
-      .data(_ruleKeys);
+      .data(_ruleKeys, d => d);
 
     // Exit
     items.exit()
@@ -83,7 +126,7 @@ export function uiSectionValidationRules(context) {
     let enter = items.enter()
       .append('li')
       .call(uiTooltip(context)
-        .title(d => l10n.t(`issues.${d}.tip`))
+        .title(d => validator.getRule(d)?.tip ?? l10n.t(`issues.${d}.tip`))
         .placement('top')
       );
 
@@ -98,17 +141,26 @@ export function uiSectionValidationRules(context) {
 
     label
       .append('span')
-      .html(d => {
+      .attr('class', 'rule-title')
+      .each((d, i, nodes) => {
+        if (validator.getRule(d)?.title) return;   // set below
         let params = {};
         if (d === 'unsquare_way') {
           params.val = '<span class="square-degrees"></span>';
         }
-        return l10n.tHtml(`issues.${d}.title`, params);
+        d3_select(nodes[i]).html(l10n.tHtml(`issues.${d}.title`, params));
       });
 
     // Update
     items = items
-      .merge(enter);
+      .merge(enter)
+      .order();
+
+    // Custom rules and rules added by plugins have their own title,
+    // which may change when the rule is replaced by another with the same key
+    items.selectAll('.rule-title')
+      .filter(d => validator.getRule(d)?.title)
+      .text(d => validator.getRule(d).title);
 
     items
       .classed('active', isRuleEnabled)
@@ -176,6 +228,21 @@ export function uiSectionValidationRules(context) {
     validator.revalidateUnsquare();
   }
 
+  function customRulesChanged(d) {
+    let promise;
+    if (d.url) {
+      promise = validator.loadCustomRulesAsync(d.url);
+    } else {
+      promise = d.fileList[0].text()
+        .then(text => validator.setCustomRules(text));
+    }
+
+    promise
+      .then(() => _loadError = null)
+      .catch(e => _loadError = l10n.t('issues.custom_rules.load_error', { error: e?.message ?? e }))
+      .finally(() => section.reRender());
+  }
+
   function isRuleEnabled(d) {
     return validator.isRuleEnabled(d);
   }
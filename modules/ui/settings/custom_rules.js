@@ -0,0 +1,133 @@
+import { dispatch as d3_dispatch } from 'd3-dispatch';
+import { marked } from 'marked';
+
+import { uiConfirm } from '../confirm.js';
+import { utilNoAuto, utilRebind } from '../../util/index.js';
+
+
+export function uiSettingsCustomRules(context) {
+  const l10n = context.systems.l10n;
+  const storage = context.systems.storage;
+  const dispatch = d3_dispatch('change');
+  const prefix = 'settings.custom_rules';  // prefix for text strings
+
+  const accept = [
+    '.json', 'application/json', 'text/x-json',
+    '.yaml', '.yml', 'application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml'
+  ];
+
+  function render(selection) {
+    const origUrl = storage.getItem('settings-custom-rules-url');
+    let _currUrl = origUrl;
+    let _currFileList = null;
+
+    const modal = uiConfirm(context, selection).okButton();
+
+    modal
+      .classed('settings-modal settings-custom-rules', true);
+
+    modal.select('.modal-section.header')
+      .append('h3')
+      .text(l10n.t(`${prefix}.header`));
+
+
+    const textSection = modal.select('.modal-section.message-text');
+
+    const fileHtml = marked.parse(`
+${l10n.t(`${prefix}.instructions`)}
+&nbsp;<br>
+&nbsp;<br>
+### ${l10n.t(`${prefix}.file.heading`)}
+${l10n.t(`${prefix}.file.instructions`)}
+`);
+
+    textSection
+      .append('div')
+      .attr('class', 'instructions-template')
+      .html(fileHtml);
+
+    textSection
+      .append('input')
+      .attr('class', 'field-file')
+      .attr('type', 'file')
+      .attr('accept', accept.join())
+      .on('change', d3_event => {
+        const files = d3_event.target.files;
+        if (files?.length) {
+          _currFileList = files;
+          _currUrl = '';
+          textSection.select('.field-url').property('value', '');
+        } else {
+          _currFileList = null;
+        }
+      });
+
+    const urlHtml = marked.parse(`
+### ${l10n.t(`${prefix}.or`)}
+### ${l10n.t(`${prefix}.url.heading`)}
+${l10n.t(`${prefix}.url.instructions`)}
+&nbsp;<br>
+&nbsp;<br>
+#### ${l10n.t('example')}
+* \`${l10n.t(`${prefix}.url.example`)}\`
+`);
+
+    textSection
+      .append('div')
+      .attr('class', 'instructions-template')
+      .html(urlHtml);
+
+    textSection
+      .append('textarea')
+      .attr('class', 'field-url')
+      .attr('placeholder', l10n.t(`${prefix}.url.placeholder`))
+      .call(utilNoAuto)
+      .property('value', _currUrl);
+
+
+    // Setup Ok/Cancel buttons
+    const buttonSection = modal.select('.modal-section.buttons');
+
+    buttonSection
+      .insert('button', '.ok-button')
+      .attr('class', 'button cancel-button secondary-action')
+      .text(l10n.t('confirm.cancel'));
+
+    buttonSection.select('.cancel-button')
+      .on('click.cancel', clickCancel);
+
+    buttonSection.select('.ok-button')
+      .on('click.save', clickSave);
+
+
+    // Restore the original settings
+    function clickCancel() {
+      this.blur();
+      modal.close();
+    }
+
+
+    // Accept the current settings
+    function clickSave() {
+      _currUrl = textSection.select('.field-url').property('value').trim();
+
+      let currSettings = null;
+
+      // One or the other but not both
+      if (_currUrl) {
+        currSettings = { url: _currUrl, fileList: null };
+        storage.setItem('settings-custom-rules-url', _currUrl);
+      } else if (_currFileList) {
+        currSettings = { url: null, fileList: _currFileList };
+      }
+
+      this.blur();
+      modal.close();
+      if (currSettings) {
+        dispatch.call('change', this, currSettings);
+      }
+    }
+  }
+
+  return utilRebind(render, dispatch, 'on');
+}
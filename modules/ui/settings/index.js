@@ -1,2 +1,4 @@
 export { uiSettingsCustomBackground } from './custom_background.js';
 export { uiSettingsCustomData } from './custom_data.js';
+export { uiSettingsCustomRules } from './custom_rules.js';
+export { uiSettingsCustomStylesheet } from './custom_stylesheet.js';
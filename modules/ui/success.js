@@ -19,6 +19,7 @@ export function uiSuccess(context) {
   const MAXEVENTS = 2;
 
   let _changeset;
+  let _changesets = [];
   let _location;
 
   getCommunityIndexAsync();   // start fetching the data
@@ -149,13 +150,20 @@ export function uiSuccess(context) {
       .attr('href', changesetURL)
       .text(l10n.t('success.view_on_osm'));
 
+    // If the upload was split into several changesets, link to all of them
+    const changesetIDs = (_changesets.length > 1) ? _changesets.map(d => d.id) : [_changeset.id];
+
     summaryDetail
       .append('div')
-      .text(l10n.t('success.your_changeset_id'))   // "Your changeset #:"
+      .text(l10n.t(changesetIDs.length > 1 ? 'success.your_changeset_ids' : 'success.your_changeset_id'))   // "Your changeset #:"
+      .selectAll('a')
+      .data(changesetIDs)
+      .enter()
       .append('a')
+      .attr('class', 'summary-changeset-link')
       .attr('target', '_blank')
-      .attr('href', changesetURL)
-      .text(_changeset.id);
+      .attr('href', d => osm.changesetURL(d))
+      .text(d => d);
 
     // Get OSM community index features intersecting the map..
     getCommunityIndexAsync()
@@ -397,6 +405,13 @@ export function uiSuccess(context) {
   };
 
 
+  success.changesets = function(val) {
+    if (!arguments.length) return _changesets;
+    _changesets = val ?? [];
+    return success;
+  };
+
+
   success.location = function(val) {
     if (!arguments.length) return _location;
     _location = val;
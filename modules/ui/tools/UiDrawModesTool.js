@@ -20,6 +20,7 @@ export class UiDrawModesTool {
     this.id = 'draw_modes';
     this.stringID = 'toolbar.add_feature';
 
+    const keymap = context.systems.keymap;
     const l10n = context.systems.l10n;
     const gfx = context.systems.gfx;
     const presets = context.systems.presets;
@@ -33,27 +34,27 @@ export class UiDrawModesTool {
       preset: presets.item('point'),
       getTitle: () => l10n.t('modes.add_point.title'),
       getDescription: () => l10n.t('modes.add_point.description'),
-      getKey: () => l10n.t('shortcuts.command.add_point.key')
+      getKey: () => keymap.key('add_point')
     }, {
       id: 'draw-line',
       icon: 'line',
       preset: presets.item('line'),
       getTitle: () => l10n.t('modes.add_line.title'),
       getDescription: () => l10n.t('modes.add_line.description'),
-      getKey: () => l10n.t('shortcuts.command.add_line.key')
+      getKey: () => keymap.key('add_line')
     }, {
       id: 'draw-area',
       icon: 'area',
       preset: presets.item('area'),
       getTitle: () => l10n.t('modes.add_area.title'),
       getDescription: () => l10n.t('modes.add_area.description'),
-      getKey: () => l10n.t('shortcuts.command.add_area.key')
+      getKey: () => keymap.key('add_area')
     }, {
       id: 'add-note',
       icon: 'note',
       getTitle: () => l10n.t('modes.add_note.title'),
       getDescription: () => l10n.t('modes.add_note.description'),
-      getKey: () => l10n.t('shortcuts.command.add_note.key')
+      getKey: () => keymap.key('add_note')
     }];
 
 
@@ -80,6 +81,7 @@ export class UiDrawModesTool {
     context.on('modechange', this.rerender);
     ui.on('uichange', this.rerender);
     l10n.on('localechange', this._setupKeybinding);
+    keymap.on('keymapchange', this._setupKeybinding);
 
     this._setupKeybinding();
   }
@@ -0,0 +1,171 @@
+import { selection } from 'd3-selection';
+
+import { uiFlash } from '../flash.js';
+import { uiIcon } from '../icon.js';
+import { uiTooltip } from '../tooltip.js';
+
+
+/**
+ * UiImportTool
+ * A toolbar section for the "Import OSC" button
+ * This lets the user replay an osmChange file, like the ones made by the "Download" tool.
+ * Like the "Download" tool, this is an hidden/undocumented feature that only appears
+ * if the url hash contains `&download_osc=true`
+ */
+export class UiImportTool {
+
+  /**
+   * @constructor
+   * @param  `context`  Global shared application context
+   */
+  constructor(context) {
+    this.context = context;
+    this.id = 'import_osc';
+    this.stringID = 'import_osc.title';
+
+    // Create child components
+    this.Tooltip = uiTooltip(context);
+
+    // D3 selections
+    this.$parent = null;
+    this.$fileInput = null;
+
+    // Ensure methods used as callbacks always have `this` bound correctly.
+    // (This is also necessary when using `d3-selection.call`)
+    this.choose = this.choose.bind(this);
+    this.importFile = this.importFile.bind(this);
+    this.render = this.render.bind(this);
+    this.rerender = (() => this.render());  // call render without argument
+
+    // Event listeners
+    context.on('modechange', this.rerender);
+  }
+
+
+  /**
+   * render
+   * Accepts a parent selection, and renders the content under it.
+   * (The parent selection is required the first time, but can be inferred on subsequent renders)
+   * @param {d3-selection} $parent - A d3-selection to a HTMLElement that this component should render itself into
+   */
+  render($parent = this.$parent) {
+    if ($parent instanceof selection) {
+      this.$parent = $parent;
+    } else {
+      return;   // no parent - called too early?
+    }
+
+    const context = this.context;
+    const l10n = context.systems.l10n;
+
+    this.Tooltip
+      .placement('bottom')
+      .scrollContainer(context.container().select('.map-toolbar'))
+      .title(l10n.t('import_osc.help'));
+
+    // Button
+    let $button = $parent.selectAll('button.importOsc')
+      .data([0]);
+
+    // enter
+    const $$button = $button.enter()
+      .append('button')
+      .attr('class', 'importOsc bar-button')
+      .on('click', this.choose)
+      .call(this.Tooltip)
+      .call(uiIcon('#rapid-icon-load'));
+
+    // Hidden file input, the button clicks it
+    this.$fileInput = $parent.selectAll('input.importOsc-file')
+      .data([0])
+      .enter()
+      .append('input')
+      .attr('class', 'importOsc-file hide')
+      .attr('type', 'file')
+      .attr('accept', '.osc,application/xml,text/xml')
+      .on('change', this.importFile)
+      .merge($parent.selectAll('input.importOsc-file'));
+
+    // update
+    $button = $button.merge($$button);
+
+    $button
+      .classed('disabled', this.isDisabled());
+  }
+
+
+  /**
+   * isDisabled
+   * The button is disabled when the user can't edit
+   * @return {boolean}  `true` if disabled, `false` if enabled
+   */
+  isDisabled() {
+    const context = this.context;
+    return (context.inIntro || !context.editable());
+  }
+
+
+  /**
+   * choose
+   * @param  {Event} e? - triggering event (if any)
+   */
+  choose(e) {
+    if (e)  e.preventDefault();
+    if (this.isDisabled()) return;
+
+    const input = this.$fileInput?.node();
+    if (!input) return;
+
+    input.value = '';   // allow choosing the same file again
+    input.click();
+  }
+
+
+  /**
+   * importFile
+   * Called when the user has picked a file to import.
+   * Reads and parses the file, then asks the EditSystem to replay it.
+   * @param  {Event} e - the `change` event from the file input
+   */
+  importFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    const context = this.context;
+    const editor = context.systems.editor;
+    const l10n = context.systems.l10n;
+    const map = context.systems.map;
+
+    context.enter('browse');
+
+    file.text()
+      .then(text => {
+        const xml = new DOMParser().parseFromString(text, 'application/xml');
+        return editor.importOsmChangeAsync(xml);
+      })
+      .then(result => {
+        const total = result.created + result.modified + result.deleted;
+        if (result.entityIDs.length) {
+          map.fitEntities(result.entityIDs.map(entityID => editor.staging.graph.entity(entityID)));
+        }
+
+        let label = l10n.t('import_osc.success', { n: total });
+        if (result.skipped) {
+          label += ' ' + l10n.t('import_osc.skipped', { n: result.skipped });
+        }
+
+        uiFlash(context)
+          .duration(5000)
+          .iconName('#rapid-icon-load')
+          .iconClass(result.skipped ? 'disabled' : '')
+          .label(label)();
+      })
+      .catch(err => {
+        console.error(err);  // eslint-disable-line no-console
+        uiFlash(context)
+          .duration(5000)
+          .label(l10n.t('import_osc.error'))();
+      });
+  }
+
+}
@@ -61,6 +61,7 @@ export class UiRapidTool {
     }
 
     const context = this.context;
+    const keymap = context.systems.keymap;
     const l10n = context.systems.l10n;
     const urlhash = context.systems.urlhash;
     const ui = context.systems.ui;
@@ -75,7 +76,7 @@ export class UiRapidTool {
       .placement('bottom')
       .scrollContainer($container.select('.map-toolbar'))
       .title(l10n.t('shortcuts.command.toggle_rapid_data.label'))
-      .shortcut(utilCmd('⇧' + l10n.t('shortcuts.command.toggle_rapid_data.key')));
+      .shortcut(utilCmd('⇧' + keymap.key('toggle_rapid_data')));
 
     this.PowerUserTooltip
       .placement('bottom')
@@ -20,7 +20,6 @@ export class UiSaveTool {
     this.context = context;
     this.id = 'save';
     this.stringID = 'save.title';
-    this.key = utilCmd('⌘S');
 
     this._numChanges = 0;
 
@@ -35,12 +34,18 @@ export class UiSaveTool {
     this.choose = this.choose.bind(this);
     this.render = this.render.bind(this);
     this.rerender = (() => this.render());  // call render without argument
+    this._setupKeybinding = this._setupKeybinding.bind(this);
 
     // Event listeners
     const editor = context.systems.editor;
+    const keymap = context.systems.keymap;
+    const l10n = context.systems.l10n;
     context.on('modechange', this.rerender);
     editor.on('stablechange', this.rerender);
-    context.keybinding().on(this.key, this.choose, true /* capture */);
+    l10n.on('localechange', this._setupKeybinding);
+    keymap.on('keymapchange', this._setupKeybinding);
+
+    this._setupKeybinding();
   }
 
 
@@ -66,7 +71,7 @@ export class UiSaveTool {
       .placement('bottom')
       .scrollContainer(context.container().select('.map-toolbar'))
       .title(l10n.t(numChanges > 0 ? 'save.help' : 'save.no_changes'))
-      .shortcut(this.key);
+      .shortcut(this._keys[0]);
 
     // Button
     let $button = $parent.selectAll('button.save')
@@ -164,4 +169,22 @@ export class UiSaveTool {
     }
   }
 
+
+  /**
+   * _setupKeybinding
+   * This sets up the keybinding, replacing existing if needed
+   */
+  _setupKeybinding() {
+    const context = this.context;
+    const keybinding = context.keybinding();
+    const keymap = context.systems.keymap;
+
+    if (Array.isArray(this._keys)) {
+      keybinding.off(this._keys, true /* capture */);
+    }
+
+    this._keys = [utilCmd(keymap.combo('save'))];
+    keybinding.on(this._keys, this.choose, true /* capture */);
+  }
+
 }
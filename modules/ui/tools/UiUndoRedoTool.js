@@ -22,6 +22,7 @@ export class UiUndoRedoTool {
     this.stringID = 'toolbar.undo_redo';
 
     const editor = context.systems.editor;
+    const keymap = context.systems.keymap;
     const l10n = context.systems.l10n;
     const map = context.systems.map;
 
@@ -38,18 +39,18 @@ export class UiUndoRedoTool {
         }
         return str ? l10n.t(`${d.id}.tooltip`, { action: str }) : l10n.t(`${d.id}.nothing`);
       })
-      .shortcut(d => d.key);
+      .shortcut(d => d.getKey());
 
 
     this.commands = [{
       id: 'undo',
-      key: utilCmd('⌘Z'),
+      getKey: () => utilCmd(keymap.combo('undo')),
       action: () => editor.undo(),
       annotation: () => editor.getUndoAnnotation(),
       getIcon: () => (l10n.isRTL() ? 'redo' : 'undo')
     }, {
       id: 'redo',
-      key: utilCmd('⌘⇧Z'),
+      getKey: () => utilCmd(keymap.combo('redo')),
       action: () => editor.redo(),
       annotation: () => editor.getRedoAnnotation(),
       getIcon: () => (l10n.isRTL() ? 'undo' : 'redo')
@@ -65,14 +66,16 @@ export class UiUndoRedoTool {
     this.render = this.render.bind(this);
     this.rerender = (() => this.render());  // call render without argument
     this.debouncedRender = debounce(this.rerender, 500, { leading: true, trailing: true });
+    this._setupKeybinding = this._setupKeybinding.bind(this);
 
     // Event listeners
-    for (const d of this.commands) {
-      context.keybinding().on(d.key, e => this.choose(e, d));
-    }
+    l10n.on('localechange', this._setupKeybinding);
+    keymap.on('keymapchange', this._setupKeybinding);
     map.on('draw', this.debouncedRender);
     editor.on('stablechange', this.rerender);
     context.on('modechange', this.rerender);
+
+    this._setupKeybinding();
   }
 
 
@@ -159,4 +162,25 @@ export class UiUndoRedoTool {
     }
   }
 
+
+  /**
+   * _setupKeybinding
+   * This sets up the keybinding, replacing existing if needed
+   */
+  _setupKeybinding() {
+    const context = this.context;
+    const keybinding = context.keybinding();
+
+    if (Array.isArray(this._keys)) {
+      keybinding.off(this._keys);
+    }
+
+    this._keys = [];
+    for (const d of this.commands) {
+      const key = d.getKey();
+      this._keys.push(key);
+      keybinding.on(key, e => this.choose(e, d));
+    }
+  }
+
 }
@@ -1,5 +1,6 @@
 export * from './UiDownloadTool.js';
 export * from './UiDrawModesTool.js';
+export * from './UiImportTool.js';
 export * from './UiRapidTool.js';
 export * from './UiSaveTool.js';
 export * from './UiUndoRedoTool.js';
@@ -0,0 +1,94 @@
+// Characters that separate words, a match right after one of these is at the start of a word
+const SEPARATORS = /[\s\-_\/\\.,:;()\[\]]/;
+
+
+// Fold a character for comparison, so that 'É' matches 'e'
+function fold(char) {
+  return char.normalize('NFD').charAt(0).toLowerCase();
+}
+
+// Whether the character at index `i` starts a word, like 'M' in 'Toggle Minimap' or 'miniMap'
+function isWordStart(text, i) {
+  if (i === 0) return true;
+  const prev = text.charAt(i - 1);
+  const curr = text.charAt(i);
+  if (SEPARATORS.test(prev)) return true;
+  return prev !== prev.toUpperCase() && curr !== curr.toLowerCase();   // camelCase
+}
+
+// Find the positions in `text` of each character of `chars`, in order.
+// If `preferWordStarts` is set, a character that isn't next to the previous match
+// will rather match at the start of a later word, if there is one.
+function findIndices(chars, text, folded, preferWordStarts) {
+  const indices = [];
+  let pos = 0;
+
+  for (const char of chars) {
+    let found = -1;
+    const isNext = indices.length && folded[pos] === char;   // continues the previous match
+
+    if (preferWordStarts && !isNext) {
+      for (let i = pos; i < folded.length; i++) {
+        if (folded[i] === char && isWordStart(text, i)) {
+          found = i;
+          break;
+        }
+      }
+    }
+    if (found === -1) {
+      found = folded.indexOf(char, pos);
+    }
+    if (found === -1) return null;
+
+    indices.push(found);
+    pos = found + 1;
+  }
+
+  return indices;
+}
+
+
+/**
+ * utilFuzzyMatch
+ * Matches a search query against some text, like the command palette does.
+ * The query matches if its characters appear in the text in the same order, though not
+ * necessarily next to each other, so 'tglmm' matches 'Toggle minimap'.
+ * Matching ignores case, accents and any whitespace in the query.
+ *
+ * The score is higher for matches that are closer to what the user probably meant:
+ * characters next to each other, characters at the start of words, and shorter texts.
+ * Sort results by descending score.
+ *
+ * @param   {string}  query - the search query, for example 'spl'
+ * @param   {string}  text  - the text to match, for example 'Split'
+ * @return  {Object}  `null` if the query doesn't match, or else an Object like `{ score, indices }`
+ *                     where `indices` are the positions in `text` of the matched characters
+ */
+export function utilFuzzyMatch(query, text) {
+  text = text ?? '';
+  const chars = [...(query ?? '')].filter(c => !/\s/.test(c)).map(fold);
+  if (!chars.length) return { score: 0, indices: [] };
+
+  const folded = [...text].map(fold);
+  if (folded.length !== text.length) {   // surrogate pairs, fall back to matching UTF-16 code units
+    folded.length = 0;
+    for (let i = 0; i < text.length; i++) {
+      folded.push(fold(text.charAt(i)));
+    }
+  }
+
+  const indices = findIndices(chars, text, folded, true) ?? findIndices(chars, text, folded, false);
+  if (!indices) return null;
+
+  let score = 0;
+  for (let i = 0; i < indices.length; i++) {
+    const index = indices[i];
+    score += 1;
+    if (i > 0 && indices[i - 1] === index - 1) score += 2;   // next to the previous match
+    if (isWordStart(text, index)) score += 3;
+  }
+  score -= (indices.at(-1) - indices[0] + 1 - indices.length) * 0.1;   // characters skipped between matches
+  score -= text.length * 0.01;                                          // prefer shorter texts
+
+  return { score: score, indices: indices };
+}
@@ -2,6 +2,7 @@ export { utilCmd } from './cmd.js';
 export { utilDetect } from './detect.js';
 export { utilFetchResponse, FetchError } from './fetch_response.js';
 export { utilFunctor } from './util.js';
+export { utilFuzzyMatch } from './fuzzy_match.js';
 export { utilGetDimensions } from './dimensions.js';
 export { utilGetSetValue } from './get_set_value.js';
 export { utilIsColorValid } from './util.js';
@@ -12,4 +13,5 @@ export { utilRebind } from './rebind.js';
 export { utilSetDimensions } from './dimensions.js';
 export { utilSetTransform } from './util.js';
 export { utilTotalExtent } from './util.js';
+export { utilTranslateTags } from './translate_tags.js';
 export { utilTriggerEvent } from './trigger_event.js';
@@ -131,8 +131,8 @@ export var JXON = new (function () {
     return createObjTree(oXMLParent, _nVerb, bFreeze || false, arguments.length > 3 ? bNesteAttributes : _nVerb === 3);
   };
 
-  this.unbuild = function (oObjTree) {
-    var oNewDoc = document.implementation.createDocument('', '', null);
+  this.unbuild = function (oObjTree, oXMLDoc /* optional, an empty Document to build into */) {
+    var oNewDoc = oXMLDoc || document.implementation.createDocument('', '', null);
     loadObjTree(oNewDoc, oNewDoc, oObjTree);
     return oNewDoc;
   };
@@ -413,6 +413,65 @@ utilKeybinding.keyCodes = {
     '\'': 222, quote: 222, apostrophe: 222
 };
 
+utilKeybinding.modifierKeys = ['Shift', 'Control', 'Alt', 'AltGraph', 'Meta', 'OS', 'CapsLock'];
+
+
+// Returns a normalized version of a key combo, so that key combos can be compared.
+// Modifiers are sorted and aliases are resolved,
+//  for example '⌘⇧b', '⇧⌘B', and 'shift+cmd+b' all become '⇧⌘B'
+utilKeybinding.normalize = function(code) {
+    var modifiers = {};
+    var key = '';
+
+    var matches = String(code).toLowerCase().match(/(?:(?:[^+⇧⌃⌥⌘])+|[⇧⌃⌥⌘]|\+\+|^\+$)/g) || [];
+    for (var j = 0; j < matches.length; j++) {
+        if (matches[j] === '++') matches[j] = '+';
+
+        if (matches[j] in utilKeybinding.modifierCodes) {
+            modifiers[utilKeybinding.modifierCodes[matches[j]]] = true;
+        } else {
+            key = utilKeybinding.keys[matches[j]] || _eventKeys()[matches[j]] || matches[j];
+            if (Array.isArray(key)) key = key[0];
+        }
+    }
+
+    var symbols = { 16: '⇧', 17: '⌃', 18: '⌥', 91: '⌘' };
+    var result = '';
+    for (var modifierCode in symbols) {
+        if (modifiers[modifierCode]) result += symbols[modifierCode];
+    }
+    return result + (key.length === 1 ? key.toUpperCase() : key);
+};
+
+
+// Lookup of lowercased `KeyboardEvent.key` names to the names used by `normalize`,
+//  for example 'arrowleft' -> 'ArrowLeft', so that '←' and 'ArrowLeft' are the same key.
+var _eventKeyLookup = null;
+function _eventKeys() {
+    if (_eventKeyLookup) return _eventKeyLookup;
+    _eventKeyLookup = {};
+    for (var code in utilKeybinding.keys) {
+        var names = [].concat(utilKeybinding.keys[code]);
+        for (var k = 0; k < names.length; k++) {
+            var name = names[k].toLowerCase();
+            if (!(name in _eventKeyLookup)) _eventKeyLookup[name] = names[0];
+        }
+    }
+    return _eventKeyLookup;
+}
+
+
+// Returns the key to use in a keybinding for the given `KeyboardEvent`, ignoring any modifiers.
+// Returns `null` if the event is for a modifier key, or the key can't be identified.
+utilKeybinding.keyFromEvent = function(event) {
+    var key = event.key;
+    if (!key || key === 'Unidentified' || key === 'Dead') return null;
+    if (utilKeybinding.modifierKeys.indexOf(key) !== -1) return null;
+    if (key === ' ') return 'space';
+    return key.length === 1 ? key.toUpperCase() : key;
+};
+
+
 // NUMPAD 0-9
 var i = 95, n = 0;
 while (++i < 106) {
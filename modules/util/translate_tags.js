@@ -0,0 +1,104 @@
+// Filters that can be used in `derive` expressions, like `{NAME|title}`
+const FILTERS = {
+  lower:  s => s.toLowerCase(),
+  upper:  s => s.toUpperCase(),
+  title:  s => s.toLowerCase().replace(/(^|[\s-])(\S)/g, (m, sep, c) => sep + c.toUpperCase()),
+  trim:   s => s.trim(),
+  number: s => (isFinite(parseFloat(s)) ? String(parseFloat(s)) : ''),
+  round:  s => (isFinite(parseFloat(s)) ? String(Math.round(parseFloat(s))) : ''),
+  feet:   s => (isFinite(parseFloat(s)) ? String(Math.round(parseFloat(s) * 0.3048 * 10) / 10) : '')   // feet -> meters
+};
+
+
+// Convert a pattern with `*` wildcards, like `SHAPE_*`, to a RegExp
+function globToRegex(glob) {
+  const escaped = glob.replace(/[-\/\\^$+?.()|[\]{}]/g, '\\$&');
+  return new RegExp('^' + escaped.replace(/\*/g, '.*') + '$');
+}
+
+
+/**
+ * utilTranslateTags
+ * Translates the tags (or properties) of a feature from a source schema to OSM tags,
+ * using a set of declarative translation rules.  Rules are a plain Object that can
+ * be stored as JSON, and may contain any of these properties:
+ *
+ *   {
+ *     drop:    ['OBJECTID', 'SHAPE_*'],                  // source keys to remove (`*` is a wildcard)
+ *     rename:  { 'BLDG_TYPE': 'building' },              // source key -> OSM key
+ *     values:  { 'building': { 'RES': 'house' } },       // OSM key -> (value -> new value)
+ *     derive:  { 'addr:street': '{ST_NAME|title} {ST_TYPE|title}', 'source': 'County GIS' }
+ *   }
+ *
+ * The rules are applied in that order.  Renaming a key to `null` or `''` removes it,
+ * and mapping a value to `null` or `''` removes the tag.
+ *
+ * `derive` expressions are evaluated against the original tags, falling back to the source
+ * properties (if given), so that tags can be derived from attributes that a service doesn't map.
+ * `{KEY}` is replaced with that value, optionally passed through filters, like `{KEY|trim|lower}`.
+ * Available filters are:  `lower`, `upper`, `title`, `trim`, `number`, `round`, and `feet` (feet to meters).
+ * If a tag used in an expression is missing or empty, the tag is not derived.
+ * An expression without any `{KEY}` is just a constant value.
+ *
+ * @param   {Object}  tags        - the original tags
+ * @param   {Object}  rules       - the translation rules
+ * @param   {Object}  properties? - the source properties of the feature, if different from the tags
+ * @return  {Object}  the translated tags (a new Object, the original tags are not modified)
+ */
+export function utilTranslateTags(tags, rules, properties) {
+  const source = tags ?? {};
+  if (!rules) return Object.assign({}, source);
+
+  const result = {};
+  const drops = [].concat(rules.drop ?? []).map(globToRegex);
+
+  for (const [k, v] of Object.entries(source)) {
+    if (drops.some(re => re.test(k))) continue;
+
+    const renamed = Object.prototype.hasOwnProperty.call(rules.rename ?? {}, k) ? rules.rename[k] : k;
+    if (!renamed) continue;
+
+    let val = v;
+    const valueMap = rules.values?.[renamed];
+    if (valueMap && Object.prototype.hasOwnProperty.call(valueMap, val)) {
+      val = valueMap[val];
+    }
+    if (val === null || val === undefined || val === '') continue;
+
+    result[renamed] = String(val);
+  }
+
+  for (const [k, expression] of Object.entries(rules.derive ?? {})) {
+    const val = evaluate(expression, Object.assign({}, properties, source));
+    if (val) {
+      result[k] = val;
+    }
+  }
+
+  return result;
+}
+
+
+// Evaluate a `derive` expression, returns `null` if any of the tags it uses are missing
+function evaluate(expression, tags) {
+  let missing = false;
+
+  const result = String(expression).replace(/\{([^{}|]+)((?:\|[a-z]+)*)\}/g, (match, key, filters) => {
+    let val = tags[key.trim()];
+    if (val === null || val === undefined) {
+      missing = true;
+      return '';
+    }
+
+    val = String(val).trim();
+    for (const name of filters.split('|').filter(Boolean)) {
+      const filter = FILTERS[name];
+      if (filter) val = filter(val);
+    }
+
+    if (!val) missing = true;
+    return val;
+  });
+
+  return missing ? null : result.replace(/\s+/g, ' ').trim();
+}
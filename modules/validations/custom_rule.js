@@ -0,0 +1,171 @@
+import { actionChangeTags } from '../actions/change_tags.js';
+import { ValidationIssue, ValidationFix } from '../core/lib/index.js';
+
+const SEVERITIES = new Set(['error', 'warning', 'suggestion']);
+const GEOMETRIES = new Set(['point', 'vertex', 'line', 'area', 'relation']);
+
+
+/**
+ * validationCustomRule
+ * Creates a validation rule from a declarative definition, so that local tagging
+ * conventions can be checked without writing code.  These aren't built-in rules,
+ * they are added by `ValidationSystem.setCustomRules()`.
+ *
+ * A definition looks like this (shown as YAML, JSON works too):
+ *   id: bench_material              # required, the rule's type will be `custom-bench_material`
+ *   title: Benches without material # optional, shown in the list of rules
+ *   tip: Find benches that…         # optional, tooltip shown in the list of rules
+ *   severity: warning               # optional, 'error', 'warning' (default), or 'suggestion'
+ *   geometry: [point, vertex]       # optional, any of 'point', 'vertex', 'line', 'area', 'relation'
+ *   tags:                           # required, the entity must match all of these:
+ *     amenity: bench                #   - exact value
+ *     leisure: [picnic_table, bench]#   - any one of these values
+ *     name: '*'                     #   - any value
+ *     material: null                #   - tag must not be present
+ *   message: '{feature} has no material'   # optional, `{feature}` is the feature's name,
+ *                                          #  other `{key}` are replaced with tag values
+ *   reference: Benches should…      # optional, longer description shown with the issue
+ *   fix:                            # optional, tag changes that will fix the issue
+ *     title: Set material to wood
+ *     tags: { material: wood }      #  `null` values remove the tag
+ *
+ * @param   {Context}  context - Global shared application context
+ * @param   {Object}   definition - The rule definition
+ * @return  {Function} A validator function, like the built-in ones
+ * @throws  Will throw if the definition is not valid
+ */
+export function validationCustomRule(context, definition) {
+  const editor = context.systems.editor;
+  const l10n = context.systems.l10n;
+
+  const def = definition ?? {};
+  if (typeof def.id !== 'string' || !/^[\w-]+$/.test(def.id)) {
+    throw new Error('Custom rule must have an `id` containing only letters, numbers, `_` or `-`');
+  }
+  if (!isObject(def.tags) || !Object.keys(def.tags).length) {
+    throw new Error(`Custom rule '${def.id}' must have some \`tags\` to match`);
+  }
+
+  const severity = def.severity ?? 'warning';
+  if (!SEVERITIES.has(severity)) {
+    throw new Error(`Custom rule '${def.id}' has unknown severity '${severity}'`);
+  }
+
+  const geometries = def.geometry ? new Set([def.geometry].flat()) : null;
+  for (const geometry of geometries ?? []) {
+    if (!GEOMETRIES.has(geometry)) {
+      throw new Error(`Custom rule '${def.id}' has unknown geometry '${geometry}'`);
+    }
+  }
+
+  const fixTags = def.fix?.tags;
+  if (def.fix && (!isObject(fixTags) || !Object.keys(fixTags).length)) {
+    throw new Error(`Custom rule '${def.id}' must have some \`tags\` to change in its \`fix\``);
+  }
+
+  const type = `custom-${def.id}`;
+  const matchers = Object.entries(def.tags).map(([k, v]) => tagMatcher(k, v));
+
+
+  let validation = function checkCustomRule(entity, graph) {
+    if (geometries && !geometries.has(entity.geometry(graph))) return [];
+    if (!matchers.every(matcher => matcher(entity.tags))) return [];
+
+    const autoArgs = fixTags ? [doFix, l10n.t('issues.fix.custom_rule.annotation')] : null;
+
+    return [new ValidationIssue(context, {
+      type: type,
+      severity: severity,
+      message: showMessage,
+      reference: showReference,
+      entityIds: [entity.id],
+      autoArgs: autoArgs,
+      dynamicFixes: () => {
+        if (!fixTags) return [];
+        return [
+          new ValidationFix({
+            title: def.fix.title ?? l10n.t('issues.fix.custom_rule.title'),
+            onClick: () => {
+              editor.perform(doFix);
+              editor.commit({
+                annotation: l10n.t('issues.fix.custom_rule.annotation'),
+                selectedIDs: [entity.id]
+              });
+            }
+          })
+        ];
+      }
+    })];
+
+
+    function doFix(graph) {
+      const currEntity = graph.hasEntity(entity.id);
+      if (!currEntity) return graph;
+
+      const newTags = Object.assign({}, currEntity.tags);  // shallow copy
+      for (const [k, v] of Object.entries(fixTags)) {
+        if (v === null || v === undefined) {
+          delete newTags[k];
+        } else {
+          newTags[k] = String(v);
+        }
+      }
+      return actionChangeTags(currEntity.id, newTags)(graph);
+    }
+  };
+
+
+  function showMessage() {
+    const graph = editor.staging.graph;
+    const entity = graph.hasEntity(this.entityIds[0]);
+    if (!entity) return '';
+
+    const feature = l10n.displayLabel(entity, graph, true);   // true = verbose
+    if (!def.message) {
+      return l10n.t('issues.custom_rule.message', { feature: feature, rule: validation.title });
+    }
+    return def.message.replace(/{([^{}]+)}/g, (match, key) => {
+      return key === 'feature' ? feature : (entity.tags[key] ?? '');
+    });
+  }
+
+
+  function showReference(selection) {
+    if (!def.reference) return;
+
+    selection.selectAll('.issue-reference')
+      .data([0])
+      .enter()
+      .append('div')
+      .attr('class', 'issue-reference')
+      .text(def.reference);
+  }
+
+
+  validation.type = type;
+  validation.title = def.title ?? def.id;
+  validation.tip = def.tip ?? l10n.t('issues.custom_rule.tip');
+
+  return validation;
+}
+
+
+function isObject(val) {
+  return val !== null && typeof val === 'object' && !Array.isArray(val);
+}
+
+
+// Returns a function that checks one key of a tag filter, see above.
+function tagMatcher(k, v) {
+  if (v === null || v === false) {
+    return tags => tags[k] === undefined;
+  } else if (v === '*') {
+    return tags => tags[k] !== undefined;
+  } else if (Array.isArray(v)) {
+    const vals = new Set(v.map(String));
+    return tags => vals.has(tags[k]);
+  } else {
+    const val = String(v);
+    return tags => tags[k] === val;
+  }
+}
@@ -14,6 +14,7 @@ export { validationMissingRole } from './missing_role.js';
 export { validationMissingTag } from './missing_tag.js';
 export { validationOutdatedTags } from './outdated_tags.js';
 export { validationPrivateData } from './private_data.js';
+export { validationRoutingConnectivity } from './routing_connectivity.js';
 // export { validationShortRoad } from './short_road.js';
 export { validationYShapedConnection } from './y_shaped_connection.js';
 export { validationSuspiciousName } from './suspicious_name.js';
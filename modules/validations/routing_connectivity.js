@@ -0,0 +1,259 @@
+import { actionReverse } from '../actions/reverse.js';
+import { operationDelete } from '../operations/delete.js';
+import { osmIntersection } from '../osm/intersection.js';
+import { osmRoutingAccess, osmRoutingGraph } from '../osm/routing.js';
+import { osmRoutableHighwayTagValues } from '../osm/tags.js';
+import { ValidationIssue, ValidationFix } from '../core/lib/index.js';
+
+// How many steps to search before assuming that a road is connected to the wider network.
+// Problems that involve more of the network than this are not found, but this keeps validation quick.
+const MAX_STATES = 250;
+
+
+/**
+ * validationRoutingConnectivity
+ * Checks that vehicles can drive onto and off of each road, by searching the directed
+ * routing graph (see `osmRoutingGraph`), which follows oneways, access tags, and turn restrictions.
+ * The simple cases of disconnected roads and oneways are left to `disconnected_way` and `impossible_oneway`.
+ *
+ * Subtypes:
+ *   `dead_end_oneway`      a oneway leads to a junction where vehicles can't go anywhere
+ *   `no_exit`              vehicles can drive onto the road, but can never leave
+ *   `unreachable`          vehicles can leave the road, but can never drive onto it
+ *   `impossible_junction`  a turn restriction leaves no way through a junction
+ */
+export function validationRoutingConnectivity(context) {
+  const type = 'routing_connectivity';
+  const editor = context.systems.editor;
+  const l10n = context.systems.l10n;
+
+  const _routingGraphs = new WeakMap();   // WeakMap(Graph -> routing graph)
+
+
+  function routingGraphFor(graph) {
+    let routing = _routingGraphs.get(graph);
+    if (!routing) {
+      routing = osmRoutingGraph(graph, 'car');
+      _routingGraphs.set(graph, routing);
+    }
+    return routing;
+  }
+
+
+  // Reaching one of these nodes counts as reaching the wider network
+  function isEscapeNode(node) {
+    // Assume nodes in unloaded tiles are connected to the wider road network.
+    // Don't worry, as more map tiles are loaded, we'll have additional chances to validate it.
+    const osm = context.services.osm;
+    if (osm && !osm.isDataLoaded(node.loc)) return true;
+
+    // entrances are considered connected
+    if (node.tags.entrance && node.tags.entrance !== 'no') return true;
+    if (node.tags.amenity === 'parking_entrance') return true;
+
+    return false;
+  }
+
+
+  // Searches outward from the given states, using `step` to find the neighbors of each state.
+  // Returns `true` if the search reaches the wider network
+  function canEscape(routing, states, step) {
+    const seen = new Set();
+    const queue = states.slice();
+
+    while (queue.length) {
+      const state = queue.pop();
+      const key = routing.stateKey(state);
+      if (seen.has(key)) continue;
+
+      seen.add(key);
+      if (seen.size > MAX_STATES) return true;
+
+      const node = routing.graph.hasEntity(state.nodeID);
+      if (node && isEscapeNode(node)) return true;
+
+      queue.push(...step(state));
+    }
+
+    return false;
+  }
+
+
+  let validation = function checkRoutingConnectivity(entity, graph) {
+    if (entity.type === 'relation' && entity.isRestriction()) {
+      return checkRestriction(entity, graph);
+    } else if (entity.type === 'way' && entity.geometry(graph) === 'line') {
+      return checkWay(entity, graph);
+    }
+    return [];
+  };
+
+
+  function checkWay(way, graph) {
+    const access = osmRoutingAccess(way, 'car');
+    if (!access || way.nodes.length < 2) return [];
+
+    const routing = routingGraphFor(graph);
+    const last = way.nodes.length - 1;
+
+    // Is this a oneway that leads somewhere that vehicles can't go?
+    const isOneway = (access.forward !== access.backward);
+    if (isOneway && !way.isClosed()) {
+      const headNode = graph.hasEntity(access.forward ? way.first() : way.last());
+      const tailNode = graph.hasEntity(access.forward ? way.last() : way.first());
+      if (!headNode || !tailNode) return [];
+
+      // `impossible_oneway` reports oneways that start or end where there is no other road to come from or go to.
+      if (!hasOtherRoad(graph, way, headNode, false) || !hasOtherRoad(graph, way, tailNode, true)) return [];
+
+      const exitState = access.forward ?
+        { nodeID: tailNode.id, wayID: way.id, index: last, dir: 1 } :
+        { nodeID: tailNode.id, wayID: way.id, index: 0, dir: -1 };
+
+      if (!isEscapeNode(tailNode) && !routing.next(exitState).length) {
+        return [makeIssue('dead_end_oneway', [way.id, tailNode.id], tailNode.loc)];
+      }
+    }
+
+    // Search forward and backward from this road, to see if vehicles can leave it, and get onto it
+    const states = [];
+    if (access.forward) {
+      states.push({ nodeID: way.nodes[1], wayID: way.id, index: 1, dir: 1 });
+    }
+    if (access.backward) {
+      states.push({ nodeID: way.nodes[last - 1], wayID: way.id, index: last - 1, dir: -1 });
+    }
+
+    const canLeave = canEscape(routing, states, state => routing.next(state));
+    const canEnter = canEscape(routing, states, state => routing.previous(state));
+
+    // If vehicles can't get on or off, the road is disconnected, which `disconnected_way` reports
+    if (canLeave === canEnter) return [];
+
+    return [makeIssue(canLeave ? 'unreachable' : 'no_exit', [way.id])];
+  }
+
+
+  // Returns `true` if there is another road at the node that a vehicle on the oneway could come from
+  // (at the head of the oneway) or go to (at its tail), if it weren't for access tags or turn restrictions.
+  function hasOtherRoad(graph, way, node, isTail) {
+    return graph.parentWays(node).some(other => {
+      if (other.id === way.id || !osmRoutableHighwayTagValues[other.tags.highway]) return false;
+      if (!other.isOneWay()) return true;
+
+      const otherHead = (other.tags.oneway === '-1') ? other.last() : other.first();
+      const otherTail = (other.tags.oneway === '-1') ? other.first() : other.last();
+      return isTail ? (otherHead === node.id) : (otherTail === node.id);
+    });
+  }
+
+
+  function checkRestriction(relation, graph) {
+    if (!relation.isValidRestriction()) return [];
+
+    const via = relation.membersByRole('via');
+    if (via.length !== 1 || via[0].type !== 'node') return [];   // only via node restrictions make junctions
+
+    const vertex = graph.hasEntity(via[0].id);
+    const fromWay = graph.hasEntity(relation.memberByRole('from').id);
+    if (!vertex || !fromWay) return [];
+
+    // The intersection graph has the ways split at the junction, and the restrictions updated to match.
+    const intersection = osmIntersection(graph, vertex.id);
+    const vrelation = intersection.graph.hasEntity(relation.id);
+    const vfromID = vrelation?.memberByRole('from')?.id;
+    if (!vfromID) return [];
+
+    // Are all the turns from the `from` way restricted, and is this relation one of the reasons?
+    const turns = intersection.turns(vfromID, 1).filter(turn => !turn.u);
+    if (!turns.length || turns.some(turn => !turn.no)) return [];
+    if (!turns.some(turn => turn.restrictionID === relation.id)) return [];
+
+    return [makeIssue('impossible_junction', [relation.id, fromWay.id], vertex.loc)];
+  }
+
+
+  function makeIssue(subtype, entityIds, loc) {
+    return new ValidationIssue(context, {
+      type: type,
+      subtype: subtype,
+      severity: 'warning',
+      message: function() {
+        const graph = editor.staging.graph;
+        const entities = this.entityIds.map(entityID => graph.hasEntity(entityID));
+        if (entities.some(entity => !entity)) return '';
+
+        if (subtype === 'impossible_junction') {
+          return l10n.t(`issues.${type}.${subtype}.message`, {
+            restriction: l10n.displayLabel(entities[0], graph),
+            feature: l10n.displayLabel(entities[1], graph)
+          });
+        } else {
+          return l10n.t(`issues.${type}.${subtype}.message`, { feature: l10n.displayLabel(entities[0], graph) });
+        }
+      },
+      reference: showReference,
+      entityIds: entityIds,
+      loc: loc,
+      dynamicFixes: makeFixes
+    });
+
+
+    function makeFixes() {
+      const graph = editor.staging.graph;
+      const entity = graph.hasEntity(this.entityIds[0]);
+      if (!entity) return [];
+
+      if (subtype === 'dead_end_oneway') {
+        return [
+          new ValidationFix({
+            icon: 'rapid-operation-reverse',
+            title: l10n.t('issues.fix.reverse_feature.title'),
+            entityIds: [entity.id],
+            onClick: function() {
+              const entityID = this.issue.entityIds[0];
+              editor.perform(actionReverse(entityID));
+              editor.commit({
+                annotation: l10n.t('operations.reverse.annotation.line', { n: 1 }),
+                selectedIDs: [entityID]
+              });
+            }
+          })
+        ];
+
+      } else if (subtype === 'impossible_junction') {
+        return [
+          new ValidationFix({
+            icon: 'rapid-operation-delete',
+            title: l10n.t('issues.fix.delete_feature.title'),
+            entityIds: [entity.id],
+            onClick: function() {
+              const entityID = this.issue.entityIds[0];
+              const operation = operationDelete(context, [entityID]);
+              if (!operation.disabled()) {
+                operation();
+              }
+            }
+          })
+        ];
+      }
+
+      return [];
+    }
+
+
+    function showReference(selection) {
+      selection.selectAll('.issue-reference')
+        .data([0])
+        .enter()
+        .append('div')
+        .attr('class', 'issue-reference')
+        .text(l10n.t(`issues.${type}.${subtype}.reference`));
+    }
+  }
+
+
+  validation.type = type;
+
+  return validation;
+}
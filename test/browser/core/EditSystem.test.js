@@ -68,11 +68,20 @@ describe('EditSystem', () => {
   }
 
   class MockStorageSystem {
-    constructor() { }
+    constructor() {
+      this.items = new Map();
+      this.sessions = new Map();
+      this.persistsSessions = true;
+    }
     initAsync()   { return Promise.resolve(); }
-    getItem()     { return ''; }
-    hasItem()     { return false; }
-    setItem()     { }
+    getItem(k)    { return this.items.get(k) ?? ''; }
+    hasItem(k)    { return this.items.has(k); }
+    setItem(k, v) { this.items.set(k, v); }
+    removeItem(k) { this.items.delete(k); }
+    getSessionsAsync()    { return Promise.resolve([...this.sessions.values()]); }
+    getSessionAsync(id)   { return Promise.resolve(this.sessions.get(id)); }
+    setSessionAsync(s)    { this.sessions.set(s.id, s); return Promise.resolve(true); }
+    removeSessionAsync(id)  { this.sessions.delete(id); return Promise.resolve(); }
   }
 
   class MockContext {
@@ -89,6 +98,7 @@ describe('EditSystem', () => {
       this.services = {};
     }
     selectedIDs() { return []; }
+    resetAsync()  { return _editor.resetAsync(); }
   }
 
   const context = new MockContext();
@@ -858,4 +868,192 @@ describe('EditSystem', () => {
         });
     });
   });
+
+
+  describe('#getBackupsAsync / #renameBackupAsync', () => {
+    beforeEach(() => {
+      const storage = context.systems.storage;
+      storage.sessions.clear();
+      storage.sessions.set('s1', { id: 's1', name: '', created: 1, modified: 2, edits: 3, json: '{}' });
+    });
+
+    it('returns the stored edit sessions without their history', () => {
+      return _editor.getBackupsAsync()
+        .then(sessions => {
+          expect(sessions).to.have.lengthOf(1);
+          expect(sessions[0]).to.eql({ id: 's1', name: '', created: 1, modified: 2, edits: 3 });
+        });
+    });
+
+    it('renames an edit session', () => {
+      return _editor.renameBackupAsync('s1', 'Mapping party')
+        .then(() => _editor.getBackupsAsync())
+        .then(sessions => {
+          expect(sessions[0].name).to.eql('Mapping party');
+        });
+    });
+  });
+
+
+  describe('#saveBackup', () => {
+    beforeEach(() => {
+      context.systems.storage.sessions.clear();
+      sinon.stub(_editor._mutex, 'locked').returns(true);
+    });
+
+    it('writes the edit history to the current edit session', () => {
+      prepareTestHistory();
+      _editor.saveBackup();
+
+      const session = context.systems.storage.sessions.get(_editor.sessionID);
+      expect(session).to.be.an('object');
+      expect(session.edits).to.eql(3);
+      expect(session.json).to.eql(_editor.toJSON());
+      expect(session.modified).to.be.at.least(session.created);
+    });
+
+    it('emits backupstatuschange if the backup fails', () => {
+      const storage = context.systems.storage;
+      const setSessionAsync = sinon.stub(storage, 'setSessionAsync').resolves(false);
+      const onBackupStatusChange = sinon.spy();
+      _editor.on('backupstatuschange', onBackupStatusChange);
+
+      prepareTestHistory();
+      _editor.saveBackup();
+
+      return Promise.resolve()
+        .then(() => {
+          expect(setSessionAsync.calledOnce).to.be.ok;
+          expect(onBackupStatusChange.calledOnceWithExactly(false)).to.be.ok;
+        })
+        .finally(() => setSessionAsync.restore());
+    });
+
+    it('does not write a backup while the user may still restore another edit session', () => {
+      prepareTestHistory();
+      _editor._canRestoreBackup = true;
+      _editor.saveBackup();
+      expect(context.systems.storage.sessions.size).to.eql(0);
+    });
+  });
+
+
+  describe('#restoreBackup', () => {
+    function makeSession(id, name, modified, nodeID, loc) {
+      const json = {
+        version: 3,
+        entities: [{ loc: loc, id: nodeID, v: 1 }],
+        baseEntities: [{ loc: [0, 0], id: nodeID }],
+        stack: [
+          { },
+          { modified: [`${nodeID}v1`], imageryUsed: ['Bing'], annotation: 'Moved a point.' }
+        ],
+        nextIDs: { node: -1, way: -1, relation: -1 },
+        index: 1
+      };
+      return { id: id, name: name, created: 1, modified: modified, edits: 1, json: JSON.stringify(json) };
+    }
+
+    beforeEach(() => {
+      const storage = context.systems.storage;
+      storage.sessions.clear();
+      storage.sessions.set('s1', makeSession('s1', 'Newer', 20, 'n1', [1, 1]));
+      storage.sessions.set('s2', makeSession('s2', 'Older', 10, 'n2', [2, 2]));
+      sinon.stub(_editor._mutex, 'locked').returns(true);
+    });
+
+    it('restores the history and base graph of the chosen edit session', () => {
+      return _editor.restoreBackup('s2')
+        .then(() => {
+          expect(_editor.sessionID).to.eql('s2');
+          expect(_editor._sessionName).to.eql('Older');
+          expect(_editor.base.graph.entity('n2').loc).to.eql([0, 0]);
+          expect(_editor.staging.graph.entity('n2').loc).to.eql([2, 2]);
+          expect(_editor.staging.graph.hasEntity('n1')).to.be.undefined;
+          expect(_editor.getUndoAnnotation()).to.eql('Moved a point.');
+        });
+    });
+
+    it('restores the most recent edit session if none is chosen', () => {
+      return _editor.restoreBackup()
+        .then(() => {
+          expect(_editor.sessionID).to.eql('s1');
+          expect(_editor.staging.graph.entity('n1').loc).to.eql([1, 1]);
+        });
+    });
+
+    it('does nothing if another browser tab owns the history', () => {
+      _editor._mutex.locked.returns(false);
+      const prevID = _editor.sessionID;
+      return _editor.restoreBackup('s2')
+        .then(() => {
+          expect(_editor.sessionID).to.eql(prevID);
+          expect(_editor.staging.graph.hasEntity('n2')).to.be.undefined;
+        });
+    });
+  });
+
+
+  describe('#_migrateLegacyBackupAsync', () => {
+    const legacy = JSON.stringify({ version: 3, entities: [], baseEntities: [], stack: [{}], index: 2, timestamp: 1000 });
+
+    beforeEach(() => {
+      const storage = context.systems.storage;
+      storage.sessions.clear();
+      storage.items.clear();
+      storage.persistsSessions = true;
+    });
+
+    afterEach(() => {
+      context.systems.storage.persistsSessions = true;
+    });
+
+    it('moves the localStorage backup into an edit session', () => {
+      const storage = context.systems.storage;
+      const key = _editor._backupKey();
+      storage.items.set(key, legacy);
+
+      return _editor._migrateLegacyBackupAsync()
+        .then(() => {
+          const session = storage.sessions.get('legacy-' + (1000).toString(36));
+          expect(session).to.include({ name: '', created: 1000, modified: 1000, edits: 2, json: legacy });
+          expect(storage.items.has(key)).to.be.false;
+        });
+    });
+
+    it('keeps the localStorage backup if the edit session is only kept in memory', () => {
+      const storage = context.systems.storage;
+      const key = _editor._backupKey();
+      storage.items.set(key, legacy);
+      storage.persistsSessions = false;
+
+      return _editor._migrateLegacyBackupAsync()
+        .then(() => {
+          expect(storage.sessions.size).to.eql(1);
+          expect(storage.items.get(key)).to.eql(legacy);
+        });
+    });
+
+    it('removes an unreadable localStorage backup', () => {
+      const storage = context.systems.storage;
+      const key = _editor._backupKey();
+      storage.items.set(key, '{not json');
+
+      return _editor._migrateLegacyBackupAsync()
+        .then(() => {
+          expect(storage.sessions.size).to.eql(0);
+          expect(storage.items.has(key)).to.be.false;
+        });
+    });
+  });
+
+
+  describe('#startNewSession', () => {
+    it('starts writing backups to a new edit session', () => {
+      const prevID = _editor.sessionID;
+      _editor.startNewSession();
+      expect(_editor.sessionID).to.be.a('string').that.is.not.eql(prevID);
+      expect(_editor.canRestoreBackup).to.be.false;
+    });
+  });
 });
@@ -0,0 +1,182 @@
+describe('ImagerySystem', () => {
+  let _imagery, _params, _stored;
+
+  class MockSystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    on()          { return this; }
+  }
+
+  class MockAssetSystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    loadAssetAsync() {
+      return Promise.resolve({ imagery: [
+        { id: 'Bing', name: 'Bing', type: 'bing', template: 'https://example.com/bing/{u}' },
+        { id: 'Mapbox', name: 'Mapbox', type: 'tms', template: 'https://example.com/mapbox/{zoom}/{x}/{y}' },
+        { id: 'EsriWorldImagery', name: 'Esri World Imagery', type: 'tms', template: 'https://example.com/esri/{zoom}/{y}/{x}' }
+      ]});
+    }
+  }
+
+  class MockGfxSystem {
+    constructor() {
+      this.scene = new MockSystem();
+      this.scene.layers = new Map();
+    }
+    initAsync()   { return Promise.resolve(); }
+  }
+
+  class MockStorageSystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    getItem(k)    { return _stored.get(k) ?? null; }
+    setItem(k, v) { _stored.set(k, v); }
+    removeItem(k) { _stored.delete(k); }
+  }
+
+  class MockUrlHashSystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    on()          { return this; }
+    setParam(k, v) {
+      if (v === undefined || v === null) {
+        _params.delete(k);
+      } else {
+        _params.set(k, v);
+      }
+    }
+  }
+
+  class MockLocalizationSystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    t(id, options) { return options?.default ?? id; }
+  }
+
+  class MockContext {
+    constructor()   {
+      this.systems = {
+        assets:   new MockAssetSystem(),
+        editor:   new MockSystem(),
+        gfx:      new MockGfxSystem(),
+        l10n:     new MockLocalizationSystem(),
+        map:      new MockSystem(),
+        storage:  new MockStorageSystem(),
+        urlhash:  new MockUrlHashSystem()
+      };
+      this.services = {
+        osm: { imageryBlocklists: [] }
+      };
+    }
+    isPublicDomain() { return false; }
+  }
+
+
+  beforeEach(() => {
+    _params = new Map();
+    _stored = new Map();
+
+    // Don't fetch the Wayback releases, just pretend that there are some
+    sinon.stub(Rapid.ImagerySourceEsriWayback.prototype, 'initWaybackAsync').callsFake(function() {
+      for (const date of ['2020-01-08', '2024-01-01']) {
+        this._waybackData.set(date, { template: `https://example.com/${date}/{zoom}/{y}/{x}`, startDate: date, endDate: date });
+      }
+      this.date = '2024-01-01';
+      return Promise.resolve();
+    });
+
+    _imagery = new Rapid.ImagerySystem(new MockContext());
+    return _imagery.initAsync()
+      .then(() => _imagery.baseLayerSource(_imagery.getSourceByID('Bing')));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+
+  describe('compareLayerSource', () => {
+    it('compares the base layer with another source', () => {
+      const spy = sinon.spy();
+      _imagery.on('imagerychange', spy);
+
+      const mapbox = _imagery.getSourceByID('Mapbox');
+      _imagery.compareLayerSource(mapbox);
+      expect(_imagery.compareLayerSource()).to.equal(mapbox);
+      expect(spy.calledOnce).to.be.true;
+      expect(_params.get('compare')).to.equal('Mapbox');
+      expect(_imagery.imageryUsed()).to.have.members(['Bing', 'Mapbox']);
+    });
+
+    it('stops comparing with `null` or the None source', () => {
+      _imagery.compareLayerSource(_imagery.getSourceByID('Mapbox'));
+      _imagery.compareLayerSource(null);
+      expect(_imagery.compareLayerSource()).to.be.null;
+      expect(_params.has('compare')).to.be.false;
+
+      _imagery.compareLayerSource(_imagery.getSourceByID('none'));
+      expect(_imagery.compareLayerSource()).to.be.null;
+    });
+  });
+
+
+  describe('setCompareSourceByID', () => {
+    it('compares with the source with the given ID', () => {
+      _imagery.setCompareSourceByID('Mapbox');
+      expect(_imagery.compareLayerSource().id).to.equal('Mapbox');
+
+      _imagery.setCompareSourceByID(null);
+      expect(_imagery.compareLayerSource()).to.be.null;
+    });
+
+    it('compares 2 dates of the Wayback imagery', () => {
+      _imagery.setSourceByID('EsriWayback_2024-01-01');
+      _imagery.setCompareSourceByID('EsriWayback_2020-01-08');
+
+      const base = _imagery.baseLayerSource();
+      const compare = _imagery.compareLayerSource();
+      expect(base.date).to.equal('2024-01-01');
+      expect(compare.date).to.equal('2020-01-08');
+      expect(_params.get('background')).to.equal('EsriWayback_2024-01-01');
+      expect(_params.get('compare')).to.equal('EsriWayback_2020-01-08');
+    });
+
+    it('aligns the compared Wayback date apart from the base layer', () => {
+      _imagery.setSourceByID('EsriWayback_2024-01-01');
+      _imagery.setCompareSourceByID('EsriWayback_2020-01-08');
+
+      _imagery.offset = [0.001, 0.001];
+      expect(_imagery.compareLayerSource().offset).to.eql([0, 0]);
+    });
+  });
+
+
+  describe('swipePosition', () => {
+    it('starts in the middle, and stays within the map', () => {
+      const spy = sinon.spy();
+      _imagery.on('imagerychange', spy);
+
+      expect(_imagery.swipePosition).to.equal(0.5);
+      _imagery.swipePosition = 0.25;
+      expect(_imagery.swipePosition).to.equal(0.25);
+      _imagery.swipePosition = 2;
+      expect(_imagery.swipePosition).to.equal(1);
+      _imagery.swipePosition = -1;
+      expect(_imagery.swipePosition).to.equal(0);
+      expect(spy.callCount).to.equal(3);
+    });
+  });
+
+
+  describe('url hash', () => {
+    it('compares with the source in the `compare` parameter', () => {
+      _imagery._hashchange(new Map([['background', 'Bing'], ['compare', 'Mapbox']]), new Map([['background', 'Bing']]));
+      expect(_imagery.compareLayerSource().id).to.equal('Mapbox');
+
+      _imagery._hashchange(new Map([['background', 'Bing']]), new Map([['background', 'Bing'], ['compare', 'Mapbox']]));
+      expect(_imagery.compareLayerSource()).to.be.null;
+    });
+  });
+
+});
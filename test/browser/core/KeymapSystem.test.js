@@ -0,0 +1,118 @@
+describe('KeymapSystem', () => {
+  let _keymap;
+  let _stored;
+
+  const defaultKeys = {
+    'shortcuts.command.split.key': 'X',
+    'shortcuts.command.move.key': 'M',
+    'shortcuts.command.accept_feature.key': 'A',
+    'shortcuts.command.continue_line.key': 'A',
+    'shortcuts.command.zoom_to.key': 'Z',
+    'shortcuts.command.toggle_mapillary.key': 'M',
+    'shortcuts.command.delete.key': '⌫',
+    'shortcuts.command.pan_left.key': '←'
+  };
+
+  class MockLocalizationSystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    t(id)         { return defaultKeys[id] ?? id; }
+  }
+
+  class MockStorageSystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    getItem(k)    { return _stored.get(k) ?? null; }
+    setItem(k, v) { _stored.set(k, v); }
+    removeItem(k) { _stored.delete(k); }
+  }
+
+  class MockContext {
+    constructor()   {
+      this.systems = {
+        l10n:    new MockLocalizationSystem(),
+        storage: new MockStorageSystem()
+      };
+    }
+  }
+
+
+  beforeEach(() => {
+    _stored = new Map();
+    _keymap = new Rapid.KeymapSystem(new MockContext());
+    return _keymap.initAsync();
+  });
+
+
+  it('returns the default keys', () => {
+    expect(_keymap.key('split')).to.equal('X');
+    expect(_keymap.isDefault('split')).to.be.true;
+    expect(_keymap.combo('toggle_mapillary')).to.equal('⇧M');
+  });
+
+  it('assigns and restores keys, saving them in storage', () => {
+    const spy = sinon.spy();
+    _keymap.on('keymapchange', spy);
+
+    _keymap.setKey('split', 'Ö');
+    expect(_keymap.key('split')).to.equal('Ö');
+    expect(_keymap.isDefault('split')).to.be.false;
+    expect(JSON.parse(_stored.get('prefs.keybindings'))).to.eql({ split: 'Ö' });
+
+    _keymap.resetKey('split');
+    expect(_keymap.key('split')).to.equal('X');
+    expect(_stored.has('prefs.keybindings')).to.be.false;
+    expect(spy.calledTwice).to.be.ok;
+  });
+
+  it('restores the keys from storage', () => {
+    _stored.set('prefs.keybindings', JSON.stringify({ split: 'K', nope: 'J' }));
+    const keymap = new Rapid.KeymapSystem(new MockContext());
+    return keymap.initAsync()
+      .then(() => {
+        expect(keymap.key('split')).to.equal('K');
+        expect(keymap.commands).to.not.include('nope');
+      });
+  });
+
+  it('detects conflicts between commands in the same scope', () => {
+    expect(_keymap.conflicts('split')).to.eql([]);
+
+    _keymap.setKey('split', 'm');
+    expect(_keymap.conflicts('split')).to.eql(['move']);
+    expect(_keymap.conflicts('move')).to.eql(['split']);
+  });
+
+  it('detects conflicts with global commands', () => {
+    _keymap.setKey('split', 'Z');
+    expect(_keymap.conflicts('split')).to.eql(['zoom_to']);
+  });
+
+  it('does not report conflicts between commands in different scopes or with different modifiers', () => {
+    expect(_keymap.conflicts('accept_feature')).to.eql([]);   // 'A' is also continue_line, but that is in a different scope
+    expect(_keymap.conflicts('toggle_mapillary')).to.eql([]); // '⇧M' is not 'M'
+  });
+
+  it('returns alternate key combos only while the command has its default key', () => {
+    expect(_keymap.combos('delete')).to.eql(['⌘⌫', '⌘⌦', '⌦']);
+    expect(_keymap.combos('split')).to.eql(['X']);
+
+    _keymap.setKey('delete', 'K');
+    expect(_keymap.combos('delete')).to.eql(['⌘K']);
+  });
+
+  it('matches keyboard events to the key of a command', () => {
+    expect(_keymap.matches('pan_left', { key: 'ArrowLeft' })).to.be.true;
+    expect(_keymap.matches('pan_left', { key: 'ArrowRight' })).to.be.false;
+    expect(_keymap.matches('split', { key: 'x', shiftKey: true })).to.be.true;   // modifiers are ignored
+
+    _keymap.setKey('pan_left', 'H');
+    expect(_keymap.matches('pan_left', { key: 'h' })).to.be.true;
+    expect(_keymap.matches('pan_left', { key: 'ArrowLeft' })).to.be.false;
+  });
+
+  it('treats arrow keys from events the same as their symbols', () => {
+    _keymap.setKey('pan_left', 'ArrowLeft');
+    expect(_keymap.isDefault('pan_left')).to.be.true;
+  });
+});
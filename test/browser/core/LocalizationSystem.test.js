@@ -130,6 +130,37 @@ describe('LocalizationSystem', () => {
     });
   });
 
+  describe('#isTextForStringID', () => {
+    it('matches the text of a string', () => {
+      expect(_l10n.isTextForStringID('YYYY-MM-DD', 'units.year_month_day')).to.be.true;
+      expect(_l10n.isTextForStringID('YYYY-MM', 'units.year_month_day')).to.be.false;
+    });
+
+    it('matches any replacement for the tokens', () => {
+      expect(_l10n.isTextForStringID('12 ft', 'units.feet')).to.be.true;
+      expect(_l10n.isTextForStringID('1,200.5 ft', 'units.feet')).to.be.true;
+      expect(_l10n.isTextForStringID('12 mi', 'units.feet')).to.be.false;
+    });
+
+    it('matches any of the strings below the string id', () => {
+      expect(_l10n.isTextForStringID('from A to B', 'inspector.display_name')).to.be.true;
+      expect(_l10n.isTextForStringID('Line 1 from A to B via C', 'inspector.display_name')).to.be.true;
+      expect(_l10n.isTextForStringID('12 ft', 'inspector.display_name')).to.be.false;
+    });
+
+    it('does not treat regular expression characters in the strings as special', () => {
+      expect(_l10n.isTextForStringID('12 m²', 'units.square_meters')).to.be.true;
+      expect(_l10n.isTextForStringID('(12 m²) (3 ha)', 'units.area_pair')).to.be.true;
+      expect(_l10n.isTextForStringID('12 m2', 'units.square_meters')).to.be.false;
+    });
+
+    it('returns false for missing strings or text', () => {
+      expect(_l10n.isTextForStringID('12 ft', 'units.nope')).to.be.false;
+      expect(_l10n.isTextForStringID(undefined, 'units.feet')).to.be.false;
+      expect(_l10n.isTextForStringID({ type: 'rapid_accept_feature' }, 'units.feet')).to.be.false;
+    });
+  });
+
   describe('dmsMatcher', () => {
     it('parses D M SS format', () => {
       const result = _l10n.dmsMatcher('35 11 10.1 , 136 49 53.8');
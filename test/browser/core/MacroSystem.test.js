@@ -0,0 +1,301 @@
+describe('MacroSystem', () => {
+  let _editor, _macros, _stored, _context;
+
+  class MockSystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    on()          { return this; }
+  }
+
+  class MockGfxSystem {
+    constructor() {
+      this.scene = { layers: new Map() };
+    }
+    initAsync()   { return Promise.resolve(); }
+    pause()       { }
+    resume()      { }
+  }
+
+  class MockKeymapSystem {
+    constructor() { }
+    key()         { return ''; }
+  }
+
+  class MockImagerySystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    imageryUsed() { return ''; }
+  }
+
+  class MockPhotoSystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    photosUsed()  { return ''; }
+  }
+
+  // In these tests, the annotations of the edits are the string ids themselves
+  class MockLocalizationSystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    t(id)         { return id; }
+    isTextForStringID(text, stringID) { return text === stringID || text.startsWith(`${stringID}.`); }
+  }
+
+  class MockStorageSystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    getItem(k)    { return _stored.get(k) ?? null; }
+    hasItem(k)    { return _stored.has(k); }
+    setItem(k, v) { _stored.set(k, v); }
+    removeItem(k) { _stored.delete(k); }
+    getSessionsAsync()   { return Promise.resolve([]); }
+    getSessionAsync()    { return Promise.resolve(); }
+    setSessionAsync()    { return Promise.resolve(true); }
+    removeSessionAsync() { return Promise.resolve(); }
+  }
+
+  class MockContext {
+    constructor()   {
+      this.viewport = new Rapid.sdk.Viewport();
+      this.systems = {
+        imagery:  new MockImagerySystem(),
+        gfx:      new MockGfxSystem(),
+        keymap:   new MockKeymapSystem(),
+        l10n:     new MockLocalizationSystem(),
+        map:      new MockSystem(),
+        photos:   new MockPhotoSystem(),
+        rapid:    new MockSystem(),
+        storage:  new MockStorageSystem()
+      };
+      this.services = {};
+      this.enter = sinon.spy();
+    }
+    selectedIDs() { return []; }
+  }
+
+
+  beforeEach(() => {
+    _stored = new Map();
+    _context = new MockContext();
+    _editor = new Rapid.EditSystem(_context);
+    _context.systems.editor = _editor;
+    _macros = new Rapid.MacroSystem(_context);
+
+    return _editor.initAsync()
+      .then(() => _macros.initAsync())
+      .then(() => {
+        _editor.merge([
+          Rapid.osmNode({ id: 'n1', tags: { fixme: 'yes' } }),
+          Rapid.osmNode({ id: 'n2', tags: { fixme: 'yes' } }),
+          Rapid.osmNode({ id: 'n3' })
+        ]);
+      });
+  });
+
+
+  describe('recording', () => {
+    it('records tag changes on the selected features', () => {
+      _macros.startRecording();
+      expect(_macros.isRecording).to.be.true;
+
+      _editor.perform(Rapid.actionChangeTags('n1', { building: 'house' }));
+      _editor.commit({ annotation: 'operations.change_tags.annotation', selectedIDs: ['n1'] });
+
+      const steps = _macros.stopRecording();
+      expect(_macros.isRecording).to.be.false;
+      expect(steps).to.eql([{ type: 'tags', set: { building: 'house' }, remove: ['fixme'] }]);
+    });
+
+    it('records operations, recognized by their annotations', () => {
+      _macros.startRecording();
+
+      _editor.perform(Rapid.actionChangeTags('n1', { fixme: 'no' }));
+      _editor.commit({ annotation: 'operations.orthogonalize.annotation.feature', selectedIDs: ['n1'] });
+      _editor.perform(Rapid.actionChangeTags('n1', { fixme: 'maybe' }));
+      _editor.commit({ annotation: 'operations.reflect.annotation.long', selectedIDs: ['n1'] });
+
+      expect(_macros.recordedSteps).to.eql([
+        { type: 'operation', operation: 'orthogonalize' },
+        { type: 'operation', operation: 'reflect_long' }
+      ]);
+    });
+
+    it('keeps only the tag changes that are the same for all selected features', () => {
+      _macros.startRecording();
+
+      _editor.perform(Rapid.actionChangeTags('n1', { building: 'house', name: 'One' }));
+      _editor.perform(Rapid.actionChangeTags('n2', { building: 'house', name: 'Two' }));
+      _editor.commit({ annotation: 'operations.change_tags.annotation', selectedIDs: ['n1', 'n2'] });
+
+      expect(_macros.recordedSteps).to.eql([{ type: 'tags', set: { building: 'house' }, remove: ['fixme'] }]);
+    });
+
+    it('skips edits that can not be replayed', () => {
+      _macros.startRecording();
+
+      _editor.perform(Rapid.actionAddEntity(Rapid.osmNode({ id: 'n-1' })));
+      _editor.commit({ annotation: 'operations.add.annotation.point', selectedIDs: ['n-1'] });
+      _editor.perform(Rapid.actionMoveNode('n3', [1, 1]));
+      _editor.commit({ annotation: 'operations.move.annotation.point', selectedIDs: ['n3'] });
+
+      expect(_macros.recordedSteps).to.eql([]);
+      expect(_macros.skippedCount).to.equal(2);
+    });
+
+    it('forgets edits that were undone', () => {
+      _macros.startRecording();
+
+      _editor.perform(Rapid.actionChangeTags('n1', { building: 'house' }));
+      _editor.commit({ annotation: 'operations.change_tags.annotation', selectedIDs: ['n1'] });
+      _editor.perform(Rapid.actionChangeTags('n3', { amenity: 'bench' }));
+      _editor.commit({ annotation: 'operations.change_tags.annotation', selectedIDs: ['n3'] });
+      _editor.undo();
+
+      expect(_macros.recordedSteps).to.eql([{ type: 'tags', set: { building: 'house' }, remove: ['fixme'] }]);
+    });
+
+    it('records an edit that replaced the previous edit only once', () => {
+      _macros.startRecording();
+
+      _editor.perform(Rapid.actionChangeTags('n3', { building: 'yes' }));
+      _editor.commit({ annotation: 'operations.change_tags.annotation', selectedIDs: ['n3'] });
+      _editor.perform(Rapid.actionChangeTags('n3', { building: 'house' }));
+      _editor.commitAppend({ annotation: 'operations.change_tags.annotation', selectedIDs: ['n3'] });
+
+      expect(_macros.recordedSteps).to.eql([{ type: 'tags', set: { building: 'house' }, remove: [] }]);
+    });
+
+    it('emits recordingchange', () => {
+      const spy = sinon.spy();
+      _macros.on('recordingchange', spy);
+
+      _macros.startRecording();
+      _editor.perform(Rapid.actionChangeTags('n3', { building: 'yes' }));
+      _editor.commit({ annotation: 'operations.change_tags.annotation', selectedIDs: ['n3'] });
+      _macros.cancelRecording();
+
+      expect(spy.calledThrice).to.be.ok;
+      expect(_macros.recordedSteps).to.eql([]);
+    });
+  });
+
+
+  describe('saving and sharing', () => {
+    const steps = [
+      { type: 'operation', operation: 'orthogonalize' },
+      { type: 'tags', set: { building: 'house' }, remove: [] }
+    ];
+
+    it('saves macros in storage', () => {
+      const spy = sinon.spy();
+      _macros.on('macrochange', spy);
+
+      _macros.saveMacro(' Square house ', steps);
+      expect(_macros.macros).to.eql([{ name: 'Square house', steps: steps }]);
+      expect(JSON.parse(_stored.get('prefs.macros'))).to.eql([{ name: 'Square house', steps: steps }]);
+
+      _macros.removeMacro('Square house');
+      expect(_macros.macros).to.eql([]);
+      expect(_stored.has('prefs.macros')).to.be.false;
+      expect(spy.calledTwice).to.be.ok;
+    });
+
+    it('restores macros from storage', () => {
+      _stored.set('prefs.macros', JSON.stringify([{ name: 'Square house', steps: steps }, { name: 'Nope', steps: [] }]));
+      const macros = new Rapid.MacroSystem(_context);
+      return macros.initAsync()
+        .then(() => {
+          expect(macros.macros).to.eql([{ name: 'Square house', steps: steps }]);
+        });
+    });
+
+    it('does not save macros without a name or with unknown steps', () => {
+      expect(_macros.saveMacro('', steps)).to.be.null;
+      expect(_macros.saveMacro('Nope', [{ type: 'operation', operation: 'nope' }])).to.be.null;
+      expect(_macros.macros).to.eql([]);
+    });
+
+    it('exports and imports macros as JSON', () => {
+      _macros.saveMacro('Square house', steps);
+      const json = _macros.exportMacro('Square house');
+      expect(JSON.parse(json)).to.eql({ type: 'rapid-macro', version: 1, name: 'Square house', steps: steps });
+
+      _macros.removeMacro('Square house');
+      _macros.importMacro(json);
+      expect(_macros.getMacro('Square house')).to.eql({ name: 'Square house', steps: steps });
+    });
+
+    it('throws when importing something that is not a macro', () => {
+      expect(() => _macros.importMacro('nope')).to.throw();
+      expect(() => _macros.importMacro('{ "name": "Nope" }')).to.throw();
+      expect(() => _macros.importMacro('{ "type": "rapid-macro", "version": 1, "name": "Nope", "steps": [{ "type": "nope" }] }')).to.throw();
+    });
+  });
+
+
+  describe('#replayAsync', () => {
+    const macro = {
+      name: 'House',
+      steps: [{ type: 'tags', set: { building: 'house' }, remove: ['fixme'] }]
+    };
+
+    it('replays the steps on the features, then selects them', () => {
+      return _macros.replayAsync(macro, ['n1', 'n2'])
+        .then(result => {
+          const graph = _editor.stable.graph;
+          expect(result).to.eql({ applied: 1, failed: 0 });
+          expect(graph.entity('n1').tags).to.eql({ building: 'house' });
+          expect(graph.entity('n2').tags).to.eql({ building: 'house' });
+          expect(_editor.index).to.equal(1);
+          expect(_context.enter.calledOnceWith('select-osm', { selection: { osm: ['n1', 'n2'] }})).to.be.ok;
+        });
+    });
+
+    it('replays the steps on each feature in turn', () => {
+      return _macros.replayAsync(macro, ['n1', 'n2'], true)
+        .then(result => {
+          expect(result).to.eql({ applied: 2, failed: 0 });
+          expect(_editor.index).to.equal(2);
+        });
+    });
+
+    it('counts the steps that could not be applied', () => {
+      return _macros.replayAsync(macro, ['n1', 'n404'], true)
+        .then(result => {
+          expect(result).to.eql({ applied: 1, failed: 1 });
+        });
+    });
+
+    it('replays operations, after they commit', () => {
+      _editor.merge([ Rapid.osmNode({ id: 'n4', tags: { direction: 'forward' } }) ]);
+      const reverse = { name: 'Reverse', steps: [{ type: 'operation', operation: 'reverse' }] };
+
+      return _macros.replayAsync(reverse, ['n4'])
+        .then(result => {
+          expect(result).to.eql({ applied: 1, failed: 0 });
+          expect(_editor.stable.graph.entity('n4').tags).to.eql({ direction: 'backward' });
+        });
+    });
+
+    it('counts operations that do not commit as failed, instead of waiting forever', () => {
+      _editor.merge([ Rapid.osmNode({ id: 'n4', tags: { direction: 'forward' } }) ]);
+      const reverse = { name: 'Reverse', steps: [{ type: 'operation', operation: 'reverse' }] };
+      sinon.stub(_editor, 'commit');
+
+      return _macros.replayAsync(reverse, ['n4'])
+        .then(result => {
+          expect(result).to.eql({ applied: 0, failed: 1 });
+          expect(_editor.index).to.equal(0);
+        });
+    });
+
+    it('rejects while recording', () => {
+      _macros.startRecording();
+      return _macros.replayAsync(macro, ['n1'])
+        .then(
+          () => { throw new Error('should have rejected'); },
+          e => expect(e).to.be.an.instanceOf(Error)
+        );
+    });
+  });
+});
@@ -0,0 +1,338 @@
+describe('PluginSystem', () => {
+  let _plugins, _stored, _context, _prompt, _fetchStub;
+
+  class MockLocalizationSystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    t(id)         { return id; }
+  }
+
+  class MockStorageSystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    getItem(k)    { return _stored.get(k) ?? null; }
+    hasItem(k)    { return _stored.has(k); }
+    setItem(k, v) { _stored.set(k, v); }
+    removeItem(k) { _stored.delete(k); }
+  }
+
+  class MockValidationSystem {
+    constructor() { this.rules = new Map(); }
+    initAsync()   { return Promise.resolve(); }
+    startAsync()  { return Promise.resolve(); }
+    addRule(rule) { this.rules.set(rule.type, rule); }
+    removeRule(ruleID) { this.rules.delete(ruleID); }
+  }
+
+  class MockEditSystem {
+    constructor() {
+      this.staging = { graph: new Rapid.Graph() };
+      this.perform = sinon.spy();
+      this.commit = sinon.spy();
+    }
+  }
+
+  class MockPluginPrompt {
+    constructor() { this.answer = true; }
+    showAsync()   { return Promise.resolve(this.answer); }
+  }
+
+  class MockUiSystem {
+    constructor() { this.PluginPrompt = _prompt; }
+    initAsync()   { return Promise.resolve(); }
+    startAsync()  { return Promise.resolve(); }
+  }
+
+  class MockContext {
+    constructor()   {
+      this.systems = {
+        editor:     new MockEditSystem(),
+        l10n:       new MockLocalizationSystem(),
+        storage:    new MockStorageSystem(),
+        ui:         new MockUiSystem(),
+        validator:  new MockValidationSystem()
+      };
+      this.services = {};
+    }
+    selectedIDs() { return ['n1']; }
+  }
+
+  const manifestURL = 'https://example.com/plugins/test/plugin.json';
+
+  function respondWith(data) {
+    _fetchStub.resolves(new Response(JSON.stringify(data), { status: 200 }));
+  }
+
+
+  beforeEach(() => {
+    _stored = new Map();
+    _prompt = new MockPluginPrompt();
+    sinon.spy(_prompt, 'showAsync');
+    _fetchStub = sinon.stub(window, 'fetch');
+    _context = new MockContext();
+    _plugins = new Rapid.PluginSystem(_context);
+    return _plugins.initAsync();
+  });
+
+  afterEach(() => {
+    _fetchStub.restore();
+  });
+
+
+  describe('#loadPluginAsync', () => {
+    it('loads a manifest Object, and calls its activate function with the plugin API', () => {
+      const activate = sinon.spy();
+      return _plugins.loadPluginAsync({ id: 'test', name: 'Test', apiVersion: 1, activate: activate })
+        .then(manifest => {
+          expect(manifest.id).to.eql('test');
+          expect(activate.calledOnce).to.be.true;
+          const api = activate.firstCall.args[0];
+          expect(api.apiVersion).to.eql(1);
+          expect(api).to.not.have.property('context');   // plugins only get what their permissions allow
+          expect(api.lib.ValidationIssue).to.equal(Rapid.ValidationIssue);
+          expect(_plugins.plugins.map(d => d.id)).to.eql(['test']);
+          expect(_prompt.showAsync.called).to.be.false;   // not loaded from a URL
+        });
+    });
+
+    it('runs the lifecycle hooks in order', () => {
+      const calls = [];
+      const hooks = {
+        initAsync:  () => { calls.push('init'); return Promise.resolve(); },
+        startAsync: () => { calls.push('start'); return Promise.resolve(); },
+        resetAsync: () => { calls.push('reset'); return Promise.resolve(); },
+        destroy:    () => { calls.push('destroy'); }
+      };
+      return _plugins.loadPluginAsync({ id: 'test', name: 'Test', apiVersion: 1, activate: () => hooks })
+        .then(() => {
+          expect(calls).to.eql(['init', 'start']);
+          return _plugins.resetAsync();
+        })
+        .then(() => {
+          expect(calls).to.eql(['init', 'start', 'reset']);
+          _plugins.removePlugin('test');
+          expect(calls).to.eql(['init', 'start', 'reset', 'destroy']);
+          expect(_plugins.plugins).to.eql([]);
+        });
+    });
+
+    it('rejects invalid manifests', () => {
+      const bad = [
+        null,
+        { name: 'No id', apiVersion: 1 },
+        { id: 'has spaces', name: 'Bad id', apiVersion: 1 },
+        { id: 'test', apiVersion: 1 },
+        { id: 'test', name: 'No apiVersion' },
+        { id: 'test', name: 'Future', apiVersion: 99 },
+        { id: 'test', name: 'Bad permission', apiVersion: 1, permissions: ['everything'] },
+        { id: 'test', name: 'Datasets', apiVersion: 1, datasets: [{ url: 'data.geojson' }] }
+      ];
+      return Promise.allSettled(bad.map(d => _plugins.loadPluginAsync(d)))
+        .then(results => {
+          for (const result of results) {
+            expect(result.status).to.eql('rejected');
+          }
+          expect(_plugins.plugins).to.eql([]);
+        });
+    });
+
+    it('rejects a plugin that is already loaded', () => {
+      const manifest = { id: 'test', name: 'Test', apiVersion: 1, activate: () => {} };
+      return _plugins.loadPluginAsync(manifest)
+        .then(() => _plugins.loadPluginAsync(manifest))
+        .then(
+          () => expect.fail('should have rejected'),
+          e => expect(e.message).to.include('already loaded')
+        );
+    });
+
+    it('rejects a plugin that is loading already', () => {
+      respondWith({ id: 'test', name: 'Test', apiVersion: 1 });
+      const first = _plugins.loadPluginAsync(manifestURL);
+      respondWith({ id: 'test', name: 'Test', apiVersion: 1 });
+      const second = _plugins.loadPluginAsync(manifestURL);
+
+      return Promise.allSettled([first, second])
+        .then(([result1, result2]) => {
+          expect(result1.status).to.eql('fulfilled');
+          expect(result2.status).to.eql('rejected');
+          expect(result2.reason.message).to.include('already loading');
+          expect(_prompt.showAsync.calledOnce).to.be.true;
+          expect(_plugins.plugins.map(d => d.id)).to.eql(['test']);
+        });
+    });
+
+    it('unloads the plugin if activate throws', () => {
+      const unregister = sinon.spy();
+      const activate = (api) => {
+        api._addUnregister(unregister);
+        throw new Error('oops');
+      };
+      return _plugins.loadPluginAsync({ id: 'test', name: 'Test', apiVersion: 1, activate: activate })
+        .then(
+          () => expect.fail('should have rejected'),
+          e => {
+            expect(e.message).to.eql('oops');
+            expect(unregister.calledOnce).to.be.true;
+            expect(_plugins.plugins).to.eql([]);
+          }
+        );
+    });
+  });
+
+
+  describe('permission prompt', () => {
+    it('asks before loading a plugin from a URL, and remembers the answer', () => {
+      respondWith({ id: 'test', name: 'Test', apiVersion: 1, permissions: ['operations'] });
+      return _plugins.loadPluginAsync(manifestURL)
+        .then(() => {
+          expect(_prompt.showAsync.calledOnce).to.be.true;
+          const stored = JSON.parse(_stored.get('prefs.plugins'));
+          expect(stored).to.eql([{ id: 'test', url: manifestURL, permissions: ['operations'] }]);
+
+          _plugins.removePlugin('test', false);   // don't forget
+          respondWith({ id: 'test', name: 'Test', apiVersion: 1, permissions: ['operations'] });
+          return _plugins.loadPluginAsync(manifestURL);
+        })
+        .then(() => {
+          expect(_prompt.showAsync.calledOnce).to.be.true;   // not asked again
+        });
+    });
+
+    it('asks again if the plugin wants more permissions', () => {
+      _stored.set('prefs.plugins', JSON.stringify([{ id: 'test', url: manifestURL, permissions: ['operations'] }]));
+      respondWith({ id: 'test', name: 'Test', apiVersion: 1, permissions: ['operations', 'layers'] });
+
+      _plugins = new Rapid.PluginSystem(_context);   // so it reads the stored approval
+      return _plugins.initAsync()
+        .then(() => _plugins.loadPluginAsync(manifestURL))
+        .then(() => {
+          expect(_prompt.showAsync.calledOnce).to.be.true;
+        });
+    });
+
+    it('does not load a plugin that the user did not allow', () => {
+      _prompt.answer = false;
+      respondWith({ id: 'test', name: 'Test', apiVersion: 1 });
+
+      return _plugins.loadPluginAsync(manifestURL)
+        .then(
+          () => expect.fail('should have rejected'),
+          e => {
+            expect(e.message).to.include('not allowed');
+            expect(_plugins.plugins).to.eql([]);
+            expect(_stored.has('prefs.plugins')).to.be.false;
+          }
+        );
+    });
+
+    it('forgets the plugin when it is removed', () => {
+      respondWith({ id: 'test', name: 'Test', apiVersion: 1 });
+      return _plugins.loadPluginAsync(manifestURL)
+        .then(() => {
+          expect(_stored.has('prefs.plugins')).to.be.true;
+          _plugins.removePlugin('test');
+          expect(_stored.has('prefs.plugins')).to.be.false;
+        });
+    });
+  });
+
+
+  describe('PluginAPI', () => {
+    it('registers operations, and unregisters them when the plugin is removed', () => {
+      const operation = sinon.spy(() => ({}));
+      let pluginAPI;
+      const activate = (api) => { pluginAPI = api; api.registerOperation(operation); };
+
+      return _plugins.loadPluginAsync({ id: 'test', name: 'Test', apiVersion: 1, permissions: ['operations'], activate: activate })
+        .then(() => {
+          expect(_plugins.operations).to.have.lengthOf(1);
+          _plugins.operations[0](_context, ['n1']);
+          expect(operation.calledOnceWith(pluginAPI, ['n1'])).to.be.true;   // created with the plugin API, not the context
+
+          _plugins.removePlugin('test');
+          expect(_plugins.operations).to.eql([]);
+        });
+    });
+
+    it('registers validations, and unregisters them when the plugin is removed', () => {
+      const rule = () => [];
+      rule.type = 'test_rule';
+      const activate = (api) => { api.registerValidation(() => rule); };
+
+      return _plugins.loadPluginAsync({ id: 'test', name: 'Test', apiVersion: 1, permissions: ['validations'], activate: activate })
+        .then(() => {
+          const validator = _context.systems.validator;
+          expect(validator.rules.get('test_rule')).to.equal(rule);
+          _plugins.removePlugin('test');
+          expect(validator.rules.has('test_rule')).to.be.false;
+        });
+    });
+
+    it('gives plugins the graph, and lets operations edit it', () => {
+      const action = (graph) => graph;
+      let pluginAPI;
+      const activate = (api) => { pluginAPI = api; };
+
+      return _plugins.loadPluginAsync({ id: 'test', name: 'Test', apiVersion: 1, permissions: ['operations'], activate: activate })
+        .then(() => {
+          const editor = _context.systems.editor;
+          expect(pluginAPI.graph).to.equal(editor.staging.graph);
+          expect(pluginAPI.selectedIDs()).to.eql(['n1']);
+
+          pluginAPI.edit(action, 'Did something');
+          expect(editor.perform.calledOnceWith(action)).to.be.true;
+          expect(editor.commit.calledOnceWith({ annotation: 'Did something', selectedIDs: ['n1'] })).to.be.true;
+        });
+    });
+
+    it('does not let plugins edit without the operations permission', () => {
+      let pluginAPI;
+      const activate = (api) => { pluginAPI = api; };
+
+      return _plugins.loadPluginAsync({ id: 'test', name: 'Test', apiVersion: 1, permissions: [], activate: activate })
+        .then(() => {
+          expect(() => pluginAPI.edit(graph => graph, 'Did something')).to.throw(/'operations' permission/);
+          expect(_context.systems.editor.perform.called).to.be.false;
+        });
+    });
+
+    it('returns a function that unregisters one thing', () => {
+      const operation = () => ({});
+      let unregister;
+      const activate = (api) => { unregister = api.registerOperation(operation); };
+
+      return _plugins.loadPluginAsync({ id: 'test', name: 'Test', apiVersion: 1, permissions: ['operations'], activate: activate })
+        .then(() => {
+          unregister();
+          expect(_plugins.operations).to.eql([]);
+          expect(_plugins.plugins.map(d => d.id)).to.eql(['test']);
+        });
+    });
+
+    it('throws if the plugin did not ask for the permission', () => {
+      const activate = (api) => { api.registerOperation(() => ({})); };
+
+      return _plugins.loadPluginAsync({ id: 'test', name: 'Test', apiVersion: 1, permissions: [], activate: activate })
+        .then(
+          () => expect.fail('should have rejected'),
+          e => {
+            expect(e.message).to.include(`'operations' permission`);
+            expect(_plugins.operations).to.eql([]);
+            expect(_plugins.plugins).to.eql([]);
+          }
+        );
+    });
+
+    it('throws if a layer is not an AbstractLayer', () => {
+      const activate = (api) => { api.registerLayer(class NotALayer {}, 'test-layer'); };
+
+      return _plugins.loadPluginAsync({ id: 'test', name: 'Test', apiVersion: 1, permissions: ['layers'], activate: activate })
+        .then(
+          () => expect.fail('should have rejected'),
+          e => expect(e.message).to.include('AbstractLayer')
+        );
+    });
+  });
+
+});
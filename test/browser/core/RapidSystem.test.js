@@ -0,0 +1,406 @@
+describe('RapidSystem', () => {
+
+  describe('getSessionReport', () => {
+    let _rapid, _editor;
+
+    class MockEditSystem {
+      constructor() {
+        this.history = [];
+        this.index = 0;
+      }
+    }
+
+    class MockContext {
+      constructor() {
+        this.systems = {
+          editor: new MockEditSystem()
+        };
+      }
+    }
+
+    // Build an edit history, each edit is `[graph, annotation]`
+    function setHistory(edits, index = edits.length - 1) {
+      _editor.history = edits.map(([graph, annotation]) => ({ graph: graph, annotation: annotation }));
+      _editor.index = index;
+    }
+
+    function mockDataset(id, label, dataUsed = []) {
+      return { id: id, dataUsed: dataUsed, getLabel: () => label };
+    }
+
+
+    beforeEach(() => {
+      const context = new MockContext();
+      _editor = context.systems.editor;
+      _rapid = new Rapid.RapidSystem(context);
+      _rapid.catalog.set('fbRoads', mockDataset('fbRoads', 'Facebook Roads', ['facebook', 'fbRoads']));
+      _rapid.catalog.set('msBuildings', mockDataset('msBuildings', 'Microsoft Buildings', ['microsoft', 'msBuildings']));
+    });
+
+
+    it('returns an empty report when nothing was done', () => {
+      setHistory([[new Rapid.Graph(), undefined]]);
+      const report = _rapid.getSessionReport();
+      expect(report.datasets.size).to.equal(0);
+      expect(report.features).to.eql([]);
+    });
+
+
+    it('counts accepted, conflated, and ignored features per dataset', () => {
+      const n1 = Rapid.osmNode({ id: 'n-1', loc: [0, 0], tags: { building: 'yes' } });
+      const n2 = Rapid.osmNode({ id: 'n-2', loc: [1, 0], tags: { building: 'yes' } });
+      const n3 = Rapid.osmNode({ id: 'n3', loc: [2, 0], tags: { building: 'house' } });
+      const g0 = new Rapid.Graph([n3]);
+      const g1 = g0.replace(n1);
+      const g2 = g1.replace(n2);
+      const g3 = g2.replace(n3.update({ tags: { building: 'house', height: '5' } }));
+
+      setHistory([
+        [g0, undefined],
+        [g1, { type: 'rapid_accept_feature', entityID: 'n-1', datasetID: 'msBuildings' }],
+        [g2, { type: 'rapid_accept_features', entityIDs: ['n-2'], datasetIDs: { 'n-2': 'msBuildings' } }],
+        [g3, { type: 'rapid_conflate_feature', entityID: 'n-9', targetID: 'n3', datasetID: 'msBuildings' }],
+        [g3, { type: 'rapid_ignore_feature', entityID: 'w-5', datasetID: 'fbRoads' }]
+      ]);
+
+      const report = _rapid.getSessionReport();
+      const buildings = report.datasets.get('msBuildings');
+      expect(buildings).to.include({ id: 'msBuildings', label: 'Microsoft Buildings', accepted: 2, conflated: 1, ignored: 0 });
+      const roads = report.datasets.get('fbRoads');
+      expect(roads).to.include({ id: 'fbRoads', label: 'Facebook Roads', accepted: 0, conflated: 0, ignored: 1 });
+
+      expect(report.features.map(d => [d.entityID, d.osmID, d.action])).to.eql([
+        ['n-1', 'n-1', 'accepted'],
+        ['n-2', 'n-2', 'accepted'],
+        ['n-9', 'n3', 'conflated'],
+        ['w-5', null, 'ignored']
+      ]);
+    });
+
+
+    it('finds the changes made after accepting a feature', () => {
+      const n1 = Rapid.osmNode({ id: 'n-1', loc: [0, 0], tags: { building: 'yes', source: 'microsoft' } });
+      const n2 = Rapid.osmNode({ id: 'n-2', loc: [1, 0], tags: { building: 'yes' } });
+      const g0 = new Rapid.Graph();
+      const g1 = g0.replace(n1).replace(n2);
+      const g2 = g1
+        .replace(n1.update({ loc: [0, 1], tags: { building: 'house', levels: '2' } }))
+        .remove(n2);
+
+      setHistory([
+        [g0, undefined],
+        [g1, { type: 'rapid_accept_features', entityIDs: ['n-1', 'n-2'], datasetIDs: { 'n-1': 'msBuildings', 'n-2': 'msBuildings' } }],
+        [g2, { type: 'Changed tags.' }]
+      ]);
+
+      const report = _rapid.getSessionReport();
+      const [f1, f2] = report.features;
+      expect(f1).to.include({ modified: true, deleted: false, geometryChanged: true });
+      expect(f1.tagChanges).to.eql([
+        { key: 'building', before: 'yes', after: 'house' },
+        { key: 'levels', before: null, after: '2' },
+        { key: 'source', before: 'microsoft', after: null }
+      ]);
+      expect(f2).to.include({ modified: true, deleted: true });
+
+      const stats = report.datasets.get('msBuildings');
+      expect(stats).to.include({ accepted: 2, modified: 2, deleted: 1 });
+      expect(stats.tagEdits.get('building')).to.eql({ added: 0, changed: 1, removed: 0 });
+      expect(stats.tagEdits.get('levels')).to.eql({ added: 1, changed: 0, removed: 0 });
+      expect(stats.tagEdits.get('source')).to.eql({ added: 0, changed: 0, removed: 1 });
+    });
+
+
+    it('ignores edits in the redo part of the history', () => {
+      const n1 = Rapid.osmNode({ id: 'n-1', loc: [0, 0] });
+      const g0 = new Rapid.Graph();
+      const g1 = g0.replace(n1);
+
+      setHistory([
+        [g0, undefined],
+        [g1, { type: 'rapid_accept_feature', entityID: 'n-1', datasetID: 'msBuildings' }]
+      ], 0);
+
+      const report = _rapid.getSessionReport();
+      expect(report.features).to.eql([]);
+    });
+
+
+    it('finds the dataset from `dataUsed` when the annotation has no datasetID', () => {
+      const n1 = Rapid.osmNode({ id: 'n-1', loc: [0, 0] });
+      const n2 = Rapid.osmNode({ id: 'n-2', loc: [1, 0] });
+      const g0 = new Rapid.Graph();
+      const g1 = g0.replace(n1);
+      const g2 = g1.replace(n2);
+
+      setHistory([
+        [g0, undefined],
+        [g1, { type: 'rapid_accept_feature', entityID: 'n-1', dataUsed: ['facebook', 'fbRoads'] }],
+        [g2, { type: 'rapid_accept_feature', entityID: 'n-2', dataUsed: ['somewhere'] }]
+      ]);
+
+      const report = _rapid.getSessionReport();
+      expect(report.features.map(d => d.datasetID)).to.eql(['fbRoads', 'unknown']);
+      expect(report.datasets.get('unknown')).to.include({ label: 'unknown', accepted: 1 });
+    });
+
+
+    it('only counts the most recent action for a feature', () => {
+      const n1 = Rapid.osmNode({ id: 'n-1', loc: [0, 0] });
+      const g0 = new Rapid.Graph();
+      const g1 = g0.replace(n1);
+
+      setHistory([
+        [g0, undefined],
+        [g0, { type: 'rapid_ignore_feature', entityID: 'n-1', datasetID: 'msBuildings' }],
+        [g1, { type: 'rapid_accept_feature', entityID: 'n-1', datasetID: 'msBuildings' }]
+      ]);
+
+      const report = _rapid.getSessionReport();
+      expect(report.features.length).to.equal(1);
+      expect(report.datasets.get('msBuildings')).to.include({ accepted: 1, ignored: 0 });
+    });
+  });
+
+
+  describe('acceptFeatures', () => {
+    let _rapid, _editor, _service, _validator, _locations;
+
+    class MockSystem {
+      constructor() { }
+      initAsync()   { return Promise.resolve(); }
+      on()          { return this; }
+    }
+
+    class MockGfxSystem {
+      constructor() {
+        this.scene = { layers: new Map([['rapid', { enabled: true }]]) };
+      }
+      initAsync()   { return Promise.resolve(); }
+      pause()       { }
+      resume()      { }
+    }
+
+    class MockImagerySystem {
+      constructor() { }
+      initAsync()   { return Promise.resolve(); }
+      imageryUsed() { return ''; }
+    }
+
+    class MockPhotoSystem {
+      constructor() { }
+      initAsync()   { return Promise.resolve(); }
+      photosUsed()  { return ''; }
+    }
+
+    class MockStorageSystem {
+      constructor() { }
+      initAsync()   { return Promise.resolve(); }
+      getItem()     { return ''; }
+      hasItem()     { return false; }
+      setItem()     { }
+    }
+
+    class MockUrlHashSystem extends MockSystem {
+      getParam()    { return undefined; }
+    }
+
+    class MockLocalizationSystem {
+      constructor() { }
+      t(id, options) { return `${id} ${options?.n ?? ''}`.trim(); }
+    }
+
+    class MockLocationSystem {
+      constructor() { this.blocked = []; }   // Array of [lon,lat] locations where editing is blocked
+      blocksAt(loc) { return this.blocked.filter(b => b[0] === loc[0] && b[1] === loc[1]); }
+    }
+
+    class MockValidationSystem {
+      constructor() { }
+      validateEntity(entity) {
+        return entity.tags.problem ? [{ type: entity.tags.problem, severity: 'warning' }] : [];
+      }
+    }
+
+    class MockService {
+      constructor() {
+        this.started = true;
+        this._graph = new Rapid.Graph();
+        this._data = [];
+      }
+      setData(entities) {
+        this._data = entities;
+        this._graph = new Rapid.Graph(entities);
+      }
+      getData()     { return this._data; }
+      graph()       { return this._graph; }
+    }
+
+    class MockContext {
+      constructor() {
+        this.viewport = new Rapid.sdk.Viewport();
+        this.systems = {
+          assets:     new MockSystem(),
+          gfx:        new MockGfxSystem(),
+          imagery:    new MockImagerySystem(),
+          l10n:       new MockLocalizationSystem(),
+          locations:  new MockLocationSystem(),
+          map:        new MockSystem(),
+          photos:     new MockPhotoSystem(),
+          storage:    new MockStorageSystem(),
+          urlhash:    new MockUrlHashSystem(),
+          validator:  new MockValidationSystem()
+        };
+        this.services = {
+          mock: new MockService()
+        };
+        this.systems.editor = new Rapid.EditSystem(this);
+        this.systems.rapid = new Rapid.RapidSystem(this);
+      }
+      editable()    { return true; }
+      selectedIDs() { return []; }
+    }
+
+    // Rapid features are points from the 'mockBuildings' dataset
+    function rapidPoint(id, loc, tags = { building: 'yes' }) {
+      return Rapid.osmNode({ id: id, loc: loc, tags: tags, __fbid__: id, __service__: 'mock', __datasetid__: 'mockBuildings' });
+    }
+
+
+    beforeEach(() => {
+      const context = new MockContext();
+      _editor = context.systems.editor;
+      _rapid = context.systems.rapid;
+      _service = context.services.mock;
+      _validator = context.systems.validator;
+      _locations = context.systems.locations;
+
+      _rapid.catalog.set('mockBuildings', { id: 'mockBuildings', service: 'mock', added: true, enabled: true, dataUsed: ['mock'] });
+      _rapid._addedDatasetIDs.add('mockBuildings');
+      return _rapid.initAsync();
+    });
+
+
+    it('accepts the features within an extent', () => {
+      _service.setData([rapidPoint('n-1', [0.2, 0.2]), rapidPoint('n-2', [0.8, 0.8]), rapidPoint('n-3', [2, 2])]);
+
+      const result = _rapid.acceptFeatures(new Rapid.sdk.Extent([0, 0], [1, 1]));
+      expect(result.accepted).to.eql(['n-1', 'n-2']);
+      expect(result.skipped.size).to.eql(0);
+      expect(_editor.staging.graph.hasEntity('n-1')).to.be.ok;
+      expect(_editor.staging.graph.hasEntity('n-2')).to.be.ok;
+      expect(_editor.staging.graph.hasEntity('n-3')).to.be.undefined;
+    });
+
+
+    it('accepts only the features within a lasso polygon, not its extent', () => {
+      _service.setData([rapidPoint('n-1', [0.2, 0.2]), rapidPoint('n-2', [0.8, 0.8])]);
+
+      const lasso = [[0, 0], [1, 0], [0, 1], [0, 0]];
+      const result = _rapid.acceptFeatures(lasso);
+      expect(result.accepted).to.eql(['n-1']);
+      expect(_editor.staging.graph.hasEntity('n-2')).to.be.undefined;
+    });
+
+
+    it('skips features where editing is blocked', () => {
+      _service.setData([rapidPoint('n-1', [0.2, 0.2]), rapidPoint('n-2', [0.4, 0.4])]);
+      _locations.blocked = [[0.4, 0.4]];
+
+      const result = _rapid.acceptFeatures(new Rapid.sdk.Extent([0, 0], [1, 1]));
+      expect(result.accepted).to.eql(['n-1']);
+      expect(result.skipped.get('blocked')).to.eql(1);
+    });
+
+
+    it('skips features that match an existing OSM feature', () => {
+      _editor.merge([Rapid.osmNode({ id: 'n1', loc: [0.4, 0.4], tags: { building: 'house' } })]);
+      _service.setData([rapidPoint('n-1', [0.2, 0.2]), rapidPoint('n-2', [0.4, 0.4])]);
+
+      const result = _rapid.acceptFeatures(new Rapid.sdk.Extent([0, 0], [1, 1]));
+      expect(result.accepted).to.eql(['n-1']);
+      expect(result.skipped.get('conflation')).to.eql(1);
+    });
+
+
+    it('skips features that would cause validation warnings', () => {
+      _service.setData([
+        rapidPoint('n-1', [0.2, 0.2]),
+        rapidPoint('n-2', [0.4, 0.4], { building: 'yes', problem: 'mock_warning' })
+      ]);
+
+      const result = _rapid.acceptFeatures(new Rapid.sdk.Extent([0, 0], [1, 1]));
+      expect(result.accepted).to.eql(['n-1']);
+      expect(result.skipped.get('validation')).to.eql(1);
+      expect(result.issues.get('mock_warning')).to.eql(1);
+    });
+
+
+    it('skips features beyond the limit, counting only the valid features against it', () => {
+      sinon.stub(_rapid, 'remainingAccepts').returns(2);
+      _service.setData([
+        rapidPoint('n-1', [0.1, 0.1], { building: 'yes', problem: 'mock_warning' }),
+        rapidPoint('n-2', [0.2, 0.2]),
+        rapidPoint('n-3', [0.3, 0.3]),
+        rapidPoint('n-4', [0.4, 0.4])
+      ]);
+
+      const result = _rapid.acceptFeatures(new Rapid.sdk.Extent([0, 0], [1, 1]));
+      expect(result.accepted).to.eql(['n-2', 'n-3']);
+      expect(result.skipped.get('validation')).to.eql(1);
+      expect(result.skipped.get('limit')).to.eql(1);
+    });
+
+
+    it('revalidates the features left after the limit, without the ones left out', () => {
+      sinon.stub(_rapid, 'remainingAccepts').returns(1);
+      sinon.stub(_validator, 'validateEntity').callsFake((entity, graph) => {
+        // 'n-1' is only valid if 'n-2' is accepted with it
+        return (entity.id === 'n-1' && !graph.hasEntity('n-2')) ? [{ type: 'mock_warning', severity: 'warning' }] : [];
+      });
+      _service.setData([rapidPoint('n-1', [0.1, 0.1]), rapidPoint('n-2', [0.2, 0.2])]);
+
+      const result = _rapid.acceptFeatures(new Rapid.sdk.Extent([0, 0], [1, 1]));
+      expect(result.accepted).to.eql([]);
+      expect(result.skipped.get('limit')).to.eql(1);
+      expect(result.skipped.get('validation')).to.eql(1);
+    });
+
+
+    it('accepts the features as a single undoable edit', () => {
+      _service.setData([rapidPoint('n-1', [0.2, 0.2]), rapidPoint('n-2', [0.4, 0.4])]);
+      const prevIndex = _editor.index;
+
+      _rapid.acceptFeatures(new Rapid.sdk.Extent([0, 0], [1, 1]));
+      expect(_editor.index).to.eql(prevIndex + 1);
+      const annotation = _editor.history[_editor.index].annotation;
+      expect(annotation).to.include({ type: 'rapid_accept_features' });
+      expect(annotation.entityIDs).to.eql(['n-1', 'n-2']);
+      expect(annotation.datasetIDs).to.eql({ 'n-1': 'mockBuildings', 'n-2': 'mockBuildings' });
+      expect(annotation.dataUsed).to.eql(['mock']);
+
+      _editor.undo();
+      expect(_editor.index).to.eql(prevIndex);
+      expect(_editor.staging.graph.hasEntity('n-1')).to.be.undefined;
+      expect(_editor.staging.graph.hasEntity('n-2')).to.be.undefined;
+    });
+
+
+    it('updates acceptIDs and emits featuresaccepted', () => {
+      _service.setData([rapidPoint('n-1', [0.2, 0.2]), rapidPoint('n-2', [0.4, 0.4])]);
+      const onFeaturesAccepted = sinon.spy();
+      _rapid.on('featuresaccepted', onFeaturesAccepted);
+
+      const result = _rapid.acceptFeatures(new Rapid.sdk.Extent([0, 0], [1, 1]));
+      expect(onFeaturesAccepted.calledOnceWithExactly(result)).to.be.ok;
+      expect([..._rapid.acceptIDs]).to.eql(['n-1', 'n-2']);
+
+      // Accepted features are not accepted again
+      const again = _rapid.acceptFeatures(new Rapid.sdk.Extent([0, 0], [1, 1]));
+      expect(again.accepted).to.eql([]);
+
+      _editor.undo();
+      expect(_rapid.acceptIDs.size).to.eql(0);
+    });
+  });
+});
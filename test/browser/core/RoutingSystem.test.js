@@ -0,0 +1,172 @@
+describe('RoutingSystem', () => {
+  let _editor, _routing, _stored, _context;
+
+  class MockSystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    on()          { return this; }
+  }
+
+  class MockGfxSystem {
+    constructor() {
+      this.scene = { layers: new Map() };
+    }
+    initAsync()   { return Promise.resolve(); }
+    pause()       { }
+    resume()      { }
+  }
+
+  class MockImagerySystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    imageryUsed() { return ''; }
+  }
+
+  class MockPhotoSystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    photosUsed()  { return ''; }
+  }
+
+  class MockLocalizationSystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    t(id)         { return id; }
+  }
+
+  class MockStorageSystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    getItem(k)    { return _stored.get(k) ?? null; }
+    hasItem(k)    { return _stored.has(k); }
+    setItem(k, v) { _stored.set(k, v); }
+    removeItem(k) { _stored.delete(k); }
+    getSessionsAsync()   { return Promise.resolve([]); }
+    getSessionAsync()    { return Promise.resolve(); }
+    setSessionAsync()    { return Promise.resolve(true); }
+    removeSessionAsync() { return Promise.resolve(); }
+  }
+
+  class MockContext {
+    constructor()   {
+      this.viewport = new Rapid.sdk.Viewport();
+      this.systems = {
+        imagery:  new MockImagerySystem(),
+        gfx:      new MockGfxSystem(),
+        l10n:     new MockLocalizationSystem(),
+        map:      new MockSystem(),
+        photos:   new MockPhotoSystem(),
+        rapid:    new MockSystem(),
+        storage:  new MockStorageSystem()
+      };
+      this.services = {};
+    }
+    selectedIDs() { return []; }
+  }
+
+
+  //
+  //  a ---- b ---- c
+  //  |             |
+  //  d ----------- e
+  //
+  beforeEach(() => {
+    _stored = new Map();
+    _context = new MockContext();
+    _editor = new Rapid.EditSystem(_context);
+    _context.systems.editor = _editor;
+    _routing = new Rapid.RoutingSystem(_context);
+
+    return _editor.initAsync()
+      .then(() => _routing.initAsync())
+      .then(() => {
+        _editor.merge([
+          Rapid.osmNode({ id: 'a', loc: [0, 0] }),
+          Rapid.osmNode({ id: 'b', loc: [0.001, 0] }),
+          Rapid.osmNode({ id: 'c', loc: [0.002, 0] }),
+          Rapid.osmNode({ id: 'd', loc: [0, -0.001] }),
+          Rapid.osmNode({ id: 'e', loc: [0.002, -0.001] }),
+          Rapid.osmWay({ id: 'w1', nodes: ['a', 'b', 'c'], tags: { highway: 'residential' } }),
+          Rapid.osmWay({ id: 'w2', nodes: ['c', 'e'], tags: { highway: 'residential' } }),
+          Rapid.osmWay({ id: 'w3', nodes: ['a', 'd'], tags: { highway: 'footway' } }),
+          Rapid.osmWay({ id: 'w4', nodes: ['d', 'e'], tags: { highway: 'residential' } })
+        ]);
+      });
+  });
+
+  const nodesOf = (route) => [route.steps[0].fromNodeID, ...route.steps.map(s => s.nodeID)];
+
+
+  it('snaps the points to the nearest node of a road that the profile can use', () => {
+    _routing.setStart([0.0001, -0.0001]);
+    expect(_routing.start).to.eql({ loc: [0.0001, -0.0001], nodeID: 'a' });
+
+    _routing.setEnd([0.0001, -0.0009]);
+    expect(_routing.end.nodeID).to.equal('d');
+
+    _routing.setEnd([0.01, 0.01]);
+    expect(_routing.end.nodeID).to.be.null;
+    expect(_routing.route).to.be.null;
+  });
+
+  it('finds the route between the points, with instructions', () => {
+    const spy = sinon.spy();
+    _routing.on('routechange', spy);
+
+    _routing.setStart([0, 0]);
+    _routing.setEnd([0.002, -0.001]);
+
+    expect(spy.callCount).to.equal(2);
+    expect(nodesOf(_routing.route)).to.eql(['a', 'b', 'c', 'e']);
+    expect(_routing.instructions.map(i => i.type)).to.eql(['depart', 'turn', 'arrive']);
+  });
+
+  it('finds the route again for another profile, and remembers the profile', () => {
+    _routing.setStart([0, 0]);
+    _routing.setEnd([0, -0.001]);
+    expect(nodesOf(_routing.route)).to.eql(['a', 'b', 'c', 'e', 'd']);
+
+    _routing.setProfile('foot');
+    expect(_routing.profileID).to.equal('foot');
+    expect(_stored.get('routing-profile')).to.equal('foot');
+    expect(nodesOf(_routing.route)).to.eql(['a', 'd']);
+  });
+
+  it('finds the route again after edits', () => {
+    _routing.setStart([0, 0]);
+    _routing.setEnd([0.002, 0]);
+    expect(nodesOf(_routing.route)).to.eql(['a', 'b', 'c']);
+
+    _editor.perform(Rapid.actionChangeTags('w1', { highway: 'residential', oneway: '-1' }));
+    _editor.commit({ annotation: 'changed tags', selectedIDs: ['w1'] });
+    expect(nodesOf(_routing.route)).to.eql(['a', 'b', 'c']);   // not yet, the update is deferred
+    _routing.deferredUpdate.flush();
+    expect(_routing.route).to.be.null;
+
+    _editor.perform(Rapid.actionChangeTags('w3', { highway: 'residential' }));
+    _editor.commit({ annotation: 'changed tags', selectedIDs: ['w3'] });
+    _routing.deferredUpdate.flush();
+    expect(nodesOf(_routing.route)).to.eql(['a', 'd', 'e', 'c']);
+  });
+
+  it('does not look for a route after edits, if there are no points', () => {
+    const spy = sinon.spy();
+    _routing.on('routechange', spy);
+
+    _editor.perform(Rapid.actionChangeTags('w1', { highway: 'residential', oneway: 'yes' }));
+    _editor.commit({ annotation: 'changed tags', selectedIDs: ['w1'] });
+    _routing.deferredUpdate.flush();
+    expect(spy.notCalled).to.be.true;
+  });
+
+  it('clears the points and the route', () => {
+    _routing.setStart([0, 0]);
+    _routing.setEnd([0.002, 0]);
+    _routing.clear();
+    expect(_routing.start).to.be.null;
+    expect(_routing.end).to.be.null;
+    expect(_routing.route).to.be.null;
+    expect(_routing.instructions).to.eql([]);
+  });
+
+});
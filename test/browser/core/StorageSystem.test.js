@@ -0,0 +1,123 @@
+describe('StorageSystem', () => {
+
+  class MockContext {
+    constructor() {
+      this.systems = {};
+    }
+  }
+
+  const session1 = { id: 'test-s1', name: 'One', created: 1, modified: 10, edits: 1, json: '{}' };
+  const session2 = { id: 'test-s2', name: 'Two', created: 2, modified: 20, edits: 2, json: '{}' };
+
+
+  describe('edit sessions in indexedDB', () => {
+    let _storage;
+
+    beforeEach(() => {
+      _storage = new Rapid.StorageSystem(new MockContext());
+      return _storage.initAsync();
+    });
+
+    afterEach(() => {
+      return Promise.all([
+        _storage.removeSessionAsync(session1.id),
+        _storage.removeSessionAsync(session2.id)
+      ]);
+    });
+
+    it('persists the edit sessions', () => {
+      expect(_storage.persistsSessions).to.be.true;
+    });
+
+    it('stores and gets an edit session', () => {
+      return _storage.setSessionAsync(session1)
+        .then(status => {
+          expect(status).to.be.true;
+          return _storage.getSessionAsync(session1.id);
+        })
+        .then(session => {
+          expect(session).to.eql(session1);
+        });
+    });
+
+    it('gets all edit sessions, most recently modified first', () => {
+      return _storage.setSessionAsync(session1)
+        .then(() => _storage.setSessionAsync(session2))
+        .then(() => _storage.getSessionsAsync())
+        .then(sessions => {
+          const ours = sessions.filter(s => s.id.startsWith('test-'));
+          expect(ours.map(s => s.id)).to.eql(['test-s2', 'test-s1']);
+        });
+    });
+
+    it('replaces an edit session with the same id', () => {
+      return _storage.setSessionAsync(session1)
+        .then(() => _storage.setSessionAsync(Object.assign({}, session1, { name: 'Renamed' })))
+        .then(() => _storage.getSessionAsync(session1.id))
+        .then(session => {
+          expect(session.name).to.eql('Renamed');
+        });
+    });
+
+    it('removes an edit session', () => {
+      return _storage.setSessionAsync(session1)
+        .then(() => _storage.removeSessionAsync(session1.id))
+        .then(status => {
+          expect(status).to.be.true;
+          return _storage.getSessionAsync(session1.id);
+        })
+        .then(session => {
+          expect(session).to.be.undefined;
+        });
+    });
+  });
+
+
+  describe('edit sessions in memory', () => {
+    let _storage;
+
+    beforeEach(() => {
+      _storage = new Rapid.StorageSystem(new MockContext());
+      sinon.stub(_storage, '_openDatabaseAsync').rejects(new Error('indexedDB not supported'));
+      sinon.stub(console, 'warn');
+      return _storage.initAsync()
+        .finally(() => console.warn.restore());  // eslint-disable-line no-console
+    });
+
+    it('does not persist the edit sessions', () => {
+      expect(_storage.persistsSessions).to.be.false;
+    });
+
+    it('stores and gets an edit session', () => {
+      return _storage.setSessionAsync(session1)
+        .then(status => {
+          expect(status).to.be.true;
+          return _storage.getSessionAsync(session1.id);
+        })
+        .then(session => {
+          expect(session).to.eql(session1);
+        });
+    });
+
+    it('gets all edit sessions, most recently modified first', () => {
+      return _storage.setSessionAsync(session1)
+        .then(() => _storage.setSessionAsync(session2))
+        .then(() => _storage.getSessionsAsync())
+        .then(sessions => {
+          expect(sessions.map(s => s.id)).to.eql(['test-s2', 'test-s1']);
+        });
+    });
+
+    it('removes an edit session', () => {
+      return _storage.setSessionAsync(session1)
+        .then(() => _storage.removeSessionAsync(session1.id))
+        .then(status => {
+          expect(status).to.be.true;
+          return _storage.getSessionAsync(session1.id);
+        })
+        .then(session => {
+          expect(session).to.be.undefined;
+        });
+    });
+  });
+});
@@ -0,0 +1,131 @@
+describe('StyleSystem', () => {
+  let _styles, _stored;
+
+  class MockStorageSystem {
+    constructor() { }
+    initAsync()   { return Promise.resolve(); }
+    getItem(k)    { return _stored.get(k) ?? null; }
+    setItem(k, v) { _stored.set(k, v); }
+    removeItem(k) { _stored.delete(k); }
+  }
+
+  class MockContext {
+    constructor()   {
+      this.systems = {
+        assets:   {},
+        storage:  new MockStorageSystem()
+      };
+    }
+  }
+
+
+  beforeEach(() => {
+    _stored = new Map();
+    _styles = new Rapid.StyleSystem(new MockContext());
+    return _styles.initAsync()
+      .then(() => _styles.startAsync());
+  });
+
+
+  describe('stylesheets', () => {
+    const text = 'meta { title: "Roads"; } way[highway][!surface] { color: #ff0000; }';
+
+    it('applies the rules of the stylesheet in use on top of the built-in style', () => {
+      const builtin = _styles.styleMatch({ highway: 'residential' }, 'line');
+
+      _styles.addStylesheet('roads.mapcss', text);
+      expect(_styles.stylesheetID).to.equal('roads.mapcss');
+      expect(_styles.styleMatch({ highway: 'residential' }, 'line').stroke.color).to.equal(0xff0000);
+      expect(_styles.styleMatch({ highway: 'residential', surface: 'asphalt' }, 'line')).to.eql(builtin);
+
+      _styles.stylesheetID = null;
+      expect(_styles.styleMatch({ highway: 'residential' }, 'line')).to.eql(builtin);
+    });
+
+    it('emits `stylechange` when the stylesheet in use changes', () => {
+      const spy = sinon.spy();
+      _styles.on('stylechange', spy);
+
+      _styles.addStylesheet('roads.mapcss', text);
+      _styles.stylesheetID = null;
+      _styles.stylesheetID = 'nope';   // no such stylesheet
+      expect(spy.callCount).to.equal(2);
+    });
+
+    it('rejects stylesheets with unknown fill patterns', () => {
+      expect(() => _styles.addStylesheet('a', 'area { fill-pattern: bogus; }')).to.throw(/bogus/);
+      expect(_styles.stylesheets).to.eql([]);
+    });
+
+    it('remembers the stylesheets, and forgets removed ones', () => {
+      _styles.addStylesheet('roads.mapcss', text);
+
+      const restored = new Rapid.StyleSystem(new MockContext());
+      return restored.initAsync()
+        .then(() => restored.startAsync())
+        .then(() => {
+          expect(restored.stylesheets.map(s => s.title)).to.eql(['Roads']);
+          expect(restored.stylesheetID).to.equal('roads.mapcss');
+
+          restored.removeStylesheet('roads.mapcss');
+          expect(restored.stylesheetID).to.be.null;
+          expect(_stored.has('map-stylesheets')).to.be.false;
+        });
+    });
+  });
+
+
+  describe('thematic mode', () => {
+    it('does nothing without a thematic key', () => {
+      const style = _styles.styleMatch({ highway: 'residential' }, 'line');
+      expect(_styles.applyThematic(_styles.styleMatch({ highway: 'residential' }, 'line'), {})).to.eql(style);
+    });
+
+    it('colors features by the value of the thematic key', () => {
+      _styles.thematicKey = 'surface';
+      const palette = _styles.THEMATIC_COLORS.palette;
+      const color = (tags) => _styles.applyThematic(_styles.styleMatch(tags, 'line'), tags).stroke.color;
+
+      const asphalt = color({ highway: 'residential', surface: 'asphalt' });
+      const gravel = color({ highway: 'residential', surface: 'gravel' });
+      expect(palette).to.include(asphalt);
+      expect(palette).to.include(gravel);
+      expect(gravel).to.not.equal(asphalt);
+      expect(color({ highway: 'primary', surface: 'asphalt' })).to.equal(asphalt);
+      expect(color({ highway: 'residential' })).to.equal(_styles.THEMATIC_COLORS.missing);
+    });
+
+    it('assigns the same colors, no matter in which order the values are seen', () => {
+      const values = ['asphalt', 'gravel', 'paved', 'unpaved', 'concrete', 'grass'];
+      _styles.thematicKey = 'surface';
+      const colors = values.map(value => _styles.thematicColor(value));
+
+      const other = new Rapid.StyleSystem(new MockContext());
+      other.thematicKey = 'surface';
+      const reversed = values.slice().reverse().map(value => other.thematicColor(value)).reverse();
+      expect(reversed).to.eql(colors);
+      expect(new Set(colors).size).to.equal(values.length);
+    });
+
+    it('uses the `other` color once the palette runs out', () => {
+      _styles.thematicKey = 'name';
+      const palette = _styles.THEMATIC_COLORS.palette;
+      const colors = palette.map((color, i) => _styles.thematicColor(`name ${i}`));
+      expect(colors).to.have.members(palette);
+      expect(_styles.thematicColor('one more')).to.equal(_styles.THEMATIC_COLORS.other);
+    });
+
+    it('assigns colors again when the key changes, and remembers the key', () => {
+      _styles.thematicKey = 'name';
+      _styles.THEMATIC_COLORS.palette.forEach((color, i) => _styles.thematicColor(`name ${i}`));
+      _styles.thematicKey = 'lit';
+      expect(_styles.THEMATIC_COLORS.palette).to.include(_styles.thematicColor('yes'));
+      expect(_stored.get('map-thematic-key')).to.equal('lit');
+
+      _styles.thematicKey = '';
+      expect(_styles.thematicKey).to.be.null;
+      expect(_stored.has('map-thematic-key')).to.be.false;
+    });
+  });
+
+});
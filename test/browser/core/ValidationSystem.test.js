@@ -29,6 +29,7 @@ describe('ValidationSystem', () => {
     initAsync()   { return Promise.resolve(); }
     t(id)         { return id; }
     tHtml(id)     { return id; }
+    displayLabel(entity)  { return entity.id; }
   }
 
   class MockPhotoSystem {
@@ -43,6 +44,7 @@ describe('ValidationSystem', () => {
     getItem()     { return ''; }
     hasItem()     { return false; }
     setItem()     { }
+    removeItem()  { }
   }
 
   class MockUrlSystem {
@@ -121,4 +123,226 @@ describe('ValidationSystem', () => {
       });
   });
 
+
+  describe('#validateEntity', () => {
+    it('validates an entity in the given graph, without caching the issues', () => {
+      const n_2 = Rapid.osmNode({ id: 'n-2', loc: [0, 0], tags: { building: 'house', phone: '555-1212' } });
+      const graph = new Rapid.Graph([n_2]);
+
+      const issues = _validator.validateEntity(n_2, graph);
+      expect(issues).to.have.lengthOf(1);
+      expect(issues[0].type).to.eql('private_data');
+      expect(_validator.getEntityIssues('n-2')).to.have.lengthOf(0);
+    });
+
+    it('does not return issues from disabled rules', () => {
+      const n_2 = Rapid.osmNode({ id: 'n-2', loc: [0, 0], tags: { building: 'house', phone: '555-1212' } });
+      const graph = new Rapid.Graph([n_2]);
+
+      _validator._disabledRuleIDs.add('private_data');
+      const issues = _validator.validateEntity(n_2, graph);
+      _validator._disabledRuleIDs.delete('private_data');
+      expect(issues).to.have.lengthOf(0);
+    });
+  });
+
+
+  describe('#addRule', () => {
+    afterEach(() => {
+      _validator.removeRule('has_fixme');
+    });
+
+    it('adds a rule, and runs it on the entities validated already', () => {
+      const hasFixme = (entity) => {
+        if (!entity.tags.fixme) return [];
+        return [new Rapid.ValidationIssue(context, {
+          type: 'has_fixme',
+          severity: 'warning',
+          message: () => 'has fixme',
+          entityIds: [entity.id]
+        })];
+      };
+      hasFixme.type = 'has_fixme';
+      hasFixme.title = 'Has fixme';
+
+      const n_3 = Rapid.osmNode({ id: 'n-3', loc: [0, 0], tags: { fixme: 'yes' } });
+      const editor = context.systems.editor;
+      editor.perform(Rapid.actionAddEntity(n_3));
+      editor.commit({ annotation: 'added n-3', selectedIDs: ['n-3'] });
+
+      return _validator.validateAsync()
+        .then(() => {
+          _validator.addRule(hasFixme);
+          expect(_validator.getRuleKeys()).to.include('has_fixme');
+          expect(_validator.getRuleTitle('has_fixme')).to.eql('Has fixme');
+
+          const issues = _validator.getIssues({ what: 'all', where: 'all', includeIgnored: true })
+            .filter(issue => issue.type === 'has_fixme');
+          expect(issues).to.have.lengthOf(1);
+          expect(issues[0].entityIds).to.eql(['n-3']);
+
+          _validator.removeRule('has_fixme');
+          expect(_validator.getRuleKeys()).to.not.include('has_fixme');
+          const remaining = _validator.getIssues({ what: 'all', where: 'all', includeIgnored: true })
+            .filter(issue => issue.type === 'has_fixme');
+          expect(remaining).to.have.lengthOf(0);
+        });
+    });
+
+    it('throws if the rule has no type, or the type is already used', () => {
+      const noType = () => [];
+      expect(() => _validator.addRule(noType)).to.throw();
+
+      const duplicate = () => [];
+      duplicate.type = 'private_data';
+      expect(() => _validator.addRule(duplicate)).to.throw();
+    });
+
+    it('removes the rule again if it throws', () => {
+      const broken = () => { throw new Error('oops'); };
+      broken.type = 'has_fixme';
+
+      const n_4 = Rapid.osmNode({ id: 'n-4', loc: [0, 0] });
+      const editor = context.systems.editor;
+      editor.perform(Rapid.actionAddEntity(n_4));
+      editor.commit({ annotation: 'added n-4', selectedIDs: ['n-4'] });
+
+      return _validator.validateAsync()
+        .then(() => {
+          expect(() => _validator.addRule(broken)).to.throw('oops');
+          expect(_validator.getRuleKeys()).to.not.include('has_fixme');
+        });
+    });
+  });
+
+
+  describe('#setCustomRules', () => {
+    const yaml = `
+rules:
+  - id: bench_material
+    title: Benches without material
+    severity: warning
+    geometry: point
+    tags:
+      amenity: bench
+      material: null
+    fix:
+      tags: { material: wood }
+`;
+
+    afterEach(() => {
+      _validator.clearCustomRules();
+    });
+
+    it('adds rules from YAML, and runs them on the entities validated already', () => {
+      const n_4 = Rapid.osmNode({ id: 'n-4', loc: [0, 0], tags: { amenity: 'bench' } });
+      const editor = context.systems.editor;
+      editor.perform(Rapid.actionAddEntity(n_4));
+      editor.commit({ annotation: 'added n-4', selectedIDs: ['n-4'] });
+
+      return _validator.validateAsync()
+        .then(() => {
+          const ruleIDs = _validator.setCustomRules(yaml);
+          expect(ruleIDs).to.eql(['custom-bench_material']);
+          expect(_validator.getCustomRuleKeys()).to.eql(['custom-bench_material']);
+          expect(_validator.getRuleKeys()).to.include('custom-bench_material');
+          expect(_validator.getRuleTitle('custom-bench_material')).to.eql('Benches without material');
+
+          const issues = _validator.getIssues({ what: 'all', where: 'all' })
+            .filter(issue => issue.type === 'custom-bench_material');
+          expect(issues).to.have.lengthOf(1);
+          expect(issues[0].entityIds).to.eql(['n-4']);
+          expect(issues[0].autoArgs).to.be.an.instanceOf(Array);
+        });
+    });
+
+    it('accepts JSON, and replaces the previous custom rules', () => {
+      _validator.setCustomRules(yaml);
+      const json = JSON.stringify([{ id: 'no_name', tags: { shop: '*', name: null } }]);
+      _validator.setCustomRules(json);
+      expect(_validator.getCustomRuleKeys()).to.eql(['custom-no_name']);
+      expect(_validator.getRuleKeys()).to.not.include('custom-bench_material');
+    });
+
+    it('removes the custom rules with clearCustomRules', () => {
+      _validator.setCustomRules(yaml);
+      _validator.clearCustomRules();
+      expect(_validator.getCustomRuleKeys()).to.eql([]);
+      expect(_validator.getRuleKeys()).to.not.include('custom-bench_material');
+    });
+
+    it('throws if any rule is not valid, and keeps the previous custom rules', () => {
+      _validator.setCustomRules(yaml);
+      expect(() => _validator.setCustomRules('not: [rules')).to.throw();
+      expect(() => _validator.setCustomRules({ rules: 'nope' })).to.throw();
+      expect(() => _validator.setCustomRules([{ id: 'ok', tags: { shop: '*' } }, { id: 'bad' }])).to.throw();
+      expect(() => _validator.setCustomRules([{ id: 'dup', tags: { a: 'b' } }, { id: 'dup', tags: { c: 'd' } }])).to.throw();
+      expect(_validator.getCustomRuleKeys()).to.eql(['custom-bench_material']);
+    });
+  });
+
+
+  describe('#auditAsync', () => {
+    const extent = new Rapid.sdk.Extent([9, 9], [11, 11]);
+
+    before(() => {
+      const n1 = Rapid.osmNode({ id: 'n1', loc: [10, 10], version: '1', tags: { building: 'house', phone: '555-1212' } });
+      const n2 = Rapid.osmNode({ id: 'n2', loc: [50, 50], version: '1', tags: { building: 'house', phone: '555-1212' } });
+      context.systems.editor.merge([n1, n2]);
+      return _validator.whenIdleAsync();
+    });
+
+    it('validates the loaded entities in the extent, and reports progress', () => {
+      const progress = [];
+      const onProgress = (audit) => progress.push(audit.done);
+      _validator.on('auditprogress', onProgress);
+
+      return _validator.auditAsync(extent)
+        .then(audit => {
+          _validator.off('auditprogress', onProgress);
+          expect(audit).to.equal(_validator.getAuditStatus());
+          expect(audit.running).to.be.false;
+          expect(audit.cancelled).to.be.false;
+          expect(audit.total).to.eql(1);
+          expect(audit.done).to.eql(1);
+          expect(progress).to.include(0);
+          expect(progress).to.include(1);
+
+          const issues = _validator.getAuditIssues();
+          expect(issues).to.have.lengthOf(1);
+          expect(issues[0].type).to.eql('private_data');
+          expect(issues[0].entityIds).to.eql(['n1']);
+        });
+    });
+
+    it('can be cancelled, and keeps the issues found so far', () => {
+      const prom = _validator.auditAsync(extent);
+      _validator.cancelAudit();
+
+      return prom
+        .then(audit => {
+          expect(audit.running).to.be.false;
+          expect(audit.cancelled).to.be.true;
+          expect(audit.done).to.eql(0);
+          expect(_validator.getAuditIssues()).to.have.lengthOf(1);
+        });
+    });
+
+    it('exports the issues as GeoJSON', () => {
+      return _validator.auditAsync(extent)
+        .then(() => {
+          const geojson = _validator.getAuditGeoJSON();
+          expect(geojson.type).to.eql('FeatureCollection');
+          expect(geojson.features).to.have.lengthOf(1);
+
+          const feature = geojson.features[0];
+          expect(feature.geometry).to.eql({ type: 'Point', coordinates: [10, 10] });
+          expect(feature.properties.type).to.eql('private_data');
+          expect(feature.properties.severity).to.eql('warning');
+          expect(feature.properties.message).to.be.a('string');
+          expect(feature.properties.entityIds).to.eql(['n1']);
+        });
+    });
+  });
+
 });
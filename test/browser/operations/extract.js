@@ -18,6 +18,7 @@ describe('operationExtract', () => {
       this.viewport = new Rapid.sdk.Viewport();
       this.systems = {
         editor:   new MockEditSystem(),
+        keymap:   new Rapid.KeymapSystem(this),
         l10n:     new MockLocalizationSystem(),
         presets:  new Rapid.PresetSystem(this),
         storage:  new Rapid.StorageSystem(this)
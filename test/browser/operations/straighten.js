@@ -18,6 +18,7 @@ describe('operationStraighten', () => {
       this.viewport = new Rapid.sdk.Viewport();
       this.systems = {
         editor:  new MockEditSystem(),
+        keymap:  new Rapid.KeymapSystem(this),
         l10n:    new MockLocalizationSystem()
       };
     }
@@ -0,0 +1,149 @@
+describe('LocalFileService', () => {
+  let localfile;
+
+  class MockAssetSystem {
+    constructor()  { }
+    getFileURL(url) { return url; }
+  }
+
+  class MockLocalizationSystem {
+    constructor()  { }
+    t(id)          { return id; }
+  }
+
+  class MockViewport {
+    constructor()  { }
+    visibleExtent() { return new Rapid.sdk.Extent([-180, -90], [180, 90]); }
+  }
+
+  class MockContext {
+    constructor() {
+      this.systems = {
+        assets: new MockAssetSystem(this),
+        l10n:   new MockLocalizationSystem(this)
+      };
+      this.viewport = new MockViewport();
+    }
+  }
+
+  const geojson = {
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        id: 'a',
+        geometry: { type: 'Point', coordinates: [1, 2] },
+        properties: { NAME: 'Cafe', amenity: 'cafe', size: 3 }
+      }, {
+        type: 'Feature',
+        id: 'b',
+        geometry: { type: 'Polygon', coordinates: [[[0, 0], [0, 1], [1, 1], [1, 0], [0, 0]]] },
+        properties: { NAME: 'Shed', building: 'shed' }
+      }, {
+        type: 'Feature',
+        id: 'c',
+        geometry: { type: 'MultiLineString', coordinates: [[[0, 0], [1, 1]], [[2, 2], [3, 3]]] },
+        properties: { highway: 'footway' }
+      }
+    ]
+  };
+
+
+  beforeEach(() => {
+    localfile = new Rapid.LocalFileService(new MockContext());
+    return localfile.initAsync();
+  });
+
+
+  describe('#parseAsync', () => {
+    it('gathers the features and properties from GeoJSON text', () => {
+      return localfile.parseAsync(JSON.stringify(geojson), 'test.geojson')
+        .then(parsed => {
+          expect(parsed.name).to.eql('test.geojson');
+          expect(parsed.features).to.have.lengthOf(3);
+          expect([...parsed.properties.keys()]).to.eql(['NAME', 'amenity', 'size', 'building', 'highway']);
+          expect(parsed.properties.get('NAME')).to.eql(['Cafe', 'Shed']);
+          expect(parsed.properties.get('size')).to.eql(['3']);
+        });
+    });
+
+    it('rejects data without any features', () => {
+      return localfile.parseAsync('{"type":"FeatureCollection","features":[]}', 'empty.geojson')
+        .then(() => expect.fail('should have rejected'), err => expect(err).to.be.an.instanceof(Error));
+    });
+
+    it('rejects invalid JSON', () => {
+      return localfile.parseAsync('not json', 'bad.geojson')
+        .then(() => expect.fail('should have rejected'), err => expect(err).to.be.an.instanceof(Error));
+    });
+  });
+
+
+  describe('#defaultTagmap', () => {
+    it('keeps properties that look like OSM keys', () => {
+      return localfile.parseAsync(geojson, 'test.geojson')
+        .then(parsed => {
+          expect(localfile.defaultTagmap(parsed)).to.eql({
+            NAME: '', amenity: 'amenity', size: 'size', building: 'building', highway: 'highway'
+          });
+        });
+    });
+  });
+
+
+  describe('#createDataset', () => {
+    it('creates a Rapid dataset with OSM entities tagged using the tagmap', () => {
+      return localfile.parseAsync(geojson, 'test.geojson')
+        .then(parsed => {
+          const tagmap = { NAME: 'name', amenity: 'amenity', building: 'building', highway: 'highway' };
+          const dataset = localfile.createDataset(parsed, { label: 'My Data', tagmap: tagmap });
+
+          expect(dataset).to.be.an.instanceof(Rapid.RapidDataset);
+          expect(dataset.service).to.eql('localfile');
+          expect(dataset.getLabel()).to.eql('My Data');
+          expect(dataset.dataUsed).to.eql(['My Data']);
+          expect(localfile.getAvailableDatasets()).to.eql([dataset]);
+
+          const graph = localfile.graph(dataset.id);
+          const features = localfile.getData(dataset.id).filter(entity => entity.__fbid__);
+          expect(features).to.have.lengthOf(4);   // point, area, 2 lines
+
+          const point = features.find(entity => entity.__fbid__ === `${dataset.id}-a`);
+          expect(point.type).to.eql('node');
+          expect(point.loc).to.eql([1, 2]);
+          expect(point.tags).to.eql({ name: 'Cafe', amenity: 'cafe' });   // `size` is not in the tagmap
+          expect(point.__service__).to.eql('localfile');
+          expect(point.__datasetid__).to.eql(dataset.id);
+
+          const area = features.find(entity => entity.__fbid__ === `${dataset.id}-b`);
+          expect(area.type).to.eql('way');
+          expect(area.isClosed()).to.be.true;
+          expect(area.tags).to.eql({ name: 'Shed', building: 'shed' });
+
+          const line = features.find(entity => entity.__fbid__ === `${dataset.id}-c-1`);
+          expect(line.type).to.eql('way');
+          expect(line.geometry(graph)).to.eql('line');
+          expect(line.tags).to.eql({ highway: 'footway' });
+        });
+    });
+
+    it('applies the translation rules after the tagmap, and keeps the original tags', () => {
+      return localfile.parseAsync(geojson, 'test.geojson')
+        .then(parsed => {
+          const tagmap = { amenity: 'amenity', size: 'size' };
+          const translation = {
+            drop: ['size'],
+            values: { amenity: { cafe: 'restaurant' } },
+            derive: { name: '{NAME|upper}' }
+          };
+          const dataset = localfile.createDataset(parsed, { tagmap: tagmap, translation: translation });
+          expect(dataset.translation).to.eql(translation);
+
+          const point = localfile.getData(dataset.id).find(entity => entity.__fbid__ === `${dataset.id}-a`);
+          expect(point.tags).to.eql({ amenity: 'restaurant', name: 'CAFE' });
+          expect(point.__origtags__).to.eql({ amenity: 'cafe', size: '3' });
+        });
+    });
+  });
+
+});
@@ -622,6 +622,102 @@ describe('OsmService', () => {
   });
 
 
+  describe('#loadEntityHistory', () => {
+    const historyBody =
+`{
+  "version":"0.6",
+  "elements":[
+    {"type":"node","id":1,"visible":true,"version":2,"changeset":2,"timestamp":"2010-01-01T00:00:00Z","user":"peace2","uid":119748,"lat":1,"lon":1,"tags":{"amenity":"cafe"}},
+    {"type":"node","id":1,"visible":true,"version":1,"changeset":1,"timestamp":"2009-01-01T00:00:00Z","user":"peace2","uid":119748,"lat":0,"lon":0},
+    {"type":"node","id":1,"visible":false,"version":3,"changeset":3,"timestamp":"2011-01-01T00:00:00Z","user":"peace2","uid":119748}
+  ]
+}`;
+
+    it('loads all versions of an entity, sorted by version', done => {
+      fetchMock.route(/node\/1\/history\.json/, {
+        body: historyBody,
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+      _osm.loadEntityHistory('n1', (err, result) => {
+        expect(err).to.not.be.ok;
+        expect(result.data.map(e => e.version)).to.eql(['1', '2', '3']);
+        expect(result.data[1]).to.be.an.instanceof(Rapid.osmNode);
+        expect(result.data[1].tags).to.eql({ amenity: 'cafe' });
+        expect(result.data[2].visible).to.be.false;
+        done();
+      });
+    });
+  });
+
+
+  describe('#parseOsmChange', () => {
+    it('parses created, modified, and deleted entities', () => {
+      const osc =
+`<?xml version="1.0" encoding="UTF-8"?>
+<osmChange version="0.6" generator="Rapid">
+  <create>
+    <node id="-1" lon="1" lat="2" version="0"><tag k="amenity" v="bench"/></node>
+  </create>
+  <modify>
+    <way id="1" version="3"><nd ref="1"/><nd ref="-1"/><tag k="highway" v="path"/></way>
+  </modify>
+  <delete if-unused="true">
+    <relation id="2" version="5"><member type="way" ref="1" role="outer"/></relation>
+  </delete>
+</osmChange>`;
+
+      const xml = new DOMParser().parseFromString(osc, 'application/xml');
+      const result = _osm.parseOsmChange(xml);
+
+      expect(result.created).to.have.lengthOf(1);
+      expect(result.created[0].id).to.eql('n-1');
+      expect(result.created[0].loc).to.eql([1, 2]);
+      expect(result.created[0].tags).to.eql({ amenity: 'bench' });
+
+      expect(result.modified).to.have.lengthOf(1);
+      expect(result.modified[0].id).to.eql('w1');
+      expect(result.modified[0].version).to.eql('3');
+      expect(result.modified[0].nodes).to.eql(['n1', 'n-1']);
+
+      expect(result.deleted).to.have.lengthOf(1);
+      expect(result.deleted[0].id).to.eql('r2');
+      expect(result.deleted[0].members).to.eql([{ id: 'w1', type: 'way', role: 'outer' }]);
+    });
+
+    it('throws if the document is not an osmChange document', () => {
+      const xml = new DOMParser().parseFromString('<osm version="0.6"/>', 'application/xml');
+      expect(() => _osm.parseOsmChange(xml)).to.throw();
+    });
+  });
+
+
+  describe('#parseDiffResult', () => {
+    it('parses the new ids and versions of uploaded entities', () => {
+      const diff =
+`<?xml version="1.0" encoding="UTF-8"?>
+<diffResult version="0.6" generator="OpenStreetMap server">
+  <node old_id="-1" new_id="101" new_version="1"/>
+  <way old_id="1" new_id="1" new_version="4"/>
+  <relation old_id="2"/>
+</diffResult>`;
+
+      const xml = new DOMParser().parseFromString(diff, 'application/xml');
+      expect(_osm.parseDiffResult(xml)).to.eql([
+        { oldID: 'n-1', newID: 'n101', newVersion: '1' },
+        { oldID: 'w1', newID: 'w1', newVersion: '4' },
+        { oldID: 'r2', newID: null, newVersion: null }
+      ]);
+    });
+
+    it('throws if the document is not a diffResult document', () => {
+      const xml = new DOMParser().parseFromString('<osm version="0.6"/>', 'application/xml');
+      expect(() => _osm.parseDiffResult(xml)).to.throw();
+    });
+  });
+
+
   describe('#userDetails', () => {
     it('retrieves user details', done => {
       loginAsync()
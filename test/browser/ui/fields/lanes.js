@@ -0,0 +1,113 @@
+describe('uiFieldLanes', () => {
+  let selection, field, graph;
+
+  class MockLocalizationSystem {
+    constructor() { }
+    t(id)         { return id; }
+    tHtml(id)     { return id; }
+  }
+
+  class MockContext {
+    constructor() {
+      this.systems = {
+        editor: { staging: { get graph() { return graph; } } },
+        l10n:   new MockLocalizationSystem(this)
+      };
+    }
+    container()  { return selection; }
+  }
+
+
+  const context = new MockContext();
+
+  beforeEach(() => {
+    selection = d3.select(document.createElement('div'));
+    field = new Rapid.Field(context, 'lanes', { key: 'lanes', type: 'lanes' });
+  });
+
+  function render(tags) {
+    graph = new Rapid.Graph([Rapid.osmWay({ id: 'w1', tags: tags })]);
+    const lanes = Rapid.uiFieldLanes(context, field);
+    lanes.entityIDs(['w1']);
+    selection.call(lanes);
+    return lanes;
+  }
+
+
+  it('shows the lanes from left to right, with their turn markings', () => {
+    render({ highway: 'primary', lanes: '3', 'lanes:forward': '2', 'turn:lanes:forward': 'through|right', 'turn:lanes:backward': 'left' });
+
+    const lanes = selection.selectAll('.lane');
+    expect(lanes.nodes().map(node => node.className)).to.eql(['lane lane-backward', 'lane lane-forward', 'lane lane-forward']);
+    expect(selection.selectAll('.lane-turn').nodes().map(node => node.value)).to.eql(['left', 'through', 'right']);
+    expect(selection.selectAll('.lanes-add button').size()).to.equal(3);
+  });
+
+
+  it('sends tag changes when the turn markings of a lane change', () => {
+    const lanes = render({ highway: 'primary', oneway: 'yes', lanes: '2', 'turn:lanes': 'left|through' });
+    const spy = sinon.spy();
+    lanes.on('change', spy);
+
+    const select = selection.selectAll('.lane-turn').nodes()[1];
+    select.value = 'through;right';
+    select.dispatchEvent(new Event('change'));
+
+    expect(spy.calledOnce).to.be.true;
+    expect(spy.firstCall.args[0]).to.eql({ 'turn:lanes': 'left|through;right' });
+  });
+
+
+  it('removes the lane that the button is shown for, after the lanes have changed', () => {
+    const lanes = render({ highway: 'primary', lanes: '3', 'lanes:forward': '2', 'turn:lanes:forward': 'through|right', 'turn:lanes:backward': 'left' });
+
+    // The backward lane is removed, so the buttons of the first lane now belong to a forward lane
+    graph = new Rapid.Graph([Rapid.osmWay({ id: 'w1', tags: {
+      highway: 'primary', lanes: '2', 'lanes:forward': '2', 'lanes:backward': '0', 'turn:lanes:forward': 'through|right'
+    }})]);
+    lanes.tags(graph.entity('w1').tags);
+
+    const spy = sinon.spy();
+    lanes.on('change', spy);
+    selection.selectAll('.lane-remove').nodes()[0].click();
+
+    expect(spy.calledOnce).to.be.true;
+    expect(spy.firstCall.args[0]).to.include({ lanes: '1', 'lanes:forward': '1', 'turn:lanes:forward': 'right' });
+  });
+
+
+  it('adds a lane', () => {
+    const lanes = render({ highway: 'primary', oneway: 'yes', lanes: '1', 'turn:lanes': 'through' });
+    const spy = sinon.spy();
+    lanes.on('change', spy);
+
+    selection.selectAll('.lanes-add-forward').node().click();
+    expect(spy.firstCall.args[0]).to.eql({ lanes: '2', 'turn:lanes': '|through' });
+  });
+
+
+  it('shows the forward lanes on the left, where traffic drives on the left', () => {
+    const n1 = Rapid.osmNode({ id: 'n1', loc: [-0.1, 51.5] });   // London
+    const n2 = Rapid.osmNode({ id: 'n2', loc: [-0.1, 51.501] });
+    const way = Rapid.osmWay({ id: 'w1', nodes: ['n1', 'n2'], tags: {
+      highway: 'primary', lanes: '3', 'lanes:forward': '2', 'turn:lanes': 'left|through|right'
+    }});
+    graph = new Rapid.Graph([n1, n2, way]);
+    const lanes = Rapid.uiFieldLanes(context, field);
+    lanes.entityIDs(['w1']);
+    selection.call(lanes);
+
+    expect(selection.selectAll('.lane').nodes().map(node => node.className)).to.eql(['lane lane-forward', 'lane lane-forward', 'lane lane-backward']);
+    expect(selection.selectAll('.lane-turn').nodes().map(node => node.value)).to.eql(['left', 'through', 'right']);
+
+    // New lanes are added next to the center of the road
+    const spy = sinon.spy();
+    lanes.on('change', spy);
+    selection.selectAll('.lanes-add-forward').node().click();
+    expect(spy.firstCall.args[0]).to.eql({
+      lanes: '4', 'lanes:forward': '3', 'lanes:backward': '1',
+      'turn:lanes': undefined, 'turn:lanes:forward': 'left|through|', 'turn:lanes:backward': 'right'
+    });
+  });
+
+});
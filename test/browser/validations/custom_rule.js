@@ -0,0 +1,107 @@
+describe('validationCustomRule', () => {
+
+  class MockLocalizationSystem {
+    constructor() {}
+    displayLabel(entity)  { return entity.id; }
+    t(id)                 { return id; }
+  }
+
+  class MockContext {
+    constructor() {
+      this.systems = {
+        editor: {},
+        l10n:   new MockLocalizationSystem()
+      };
+    }
+  }
+
+  const context = new MockContext();
+
+  function validate(definition, entity, graph) {
+    const validator = Rapid.validationCustomRule(context, definition);
+    return validator(entity, graph ?? new Rapid.Graph([entity]));
+  }
+
+
+  it('has a `custom-` type, and the title and tip from the definition', () => {
+    const validator = Rapid.validationCustomRule(context, { id: 'test', title: 'Test', tip: 'A test', tags: { shop: '*' } });
+    expect(validator.type).to.eql('custom-test');
+    expect(validator.title).to.eql('Test');
+    expect(validator.tip).to.eql('A test');
+  });
+
+  it('throws if the definition is not valid', () => {
+    expect(() => Rapid.validationCustomRule(context, null)).to.throw();
+    expect(() => Rapid.validationCustomRule(context, { id: 'has spaces', tags: { shop: '*' } })).to.throw();
+    expect(() => Rapid.validationCustomRule(context, { id: 'test' })).to.throw();
+    expect(() => Rapid.validationCustomRule(context, { id: 'test', tags: {} })).to.throw();
+    expect(() => Rapid.validationCustomRule(context, { id: 'test', tags: { shop: '*' }, severity: 'fatal' })).to.throw();
+    expect(() => Rapid.validationCustomRule(context, { id: 'test', tags: { shop: '*' }, geometry: 'polygon' })).to.throw();
+    expect(() => Rapid.validationCustomRule(context, { id: 'test', tags: { shop: '*' }, fix: { title: 'No tags' } })).to.throw();
+  });
+
+  it('matches exact values, any of several values, any value, and missing tags', () => {
+    const definition = { id: 'test', tags: { amenity: 'bench', leisure: ['picnic_table', 'bench'], name: '*', material: null } };
+    const matches = Rapid.osmNode({ tags: { amenity: 'bench', leisure: 'bench', name: 'Bench' } });
+    expect(validate(definition, matches)).to.have.lengthOf(1);
+
+    const wrongValue = Rapid.osmNode({ tags: { amenity: 'bicycle_parking', leisure: 'bench', name: 'Bench' } });
+    expect(validate(definition, wrongValue)).to.have.lengthOf(0);
+
+    const notOneOf = Rapid.osmNode({ tags: { amenity: 'bench', leisure: 'park', name: 'Bench' } });
+    expect(validate(definition, notOneOf)).to.have.lengthOf(0);
+
+    const noName = Rapid.osmNode({ tags: { amenity: 'bench', leisure: 'bench' } });
+    expect(validate(definition, noName)).to.have.lengthOf(0);
+
+    const hasMaterial = Rapid.osmNode({ tags: { amenity: 'bench', leisure: 'bench', name: 'Bench', material: 'wood' } });
+    expect(validate(definition, hasMaterial)).to.have.lengthOf(0);
+  });
+
+  it('matches only the given geometry', () => {
+    const definition = { id: 'test', geometry: ['line'], tags: { highway: '*' } };
+    const n1 = Rapid.osmNode({ id: 'n1', loc: [0, 0] });
+    const n2 = Rapid.osmNode({ id: 'n2', loc: [1, 0] });
+    const w1 = Rapid.osmWay({ id: 'w1', nodes: ['n1', 'n2'], tags: { highway: 'residential' } });
+    const point = Rapid.osmNode({ id: 'n3', loc: [0, 1], tags: { highway: 'bus_stop' } });
+    const graph = new Rapid.Graph([n1, n2, w1, point]);
+
+    expect(validate(definition, w1, graph)).to.have.lengthOf(1);
+    expect(validate(definition, point, graph)).to.have.lengthOf(0);
+  });
+
+  it('uses the severity from the definition, or warning', () => {
+    const n = Rapid.osmNode({ tags: { shop: 'yes' } });
+    expect(validate({ id: 'test', tags: { shop: '*' } }, n)[0].severity).to.eql('warning');
+    expect(validate({ id: 'test', tags: { shop: '*' }, severity: 'error' }, n)[0].severity).to.eql('error');
+  });
+
+  it('fills in the message template with the feature and tag values', () => {
+    const n = Rapid.osmNode({ id: 'n1', tags: { shop: 'bakery' } });
+    const graph = new Rapid.Graph([n]);
+    context.systems.editor.staging = { graph: graph };
+
+    const issues = validate({ id: 'test', tags: { shop: '*' }, message: '{feature} is a {shop} shop{missing}' }, n, graph);
+    expect(issues[0].message()).to.eql('n1 is a bakery shop');
+  });
+
+  it('can autofix the issue with the tag changes in the definition', () => {
+    const definition = { id: 'test', tags: { shop: 'yes', fixme: '*' }, fix: { tags: { shop: 'convenience', fixme: null } } };
+    const n = Rapid.osmNode({ id: 'n1', tags: { shop: 'yes', fixme: 'check' } });
+    const graph = new Rapid.Graph([n]);
+
+    const issues = validate(definition, n, graph);
+    expect(issues[0].autoArgs).to.be.an.instanceOf(Array);
+
+    const action = issues[0].autoArgs[0];
+    const result = action(graph);
+    expect(result.entity('n1').tags).to.eql({ shop: 'convenience' });
+  });
+
+  it('is not autofixable without a fix', () => {
+    const n = Rapid.osmNode({ tags: { shop: 'yes' } });
+    const issues = validate({ id: 'test', tags: { shop: 'yes' } }, n);
+    expect(issues[0].autoArgs).to.be.null;
+  });
+
+});
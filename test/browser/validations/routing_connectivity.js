@@ -0,0 +1,166 @@
+describe('validationRoutingConnectivity', () => {
+
+  class MockLocalizationSystem {
+    constructor() {}
+    displayLabel(entity)  { return entity.id; }
+    t(id)                 { return id; }
+  }
+
+  // Everything east of longitude 10 counts as not loaded, which is where the wider road network is
+  class MockOsmService {
+    constructor() {}
+    isDataLoaded(loc)  { return loc[0] < 10; }
+  }
+
+  class MockContext {
+    constructor() {
+      this.services = {
+        osm:  new MockOsmService()
+      };
+      this.systems = {
+        l10n:  new MockLocalizationSystem()
+      };
+    }
+  }
+
+  const context = new MockContext();
+  const validator = Rapid.validationRoutingConnectivity(context);
+
+
+  function validate(graph) {
+    let issues = [];
+    for (const entity of graph.base.entities.values()) {
+      issues = issues.concat(validator(entity, graph));
+    }
+    return issues;
+  }
+
+  //
+  //   e ==w1== a --w2-- b --w3-- c
+  //   (e is in the wider road network)
+  //
+  function createRoads(w2tags = {}, w3tags = {}) {
+    return new Rapid.Graph([
+      Rapid.osmNode({ id: 'e', loc: [10, 0] }),
+      Rapid.osmNode({ id: 'a', loc: [0, 0] }),
+      Rapid.osmNode({ id: 'b', loc: [1, 0] }),
+      Rapid.osmNode({ id: 'c', loc: [2, 0] }),
+      Rapid.osmWay({ id: 'w1', nodes: ['e', 'a'], tags: { highway: 'residential' } }),
+      Rapid.osmWay({ id: 'w2', nodes: ['a', 'b'], tags: Object.assign({ highway: 'residential' }, w2tags) }),
+      Rapid.osmWay({ id: 'w3', nodes: ['b', 'c'], tags: Object.assign({ highway: 'residential' }, w3tags) })
+    ]);
+  }
+
+
+  it('has no issues with roads that vehicles can drive onto and off of', () => {
+    const issues = validate(createRoads());
+    expect(issues).to.have.lengthOf(0);
+  });
+
+  it('ignores features that are not roads', () => {
+    const issues = validate(createRoads({ highway: 'footway' }, { highway: 'footway' }));
+    expect(issues).to.have.lengthOf(0);
+  });
+
+  it('flags roads that vehicles can drive onto but not leave', () => {
+    const issues = validate(createRoads({ oneway: 'yes' }));
+    expect(issues).to.have.lengthOf(2);
+    for (const issue of issues) {
+      expect(issue.type).to.eql('routing_connectivity');
+      expect(issue.subtype).to.eql('no_exit');
+      expect(issue.severity).to.eql('warning');
+    }
+    expect(issues.map(issue => issue.entityIds[0]).sort()).to.eql(['w2', 'w3']);
+  });
+
+  it('flags roads that vehicles can leave but not drive onto', () => {
+    const issues = validate(createRoads({ oneway: '-1' }));
+    expect(issues).to.have.lengthOf(2);
+    expect(issues.map(issue => issue.subtype)).to.eql(['unreachable', 'unreachable']);
+    expect(issues.map(issue => issue.entityIds[0]).sort()).to.eql(['w2', 'w3']);
+  });
+
+  it('flags oneways that lead to roads that vehicles can not use', () => {
+    const issues = validate(createRoads({ oneway: 'yes' }, { access: 'no' }));
+    expect(issues).to.have.lengthOf(1);
+
+    const issue = issues[0];
+    expect(issue.subtype).to.eql('dead_end_oneway');
+    expect(issue.entityIds).to.eql(['w2', 'b']);
+    expect(issue.loc).to.eql([1, 0]);
+  });
+
+  it('leaves oneways that end at nothing to the impossible_oneway validation', () => {
+    const graph = createRoads({ oneway: 'yes' }).remove(Rapid.osmWay({ id: 'w3' }));
+    const issues = validate(graph);
+    expect(issues).to.have.lengthOf(0);
+  });
+
+  it('ignores roads that are disconnected from the network', () => {
+    const graph = createRoads().remove(Rapid.osmWay({ id: 'w1' }));
+    const issues = validate(graph);
+    expect(issues).to.have.lengthOf(0);
+  });
+
+
+  //
+  //              b
+  //              |
+  //   e ==w1==   a
+  //              |
+  //              c
+  //
+  it('flags turn restrictions that leave no way through a junction', () => {
+    const restriction = (id, val, toID) => Rapid.osmRelation({
+      id: id,
+      tags: { type: 'restriction', restriction: val },
+      members: [
+        { type: 'way', id: 'w1', role: 'from' },
+        { type: 'node', id: 'a', role: 'via' },
+        { type: 'way', id: toID, role: 'to' }
+      ]
+    });
+
+    const graph = new Rapid.Graph([
+      Rapid.osmNode({ id: 'e', loc: [10, 0] }),
+      Rapid.osmNode({ id: 'a', loc: [0, 0] }),
+      Rapid.osmNode({ id: 'b', loc: [0, 1] }),
+      Rapid.osmNode({ id: 'c', loc: [0, -1] }),
+      Rapid.osmWay({ id: 'w1', nodes: ['e', 'a'], tags: { highway: 'residential' } }),
+      Rapid.osmWay({ id: 'w2', nodes: ['a', 'b'], tags: { highway: 'residential' } }),
+      Rapid.osmWay({ id: 'w3', nodes: ['a', 'c'], tags: { highway: 'residential' } }),
+      restriction('r1', 'no_left_turn', 'w2'),
+      restriction('r2', 'no_right_turn', 'w3')
+    ]);
+
+    const issues = validate(graph).filter(issue => issue.subtype === 'impossible_junction');
+    expect(issues).to.have.lengthOf(2);
+    expect(issues.map(issue => issue.entityIds).sort()).to.eql([['r1', 'w1'], ['r2', 'w1']]);
+    expect(issues[0].loc).to.eql([0, 0]);
+  });
+
+  it('does not flag a junction that still has an allowed turn', () => {
+    const graph = new Rapid.Graph([
+      Rapid.osmNode({ id: 'e', loc: [10, 0] }),
+      Rapid.osmNode({ id: 'a', loc: [0, 0] }),
+      Rapid.osmNode({ id: 'b', loc: [0, 1] }),
+      Rapid.osmNode({ id: 'c', loc: [0, -1] }),
+      Rapid.osmWay({ id: 'w1', nodes: ['e', 'a'], tags: { highway: 'residential' } }),
+      Rapid.osmWay({ id: 'w2', nodes: ['a', 'b'], tags: { highway: 'residential' } }),
+      Rapid.osmWay({ id: 'w3', nodes: ['a', 'c'], tags: { highway: 'residential' } }),
+      Rapid.osmRelation({
+        id: 'r1',
+        tags: { type: 'restriction', restriction: 'no_left_turn' },
+        members: [
+          { type: 'way', id: 'w1', role: 'from' },
+          { type: 'node', id: 'a', role: 'via' },
+          { type: 'way', id: 'w2', role: 'to' }
+        ]
+      })
+    ]);
+
+    const issues = validate(graph);
+    expect(issues).to.have.lengthOf(0);
+  });
+
+});
@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import { strict as assert } from 'node:assert';
+import * as Rapid from '../../../modules/headless.js';
+
+
+describe('actionImportOsmChange', () => {
+  it('creates new entities with fresh ids', () => {
+    const n1 = Rapid.osmNode({ id: 'n-1', version: '0', loc: [0, 0] });
+    const n2 = Rapid.osmNode({ id: 'n-2', version: '0', loc: [1, 0] });
+    const w1 = Rapid.osmWay({ id: 'w-1', version: '0', nodes: ['n-1', 'n-2'], tags: { highway: 'path' } });
+    const base = new Rapid.Graph();
+
+    const action = Rapid.actionImportOsmChange({ created: [n1, n2, w1] });
+    const head = action(base);
+    assert.ok(head instanceof Rapid.Graph);
+
+    const idMap = action.idMap();
+    const way = head.entity(idMap['w-1']);
+    assert.deepEqual(way.nodes, [idMap['n-1'], idMap['n-2']]);
+    assert.deepEqual(way.tags, { highway: 'path' });
+    assert.equal(way.version, undefined);
+    assert.deepEqual(head.entity(idMap['n-2']).loc, [1, 0]);
+
+    const diff = new Rapid.Difference(base, head);
+    assert.equal(diff.created().length, 3);
+  });
+
+
+  it('modifies existing entities', () => {
+    const n1 = Rapid.osmNode({ id: 'n1', version: '3', loc: [0, 0] });
+    const base = new Rapid.Graph([n1]);
+    const n1mod = Rapid.osmNode({ id: 'n1', version: '3', loc: [2, 2], tags: { amenity: 'bench' } });
+
+    const head = Rapid.actionImportOsmChange({ modified: [n1mod] })(base);
+    const node = head.entity('n1');
+    assert.deepEqual(node.loc, [2, 2]);
+    assert.deepEqual(node.tags, { amenity: 'bench' });
+    assert.equal(node.version, '3');
+
+    const diff = new Rapid.Difference(base, head);
+    assert.equal(diff.modified().length, 1);
+  });
+
+
+  it('updates references from modified entities to created entities', () => {
+    const n1 = Rapid.osmNode({ id: 'n1', version: '1', loc: [0, 0] });
+    const n2 = Rapid.osmNode({ id: 'n2', version: '1', loc: [1, 0] });
+    const w1 = Rapid.osmWay({ id: 'w1', version: '1', nodes: ['n1', 'n2'] });
+    const r1 = Rapid.osmRelation({ id: 'r1', version: '1', members: [{ id: 'w1', type: 'way', role: '' }] });
+    const base = new Rapid.Graph([n1, n2, w1, r1]);
+
+    const n3 = Rapid.osmNode({ id: 'n-1', version: '0', loc: [2, 0] });
+    const w1mod = Rapid.osmWay({ id: 'w1', version: '1', nodes: ['n1', 'n2', 'n-1'] });
+    const r1mod = Rapid.osmRelation({ id: 'r1', version: '1', members: [
+      { id: 'w1', type: 'way', role: '' },
+      { id: 'n-1', type: 'node', role: 'label' }
+    ]});
+
+    const action = Rapid.actionImportOsmChange({ created: [n3], modified: [w1mod, r1mod] });
+    const head = action(base);
+    const newID = action.idMap()['n-1'];
+    assert.deepEqual(head.entity('w1').nodes, ['n1', 'n2', newID]);
+    assert.equal(head.entity('r1').members[1].id, newID);
+    assert.deepEqual(head.parentWays(head.entity(newID)), [head.entity('w1')]);
+  });
+
+
+  it('deletes existing entities', () => {
+    const n1 = Rapid.osmNode({ id: 'n1', version: '1' });
+    const n2 = Rapid.osmNode({ id: 'n2', version: '1' });
+    const base = new Rapid.Graph([n1, n2]);
+
+    const head = Rapid.actionImportOsmChange({ deleted: [n1] })(base);
+    assert.equal(head.hasEntity('n1'), undefined);
+    assert.equal(head.hasEntity('n2'), n2);
+
+    const diff = new Rapid.Difference(base, head);
+    assert.equal(diff.deleted().length, 1);
+  });
+
+
+  it('ignores deletions of entities that are not present', () => {
+    const base = new Rapid.Graph();
+    const head = Rapid.actionImportOsmChange({ deleted: [Rapid.osmNode({ id: 'n1' })] })(base);
+    assert.equal(head.hasEntity('n1'), undefined);
+  });
+
+
+  it('drops relation members that reference new entities not being created', () => {
+    const r1 = Rapid.osmRelation({ id: 'r-1', version: '0', members: [
+      { id: 'w1', type: 'way', role: 'outer' },
+      { id: 'w-5', type: 'way', role: 'inner' }
+    ]});
+
+    const action = Rapid.actionImportOsmChange({ created: [r1] });
+    const head = action(new Rapid.Graph());
+    const relation = head.entity(action.idMap()['r-1']);
+    assert.deepEqual(relation.members, [{ id: 'w1', type: 'way', role: 'outer' }]);
+  });
+
+
+  it('drops way nodes that reference new entities not being created', () => {
+    const n1 = Rapid.osmNode({ id: 'n1', version: '1', loc: [0, 0] });
+    const n2 = Rapid.osmNode({ id: 'n2', version: '1', loc: [1, 0] });
+    const w1 = Rapid.osmWay({ id: 'w1', version: '1', nodes: ['n1', 'n2'] });
+    const base = new Rapid.Graph([n1, n2, w1]);
+
+    const n3 = Rapid.osmNode({ id: 'n-1', version: '0', loc: [2, 0] });
+    const w1mod = Rapid.osmWay({ id: 'w1', version: '1', nodes: ['n1', 'n-5', 'n2', 'n-1'] });
+    const w2 = Rapid.osmWay({ id: 'w-1', version: '0', nodes: ['n-6', 'n2', 'n-1'] });
+
+    const action = Rapid.actionImportOsmChange({ created: [n3, w2], modified: [w1mod] });
+    const head = action(base);
+    const idMap = action.idMap();
+    assert.deepEqual(head.entity('w1').nodes, ['n1', 'n2', idMap['n-1']]);
+    assert.deepEqual(head.entity(idMap['w-1']).nodes, ['n2', idMap['n-1']]);
+    assert.ok(head.entity('w1').nodes.every(nodeID => head.hasEntity(nodeID)));
+  });
+
+
+  it('does not create ways left with fewer than 2 nodes, or members referencing them', () => {
+    const n1 = Rapid.osmNode({ id: 'n1', version: '1', loc: [0, 0] });
+    const base = new Rapid.Graph([n1]);
+
+    const w1 = Rapid.osmWay({ id: 'w-1', version: '0', nodes: ['n1', 'n-5'] });
+    const r1 = Rapid.osmRelation({ id: 'r-1', version: '0', members: [
+      { id: 'n1', type: 'node', role: '' },
+      { id: 'w-1', type: 'way', role: '' }
+    ]});
+
+    const action = Rapid.actionImportOsmChange({ created: [w1, r1] });
+    const head = action(base);
+    const idMap = action.idMap();
+    assert.equal(idMap['w-1'], undefined);
+    assert.equal(head.parentWays(n1).length, 0);
+    assert.deepEqual(head.entity(idMap['r-1']).members, [{ id: 'n1', type: 'node', role: '' }]);
+
+    const diff = new Rapid.Difference(base, head);
+    assert.equal(diff.created().length, 1);
+  });
+});
@@ -688,4 +688,189 @@ describe('actionMergeRemoteChanges', () => {
     });
   });
 
+
+  describe('three-way merging', () => {
+    describe('#details', () => {
+      it('returns the base, local, and remote versions of the conflicting parts', () => {
+        const localTags   = { foo: 'foo_local', area: 'yes' };
+        const remoteTags  = { foo: 'foo_remote', area: 'yes' };
+        const localNodes  = ['n10', 'n30', 'n31', 'n12', 'n13', 'n10'];   // changed n11 -> n30, n31
+        const remoteNodes = ['n10', 'n32', 'n33', 'n12', 'n13', 'n10'];   // changed n11 -> n32, n33
+        const local = base.entity('w10').update({ tags: localTags, nodes: localNodes });
+        const remote = base.entity('w10').update({ tags: remoteTags, nodes: remoteNodes, version: '2' });
+        const localGraph = makeGraph([local, n30, n31]);
+        const remoteGraph = makeGraph([remote, n32, n33]);
+        const opts = {
+          localGraph: localGraph,
+          remoteGraph: remoteGraph,
+          discardTags: discardTags
+        };
+        const action = Rapid.actionMergeRemoteChanges('w10', opts);
+        action(localGraph);
+
+        const details = action.details();
+        assert.deepEqual(details.tags, [{ key: 'foo', base: 'foo', local: 'foo_local', remote: 'foo_remote' }]);
+        assert.deepEqual(details.nodes, [{ index: 0, base: ['n11'], local: ['n30', 'n31'], remote: ['n32', 'n33'] }]);
+        assert.deepEqual(details.members, []);
+        assert.equal(details.location, null);
+      });
+    });
+
+    describe('ways', () => {
+      it('merges ways with the chosen tags and node list segments', () => {
+        const localTags   = { foo: 'foo_local', bar: 'bar_local', area: 'yes' };
+        const remoteTags  = { foo: 'foo_remote', bar: 'bar_remote', area: 'yes' };
+        const mergedTags  = { foo: 'foo_remote', bar: 'bar_local', area: 'yes' };
+        const localNodes  = ['n10', 'n30', 'n12', 'n31', 'n10'];   // changed n11 -> n30, n13 -> n31
+        const remoteNodes = ['n10', 'n32', 'n12', 'n33', 'n10'];   // changed n11 -> n32, n13 -> n33
+        const mergedNodes = ['n10', 'n32', 'n12', 'n31', 'n10'];
+        const local = base.entity('w10').update({ tags: localTags, nodes: localNodes });
+        const remote = base.entity('w10').update({ tags: remoteTags, nodes: remoteNodes, version: '2' });
+        const localGraph = makeGraph([local, n30, n31]);
+        const remoteGraph = makeGraph([remote, n32, n33]);
+        const opts = {
+          localGraph: localGraph,
+          remoteGraph: remoteGraph,
+          discardTags: discardTags,
+          strategy: 'custom',
+          choices: { tags: { foo: 'remote' }, nodes: { 0: 'remote', 1: 'local' } }
+        };
+        const action = Rapid.actionMergeRemoteChanges('w10', opts);
+        const result = action(localGraph);
+        assert.ok(result instanceof Rapid.Graph);
+        assert.deepEqual(action.conflicts(), []);
+        assert.equal(action.details().nodes.length, 2);
+
+        const w = result.entity('w10');
+        assert.equal(w.version, '2');
+        assert.deepEqual(w.tags, mergedTags);
+        assert.deepEqual(w.nodes, mergedNodes);
+        assert.equal(result.hasEntity('n32'), n32);  // remote node added to local
+      });
+
+      it('merges childNode locations with the chosen location', () => {
+        const localLoc = [12, 12];     // moved node
+        const remoteLoc = [13, 13];    // moved node
+        const local = base.entity('n10').update({ loc: localLoc });
+        const remote = base.entity('n10').update({ loc: remoteLoc, version: '2' });
+        const localGraph = makeGraph([local]);
+        const remoteGraph = makeGraph([remote]);
+        const opts = {
+          localGraph: localGraph,
+          remoteGraph: remoteGraph,
+          discardTags: discardTags,
+          strategy: 'custom',
+          choices: { location: 'remote' }
+        };
+        const action = Rapid.actionMergeRemoteChanges('w10', opts);
+        const result = action(localGraph);
+        assert.ok(result instanceof Rapid.Graph);
+        assert.deepEqual(action.details().children, [{ id: 'n10', base: [10, 10], local: localLoc, remote: remoteLoc }]);
+
+        const n = result.entity('n10');
+        assert.equal(n.version, '2');
+        assert.deepEqual(n.loc, remoteLoc);
+      });
+    });
+
+    describe('nodes', () => {
+      it('keeps the local changes if nothing was chosen', () => {
+        const localTags = { foo: 'foo_local' };
+        const remoteTags = { foo: 'foo_remote' };
+        const localLoc = [2, 2];
+        const remoteLoc = [3, 3];
+        const local = base.entity('n1').update({ tags: localTags, loc: localLoc });
+        const remote = base.entity('n1').update({ tags: remoteTags, loc: remoteLoc, version: '2' });
+        const localGraph = makeGraph([local]);
+        const remoteGraph = makeGraph([remote]);
+        const opts = {
+          localGraph: localGraph,
+          remoteGraph: remoteGraph,
+          discardTags: discardTags,
+          strategy: 'custom'
+        };
+        const action = Rapid.actionMergeRemoteChanges('n1', opts);
+        const result = action(localGraph);
+
+        const n = result.entity('n1');
+        assert.equal(n.version, '2');
+        assert.deepEqual(n.tags, localTags);
+        assert.deepEqual(n.loc, localLoc);
+        assert.deepEqual(action.details().location, { id: 'n1', base: [1, 1], local: localLoc, remote: remoteLoc });
+      });
+
+      it('takes the remote location if the location was only changed remotely', () => {
+        const localTags = { foo: 'foo_local' };
+        const remoteLoc = [3, 3];
+        const local = base.entity('n1').update({ tags: localTags });
+        const remote = base.entity('n1').update({ loc: remoteLoc, version: '2' });
+        const localGraph = makeGraph([local]);
+        const remoteGraph = makeGraph([remote]);
+        const opts = {
+          localGraph: localGraph,
+          remoteGraph: remoteGraph,
+          discardTags: discardTags,
+          strategy: 'custom'
+        };
+        const action = Rapid.actionMergeRemoteChanges('n1', opts);
+        const result = action(localGraph);
+
+        const n = result.entity('n1');
+        assert.deepEqual(n.tags, localTags);
+        assert.deepEqual(n.loc, remoteLoc);
+      });
+    });
+
+    describe('relations', () => {
+      it('merges member changes made on one side', () => {
+        const localMembers = [{ id: 'w10', role: 'outer' }, { id: 'w20', role: 'inner' }];   // same members
+        const remoteMembers = [{ id: 'w10', role: 'outer' }, { id: 'w40', role: 'inner' }];  // changed inner to w40
+        const local = base.entity('r').update({ tags: { foo: 'foo_local', type: 'multipolygon' }, members: localMembers });
+        const remote = base.entity('r').update({ members: remoteMembers, version: '2' });
+        const localGraph = makeGraph([local]);
+        const remoteGraph = makeGraph([remote, n40, n41, n42, n43, w40]);
+        const opts = {
+          localGraph: localGraph,
+          remoteGraph: remoteGraph,
+          discardTags: discardTags,
+          strategy: 'custom'
+        };
+        const action = Rapid.actionMergeRemoteChanges('r', opts);
+        const result = action(localGraph);
+
+        const r = result.entity('r');
+        assert.equal(r.version, '2');
+        assert.deepEqual(r.members, remoteMembers);
+        assert.deepEqual(action.details().members, []);
+      });
+
+      it('merges conflicting member segments with the chosen version', () => {
+        const localMembers = [{ id: 'w30', role: 'outer' }, { id: 'w20', role: 'inner' }];   // changed outer to w30
+        const remoteMembers = [{ id: 'w40', role: 'outer' }, { id: 'w20', role: 'inner' }];  // changed outer to w40
+        const local = base.entity('r').update({ members: localMembers });
+        const remote = base.entity('r').update({ members: remoteMembers, version: '2' });
+        const localGraph = makeGraph([local, n30, n31, n32, n33, w30]);
+        const remoteGraph = makeGraph([remote, n40, n41, n42, n43, w40]);
+        const opts = {
+          localGraph: localGraph,
+          remoteGraph: remoteGraph,
+          discardTags: discardTags,
+          strategy: 'custom',
+          choices: { members: { 0: 'remote' } }
+        };
+        const action = Rapid.actionMergeRemoteChanges('r', opts);
+        const result = action(localGraph);
+
+        const r = result.entity('r');
+        assert.deepEqual(r.members, remoteMembers);
+        assert.deepEqual(action.details().members, [{
+          index: 0,
+          base: [{ id: 'w10', role: 'outer' }],
+          local: [{ id: 'w30', role: 'outer' }],
+          remote: [{ id: 'w40', role: 'outer' }]
+        }]);
+      });
+    });
+  });
+
 });
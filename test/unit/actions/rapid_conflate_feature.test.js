@@ -0,0 +1,149 @@
+import { describe, it } from 'node:test';
+import { strict as assert } from 'node:assert';
+import * as Rapid from '../../../modules/headless.js';
+
+describe('actionRapidConflateFeature', () => {
+    it('merges the tags of a node, replacing conflicting values', () => {
+        const ext = Rapid.osmNode({ id: 'n-1', loc: [0.0001, 0.0001], tags: { amenity: 'cafe', name: 'Suggested', dupe: 'n1' } });
+        const node = Rapid.osmNode({ id: 'n1', loc: [0, 0], tags: { amenity: 'cafe', name: 'Existing', opening_hours: '24/7' } });
+        const action = Rapid.actionRapidConflateFeature(ext.id, new Rapid.Graph([ext]), node.id, { tags: true, geometry: false });
+        const graph = action(new Rapid.Graph([node]));
+
+        const result = graph.entity('n1');
+        assert.deepEqual(result.tags, { amenity: 'cafe', name: 'Suggested', opening_hours: '24/7' });
+        assert.deepEqual(result.loc, [0, 0]);
+        assert.equal(graph.hasEntity('n-1'), undefined);
+    });
+
+
+    it('merges the geometry of a node', () => {
+        const ext = Rapid.osmNode({ id: 'n-1', loc: [0.0001, 0.0001], tags: { amenity: 'cafe' } });
+        const node = Rapid.osmNode({ id: 'n1', loc: [0, 0], tags: { amenity: 'restaurant' } });
+        const action = Rapid.actionRapidConflateFeature(ext.id, new Rapid.Graph([ext]), node.id, { tags: false, geometry: true });
+        const graph = action(new Rapid.Graph([node]));
+
+        const result = graph.entity('n1');
+        assert.deepEqual(result.tags, { amenity: 'restaurant' });
+        assert.deepEqual(result.loc, [0.0001, 0.0001]);
+    });
+
+
+    it('reshapes a way, reusing its own nodes where possible', () => {
+        //  a ---- b        ea -- eb -- ec
+        const a = Rapid.osmNode({ id: 'a', loc: [0, 0] });
+        const b = Rapid.osmNode({ id: 'b', loc: [0.001, 0] });
+        const w = Rapid.osmWay({ id: 'w1', nodes: ['a', 'b'], tags: { highway: 'residential' } });
+
+        const ea = Rapid.osmNode({ id: 'ea', loc: [0, 0.00001] });
+        const eb = Rapid.osmNode({ id: 'eb', loc: [0.0005, 0.00001] });
+        const ec = Rapid.osmNode({ id: 'ec', loc: [0.001, 0.00001] });
+        const ew = Rapid.osmWay({ id: 'w-1', nodes: ['ea', 'eb', 'ec'], tags: { highway: 'residential', surface: 'asphalt' } });
+        const extGraph = new Rapid.Graph([ea, eb, ec, ew]);
+
+        const graph = Rapid.actionRapidConflateFeature(ew.id, extGraph, w.id)(new Rapid.Graph([a, b, w]));
+        const result = graph.entity('w1');
+
+        assert.equal(result.nodes.length, 3);
+        assert.equal(result.nodes[0], 'a');
+        assert.ok(result.nodes.includes('b'));
+        assert.deepEqual(graph.childNodes(result).map(n => n.loc), [ea.loc, eb.loc, ec.loc]);
+        assert.deepEqual(result.tags, { highway: 'residential', surface: 'asphalt' });
+        assert.equal(graph.hasEntity('ea'), undefined);
+    });
+
+
+    it('keeps a shared node connected only if a suggested vertex is close to it', () => {
+        //       c
+        //       |
+        //  a ---b---- d
+        const a = Rapid.osmNode({ id: 'a', loc: [0, 0] });
+        const b = Rapid.osmNode({ id: 'b', loc: [0.0005, 0] });
+        const c = Rapid.osmNode({ id: 'c', loc: [0.0005, 0.001] });
+        const d = Rapid.osmNode({ id: 'd', loc: [0.001, 0] });
+        const w1 = Rapid.osmWay({ id: 'w1', nodes: ['a', 'b', 'd'] });
+        const w2 = Rapid.osmWay({ id: 'w2', nodes: ['b', 'c'] });
+
+        const ea = Rapid.osmNode({ id: 'ea', loc: [0, 0.00001] });
+        const eb = Rapid.osmNode({ id: 'eb', loc: [0.0005, 0.00001] });
+        const ed = Rapid.osmNode({ id: 'ed', loc: [0.001, 0.00001] });
+        const ew = Rapid.osmWay({ id: 'w-1', nodes: ['ea', 'eb', 'ed'] });
+        const extGraph = new Rapid.Graph([ea, eb, ed, ew]);
+
+        const graph = Rapid.actionRapidConflateFeature(ew.id, extGraph, w1.id)(new Rapid.Graph([a, b, c, d, w1, w2]));
+        assert.deepEqual(graph.entity('w1').nodes, ['a', 'b', 'd']);
+        assert.deepEqual(graph.entity('b').loc, eb.loc);
+    });
+
+
+    it('leaves a shared node in place if no suggested vertex is close to it', () => {
+        const a = Rapid.osmNode({ id: 'a', loc: [0, 0] });
+        const b = Rapid.osmNode({ id: 'b', loc: [0.0005, 0] });
+        const c = Rapid.osmNode({ id: 'c', loc: [0.0005, 0.001] });
+        const d = Rapid.osmNode({ id: 'd', loc: [0.001, 0] });
+        const w1 = Rapid.osmWay({ id: 'w1', nodes: ['a', 'b', 'd'] });
+        const w2 = Rapid.osmWay({ id: 'w2', nodes: ['b', 'c'] });
+
+        const ea = Rapid.osmNode({ id: 'ea', loc: [0, 0.00001] });
+        const ed = Rapid.osmNode({ id: 'ed', loc: [0.001, 0.00001] });
+        const ew = Rapid.osmWay({ id: 'w-1', nodes: ['ea', 'ed'] });
+        const extGraph = new Rapid.Graph([ea, ed, ew]);
+
+        const graph = Rapid.actionRapidConflateFeature(ew.id, extGraph, w1.id)(new Rapid.Graph([a, b, c, d, w1, w2]));
+        assert.deepEqual(graph.entity('w1').nodes, ['a', 'd']);
+        assert.deepEqual(graph.entity('b').loc, [0.0005, 0]);
+        assert.deepEqual(graph.entity('w2').nodes, ['b', 'c']);
+    });
+
+
+    it('removes unused nodes and creates new ones as needed for a closed way', () => {
+        const a = Rapid.osmNode({ id: 'a', loc: [0, 0] });
+        const b = Rapid.osmNode({ id: 'b', loc: [0.0001, 0] });
+        const c = Rapid.osmNode({ id: 'c', loc: [0.0001, 0.0001] });
+        const d = Rapid.osmNode({ id: 'd', loc: [0, 0.0001] });
+        const e = Rapid.osmNode({ id: 'e', loc: [0, 0.00005] });
+        const w = Rapid.osmWay({ id: 'w1', nodes: ['a', 'b', 'c', 'd', 'e', 'a'], tags: { building: 'yes' } });
+
+        const ea = Rapid.osmNode({ id: 'ea', loc: [0, 0] });
+        const eb = Rapid.osmNode({ id: 'eb', loc: [0.0001, 0] });
+        const ec = Rapid.osmNode({ id: 'ec', loc: [0, 0.0001] });
+        const ew = Rapid.osmWay({ id: 'w-1', nodes: ['ea', 'eb', 'ec', 'ea'], tags: { building: 'house' } });
+        const extGraph = new Rapid.Graph([ea, eb, ec, ew]);
+
+        const graph = Rapid.actionRapidConflateFeature(ew.id, extGraph, w.id, { tags: false, geometry: true })(new Rapid.Graph([a, b, c, d, e, w]));
+        const result = graph.entity('w1');
+
+        assert.ok(result.isClosed());
+        assert.deepEqual(result.nodes, ['a', 'b', 'd', 'a']);
+        assert.equal(graph.hasEntity('c'), undefined);
+        assert.equal(graph.hasEntity('e'), undefined);
+        assert.deepEqual(result.tags, { building: 'yes' });
+    });
+
+
+    describe('#disabled', () => {
+        it('disables merging geometry between different entity types', () => {
+            const ext = Rapid.osmNode({ id: 'n-1', loc: [0, 0] });
+            const a = Rapid.osmNode({ id: 'a', loc: [0, 0] });
+            const b = Rapid.osmNode({ id: 'b', loc: [1, 0] });
+            const w = Rapid.osmWay({ id: 'w1', nodes: ['a', 'b'] });
+            const graph = new Rapid.Graph([a, b, w]);
+            const extGraph = new Rapid.Graph([ext]);
+
+            assert.equal(Rapid.actionRapidConflateFeature(ext.id, extGraph, w.id).disabled(graph), 'not_eligible');
+            assert.equal(Rapid.actionRapidConflateFeature(ext.id, extGraph, w.id, { tags: true, geometry: false }).disabled(graph), false);
+        });
+
+
+        it('disables merging geometry between a closed and an unclosed way', () => {
+            const a = Rapid.osmNode({ id: 'a', loc: [0, 0] });
+            const b = Rapid.osmNode({ id: 'b', loc: [1, 0] });
+            const c = Rapid.osmNode({ id: 'c', loc: [1, 1] });
+            const w = Rapid.osmWay({ id: 'w1', nodes: ['a', 'b', 'c', 'a'] });
+            const ew = Rapid.osmWay({ id: 'w-1', nodes: ['a', 'b', 'c'] });
+            const graph = new Rapid.Graph([a, b, c, w]);
+            const extGraph = new Rapid.Graph([a, b, c, ew]);
+
+            assert.equal(Rapid.actionRapidConflateFeature(ew.id, extGraph, w.id).disabled(graph), 'not_eligible');
+        });
+    });
+});
@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import { strict as assert } from 'node:assert';
+import * as Rapid from '../../../modules/headless.js';
+
+
+describe('actionRevertToVersion', () => {
+  it('restores the location and tags of a node', () => {
+    const node = Rapid.osmNode({ id: 'n1', loc: [1, 1], tags: { amenity: 'restaurant' }, version: '3' });
+    const version = Rapid.osmNode({ id: 'n1', loc: [0, 0], tags: { amenity: 'cafe' }, version: '1' });
+    const graph = Rapid.actionRevertToVersion('n1', version)(new Rapid.Graph([node]));
+
+    const result = graph.entity('n1');
+    assert.deepEqual(result.loc, [0, 0]);
+    assert.deepEqual(result.tags, { amenity: 'cafe' });
+    assert.equal(result.version, '3');   // still a modification of the latest version
+  });
+
+  it('restores the nodes and tags of a way, removing unused nodes', () => {
+    //  a --- b --- c   ->   a --- c
+    const a = Rapid.osmNode({ id: 'a', loc: [0, 0] });
+    const b = Rapid.osmNode({ id: 'b', loc: [1, 0] });
+    const c = Rapid.osmNode({ id: 'c', loc: [2, 0] });
+    const way = Rapid.osmWay({ id: 'w1', nodes: ['a', 'b', 'c'], tags: { highway: 'primary' } });
+    const version = Rapid.osmWay({ id: 'w1', nodes: ['a', 'c'], tags: { highway: 'secondary' } });
+    const graph = Rapid.actionRevertToVersion('w1', version)(new Rapid.Graph([a, b, c, way]));
+
+    const result = graph.entity('w1');
+    assert.deepEqual(result.nodes, ['a', 'c']);
+    assert.deepEqual(result.tags, { highway: 'secondary' });
+    assert.equal(graph.hasEntity('b'), undefined);
+  });
+
+  it('keeps unused nodes that are tagged or used elsewhere', () => {
+    const a = Rapid.osmNode({ id: 'a', loc: [0, 0] });
+    const b = Rapid.osmNode({ id: 'b', loc: [1, 0], tags: { highway: 'crossing' } });
+    const c = Rapid.osmNode({ id: 'c', loc: [2, 0] });
+    const d = Rapid.osmNode({ id: 'd', loc: [3, 0] });
+    const way = Rapid.osmWay({ id: 'w1', nodes: ['a', 'b', 'c', 'd'] });
+    const other = Rapid.osmWay({ id: 'w2', nodes: ['c', 'd'] });
+    const version = Rapid.osmWay({ id: 'w1', nodes: ['a', 'd'] });
+    const graph = Rapid.actionRevertToVersion('w1', version)(new Rapid.Graph([a, b, c, d, way, other]));
+
+    assert.deepEqual(graph.entity('w1').nodes, ['a', 'd']);
+    assert.ok(graph.hasEntity('b'));
+    assert.ok(graph.hasEntity('c'));
+  });
+
+  it('recreates nodes that no longer exist, if their location is known', () => {
+    const a = Rapid.osmNode({ id: 'a', loc: [0, 0] });
+    const c = Rapid.osmNode({ id: 'c', loc: [2, 0] });
+    const way = Rapid.osmWay({ id: 'w1', nodes: ['a', 'c'] });
+    const version = Rapid.osmWay({ id: 'w1', nodes: ['a', 'b', 'x', 'c'] });
+    const nodes = new Map([['b', Rapid.osmNode({ id: 'b', loc: [1, 1], tags: { barrier: 'gate' } })]]);
+    const graph = Rapid.actionRevertToVersion('w1', version, { nodes: nodes })(new Rapid.Graph([a, c, way]));
+
+    const result = graph.entity('w1');
+    assert.equal(result.nodes.length, 3);   // 'x' is unknown, so it is skipped
+    assert.equal(result.nodes[0], 'a');
+    assert.equal(result.nodes[2], 'c');
+
+    const recreated = graph.entity(result.nodes[1]);
+    assert.ok(recreated.isNew());
+    assert.deepEqual(recreated.loc, [1, 1]);
+    assert.deepEqual(recreated.tags, { barrier: 'gate' });
+  });
+
+  it('moves nodes that still exist back to their location, if it is known', () => {
+    const a = Rapid.osmNode({ id: 'a', loc: [0, 0] });
+    const b = Rapid.osmNode({ id: 'b', loc: [1, 5], tags: { barrier: 'gate' } });
+    const c = Rapid.osmNode({ id: 'c', loc: [2, 5] });
+    const way = Rapid.osmWay({ id: 'w1', nodes: ['a', 'b', 'c'] });
+    const version = Rapid.osmWay({ id: 'w1', nodes: ['a', 'b', 'c'] });
+    const nodes = new Map([['b', Rapid.osmNode({ id: 'b', loc: [1, 0], tags: {} })]]);
+    const graph = Rapid.actionRevertToVersion('w1', version, { nodes: nodes })(new Rapid.Graph([a, b, c, way]));
+
+    assert.deepEqual(graph.entity('w1').nodes, ['a', 'b', 'c']);
+    assert.deepEqual(graph.entity('b').loc, [1, 0]);
+    assert.deepEqual(graph.entity('b').tags, { barrier: 'gate' });   // only the location is restored
+    assert.deepEqual(graph.entity('c').loc, [2, 5]);                 // unknown, so it stays put
+  });
+
+    it('restores the members and tags of a relation', () => {
+    const relation = Rapid.osmRelation({ id: 'r1', members: [{ id: 'w1', type: 'way', role: 'outer' }], tags: { type: 'multipolygon' } });
+    const version = Rapid.osmRelation({ id: 'r1', members: [{ id: 'w2', type: 'way', role: 'outer' }], tags: { type: 'multipolygon', building: 'yes' } });
+    const graph = Rapid.actionRevertToVersion('r1', version)(new Rapid.Graph([relation]));
+
+    const result = graph.entity('r1');
+    assert.deepEqual(result.members, [{ id: 'w2', type: 'way', role: 'outer' }]);
+    assert.deepEqual(result.tags, { type: 'multipolygon', building: 'yes' });
+  });
+
+  describe('#disabled', () => {
+    it('is disabled for a deleted version', () => {
+      const node = Rapid.osmNode({ id: 'n1', loc: [1, 1] });
+      const version = Rapid.osmNode({ id: 'n1', visible: false, version: '2' });
+      assert.equal(Rapid.actionRevertToVersion('n1', version).disabled(new Rapid.Graph([node])), 'deleted');
+    });
+
+    it('is disabled if the entity is not downloaded', () => {
+      const version = Rapid.osmNode({ id: 'n1', loc: [0, 0] });
+      assert.equal(Rapid.actionRevertToVersion('n1', version).disabled(new Rapid.Graph()), 'not_downloaded');
+    });
+
+    it('is disabled for a way if too few of its earlier nodes are available', () => {
+      const a = Rapid.osmNode({ id: 'a', loc: [0, 0] });
+      const way = Rapid.osmWay({ id: 'w1', nodes: ['a', 'c'] });
+      const version = Rapid.osmWay({ id: 'w1', nodes: ['a', 'b'] });
+      assert.equal(Rapid.actionRevertToVersion('w1', version).disabled(new Rapid.Graph([a, way])), 'incomplete');
+    });
+
+    it('is enabled otherwise', () => {
+      const node = Rapid.osmNode({ id: 'n1', loc: [1, 1] });
+      const version = Rapid.osmNode({ id: 'n1', loc: [0, 0] });
+      assert.equal(Rapid.actionRevertToVersion('n1', version).disabled(new Rapid.Graph([node])), false);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import { strict as assert } from 'node:assert';
+import * as Rapid from '../../../modules/headless.js';
+
+
+function assertClose(actual, expected) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((val, i) => assert.ok(Math.abs(val - expected[i]) < 1e-9, `${actual} != ${expected}`));
+}
+
+
+describe('geoAffineApply', () => {
+  it('transforms a point', () => {
+    assert.deepEqual(Rapid.geoAffineApply([1, 0, 0, 1, 0, 0], [3, 4]), [3, 4]);
+    assert.deepEqual(Rapid.geoAffineApply([1, 0, 0, 1, 5, -2], [3, 4]), [8, 2]);
+    assert.deepEqual(Rapid.geoAffineApply([0, 1, -1, 0, 0, 0], [3, 4]), [-4, 3]);   // rotate 90°
+    assert.deepEqual(Rapid.geoAffineApply([2, 0, 1, 3, 0, 0], [3, 4]), [10, 12]);
+  });
+});
+
+
+describe('geoAffineInvert', () => {
+  it('returns the inverse transform', () => {
+    const m = [2, 0.5, -1, 3, 10, -20];
+    const inverse = Rapid.geoAffineInvert(m);
+    assertClose(Rapid.geoAffineApply(inverse, Rapid.geoAffineApply(m, [3, 4])), [3, 4]);
+  });
+
+  it('returns null if the transform can not be inverted', () => {
+    assert.equal(Rapid.geoAffineInvert([1, 2, 2, 4, 0, 0]), null);
+  });
+});
+
+
+describe('geoAffineFit', () => {
+  it('returns null without pairs', () => {
+    assert.equal(Rapid.geoAffineFit([]), null);
+  });
+
+  it('moves the points with 1 pair', () => {
+    assertClose(Rapid.geoAffineFit([[[1, 1], [4, -1]]]), [1, 0, 0, 1, 3, -2]);
+  });
+
+  it('rotates and scales the points with 2 pairs', () => {
+    const m = Rapid.geoAffineFit([[[0, 0], [10, 10]], [[1, 0], [10, 12]]]);   // rotate 90°, scale 2
+    assertClose(m, [0, 2, -2, 0, 10, 10]);
+  });
+
+  it('fits any affine transform with 3 or more pairs', () => {
+    const m = [1.1, 0.2, -0.3, 0.9, 5, -7];
+    const points = [[0, 0], [10, 0], [0, 10], [10, 10], [3, 7]];
+    assertClose(Rapid.geoAffineFit(points.map(p => [p, Rapid.geoAffineApply(m, p)])), m);
+  });
+
+  it('finds the least squares fit when the pairs do not agree', () => {
+    const m = Rapid.geoAffineFit([[[0, 0], [1, 0]], [[0, 0], [-1, 0]]]);
+    assertClose(m, [1, 0, 0, 1, 0, 0]);
+  });
+
+  it('only rotates and scales when the points are in a line', () => {
+    const pairs = [[[0, 0], [0, 0]], [[1, 0], [0, 1]], [[2, 0], [0, 2]]];
+    assertClose(Rapid.geoAffineFit(pairs), [0, 1, -1, 0, 0, 0]);
+  });
+});
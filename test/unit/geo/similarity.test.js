@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import { strict as assert } from 'node:assert';
+import * as Rapid from '../../../modules/headless.js';
+
+
+describe('geoPathDistance', () => {
+  it('returns Infinity for an empty path', () => {
+    assert.equal(Rapid.geoPathDistance([], [[0, 0]]), Infinity);
+    assert.equal(Rapid.geoPathDistance([[0, 0]], []), Infinity);
+  });
+
+  it('returns 0 for identical paths', () => {
+    const path = [[0, 0], [0.001, 0], [0.001, 0.001]];
+    assert.ok(Rapid.geoPathDistance(path, path) < 1e-9);
+  });
+
+  it('returns the distance between points', () => {
+    const dist = Rapid.geoPathDistance([[0, 0]], [[0, 0.0001]]);
+    assert.ok(Math.abs(dist - 11.1) < 0.1);
+  });
+
+  it('measures the distance between parallel paths', () => {
+    const a = [[0, 0], [0.001, 0]];
+    const b = [[0, 0.0001], [0.001, 0.0001]];
+    assert.ok(Math.abs(Rapid.geoPathDistance(a, b) - 11.1) < 0.1);
+  });
+
+  it('is symmetric, so partial overlaps are not close matches', () => {
+    const a = [[0, 0], [0.001, 0]];
+    const b = [[0, 0], [0.01, 0]];    // much longer than `a`
+    const ab = Rapid.geoPathDistance(a, b);
+    const ba = Rapid.geoPathDistance(b, a);
+    assert.equal(ab, ba);
+    assert.ok(ab > 100);
+  });
+});
+
+
+describe('geoPathSimilarity', () => {
+  it('returns 1 for identical paths', () => {
+    const path = [[0, 0], [0.001, 0], [0.001, 0.001]];
+    assert.ok(Rapid.geoPathSimilarity(path, path) > 1 - 1e-9);
+  });
+
+  it('returns 0 for distant paths', () => {
+    const a = [[0, 0], [0.001, 0]];
+    const b = [[0, 0.001], [0.001, 0.001]];
+    assert.equal(Rapid.geoPathSimilarity(a, b), 0);
+  });
+
+  it('scales with the tolerance', () => {
+    const a = [[0, 0], [0.001, 0]];
+    const b = [[0, 0.00005], [0.001, 0.00005]];   // ~5.6m apart
+    const score10 = Rapid.geoPathSimilarity(a, b);
+    const score20 = Rapid.geoPathSimilarity(a, b, 20);
+    assert.ok(score10 > 0.4 && score10 < 0.5);
+    assert.ok(score20 > 0.7 && score20 < 0.75);
+  });
+});
@@ -0,0 +1,134 @@
+import { after, before, describe, it } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import * as Rapid from '../../../modules/headless/index.js';
+
+
+describe('HeadlessContext', () => {
+  let _dir, _context;
+
+  // Just enough data files for the systems to start up
+  const files = {
+    'data/languages.min.json': { languages: { en: { nativeName: 'English' } } },
+    'data/locales.min.json': { locales: { en: { rtl: false } } },
+    'data/l10n/core.en.min.json': { en: { core: {} } },
+    'data/preset_overrides.min.json': {},
+    'data/modules/id-tagging-schema/deprecated.min.json': [],
+    'data/modules/id-tagging-schema/discarded.min.json': {},
+    'data/modules/id-tagging-schema/fields.min.json': {},
+    'data/modules/id-tagging-schema/preset_categories.min.json': {},
+    'data/modules/id-tagging-schema/preset_defaults.min.json': {},
+    'data/modules/id-tagging-schema/presets.min.json': {
+      point: { tags: {}, geometry: ['point', 'vertex'], name: 'Point' },
+      line: { tags: {}, geometry: ['line'], name: 'Line' },
+      area: { tags: { area: 'yes' }, geometry: ['area'], name: 'Area' },
+      'highway/residential': { tags: { highway: 'residential' }, geometry: ['line'], name: 'Residential Road' }
+    }
+  };
+
+  const osm = `<?xml version="1.0" encoding="UTF-8"?>
+<osm version="0.6" generator="test">
+  <node id="1" version="1" lat="0" lon="0"/>
+  <node id="2" version="1" lat="0" lon="0.001"/>
+  <node id="3" version="1" lat="0" lon="0.002" visible="false"/>
+  <way id="10" version="2">
+    <nd ref="1"/>
+    <nd ref="2"/>
+    <tag k="highway" v="residential"/>
+  </way>
+</osm>`;
+
+
+  before(() => {
+    return mkdtemp(join(tmpdir(), 'rapid-'))
+      .then(dir => {
+        _dir = dir;
+        return Promise.all(Object.entries(files).map(([file, data]) => {
+          const path = join(_dir, file);
+          return mkdir(join(path, '..'), { recursive: true })
+            .then(() => writeFile(path, JSON.stringify(data)));
+        }));
+      })
+      .then(() => writeFile(join(_dir, 'test.osm'), osm))
+      .then(() => {
+        _context = new Rapid.HeadlessContext();
+        _context.assetOrigin = 'local';
+        _context.assetPath = `${_dir}/`;
+        return _context.initAsync();
+      });
+  });
+
+  after(() => {
+    return rm(_dir, { recursive: true, force: true });
+  });
+
+
+  it('is headless, and has the systems for editing and validating', () => {
+    assert.equal(_context.headless, true);
+    assert.ok(_context.systems.assets instanceof Rapid.FileAssetSystem);
+    assert.ok(_context.systems.storage instanceof Rapid.MemoryStorageSystem);
+    for (const id of ['editor', 'l10n', 'locations', 'presets', 'validator']) {
+      assert.ok(_context.systems[id].started, `${id} should be started`);
+    }
+  });
+
+  it('loads presets from the asset path', () => {
+    const presets = _context.systems.presets;
+    assert.ok(presets.item('highway/residential'));
+  });
+
+  it('keeps preferences in memory', () => {
+    const storage = _context.systems.storage;
+    storage.setItem('test', 'value');
+    assert.equal(storage.getItem('test'), 'value');
+    storage.removeItem('test');
+    assert.equal(storage.hasItem('test'), false);
+  });
+
+  it('loads an .osm file into the base graph, skipping deleted entities', () => {
+    return _context.loadOsmFileAsync(join(_dir, 'test.osm'))
+      .then(entities => {
+        assert.deepEqual(entities.map(entity => entity.id), ['n1', 'n2', 'w10']);
+
+        const graph = _context.systems.editor.base.graph;
+        const way = graph.entity('w10');
+        assert.deepEqual(way.nodes, ['n1', 'n2']);
+        assert.deepEqual(way.tags, { highway: 'residential' });
+        assert.equal(way.version, '2');
+        assert.deepEqual(graph.entity('n2').loc, [0.001, 0]);
+        assert.equal(graph.hasEntity('n3'), undefined);
+      });
+  });
+
+  it('throws if the document is not OSM XML', () => {
+    assert.throws(() => _context.loadOsm('<gpx/>'), /No osm element/);
+  });
+
+  it('validates the loaded entities', () => {
+    return _context.validateAsync()
+      .then(issues => {
+        const issue = issues.find(issue => issue.type === 'disconnected_way');
+        assert.ok(issue);
+        assert.deepEqual(issue.entityIds, ['w10']);
+      });
+  });
+
+  it('writes the edits as an osmChange file', () => {
+    const editor = _context.systems.editor;
+    editor.perform(Rapid.actionChangeTags('w10', { highway: 'residential', name: 'Main Street' }));
+    editor.commit({ annotation: 'Changed tags.', selectedIDs: [] });
+
+    const path = join(_dir, 'test.osc');
+    return _context.writeOsmChangeFileAsync(path)
+      .then(() => readFile(path, 'utf8'))
+      .then(xml => {
+        assert.match(xml, /^<osmChange version="0.6" generator="Rapid">/);
+        assert.match(xml, /<modify><way id="10" version="2">/);
+        assert.match(xml, /<tag k="name" v="Main Street"\/>/);
+        assert.doesNotMatch(xml, /changeset=/);
+      });
+  });
+
+});
@@ -299,6 +299,87 @@ describe('ImagerySource', () => {
     });
   });
 
+
+  describe('alignedLoc / unalignedLoc', () => {
+    it('returns the location unchanged without an alignment', () => {
+      const source = new Rapid.ImagerySource(context, { id: 'anyid' });
+      const loc = source.alignedLoc([10, 50]);
+      assert.ok(closeTo(loc[0], 10, 1e-9) && closeTo(loc[1], 50, 1e-9));
+    });
+
+    it('applies the offset', () => {
+      const source = new Rapid.ImagerySource(context, { id: 'anyid' });
+      source.offset = Rapid.sdk.geoMetersToOffset([100, 0]);   // 100m east, at the equator
+      const loc = source.alignedLoc([0, 0]);
+      assert.ok(closeTo(loc[0], 0.000898, 1e-6));
+      assert.ok(closeTo(loc[1], 0, 1e-9));
+    });
+
+    it('applies the transform around its anchor', () => {
+      const source = new Rapid.ImagerySource(context, { id: 'anyid' });
+      source.transform = { anchor: [10, 50], matrix: [0, 1, -1, 0] };   // rotate 90° counterclockwise
+      const anchor = source.alignedLoc([10, 50]);
+      assert.ok(closeTo(anchor[0], 10, 1e-9) && closeTo(anchor[1], 50, 1e-9));
+
+      const east = [10 + Rapid.sdk.geoMetersToLon(100, 50), 50];
+      const north = source.alignedLoc(east);
+      assert.ok(closeTo(north[0], 10, 1e-9));
+      assert.ok(closeTo(north[1], 50 + Rapid.sdk.geoMetersToLat(100), 1e-9));
+    });
+
+    it('unalignedLoc is the inverse of alignedLoc', () => {
+      const source = new Rapid.ImagerySource(context, { id: 'anyid' });
+      source.offset = [0.00001, -0.00002];
+      source.transform = { anchor: [10, 50], matrix: [1.01, 0.02, -0.03, 0.98] };
+      const loc = source.unalignedLoc(source.alignedLoc([10.003, 49.998]));
+      assert.ok(closeTo(loc[0], 10.003, 1e-9) && closeTo(loc[1], 49.998, 1e-9));
+    });
+  });
+
+  describe('fitAlignment', () => {
+    // Where the points in the imagery really are: rotated 2° around [10, 50], then moved 5m east and 3m south
+    const angle = 2 * Math.PI / 180;
+    const truth = (loc) => {
+      const x = Rapid.sdk.geoLonToMeters(loc[0] - 10, 50);
+      const y = Rapid.sdk.geoLatToMeters(loc[1] - 50);
+      const east = Math.cos(angle) * x - Math.sin(angle) * y + 5;
+      const north = Math.sin(angle) * x + Math.cos(angle) * y - 3;
+      return [10 + Rapid.sdk.geoMetersToLon(east, 50), 50 + Rapid.sdk.geoMetersToLat(north)];
+    };
+    const locs = [[10.001, 50.001], [9.999, 50.0005], [10.002, 49.998], [9.998, 49.999]];
+
+    it('only sets the offset with 1 control point', () => {
+      const source = new Rapid.ImagerySource(context, { id: 'anyid' });
+      source.alignmentPoints = [{ imagery: locs[0], reference: truth(locs[0]) }];
+      source.fitAlignment();
+      assert.equal(source.transform, null);
+      assert.ok(source.alignmentErrors()[0] < 0.01);
+    });
+
+    it('aligns the imagery with the control points', () => {
+      const source = new Rapid.ImagerySource(context, { id: 'anyid' });
+      source.alignmentPoints = locs.map(loc => ({ imagery: loc, reference: truth(loc) }));
+      source.fitAlignment();
+
+      const [a, b] = source.transform.matrix;
+      assert.ok(closeTo(Math.atan2(b, a), angle, 1e-4));
+      source.alignmentErrors().forEach(error => assert.ok(error < 0.01));
+
+      const other = [10.0005, 50.0015];
+      const error = Rapid.sdk.geoSphericalDistance(source.alignedLoc(other), truth(other));
+      assert.ok(error < 0.01);
+    });
+
+    it('removes the alignment without control points', () => {
+      const source = new Rapid.ImagerySource(context, { id: 'anyid' });
+      source.offset = [1, 1];
+      source.transform = { anchor: [10, 50], matrix: [0, 1, -1, 0] };
+      source.fitAlignment();
+      assert.deepStrictEqual(source.offset, [0, 0]);
+      assert.equal(source.transform, null);
+    });
+  });
+
   describe('getMetadata', () => {
     it('updates the vintage property of the metadata', () => {
       const source = new Rapid.ImagerySource(context, {
@@ -359,6 +440,61 @@ describe('ImagerySource', () => {
 });
 
 
+describe('ImagerySourceEsriWayback', () => {
+  const context = new MockContext();
+
+  function makeWayback() {
+    const source = new Rapid.ImagerySourceEsriWayback(context, { id: 'EsriWayback', name: 'Esri Wayback', template: '' });
+    for (const date of ['2020-01-08', '2022-05-18', '2024-01-01']) {
+      source._waybackData.set(date, { template: `https://example.com/${date}/{zoom}/{y}/{x}`, startDate: date, endDate: date });
+    }
+    source.date = '2024-01-01';
+    return source;
+  }
+
+  describe('atDate', () => {
+    it('returns a copy that shows another date', () => {
+      const source = makeWayback();
+      const copy = source.atDate('2020-01-08');
+      assert.equal(copy.date, '2020-01-08');
+      assert.equal(copy.key, 'EsriWayback_2020-01-08');
+      assert.equal(copy.template, 'https://example.com/2020-01-08/{zoom}/{y}/{x}');
+      assert.equal(source.date, '2024-01-01');
+      assert.equal(source.key, 'EsriWayback_2024-01-01');
+    });
+
+    it('gives the copy its own alignment, starting with the alignment of the source', () => {
+      const source = makeWayback();
+      source.nudge([256, 0], 0);
+      source.alignmentPoints.push({ imagery: [10, 50], reference: [10.001, 50] });
+
+      const copy = source.atDate('2020-01-08');
+      assert.deepEqual(copy.offset, source.offset);
+      assert.deepEqual(copy.alignmentPoints, source.alignmentPoints);
+
+      copy.nudge([0, 256], 0);
+      copy.alignmentPoints.push({ imagery: [11, 51], reference: [11.001, 51] });
+      copy.alignmentPoints[0].reference[0] = 0;
+      assert.deepEqual(source.offset, [256, 0]);
+      assert.equal(source.alignmentPoints.length, 1);
+      assert.deepEqual(source.alignmentPoints[0].reference, [10.001, 50]);
+
+      source.offset = [0, 0];
+      assert.deepEqual(copy.offset, [256, 256]);
+    });
+
+    it('keeps the date of the source, if the copy is changed to another date', () => {
+      const source = makeWayback();
+      const copy = source.atDate('2020-01-08');
+      copy.date = '2022-05-18';
+      assert.equal(source.date, '2024-01-01');
+      source.date = '2020-01-08';
+      assert.equal(copy.date, '2022-05-18');
+    });
+  });
+});
+
+
 describe('ImagerySourceCustom', () => {
   const context = new MockContext();
 
@@ -0,0 +1,122 @@
+import { describe, it } from 'node:test';
+import { strict as assert } from 'node:assert';
+import * as Rapid from '../../../modules/headless.js';
+
+
+describe('StyleSheet', () => {
+
+  const baseStyle = () => ({
+    fill:   { width: 2, color: 0xaaaaaa, alpha: 0.3, pattern: 'grass' },
+    casing: { width: 5, color: 0x444444, alpha: 1, cap: 'round' },
+    stroke: { width: 3, color: 0xcccccc, alpha: 1, cap: 'round', dash: [4, 4] }
+  });
+
+
+  describe('constructor', () => {
+    it('parses rules and meta information', () => {
+      const stylesheet = new Rapid.StyleSheet('test.mapcss', `
+        meta { title: "Surface survey"; }
+        /* roads without a surface */
+        way[highway][!surface] { color: #f30; width: 6; }
+      `);
+      assert.equal(stylesheet.id, 'test.mapcss');
+      assert.equal(stylesheet.title, 'Surface survey');
+      assert.equal(stylesheet.rules.length, 1);
+    });
+
+    it('uses the id as the title if there is no meta title', () => {
+      const stylesheet = new Rapid.StyleSheet('test.mapcss', '*[building] { fill-color: #ff0000; }');
+      assert.equal(stylesheet.title, 'test.mapcss');
+    });
+
+    it('throws on invalid stylesheets, mentioning the line', () => {
+      assert.throws(() => new Rapid.StyleSheet('a', 'way[highway] { color: red; }'), /Line 1: invalid value 'red'/);
+      assert.throws(() => new Rapid.StyleSheet('a', 'way[highway]\n{ colour: #fff; }'), /Line 2: unknown property 'colour'/);
+      assert.throws(() => new Rapid.StyleSheet('a', 'shape[highway] { color: #fff; }'), /invalid selector/);
+      assert.throws(() => new Rapid.StyleSheet('a', 'way[highway] { color: #fff; '), /missing '}'/);
+      assert.throws(() => new Rapid.StyleSheet('a', 'way[name=~/(/] { color: #fff; }'), /invalid regular expression/);
+      assert.throws(() => new Rapid.StyleSheet('a', 'way { opacity: 2; }'), /invalid value '2'/);
+    });
+  });
+
+
+  describe('#apply', () => {
+    it('sets the stroke, casing, and fill properties of matching features', () => {
+      const stylesheet = new Rapid.StyleSheet('a', `
+        way[highway=primary] {
+          color: #ff0000; width: 8; opacity: 0.5; dashes: 10,5; linecap: butt;
+          casing-color: #000; casing-width: 10;
+          fill-color: #00ff00; fill-opacity: 0.2; fill-pattern: forest;
+        }
+      `);
+      const style = stylesheet.apply(baseStyle(), { highway: 'primary' }, 'line');
+      assert.deepEqual(style.stroke, { width: 8, color: 0xff0000, alpha: 0.5, cap: 'butt', dash: [10, 5] });
+      assert.deepEqual(style.casing, { width: 10, color: 0x000000, alpha: 1, cap: 'round' });
+      assert.deepEqual(style.fill, { width: 2, color: 0x00ff00, alpha: 0.2, pattern: 'forest' });
+    });
+
+    it('leaves features that do not match unchanged', () => {
+      const stylesheet = new Rapid.StyleSheet('a', 'way[highway=primary] { color: #ff0000; }');
+      assert.deepEqual(stylesheet.apply(baseStyle(), { highway: 'secondary' }, 'line'), baseStyle());
+    });
+
+    it('removes dashes and patterns with `none`', () => {
+      const stylesheet = new Rapid.StyleSheet('a', '* { dashes: none; fill-pattern: none; }');
+      const style = stylesheet.apply(baseStyle(), {}, 'area');
+      assert.equal(style.stroke.dash, undefined);
+      assert.equal(style.fill.pattern, undefined);
+    });
+
+    it('matches the geometry of the selector type', () => {
+      const stylesheet = new Rapid.StyleSheet('a', `
+        line[building] { color: #000001; }
+        area[building] { color: #000002; }
+        node[building] { color: #000003; }
+      `);
+      assert.equal(stylesheet.apply(baseStyle(), { building: 'yes' }, 'line').stroke.color, 1);
+      assert.equal(stylesheet.apply(baseStyle(), { building: 'yes' }, 'area').stroke.color, 2);
+      assert.equal(stylesheet.apply(baseStyle(), { building: 'yes' }, 'vertex').stroke.color, 3);
+      assert.equal(stylesheet.apply(baseStyle(), { building: 'yes' }, 'relation').stroke.color, 0xcccccc);
+    });
+
+    it('matches tag conditions', () => {
+      const stylesheet = new Rapid.StyleSheet('a', `
+        way[highway][!surface] { color: #000001; }
+        way[highway][surface!=asphalt][surface=*] { color: #000002; }
+        way[name=~/^main/i], way["addr:street"="Main Street"] { color: #000003; }
+        way[ref!~/^[AB]/][ref] { color: #000004; }
+      `);
+      const color = (tags) => stylesheet.apply(baseStyle(), tags, 'line').stroke.color;
+      assert.equal(color({ highway: 'primary' }), 1);
+      assert.equal(color({ highway: 'primary', surface: 'no' }), 1);
+      assert.equal(color({ highway: 'primary', surface: 'gravel' }), 2);
+      assert.equal(color({ highway: 'primary', surface: 'asphalt' }), 0xcccccc);
+      assert.equal(color({ name: 'Main Street' }), 3);
+      assert.equal(color({ 'addr:street': 'Main Street' }), 3);
+      assert.equal(color({ ref: 'A1' }), 0xcccccc);
+      assert.equal(color({ ref: 'C1' }), 4);
+    });
+
+    it('applies matching rules in order, so later rules override earlier ones', () => {
+      const stylesheet = new Rapid.StyleSheet('a', `
+        way[highway] { color: #000001; width: 4; }
+        way[highway=primary] { color: #000002; }
+      `);
+      const style = stylesheet.apply(baseStyle(), { highway: 'primary' }, 'line');
+      assert.equal(style.stroke.color, 2);
+      assert.equal(style.stroke.width, 4);
+    });
+  });
+
+
+  describe('#patterns', () => {
+    it('returns the fill patterns used by the stylesheet', () => {
+      const stylesheet = new Rapid.StyleSheet('a', `
+        area[landuse=forest] { fill-pattern: forest; }
+        area[natural=wood] { fill-pattern: forest; }
+        area[landuse=meadow] { fill-pattern: none; }
+      `);
+      assert.deepEqual(stylesheet.patterns(), ['forest']);
+    });
+  });
+});
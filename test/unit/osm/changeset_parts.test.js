@@ -0,0 +1,119 @@
+import { describe, it } from 'node:test';
+import { strict as assert } from 'node:assert';
+import * as Rapid from '../../../modules/headless.js';
+
+
+function ids(part) {
+  return {
+    created: part.created.map(entity => entity.id),
+    modified: part.modified.map(entity => entity.id),
+    deleted: part.deleted.map(entity => entity.id)
+  };
+}
+
+
+describe('osmSplitChanges', () => {
+  const n1 = Rapid.osmNode({ id: 'n-1', loc: [0, 0] });
+  const n2 = Rapid.osmNode({ id: 'n-2', loc: [0.1, 0] });
+  const w1 = Rapid.osmWay({ id: 'w-1', nodes: ['n-1', 'n-2'] });
+  const r1 = Rapid.osmRelation({ id: 'r-1', members: [{ id: 'r-2', type: 'relation' }, { id: 'w-1', type: 'way' }] });
+  const r2 = Rapid.osmRelation({ id: 'r-2', members: [{ id: 'w-1', type: 'way' }] });
+  const n3 = Rapid.osmNode({ id: 'n3', loc: [5, 5], version: '1' });
+  const w3 = Rapid.osmWay({ id: 'w3', nodes: ['n3', 'n4'], version: '1' });
+  const n4 = Rapid.osmNode({ id: 'n4', loc: [5.1, 5], version: '1' });
+
+  it('returns no parts if there are no changes', () => {
+    assert.deepEqual(Rapid.osmSplitChanges({ created: [], modified: [], deleted: [] }), []);
+  });
+
+  it('returns a single part if the changes fit', () => {
+    const changes = { created: [r1, w1, n1, n2, r2], modified: [n3], deleted: [w3, n4] };
+    const parts = Rapid.osmSplitChanges(changes);
+    assert.equal(parts.length, 1);
+    assert.deepEqual(ids(parts[0]), {
+      created: ['n-1', 'n-2', 'w-1', 'r-2', 'r-1'],
+      modified: ['n3'],
+      deleted: ['w3', 'n4']
+    });
+  });
+
+  it('splits changes by size, creating children before their parents', () => {
+    const changes = { created: [r1, w1, n1, n2, r2], modified: [], deleted: [] };
+    const parts = Rapid.osmSplitChanges(changes, { maxSize: 2 });
+    assert.deepEqual(parts.map(ids), [
+      { created: ['n-1', 'n-2'], modified: [], deleted: [] },
+      { created: ['w-1', 'r-2'], modified: [], deleted: [] },
+      { created: ['r-1'], modified: [], deleted: [] }
+    ]);
+  });
+
+  it('splits changes by size, deleting parents before their children', () => {
+    const r3 = Rapid.osmRelation({ id: 'r3', members: [{ id: 'r4', type: 'relation' }], version: '1' });
+    const r4 = Rapid.osmRelation({ id: 'r4', members: [{ id: 'w3', type: 'way' }], version: '1' });
+    const changes = { created: [], modified: [], deleted: [n4, w3, r4, r3] };
+    const parts = Rapid.osmSplitChanges(changes, { maxSize: 3 });
+    assert.deepEqual(parts.map(ids), [
+      { created: [], modified: [], deleted: ['r3', 'r4', 'w3'] },
+      { created: [], modified: [], deleted: ['n4'] }
+    ]);
+  });
+
+  it('splits changes into geographic clusters, keeping dependent entities together', () => {
+    const base = new Rapid.Graph([n3, n4, w3]);
+    const w3mod = w3.update({ nodes: ['n3'] });   // remove n4, which is deleted
+    const n3mod = n3.update({ tags: { amenity: 'cafe' } });
+    const graph = new Rapid.Graph(base).replace(n1).replace(n2).replace(w1).replace(w3mod).replace(n3mod).remove(n4);
+
+    const changes = { created: [n1, n2, w1], modified: [w3mod, n3mod], deleted: [n4] };
+    const parts = Rapid.osmSplitChanges(changes, { cluster: true, graph: graph, baseGraph: base });
+    assert.deepEqual(parts.map(ids), [
+      { created: ['n-1', 'n-2', 'w-1'], modified: [], deleted: [] },
+      { created: [], modified: ['n3', 'w3'], deleted: ['n4'] }
+    ]);
+  });
+});
+
+
+describe('osmRemapChanges', () => {
+  const n1 = Rapid.osmNode({ id: 'n-1', loc: [0, 0] });
+  const n2 = Rapid.osmNode({ id: 'n-2', loc: [0.1, 0] });
+  const w1 = Rapid.osmWay({ id: 'w-1', nodes: ['n-1', 'n-2'] });
+  const r1 = Rapid.osmRelation({ id: 'r-1', members: [{ id: 'w-1', type: 'way', role: 'outer' }] });
+
+  it('returns the changes if nothing has been uploaded', () => {
+    const changes = { created: [n1, n2, w1], modified: [], deleted: [] };
+    assert.deepEqual(Rapid.osmRemapChanges(changes, new Map()), changes);
+  });
+
+  it('skips uploaded entities and remaps references to them', () => {
+    const uploaded = new Map([
+      ['n-1', { entity: n1, id: 'n101', version: '1', deleted: false }],
+      ['n-2', { entity: n2, id: 'n102', version: '1', deleted: false }],
+      ['w-1', { entity: w1, id: 'w101', version: '1', deleted: false }]
+    ]);
+    const result = Rapid.osmRemapChanges({ created: [n1, n2, w1, r1], modified: [], deleted: [] }, uploaded);
+    assert.deepEqual(ids(result), { created: ['r-1'], modified: [], deleted: [] });
+    assert.deepEqual(result.created[0].members, [{ id: 'w101', type: 'way', role: 'outer' }]);
+  });
+
+  it('uploads entities that have changed since they were uploaded as modifications', () => {
+    const uploaded = new Map([
+      ['n-1', { entity: n1, id: 'n101', version: '1', deleted: false }],
+      ['n-2', { entity: n2, id: 'n102', version: '1', deleted: false }]
+    ]);
+    const n1mod = n1.move([1, 1]);
+    const result = Rapid.osmRemapChanges({ created: [n1mod, n2, w1], modified: [], deleted: [] }, uploaded);
+    assert.deepEqual(ids(result), { created: ['w-1'], modified: ['n101'], deleted: [] });
+    assert.equal(result.modified[0].version, '1');
+    assert.deepEqual(result.modified[0].loc, [1, 1]);
+    assert.deepEqual(result.created[0].nodes, ['n101', 'n102']);
+  });
+
+  it('deletes entities that were removed since they were uploaded', () => {
+    const uploaded = new Map([
+      ['n-1', { entity: n1, id: 'n101', version: '1', deleted: false }]
+    ]);
+    const result = Rapid.osmRemapChanges({ created: [], modified: [], deleted: [n1] }, uploaded);
+    assert.deepEqual(ids(result), { created: [], modified: [], deleted: ['n101'] });
+  });
+});
@@ -807,3 +807,159 @@ describe('lanes', () => {
 
   });
 });
+
+
+describe('osmLanesModel', () => {
+  it('returns null for ways that are not highways', () => {
+    assert.equal(Rapid.osmLanesModel(Rapid.osmWay({ tags: { building: 'yes' } })), null);
+  });
+
+  it('reads the lanes of a oneway', () => {
+    const w = Rapid.osmWay({ tags: { highway: 'primary', oneway: 'yes', lanes: '3', 'turn:lanes': 'left||through;right', 'bus:lanes': '||designated' } });
+    const model = Rapid.osmLanesModel(w);
+    assert.equal(model.oneway, 1);
+    assert.deepEqual(model.forward, [{ turn: 'left' }, {}, { turn: 'through;right', bus: 'designated' }]);
+    assert.deepEqual(model.backward, []);
+    assert.deepEqual(model.bothways, []);
+  });
+
+  it('reads the lanes of a road that can be travelled both ways', () => {
+    const w = Rapid.osmWay({ tags: {
+      highway: 'primary', lanes: '4', 'lanes:forward': '2', 'lanes:backward': '1', 'lanes:both_ways': '1',
+      'turn:lanes:forward': 'through|right', 'turn:lanes:backward': 'left;through', 'turn:lanes:both_ways': 'left'
+    }});
+    const model = Rapid.osmLanesModel(w);
+    assert.equal(model.oneway, 0);
+    assert.deepEqual(model.forward, [{ turn: 'through' }, { turn: 'right' }]);
+    assert.deepEqual(model.backward, [{ turn: 'left;through' }]);
+    assert.deepEqual(model.bothways, [{ turn: 'left' }]);
+  });
+
+  it('splits tags without a direction between the directions', () => {
+    const w = Rapid.osmWay({ tags: { highway: 'primary', lanes: '3', 'lanes:forward': '2', 'maxspeed:lanes': '50|60|70' } });
+    const model = Rapid.osmLanesModel(w);
+    assert.deepEqual(model.backward, [{ maxspeed: '50' }]);
+    assert.deepEqual(model.forward, [{ maxspeed: '60' }, { maxspeed: '70' }]);
+  });
+
+  it('splits tags without a direction between the directions, where traffic drives on the left', () => {
+    // From the left as seen travelling forward: the forward lanes, then the backward lanes
+    const w = Rapid.osmWay({ tags: { highway: 'primary', lanes: '3', 'lanes:forward': '2', 'turn:lanes': 'left|through|right;through' } });
+    const model = Rapid.osmLanesModel(w, true);
+    assert.deepEqual(model.forward, [{ turn: 'left' }, { turn: 'through' }]);
+    assert.deepEqual(model.backward, [{ turn: 'right;through' }]);
+
+    const w2 = Rapid.osmWay({ tags: { highway: 'primary', lanes: '5', 'lanes:forward': '2', 'lanes:backward': '2', 'lanes:both_ways': '1', 'width:lanes': '1|2|3|4|5' } });
+    const model2 = Rapid.osmLanesModel(w2, true);
+    assert.deepEqual(model2.forward, [{ width: '1' }, { width: '2' }]);
+    assert.deepEqual(model2.bothways, [{ width: '3' }]);
+    assert.deepEqual(model2.backward, [{ width: '5' }, { width: '4' }]);   // from the left as seen travelling backward
+  });
+});
+
+
+describe('osmLanesModelTags', () => {
+  it('returns no changes for the lanes as they are', () => {
+    const w = Rapid.osmWay({ tags: { highway: 'primary', oneway: 'yes', lanes: '2', 'turn:lanes': 'left|through' } });
+    assert.deepEqual(Rapid.osmLanesModelTags(w, Rapid.osmLanesModel(w)), {});
+  });
+
+  it('keeps the lane count and the lane tags consistent when a lane is added', () => {
+    const w = Rapid.osmWay({ tags: { highway: 'primary', oneway: 'yes', lanes: '2', 'turn:lanes': 'through|through;right' } });
+    const model = Rapid.osmLanesModel(w);
+    model.forward.unshift({ turn: 'left' });
+    assert.deepEqual(Rapid.osmLanesModelTags(w, model), { lanes: '3', 'turn:lanes': 'left|through|through;right' });
+  });
+
+  it('removes the lane tags that no lane has a value for', () => {
+    const w = Rapid.osmWay({ tags: { highway: 'primary', oneway: 'yes', lanes: '2', 'turn:lanes': 'left|', 'bus:lanes': '|designated' } });
+    const model = Rapid.osmLanesModel(w);
+    model.forward.splice(1, 1);
+    assert.deepEqual(Rapid.osmLanesModelTags(w, model), { lanes: '1', 'turn:lanes': 'left', 'bus:lanes': undefined });
+  });
+
+  it('writes the lanes of each direction on roads that can be travelled both ways', () => {
+    const w = Rapid.osmWay({ tags: { highway: 'primary', lanes: '2', 'turn:lanes': 'through|through' } });
+    const model = Rapid.osmLanesModel(w);
+    model.forward.reverse().push({ turn: 'right' });
+    model.bothways.push({ turn: 'left' });
+    assert.deepEqual(Rapid.osmLanesModelTags(w, model), {
+      lanes: '4',
+      'lanes:forward': '2',
+      'lanes:backward': '1',
+      'lanes:both_ways': '1',
+      'turn:lanes': undefined,
+      'turn:lanes:forward': 'through|right',
+      'turn:lanes:backward': 'through',
+      'turn:lanes:both_ways': 'left'
+    });
+  });
+
+  it('keeps tags without a direction on roads that can be travelled both ways, if the lanes are the same', () => {
+    const w = Rapid.osmWay({ tags: { highway: 'primary', lanes: '3', 'lanes:forward': '2', 'turn:lanes': 'left|through|through;right' } });
+    const model = Rapid.osmLanesModel(w);
+    model.forward[1].turn = 'right';
+    assert.deepEqual(Rapid.osmLanesModelTags(w, model), { 'turn:lanes': 'left|through|right' });
+  });
+
+  it('keeps tags with a direction on oneways', () => {
+    const w = Rapid.osmWay({ tags: { highway: 'primary', oneway: 'yes', lanes: '2', 'turn:lanes:forward': 'left|through' } });
+    const model = Rapid.osmLanesModel(w);
+    model.forward.push({ turn: 'right' });
+    assert.deepEqual(Rapid.osmLanesModelTags(w, model), { lanes: '3', 'turn:lanes:forward': 'left|through|right' });
+  });
+
+  it('keeps other tags with a value for each lane in step with the lanes', () => {
+    const w = Rapid.osmWay({ tags: { highway: 'primary', oneway: 'yes', lanes: '3', 'bicycle:lanes': 'no|no|designated', 'cycleway:lanes': '||lane' } });
+    const model = Rapid.osmLanesModel(w);
+    assert.deepEqual(model.forward[2], { bicycle: 'designated', cycleway: 'lane' });
+
+    model.forward.splice(0, 1);
+    assert.deepEqual(Rapid.osmLanesModelTags(w, model), { lanes: '2', 'bicycle:lanes': 'no|designated', 'cycleway:lanes': '|lane' });
+  });
+
+  it('keeps the counts of lanes for a mode of transport consistent with the lanes', () => {
+    const w = Rapid.osmWay({ tags: { highway: 'primary', oneway: 'yes', lanes: '3', 'bus:lanes': '||designated', 'lanes:bus': '1', 'lanes:psv': '3' } });
+    const model = Rapid.osmLanesModel(w);
+    model.forward.splice(2, 1);
+    assert.deepEqual(Rapid.osmLanesModelTags(w, model), { lanes: '2', 'bus:lanes': undefined, 'lanes:bus': undefined, 'lanes:psv': '2' });
+
+    const w2 = Rapid.osmWay({ tags: { highway: 'primary', lanes: '4', 'lanes:bus:forward': '1', 'bus:lanes:forward': '|designated' } });
+    const model2 = Rapid.osmLanesModel(w2);
+    model2.forward[0].bus = 'designated';
+    assert.deepEqual(Rapid.osmLanesModelTags(w2, model2), { 'bus:lanes:forward': 'designated|designated', 'lanes:bus:forward': '2' });
+  });
+
+  it('round trips the lanes', () => {
+    const tags = {
+      highway: 'primary', lanes: '5', 'lanes:forward': '2', 'lanes:backward': '2', 'lanes:both_ways': '1',
+      'turn:lanes:forward': 'through|right', 'turn:lanes:backward': 'left|through', 'turn:lanes:both_ways': 'left',
+      'bus:lanes:forward': '|designated', 'lanes:bus:forward': '1', 'width:lanes': '3|3|2.5|3|3'
+    };
+    const w = Rapid.osmWay({ tags: tags });
+    assert.deepEqual(Rapid.osmLanesModelTags(w, Rapid.osmLanesModel(w)), {});
+
+    // Moving a lane and moving it back again changes nothing
+    const model = Rapid.osmLanesModel(w);
+    model.forward.reverse();
+    const w2 = w.update({ tags: Object.assign({}, tags, Rapid.osmLanesModelTags(w, model)) });
+    assert.equal(w2.tags['turn:lanes:forward'], 'right|through');
+    assert.equal(w2.tags['width:lanes'], '3|3|2.5|3|3');
+
+    const model2 = Rapid.osmLanesModel(w2);
+    model2.forward.reverse();
+    const w3 = w2.update({ tags: Object.assign({}, w2.tags, Rapid.osmLanesModelTags(w2, model2)) });
+    assert.deepEqual(w3.tags, tags);
+  });
+
+  it('writes tags without a direction in the right order, where traffic drives on the left', () => {
+    const tags = { highway: 'primary', lanes: '3', 'lanes:forward': '2', 'turn:lanes': 'left|through|right;through' };
+    const w = Rapid.osmWay({ tags: tags });
+    assert.deepEqual(Rapid.osmLanesModelTags(w, Rapid.osmLanesModel(w, true), true), {});
+
+    const model = Rapid.osmLanesModel(w, true);
+    model.forward[1].turn = 'through;right';
+    model.backward[0].turn = 'right';
+    assert.deepEqual(Rapid.osmLanesModelTags(w, model, true), { 'turn:lanes': 'left|through;right|right' });
+  });
+});
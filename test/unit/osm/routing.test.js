@@ -0,0 +1,233 @@
+import { describe, it } from 'node:test';
+import { strict as assert } from 'node:assert';
+import * as Rapid from '../../../modules/headless.js';
+
+
+describe('osmRoutingAccess', () => {
+  function access(tags, profileID = 'car') {
+    return Rapid.osmRoutingAccess(Rapid.osmWay({ tags: tags }), profileID);
+  }
+
+  it('returns null for ways that the profile can not use', () => {
+    assert.equal(access({ building: 'yes' }), null);
+    assert.equal(access({ highway: 'footway' }), null);
+    assert.equal(access({ highway: 'motorway' }, 'bike'), null);
+    assert.equal(access({ highway: 'residential', access: 'no' }), null);
+    assert.equal(access({ highway: 'residential', motor_vehicle: 'private' }), null);
+  });
+
+  it('lets the more specific access tags override the general ones', () => {
+    assert.ok(access({ highway: 'residential', access: 'no', motorcar: 'yes' }));
+    assert.ok(access({ highway: 'footway', bicycle: 'yes' }, 'bike'));
+    assert.equal(access({ highway: 'residential', bicycle: 'no' }, 'bike'), null);
+  });
+
+  it('honors oneways for each profile', () => {
+    assert.deepEqual(access({ highway: 'residential' }), { forward: true, backward: true, speed: 30 });
+    assert.equal(access({ highway: 'residential', oneway: 'yes' }).backward, false);
+    assert.equal(access({ highway: 'residential', oneway: '-1' }).forward, false);
+    assert.equal(access({ highway: 'residential', junction: 'roundabout' }).backward, false);
+    assert.equal(access({ highway: 'residential', oneway: 'yes', 'oneway:bicycle': 'no' }, 'bike').backward, true);
+    assert.equal(access({ highway: 'residential', oneway: 'yes' }, 'foot').backward, true);
+  });
+
+  it('uses the speed limit', () => {
+    assert.equal(access({ highway: 'residential', maxspeed: '50' }).speed, 50);
+    assert.ok(Math.abs(access({ highway: 'residential', maxspeed: '20 mph' }).speed - 32.19) < 0.01);
+    assert.equal(access({ highway: 'residential', maxspeed: 'signals' }).speed, 30);
+    assert.equal(access({ highway: 'residential', maxspeed: '50' }, 'bike').speed, 18);
+    assert.equal(access({ highway: 'residential', maxspeed: '10' }, 'bike').speed, 10);
+  });
+});
+
+
+describe('osmRoutingGraph', () => {
+  //
+  //  a ---- b ---- c
+  //         |
+  //         d
+  //
+  function makeGraph(tags = {}, relations = []) {
+    return new Rapid.Graph([
+      Rapid.osmNode({ id: 'a', loc: [0, 0] }),
+      Rapid.osmNode({ id: 'b', loc: [0.001, 0] }),
+      Rapid.osmNode({ id: 'c', loc: [0.002, 0] }),
+      Rapid.osmNode({ id: 'd', loc: [0.001, -0.001] }),
+      Rapid.osmWay({ id: 'w1', nodes: ['a', 'b'], tags: Object.assign({ highway: 'residential' }, tags.w1) }),
+      Rapid.osmWay({ id: 'w2', nodes: ['b', 'c'], tags: Object.assign({ highway: 'residential' }, tags.w2) }),
+      Rapid.osmWay({ id: 'w3', nodes: ['b', 'd'], tags: Object.assign({ highway: 'residential' }, tags.w3) }),
+      ...relations
+    ]);
+  }
+
+  const arriveAtB = { nodeID: 'b', wayID: 'w1', index: 1, dir: 1 };
+  const nextWays = (routing, state) => routing.next(state).map(s => s.wayID).sort();
+
+  it('throws for an unknown profile', () => {
+    assert.throws(() => Rapid.osmRoutingGraph(makeGraph(), 'rocket'), /Unknown routing profile/);
+  });
+
+  it('steps onto the other roads at a junction, with the distance and duration', () => {
+    const routing = Rapid.osmRoutingGraph(makeGraph(), 'car');
+    const steps = routing.next(arriveAtB);
+    assert.deepEqual(steps.map(s => s.nodeID).sort(), ['c', 'd']);
+    assert.ok(steps[0].distance > 100 && steps[0].distance < 120);
+    assert.ok(steps[0].duration > 0);
+  });
+
+  it('does not step the wrong way along oneways', () => {
+    const routing = Rapid.osmRoutingGraph(makeGraph({ w3: { oneway: '-1' } }), 'car');
+    assert.deepEqual(nextWays(routing, arriveAtB), ['w2']);
+  });
+
+  it('honors turn restrictions with a via node', () => {
+    const noRight = Rapid.osmRelation({ id: 'r1', tags: { type: 'restriction', restriction: 'no_right_turn' }, members: [
+      { type: 'way', id: 'w1', role: 'from' }, { type: 'node', id: 'b', role: 'via' }, { type: 'way', id: 'w3', role: 'to' }
+    ]});
+    assert.deepEqual(nextWays(Rapid.osmRoutingGraph(makeGraph({}, [noRight]), 'car'), arriveAtB), ['w2']);
+    assert.deepEqual(nextWays(Rapid.osmRoutingGraph(makeGraph({}, [noRight]), 'foot'), arriveAtB), ['w2', 'w3']);
+
+    const onlyStraight = Rapid.osmRelation({ id: 'r2', tags: { type: 'restriction', restriction: 'only_straight_on', except: 'bicycle' }, members: [
+      { type: 'way', id: 'w1', role: 'from' }, { type: 'node', id: 'b', role: 'via' }, { type: 'way', id: 'w2', role: 'to' }
+    ]});
+    assert.deepEqual(nextWays(Rapid.osmRoutingGraph(makeGraph({}, [onlyStraight]), 'car'), arriveAtB), ['w2']);
+    assert.deepEqual(nextWays(Rapid.osmRoutingGraph(makeGraph({}, [onlyStraight]), 'bike'), arriveAtB), ['w2', 'w3']);
+  });
+
+  it('does not go straight on along the from way, if an only_ restriction turns off it', () => {
+    //  a ---- b ---- c   (w1 goes through b)
+    //         |
+    //         d
+    const makeThroughGraph = (relation) => new Rapid.Graph([
+      Rapid.osmNode({ id: 'a', loc: [0, 0] }),
+      Rapid.osmNode({ id: 'b', loc: [0.001, 0] }),
+      Rapid.osmNode({ id: 'c', loc: [0.002, 0] }),
+      Rapid.osmNode({ id: 'd', loc: [0.001, -0.001] }),
+      Rapid.osmWay({ id: 'w1', nodes: ['a', 'b', 'c'], tags: { highway: 'residential' } }),
+      Rapid.osmWay({ id: 'w3', nodes: ['b', 'd'], tags: { highway: 'residential' } }),
+      relation
+    ]);
+
+    const onlyRight = Rapid.osmRelation({ id: 'r1', tags: { type: 'restriction', restriction: 'only_right_turn' }, members: [
+      { type: 'way', id: 'w1', role: 'from' }, { type: 'node', id: 'b', role: 'via' }, { type: 'way', id: 'w3', role: 'to' }
+    ]});
+    assert.deepEqual(nextWays(Rapid.osmRoutingGraph(makeThroughGraph(onlyRight), 'car'), arriveAtB), ['w3']);
+
+    // But a no_u_turn back onto the same way still lets the traveller go straight on
+    const noUturn = Rapid.osmRelation({ id: 'r2', tags: { type: 'restriction', restriction: 'no_u_turn' }, members: [
+      { type: 'way', id: 'w1', role: 'from' }, { type: 'node', id: 'b', role: 'via' }, { type: 'way', id: 'w1', role: 'to' }
+    ]});
+    assert.deepEqual(nextWays(Rapid.osmRoutingGraph(makeThroughGraph(noUturn), 'car'), arriveAtB), ['w1', 'w3']);
+  });
+
+  it('honors turn restrictions with via ways', () => {
+    //  a ---- b ---- c ---- e
+    //                |
+    //                f
+    const makeViaGraph = (restriction) => new Rapid.Graph([
+      Rapid.osmNode({ id: 'a', loc: [0, 0] }),
+      Rapid.osmNode({ id: 'b', loc: [0.001, 0] }),
+      Rapid.osmNode({ id: 'c', loc: [0.002, 0] }),
+      Rapid.osmNode({ id: 'e', loc: [0.003, 0] }),
+      Rapid.osmNode({ id: 'f', loc: [0.002, -0.001] }),
+      Rapid.osmWay({ id: 'w1', nodes: ['a', 'b'], tags: { highway: 'residential' } }),
+      Rapid.osmWay({ id: 'w2', nodes: ['b', 'c'], tags: { highway: 'residential' } }),
+      Rapid.osmWay({ id: 'w4', nodes: ['c', 'e'], tags: { highway: 'residential' } }),
+      Rapid.osmWay({ id: 'w5', nodes: ['c', 'f'], tags: { highway: 'residential' } }),
+      Rapid.osmRelation({ id: 'r1', tags: { type: 'restriction', restriction: restriction }, members: [
+        { type: 'way', id: 'w1', role: 'from' }, { type: 'way', id: 'w2', role: 'via' }, { type: 'way', id: 'w4', role: 'to' }
+      ]})
+    ]);
+
+    const atC = { nodeID: 'c', wayID: 'w2', index: 1, dir: 1 };   // arrived on w2, but not from w1
+
+    const noStraight = Rapid.osmRoutingGraph(makeViaGraph('no_straight_on'), 'car');
+    const viaC = noStraight.next(arriveAtB).find(s => s.wayID === 'w2');
+    assert.deepEqual(viaC.pending, [['r1', 1]]);
+    assert.deepEqual(nextWays(noStraight, viaC), ['w5']);
+    assert.deepEqual(nextWays(noStraight, atC), ['w4', 'w5']);
+
+    const onlyStraight = Rapid.osmRoutingGraph(makeViaGraph('only_straight_on'), 'car');
+    const viaC2 = onlyStraight.next(arriveAtB).find(s => s.wayID === 'w2');
+    assert.deepEqual(nextWays(onlyStraight, viaC2), ['w4']);
+    assert.deepEqual(nextWays(onlyStraight, atC), ['w4', 'w5']);
+
+    // The route goes around the restriction, turning back at the dead end `f`
+    const route = noStraight.route('a', 'e');
+    assert.deepEqual(route.steps.map(s => s.nodeID), ['b', 'c', 'f', 'c', 'e']);
+  });
+
+  it('only allows U-turns at dead ends', () => {
+    const routing = Rapid.osmRoutingGraph(makeGraph(), 'car');
+    const atC = { nodeID: 'c', wayID: 'w2', index: 1, dir: 1 };
+    assert.deepEqual(routing.next(atC).map(s => s.nodeID), ['b']);
+    assert.ok(routing.next(arriveAtB).every(s => s.wayID !== 'w1'));
+  });
+
+  it('finds the states that lead to a state', () => {
+    const routing = Rapid.osmRoutingGraph(makeGraph({ w3: { oneway: 'yes' } }), 'car');
+    const atC = { nodeID: 'c', wayID: 'w2', index: 1, dir: 1 };
+    const previous = routing.previous(atC);
+    assert.deepEqual(previous, [{ nodeID: 'b', wayID: 'w1', index: 1, dir: 1 }]);   // not from `d`, or a U-turn at `b`
+  });
+});
+
+
+describe('osmRoutingGraph#route', () => {
+  //
+  //  a ---- b ---- c
+  //  |             |
+  //  d ----------- e
+  //
+  function makeGraph(tags = {}) {
+    return new Rapid.Graph([
+      Rapid.osmNode({ id: 'a', loc: [0, 0] }),
+      Rapid.osmNode({ id: 'b', loc: [0.001, 0] }),
+      Rapid.osmNode({ id: 'c', loc: [0.002, 0] }),
+      Rapid.osmNode({ id: 'd', loc: [0, -0.001] }),
+      Rapid.osmNode({ id: 'e', loc: [0.002, -0.001] }),
+      Rapid.osmWay({ id: 'w1', nodes: ['a', 'b', 'c'], tags: Object.assign({ highway: 'residential', name: 'Main Street' }, tags.w1) }),
+      Rapid.osmWay({ id: 'w2', nodes: ['c', 'e'], tags: Object.assign({ highway: 'residential' }, tags.w2) }),
+      Rapid.osmWay({ id: 'w3', nodes: ['a', 'd'], tags: Object.assign({ highway: 'residential' }, tags.w3) }),
+      Rapid.osmWay({ id: 'w4', nodes: ['d', 'e'], tags: Object.assign({ highway: 'residential' }, tags.w4) })
+    ]);
+  }
+
+  const nodesOf = (route) => [route.steps[0].fromNodeID, ...route.steps.map(s => s.nodeID)];
+
+  it('finds the quickest route', () => {
+    const route = Rapid.osmRoutingGraph(makeGraph(), 'car').route('a', 'c');
+    assert.deepEqual(nodesOf(route), ['a', 'b', 'c']);
+    assert.ok(route.distance > 200 && route.distance < 240);
+    assert.ok(Math.abs(route.duration - route.distance / (30 / 3.6)) < 0.001);
+  });
+
+  it('goes around oneways and slow roads', () => {
+    const oneway = Rapid.osmRoutingGraph(makeGraph({ w1: { oneway: '-1' } }), 'car').route('a', 'c');
+    assert.deepEqual(nodesOf(oneway), ['a', 'd', 'e', 'c']);
+
+    const slow = Rapid.osmRoutingGraph(makeGraph({ w1: { maxspeed: '5' } }), 'car').route('a', 'c');
+    assert.deepEqual(nodesOf(slow), ['a', 'd', 'e', 'c']);
+  });
+
+  it('returns null when there is no route', () => {
+    const routing = Rapid.osmRoutingGraph(makeGraph({ w1: { oneway: '-1' }, w2: { access: 'no' } }), 'car');
+    assert.equal(routing.route('a', 'c'), null);
+    assert.equal(routing.route('a', 'nope'), null);
+  });
+
+  it('makes turn-by-turn instructions', () => {
+    const graph = makeGraph({ w1: { oneway: '-1' } });
+    const route = Rapid.osmRoutingGraph(graph, 'car').route('a', 'c');
+    const instructions = Rapid.osmRoutingInstructions(graph, route);
+
+    assert.deepEqual(instructions.map(i => [i.type, i.modifier, i.nodeID, i.wayID]), [
+      ['depart', undefined, 'a', 'w3'],
+      ['turn', 'left', 'd', 'w4'],
+      ['turn', 'left', 'e', 'w2'],
+      ['arrive', undefined, 'c', undefined]
+    ]);
+    const distance = instructions.reduce((sum, i) => sum + i.distance, 0);
+    assert.ok(Math.abs(distance - route.distance) < 0.001);
+  });
+});
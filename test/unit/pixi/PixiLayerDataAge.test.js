@@ -0,0 +1,168 @@
+import { describe, it, beforeEach } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { EventEmitter } from 'node:events';
+import * as Rapid from '../../../modules/headless.js';
+import { PixiLayerDataAge } from '../../../modules/pixi/PixiLayerDataAge.js';
+
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class MockEditSystem extends EventEmitter {
+  constructor() {
+    super();
+    this.staging = { graph: new Rapid.Graph() };
+    this.entities = [];
+  }
+  intersects() { return this.entities; }   // everything is in view
+}
+
+class MockGfxSystem {
+  immediateRedraw() { }
+}
+
+class MockScene {
+  constructor() {
+    this.gfx = new MockGfxSystem();
+    this.context = { systems: { editor: new MockEditSystem() } };
+  }
+}
+
+// An ISO timestamp `days` ago
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY).toISOString();
+}
+
+
+describe('PixiLayerDataAge', () => {
+  let _layer, _editor;
+
+  beforeEach(() => {
+    const scene = new MockScene();
+    _editor = scene.context.systems.editor;
+    _layer = new PixiLayerDataAge(scene, 'data-age');
+  });
+
+  function setEntities(entities) {
+    _editor.staging.graph = new Rapid.Graph(entities);
+    _editor.entities = entities;
+  }
+
+  // Everything near [0, 0] at zoom 16
+  function bins() {
+    return _layer.computeBins(16, new Rapid.sdk.Extent([-0.01, -0.01], [0.01, 0.01]));
+  }
+
+
+  describe('computeBins', () => {
+    it('puts nearby entities into the same hexagon, and faraway ones into different hexagons', () => {
+      setEntities([
+        Rapid.osmNode({ id: 'n1', loc: [0, 0], version: '1', timestamp: daysAgo(10) }),
+        Rapid.osmNode({ id: 'n2', loc: [0.00001, 0.00001], version: '1', timestamp: daysAgo(20) }),
+        Rapid.osmNode({ id: 'n3', loc: [0.005, 0.005], version: '1', timestamp: daysAgo(30) })
+      ]);
+
+      const results = bins();
+      assert.equal(results.length, 2);
+      for (const bin of results) {
+        assert.match(bin.id, /^16-/);
+        const ring = bin.coords[0];
+        assert.equal(ring.length, 7);               // a closed hexagon
+        assert.deepEqual(ring[0], ring[6]);
+      }
+    });
+
+    it('places ways at the center of their extent', () => {
+      setEntities([
+        Rapid.osmNode({ id: 'a', loc: [0.004, 0.005] }),
+        Rapid.osmNode({ id: 'b', loc: [0.006, 0.005] }),
+        Rapid.osmWay({ id: 'w1', nodes: ['a', 'b'], version: '1', timestamp: daysAgo(10) }),
+        Rapid.osmNode({ id: 'n3', loc: [0.005, 0.005], version: '1', timestamp: daysAgo(30) })
+      ]);
+      assert.equal(bins().length, 1);   // the nodes `a` and `b` have no metadata, so aren't counted
+    });
+
+    it('skips entities without metadata, and relations', () => {
+      setEntities([
+        Rapid.osmNode({ id: 'n-1', loc: [0, 0] }),
+        Rapid.osmRelation({ id: 'r1', version: '1', timestamp: daysAgo(10) })
+      ]);
+      assert.deepEqual(bins(), []);
+      assert.equal(_layer.dateExtent, null);
+    });
+
+    it('measures the age of the most recently edited entity, in days', () => {
+      setEntities([
+        Rapid.osmNode({ id: 'n1', loc: [0, 0], version: '1', timestamp: daysAgo(10) }),
+        Rapid.osmNode({ id: 'n2', loc: [0.00001, 0.00001], version: '1', timestamp: daysAgo(400) })
+      ]);
+      const [bin] = bins();
+      assert.ok(Math.abs(bin.value - 10) < 0.01);
+    });
+
+    it('measures the average version', () => {
+      setEntities([
+        Rapid.osmNode({ id: 'n1', loc: [0, 0], version: '2', timestamp: daysAgo(10) }),
+        Rapid.osmNode({ id: 'n2', loc: [0.00001, 0.00001], version: '5', timestamp: daysAgo(400) })
+      ]);
+      _layer.metric = 'version';
+      const [bin] = bins();
+      assert.equal(bin.value, 3.5);
+    });
+
+    it('only counts entities last edited within the date filter, but finds the date extent of all of them', () => {
+      setEntities([
+        Rapid.osmNode({ id: 'n1', loc: [0, 0], version: '1', timestamp: '2020-06-01T12:00:00Z' }),
+        Rapid.osmNode({ id: 'n2', loc: [0.005, 0.005], version: '1', timestamp: '2022-06-01T12:00:00Z' }),
+        Rapid.osmNode({ id: 'n3', loc: [-0.005, -0.005], version: '1', timestamp: '2024-06-01T12:00:00Z' })
+      ]);
+
+      _layer.setDateFilter('fromDate', '2021-01-01');
+      _layer.setDateFilter('toDate', '2022-06-01');
+      assert.equal(bins().length, 1);
+      assert.deepEqual(_layer.dateExtent, ['2020-06-01', '2024-06-01']);
+    });
+  });
+
+
+  describe('metrics', () => {
+    it('has a legend for each metric', () => {
+      assert.deepEqual(_layer.metrics, ['age', 'version']);
+      assert.equal(_layer.metric, 'age');
+      assert.equal(_layer.legend()[0].id, 'month');
+
+      _layer.metric = 'version';
+      assert.equal(_layer.legend()[0].id, 'one');
+
+      _layer.metric = 'nope';
+      assert.equal(_layer.metric, 'version');
+    });
+  });
+
+
+  describe('date filters', () => {
+    it('validates the dates', () => {
+      _layer.setDateFilter('fromDate', '2021-03-04T10:00:00Z');
+      assert.equal(_layer.dateFilterValue('fromDate'), '2021-03-04');
+
+      _layer.setDateFilter('fromDate', 'not a date');
+      assert.equal(_layer.dateFilterValue('fromDate'), null);
+    });
+
+    it('keeps the from date before the to date', () => {
+      _layer.setDateFilter('fromDate', '2022-01-01');
+      _layer.setDateFilter('toDate', '2021-01-01');
+      assert.equal(_layer.dateFilterValue('fromDate'), '2021-01-01');
+
+      _layer.setDateFilter('fromDate', '2023-01-01');
+      assert.equal(_layer.dateFilterValue('toDate'), '2023-01-01');
+    });
+  });
+
+
+  it('recomputes the bins after the data is loaded or edited', () => {
+    const datav = _layer._datav;
+    _editor.emit('merge');
+    _editor.emit('stablechange');
+    assert.equal(_layer._datav, datav + 2);
+  });
+});
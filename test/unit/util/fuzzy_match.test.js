@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import { strict as assert } from 'node:assert';
+import * as Rapid from '../../../modules/headless.js';
+
+
+describe('utilFuzzyMatch', () => {
+  it('returns null if the query does not match', () => {
+    assert.equal(Rapid.utilFuzzyMatch('xyz', 'Split'), null);
+    assert.equal(Rapid.utilFuzzyMatch('tilps', 'Split'), null);   // wrong order
+  });
+
+  it('matches everything with an empty query', () => {
+    assert.deepEqual(Rapid.utilFuzzyMatch('', 'Split'), { score: 0, indices: [] });
+    assert.deepEqual(Rapid.utilFuzzyMatch(null, 'Split'), { score: 0, indices: [] });
+  });
+
+  it('matches characters in order, even if they are not next to each other', () => {
+    const result = Rapid.utilFuzzyMatch('tglmm', 'Toggle minimap');
+    assert.ok(result);
+    assert.deepEqual(result.indices, [0, 2, 4, 7, 11]);
+  });
+
+  it('ignores case, accents and whitespace in the query', () => {
+    assert.ok(Rapid.utilFuzzyMatch('CAFE', 'café'));
+    assert.ok(Rapid.utilFuzzyMatch('cafe', 'Café'));
+    assert.ok(Rapid.utilFuzzyMatch('tog min', 'Toggle minimap'));
+  });
+
+  it('prefers to match at the start of words', () => {
+    assert.deepEqual(Rapid.utilFuzzyMatch('tm', 'Toggle minimap').indices, [0, 7]);
+    assert.deepEqual(Rapid.utilFuzzyMatch('hd', 'showHiddenData').indices, [4, 10]);
+  });
+
+  it('falls back to any match if preferring word starts would fail', () => {
+    // preferring the last 'a', which starts a word, would leave nothing for the 'b'
+    assert.deepEqual(Rapid.utilFuzzyMatch('ab', 'xa b a').indices, [1, 3]);
+  });
+
+  it('scores consecutive characters and word starts higher than scattered characters', () => {
+    const split = Rapid.utilFuzzyMatch('spl', 'Split');
+    const simplify = Rapid.utilFuzzyMatch('spl', 'Simplify');
+    assert.ok(split.score > simplify.score);
+
+    const wordStarts = Rapid.utilFuzzyMatch('hd', 'Highlight Data');
+    const middle = Rapid.utilFuzzyMatch('hd', 'Show hidden');
+    assert.ok(wordStarts.score > middle.score);
+  });
+
+  it('scores shorter texts higher if the matches are otherwise the same', () => {
+    const short = Rapid.utilFuzzyMatch('move', 'Move');
+    const long = Rapid.utilFuzzyMatch('move', 'Move these features');
+    assert.ok(short.score > long.score);
+  });
+});
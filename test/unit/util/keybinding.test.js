@@ -65,4 +65,41 @@ describe('utilKeybinding', () => {
     keybinding.trigger('ctrl+shift+a');
     assert.ok(!callback.calledOnce);
   });
-});
\ No newline at end of file
+});
+
+describe('utilKeybinding.normalize', () => {
+  it('sorts modifiers and uppercases keys', () => {
+    assert.strictEqual(Rapid.utilKeybinding.normalize('⌘⇧b'), '⇧⌘B');
+    assert.strictEqual(Rapid.utilKeybinding.normalize('⇧⌘B'), '⇧⌘B');
+    assert.strictEqual(Rapid.utilKeybinding.normalize('a'), 'A');
+  });
+
+  it('resolves modifier and key aliases', () => {
+    assert.strictEqual(Rapid.utilKeybinding.normalize('shift+cmd+b'), '⇧⌘B');
+    assert.strictEqual(Rapid.utilKeybinding.normalize('⌃comma'), '⌃,');
+    assert.strictEqual(Rapid.utilKeybinding.normalize('⌥←'), '⌥ArrowLeft');
+    assert.strictEqual(Rapid.utilKeybinding.normalize('f5'), 'F5');
+  });
+
+  it('resolves key names from keyboard events', () => {
+    assert.strictEqual(Rapid.utilKeybinding.normalize('ArrowLeft'), Rapid.utilKeybinding.normalize('←'));
+    assert.strictEqual(Rapid.utilKeybinding.normalize('⌘Backspace'), Rapid.utilKeybinding.normalize('⌘⌫'));
+    assert.strictEqual(Rapid.utilKeybinding.normalize('Delete'), Rapid.utilKeybinding.normalize('⌦'));
+  });
+});
+
+
+describe('utilKeybinding.keyFromEvent', () => {
+  it('returns the key, ignoring modifiers', () => {
+    assert.strictEqual(Rapid.utilKeybinding.keyFromEvent({ key: 'q', shiftKey: true }), 'Q');
+    assert.strictEqual(Rapid.utilKeybinding.keyFromEvent({ key: 'ö' }), 'Ö');
+    assert.strictEqual(Rapid.utilKeybinding.keyFromEvent({ key: 'F5' }), 'F5');
+    assert.strictEqual(Rapid.utilKeybinding.keyFromEvent({ key: ' ' }), 'space');
+  });
+
+  it('returns null for modifier keys and unidentified keys', () => {
+    assert.strictEqual(Rapid.utilKeybinding.keyFromEvent({ key: 'Shift' }), null);
+    assert.strictEqual(Rapid.utilKeybinding.keyFromEvent({ key: 'Dead' }), null);
+    assert.strictEqual(Rapid.utilKeybinding.keyFromEvent({}), null);
+  });
+});
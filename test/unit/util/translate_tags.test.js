@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import { strict as assert } from 'node:assert';
+import * as Rapid from '../../../modules/headless.js';
+
+
+describe('utilTranslateTags', () => {
+  it('returns a copy of the tags if there are no rules', () => {
+    const tags = { building: 'yes' };
+    const result = Rapid.utilTranslateTags(tags, null);
+    assert.deepEqual(result, { building: 'yes' });
+    assert.notStrictEqual(result, tags);
+  });
+
+  it('does not modify the original tags', () => {
+    const tags = { BLDG: 'RES' };
+    Rapid.utilTranslateTags(tags, { rename: { BLDG: 'building' } });
+    assert.deepEqual(tags, { BLDG: 'RES' });
+  });
+
+  it('renames keys', () => {
+    const rules = { rename: { BLDG: 'building', NOTES: null } };
+    const result = Rapid.utilTranslateTags({ BLDG: 'yes', NOTES: 'remove me', height: '5' }, rules);
+    assert.deepEqual(result, { building: 'yes', height: '5' });
+  });
+
+  it('maps values of the renamed keys', () => {
+    const rules = {
+      rename: { BLDG: 'building' },
+      values: { building: { RES: 'house', COM: 'commercial', UNK: null } }
+    };
+    assert.deepEqual(Rapid.utilTranslateTags({ BLDG: 'RES' }, rules), { building: 'house' });
+    assert.deepEqual(Rapid.utilTranslateTags({ BLDG: 'GAR' }, rules), { building: 'GAR' });
+    assert.deepEqual(Rapid.utilTranslateTags({ BLDG: 'UNK' }, rules), {});
+  });
+
+  it('drops keys, with wildcards', () => {
+    const rules = { drop: ['OBJECTID', 'SHAPE_*'] };
+    const result = Rapid.utilTranslateTags({ OBJECTID: '1', SHAPE_Area: '12.5', SHAPE_Length: '14', name: 'Foo' }, rules);
+    assert.deepEqual(result, { name: 'Foo' });
+  });
+
+  it('derives tags from expressions with filters', () => {
+    const rules = {
+      drop: ['*'],
+      derive: {
+        'addr:street': '{ST_NAME|title} {ST_TYPE|title}',
+        'height': '{HGT_FT|feet}',
+        'source': 'County GIS'
+      }
+    };
+    const result = Rapid.utilTranslateTags({ ST_NAME: 'MAIN', ST_TYPE: 'street', HGT_FT: '10' }, rules);
+    assert.deepEqual(result, { 'addr:street': 'Main Street', height: '3', source: 'County GIS' });
+  });
+
+  it('skips derived tags when a tag in the expression is missing or empty', () => {
+    const rules = { derive: { 'addr:housenumber': '{NUM}{SUFFIX}', 'addr:street': '{ST_NAME}' } };
+    const result = Rapid.utilTranslateTags({ NUM: '12', ST_NAME: ' ' }, rules);
+    assert.deepEqual(result, { NUM: '12', ST_NAME: ' ' });
+  });
+
+  it('derives tags from the source properties, if given', () => {
+    const rules = { derive: { 'addr:housenumber': '{NUM}' } };
+    const result = Rapid.utilTranslateTags({ building: 'yes' }, rules, { NUM: '12', OTHER: 'x' });
+    assert.deepEqual(result, { building: 'yes', 'addr:housenumber': '12' });
+  });
+});